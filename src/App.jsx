@@ -18,6 +18,7 @@ import './App.css';
 // keeps the landing/login/dashboard first paint fast.
 const BigBangPage = lazy(() => import("./pages/BigBangPage"));
 const GameplayPage = lazy(() => import("./pages/GameplayPage"));
+const SimulatorPage = lazy(() => import("./pages/SimulatorPage"));
 
 const EngineLoader = () => (
   <div className="flex items-center justify-center h-full min-h-[60vh]">
@@ -73,6 +74,14 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/simulator"
+              element={
+                <ProtectedRoute>
+                  <SimulatorPage />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/universe-creation"
               element={
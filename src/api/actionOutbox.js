@@ -0,0 +1,292 @@
+// src/api/actionOutbox.js
+//
+// Durable outbox for server-authoritative actions - containing an anomaly,
+// reporting a war strike, booking a bombardment. A flaky connection used to
+// lose these outright: the call logged, threw, and the work the player did in
+// the world simply never reached the server.
+//
+// Every queued action is persisted to localStorage BEFORE it is sent, deduped
+// by an idempotency key, and replayed strictly in enqueue order: a transient
+// failure (offline, timeout, 5xx) parks the head of the queue with backoff and
+// everything behind it waits, so the server never sees a strike before the
+// resolve that preceded it. A definite rejection (4xx) drops the entry - into
+// the failed list when nobody is awaiting it, so the HUD can say so.
+//
+// The key also travels with every send (as the Idempotency-Key header, see
+// universeApi.js): a request that timed out after the server applied it comes
+// back as a retry, and the server needs the key to tell that replay from a
+// second action. So a key names the occurrence - which anomaly, which strike -
+// never the attempt.
+//
+// Transport-agnostic on purpose: the senders are registered by name (see the
+// bottom of universeApi.js), which keeps this module importable under node for
+// tests, and means a persisted entry survives a reload - the name is the only
+// thing stored. Same subscribe/notify singleton pattern as settings.js.
+
+const STORAGE_KEY = "eternaverse:outbox";
+const BASE_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 60000;
+const RETRY_INTERVAL_MS = 15000;
+
+let handlers = {};
+let state = load();
+let flushing = null;
+const waiters = new Map(); // key -> { promise, resolve, reject } for live submitters
+const listeners = new Set();
+const deliveredListeners = new Set();
+
+function load() {
+  try {
+    const s = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (s && Array.isArray(s.queue)) {
+      return { queue: s.queue, failed: Array.isArray(s.failed) ? s.failed : [] };
+    }
+  } catch { /* first run / private mode */ }
+  return { queue: [], failed: [] };
+}
+
+function persist() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch {
+    // Storage unavailable - the queue still works for this session
+  }
+}
+
+function emit() {
+  const counts = getOutboxCounts();
+  listeners.forEach((fn) => {
+    try {
+      fn(counts);
+    } catch (err) {
+      console.error("outbox listener failed:", err);
+    }
+  });
+}
+
+const commit = () => {
+  persist();
+  emit();
+};
+
+/**
+ * How a failed send should be treated:
+ * - "retry": the server never answered or is briefly unable to (offline,
+ *   timeout, 408/429/5xx) - keep the entry and try again later.
+ * - "settled": the server already has it (409, "already resolved", a reward
+ *   cooldown) - a replay arriving twice is exactly what dedup is for.
+ * - "reject": the server looked at it and said no - retrying won't change that.
+ */
+export function classifyFailure(err) {
+  const res = err?.response;
+  if (!res) return "retry";
+  const { status } = res;
+  if (status >= 500 || status === 408 || status === 429) return "retry";
+  const message = res.data?.error || "";
+  if (status === 409 || res.data?.cooldown || /already/i.test(message)) return "settled";
+  return "reject";
+}
+
+export const backoffFor = (attempts) =>
+  Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** Math.max(0, attempts - 1));
+
+/**
+ * Register senders by action name: { name: (universeId, ...args, key) => Promise }.
+ * The entry's idempotency key is passed after its args, so queue the sender's
+ * full argument list.
+ */
+export function registerActionHandlers(map) {
+  handlers = { ...handlers, ...map };
+}
+
+export function getOutboxCounts() {
+  return { pending: state.queue.length, failed: state.failed.length };
+}
+
+/** Snapshot of queued and failed entries (for display / debugging). */
+export function getOutbox() {
+  return { queue: [...state.queue], failed: [...state.failed] };
+}
+
+/** Subscribe to count changes (fires immediately; returns an unsubscribe). */
+export function onOutboxChange(fn) {
+  listeners.add(fn);
+  fn(getOutboxCounts());
+  return () => listeners.delete(fn);
+}
+
+/**
+ * Subscribe to REPLAYED deliveries - entries that reached the server with
+ * nobody awaiting them (queued offline, or left over from a previous visit).
+ * Called with (entry, responseData).
+ */
+export function onOutboxDelivered(fn) {
+  deliveredListeners.add(fn);
+  return () => deliveredListeners.delete(fn);
+}
+
+function settle(entry, outcome, payload) {
+  const waiter = waiters.get(entry.key);
+  waiters.delete(entry.key);
+  if (outcome === "sent") {
+    if (waiter) waiter.resolve(payload);
+    else deliveredListeners.forEach((fn) => {
+      try {
+        fn(entry, payload);
+      } catch (err) {
+        console.error("outbox delivery listener failed:", err);
+      }
+    });
+    return;
+  }
+  if (waiter) {
+    waiter.reject(payload);
+    return;
+  }
+  if (outcome === "reject") {
+    state.failed.push({
+      ...entry,
+      error: payload?.response?.data?.error || payload?.message || "Rejected",
+      failedAt: Date.now(),
+    });
+  }
+}
+
+async function drain() {
+  for (;;) {
+    const entry = state.queue[0];
+    if (!entry) return;
+    // Order matters more than latency: a parked head holds everything behind it.
+    if ((entry.nextAttemptAt || 0) > Date.now()) return;
+    if (globalThis.navigator?.onLine === false) return;
+
+    const send = handlers[entry.kind];
+    if (!send) {
+      // A kind this build no longer knows (stale entry from an older client).
+      state.queue.shift();
+      settle(entry, "reject", new Error(`Unknown action ${entry.kind}`));
+      commit();
+      continue;
+    }
+
+    try {
+      const data = await send(entry.universeId, ...entry.args, entry.key);
+      state.queue.shift();
+      commit();
+      settle(entry, "sent", data);
+    } catch (err) {
+      const outcome = classifyFailure(err);
+      if (outcome === "retry") {
+        entry.attempts = (entry.attempts || 0) + 1;
+        entry.nextAttemptAt = Date.now() + backoffFor(entry.attempts);
+        entry.error = err?.message || "Network error";
+        commit();
+        return;
+      }
+      state.queue.shift();
+      settle(entry, outcome, err);
+      commit();
+    }
+  }
+}
+
+/** Replay queued actions in order. Concurrent calls share one pass. */
+export function flushOutbox() {
+  if (!flushing) flushing = drain().finally(() => { flushing = null; });
+  return flushing;
+}
+
+// The promise a submitter waits on for the entry under `key`: the server's
+// response if this pass delivers it, or null once the pass is over and the
+// entry is still parked. A second submit of the same key shares the first's.
+function awaitEntry(key) {
+  const pending = waiters.get(key);
+  if (pending) return pending.promise;
+  const waiter = {};
+  waiter.promise = new Promise((resolve, reject) => {
+    waiter.resolve = resolve;
+    waiter.reject = reject;
+  });
+  waiters.set(key, waiter);
+  // A pass already in flight may have looked at the queue before this entry
+  // joined it - give it a second look before calling it queued.
+  flushOutbox()
+    .then(() => (waiters.get(key) === waiter ? flushOutbox() : null))
+    .then(() => {
+      if (waiters.get(key) === waiter) {
+        waiters.delete(key);
+        waiter.resolve(null);
+      }
+    });
+  return waiter.promise;
+}
+
+/**
+ * Queue an action and try to send it now. Resolves with the server response
+ * if it went through on this pass, or null if it was queued for replay - the
+ * link is down or the server briefly unable, and the entry waits in the
+ * queue. Submitting a key that's already queued (a double press) waits on
+ * that entry instead of queueing another: it gets the same answer. Rejects
+ * with the server's error if the server refused it, so callers keep their
+ * existing error handling.
+ *
+ * Pass a key whenever the action isn't idempotent by itself: the fallback is
+ * unique per call, which dedups the queue but can't match a retry of the same
+ * occurrence submitted again.
+ */
+export function submitAction(kind, universeId, args = [], key = null) {
+  const idempotencyKey = key || `${kind}:${universeId}:${Date.now()}:${Math.random().toString(36).slice(2, 8)}`;
+  if (state.queue.some((e) => e.key === idempotencyKey)) return awaitEntry(idempotencyKey);
+
+  state.queue.push({
+    key: idempotencyKey,
+    kind,
+    universeId,
+    args,
+    enqueuedAt: Date.now(),
+    attempts: 0,
+    nextAttemptAt: 0,
+  });
+  commit();
+  return awaitEntry(idempotencyKey);
+}
+
+/** Put every failed entry back at the end of the queue and replay. */
+export function retryFailedActions() {
+  if (state.failed.length === 0) return flushOutbox();
+  state.queue.push(...state.failed.map((e) => ({
+    key: e.key, kind: e.kind, universeId: e.universeId, args: e.args,
+    enqueuedAt: e.enqueuedAt, attempts: 0, nextAttemptAt: 0,
+  })));
+  state.failed = [];
+  commit();
+  return flushOutbox();
+}
+
+export function clearFailedActions() {
+  state.failed = [];
+  commit();
+}
+
+/**
+ * The link is back: waiting out a backoff would be wrong now, so clear it
+ * and replay immediately.
+ */
+export function resumeOutbox() {
+  state.queue.forEach((e) => { e.nextAttemptAt = 0; });
+  return flushOutbox();
+}
+
+/**
+ * Replay on reconnect and on a slow timer (for backoff expiry). Returns a
+ * stop function. Safe to call more than once - each call owns its own timer.
+ */
+export function startOutbox() {
+  globalThis.addEventListener?.("online", resumeOutbox);
+  const timer = setInterval(flushOutbox, RETRY_INTERVAL_MS);
+  flushOutbox();
+  return () => {
+    globalThis.removeEventListener?.("online", resumeOutbox);
+    clearInterval(timer);
+  };
+}
@@ -0,0 +1,206 @@
+// src/api/actionOutbox.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { memory as mem } from "./mockStorage.js"; // before the module under test
+
+const fresh = async () => {
+  mem.clear();
+  return import(`./actionOutbox.js?bust=${Math.random()}`); // defeat module cache
+};
+
+const offline = () => Object.assign(new Error("Network Error"), { response: undefined });
+const http = (status, error) => Object.assign(new Error(error), { response: { status, data: { error } } });
+
+test("classifyFailure separates transient, settled and rejected failures", async () => {
+  const { classifyFailure } = await fresh();
+  assert.equal(classifyFailure(offline()), "retry");
+  assert.equal(classifyFailure(http(503, "down")), "retry");
+  assert.equal(classifyFailure(http(429, "slow down")), "retry");
+  assert.equal(classifyFailure(http(400, "Anomaly already resolved")), "settled");
+  assert.equal(classifyFailure(http(409, "conflict")), "settled");
+  assert.equal(classifyFailure(http(400, "Insufficient research")), "reject");
+});
+
+test("an online submit resolves with the server response and leaves nothing queued", async () => {
+  const ob = await fresh();
+  ob.registerActionHandlers({ resolve: async (uid, anomalyId) => ({ ok: true, uid, anomalyId }) });
+  const data = await ob.submitAction("resolve", "u1", ["a1"]);
+  assert.deepEqual(data, { ok: true, uid: "u1", anomalyId: "a1" });
+  assert.deepEqual(ob.getOutboxCounts(), { pending: 0, failed: 0 });
+});
+
+test("an offline submit is queued durably and replays in order once the link returns", async () => {
+  const ob = await fresh();
+  let online = false;
+  const sent = [];
+  ob.registerActionHandlers({
+    strike: async (uid, civId) => {
+      if (!online) throw offline();
+      sent.push(civId);
+      return { ok: true, civId };
+    },
+  });
+
+  assert.equal(await ob.submitAction("strike", "u1", ["civ-a"]), null);
+  // The head is parked on backoff now, so this one waits behind it rather
+  // than jumping the queue.
+  assert.equal(await ob.submitAction("strike", "u1", ["civ-b"]), null);
+  assert.equal(ob.getOutboxCounts().pending, 2);
+  assert.equal(JSON.parse(mem.get("eternaverse:outbox")).queue.length, 2, "persisted before sending");
+  assert.deepEqual(sent, []);
+
+  const delivered = [];
+  ob.onOutboxDelivered((entry, data) => delivered.push(data.civId));
+  online = true;
+  await ob.resumeOutbox();
+  assert.deepEqual(sent, ["civ-a", "civ-b"], "replayed in enqueue order");
+  assert.deepEqual(delivered, ["civ-a", "civ-b"], "replays reach the delivery listeners");
+  assert.equal(ob.getOutboxCounts().pending, 0);
+});
+
+test("duplicate idempotency keys are queued once", async () => {
+  const ob = await fresh();
+  let calls = 0;
+  ob.registerActionHandlers({ resolveMinor: async () => { calls += 1; throw offline(); } });
+  await ob.submitAction("resolveMinor", "u1", ["0:0:1"], "minor:u1:0:0:1");
+  await ob.submitAction("resolveMinor", "u1", ["0:0:1"], "minor:u1:0:0:1");
+  assert.equal(ob.getOutboxCounts().pending, 1);
+  assert.equal(calls, 1);
+});
+
+test("every send carries the entry's idempotency key, retries included", async () => {
+  const ob = await fresh();
+  let online = false;
+  const keys = [];
+  ob.registerActionHandlers({
+    strike: async (uid, civId, kills, defendingCivId, key) => {
+      keys.push(key);
+      // Timed out after the server applied it - the retry must say so.
+      if (!online) throw offline();
+      return { ok: true };
+    },
+  });
+  await ob.submitAction("strike", "u1", ["civ-a", 3, undefined], "strike:u1:v1:1");
+  online = true;
+  await ob.resumeOutbox();
+  assert.deepEqual(keys, ["strike:u1:v1:1", "strike:u1:v1:1"]);
+});
+
+test("a double submit while the first is in flight shares its answer, not a queued null", async () => {
+  const ob = await fresh();
+  let calls = 0;
+  let answer;
+  ob.registerActionHandlers({
+    resolve: () => {
+      calls += 1;
+      return new Promise((resolve) => { answer = resolve; });
+    },
+  });
+  const first = ob.submitAction("resolve", "u1", ["a1"], "resolveAnomaly:u1:a1");
+  const second = ob.submitAction("resolve", "u1", ["a1"], "resolveAnomaly:u1:a1");
+  answer({ ok: true });
+  assert.deepEqual(await first, { ok: true });
+  assert.deepEqual(await second, { ok: true }, "the link is up - nothing was queued");
+  assert.equal(calls, 1);
+});
+
+test("a live rejection rethrows to the caller; a replayed one lands in the failed list", async () => {
+  const ob = await fresh();
+  let online = false;
+  ob.registerActionHandlers({
+    claim: async () => {
+      if (!online) throw offline();
+      throw http(400, "Unknown event kind");
+    },
+  });
+
+  // Live: the server refuses right away - the caller sees the error.
+  online = true;
+  await assert.rejects(ob.submitAction("claim", "u1", ["comet"]), /Unknown event kind/);
+  assert.deepEqual(ob.getOutboxCounts(), { pending: 0, failed: 0 });
+
+  // Replayed: nobody is waiting, so the HUD has to carry it.
+  online = false;
+  await ob.submitAction("claim", "u1", ["comet"]);
+  online = true;
+  await ob.resumeOutbox();
+  assert.deepEqual(ob.getOutboxCounts(), { pending: 0, failed: 1 });
+  assert.equal(ob.getOutbox().failed[0].error, "Unknown event kind");
+
+  ob.clearFailedActions();
+  assert.equal(ob.getOutboxCounts().failed, 0);
+});
+
+test("retrying failed entries replays them under their original keys", async () => {
+  const ob = await fresh();
+  let refuse = true;
+  let online = false;
+  const keys = [];
+  ob.registerActionHandlers({
+    claim: async (uid, kind, key) => {
+      if (!online) throw offline();
+      if (refuse) throw http(400, "Event not live");
+      keys.push(key);
+      return { ok: true };
+    },
+  });
+  await ob.submitAction("claim", "u1", ["comet"], "eventReward:u1:v1:4:comet");
+  online = true;
+  await ob.resumeOutbox();
+  assert.equal(ob.getOutboxCounts().failed, 1);
+
+  const delivered = [];
+  ob.onOutboxDelivered((entry) => delivered.push(entry.key));
+  refuse = false;
+  await ob.retryFailedActions();
+  assert.deepEqual(ob.getOutboxCounts(), { pending: 0, failed: 0 });
+  assert.deepEqual(keys, ["eventReward:u1:v1:4:comet"]);
+  assert.deepEqual(delivered, keys, "a retried entry is delivered like any replay");
+});
+
+test("settled failures (already resolved on the server) are dropped quietly", async () => {
+  const ob = await fresh();
+  let online = false;
+  ob.registerActionHandlers({
+    resolve: async () => {
+      if (!online) throw offline();
+      throw http(400, "Anomaly already resolved");
+    },
+  });
+  await ob.submitAction("resolve", "u1", ["a1"]);
+  online = true;
+  await ob.resumeOutbox();
+  assert.deepEqual(ob.getOutboxCounts(), { pending: 0, failed: 0 });
+});
+
+test("a queue left by a previous visit is picked up on load", async () => {
+  mem.clear();
+  mem.set("eternaverse:outbox", JSON.stringify({
+    queue: [{ key: "k1", kind: "bombard", universeId: "u1", args: ["civ-a", 2], attempts: 3, nextAttemptAt: 0 }],
+    failed: [],
+  }));
+  const ob = await import(`./actionOutbox.js?bust=${Math.random()}`);
+  const got = [];
+  ob.registerActionHandlers({ bombard: async (uid, civId, runs) => { got.push([uid, civId, runs]); return { ok: true }; } });
+  await ob.flushOutbox();
+  assert.deepEqual(got, [["u1", "civ-a", 2]]);
+  assert.equal(ob.getOutboxCounts().pending, 0);
+});
+
+test("onOutboxChange fires with live counts", async () => {
+  const ob = await fresh();
+  ob.registerActionHandlers({ x: async () => { throw offline(); } });
+  let seen = null;
+  const off = ob.onOutboxChange((c) => { seen = c; });
+  assert.deepEqual(seen, { pending: 0, failed: 0 });
+  await ob.submitAction("x", "u1", []);
+  assert.equal(seen.pending, 1);
+  off();
+});
+
+test("backoff doubles per attempt and is capped", async () => {
+  const { backoffFor } = await fresh();
+  assert.equal(backoffFor(1), 2000);
+  assert.equal(backoffFor(2), 4000);
+  assert.equal(backoffFor(20), 60000);
+});
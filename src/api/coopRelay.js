@@ -0,0 +1,147 @@
+// src/api/coopRelay.js
+//
+// Relay channel for co-op containment (game/minigames/coop.js): two wardens
+// in the same universe, at the same anomaly, meet in the relay room named for
+// it. The relay doesn't know the game. It seats whoever joins - seat 0 first,
+// seat 1 second, a third is turned away - and forwards every other frame to
+// the partner as-is.
+//
+// Relay → client frames, beside whatever the partner sent:
+//   { type: "joined", seat, session, peers }  - seated; peers is 0 or 1
+//   { type: "peer-joined" } / { type: "peer-left" }
+//   { type: "full" }                          - room taken, socket closes
+//
+// `session` names the pairing; both wardens quote it to resolveAnomaly so the
+// server can credit the two of them for one run. There's no reconnect: a run
+// is seconds long, and a lost link is reported to listeners as the partner
+// leaving, which the game already handles. mockRelayServer.js is an
+// in-process relay speaking this protocol, for tests.
+
+export const COOP_STATUS = {
+  CONNECTING: "connecting",
+  WAITING: "waiting", // seated, no partner yet
+  PAIRED: "paired",
+  CLOSED: "closed",
+};
+
+export class CoopChannel {
+  /**
+   * @param {object} opts
+   * @param {string} opts.url - relay room URL (see getCoopRelayUrl)
+   * @param {(status: string) => void} [opts.onStatusChange]
+   * @param {Function} [opts.WebSocketImpl] - defaults to the browser's WebSocket
+   */
+  constructor({ url, onStatusChange, WebSocketImpl = globalThis.WebSocket }) {
+    this.url = url;
+    this.onStatusChange = onStatusChange;
+    this.WebSocketImpl = WebSocketImpl;
+    this.status = COOP_STATUS.CLOSED;
+    this.socket = null;
+    this.seat = null;
+    this.session = null;
+    this.listeners = new Set();
+  }
+
+  setStatus(status) {
+    if (this.status === status) return;
+    this.status = status;
+    this.onStatusChange?.(status);
+  }
+
+  open() {
+    if (this.socket) return;
+    if (!this.WebSocketImpl || !this.url) {
+      this.setStatus(COOP_STATUS.CLOSED);
+      return;
+    }
+    this.setStatus(COOP_STATUS.CONNECTING);
+    let socket;
+    try {
+      socket = new this.WebSocketImpl(this.url);
+    } catch {
+      this.setStatus(COOP_STATUS.CLOSED);
+      return;
+    }
+    this.socket = socket;
+    socket.onopen = () => this.send({ type: "join" });
+    socket.onmessage = (ev) => this.handleMessage(ev);
+    // An error is always followed by a close; the close does the work.
+    socket.onerror = () => {};
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      const wasPaired = this.status === COOP_STATUS.PAIRED;
+      this.teardown();
+      if (wasPaired) this.emit({ type: "peer-left" });
+    };
+  }
+
+  /** Every frame from the relay or the partner; returns an unsubscribe. */
+  listen(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+
+  send(msg) {
+    try {
+      this.socket?.send(JSON.stringify(msg));
+    } catch {
+      // Socket mid-close - the close handler takes it from here.
+    }
+  }
+
+  handleMessage(ev) {
+    let msg;
+    try {
+      msg = JSON.parse(ev.data);
+    } catch {
+      return; // not ours
+    }
+    if (!msg?.type || msg.type === "ping") return;
+    switch (msg.type) {
+      case "joined":
+        this.seat = msg.seat;
+        this.session = msg.session ?? null;
+        this.setStatus(msg.peers > 0 ? COOP_STATUS.PAIRED : COOP_STATUS.WAITING);
+        break;
+      case "peer-joined":
+        this.setStatus(COOP_STATUS.PAIRED);
+        break;
+      case "peer-left":
+        this.setStatus(COOP_STATUS.WAITING);
+        break;
+      default:
+        break;
+    }
+    this.emit(msg);
+    if (msg.type === "full") this.teardown();
+  }
+
+  emit(msg) {
+    this.listeners.forEach((fn) => {
+      try {
+        fn(msg);
+      } catch (err) {
+        console.error("co-op listener failed:", err);
+      }
+    });
+  }
+
+  teardown() {
+    const socket = this.socket;
+    this.socket = null;
+    if (socket) {
+      socket.onopen = socket.onmessage = socket.onclose = socket.onerror = null;
+      try {
+        socket.close();
+      } catch {
+        /* already closed */
+      }
+    }
+    this.setStatus(COOP_STATUS.CLOSED);
+  }
+
+  close() {
+    this.teardown();
+    this.listeners.clear();
+  }
+}
@@ -0,0 +1,81 @@
+// src/api/coopRelay.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setImmediate } from "node:timers/promises";
+import { CoopChannel, COOP_STATUS } from "./coopRelay.js";
+import { MockRelayServer } from "./mockRelayServer.js";
+
+const settle = () => setImmediate();
+const ROOM = "ws://test/universe/u1/coop/a1";
+
+const join = (relay, url = ROOM) => {
+  const log = { messages: [], statuses: [] };
+  const channel = new CoopChannel({
+    url,
+    WebSocketImpl: relay.WebSocket,
+    onStatusChange: (s) => log.statuses.push(s),
+  });
+  channel.listen((m) => log.messages.push(m));
+  channel.open();
+  return { channel, log };
+};
+
+test("the first warden waits in the room, the second pairs them up", async () => {
+  const relay = new MockRelayServer();
+  const a = join(relay);
+  await settle();
+  assert.equal(a.channel.status, COOP_STATUS.WAITING);
+  assert.equal(a.channel.seat, 0);
+
+  const b = join(relay);
+  await settle();
+  assert.equal(b.channel.seat, 1);
+  assert.equal(a.channel.status, COOP_STATUS.PAIRED);
+  assert.equal(b.channel.status, COOP_STATUS.PAIRED);
+  assert.equal(a.channel.session, b.channel.session, "one session names the pairing");
+  assert.deepEqual(a.log.statuses, [COOP_STATUS.CONNECTING, COOP_STATUS.WAITING, COOP_STATUS.PAIRED]);
+});
+
+test("frames go to the partner only, untouched", async () => {
+  const relay = new MockRelayServer();
+  const a = join(relay);
+  const b = join(relay);
+  const elsewhere = join(relay, "ws://test/universe/u1/coop/a2");
+  await settle();
+
+  a.channel.send({ type: "input", tick: 4, mask: 1, x: 0, y: 0 });
+  await settle();
+  assert.deepEqual(b.log.messages.at(-1), { type: "input", tick: 4, mask: 1, x: 0, y: 0 });
+  assert.equal(a.log.messages.some((m) => m.type === "input"), false);
+  assert.equal(elsewhere.log.messages.some((m) => m.type === "input"), false);
+});
+
+test("a third warden is turned away", async () => {
+  const relay = new MockRelayServer();
+  join(relay);
+  join(relay);
+  const c = join(relay);
+  await settle();
+  assert.equal(c.log.messages.at(-1).type, "full");
+  assert.equal(c.channel.status, COOP_STATUS.CLOSED);
+});
+
+test("a partner leaving, or the link dying, reads as the partner leaving", async () => {
+  const relay = new MockRelayServer();
+  const a = join(relay);
+  const b = join(relay);
+  await settle();
+
+  b.channel.close();
+  await settle();
+  assert.equal(a.log.messages.at(-1).type, "peer-left");
+  assert.equal(a.channel.status, COOP_STATUS.WAITING);
+
+  const c = join(relay);
+  await settle();
+  assert.equal(c.channel.seat, 1, "the empty seat is taken again");
+  relay.drop(ROOM, 1);
+  await settle();
+  assert.equal(c.log.messages.at(-1).type, "peer-left");
+  assert.equal(c.channel.status, COOP_STATUS.CLOSED);
+});
@@ -0,0 +1,99 @@
+// src/api/mockRelayServer.js
+//
+// In-process stand-in for the co-op relay (coopRelay.js), for tests - the
+// same trick as mockUniverseServer.js: `relay.WebSocket` is a WebSocket-
+// compatible class wired straight to this object. Rooms are keyed by socket
+// URL, seat two wardens each, and forward everything but "join" to the
+// partner.
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+export class MockRelayServer {
+  constructor() {
+    this.rooms = new Map(); // url -> [seat 0 socket, seat 1 socket]
+    this.sessions = 0;
+    this.forwarded = []; // every forwarded frame, parsed, in order
+
+    const relay = this;
+    this.WebSocket = class MockSocket {
+      constructor(url) {
+        this.url = url;
+        this.readyState = CONNECTING;
+        this.onopen = this.onmessage = this.onclose = this.onerror = null;
+        queueMicrotask(() => {
+          if (this.readyState !== CONNECTING) return;
+          this.readyState = OPEN;
+          this.onopen?.({});
+        });
+      }
+
+      send(data) {
+        if (this.readyState !== OPEN) throw new Error("socket not open");
+        const msg = JSON.parse(data);
+        if (msg.type === "join") relay.join(this);
+        else relay.forward(this, msg);
+      }
+
+      close() {
+        if (this.readyState === CLOSED) return;
+        this.readyState = CLOSED;
+        relay.leave(this);
+        this.onclose?.({ code: 1000 });
+      }
+    };
+  }
+
+  room(url) {
+    if (!this.rooms.has(url)) this.rooms.set(url, { seats: [null, null], session: null });
+    return this.rooms.get(url);
+  }
+
+  join(socket) {
+    const room = this.room(socket.url);
+    const seat = room.seats.indexOf(null);
+    if (seat === -1) {
+      this.deliver(socket, { type: "full" });
+      return;
+    }
+    if (!room.seats.some(Boolean)) room.session = `session-${++this.sessions}`;
+    room.seats[seat] = socket;
+    const partner = room.seats[1 - seat];
+    this.deliver(socket, { type: "joined", seat, session: room.session, peers: partner ? 1 : 0 });
+    if (partner) this.deliver(partner, { type: "peer-joined" });
+  }
+
+  forward(socket, msg) {
+    const room = this.room(socket.url);
+    const seat = room.seats.indexOf(socket);
+    const partner = seat === -1 ? null : room.seats[1 - seat];
+    if (!partner) return;
+    this.forwarded.push(msg);
+    this.deliver(partner, msg);
+  }
+
+  leave(socket) {
+    const room = this.room(socket.url);
+    const seat = room.seats.indexOf(socket);
+    if (seat === -1) return;
+    room.seats[seat] = null;
+    const partner = room.seats[1 - seat];
+    if (partner) this.deliver(partner, { type: "peer-left" });
+  }
+
+  deliver(socket, msg) {
+    queueMicrotask(() => {
+      if (socket.readyState === OPEN) socket.onmessage?.({ data: JSON.stringify(msg) });
+    });
+  }
+
+  /** Drop one seat's link the way a dead network would (code 1006). */
+  drop(url, seat) {
+    const socket = this.room(url).seats[seat];
+    if (!socket) return;
+    socket.readyState = CLOSED;
+    this.leave(socket);
+    socket.onclose?.({ code: 1006 });
+  }
+}
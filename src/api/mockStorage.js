@@ -0,0 +1,13 @@
+// src/api/mockStorage.js
+//
+// In-memory localStorage for tests - node has none. Importing this installs
+// it, so import it ahead of the module under test; `memory` is the Map
+// behind it, for a test to seed, read or clear.
+
+export const memory = new Map();
+
+globalThis.localStorage = {
+  getItem: (k) => (memory.has(k) ? memory.get(k) : null),
+  setItem: (k, v) => memory.set(k, String(v)),
+  removeItem: (k) => memory.delete(k),
+};
@@ -0,0 +1,90 @@
+// src/api/mockUniverseServer.js
+//
+// In-process stand-in for the universe push server, for tests. It hands out a
+// WebSocket-compatible class (pass `server.WebSocket` as UniverseStream's
+// WebSocketImpl) whose sockets are wired straight to this object - no port, no
+// network, no extra dependency - and speaks the same protocol as the real
+// endpoint: a subscribe is answered with a snapshot, then whatever the test
+// push()es arrives as it would from the backend. A resync request is answered
+// with a snapshot too.
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+export class MockUniverseServer {
+  /** @param {object} [universe] - what a subscribe's snapshot carries */
+  constructor(universe = null) {
+    this.universe = universe;
+    this.accepting = true;
+    this.sockets = new Set();
+    this.received = []; // every client frame, parsed, in order
+    this.connections = 0;
+
+    const server = this;
+    this.WebSocket = class MockSocket {
+      constructor(url) {
+        this.url = url;
+        this.readyState = CONNECTING;
+        this.onopen = this.onmessage = this.onclose = this.onerror = null;
+        server.connections += 1;
+        // Real sockets open (or fail) asynchronously - so does this one.
+        queueMicrotask(() => server.handshake(this));
+      }
+
+      send(data) {
+        if (this.readyState !== OPEN) throw new Error("socket not open");
+        const msg = JSON.parse(data);
+        server.received.push(msg);
+        if ((msg.type === "subscribe" || msg.type === "resync") && server.universe) {
+          server.deliver(this, { type: "snapshot", universe: server.universe });
+        }
+      }
+
+      close() {
+        if (this.readyState === CLOSED) return;
+        this.readyState = CLOSED;
+        server.sockets.delete(this);
+        this.onclose?.({ code: 1000 });
+      }
+    };
+  }
+
+  handshake(socket) {
+    if (socket.readyState !== CONNECTING) return;
+    if (!this.accepting) {
+      socket.readyState = CLOSED;
+      socket.onerror?.({});
+      socket.onclose?.({ code: 1006 });
+      return;
+    }
+    socket.readyState = OPEN;
+    this.sockets.add(socket);
+    socket.onopen?.({});
+  }
+
+  deliver(socket, msg) {
+    queueMicrotask(() => {
+      if (socket.readyState === OPEN) socket.onmessage?.({ data: JSON.stringify(msg) });
+    });
+  }
+
+  /** Push a message to every connected client. */
+  push(msg) {
+    this.sockets.forEach((socket) => this.deliver(socket, msg));
+  }
+
+  /** Drop every connection the way a dead network would (code 1006). */
+  drop() {
+    [...this.sockets].forEach((socket) => {
+      socket.readyState = CLOSED;
+      this.sockets.delete(socket);
+      socket.onclose?.({ code: 1006 });
+    });
+  }
+
+  /** Refuse (false) or accept (true) new connections. */
+  setAccepting(accepting) {
+    this.accepting = accepting;
+  }
+}
@@ -1,13 +1,17 @@
 import axios from "axios";
+import { registerActionHandlers } from "./actionOutbox";
 
 const API_URL = `${import.meta.env.VITE_API_URL}/universe`;
 
-// Get the auth token from localStorage
-const getAuthHeaders = () => {
+// Get the auth token from localStorage. Outbox senders also pass the queued
+// entry's idempotency key, so a retry of a request the server already applied
+// is recognised instead of applied twice.
+const getAuthHeaders = (idempotencyKey = null) => {
   const token = localStorage.getItem("token");
   return {
     headers: {
-      Authorization: token ? `Bearer ${token}` : ""
+      Authorization: token ? `Bearer ${token}` : "",
+      ...(idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {}),
     }
   };
 };
@@ -27,11 +31,12 @@ export const createUniverse = async (universeData) => {
 };
 
 // Get a single universe by id. Also returns previousVisit ({at, age}) for
-// the "while you were away" digest - the server stamps the new visit.
+// the "while you were away" digest - the server stamps the new visit - and
+// minigameSkill, the warden's verified run history (minigames/skillModel.js).
 export const getUniverse = async (universeId) => {
   try {
     const res = await axios.get(`${API_URL}/${universeId}`, getAuthHeaders());
-    return { ...res.data.universe, previousVisit: res.data.previousVisit };
+    return { ...res.data.universe, previousVisit: res.data.previousVisit, minigameSkill: res.data.minigameSkill };
   } catch (error) {
     console.error(
       "Error fetching universe:",
@@ -88,14 +93,44 @@ export const simulateUniverse = async (universeId, playerPosition) => {
   }
 };
 
+// WebSocket endpoint for live universe pushes (see universeStream.js).
+// Browsers can't set headers on a socket handshake, so the token rides the
+// query string instead of the Authorization header.
+export const getUniverseStreamUrl = (universeId) => {
+  const url = new URL(`${API_URL}/${universeId}/stream`, window.location.href);
+  url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  const token = localStorage.getItem("token");
+  if (token) url.searchParams.set("token", token);
+  return url.toString();
+};
+
+// Co-op relay room for one anomaly (see coopRelay.js); the token rides the
+// query string, as for the stream.
+export const getCoopRelayUrl = (universeId, anomalyId) => {
+  const url = new URL(`${API_URL}/${universeId}/coop/${encodeURIComponent(anomalyId)}`, window.location.href);
+  url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  const token = localStorage.getItem("token");
+  if (token) url.searchParams.set("token", token);
+  return url.toString();
+};
+
 // Resolve a backend anomaly; accuracy (0-100) is the minigame performance
-// grade that scales the reward server-side.
-export const resolveAnomaly = async (universeId, anomalyId, accuracy) => {
+// grade that scales the reward server-side. The transcript is the minigame
+// run it came from (game/minigames/transcript.js), so the server can re-run
+// it and check the accuracy rather than take it on trust - and that it was
+// played at the challenge level the server's own record of this warden's
+// grades calls for (minigames/skillModel.js). The response carries that
+// record, the run counted in it, as minigameSkill. A slow-motion run's
+// transcript carries its timeScale, but pays as any other run does
+// (minigames/assist.js). A co-op run passes
+// `coop` ({ session, seat } from the relay): both wardens report the same
+// two-seat transcript, and each is credited once.
+export const resolveAnomaly = async (universeId, anomalyId, accuracy, transcript = null, coop = null, idempotencyKey = null) => {
   try {
     const res = await axios.post(
       `${API_URL}/${universeId}/resolve-anomaly`,
-      { anomalyId, accuracy },
-      getAuthHeaders()
+      { anomalyId, accuracy, transcript, coop },
+      getAuthHeaders(idempotencyKey)
     );
     return res.data;
   } catch (error) {
@@ -109,12 +144,12 @@ export const resolveAnomaly = async (universeId, anomalyId, accuracy) => {
 
 // Record scan discoveries (batch). Server dedups and computes research
 // value; duplicates in the response are normal after retries.
-export const submitDiscoveries = async (universeId, discoveries) => {
+export const submitDiscoveries = async (universeId, discoveries, idempotencyKey = null) => {
   try {
     const res = await axios.post(
       `${API_URL}/${universeId}/discoveries`,
       { discoveries },
-      getAuthHeaders()
+      getAuthHeaders(idempotencyKey)
     );
     return res.data;
   } catch (error) {
@@ -127,13 +162,15 @@ export const submitDiscoveries = async (universeId, discoveries) => {
 };
 
 // Resolve a MINOR (chunk-seeded) anomaly - server validates the
-// deterministic id, dedups, and computes rewards + mission credit.
-export const resolveMinorAnomaly = async (universeId, anomalyId, severity, accuracy) => {
+// deterministic id, dedups, and computes rewards + mission credit. The
+// transcript backs the accuracy, and the response carries minigameSkill, as
+// for resolveAnomaly.
+export const resolveMinorAnomaly = async (universeId, anomalyId, severity, accuracy, transcript = null, idempotencyKey = null) => {
   try {
     const res = await axios.post(
       `${API_URL}/${universeId}/resolve-minor`,
-      { anomalyId, severity, accuracy },
-      getAuthHeaders()
+      { anomalyId, severity, accuracy, transcript },
+      getAuthHeaders(idempotencyKey)
     );
     return res.data;
   } catch (error) {
@@ -147,12 +184,12 @@ export const resolveMinorAnomaly = async (universeId, anomalyId, severity, accur
 
 // Claim a live cosmic event reward (supernova/comet/derelict) - the server
 // rate-limits per event kind.
-export const claimEventReward = async (universeId, kind) => {
+export const claimEventReward = async (universeId, kind, idempotencyKey = null) => {
   try {
     const res = await axios.post(
       `${API_URL}/${universeId}/event-reward`,
       { kind },
-      getAuthHeaders()
+      getAuthHeaders(idempotencyKey)
     );
     return res.data;
   } catch (error) {
@@ -181,12 +218,12 @@ export const setDoctrine = async (universeId, doctrine) => {
 
 // Register the loss of the player's vessel - the death penalty. The server
 // applies a stability hit + time-skip and returns the drifted universe.
-export const registerVesselLost = async (universeId) => {
+export const registerVesselLost = async (universeId, idempotencyKey = null) => {
   try {
     const res = await axios.post(
       `${API_URL}/${universeId}/vessel-lost`,
       {},
-      getAuthHeaders()
+      getAuthHeaders(idempotencyKey)
     );
     return res.data;
   } catch (error) {
@@ -233,9 +270,12 @@ export const devAction = async (universeId, action, payload = {}) => {
   }
 };
 
-// First Contact action (observe / uplift / pacify). Costs, rewards, and the
-// uplift backfire roll are all server-side; the response carries the updated
-// universe plus an outcome message for the panel.
+// First Contact action (observe / uplift / pacify / pact / dissolvePact).
+// Costs, rewards, and the uplift backfire roll are all server-side; the
+// response carries the updated universe plus an outcome message for the
+// panel. A pact is kept on the civ as `defensePact`; the server judges it
+// honoured or betrayed as the sieges it's called for play out, and writes
+// that into the Chronicle (pact_honoured / pact_betrayed events).
 export const contactCivilization = async (universeId, civId, action) => {
   try {
     const res = await axios.post(
@@ -308,12 +348,12 @@ export const purchaseUpgrade = async (universeId, track) => {
 // Report destroyed civilization vessels. The server owns the consequences:
 // how far that people's regard falls, and whether a war tips because you
 // broke a siege.
-export const reportWarStrike = async (universeId, civId, kills, defendingCivId) => {
+export const reportWarStrike = async (universeId, civId, kills, defendingCivId, idempotencyKey = null) => {
   try {
     const res = await axios.post(
       `${API_URL}/${universeId}/war-strike`,
       { civId, kills, defendingCivId },
-      getAuthHeaders()
+      getAuthHeaders(idempotencyKey)
     );
     return res.data;
   } catch (error) {
@@ -327,12 +367,12 @@ export const reportWarStrike = async (universeId, civId, kills, defendingCivId)
 
 // Report bombardment runs the player failed to stop. The server decides what
 // they cost the world below - and whether it survives them at all.
-export const reportBombardment = async (universeId, civId, runs, attackerCivId) => {
+export const reportBombardment = async (universeId, civId, runs, attackerCivId, idempotencyKey = null) => {
   try {
     const res = await axios.post(
       `${API_URL}/${universeId}/bombard`,
       { civId, runs, attackerCivId },
-      getAuthHeaders()
+      getAuthHeaders(idempotencyKey)
     );
     return res.data;
   } catch (error) {
@@ -344,6 +384,25 @@ export const reportBombardment = async (universeId, civId, runs, attackerCivId)
   }
 };
 
+// Report escort ships lost flying with the player. The server decides how
+// much that people's regard falls - they lent you those crews.
+export const reportEscortLost = async (universeId, civId, lost, idempotencyKey = null) => {
+  try {
+    const res = await axios.post(
+      `${API_URL}/${universeId}/escort-lost`,
+      { civId, lost },
+      getAuthHeaders(idempotencyKey)
+    );
+    return res.data;
+  } catch (error) {
+    console.error(
+      "Error reporting escort loss:",
+      error.response?.data || error.message
+    );
+    throw error;
+  }
+};
+
 // Prune old resolved anomalies from the universe document
 export const cleanupAnomalies = async (universeId, keepRecentMinutes = 60) => {
   try {
@@ -361,3 +420,19 @@ export const cleanupAnomalies = async (universeId, keepRecentMinutes = 60) => {
     throw error;
   }
 };
+
+// Actions the outbox (actionOutbox.js) may queue and replay. These are the
+// things the player DID in the world - a containment, a firefight, a death -
+// which can't be redone if the request is lost. The names are persisted with
+// each queued entry, so renaming one strands whatever was queued under it.
+// Each takes the entry's idempotency key last, after its full argument list.
+registerActionHandlers({
+  resolveAnomaly,
+  resolveMinorAnomaly,
+  submitDiscoveries,
+  claimEventReward,
+  registerVesselLost,
+  reportWarStrike,
+  reportBombardment,
+  reportEscortLost,
+});
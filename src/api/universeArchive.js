@@ -0,0 +1,231 @@
+// src/api/universeArchive.js
+//
+// Universe archives: a universe taken out of the app as a file, and the local
+// museum imported archives are kept in.
+//
+// An archive is versioned JSON holding what makes a universe that universe -
+// its seed (the whole procedural world follows from it), constants, current
+// state, civilizations, recorded history, discoveries and legacy - plus the
+// warden's local progress (wardenProgress.js) at the time it was taken, since
+// a Legacy is only half the story without the warden who earned it.
+//
+// Importing never touches the server or the local warden: a valid archive
+// becomes a read-only museum copy, stored in localStorage and viewable from
+// the Dashboard after the original is long deleted. Same subscribe/notify
+// singleton pattern as settings.js.
+
+export const ARCHIVE_KIND = "eternaverse/universe-archive";
+export const ARCHIVE_VERSION = 1;
+
+const MUSEUM_KEY = "eternaverse:museum";
+
+// The universe fields an archive carries, and the shape each must have - all
+// the way down to what the museum renders, since a copy that passed import is
+// shown on every Dashboard load after it.
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isFiniteNumber = (v) => typeof v === "number" && Number.isFinite(v);
+const arrayOf = (valid) => (v) => Array.isArray(v) && v.every(valid);
+const isEvent = (e) => isObject(e) && typeof e.type === "string" && typeof e.description === "string";
+// The currentState numbers the museum and the import preview read.
+const STATE_NUMBERS = ["age", "stabilityIndex", "galaxyCount", "starCount"];
+const UNIVERSE_FIELDS = {
+  seed: (v) => typeof v === "string" || typeof v === "number",
+  constants: isObject,
+  currentState: (v) => isObject(v) && STATE_NUMBERS.every((k) => v[k] === undefined || isFiniteNumber(v[k])),
+  civilizations: arrayOf(isObject),
+  significantEvents: arrayOf(isEvent),
+  discoveries: arrayOf(isObject),
+  legacy: (v) => v === null || typeof v === "object",
+};
+// The warden slice is optional, and so is each of these in it; present, they
+// must be what wardenProgress.js writes.
+const WARDEN_FIELDS = {
+  rank: (v) => typeof v === "string",
+  ascensions: isFiniteNumber,
+  memoriesRecovered: Array.isArray,
+};
+
+/** A universe (as getUniverse returns it) and the warden slice -> an archive. */
+export function buildArchive(universe, warden = null, exportedAt = new Date().toISOString()) {
+  return {
+    kind: ARCHIVE_KIND,
+    v: ARCHIVE_VERSION,
+    exportedAt,
+    universe: {
+      sourceId: universe._id ?? null,
+      name: universe.name ?? "Unnamed universe",
+      difficulty: universe.difficulty ?? null,
+      status: universe.status ?? null,
+      seed: universe.seed,
+      constants: universe.constants ?? {},
+      currentState: universe.currentState ?? {},
+      civilizations: universe.civilizations ?? [],
+      significantEvents: universe.significantEvents ?? [],
+      discoveries: universe.discoveries ?? [],
+      legacy: universe.legacy ?? null,
+    },
+    warden,
+  };
+}
+
+export function encodeArchive(archive) {
+  return JSON.stringify(archive, null, 2);
+}
+
+/** Parse an archive file's text. Throws, with a reason fit to show, on anything this build can't read. */
+export function decodeArchive(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error("Not a universe archive");
+  }
+  return validateArchive(raw);
+}
+
+/** Check a parsed archive against the schema; returns it (warden defaulted) or throws, as decodeArchive. */
+export function validateArchive(raw) {
+  if (!isObject(raw) || raw.kind !== ARCHIVE_KIND || !isObject(raw.universe)) {
+    throw new Error("Not a universe archive");
+  }
+  if (raw.v !== ARCHIVE_VERSION) {
+    throw new Error(`Archive format v${raw.v} is not supported (expected v${ARCHIVE_VERSION})`);
+  }
+  for (const [field, valid] of Object.entries(UNIVERSE_FIELDS)) {
+    if (!(field in raw.universe) || !valid(raw.universe[field])) {
+      throw new Error(`Archive is damaged: "${field}" is missing or malformed`);
+    }
+  }
+  if (typeof raw.universe.name !== "string" || Number.isNaN(Date.parse(raw.exportedAt))) {
+    throw new Error("Archive is damaged: no name or export date");
+  }
+  if (raw.warden !== null && raw.warden !== undefined) {
+    if (!isObject(raw.warden)) throw new Error('Archive is damaged: "warden" is malformed');
+    for (const [field, valid] of Object.entries(WARDEN_FIELDS)) {
+      if (field in raw.warden && !valid(raw.warden[field])) {
+        throw new Error(`Archive is damaged: "warden.${field}" is malformed`);
+      }
+    }
+  }
+  return { ...raw, warden: raw.warden ?? null };
+}
+
+// What the import preview compares, read off an archive's universe + warden.
+const DIFF_ROWS = [
+  ["Age (Gyr)", (u) => +((u.currentState?.age ?? 0) / 1e9).toFixed(2)],
+  ["Stability", (u) => `${((u.currentState?.stabilityIndex ?? 0) * 100).toFixed(1)}%`],
+  ["Galaxies", (u) => u.currentState?.galaxyCount ?? 0],
+  ["Civilizations", (u) => (u.civilizations ?? []).length],
+  ["Recorded events", (u) => (u.significantEvents ?? []).length],
+  ["Discoveries", (u) => (u.discoveries ?? []).length],
+  ["Legacy", (u) => (u.legacy ? "recorded" : "none")],
+  ["Warden ascensions", (u, w) => w?.ascensions ?? 0],
+];
+
+/**
+ * Rows for the import preview: each compared value as the archive has it
+ * (`after`) beside what it's compared against (`before`) - the live universe
+ * it was taken from, if you still have it, or a museum copy of it you already
+ * hold. `before` is null with nothing to compare.
+ */
+export function archiveDiff(archive, against = null) {
+  return DIFF_ROWS.map(([label, read]) => {
+    const after = read(archive.universe, archive.warden);
+    const before = against ? read(against.universe, against.warden) : null;
+    return { label, before, after, changed: against ? before !== after : true };
+  });
+}
+
+// ---- The museum --------------------------------------------------------
+
+// Copies kept by an older, laxer build are checked again on the way in: one
+// bad exhibit would otherwise take the whole Dashboard down with it.
+const sound = (entry) => {
+  try {
+    validateArchive(entry);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const listeners = new Set();
+let museum = load();
+
+function load() {
+  try {
+    const s = JSON.parse(localStorage.getItem(MUSEUM_KEY) || "null");
+    if (Array.isArray(s)) return s.filter(sound).map(freeze);
+  } catch { /* first run / private mode */ }
+  return [];
+}
+
+// Writes the museum through; false when storage refused it (full, or
+// unavailable), and the caller decides what that means for the change.
+function persist() {
+  try {
+    localStorage.setItem(MUSEUM_KEY, JSON.stringify(museum));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+
+// Museum copies are exhibits: frozen all the way down so nothing that
+// renders one can edit it by accident.
+function freeze(value) {
+  if (value && typeof value === "object") {
+    Object.values(value).forEach(freeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+function emit() {
+  listeners.forEach((fn) => {
+    try {
+      fn(museum);
+    } catch (err) {
+      console.error("museum listener failed:", err);
+    }
+  });
+}
+
+/** Every museum copy, newest import first. */
+export const getMuseum = () => museum;
+
+/** The museum copy of the same export (same source universe, same moment), if held. */
+export function findInMuseum(archive) {
+  return museum.find((m) => m.id === museumId(archive)) ?? null;
+}
+
+const museumId = (archive) => `museum:${archive.universe.sourceId ?? archive.universe.seed}:${archive.exportedAt}`;
+
+/**
+ * Keep a decoded archive as a read-only museum copy. Re-importing an export
+ * replaces its copy. Throws, with a reason fit to show, when this device
+ * can't store it - a copy that only lasts the session is no museum copy.
+ */
+export function addToMuseum(archive, importedAt = new Date().toISOString()) {
+  const entry = freeze({ id: museumId(archive), importedAt, ...structuredClone(archive) });
+  const before = museum;
+  museum = [entry, ...museum.filter((m) => m.id !== entry.id)];
+  if (!persist()) {
+    museum = before;
+    throw new Error("Not enough storage on this device to keep this universe - remove a museum copy and try again");
+  }
+  emit();
+  return entry;
+}
+
+export function removeFromMuseum(id) {
+  museum = museum.filter((m) => m.id !== id);
+  persist();
+  emit();
+}
+
+export function onMuseumChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
@@ -0,0 +1,151 @@
+// src/api/universeArchive.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { memory as mem } from "./mockStorage.js"; // before the module under test
+
+const fresh = async () => import(`./universeArchive.js?bust=${Math.random()}`); // defeat module cache
+
+const universe = (over = {}) => ({
+  _id: "u1",
+  name: "Tethys",
+  difficulty: "Intermediate",
+  status: "running",
+  seed: "tethys-7",
+  constants: { gravity: 1, darkEnergy: 0.7 },
+  currentState: { age: 4.2e9, stabilityIndex: 0.81, galaxyCount: 9 },
+  civilizations: [{ id: "c1", name: "Velari", type: "Type1" }],
+  significantEvents: [{ type: "civ_emerged", description: "The Velari wake" }],
+  discoveries: [{ id: "obj:0:0:1", objectClass: "Sb" }],
+  legacy: null,
+  previousVisit: { at: "2026-01-01T00:00:00Z" }, // request metadata, not the universe
+  ...over,
+});
+
+test("an archive round-trips what makes the universe that universe", async () => {
+  const { buildArchive, encodeArchive, decodeArchive, ARCHIVE_VERSION } = await fresh();
+  const warden = { ascensions: 2, rank: "Shepherd of Worlds", memoriesRecovered: ["m1"] };
+  const archive = buildArchive(universe(), warden, "2026-10-18T12:00:00.000Z");
+  assert.equal(archive.v, ARCHIVE_VERSION);
+  assert.equal(archive.universe.sourceId, "u1");
+  assert.equal("previousVisit" in archive.universe, false);
+
+  const back = decodeArchive(encodeArchive(archive));
+  assert.deepEqual(back, archive);
+  assert.equal(back.universe.seed, "tethys-7");
+  assert.deepEqual(back.warden, warden);
+});
+
+test("decoding rejects anything but a sound archive of this version", async () => {
+  const { buildArchive, encodeArchive, decodeArchive } = await fresh();
+  const good = buildArchive(universe(), null, "2026-10-18T12:00:00.000Z");
+  const broken = (mutate) => {
+    const a = structuredClone(good);
+    mutate(a);
+    return encodeArchive(a);
+  };
+
+  assert.throws(() => decodeArchive("{ nope"), /Not a universe archive/);
+  assert.throws(() => decodeArchive(JSON.stringify({ header: {}, frames: {} })), /Not a universe archive/, "a replay file");
+  assert.throws(() => decodeArchive(broken((a) => { a.v = 9; })), /v9 is not supported/);
+  assert.throws(() => decodeArchive(broken((a) => { delete a.universe.seed; })), /"seed"/);
+  assert.throws(() => decodeArchive(broken((a) => { a.universe.civilizations = "many"; })), /"civilizations"/);
+  assert.throws(() => decodeArchive(broken((a) => { a.exportedAt = "yesterday"; })), /export date/);
+  assert.throws(() => decodeArchive(broken((a) => { a.warden = [1]; })), /"warden"/);
+  assert.equal(decodeArchive(broken((a) => { delete a.warden; })).warden, null, "no warden is fine");
+});
+
+test("decoding checks nested shapes, down to what the museum renders", async () => {
+  const { buildArchive, encodeArchive, decodeArchive } = await fresh();
+  const good = buildArchive(universe(), { ascensions: 1, rank: "Keeper" }, "2026-10-18T12:00:00.000Z");
+  const broken = (mutate) => {
+    const a = structuredClone(good);
+    mutate(a);
+    return encodeArchive(a);
+  };
+
+  assert.throws(() => decodeArchive(broken((a) => { a.universe.significantEvents = [null]; })), /"significantEvents"/);
+  assert.throws(() => decodeArchive(broken((a) => { a.universe.significantEvents[0].description = 7; })), /"significantEvents"/);
+  assert.throws(() => decodeArchive(broken((a) => { a.universe.civilizations = ["Velari"]; })), /"civilizations"/);
+  assert.throws(() => decodeArchive(broken((a) => { a.universe.currentState.age = "old"; })), /"currentState"/);
+  assert.throws(() => decodeArchive(broken((a) => { a.warden.rank = {}; })), /"warden.rank"/);
+  assert.throws(() => decodeArchive(broken((a) => { a.warden.ascensions = "2"; })), /"warden.ascensions"/);
+  assert.ok(decodeArchive(broken((a) => { delete a.warden.rank; })), "an absent warden field is fine");
+});
+
+test("a malformed copy already in the museum is dropped on load, not rendered", async () => {
+  const { buildArchive } = await fresh();
+  const good = { id: "museum:ok", ...buildArchive(universe(), null, "2026-10-18T12:00:00.000Z") };
+  const bad = structuredClone(good);
+  bad.id = "museum:bad";
+  bad.universe.significantEvents = [null];
+  mem.set("eternaverse:museum", JSON.stringify([bad, good]));
+  const { getMuseum } = await fresh();
+  assert.deepEqual(getMuseum().map((m) => m.id), ["museum:ok"]);
+  mem.clear();
+});
+
+test("the preview diffs an archive against the universe it came from", async () => {
+  const { buildArchive, archiveDiff } = await fresh();
+  const then = buildArchive(universe(), { ascensions: 1 }, "2026-10-18T12:00:00.000Z");
+  const now = buildArchive(universe({
+    currentState: { age: 5.1e9, stabilityIndex: 0.81, galaxyCount: 9 },
+    civilizations: [],
+  }), { ascensions: 1 });
+
+  const rows = Object.fromEntries(archiveDiff(then, now).map((r) => [r.label, r]));
+  assert.deepEqual([rows["Age (Gyr)"].before, rows["Age (Gyr)"].after], [5.1, 4.2]);
+  assert.equal(rows["Age (Gyr)"].changed, true);
+  assert.deepEqual([rows.Civilizations.before, rows.Civilizations.after], [0, 1]);
+  assert.equal(rows.Stability.changed, false);
+  assert.equal(rows["Warden ascensions"].changed, false);
+
+  // Nothing to compare against: everything in it is new
+  assert.ok(archiveDiff(then).every((r) => r.before === null && r.changed));
+});
+
+test("imports become read-only museum copies that outlive a reload", async () => {
+  mem.clear();
+  const m = await fresh();
+  const seen = [];
+  m.onMuseumChange((list) => seen.push(list.length));
+
+  const archive = m.decodeArchive(m.encodeArchive(m.buildArchive(universe(), null, "2026-10-18T12:00:00.000Z")));
+  const entry = m.addToMuseum(archive, "2026-10-19T08:00:00.000Z");
+  assert.equal(m.findInMuseum(archive).id, entry.id);
+  assert.ok(Object.isFrozen(entry) && Object.isFrozen(entry.universe.civilizations[0]), "exhibits can't be edited");
+  assert.throws(() => { entry.universe.name = "Defaced"; }, TypeError);
+
+  m.addToMuseum(archive); // the same export again replaces, not duplicates
+  const later = m.decodeArchive(m.encodeArchive(m.buildArchive(universe(), null, "2026-10-20T12:00:00.000Z")));
+  m.addToMuseum(later);
+  assert.equal(m.getMuseum().length, 2);
+  assert.equal(m.getMuseum()[0].exportedAt, later.exportedAt, "newest import first");
+  assert.deepEqual(seen, [1, 1, 2]);
+
+  const reloaded = await fresh();
+  assert.equal(reloaded.getMuseum().length, 2);
+  assert.ok(Object.isFrozen(reloaded.getMuseum()[1].universe));
+  reloaded.removeFromMuseum(entry.id);
+  assert.deepEqual(reloaded.getMuseum().map((x) => x.exportedAt), [later.exportedAt]);
+});
+
+test("a museum copy storage can't hold is refused, not kept for the session", async () => {
+  mem.clear();
+  const m = await fresh();
+  const first = m.addToMuseum(m.buildArchive(universe(), null, "2026-10-18T12:00:00.000Z"));
+  const seen = [];
+  m.onMuseumChange((list) => seen.push(list.length));
+
+  const setItem = globalThis.localStorage.setItem;
+  globalThis.localStorage.setItem = () => {
+    throw Object.assign(new Error("The quota has been exceeded."), { name: "QuotaExceededError" });
+  };
+  try {
+    const big = m.buildArchive(universe(), null, "2026-10-20T12:00:00.000Z");
+    assert.throws(() => m.addToMuseum(big), /Not enough storage/);
+  } finally {
+    globalThis.localStorage.setItem = setItem;
+  }
+  assert.deepEqual(m.getMuseum().map((x) => x.id), [first.id], "the museum is as it was");
+  assert.deepEqual(seen, [], "nobody was told it changed");
+});
@@ -0,0 +1,234 @@
+// src/api/universePatch.js
+//
+// Delta updates for the universe document. A long-running universe carries
+// hundreds of events, dozens of civilizations and a long anomaly history; the
+// server used to hand back all of it on every tick, the page swapped the whole
+// object in, and every panel and every scene system re-synced from scratch -
+// the stutter players saw on each simulate.
+//
+// Two halves:
+// - The PATCH FORMAT (versioned, revision-chained) the server pushes over the
+//   stream, and its reducer applyUniversePatch().
+// - reconcileUniverse(), for endpoints that still answer with a full document:
+//   it keeps the previous object for every field and entity that didn't
+//   change, so reference equality means "unchanged" everywhere downstream and
+//   universeChanges() can tell the scene exactly what moved.
+//
+// Patch shape (PATCH_VERSION 1):
+//   {
+//     v: 1,
+//     baseRevision: 41,       // the revision this applies on top of
+//     revision: 42,           // the revision it produces
+//     set: { currentState, status, activeWars, ... },   // replaced outright
+//     research: { points },                              // shallow-merged
+//     anomalies:     { added: [..], changed: [{ id, ...fields }], removed: [ids] },
+//     civilizations: { added: [..], changed: [{ id, ...fields }], removed: [ids] },
+//     significantEvents: { added: [..], dropped: n },    // append-only log;
+//                                                        // dropped trims the oldest
+//   }
+// Every section is optional.
+
+export const PATCH_VERSION = 1;
+
+// Id-keyed collections the patch addresses entity by entity.
+const COLLECTIONS = ["anomalies", "civilizations"];
+
+/** Structural equality for plain JSON data. */
+export function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) if (!isEqual(a[i], b[i])) return false;
+    return true;
+  }
+  const ka = Object.keys(a);
+  if (ka.length !== Object.keys(b).length) return false;
+  for (const k of ka) {
+    if (!Object.prototype.hasOwnProperty.call(b, k) || !isEqual(a[k], b[k])) return false;
+  }
+  return true;
+}
+
+/**
+ * Can this patch be applied to this universe? False on a format it doesn't
+ * know or a revision gap (a missed patch) - the caller should resync from a
+ * full snapshot instead.
+ */
+export function canApplyPatch(universe, patch) {
+  if (!universe || !patch || patch.v !== PATCH_VERSION) return false;
+  if (patch.baseRevision === undefined) return true; // unversioned: best effort
+  return (universe.revision ?? null) === patch.baseRevision;
+}
+
+function patchCollection(list = [], delta) {
+  if (!delta) return list;
+  const removed = new Set(delta.removed || []);
+  const changed = new Map((delta.changed || []).map((c) => [c.id, c]));
+  let out = list
+    .filter((e) => !removed.has(e.id))
+    .map((e) => (changed.has(e.id) ? { ...e, ...changed.get(e.id) } : e));
+  if (delta.added?.length) {
+    const present = new Set(out.map((e) => e.id));
+    // An "added" that's already here is a replayed patch - update, don't duplicate.
+    const fresh = delta.added.filter((e) => !present.has(e.id));
+    const replayed = new Map(delta.added.filter((e) => present.has(e.id)).map((e) => [e.id, e]));
+    if (replayed.size) out = out.map((e) => (replayed.has(e.id) ? { ...e, ...replayed.get(e.id) } : e));
+    out = [...out, ...fresh];
+  }
+  return out;
+}
+
+/**
+ * Apply a patch. Pure: untouched fields and entities keep their identity.
+ * Returns null if the patch can't apply (see canApplyPatch).
+ */
+export function applyUniversePatch(universe, patch) {
+  if (!canApplyPatch(universe, patch)) return null;
+  const next = { ...universe, ...(patch.set || {}) };
+
+  for (const key of COLLECTIONS) {
+    if (patch[key]) next[key] = patchCollection(universe[key], patch[key]);
+  }
+
+  if (patch.research) next.research = { ...(universe.research || {}), ...patch.research };
+
+  const ev = patch.significantEvents;
+  if (ev && (ev.added?.length || ev.dropped)) {
+    const kept = (universe.significantEvents || []).slice(ev.dropped || 0);
+    next.significantEvents = ev.added?.length ? [...kept, ...ev.added] : kept;
+  }
+
+  if (patch.revision !== undefined) next.revision = patch.revision;
+  return next;
+}
+
+function diffCollection(prev = [], next = []) {
+  const before = new Map(prev.map((e) => [e.id, e]));
+  const seen = new Set();
+  const delta = { added: [], changed: [], removed: [] };
+  for (const e of next) {
+    seen.add(e.id);
+    const p = before.get(e.id);
+    if (!p) {
+      delta.added.push(e);
+      continue;
+    }
+    if (p === e || isEqual(p, e)) continue;
+    const fields = { id: e.id };
+    for (const k of Object.keys(e)) if (!isEqual(p[k], e[k])) fields[k] = e[k];
+    delta.changed.push(fields);
+  }
+  for (const id of before.keys()) if (!seen.has(id)) delta.removed.push(id);
+  return delta.added.length || delta.changed.length || delta.removed.length ? delta : null;
+}
+
+/**
+ * The patch that turns prev into next - what the server computes before a
+ * push. Field removals at the top level aren't expressible (the document's
+ * shape is fixed); collections and the event log are diffed entry by entry.
+ */
+export function diffUniverse(prev, next) {
+  const patch = { v: PATCH_VERSION, baseRevision: prev?.revision, revision: next?.revision };
+  const set = {};
+  for (const key of Object.keys(next || {})) {
+    if (key === "revision") continue;
+    if (COLLECTIONS.includes(key)) {
+      const delta = diffCollection(prev?.[key], next[key]);
+      if (delta) patch[key] = delta;
+      continue;
+    }
+    if (key === "significantEvents") {
+      const a = prev?.significantEvents || [];
+      const b = next.significantEvents || [];
+      // The log only ever appends (and trims its oldest): find where prev's
+      // newest entry sits in next; everything after it is new.
+      const last = a.length ? a[a.length - 1] : null;
+      const at = last ? b.findIndex((e) => isEqual(e, last)) : -1;
+      if (!last) {
+        if (b.length) patch.significantEvents = { added: b, dropped: 0 };
+      } else if (at >= 0 && isEqual(a.slice(a.length - (at + 1)), b.slice(0, at + 1))) {
+        const added = b.slice(at + 1);
+        const dropped = a.length - (at + 1);
+        if (added.length || dropped) patch.significantEvents = { added, dropped };
+      } else if (!isEqual(a, b)) {
+        set.significantEvents = b;
+      }
+      continue;
+    }
+    if (key === "research" && prev?.research && next.research) {
+      const changed = {};
+      for (const k of Object.keys(next.research)) {
+        if (!isEqual(prev.research[k], next.research[k])) changed[k] = next.research[k];
+      }
+      if (Object.keys(changed).length) patch.research = changed;
+      continue;
+    }
+    if (!isEqual(prev?.[key], next[key])) set[key] = next[key];
+  }
+  if (Object.keys(set).length) patch.set = set;
+  return patch;
+}
+
+function reuseCollection(prev, next) {
+  if (!Array.isArray(prev) || !Array.isArray(next)) return next;
+  const before = new Map(prev.map((e) => [e.id, e]));
+  let same = prev.length === next.length;
+  const out = next.map((e, i) => {
+    const p = before.get(e.id);
+    const kept = p && isEqual(p, e) ? p : e;
+    if (kept !== prev[i]) same = false;
+    return kept;
+  });
+  return same ? prev : out;
+}
+
+/**
+ * Adopt a full document from the server without discarding identity: every
+ * top-level field and collection entity that's structurally unchanged keeps
+ * prev's object. Returns prev itself when nothing changed at all.
+ */
+export function reconcileUniverse(prev, next) {
+  if (!prev || !next) return next;
+  const out = {};
+  let same = Object.keys(prev).length === Object.keys(next).length;
+  for (const key of Object.keys(next)) {
+    const kept = COLLECTIONS.includes(key)
+      ? reuseCollection(prev[key], next[key])
+      : isEqual(prev[key], next[key]) ? prev[key] : next[key];
+    if (kept !== prev[key]) same = false;
+    out[key] = kept;
+  }
+  return same ? prev : out;
+}
+
+function changedIds(prev = [], next = []) {
+  const before = new Map(prev.map((e) => [e.id, e]));
+  const seen = new Set();
+  const out = { added: [], changed: [], removed: [] };
+  for (const e of next) {
+    seen.add(e.id);
+    const p = before.get(e.id);
+    if (!p) out.added.push(e.id);
+    else if (p !== e) out.changed.push(e.id);
+  }
+  for (const id of before.keys()) if (!seen.has(id)) out.removed.push(id);
+  out.any = out.added.length + out.changed.length + out.removed.length > 0;
+  return out;
+}
+
+/**
+ * What moved between two reconciled/patched universes, by reference - cheap
+ * enough to run every update. Scene systems use it to touch only what changed.
+ */
+export function universeChanges(prev, next) {
+  return {
+    anomalies: changedIds(prev?.anomalies, next?.anomalies),
+    civilizations: changedIds(prev?.civilizations, next?.civilizations),
+    wars: prev?.activeWars !== next?.activeWars,
+    discoveries: prev?.discoveries !== next?.discoveries,
+    resolvedMinor: prev?.resolvedMinorAnomalies !== next?.resolvedMinorAnomalies,
+    currentState: prev?.currentState !== next?.currentState,
+  };
+}
@@ -0,0 +1,133 @@
+// src/api/universePatch.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  PATCH_VERSION, applyUniversePatch, canApplyPatch, diffUniverse,
+  reconcileUniverse, universeChanges,
+} from "./universePatch.js";
+
+const ev = (n) => ({ type: "civilization", description: `event ${n}`, timestamp: n });
+
+const universe = () => ({
+  _id: "u1",
+  revision: 41,
+  status: "running",
+  currentState: { age: 1e9, stabilityIndex: 0.8 },
+  research: { points: 100, spent: 20 },
+  activeWars: [],
+  anomalies: [
+    { id: "a1", type: "darkEnergySurge", severity: 2, resolved: false, location: { x: 10, y: 20 } },
+    { id: "a2", type: "cosmicString", severity: 4, resolved: false, location: { x: -5, y: 0 } },
+  ],
+  civilizations: [
+    { id: "c1", type: "Type0", technology: 4, relationship: 0 },
+    { id: "c2", type: "Type1", technology: 30, relationship: 0.2 },
+  ],
+  significantEvents: [ev(1), ev(2), ev(3)],
+});
+
+test("a patch adds, changes and removes entities and appends events", () => {
+  const u = universe();
+  const next = applyUniversePatch(u, {
+    v: PATCH_VERSION,
+    baseRevision: 41,
+    revision: 42,
+    set: { currentState: { age: 1.1e9, stabilityIndex: 0.78 } },
+    research: { points: 140 },
+    anomalies: { added: [{ id: "a3", severity: 1, resolved: false }], changed: [{ id: "a1", resolved: true }], removed: ["a2"] },
+    civilizations: { changed: [{ id: "c2", technology: 31 }] },
+    significantEvents: { added: [ev(4)] },
+  });
+
+  assert.equal(next.revision, 42);
+  assert.deepEqual(next.anomalies.map((a) => a.id), ["a1", "a3"]);
+  assert.equal(next.anomalies[0].resolved, true);
+  assert.equal(next.anomalies[0].type, "darkEnergySurge", "a change merges over the entity");
+  assert.deepEqual(next.research, { points: 140, spent: 20 });
+  assert.equal(next.civilizations[1].technology, 31);
+  assert.equal(next.significantEvents.length, 4);
+
+  // Identity: what the patch didn't touch is the same object
+  assert.equal(next.civilizations[0], u.civilizations[0]);
+  assert.equal(next.activeWars, u.activeWars);
+  assert.equal(u.anomalies.length, 2, "the input is not mutated");
+});
+
+test("a revision gap or an unknown format refuses to apply", () => {
+  const u = universe();
+  assert.equal(canApplyPatch(u, { v: PATCH_VERSION, baseRevision: 40, revision: 41 }), false);
+  assert.equal(applyUniversePatch(u, { v: PATCH_VERSION, baseRevision: 40, revision: 41 }), null);
+  assert.equal(applyUniversePatch(u, { v: 99, baseRevision: 41 }), null);
+  assert.ok(canApplyPatch(u, { v: PATCH_VERSION, baseRevision: 41 }));
+});
+
+test("a replayed 'added' updates rather than duplicating", () => {
+  const u = universe();
+  const next = applyUniversePatch(u, { v: PATCH_VERSION, anomalies: { added: [{ id: "a1", severity: 3 }] } });
+  assert.equal(next.anomalies.length, 2);
+  assert.equal(next.anomalies[0].severity, 3);
+});
+
+test("the event log can trim its oldest entries", () => {
+  const u = universe();
+  const next = applyUniversePatch(u, { v: PATCH_VERSION, significantEvents: { added: [ev(4)], dropped: 2 } });
+  assert.deepEqual(next.significantEvents.map((e) => e.timestamp), [3, 4]);
+});
+
+test("diffUniverse round-trips through applyUniversePatch", () => {
+  const prev = universe();
+  const next = structuredClone(prev);
+  next.revision = 42;
+  next.currentState.age = 1.2e9;
+  next.research.points = 180;
+  next.anomalies[1].resolved = true;
+  next.anomalies.push({ id: "a9", severity: 5, resolved: false });
+  next.civilizations = next.civilizations.filter((c) => c.id !== "c1");
+  next.significantEvents = [ev(2), ev(3), ev(4), ev(5)];
+  next.activeWars = [{ a: "c2", b: "c9" }];
+
+  const patch = diffUniverse(prev, next);
+  assert.equal(patch.baseRevision, 41);
+  assert.deepEqual(patch.anomalies.changed, [{ id: "a2", resolved: true }]);
+  assert.deepEqual(patch.civilizations.removed, ["c1"]);
+  assert.deepEqual(patch.significantEvents, { added: [ev(4), ev(5)], dropped: 1 });
+  assert.deepEqual(patch.research, { points: 180 });
+  assert.equal(patch.set.significantEvents, undefined, "the log travels as a delta, not a copy");
+
+  assert.deepEqual(applyUniversePatch(prev, patch), next);
+});
+
+test("reconcileUniverse keeps every unchanged field and entity by reference", () => {
+  const prev = universe();
+  const fromServer = structuredClone(prev);
+  assert.equal(reconcileUniverse(prev, fromServer), prev, "an identical document changes nothing");
+
+  fromServer.anomalies[0].resolved = true;
+  fromServer.currentState.age = 2e9;
+  const next = reconcileUniverse(prev, fromServer);
+  assert.notEqual(next, prev);
+  assert.notEqual(next.anomalies[0], prev.anomalies[0]);
+  assert.equal(next.anomalies[1], prev.anomalies[1]);
+  assert.equal(next.civilizations, prev.civilizations);
+  assert.equal(next.significantEvents, prev.significantEvents);
+  assert.equal(next.research, prev.research);
+  assert.notEqual(next.currentState, prev.currentState);
+});
+
+test("universeChanges reports only what moved", () => {
+  const prev = universe();
+  const fromServer = structuredClone(prev);
+  fromServer.anomalies[0].severity = 3;
+  fromServer.anomalies.push({ id: "a5", resolved: false });
+  fromServer.civilizations.pop();
+  const next = reconcileUniverse(prev, fromServer);
+
+  const ch = universeChanges(prev, next);
+  assert.deepEqual(ch.anomalies, { added: ["a5"], changed: ["a1"], removed: [], any: true });
+  assert.deepEqual(ch.civilizations, { added: [], changed: [], removed: ["c2"], any: true });
+  assert.equal(ch.wars, false);
+  assert.equal(ch.discoveries, false);
+
+  const first = universeChanges(undefined, prev);
+  assert.deepEqual(first.anomalies.added, ["a1", "a2"], "no previous universe: everything is new");
+});
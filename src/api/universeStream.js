@@ -0,0 +1,275 @@
+// src/api/universeStream.js
+//
+// Live push channel for a universe. The server simulates on its own schedule;
+// over this socket it pushes what changed - deltas, new events, petitions,
+// achievements, the end of everything - the moment it happens, instead of the
+// client finding out on its next 30-second simulate poll.
+//
+// The poll is still the floor, not a relic: whenever the socket is down (never
+// connected, dropped, or gone quiet past the heartbeat), the stream falls back
+// to calling poll() on the old cadence and keeps trying to reconnect with
+// backoff. On every (re)connect the server answers the subscribe with a full
+// snapshot, so nothing missed while polling is lost.
+//
+// Wire format: JSON text frames, one message each, { type, ... } - see
+// applyStreamMessage below for the universe-bearing ones. The usual one is a
+// "patch" (universePatch.js); when a patch doesn't chain onto what we hold,
+// resync() asks for a fresh snapshot. mockUniverseServer.js speaks the same
+// protocol for tests.
+
+import { applyUniversePatch, reconcileUniverse } from "./universePatch.js";
+
+export const STREAM_STATUS = {
+  CONNECTING: "connecting",
+  LIVE: "live",
+  POLLING: "polling",
+  CLOSED: "closed",
+};
+
+const BASE_RECONNECT_MS = 2000;
+const MAX_RECONNECT_MS = 60000;
+
+/**
+ * Fold one pushed message into the universe. Pure - returns the same object
+ * when the message carries no state (achievements, ping) so React can bail.
+ */
+export function applyStreamMessage(universe, msg) {
+  if (!universe || !msg) return universe;
+  switch (msg.type) {
+    case "snapshot":
+      // The away-digest stamp only comes from GET /:id; keep it across resyncs.
+      return msg.universe
+        ? reconcileUniverse(universe, { ...msg.universe, previousVisit: universe.previousVisit })
+        : universe;
+
+    case "patch":
+      // A patch that doesn't chain is dropped here - the caller checks
+      // canApplyPatch first and resyncs instead.
+      return applyUniversePatch(universe, msg) ?? universe;
+
+    case "delta":
+      // Top-level fields that changed (currentState, activeWars, research...)
+      return msg.changes ? { ...universe, ...msg.changes } : universe;
+
+    case "event":
+      return msg.event
+        ? { ...universe, significantEvents: [...(universe.significantEvents || []), msg.event] }
+        : universe;
+
+    case "anomaly": {
+      if (!msg.anomaly?.id) return universe;
+      const list = universe.anomalies || [];
+      const exists = list.some((a) => a.id === msg.anomaly.id);
+      return {
+        ...universe,
+        anomalies: exists
+          ? list.map((a) => (a.id === msg.anomaly.id ? { ...a, ...msg.anomaly } : a))
+          : [...list, msg.anomaly],
+      };
+    }
+
+    case "petition":
+      return {
+        ...universe,
+        civilizations: (universe.civilizations || []).map((c) =>
+          c.id === msg.civId ? { ...c, petition: msg.petition ?? null } : c
+        ),
+      };
+
+    case "ended":
+      return {
+        ...universe,
+        status: "ended",
+        endCondition: msg.endCondition ?? universe.endCondition,
+        endReason: msg.endReason ?? universe.endReason,
+      };
+
+    default:
+      return universe;
+  }
+}
+
+export class UniverseStream {
+  /**
+   * @param {object} opts
+   * @param {string} opts.url - socket URL (see getUniverseStreamUrl)
+   * @param {string} opts.universeId
+   * @param {(msg: object) => void} opts.onMessage - every non-ping message
+   * @param {(status: string) => void} [opts.onStatusChange]
+   * @param {() => any} [opts.poll] - the fallback (a simulate call)
+   * @param {() => {x: number, y: number}} [opts.getPosition] - where new anomalies should spawn
+   * @param {Function} [opts.WebSocketImpl] - defaults to the browser's WebSocket
+   */
+  constructor({
+    url,
+    universeId,
+    onMessage,
+    onStatusChange,
+    poll,
+    getPosition,
+    WebSocketImpl = globalThis.WebSocket,
+    pollIntervalMs = 30000,
+    positionIntervalMs = 10000,
+    heartbeatTimeoutMs = 45000,
+  }) {
+    this.url = url;
+    this.universeId = universeId;
+    this.onMessage = onMessage;
+    this.onStatusChange = onStatusChange;
+    this.poll = poll;
+    this.getPosition = getPosition;
+    this.WebSocketImpl = WebSocketImpl;
+    this.pollIntervalMs = pollIntervalMs;
+    this.positionIntervalMs = positionIntervalMs;
+    this.heartbeatTimeoutMs = heartbeatTimeoutMs;
+
+    this.status = STREAM_STATUS.CLOSED;
+    this.socket = null;
+    this.stopped = true;
+    this.reconnectAttempts = 0;
+    this.pollTimer = null;
+    this.reconnectTimer = null;
+    this.positionTimer = null;
+    this.watchdog = null;
+  }
+
+  start() {
+    if (!this.stopped) return;
+    this.stopped = false;
+    this.connect();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.stopPolling();
+    this.teardownSocket();
+    this.setStatus(STREAM_STATUS.CLOSED);
+  }
+
+  setStatus(status) {
+    if (this.status === status) return;
+    this.status = status;
+    this.onStatusChange?.(status);
+  }
+
+  connect() {
+    if (this.stopped) return;
+    if (!this.WebSocketImpl || !this.url) {
+      // No socket support at all - polling is all there is.
+      this.startPolling();
+      return;
+    }
+    // A reconnect attempt from the polling fallback stays "polling" until it
+    // actually opens - the poll is still what's keeping the universe fresh.
+    if (!this.pollTimer) this.setStatus(STREAM_STATUS.CONNECTING);
+    let socket;
+    try {
+      socket = new this.WebSocketImpl(this.url);
+    } catch {
+      this.handleDown();
+      return;
+    }
+    this.socket = socket;
+    socket.onopen = () => this.handleOpen(socket);
+    socket.onmessage = (ev) => this.handleMessage(socket, ev);
+    // An error is always followed by a close; the close does the work.
+    socket.onerror = () => {};
+    socket.onclose = () => {
+      if (this.socket === socket) this.handleDown();
+    };
+  }
+
+  /** Ask the server for a full snapshot (a patch arrived out of sequence). */
+  resync() {
+    if (this.status === STREAM_STATUS.LIVE) this.send({ type: "resync", universeId: this.universeId });
+  }
+
+  send(msg) {
+    try {
+      this.socket?.send(JSON.stringify(msg));
+    } catch {
+      // Socket mid-close - the close handler takes it from here.
+    }
+  }
+
+  handleOpen(socket) {
+    if (this.socket !== socket || this.stopped) return;
+    this.reconnectAttempts = 0;
+    this.stopPolling();
+    this.setStatus(STREAM_STATUS.LIVE);
+    this.send({ type: "subscribe", universeId: this.universeId, position: this.getPosition?.() });
+    this.armWatchdog();
+    clearInterval(this.positionTimer);
+    if (this.getPosition) {
+      this.positionTimer = setInterval(
+        () => this.send({ type: "position", position: this.getPosition() }),
+        this.positionIntervalMs
+      );
+    }
+  }
+
+  handleMessage(socket, ev) {
+    if (this.socket !== socket) return;
+    this.armWatchdog();
+    let msg;
+    try {
+      msg = JSON.parse(ev.data);
+    } catch {
+      return; // not ours
+    }
+    if (!msg?.type || msg.type === "ping") return;
+    try {
+      this.onMessage?.(msg);
+    } catch (err) {
+      console.error("universe stream handler failed:", err);
+    }
+  }
+
+  // The socket went quiet for longer than the server's heartbeat allows: it's
+  // a zombie (sleeping laptop, captive portal), not a quiet universe.
+  armWatchdog() {
+    clearTimeout(this.watchdog);
+    this.watchdog = setTimeout(() => {
+      this.teardownSocket();
+      this.handleDown();
+    }, this.heartbeatTimeoutMs);
+  }
+
+  teardownSocket() {
+    clearTimeout(this.watchdog);
+    clearInterval(this.positionTimer);
+    const socket = this.socket;
+    this.socket = null;
+    if (socket) {
+      socket.onopen = socket.onmessage = socket.onclose = socket.onerror = null;
+      try {
+        socket.close();
+      } catch {
+        /* already closed */
+      }
+    }
+  }
+
+  handleDown() {
+    this.teardownSocket();
+    if (this.stopped) return;
+    this.startPolling();
+    const delay = Math.min(MAX_RECONNECT_MS, BASE_RECONNECT_MS * 2 ** this.reconnectAttempts);
+    this.reconnectAttempts += 1;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  startPolling() {
+    this.setStatus(STREAM_STATUS.POLLING);
+    if (this.pollTimer || !this.poll) return;
+    this.poll();
+    this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+  }
+
+  stopPolling() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+}
@@ -0,0 +1,200 @@
+// src/api/universeStream.test.js
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { setImmediate } from "node:timers/promises";
+import { UniverseStream, STREAM_STATUS, applyStreamMessage } from "./universeStream.js";
+import { MockUniverseServer } from "./mockUniverseServer.js";
+
+// Let the mock's queued handshakes and frames land (microtasks only - the
+// mocked timers never advance on their own).
+const settle = () => setImmediate();
+
+const base = () => ({
+  _id: "u1",
+  status: "running",
+  previousVisit: { at: "2026-01-01" },
+  currentState: { age: 1e9 },
+  anomalies: [{ id: "a1", resolved: false }],
+  civilizations: [{ id: "c1", petition: null }, { id: "c2", petition: null }],
+  significantEvents: [{ type: "milestone", timestamp: 1 }],
+});
+
+const open = (server, extra = {}) => {
+  const log = { messages: [], statuses: [], polls: 0 };
+  const stream = new UniverseStream({
+    url: "ws://test/universe/u1/stream",
+    universeId: "u1",
+    WebSocketImpl: server.WebSocket,
+    onMessage: (m) => log.messages.push(m),
+    onStatusChange: (s) => log.statuses.push(s),
+    poll: () => { log.polls += 1; },
+    getPosition: () => ({ x: 10, y: -4 }),
+    ...extra,
+  });
+  return { stream, log };
+};
+
+test("applyStreamMessage folds each message kind into the universe", () => {
+  const u = base();
+
+  const delta = applyStreamMessage(u, { type: "delta", changes: { currentState: { age: 2e9 } } });
+  assert.equal(delta.currentState.age, 2e9);
+  assert.equal(delta.anomalies, u.anomalies, "untouched fields keep their identity");
+
+  const ev = applyStreamMessage(u, { type: "event", event: { type: "war", timestamp: 2 } });
+  assert.equal(ev.significantEvents.length, 2);
+
+  const added = applyStreamMessage(u, { type: "anomaly", anomaly: { id: "a2", resolved: false } });
+  assert.deepEqual(added.anomalies.map((a) => a.id), ["a1", "a2"]);
+  const resolved = applyStreamMessage(u, { type: "anomaly", anomaly: { id: "a1", resolved: true } });
+  assert.equal(resolved.anomalies.length, 1);
+  assert.equal(resolved.anomalies[0].resolved, true);
+
+  const pet = applyStreamMessage(u, { type: "petition", civId: "c2", petition: { id: "p1" } });
+  assert.equal(pet.civilizations[1].petition.id, "p1");
+  assert.equal(pet.civilizations[0], u.civilizations[0]);
+
+  const ended = applyStreamMessage(u, { type: "ended", endCondition: "heatDeath", endReason: "cold" });
+  assert.equal(ended.status, "ended");
+  assert.equal(ended.endCondition, "heatDeath");
+
+  const snap = applyStreamMessage(u, { type: "snapshot", universe: { _id: "u1", status: "running" } });
+  assert.deepEqual(snap.previousVisit, u.previousVisit, "the visit stamp survives a resync");
+
+  const patched = applyStreamMessage({ ...u, revision: 7 }, {
+    type: "patch", v: 1, baseRevision: 7, revision: 8, anomalies: { removed: ["a1"] },
+  });
+  assert.equal(patched.anomalies.length, 0);
+  assert.equal(patched.revision, 8);
+  const gap = { ...u, revision: 5 };
+  assert.equal(applyStreamMessage(gap, { type: "patch", v: 1, baseRevision: 7, revision: 8 }), gap);
+
+  assert.equal(applyStreamMessage(u, { type: "achievements", list: [] }), u, "stateless messages are a no-op");
+});
+
+test("a live stream subscribes, receives the snapshot and pushes in order, and never polls", async () => {
+  mock.timers.enable({ apis: ["setTimeout", "setInterval"] });
+  try {
+    const server = new MockUniverseServer(base());
+    const { stream, log } = open(server);
+    stream.start();
+    await settle();
+    assert.equal(stream.status, STREAM_STATUS.LIVE);
+    assert.deepEqual(server.received[0], { type: "subscribe", universeId: "u1", position: { x: 10, y: -4 } });
+
+    server.push({ type: "event", event: { type: "war", timestamp: 5 } });
+    server.push({ type: "ping" });
+    server.push({ type: "achievements", list: [{ id: "first-war" }] });
+    await settle();
+    assert.deepEqual(log.messages.map((m) => m.type), ["snapshot", "event", "achievements"]);
+
+    stream.resync();
+    await settle();
+    assert.equal(log.messages.at(-1).type, "snapshot", "a resync is answered with a snapshot");
+
+    mock.timers.tick(10000);
+    assert.equal(server.received.at(-1).type, "position", "position is reported on the socket");
+    for (let i = 0; i < 6; i++) {
+      server.push({ type: "ping" });
+      await settle();
+      mock.timers.tick(15000);
+    }
+    assert.equal(stream.status, STREAM_STATUS.LIVE);
+    assert.equal(log.polls, 0);
+    stream.stop();
+    assert.equal(stream.status, STREAM_STATUS.CLOSED);
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test("with the server unreachable it polls, then stops polling once a reconnect opens", async () => {
+  mock.timers.enable({ apis: ["setTimeout", "setInterval"] });
+  try {
+    const server = new MockUniverseServer(base());
+    server.setAccepting(false);
+    const { stream, log } = open(server);
+    stream.start();
+    await settle();
+    assert.equal(stream.status, STREAM_STATUS.POLLING);
+    assert.equal(log.polls, 1, "the fallback polls right away");
+
+    mock.timers.tick(30000);
+    assert.equal(log.polls, 2, "...and on the old cadence after that");
+
+    server.setAccepting(true);
+    mock.timers.tick(4000); // past the second reconnect backoff
+    await settle();
+    assert.equal(stream.status, STREAM_STATUS.LIVE);
+    const polled = log.polls;
+    for (let i = 0; i < 6; i++) {
+      server.push({ type: "ping" });
+      await settle();
+      mock.timers.tick(15000);
+    }
+    assert.equal(log.polls, polled, "polling stops while the socket is live");
+    stream.stop();
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test("a dropped connection falls back to polling and resyncs from a fresh snapshot", async () => {
+  mock.timers.enable({ apis: ["setTimeout", "setInterval"] });
+  try {
+    const server = new MockUniverseServer(base());
+    const { stream, log } = open(server);
+    stream.start();
+    await settle();
+    server.drop();
+    assert.equal(stream.status, STREAM_STATUS.POLLING);
+    assert.equal(log.polls, 1);
+
+    mock.timers.tick(2000);
+    await settle();
+    assert.equal(stream.status, STREAM_STATUS.LIVE);
+    assert.equal(server.connections, 2);
+    assert.equal(log.messages.filter((m) => m.type === "snapshot").length, 2);
+    stream.stop();
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test("a socket that goes silent past the heartbeat is treated as down", async () => {
+  mock.timers.enable({ apis: ["setTimeout", "setInterval"] });
+  try {
+    const server = new MockUniverseServer(base());
+    const { stream, log } = open(server, { heartbeatTimeoutMs: 45000 });
+    stream.start();
+    await settle();
+    mock.timers.tick(30000);
+    server.push({ type: "ping" }); // the heartbeat keeps it alive...
+    await settle();
+    mock.timers.tick(30000);
+    assert.equal(stream.status, STREAM_STATUS.LIVE);
+    mock.timers.tick(16000); // ...its absence does not
+    assert.equal(stream.status, STREAM_STATUS.POLLING);
+    assert.equal(log.polls, 1);
+    stream.stop();
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test("without any WebSocket support the stream is a plain poller", () => {
+  mock.timers.enable({ apis: ["setTimeout", "setInterval"] });
+  try {
+    let polls = 0;
+    const stream = new UniverseStream({
+      url: "ws://test", universeId: "u1", WebSocketImpl: null,
+      onMessage: () => {}, poll: () => { polls += 1; },
+    });
+    stream.start();
+    mock.timers.tick(60000);
+    assert.equal(polls, 3);
+    stream.stop();
+  } finally {
+    mock.timers.reset();
+  }
+});
@@ -30,9 +30,9 @@ export const getLoadout = async () => {
   }
 };
 
-export const updateLoadout = async (hull, shipColor) => {
+export const updateLoadout = async (hull, shipColor, ordnance) => {
   try {
-    const res = await axios.put(`${API_URL}/loadout`, { hull, shipColor }, getAuthHeaders());
+    const res = await axios.put(`${API_URL}/loadout`, { hull, shipColor, ordnance }, getAuthHeaders());
     return res.data;
   } catch (error) {
     console.error("Error updating loadout:", error.response?.data || error.message);
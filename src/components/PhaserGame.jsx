@@ -1,17 +1,16 @@
-import { useEffect, useRef, useState, useContext } from "react";
+import { useCallback, useEffect, useRef, useState, useContext } from "react";
 import Phaser from "phaser";
 import { AuthContext } from "../context/AuthContext";
-import { getSettings, onSettingsChange } from "./game/settings.js";
+import { getSettings, onSettingsChange, keyBindings, keyFromEvent } from "./game/settings.js";
+import { padBindings } from "./game/gamepad.js";
+import { useGamepad } from "./game/ui/useGamepad";
 import { useToast } from "./ui/ToastProvider";
 import { UniverseSceneFactory } from "./game/scenes/UniverseScene";
-import { QuantumStabilizerScene } from "./game/scenes/QuantumStabilizerScene";
-import { GravityWellScene } from "./game/scenes/GravityWellScene";
-import { CascadeReactionScene } from "./game/scenes/CascadeReactionScene";
-import { WaveformCollapseScene } from "./game/scenes/WaveformCollapseScene";
-import { ExpansionContainmentScene } from "./game/scenes/ExpansionContainmentScene";
-import { StructuralRealignmentScene } from "./game/scenes/StructuralRealignmentScene";
-import { PolarityBalanceScene } from "./game/scenes/PolarityBalanceScene";
+import { MINIGAME_SCENES } from "./game/scenes/minigameScenes";
 import { PrimaryInstrument, Console, ControlsHint } from "./game/ui/Panels";
+import { TouchControls } from "./game/ui/TouchControls";
+import { EscortStrip } from "./game/ui/EscortStrip";
+import { useTouchControls } from "./game/ui/useTouchControls";
 import { PurposePanel } from "./game/ui/PurposePanel";
 import { ResearchCounter } from "./game/ui/ResearchCounter";
 import { HUDPanel } from "./game/ui/HUDPanel";
@@ -39,10 +38,14 @@ import { CivilizationLocatorPanel } from "./game/ui/CivilizationLocatorPanel";
 import { narrate, narrateOnce, pick, CURATOR } from "./game/narrator";
 import { resetTutorial } from "./game/tutorialGate";
 import { getLoadout } from "../api/userApi";
+import { onOutboxChange, clearFailedActions, retryFailedActions } from "../api/actionOutbox";
 import { setLoadoutLocal } from "./game/loadoutStore";
+import { pactSieges } from "./game/combat/fleetModel";
+import { civDesignation } from "./game/utils";
+import { compressReplay, decompressReplay, decodeReplay } from "./game/replay/replayFormat";
 import { playSfx, stopEngine, stopAmbient } from "./game/audio";
 
-const PhaserGame = ({ universe, onAnomalyResolved, onPlayerPositionUpdate, onDiscovery, onPurchaseUpgrade, onContactAction, onDevAction, onClaimMission, onEventReward, onVesselLost, onSetDoctrine, onWarStrike, onBombardment, onPreviewEnding }) => {
+const PhaserGame = ({ universe, onAnomalyResolved, onPlayerPositionUpdate, onDiscovery, onPurchaseUpgrade, onContactAction, onDevAction, onClaimMission, onEventReward, onVesselLost, onSetDoctrine, onWarStrike, onBombardment, onEscortLost, onPreviewEnding, coopRelayUrl }) => {
   const { user } = useContext(AuthContext);
   const toast = useToast();
 
@@ -53,6 +56,8 @@ const PhaserGame = ({ universe, onAnomalyResolved, onPlayerPositionUpdate, onDis
   const isAdmin = !!user?.isAdmin;
   const gameRef = useRef(null);
   const sceneRef = useRef(null);
+  // Set once the scene's create() has run, for effects that must wait for it.
+  const [sceneReady, setSceneReady] = useState(false);
   const [stats, setStats] = useState({ resolved: 0, discovered: 0 });
   const [hudData, setHudData] = useState(null);
   const [minimapData, setMinimapData] = useState(null);
@@ -77,6 +82,7 @@ const PhaserGame = ({ universe, onAnomalyResolved, onPlayerPositionUpdate, onDis
   const [performanceMetrics, setPerformanceMetrics] = useState({ fps: 0, delta: 0 });
   const [performanceHistory, setPerformanceHistory] = useState([]);
   const [loadout, setLoadout] = useState(null); // { hull, shipColor } - fetched once, applied at scene creation
+  const [uplink, setUplink] = useState({ pending: 0, failed: 0 }); // outbox counts, for the HUD
 
   // Fetch the player's saved hull/color before the scene mounts: seed the
   // module store the scene reads at spawn (and polls each frame for live
@@ -86,7 +92,7 @@ const PhaserGame = ({ universe, onAnomalyResolved, onPlayerPositionUpdate, onDis
     getLoadout()
       .then((data) => {
         if (cancelled) return;
-        setLoadoutLocal(data.hull, data.shipColor);
+        setLoadoutLocal(data.hull, data.shipColor, data.ordnance);
         setLoadout({ hull: data.hull, shipColor: data.shipColor });
       })
       .catch(() => { if (!cancelled) setLoadout({ hull: 'interceptor', shipColor: '#dfa73f' }); });
@@ -136,6 +142,8 @@ const PhaserGame = ({ universe, onAnomalyResolved, onPlayerPositionUpdate, onDis
     setFullMapData(data);
   };
 
+  useEffect(() => onOutboxChange(setUplink), []);
+
   useEffect(() => {
     const unsubscribe = onSettingsChange((settings) => {
       setShowPerformanceTelemetry(settings.performanceTelemetry);
@@ -179,72 +187,75 @@ const PhaserGame = ({ universe, onAnomalyResolved, onPlayerPositionUpdate, onDis
     else scene.resumeGame();
   }, [anyPanelOpen]);
 
+  // Phones and tablets get the touch layer (settings: touchControls)
+  const touchOn = useTouchControls();
+
   // Map toggle handler
   const handleMapToggle = () => {
     setIsFullMapOpen(prev => !prev);
   };
 
-  // Overlay hotkeys. ESC behaves like a real game: closes whatever overlay
-  // is open first, otherwise toggles Settings - and does nothing while a
-  // minigame is running, where ESC already means "abort minigame".
+  // ESC behaves like a real game: closes whatever overlay is open first,
+  // otherwise toggles the game menu - and does nothing while a minigame is
+  // running, where ESC already means "abort minigame".
+  const closeTopOverlay = useCallback(() => {
+    if (sceneRef.current?.inputSystem?.isMinigameActive) return;
+    if (isCuratorLogOpen) { setIsCuratorLogOpen(false); return; }
+    if (isLocatorOpen) { setIsLocatorOpen(false); return; }
+    if (isDevOpen) { setIsDevOpen(false); return; }
+    if (contactCivId) { setContactCivId(null); return; }
+    if (isMissionsOpen) { setIsMissionsOpen(false); return; }
+    if (isAchievementsOpen) { setIsAchievementsOpen(false); return; }
+    if (isHangarOpen) { setIsHangarOpen(false); return; }
+    if (isFullMapOpen) { setIsFullMapOpen(false); return; }
+    if (isCodexOpen) { setIsCodexOpen(false); return; }
+    if (isSelfOpen) { setIsSelfOpen(false); return; }
+    if (isOutfittingOpen) { setIsOutfittingOpen(false); return; }
+    if (isChronicleOpen) { setIsChronicleOpen(false); return; }
+    if (isSettingsOpen) { setIsSettingsOpen(false); return; }
+    // Nothing open: ESC is the game menu hub
+    setIsMenuOpen(prev => !prev);
+  }, [isFullMapOpen, isCodexOpen, isSelfOpen, isOutfittingOpen, isChronicleOpen, contactCivId, isDevOpen, isMissionsOpen, isAchievementsOpen, isHangarOpen, isSettingsOpen, isLocatorOpen, isCuratorLogOpen]);
+
+  // Overlay hotkeys, through the key map (settings.js): each panel toggles on
+  // the key bound to the action of its name, and the menu key closes the
+  // top overlay (or opens the menu)
   useEffect(() => {
+    const toggles = {
+      map: handleMapToggle,
+      codex: () => setIsCodexOpen(prev => !prev),
+      self: () => setIsSelfOpen(prev => !prev),
+      outfitting: () => setIsOutfittingOpen(prev => !prev),
+      chronicle: () => setIsChronicleOpen(prev => !prev),
+      dev: () => isAdmin && setIsDevOpen(prev => !prev),
+      missions: () => setIsMissionsOpen(prev => !prev),
+      achievements: () => setIsAchievementsOpen(prev => !prev),
+      hangar: () => setIsHangarOpen(prev => !prev),
+      locator: () => setIsLocatorOpen(prev => !prev),
+      transmissions: () => setIsCuratorLogOpen(prev => !prev),
+      menu: closeTopOverlay,
+    };
     const handleKeyPress = (e) => {
-      if (e.key === 'm' || e.key === 'M') {
-        handleMapToggle();
-      }
-      if (e.key === 'c' || e.key === 'C') {
-        setIsCodexOpen(prev => !prev);
-      }
-      if (e.key === 'j' || e.key === 'J') {
-        setIsSelfOpen(prev => !prev);
-      }
-      if (e.key === 'u' || e.key === 'U') {
-        setIsOutfittingOpen(prev => !prev);
-      }
-      if (e.key === 'l' || e.key === 'L') {
-        setIsChronicleOpen(prev => !prev);
-      }
-      if ((e.key === 'k' || e.key === 'K') && isAdmin) {
-        setIsDevOpen(prev => !prev);
-      }
-      if (e.key === 'o' || e.key === 'O') {
-        setIsMissionsOpen(prev => !prev);
-      }
-      if (e.key === 'p' || e.key === 'P') {
-        setIsAchievementsOpen(prev => !prev);
-      }
-      if (e.key === 'h' || e.key === 'H') {
-        setIsHangarOpen(prev => !prev);
-      }
-      if (e.key === 'b' || e.key === 'B') {
-        setIsLocatorOpen(prev => !prev);
-      }
-      if (e.key === 't' || e.key === 'T') {
-        setIsCuratorLogOpen(prev => !prev);
-      }
-      if (e.key === 'Escape') {
-        if (sceneRef.current?.inputSystem?.isMinigameActive) return;
-        if (isCuratorLogOpen) { setIsCuratorLogOpen(false); return; }
-        if (isLocatorOpen) { setIsLocatorOpen(false); return; }
-        if (isDevOpen) { setIsDevOpen(false); return; }
-        if (contactCivId) { setContactCivId(null); return; }
-        if (isMissionsOpen) { setIsMissionsOpen(false); return; }
-        if (isAchievementsOpen) { setIsAchievementsOpen(false); return; }
-        if (isHangarOpen) { setIsHangarOpen(false); return; }
-        if (isFullMapOpen) { setIsFullMapOpen(false); return; }
-        if (isCodexOpen) { setIsCodexOpen(false); return; }
-        if (isSelfOpen) { setIsSelfOpen(false); return; }
-        if (isOutfittingOpen) { setIsOutfittingOpen(false); return; }
-        if (isChronicleOpen) { setIsChronicleOpen(false); return; }
-        if (isSettingsOpen) { setIsSettingsOpen(false); return; }
-        // Nothing open: ESC is the game menu hub
-        setIsMenuOpen(prev => !prev);
+      const key = keyFromEvent(e);
+      if (!key) return;
+      const bindings = keyBindings();
+      for (const [action, toggle] of Object.entries(toggles)) {
+        if (bindings[action] === key) toggle();
       }
     };
 
     window.addEventListener('keydown', handleKeyPress);
     return () => window.removeEventListener('keydown', handleKeyPress);
-  }, [isFullMapOpen, isCodexOpen, isSelfOpen, isOutfittingOpen, isChronicleOpen, contactCivId, isDevOpen, isAdmin, isMissionsOpen, isAchievementsOpen, isHangarOpen, isSettingsOpen, isLocatorOpen, isCuratorLogOpen]);
+  }, [closeTopOverlay, isAdmin]);
+
+  // Gamepad: the bound map and menu buttons work like M and ESC, B backs out
+  // of an open overlay, and the d-pad walks its controls (ui/useGamepad.js).
+  // In flight the scene's InputSystem reads the rest of the pad.
+  useGamepad((button) => {
+    const bindings = padBindings(getSettings().gamepadBindings);
+    if (button === bindings.menu || (anyPanelOpen && button === 'b')) closeTopOverlay();
+    else if (button === bindings.map) handleMapToggle();
+  }, anyPanelOpen);
 
   useEffect(() => {
     // Wait for the saved loadout so the ship never spawns/pops from a
@@ -271,13 +282,18 @@ const PhaserGame = ({ universe, onAnomalyResolved, onPlayerPositionUpdate, onDis
       // Phaser boots async - getScene() right after construction returns
       // null, which left sceneRef dead for every consumer. The scene calls
       // this from create(), when it actually exists.
-      onSceneReady: (scene) => { sceneRef.current = scene; },
+      onSceneReady: (scene) => {
+        sceneRef.current = scene;
+        setSceneReady(true);
+      },
       onEventReward,
       onVesselLost,
       onWaypointArrive: () => setWaypointCivId(null),
       onHint: showHint,
       onWarStrike,
       onBombardment,
+      onEscortLost,
+      coopRelayUrl,
     });
 
     const container = document.getElementById("phaser-container");
@@ -300,16 +316,7 @@ const PhaserGame = ({ universe, onAnomalyResolved, onPlayerPositionUpdate, onDis
         height: "100%",
         autoCenter: Phaser.Scale.CENTER_BOTH,
       },
-      scene: [
-        SceneClass,
-        QuantumStabilizerScene,
-        GravityWellScene,
-        CascadeReactionScene,
-        WaveformCollapseScene,
-        ExpansionContainmentScene,
-        StructuralRealignmentScene,
-        PolarityBalanceScene,
-      ]
+      scene: [SceneClass, ...MINIGAME_SCENES]
     };
 
     if (!gameRef.current) {
@@ -341,6 +348,7 @@ const PhaserGame = ({ universe, onAnomalyResolved, onPlayerPositionUpdate, onDis
       }
       gameRef.current = null;
       sceneRef.current = null;
+      setSceneReady(false);
       // The audio engine lives outside Phaser - destroying the game does not
       // silence it, so the drone/hum must be stopped here or it would keep
       // playing on the dashboard after leaving the universe.
@@ -357,6 +365,28 @@ const PhaserGame = ({ universe, onAnomalyResolved, onPlayerPositionUpdate, onDis
     // the scene's universe reference, which only refreshes through this effect
   }, [universe?.anomalies, universe?.currentState, universe?.discoveries, universe?.upgrades, universe?.civilizations]);
 
+  // A defense pact called: the moment an ally falls under siege, the Locator
+  // plots the course there (GameplayPage raises the alarm). Once per siege -
+  // steering the player off somewhere else afterwards is their call - and
+  // not until the scene exists to take the waypoint: a siege already on when
+  // the universe loaded is called the moment the scene is ready.
+  const calledPactsRef = useRef(new Set());
+  useEffect(() => {
+    if (!universe || !sceneReady) return;
+    const sieges = pactSieges(universe.civilizations || [], universe.activeWars || []);
+    const live = new Set(sieges.map((s) => s.civ.id));
+    for (const { civ } of sieges) {
+      if (calledPactsRef.current.has(civ.id)) continue;
+      calledPactsRef.current.add(civ.id);
+      setWaypointCivId(civ.id);
+      sceneRef.current.setCivWaypoint(civ.id);
+      toast?.(`Course plotted to ${civDesignation(civ.id)} — follow the green arrow.`, 'info', 8000);
+    }
+    for (const id of calledPactsRef.current) {
+      if (!live.has(id)) calledPactsRef.current.delete(id);
+    }
+  }, [universe, sceneReady, toast]);
+
   return (
     <div className="w-full h-full bg-void relative overflow-hidden">
       {/* Speed lines - traversal juice, behind all the UI */}
@@ -381,16 +411,35 @@ const PhaserGame = ({ universe, onAnomalyResolved, onPlayerPositionUpdate, onDis
         <div className="pointer-events-auto min-h-0 overflow-y-auto">
           <Console universe={universe} stats={stats} />
         </div>
-        <div className="pointer-events-auto shrink-0 mt-auto">
-          <ControlsHint />
-        </div>
+        {!touchOn && (
+          <div className="pointer-events-auto shrink-0 mt-auto">
+            <ControlsHint />
+          </div>
+        )}
+      </div>
+
+      {/* The escort a friendly people lent - just above the telemetry bar */}
+      <div className="absolute bottom-16 left-1/2 -translate-x-1/2 z-10">
+        <EscortStrip escort={hudData?.escort} onOrder={(order) => sceneRef.current?.orderEscort?.(order)} />
       </div>
 
       {/* Telemetry bar - bottom center */}
       <div className="absolute bottom-5 left-1/2 -translate-x-1/2 z-10">
-        <HUDPanel hudData={hudData} />
+        <HUDPanel hudData={hudData} uplink={uplink} onRetryFailed={retryFailedActions} onDismissFailed={clearFailedActions} />
       </div>
 
+      {/* Touch play (phones, tablets) - stick and buttons over the canvas */}
+      {touchOn && (
+        <TouchControls
+          context={hudData?.touch}
+          ability={hudData?.ability}
+          ordnance={hudData?.ordnance}
+          hidden={anyPanelOpen}
+          onMenu={() => setIsMenuOpen(true)}
+          onMap={handleMapToggle}
+        />
+      )}
+
       {/* Survey streak - the scanning flow-game counter (top center) */}
       <SurveyStreakOverlay survey={hudData?.survey} />
 
@@ -461,12 +510,36 @@ const PhaserGame = ({ universe, onAnomalyResolved, onPlayerPositionUpdate, onDis
         onClose={() => setContactCivId(null)}
         universe={universe}
         onAction={onContactAction}
+        escortCivId={hudData?.escort?.civId ?? null}
+        onRequestEscort={(civId) => sceneRef.current?.requestEscort?.(civId) ?? 'unavailable'}
       />
       {isAdmin && (
         <DevPanel
           isOpen={isDevOpen}
           onClose={() => setIsDevOpen(false)}
           onDevAction={onDevAction}
+          onSaveReplay={async () => {
+            const scene = sceneRef.current;
+            if (typeof scene?.exportReplay !== 'function') return false;
+            const bytes = await compressReplay(scene.exportReplay());
+            const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `eternaverse-${universe?._id ?? 'session'}-${new Date().toISOString().replace(/[:.]/g, '-')}.replay`;
+            a.click();
+            URL.revokeObjectURL(url);
+            return true;
+          }}
+          onPlayReplay={async (file) => {
+            if (typeof sceneRef.current?.startReplay !== 'function') return 'scene not ready (reload the tab)';
+            try {
+              const replay = decodeReplay(await decompressReplay(new Uint8Array(await file.arrayBuffer())));
+              sceneRef.current.startReplay(replay);
+              return null;
+            } catch (err) {
+              return err.message;
+            }
+          }}
           onClientAction={(action) => {
             // The end cinematic is a React overlay, not a Phaser scene, so it
             // never reaches sceneRef - bubble it up to the page that owns it.
@@ -550,7 +623,7 @@ const PhaserGame = ({ universe, onAnomalyResolved, onPlayerPositionUpdate, onDis
       <CuratorLogPanel isOpen={isCuratorLogOpen} onClose={() => setIsCuratorLogOpen(false)} />
       <GenesisDirective universe={universe} />
 
-      <div id="phaser-container" className="w-full h-full" />
+      <div id="phaser-container" className="w-full h-full touch-none" />
     </div>
   );
 };
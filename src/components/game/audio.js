@@ -65,6 +65,8 @@ function ensureUnlockListeners() {
 }
 
 function ready() {
+  // Silent outside a browser (systems/headlessScene.js steps systems in node)
+  if (typeof window === "undefined") return false;
   ensureUnlockListeners();
   if (!build()) return false;
   if (ctx.state === "suspended") ctx.resume();
@@ -133,6 +135,17 @@ const SFX = {
   minigameMiss: () => tone({ freq: 170, end: 90, type: "sawtooth", dur: 0.2, vol: 0.16 }),
   minigameWin: () => notes([523.25, 659.25, 783.99, 1046.5], { spacing: 0.1, vol: 0.18 }),
   minigameLose: () => notes([392, 311.13, 233.08], { spacing: 0.13, type: "sawtooth", vol: 0.12 }),
+  // A minigame thing changing state (MiniGameScene.stateCue): the news the
+  // state colours carry, told by pitch - high and clean for safe, a middle
+  // buzz for stressed, a low double pulse for failing.
+  minigameCue: ({ state = "warn" } = {}) => {
+    if (state === "good") tone({ freq: 990, type: "triangle", dur: 0.06, vol: 0.09 });
+    else if (state === "warn") tone({ freq: 520, type: "square", dur: 0.07, vol: 0.06 });
+    else {
+      tone({ freq: 260, type: "sawtooth", dur: 0.07, vol: 0.09 });
+      tone({ freq: 260, type: "sawtooth", dur: 0.07, vol: 0.09, at: 0.1 });
+    }
+  },
   explosion: () => {
     burst({ dur: 0.5, vol: 0.28, filter: 420 });
     tone({ freq: 60, end: 34, dur: 0.5, vol: 0.3 });
@@ -150,6 +163,16 @@ const SFX = {
     tone({ freq: 330, end: 660, type: "sawtooth", dur: 0.16, vol: 0.12 });
     tone({ freq: 660, end: 990, dur: 0.14, vol: 0.12, at: 0.1 });
   },
+  // Secondary ordnance: a low launch whoosh, a hollow EMP thump, a mine's clunk.
+  torpedo: () => {
+    burst({ dur: 0.25, vol: 0.12, filter: 900 });
+    tone({ freq: 180, end: 420, type: "sawtooth", dur: 0.22, vol: 0.1 });
+  },
+  emp: () => {
+    tone({ freq: 1400, end: 90, type: "sine", dur: 0.45, vol: 0.18 });
+    burst({ dur: 0.3, vol: 0.1, filter: 2400 });
+  },
+  mineDrop: () => tone({ freq: 200, end: 160, type: "square", dur: 0.08, vol: 0.12 }),
   // Survey streak: a rising chain tick whose pitch climbs with the combo, so a
   // hot streak literally sounds like it's escalating. Milestones get a chord.
   surveyTick: ({ streak = 1 } = {}) => {
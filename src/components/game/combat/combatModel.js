@@ -2,9 +2,9 @@
 //
 // Pure, deterministic math for the combat pillar - the single tuning surface
 // (the selfModel/stabilityConfig pattern). No Phaser, no I/O: weapon tables,
-// the heat state machine, aim-assist target selection, and rift-siege
-// composition all unit-test under node --test. CombatSystem/RiftSpawnSystem
-// are the Phaser adapters over this.
+// the heat state machine, aim-assist target selection, secondary ordnance and
+// its ammunition, and rift-siege composition all unit-test under node --test.
+// CombatSystem/RiftSpawnSystem are the Phaser adapters over this.
 
 // --- Player weapon ---------------------------------------------------------
 
@@ -71,15 +71,98 @@ export function pickTarget(origin, targets, { range = ASSIST_RANGE, coneRad = AS
   return best;
 }
 
+// --- Secondary ordnance ---------------------------------------------------
+
+// Finite-ammo secondaries on their own key, one slot per hull, for the fights
+// the bolt gun grinds through. Each hull racks only some of them (the
+// HULL_STATS philosophy again: a Hauler lays mines, it doesn't dogfight with
+// torpedoes). Ammo is fractional so a salvage mote can restock part of a
+// round - the HUD shows whole rounds.
+//   torpedo: locks the best target in a wide cone at launch and steers onto it
+//   emp:     a burst around the ship that strips shields and nothing else
+//   mine:    dropped behind the ship; arms, then bursts when something strays close
+export const ORDNANCE = {
+  torpedo: {
+    label: "Seeker torpedo", short: "TORP",
+    description: "Locks what the nose points at and steers onto it", ammo: 4, cooldownMs: 1200, restockPerMote: 0.5,
+    damage: 16, speed: 330, turnRate: 2.8, lifespanMs: 4200, lockRange: 1100, lockConeRad: 0.9,
+  },
+  emp: {
+    label: "EMP burst", short: "EMP",
+    description: "Strips the shields of every hostile ship around you", ammo: 2, cooldownMs: 4000, restockPerMote: 0.25,
+    radius: 300, shieldDamage: 60,
+  },
+  mine: {
+    label: "Proximity mine", short: "MINE",
+    description: "Dropped behind you - arms, then bursts when a hostile strays close", ammo: 5, cooldownMs: 700, restockPerMote: 0.5,
+    damage: 22, armMs: 800, triggerRadius: 70, blastRadius: 110, lifespanMs: 45000,
+  },
+};
+
+// What each hull can rack, first entry the default.
+export const HULL_ORDNANCE = {
+  interceptor: ["torpedo", "mine"],
+  cutter:      ["torpedo", "mine"],
+  falcon:      ["torpedo"],
+  cruiser:     ["torpedo", "emp", "mine"],
+  bastion:     ["emp", "torpedo", "mine"],
+  hauler:      ["mine", "emp"],
+  tachyon:     ["torpedo", "emp"],
+  vanguard:    ["torpedo", "emp", "mine"],
+};
+
+/** The ordnance a hull flies with: `picked` when the hull racks it, else its default. */
+export function ordnanceFor(hullId, picked) {
+  const racks = HULL_ORDNANCE[hullId] ?? HULL_ORDNANCE.interceptor;
+  return racks.includes(picked) ? picked : racks[0];
+}
+
+/** A full magazine of `id`. */
+export const freshMagazine = (id) => ({ id, ammo: ORDNANCE[id].ammo, lastFiredAt: -Infinity });
+
+export function tryLaunch(mag, nowMs) {
+  const ord = ORDNANCE[mag.id];
+  if (mag.ammo < 1 || nowMs - mag.lastFiredAt < ord.cooldownMs) return { mag, fired: false };
+  return { mag: { ...mag, ammo: mag.ammo - 1, lastFiredAt: nowMs }, fired: true };
+}
+
+/** `motes` salvage motes' worth of ammo, up to a full magazine. */
+export function restock(mag, motes = 1) {
+  const ord = ORDNANCE[mag.id];
+  return { ...mag, ammo: Math.min(ord.ammo, mag.ammo + ord.restockPerMote * motes) };
+}
+
+/**
+ * The targets an area blast at (x, y) reaches. Only hostiles: rift-spawn
+ * (no owner) and civ ships flagged `hostile` - a neutral trader or an ally
+ * drifting through a mine field is no reason to start a war with its people.
+ */
+export function areaTargets(targets, x, y, radius) {
+  return targets.filter((t) =>
+    (!t.ownerId || t.hostile) && Math.hypot(t.x - x, t.y - y) <= radius + (t.radius ?? 16));
+}
+
+/** What an EMP of `strength` takes off a target: its shields, never its hull. */
+export const empDamage = (shields, strength) => Math.max(0, Math.min(shields ?? 0, strength));
+
+/** A heading turned toward `desired` by at most `maxTurn` rad. */
+export function steerToward(angle, desired, maxTurn) {
+  let off = desired - angle;
+  while (off > Math.PI) off -= Math.PI * 2;
+  while (off < -Math.PI) off += Math.PI * 2;
+  return angle + Math.max(-maxTurn, Math.min(maxTurn, off));
+}
+
 // --- Rift-spawn ------------------------------------------------------------
 
 // The escort a Critical anomaly fields, by severity. Below 4 the fabric
-// hasn't torn far enough to crawl out of.
+// hasn't torn far enough to crawl out of; at 5 it has torn far enough to
+// hold itself together, and an Unraveler sits in the middle of its guard.
 export function siegeCompositionFor(severity) {
   const sev = Math.floor(severity || 0);
   if (sev < 4) return [];
   if (sev === 4) return ["stinger", "stinger", "tether"];
-  return ["stinger", "stinger", "stinger", "tether", "tether"];
+  return ["unraveler", "stinger", "stinger", "stinger", "tether", "tether"];
 }
 
 export const RIFT_STATS = {
@@ -108,4 +191,58 @@ export const RIFT_STATS = {
     radius: 18,
     color: 0x8b7bd8,
   },
+  // The severity-5 boss: the tear's own heart, sitting on the anomaly. Its
+  // body can't be hurt - only the weak points circling it, and only while
+  // no tether lives to shield them. Fought in phases (UNRAVELER_PHASES).
+  unraveler: {
+    radius: 42,
+    orbitRadius: 0,       // it doesn't orbit the anomaly; it IS the anomaly's core
+    weakPoints: 3,        // per phase
+    weakPointHp: 28,
+    weakPointRadius: 13,
+    weakPointOrbit: 68,
+    weakPointSpin: 0.6,   // rad/s
+    boltDamage: 7,
+    boltSpeed: 180,
+    boltLifespanMs: 6500,
+    range: 1300,          // it only throws rings at someone close enough to matter
+    salvage: 10,          // motes, besides the rift core it leaves
+    color: 0xc23a6e,
+  },
+};
+
+// The Unraveler's fight, in order. Each phase shows fresh weak points;
+// breaking them all moves it on, and breaking the last phase's kills it.
+// `summon` is what it knits on entering the phase - in the last, new
+// tethers, so it shields itself again just as the arena starts to shrink.
+export const UNRAVELER_PHASES = {
+  bound: { ringBolts: 8, ringIntervalMs: 4200, summon: [], next: "frayed" },
+  frayed: { ringBolts: 10, ringIntervalMs: 3200, summon: ["stinger", "stinger"], next: "unraveling" },
+  unraveling: { ringBolts: 14, ringIntervalMs: 2400, summon: ["tether", "tether"], next: null },
 };
+export const UNRAVELER_FIRST_PHASE = "bound";
+
+// In its last phase the tear widens: the danger ring (HazardSystem's
+// dangerRadius) grows to this many times its size over growMs, eating the
+// room there is to fight in.
+export const UNRAVELER_ARENA = { growMs: 40000, maxScale: 2.4 };
+
+/** Its weak points are out of reach while any tether lives. */
+export const unravelerShielded = (tethersAlive) => tethersAlive > 0;
+
+/** The phase after this one once `weakPointsLeft` reaches 0; null when that was the end of it. */
+export function unravelerAdvance(phase, weakPointsLeft) {
+  if (weakPointsLeft > 0) return phase;
+  return UNRAVELER_PHASES[phase]?.next ?? null;
+}
+
+/** How many times its usual size the danger ring is, `msInPhase` into `phase`. */
+export function unravelerArenaScale(phase, msInPhase) {
+  if (phase !== "unraveling") return 1;
+  const { growMs, maxScale } = UNRAVELER_ARENA;
+  return 1 + (maxScale - 1) * Math.max(0, Math.min(1, msInPhase / growMs));
+}
+
+/** The bearings of one ring volley: `count` evenly spaced, turned by `offset`. */
+export const ringVolley = (count, offset = 0) =>
+  Array.from({ length: count }, (_, i) => offset + (i / count) * Math.PI * 2);
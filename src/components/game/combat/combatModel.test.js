@@ -4,6 +4,9 @@ import assert from "node:assert/strict";
 import {
   WEAPONS, weaponFor, HEAT_MAX, HEAT_UNLOCK,
   applyCooling, tryFire, pickTarget, siegeCompositionFor, RIFT_STATS,
+  ORDNANCE, HULL_ORDNANCE, ordnanceFor, freshMagazine, tryLaunch, restock, empDamage, steerToward, areaTargets,
+  UNRAVELER_PHASES, UNRAVELER_FIRST_PHASE, UNRAVELER_ARENA,
+  unravelerShielded, unravelerAdvance, unravelerArenaScale, ringVolley,
 } from "./combatModel.js";
 
 const HULLS = ["interceptor", "cutter", "falcon", "cruiser", "bastion", "hauler", "tachyon", "vanguard"];
@@ -60,6 +63,55 @@ test("pickTarget selects the nearest hostile inside the nose cone", () => {
   assert.equal(pickTarget(origin, [{ id: "e", x: 5000, y: 0 }], { range: 900 }), null, "out of range");
 });
 
+test("every hull racks known ordnance, and a pick it can't rack falls back to its default", () => {
+  for (const id of HULLS) {
+    assert.ok(HULL_ORDNANCE[id].length > 0 && HULL_ORDNANCE[id].every((o) => ORDNANCE[o]), id);
+  }
+  assert.equal(ordnanceFor("hauler", "mine"), "mine");
+  assert.equal(ordnanceFor("falcon", "emp"), "torpedo");
+  assert.equal(ordnanceFor("nonsense", undefined), HULL_ORDNANCE.interceptor[0]);
+});
+
+test("launching spends a round and waits out the cooldown; motes restock up to a full magazine", () => {
+  let mag = freshMagazine("emp");
+  let r = tryLaunch(mag, 0);
+  assert.ok(r.fired);
+  assert.equal(r.mag.ammo, ORDNANCE.emp.ammo - 1);
+  assert.equal(tryLaunch(r.mag, 100).fired, false, "cooling down");
+  r = tryLaunch(r.mag, ORDNANCE.emp.cooldownMs);
+  assert.ok(r.fired);
+  assert.equal(tryLaunch(r.mag, 99999).fired, false, "empty");
+
+  mag = restock(r.mag, 3);
+  assert.equal(mag.ammo, 0.75);
+  assert.equal(tryLaunch(mag, 99999).fired, false, "part of a round is not a round");
+  assert.equal(restock(mag, 100).ammo, ORDNANCE.emp.ammo);
+});
+
+test("an EMP strips shields and never reaches the hull", () => {
+  assert.equal(empDamage(26, 60), 26);
+  assert.equal(empDamage(80, 60), 60);
+  assert.equal(empDamage(0, 60), 0);
+  assert.equal(empDamage(undefined, 60), 0, "unshielded targets shrug it off");
+});
+
+test("area ordnance reaches hostiles in its radius and leaves everyone else alone", () => {
+  const targets = [
+    { id: "spawn", x: 100, y: 0, radius: 20 },
+    { id: "raider", x: 0, y: 120, ownerId: "atk", hostile: true },
+    { id: "trader", x: 50, y: 50, ownerId: "neutral", hostile: false },
+    { id: "ally", x: 0, y: 0, ownerId: "ally" },
+    { id: "far", x: 900, y: 0 },
+  ];
+  assert.deepEqual(areaTargets(targets, 0, 0, 110).map((t) => t.id), ["spawn", "raider"]);
+});
+
+test("a torpedo turns toward its target no faster than its turn rate, the short way round", () => {
+  assert.equal(steerToward(0, 0.1, 0.5), 0.1);
+  assert.equal(steerToward(0, 2, 0.5), 0.5);
+  assert.ok(Math.abs(steerToward(3, -3, 0.5) - 3.2831853071795862) < 1e-9, "across the +-pi seam");
+});
+
 test("siege composition scales with severity and is empty below 4", () => {
   assert.deepEqual(siegeCompositionFor(1), []);
   assert.deepEqual(siegeCompositionFor(3), []);
@@ -67,7 +119,9 @@ test("siege composition scales with severity and is empty below 4", () => {
   const s5 = siegeCompositionFor(5);
   assert.equal(s4.filter((k) => k === "stinger").length, 2);
   assert.equal(s4.filter((k) => k === "tether").length, 1);
-  assert.equal(s5.length, 5);
+  assert.equal(s5.filter((k) => k === "unraveler").length, 1, "severity 5 brings the boss");
+  assert.equal(s5.filter((k) => k === "stinger").length, 3);
+  assert.equal(s5.filter((k) => k === "tether").length, 2);
   assert.ok(s5.every((k) => RIFT_STATS[k]), "every kind has stats");
 });
 
@@ -76,3 +130,38 @@ test("rift stats are complete for both archetypes", () => {
   assert.ok(RIFT_STATS.tether.hp > RIFT_STATS.stinger.hp, "tether is the tanky one");
   assert.ok(RIFT_STATS.tether.boltDamage > 0 && RIFT_STATS.tether.fireIntervalMs > 0);
 });
+
+test("the Unraveler is fought through every phase, in order, and dies after the last", () => {
+  const boss = RIFT_STATS.unraveler;
+  assert.ok(boss.weakPoints > 0 && boss.weakPointHp > 0 && boss.boltDamage > 0 && boss.salvage > 0);
+  const seen = [];
+  let phase = UNRAVELER_FIRST_PHASE;
+  while (phase) {
+    seen.push(phase);
+    assert.equal(unravelerAdvance(phase, 1), phase, "a weak point left holds the phase");
+    phase = unravelerAdvance(phase, 0);
+  }
+  assert.deepEqual(seen, Object.keys(UNRAVELER_PHASES));
+  for (const p of seen) {
+    assert.ok(UNRAVELER_PHASES[p].ringBolts > 0 && UNRAVELER_PHASES[p].ringIntervalMs > 0, p);
+    assert.ok(UNRAVELER_PHASES[p].summon.every((k) => RIFT_STATS[k]), p);
+  }
+  assert.ok(UNRAVELER_PHASES.unraveling.summon.includes("tether"), "the last phase shields itself again");
+  assert.equal(unravelerShielded(2), true);
+  assert.equal(unravelerShielded(0), false);
+});
+
+test("the arena only shrinks in the last phase, and stops shrinking", () => {
+  assert.equal(unravelerArenaScale("bound", 60000), 1);
+  assert.equal(unravelerArenaScale("unraveling", 0), 1);
+  const half = unravelerArenaScale("unraveling", UNRAVELER_ARENA.growMs / 2);
+  assert.ok(half > 1 && half < UNRAVELER_ARENA.maxScale);
+  assert.equal(unravelerArenaScale("unraveling", UNRAVELER_ARENA.growMs * 3), UNRAVELER_ARENA.maxScale);
+});
+
+test("a ring volley is evenly spaced and turns with its offset", () => {
+  const ring = ringVolley(4, 0.5);
+  assert.equal(ring.length, 4);
+  assert.ok(Math.abs(ring[1] - ring[0] - Math.PI / 2) < 1e-9);
+  assert.equal(ring[0], 0.5);
+});
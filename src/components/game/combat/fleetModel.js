@@ -16,6 +16,8 @@
 //   bombers ignore you completely and run for the world (the actual threat)
 //   guardians screen them and must be broken through or flanked
 //   interceptors harass YOU, so chasing the bombers always costs something
+// and a raid wave holds together as a squadron (see Squadrons below), so the
+// guardians are where the bombers are and a wave can lose its nerve.
 
 export const SHIP_ROLES = {
   // Fast harasser. Weak alone, lethal in a pack. Hunts the player.
@@ -112,12 +114,13 @@ export function raidWaveFor(civ, wave = 0) {
  *   "defend" - a home fleet with enemies in its sky
  *   "patrol" - nothing to do but hold station
  */
-export function shipStance({ isRaider, underSiege, attitude, grudgeUntil, playerDistance, now }) {
+export function shipStance({ isRaider, underSiege, attitude, grudgeUntil, playerDistance, now, pactFoe = false }) {
   if (isRaider) return "raid";
   if (underSiege) return "defend";
   const provoked = now < (grudgeUntil ?? 0);
   if (provoked) return "hunt";
-  if (attitude === "hostile" && playerDistance <= UNPROVOKED_RANGE) return "hunt";
+  // At war with someone the player has sworn to defend: the player is in it
+  if ((attitude === "hostile" || pactFoe) && playerDistance <= UNPROVOKED_RANGE) return "hunt";
   return "patrol";
 }
 
@@ -152,6 +155,212 @@ export function pickShipTarget(role, { candidates = [], worldPos = null, playerT
   return pool.reduce((a, b) => ((a.distance ?? Infinity) <= (b.distance ?? Infinity) ? a : b));
 }
 
+// --- Squadrons ----------------------------------------------------------------
+
+// A raid wave flies as one squadron, not as ships that happen to share a
+// spawn point. The bombers close up in a wedge behind their lead, the
+// guardians hold a screen between them and whatever is coming, and the
+// interceptors picket wide. Each ship is leashed to its slot: it may break
+// off after a target, harder the further it strays, and past its leash it
+// comes back - so the screen actually screens. A squadron has morale, too.
+// It falls as the wave loses ships (bombers weigh most: they're why it
+// came), and a wave that breaks, or loses every bomber, turns and runs,
+// ending early. Clearing a siege is about breaking its will, not only its
+// hulls.
+export const FORMATIONS = {
+  wedge: { leash: 140 },                              // bombers, behind the lead
+  screen: { leash: 280, radius: 150, spread: 0.45 },  // an arc ahead, facing the threat
+  picket: { leash: 700, radius: 340 },                // a wide ring
+};
+export const FORMATION_FOR_ROLE = {
+  bomber: "wedge",
+  guardian: "screen",
+  cruiser: "screen",
+  interceptor: "picket",
+};
+export const COHESION_SLACK = 60;      // how far off its slot a ship drifts unpulled
+export const MORALE_WEIGHT = { bomber: 2, guardian: 1.5, cruiser: 1.2, interceptor: 1 };
+export const MORALE_BREAK = 0.4;       // below this share of its strength, a wave runs
+export const SQUADRON_STATION = 260;   // from the world, where the bombers break for their runs
+export const SQUADRON_PACE = 0.85;     // of the slowest ship, so stragglers can keep up
+export const RETREAT_DISTANCE = 2400;  // from the world, where a fleeing ship is gone
+export const RETREAT_BURN = 1.3;       // of a ship's speed, running for its life
+
+const strengthOf = (roles) => roles.reduce((sum, r) => sum + (MORALE_WEIGHT[r] ?? 1), 0);
+
+/**
+ * A wave's squadron: where it is and which way it flies, and each ship's
+ * slot (aligned with `roles`) - its formation, and its place among the
+ * ships that fly it.
+ */
+export function makeSquadron(roles, anchor, heading) {
+  const counts = {};
+  for (const role of roles) {
+    const f = FORMATION_FOR_ROLE[role] ?? "picket";
+    counts[f] = (counts[f] ?? 0) + 1;
+  }
+  const seen = {};
+  const slots = roles.map((role) => {
+    const formation = FORMATION_FOR_ROLE[role] ?? "picket";
+    const index = seen[formation] ?? 0;
+    seen[formation] = index + 1;
+    return { formation, index, count: counts[formation] };
+  });
+  const speeds = roles.map((r) => SHIP_ROLES[r]?.speed).filter(Boolean);
+  return {
+    anchor: { x: anchor.x, y: anchor.y },
+    heading,
+    slots,
+    roles: [...roles],
+    strength: strengthOf(roles),
+    speed: (speeds.length ? Math.min(...speeds) : 0) * SQUADRON_PACE,
+    onStation: false,
+    retreating: false,
+  };
+}
+
+/**
+ * Where a slot sits. `heading` is the way the squadron flies; `facing` is
+ * where its screen looks - the nearest threat, when there is one.
+ */
+export function formationSlot(formation, index, count, anchor, heading, facing = heading) {
+  const at = (angle, forward, lateral) => ({
+    x: anchor.x + Math.cos(angle) * forward - Math.sin(angle) * lateral,
+    y: anchor.y + Math.sin(angle) * forward + Math.cos(angle) * lateral,
+  });
+  switch (formation) {
+    case "wedge": {
+      if (index === 0) return { x: anchor.x, y: anchor.y };
+      const row = Math.ceil(index / 2);
+      return at(heading, -row * 45, (index % 2 ? -1 : 1) * row * 40);
+    }
+    case "screen": {
+      const { radius, spread } = FORMATIONS.screen;
+      const angle = facing + (index - (count - 1) / 2) * spread;
+      return at(angle, radius, 0);
+    }
+    default: {
+      const angle = heading + (index / Math.max(1, count)) * Math.PI * 2;
+      return at(angle, FORMATIONS.picket.radius, 0);
+    }
+  }
+}
+
+/** How hard a ship is pulled back to its slot: 0 within the slack, 1 at its leash. */
+export function cohesionPull(formation, offSlot) {
+  const leash = FORMATIONS[formation]?.leash ?? FORMATIONS.picket.leash;
+  return Math.max(0, Math.min(1, (offSlot - COHESION_SLACK) / (leash - COHESION_SLACK)));
+}
+
+/**
+ * Where a ship in formation steers: at its aim, bent back toward its slot
+ * the further it has strayed. No aim, or past the leash, is the slot itself.
+ */
+export function cohesionSteer(pos, slot, aim, formation) {
+  if (!aim) return { x: slot.x, y: slot.y };
+  const pull = cohesionPull(formation, Math.hypot(pos.x - slot.x, pos.y - slot.y));
+  return { x: aim.x + (slot.x - aim.x) * pull, y: aim.y + (slot.y - aim.y) * pull };
+}
+
+/**
+ * The squadron closes on `goal` (the world it came to burn) at its pace,
+ * and stops on station. Returns the new { anchor, heading, onStation }.
+ */
+export function advanceSquadron(squadron, goal, dt) {
+  const { anchor } = squadron;
+  const dx = goal.x - anchor.x;
+  const dy = goal.y - anchor.y;
+  const d = Math.hypot(dx, dy);
+  const heading = d > 0 ? Math.atan2(dy, dx) : squadron.heading;
+  if (d <= SQUADRON_STATION) return { anchor: { ...anchor }, heading, onStation: true };
+  const step = Math.min(d - SQUADRON_STATION, squadron.speed * dt);
+  return {
+    anchor: { x: anchor.x + (dx / d) * step, y: anchor.y + (dy / d) * step },
+    heading,
+    onStation: d - step <= SQUADRON_STATION,
+  };
+}
+
+/** What is left of a squadron's strength, 0..1, given the roles still flying. */
+export function squadronMorale(squadron, aliveRoles) {
+  if (!squadron.strength) return 0;
+  return strengthOf(aliveRoles) / squadron.strength;
+}
+
+/**
+ * Does the wave break off? When its morale falls below MORALE_BREAK, or
+ * when it came with bombers and has none left - the escorts have nothing
+ * to escort. A wave with nobody left has nobody to retreat.
+ */
+export function shouldRetreat(squadron, aliveRoles) {
+  if (!aliveRoles.length) return false;
+  if (squadron.roles.includes("bomber") && !aliveRoles.includes("bomber")) return true;
+  return squadronMorale(squadron, aliveRoles) < MORALE_BREAK;
+}
+
+// --- Escorts ------------------------------------------------------------------
+
+// A people who think well of you will lend you a wing: a ship or two from
+// their home fleet that flies with you, fights rift-spawn and raiders, and
+// takes simple orders. Losing them costs you their regard (the server's call);
+// they won't send more to die for a while after.
+export const ESCORT_ATTITUDES = ["worship", "friendly"];
+export const ESCORT_ORDERS = ["follow", "hold", "attack", "home"];
+export const ESCORT_ENGAGE_RANGE = 900; // from the player, or the point they hold
+export const ESCORT_MAX_SPEED = 700;    // catching up to a boosting player
+export const ESCORT_REFUSE_MS = 120000;
+
+/** The wing a civilization lends, by what it can build - nothing unless it likes you. */
+export function escortFor(civ, attitude) {
+  if (!civ || civ.extinct || !ESCORT_ATTITUDES.includes(attitude)) return [];
+  switch (civ.type) {
+    case "Type1":
+      return ["interceptor"];
+    case "Type2":
+      return ["cruiser", "interceptor"];
+    case "Type3":
+      return ["guardian", "cruiser"];
+    default:
+      return []; // Type 0: planet-bound
+  }
+}
+
+/**
+ * Where the i-th escort keeps station: a loose V behind `anchor`, opening
+ * back from its `heading` (radians, the direction it flies).
+ */
+export function escortStation(anchor, heading, i) {
+  const row = Math.floor(i / 2) + 1;
+  const side = i % 2 === 0 ? -1 : 1;
+  const back = 50 + row * 40;
+  const lateral = side * row * 55;
+  return {
+    x: anchor.x - Math.cos(heading) * back - Math.sin(heading) * lateral,
+    y: anchor.y - Math.sin(heading) * back + Math.cos(heading) * lateral,
+  };
+}
+
+/**
+ * What an escort shoots under `order`. `candidates` are hostile targets
+ * ({ id, x, y, distance }), distance measured from what it guards - the
+ * player, or the point it holds. "attack" goes after the marked target
+ * wherever it is while it lives, then fights like "follow"; "home" fights
+ * nothing on the way back.
+ */
+export function pickEscortTarget(order, candidates = [], markedId = null) {
+  if (order === "home") return null;
+  if (order === "attack" && markedId != null) {
+    const marked = candidates.find((c) => c.id === markedId);
+    if (marked) return marked;
+  }
+  let best = null;
+  for (const c of candidates) {
+    if ((c.distance ?? Infinity) > ESCORT_ENGAGE_RANGE) continue;
+    if (!best || c.distance < best.distance) best = c;
+  }
+  return best;
+}
+
 /** Which civilization is besieging this one, if any. */
 export function besiegerOf(civId, activeWars = []) {
   const war = (activeWars || []).find((w) => w.a === civId || w.b === civId);
@@ -192,6 +401,40 @@ export function besiegedWorlds(civilizations = [], activeWars = []) {
   return out;
 }
 
+// --- Defense pacts ------------------------------------------------------------
+
+// A pact (signed through First Contact; the server keeps it on the civ as
+// `defensePact`) is a promise made before the war: when they are attacked,
+// you come. Their enemies know it and treat you as a combatant on sight.
+// Whether you kept it is the server's judgement, from the war strikes it is
+// sent during the siege - honoured - or the siege ending without you -
+// betrayed. Both are written into the Chronicle.
+export const PACT_ATTITUDES = ["worship", "friendly"];
+
+export const hasDefensePact = (civ) => !!civ?.defensePact && !civ.extinct;
+
+/** Will this people sign? Only one that likes you, and only once. */
+export function canSignPact(civ, attitude) {
+  if (!civ || civ.extinct || hasDefensePact(civ)) return false;
+  return PACT_ATTITUDES.includes(attitude);
+}
+
+/** Everyone at war with a people the player has sworn to defend. */
+export function pactFoes(civilizations = [], activeWars = []) {
+  const sworn = new Set((civilizations || []).filter(hasDefensePact).map((c) => c.id));
+  const foes = new Set();
+  for (const w of activeWars || []) {
+    if (sworn.has(w.a)) foes.add(w.b);
+    if (sworn.has(w.b)) foes.add(w.a);
+  }
+  return foes;
+}
+
+/** The besieged worlds (besiegedWorlds) the player has promised to defend - a pact called. */
+export function pactSieges(civilizations = [], activeWars = []) {
+  return besiegedWorlds(civilizations, activeWars).filter((s) => hasDefensePact(s.civ));
+}
+
 /**
  * Salvage a destroyed vessel leaves behind. Weighted by what the hull cost to
  * build, which conveniently means the ship you most need to kill - the bomber -
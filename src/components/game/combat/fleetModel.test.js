@@ -5,6 +5,10 @@ import {
   SHIP_ROLES, homeFleetFor, raidWaveFor, shipStance, besiegerOf,
   civUnderSiege, besiegedWorlds, salvageFor,
   pickShipTarget, applyDamage, UNPROVOKED_RANGE, GRUDGE_MS, MAX_WAVES,
+  escortFor, escortStation, pickEscortTarget, ESCORT_ENGAGE_RANGE,
+  makeSquadron, formationSlot, cohesionSteer, advanceSquadron, squadronMorale, shouldRetreat,
+  FORMATION_FOR_ROLE, FORMATIONS, SQUADRON_STATION,
+  hasDefensePact, canSignPact, pactFoes, pactSieges,
 } from "./fleetModel.js";
 
 const civ = (type, over = {}) => ({ id: "c1", type, warlikeness: 0.2, ...over });
@@ -65,6 +69,12 @@ test("stance: hostiles open fire on sight, but only within range", () => {
   assert.equal(shipStance({ ...base, playerDistance: UNPROVOKED_RANGE + 1 }), "patrol");
 });
 
+test("stance: a pact's enemies treat you as a combatant on sight", () => {
+  const base = { isRaider: false, attitude: "neutral", grudgeUntil: 0, now: 1000, pactFoe: true };
+  assert.equal(shipStance({ ...base, playerDistance: UNPROVOKED_RANGE - 1 }), "hunt");
+  assert.equal(shipStance({ ...base, playerDistance: UNPROVOKED_RANGE + 1 }), "patrol");
+});
+
 test("a bomber cannot be distracted - it always runs for the world", () => {
   const target = pickShipTarget("bomber", {
     candidates: [{ kind: "player", x: 0, y: 0, distance: 5 }],
@@ -115,6 +125,94 @@ test("shields soak damage before hull", () => {
   assert.deepEqual(applyDamage({ hp: 30, shields: 0 }, 7), { hp: 23, shields: 0 });
 });
 
+test("a wave's squadron flies each role in its own formation", () => {
+  for (const role of Object.keys(SHIP_ROLES)) assert.ok(FORMATIONS[FORMATION_FOR_ROLE[role]], role);
+  const sq = makeSquadron(raidWaveFor(civ("Type3"), 2), { x: 0, y: 0 }, 0);
+  const wedge = sq.slots.filter((s) => s.formation === "wedge");
+  assert.deepEqual(wedge.map((s) => s.index), [0, 1], "two bombers, one wedge");
+  assert.ok(wedge.every((s) => s.count === 2));
+  assert.ok(sq.slots.some((s) => s.formation === "screen") && sq.slots.some((s) => s.formation === "picket"));
+  assert.equal(sq.speed < SHIP_ROLES.bomber.speed, true, "paced so the slowest can keep up");
+});
+
+test("the wedge trails its lead, the screen sits toward the threat, pickets ride wide", () => {
+  const anchor = { x: 0, y: 0 };
+  assert.deepEqual(formationSlot("wedge", 0, 3, anchor, 0), anchor);
+  const wing = formationSlot("wedge", 1, 3, anchor, 0);
+  assert.ok(wing.x < 0, "behind the lead");
+  const screen = formationSlot("screen", 0, 1, anchor, 0, Math.PI / 2);
+  assert.ok(screen.y > 100 && Math.abs(screen.x) < 1, "out toward what it faces, not where it flies");
+  const picket = formationSlot("picket", 0, 2, anchor, 0);
+  assert.ok(Math.hypot(picket.x, picket.y) > Math.hypot(screen.x, screen.y));
+});
+
+test("cohesion lets a ship chase inside its leash and hauls it back past it", () => {
+  const slot = { x: 0, y: 0 };
+  const aim = { x: 500, y: 0 };
+  assert.deepEqual(cohesionSteer({ x: 20, y: 0 }, slot, aim, "screen"), aim, "close to its slot: free to chase");
+  const strained = cohesionSteer({ x: 170, y: 0 }, slot, aim, "screen");
+  assert.ok(strained.x > 0 && strained.x < aim.x, "straying: the chase bends home");
+  assert.deepEqual(cohesionSteer({ x: 400, y: 0 }, slot, aim, "screen"), slot, "past the leash: back to the slot");
+  assert.ok(cohesionSteer({ x: 400, y: 0 }, slot, aim, "picket").x > 0, "pickets run on a longer one");
+  assert.deepEqual(cohesionSteer({ x: 400, y: 0 }, slot, null, "picket"), slot);
+});
+
+test("a squadron closes on the world at its pace and stops on station", () => {
+  const sq = makeSquadron(["bomber", "guardian"], { x: 1000, y: 0 }, Math.PI);
+  const step = advanceSquadron(sq, { x: 0, y: 0 }, 1);
+  assert.ok(Math.abs(step.anchor.x - (1000 - sq.speed)) < 1e-6);
+  assert.equal(step.onStation, false);
+  const done = advanceSquadron({ ...sq, ...step }, { x: 0, y: 0 }, 60);
+  assert.equal(done.anchor.x, SQUADRON_STATION);
+  assert.equal(done.onStation, true);
+});
+
+test("morale falls with losses, and a wave breaks without its bombers or its nerve", () => {
+  const sq = makeSquadron(["bomber", "guardian", "guardian", "interceptor", "interceptor"], { x: 0, y: 0 }, 0);
+  assert.equal(squadronMorale(sq, sq.roles), 1);
+  assert.ok(
+    squadronMorale(sq, ["guardian", "guardian", "interceptor", "interceptor"]) <
+      squadronMorale(sq, ["bomber", "guardian", "guardian", "interceptor"]),
+    "a bomber lost weighs more than an interceptor",
+  );
+  assert.equal(shouldRetreat(sq, ["bomber", "guardian", "interceptor"]), false, "bloodied, still coming");
+  assert.equal(shouldRetreat(sq, ["guardian", "guardian", "interceptor", "interceptor"]), true, "nothing left to escort");
+  assert.equal(shouldRetreat(sq, ["bomber"]), true, "alone and out of nerve");
+  assert.equal(shouldRetreat(sq, []), false, "nobody left to run");
+  const escortless = makeSquadron(["guardian", "interceptor"], { x: 0, y: 0 }, 0);
+  assert.equal(shouldRetreat(escortless, ["guardian"]), false, "a wave that brought no bombers fights on its numbers");
+});
+
+test("only a people who like you lend a wing, and only if they can fly", () => {
+  assert.deepEqual(escortFor(civ("Type2"), "friendly"), ["cruiser", "interceptor"]);
+  assert.equal(escortFor(civ("Type1"), "worship").length, 1);
+  assert.deepEqual(escortFor(civ("Type3"), "neutral"), []);
+  assert.deepEqual(escortFor(civ("Type0"), "worship"), [], "planet-bound");
+  assert.deepEqual(escortFor(civ("Type2", { extinct: true }), "friendly"), []);
+  for (const role of escortFor(civ("Type3"), "friendly")) assert.ok(SHIP_ROLES[role], role);
+});
+
+test("escorts keep station in a V behind the way you fly", () => {
+  const anchor = { x: 0, y: 0 };
+  const a = escortStation(anchor, 0, 0); // flying +x
+  const b = escortStation(anchor, 0, 1);
+  assert.ok(a.x < 0 && b.x < 0, "behind");
+  assert.ok(a.y < 0 && b.y > 0, "one either side");
+  assert.equal(a.x, b.x);
+  assert.ok(escortStation(anchor, 0, 2).x < a.x, "the next pair a row further back");
+});
+
+test("escorts fight what's near what they guard, or what you marked", () => {
+  const near = { id: "n", x: 0, y: 0, distance: 300 };
+  const nearer = { id: "m", x: 0, y: 0, distance: 200 };
+  const far = { id: "f", x: 0, y: 0, distance: ESCORT_ENGAGE_RANGE + 500 };
+  assert.equal(pickEscortTarget("follow", [near, far, nearer]).id, "m");
+  assert.equal(pickEscortTarget("hold", [far]), null, "out of reach of the held point");
+  assert.equal(pickEscortTarget("attack", [near, far], "f").id, "f", "a mark is chased wherever it is");
+  assert.equal(pickEscortTarget("attack", [near], "gone").id, "n", "a dead mark falls back to the nearest");
+  assert.equal(pickEscortTarget("home", [nearer]), null);
+});
+
 test("besiegerOf reads the war from the defender's side", () => {
   const wars = [{ a: "civ_x", b: "civ_y" }];
   assert.equal(besiegerOf("civ_x", wars), "civ_y");
@@ -176,3 +274,24 @@ test("besiegedWorlds is the distress feed - every world worth flying to", () =>
   assert.deepEqual(ids, ["civ_a", "civ_b"]);
   assert.equal(feed.find((f) => f.civ.id === "civ_a").attackerId, "civ_b");
 });
+
+test("only a people who like you sign a pact, and only once", () => {
+  assert.equal(canSignPact(civ("Type1"), "friendly"), true);
+  assert.equal(canSignPact(civ("Type0"), "worship"), true, "the planet-bound need defending most");
+  assert.equal(canSignPact(civ("Type2"), "neutral"), false);
+  assert.equal(canSignPact(civ("Type2", { defensePact: { signedAt: 1 } }), "friendly"), false);
+  assert.equal(hasDefensePact(civ("Type2", { defensePact: { signedAt: 1 }, extinct: true })), false);
+});
+
+test("a pact makes its enemies yours, and its sieges your call to arms", () => {
+  const civs = [
+    { id: "ally", type: "Type1", defensePact: { signedAt: 1 } },
+    { id: "atk", type: "Type2" },
+    { id: "other", type: "Type1" },
+    { id: "atk2", type: "Type3" },
+  ];
+  const wars = [{ a: "atk", b: "ally" }, { a: "atk2", b: "other" }];
+  assert.deepEqual([...pactFoes(civs, wars)], ["atk"]);
+  assert.deepEqual(pactSieges(civs, wars).map((s) => s.civ.id), ["ally"], "the other siege is only a distress call");
+  assert.deepEqual(pactSieges(civs, []), []);
+});
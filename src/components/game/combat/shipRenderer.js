@@ -280,6 +280,18 @@ export class ShipRenderer {
     this.sparks.emitParticleAt(tx, ty, 10);
   }
 
+  /** A weapons bolt, oriented along its flight. CivFleetSystem moves it. */
+  bolt(x, y, angle, color) {
+    const gfx = this.scene.add.graphics({ x, y }).setDepth(6)
+      .setBlendMode(Phaser.BlendModes.ADD);
+    gfx.fillStyle(color, 0.4);
+    gfx.fillEllipse(0, 0, 18, 6);
+    gfx.fillStyle(0xffffff, 0.95);
+    gfx.fillEllipse(0, 0, 9, 2.5);
+    gfx.rotation = angle;
+    return gfx;
+  }
+
   destroy() {
     this.trailGfx.destroy();
     this.sparks.destroy();
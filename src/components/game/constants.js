@@ -16,8 +16,8 @@ export const STABILITY_CLEAR_THRESHOLD = 0.25;
 
 // Muted jewel-tone palette (false-color-instrument feel, not arcade neon) -
 // each type gets a distinct hue so they stay distinguishable at a glance.
-// `category` mirrors the backend's AnomalySchema category enum and drives
-// which minigame a given anomaly launches (see InputSystem.mapAnomalyToGame).
+// `category` mirrors the backend's AnomalySchema category enum and picks the
+// minigame for types without one of their own (see InputSystem.mapAnomalyToGame).
 export const ANOMALY_TYPE_MAP = {
   blackHoleMerger: { color: 0x8b7bd8, label: "BLACK HOLE", baseRadius: 15, category: "gravitational" },
   darkEnergySurge: { color: 0x5b8dd9, label: "DARK ENERGY", baseRadius: 12, category: "cosmological" },
@@ -34,4 +34,13 @@ export const ANOMALY_TYPE_MAP = {
 export const ANOMALY_TYPES = Object.entries(ANOMALY_TYPE_MAP).map(([type, config]) => ({
   type,
   ...config
-}));
\ No newline at end of file
+}));
+
+// Kardashev type -> beacon color (matches the escalation feel: mundane ->
+// notable -> remarkable -> transcendent)
+export const CIV_TYPE_COLORS = {
+  Type0: 0x9497ad,
+  Type1: 0x4fd1a5,
+  Type2: 0xdfa73f,
+  Type3: 0x8b7bd8,
+};
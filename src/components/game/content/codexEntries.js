@@ -74,13 +74,13 @@ export const CODEX_CONTAINMENT = {
   quantumFluctuation:
     "Contained by measurement: collapse the superposition into its stable eigenstate. The outcome is probabilistic (|ψ|²), so you shape the wave packet to load the odds — but squeezing it to raise the peak probability spreads its momentum, and it drifts faster.",
   quantumTunneling:
-    "The same measurement discipline as a vacuum fluctuation: repeatedly collapse the tunneling amplitude into the bound state before it leaks through the barrier. Localize the packet to raise your odds, and pay for it in momentum spread.",
+    "Contained by reshaping the barrier itself. Each particle tunnels with the real transmission coefficient of a rectangular barrier — exponential in its width, gentle in its height, resonant above the top — so the probes are let through a thin wall and the leaks turned back by a wide one.",
   galacticCollision:
     "Contained by relaxing the disrupted structure to its rest configuration — a mass-spring lattice where every link seeks its natural length. Untangle it from its stressed state and the elastic forces snap it taut at minimum energy.",
   cosmicVoid:
     "Treated as a strained spacetime lattice: the underdense region has pulled the surrounding structure out of equilibrium. Realign the network of nodes until every link returns to its rest tension.",
   cosmicString:
-    "A one-dimensional defect under mountainous tension. Contained by realigning the strained lattice around it into its minimum-energy geometry, distributing the string's stress across the whole network.",
+    "A one-dimensional defect under mountainous tension, rung like a plucked string. Contained by damping its standing waves as the anomaly drives one resonance after another — a damper drains the modes it touches at their antinodes and does nothing at their nodes, so it has to chase the mode that's ringing.",
   magneticReversal:
     "Contained with the Lorentz force: a charged probe curves via F = qv×B as it crosses the reversing field. Flip the field polarity to steer it, sweeping up the loose flux nodes without letting it break confinement.",
 };
@@ -25,10 +25,18 @@ export const CODEX_PRINCIPLES = [
     id: 'quantum-measurement',
     title: 'Measurement & Uncertainty',
     tag: 'Quantum',
-    appliesTo: 'Quantum anomalies · fluctuations, tunneling',
+    appliesTo: 'Quantum anomalies · fluctuations',
     body:
       "A quantum system is not in one state but a superposition of many, described by a wavefunction ψ. You cannot read its value; you can only MEASURE it, which collapses the superposition into a single outcome chosen at random, weighted by |ψ|². Skill is stacking the odds before you look. But there is a price: the Heisenberg uncertainty principle, Δx·Δp ≥ ℏ/2, says localizing a particle in position necessarily spreads its momentum. Squeeze the wave packet to sharpen your best outcome and it drifts faster and less predictably — you cannot pin down both at once.",
   },
+  {
+    id: 'quantum-tunneling',
+    title: 'Quantum Tunneling',
+    tag: 'Quantum',
+    appliesTo: 'Quantum anomalies · tunneling',
+    body:
+      "Roll a ball at a hill it can't climb and it rolls back, every time. A quantum particle doesn't quite: inside the barrier its wavefunction decays instead of vanishing, and whatever survives to the far edge carries on as a real chance of being found there. For a barrier of width a that chance falls roughly as T ≈ e^(−2κa), where κ grows with the square root of the energy shortfall — so width is punishing and height merely matters. Tunneling is why alpha particles escape nuclei, why the Sun can fuse hydrogen at all at its too-cool core, and how a scanning tunneling microscope images single atoms. It is also how a false vacuum could, one day, decay.",
+  },
   {
     id: 'thermonuclear-runaway',
     title: 'Thermonuclear Runaway',
@@ -57,10 +65,18 @@ export const CODEX_PRINCIPLES = [
     id: 'elastic-networks',
     title: 'Elastic Networks',
     tag: 'Structure',
-    appliesTo: 'Structural anomalies · collisions, voids, cosmic strings',
+    appliesTo: 'Structural anomalies · collisions, voids',
     body:
       "Connect a web of nodes with springs and you have a system that obeys Hooke's law, F = −kx, everywhere at once. Its minimum-energy shape is the one where every spring rests at its natural length — but a network knocked out of shape can jam in a tangled, higher-energy configuration, every link fighting its neighbors. Nudging it free lets the elastic forces do the rest, snapping the whole structure taut into its relaxed geometry. The same mathematics describes crystal lattices, protein folding, and the cosmic web of filaments strung between galaxy clusters.",
   },
+  {
+    id: 'standing-waves',
+    title: 'Standing Waves & Resonance',
+    tag: 'Waves',
+    appliesTo: 'Structural anomalies · cosmic strings',
+    body:
+      "Pin a string at both ends and it can only ring in whole numbers of half-wavelengths: mode n vibrates at n times the fundamental, ωₙ = nω₁, with n − 1 still points — nodes — strung along it. Drive it at one of those frequencies and each push lands in step with the last, so the amplitude climbs: resonance. A damper is only as good as where you put it. Touch a mode at a node and it doesn't notice; touch it at an antinode and it bleeds out fastest — which is how a guitarist plays harmonics. A cosmic string obeys the same wave equation at the speed of light, its tension measured by Gμ, and its kinks and cusps would radiate their energy away as gravitational waves.",
+  },
   {
     id: 'kardashev-scale',
     title: 'The Kardashev Scale',
@@ -0,0 +1,75 @@
+// src/components/game/content/minigameCatalog.js
+//
+// Every containment minigame by its Phaser scene key: its simulation
+// (minigames/transcript.js MINIGAMES key), what it's called, which anomalies route to it
+// (InputSystem.mapAnomalyToGame) and the Codex principle it makes playable.
+// Read by the Containment Simulator and the DevPanel launcher; the scene
+// classes themselves are in scenes/minigameScenes.js, kept apart so this
+// stays Phaser-free.
+export const MINIGAME_CATALOG = [
+  {
+    scene: 'GravityWellScene',
+    game: 'gravityWell',
+    title: 'Gravity Well',
+    anomalies: 'Black-hole mergers · dark-matter clumps',
+    principle: 'orbital-mechanics',
+  },
+  {
+    scene: 'WaveformCollapseScene',
+    game: 'waveformCollapse',
+    title: 'Waveform Collapse',
+    anomalies: 'Quantum fluctuations',
+    principle: 'quantum-measurement',
+  },
+  {
+    scene: 'QuantumTunnelingScene',
+    game: 'quantumTunneling',
+    title: 'Quantum Tunneling',
+    anomalies: 'Quantum tunneling',
+    principle: 'quantum-tunneling',
+  },
+  {
+    scene: 'CascadeReactionScene',
+    game: 'cascadeReaction',
+    title: 'Cascade Reaction',
+    anomalies: 'Supernova chains',
+    principle: 'thermonuclear-runaway',
+  },
+  {
+    scene: 'PolarityBalanceScene',
+    game: 'polarityBalance',
+    title: 'Polarity Balance',
+    anomalies: 'Magnetic reversals',
+    principle: 'lorentz-force',
+  },
+  {
+    scene: 'ExpansionContainmentScene',
+    game: 'expansionContainment',
+    title: 'Expansion Containment',
+    anomalies: 'Dark-energy surges',
+    principle: 'dark-energy',
+  },
+  {
+    scene: 'StructuralRealignmentScene',
+    game: 'structuralRealignment',
+    title: 'Structural Realignment',
+    anomalies: 'Galactic collisions · cosmic voids',
+    principle: 'elastic-networks',
+  },
+  {
+    scene: 'CosmicStringScene',
+    game: 'cosmicString',
+    title: 'Cosmic String',
+    anomalies: 'Cosmic strings',
+    principle: 'standing-waves',
+  },
+  {
+    scene: 'QuantumStabilizerScene',
+    game: 'quantumStabilizer',
+    title: 'Field Stabilizer',
+    anomalies: 'Anything without a game of its own',
+    principle: null,
+  },
+];
+
+export const getMinigame = (scene) => MINIGAME_CATALOG.find((m) => m.scene === scene) || null;
@@ -0,0 +1,137 @@
+// src/components/game/gamepad.js
+//
+// Gamepad API support: one pad, read in the browser's "standard" layout
+// (an Xbox-style pad - most controllers are mapped to it). Nothing here
+// listens for events; each consumer owns a PadReader and polls it once a
+// frame - InputSystem for flight, MiniGameScene for the minigames, and
+// useGamepad for the React panels - so a button press is an edge to each of
+// them independently.
+//
+// Sticks are analog: a reading is deadzoned, rescaled to 0-1 past the
+// deadzone and rounded to hundredths, which is also what a replay records
+// (replay/replayFormat.js) - the ship flies on exactly the value written.
+// Which button does what is a setting (gamepadBindings, changed in
+// SettingsPanel); the sticks and d-pad are fixed.
+
+// Standard-mapping button indices, by the names bindings use
+export const PAD_BUTTONS = {
+  a: 0, b: 1, x: 2, y: 3, lb: 4, rb: 5, lt: 6, rt: 7,
+  back: 8, start: 9, ls: 10, rs: 11, up: 12, down: 13, left: 14, right: 15,
+};
+
+// How a button is shown in the UI
+export const PAD_LABELS = {
+  a: "A", b: "B", x: "X", y: "Y", lb: "LB", rb: "RB", lt: "LT", rt: "RT",
+  back: "BACK", start: "START", ls: "L3", rs: "R3", up: "D-UP", down: "D-DOWN", left: "D-LEFT", right: "D-RIGHT",
+};
+
+// Rebindable actions, in the order SettingsPanel lists them. boost and fire
+// are held; the rest fire once per press (the flight recorder's commands,
+// plus the map and menu, which React opens).
+export const PAD_ACTIONS = [
+  { id: "boost", label: "Boost", held: true },
+  { id: "fire", label: "Fire", held: true },
+  { id: "secondary", label: "Secondary ordnance" },
+  { id: "interact", label: "Resolve anomaly" },
+  { id: "scan", label: "Scan object" },
+  { id: "contact", label: "First contact" },
+  { id: "ability", label: "Ability" },
+  { id: "coop", label: "Call a partner" },
+  { id: "descend", label: "Descend" },
+  { id: "ascend", label: "Ascend" },
+  { id: "map", label: "Full map" },
+  { id: "menu", label: "Menu" },
+];
+
+export const DEFAULT_PAD_BINDINGS = {
+  boost: "lt", fire: "rt", secondary: "ls",
+  interact: "a", scan: "x", contact: "y", ability: "b",
+  coop: "rs", descend: "rb", ascend: "lb",
+  map: "back", menu: "start",
+};
+
+// Stick travel ignored around centre - worn sticks rest a little off it
+export const DEADZONE = 0.2;
+
+// A trigger counts as pulled past this
+const TRIGGER_THRESHOLD = 0.35;
+
+/** The bindings in force: saved overrides over the defaults. */
+export const padBindings = (overrides) => ({ ...DEFAULT_PAD_BINDINGS, ...overrides });
+
+// Fixed to navigation and flying - not offered for binding
+export const DPAD = ["up", "down", "left", "right"];
+
+/**
+ * Saved overrides after binding `action` to `button`. An action that had the
+ * button takes this one's old button instead, so no two share one.
+ */
+export function rebind(overrides, action, button) {
+  const bindings = padBindings(overrides);
+  const next = { ...overrides, [action]: button };
+  const clash = Object.keys(bindings).find((id) => id !== action && bindings[id] === button);
+  if (clash) next[clash] = bindings[action];
+  return next;
+}
+
+/** An axis past the deadzone, rescaled to -1..1 and rounded to hundredths. */
+export function deadzone(v, dz = DEADZONE) {
+  const mag = Math.abs(v);
+  if (!(mag > dz)) return 0;
+  return Math.sign(v) * Math.round((Math.min(1, (mag - dz) / (1 - dz))) * 100) / 100;
+}
+
+/**
+ * A Gamepad (or anything shaped like one) -> { x, y, rx, ry, down }: the
+ * left stick with the d-pad folded in (the d-pad wins), the right stick, and
+ * the set of button names held. Idle when there is no pad.
+ */
+export function readPad(gamepad) {
+  const down = new Set();
+  if (!gamepad) return { x: 0, y: 0, rx: 0, ry: 0, down };
+  const { axes = [], buttons = [] } = gamepad;
+  for (const [name, index] of Object.entries(PAD_BUTTONS)) {
+    const b = buttons[index];
+    if (!b) continue;
+    const pulled = typeof b === "number" ? b : (b.pressed || b.value > TRIGGER_THRESHOLD);
+    if (pulled) down.add(name);
+  }
+  let x = deadzone(axes[0] ?? 0);
+  let y = deadzone(axes[1] ?? 0);
+  if (down.has("left") !== down.has("right")) x = down.has("left") ? -1 : 1;
+  if (down.has("up") !== down.has("down")) y = down.has("up") ? -1 : 1;
+  return { x, y, rx: deadzone(axes[2] ?? 0), ry: deadzone(axes[3] ?? 0), down };
+}
+
+/** The first connected pad, or null (also where the Gamepad API is missing). */
+export function connectedPad() {
+  const pads = globalThis.navigator?.getGamepads?.() ?? [];
+  for (const pad of pads) {
+    if (pad?.connected) return pad;
+  }
+  return null;
+}
+
+/**
+ * One consumer's view of the pad: poll() once a frame returns the reading
+ * plus `pressed`, the buttons that went down since the last poll. A button
+ * already held when a reader starts (or resyncs) is not a press.
+ */
+export class PadReader {
+  constructor(source = connectedPad) {
+    this.source = source;
+    this.prev = null;
+  }
+
+  poll() {
+    const state = readPad(this.source());
+    const pressed = this.prev ? [...state.down].filter((b) => !this.prev.has(b)) : [];
+    this.prev = state.down;
+    return { ...state, pressed };
+  }
+
+  /** Forget the last poll: whatever is held now doesn't count as pressed. */
+  resync() {
+    this.prev = null;
+  }
+}
@@ -0,0 +1,50 @@
+// src/components/game/gamepad.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PAD_BUTTONS, PadReader, deadzone, padBindings, readPad, rebind } from "./gamepad.js";
+
+const pad = ({ axes = [0, 0, 0, 0], held = [], lt = 0 } = {}) => {
+  const buttons = Array.from({ length: 16 }, () => ({ pressed: false, value: 0 }));
+  held.forEach((name) => { buttons[PAD_BUTTONS[name]] = { pressed: true, value: 1 }; });
+  buttons[PAD_BUTTONS.lt] = { pressed: false, value: lt };
+  return { axes, buttons, connected: true };
+};
+
+test("sticks ignore the deadzone and reach full travel at the rim", () => {
+  assert.equal(deadzone(0.15), 0);
+  assert.equal(deadzone(-1), -1);
+  assert.equal(deadzone(0.6), 0.5);
+  assert.equal(deadzone(NaN), 0);
+  const { x, y, rx } = readPad(pad({ axes: [0.6, -0.1, -1, 0] }));
+  assert.deepEqual([x, y, rx], [0.5, 0, -1]);
+});
+
+test("the d-pad overrides the stick, and a half-pulled trigger counts", () => {
+  const state = readPad(pad({ axes: [0.6, 0.6], held: ["up"], lt: 0.5 }));
+  assert.deepEqual([state.x, state.y], [0.5, -1]);
+  assert.ok(state.down.has("lt"));
+  assert.deepEqual(readPad(null), { x: 0, y: 0, rx: 0, ry: 0, down: new Set() });
+});
+
+test("a reader reports each press once, and not a button held when it started", () => {
+  let current = pad({ held: ["a"] });
+  const reader = new PadReader(() => current);
+  assert.deepEqual(reader.poll().pressed, []);
+  current = pad({ held: ["a", "x"] });
+  assert.deepEqual(reader.poll().pressed, ["x"]);
+  assert.deepEqual(reader.poll().pressed, []);
+  current = pad();
+  reader.poll();
+  current = pad({ held: ["x"] });
+  reader.resync();
+  assert.deepEqual(reader.poll().pressed, []);
+});
+
+test("saved bindings override only the actions they name, and a rebind swaps", () => {
+  const bindings = padBindings({ fire: "a" });
+  assert.equal(bindings.fire, "a");
+  assert.equal(bindings.boost, "lt");
+  const swapped = padBindings(rebind({}, "fire", "a"));
+  assert.equal(swapped.fire, "a");
+  assert.equal(swapped.interact, "rt", "resolve takes fire's old trigger");
+});
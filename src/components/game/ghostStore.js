@@ -0,0 +1,78 @@
+// src/components/game/ghostStore.js
+//
+// The warden's ghosts (minigames/ghost.js), kept in localStorage on this
+// device: the best S-grade run of each minigame at each severity, as its
+// transcript. MiniGameScene offers every finished run; the Containment
+// Simulator lists them for sharing and imports other wardens'. Same
+// subscribe/notify singleton pattern as settings.js.
+import { decodeGhost } from "./minigames/ghost.js";
+import { severityOf } from "./minigames/common.js";
+import { getGradeForAccuracy } from "./utils.js";
+
+const KEY = "eternaverse:ghosts";
+
+export const ghostKey = (game, severity) => `${game}:${severityOf(severity)}`;
+
+function load() {
+  try {
+    const s = JSON.parse(localStorage.getItem(KEY) || "null");
+    if (s && typeof s === "object" && !Array.isArray(s)) return s;
+  } catch { /* first run / private mode */ }
+  return {};
+}
+
+let ghosts = load();
+const listeners = new Set();
+
+function save(key, entry) {
+  ghosts = { ...ghosts, [key]: entry };
+  try {
+    localStorage.setItem(KEY, JSON.stringify(ghosts));
+  } catch {
+    // Storage unavailable - the ghost lasts this session only
+  }
+  listeners.forEach((fn) => {
+    try {
+      fn(ghosts);
+    } catch (err) {
+      console.error("ghost listener failed:", err);
+    }
+  });
+}
+
+/** Every ghost, keyed by ghostKey(). */
+export const getGhosts = () => ghosts;
+
+/** The ghost to race at this game and severity, or null. */
+export const getGhost = (game, severity) => ghosts[ghostKey(game, severity)] ?? null;
+
+/**
+ * Offer a finished run as a ghost: it's kept if it's a solo, full-speed
+ * S-grade success that beats the one held (higher accuracy, then higher
+ * score). Returns whether it was kept.
+ */
+export function offerGhost(transcript, { status, accuracy, score }) {
+  if (!transcript || transcript.seats || transcript.timeScale || status !== "success" || getGradeForAccuracy(accuracy).grade !== "S") return false;
+  const key = ghostKey(transcript.game, transcript.severity);
+  const held = ghosts[key];
+  if (held && (held.accuracy > accuracy || (held.accuracy === accuracy && held.score >= score))) return false;
+  save(key, { transcript, accuracy, score, at: new Date().toISOString() });
+  return true;
+}
+
+/**
+ * Take in a shared ghost string, replacing the ghost held for its game and
+ * severity. Throws, with a reason fit to show, on one that isn't a valid
+ * S-grade run.
+ */
+export function importGhost(text) {
+  const { transcript, accuracy, score } = decodeGhost(text);
+  const entry = { transcript, accuracy, score, at: new Date().toISOString(), imported: true };
+  save(ghostKey(transcript.game, transcript.severity), entry);
+  return entry;
+}
+
+export function onGhostsChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
@@ -6,7 +6,7 @@
 // scale/rotation/alpha. Budget: well under 300ms on a mid-range machine.
 import seedrandom from "seedrandom";
 import { OBJECT_CLASSES } from "../world/researchValues.js";
-import { PLANET_CLASSES } from "../world/worldScales.js";
+import { PLANET_CLASSES, MOON_CLASSES } from "../world/worldScales.js";
 import { CUSTOM_ASSETS, customTextureKey } from "../content/customAssets.js";
 import { HULL_CATALOG, HULL_SHAPES } from "../content/hullCatalog.js";
 
@@ -150,6 +150,8 @@ export class TextureFactory {
     this._generateSpark();
     this._generateStar();
     Object.entries(PLANET_CLASSES).forEach(([id, info]) => this._generatePlanet(id, info));
+    this._generateStation();
+    this._generateSettlement();
     HULL_CATALOG.forEach((hull) => this._generateHull(hull.id));
   }
 
@@ -445,6 +447,10 @@ export class TextureFactory {
       return this.scene.textures.exists(perClass) ? perClass : "evtex:star";
     }
     if (descriptor.category === "planet") return `evtex:planet:${descriptor.objectClass}`;
+    // Moons wear the planet art of the same surface.
+    if (descriptor.category === "moon") return `evtex:planet:${MOON_CLASSES[descriptor.objectClass]?.art ?? "barren"}`;
+    if (descriptor.category === "station") return "evtex:station";
+    if (descriptor.category === "settlement") return "evtex:settlement";
     const info = OBJECT_CLASSES[descriptor.objectClass];
     const family = info?.category === "galaxy" ? info.morph
       : info?.category === "nebula" ? "nebula"
@@ -580,6 +586,94 @@ export class TextureFactory {
     }
   }
 
+  // An orbital station, top-down: a central hub, a habitat ring on spokes and
+  // two solar wings. Pale and solid (normal blend) - it's a built thing, not
+  // a glow.
+  _generateStation() {
+    const key = "evtex:station";
+    if (this.scene.textures.exists(key)) return;
+    const size = 96;
+    const c = size / 2;
+    const canvas = document.createElement("canvas");
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext("2d");
+
+    // Solar wings: two long panels with a cell grid
+    ctx.fillStyle = "rgba(58,92,140,0.95)";
+    ctx.fillRect(c - 44, c - 5, 26, 10);
+    ctx.fillRect(c + 18, c - 5, 26, 10);
+    ctx.strokeStyle = "rgba(150,190,230,0.6)";
+    ctx.lineWidth = 0.8;
+    for (let x = 0; x <= 26; x += 6.5) {
+      ctx.beginPath();
+      ctx.moveTo(c - 44 + x, c - 5); ctx.lineTo(c - 44 + x, c + 5);
+      ctx.moveTo(c + 18 + x, c - 5); ctx.lineTo(c + 18 + x, c + 5);
+      ctx.stroke();
+    }
+
+    // Spokes, then the habitat ring over them
+    ctx.strokeStyle = "rgba(190,205,220,0.9)";
+    ctx.lineWidth = 2;
+    for (let i = 0; i < 4; i++) {
+      const a = (i / 4) * Math.PI * 2 + Math.PI / 4;
+      ctx.beginPath();
+      ctx.moveTo(c, c);
+      ctx.lineTo(c + Math.cos(a) * 17, c + Math.sin(a) * 17);
+      ctx.stroke();
+    }
+    ctx.lineWidth = 4;
+    ctx.strokeStyle = "rgba(214,226,236,0.95)";
+    ctx.beginPath();
+    ctx.arc(c, c, 17, 0, Math.PI * 2);
+    ctx.stroke();
+
+    // Hub, with a lit docking light
+    ctx.fillStyle = "rgba(226,234,242,1)";
+    ctx.beginPath();
+    ctx.arc(c, c, 6, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = "rgba(159,212,224,1)";
+    ctx.beginPath();
+    ctx.arc(c, c, 2.2, 0, Math.PI * 2);
+    ctx.fill();
+
+    this.scene.textures.addCanvas(key, canvas);
+  }
+
+  // City lights seen from orbit: a warm cluster of points around a brighter
+  // core, transparent-edged so it sits on any planet surface (additive).
+  _generateSettlement() {
+    const key = "evtex:settlement";
+    if (this.scene.textures.exists(key)) return;
+    const size = 64;
+    const c = size / 2;
+    const canvas = document.createElement("canvas");
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext("2d");
+    const rng = seedrandom(`${key}#lights`);
+
+    const glow = ctx.createRadialGradient(c, c, 0, c, c, c);
+    glow.addColorStop(0, "rgba(255,207,122,0.55)");
+    glow.addColorStop(0.35, "rgba(255,207,122,0.16)");
+    glow.addColorStop(1, "rgba(255,207,122,0)");
+    ctx.fillStyle = glow;
+    ctx.fillRect(0, 0, size, size);
+
+    for (let i = 0; i < 40; i++) {
+      // Denser toward the core, like a real city's sprawl
+      const r = Math.pow(rng(), 1.8) * c * 0.8;
+      const a = rng() * Math.PI * 2;
+      ctx.fillStyle = `rgba(255,${Math.round(200 + rng() * 55)},${Math.round(140 + rng() * 80)},${(0.5 + rng() * 0.5).toFixed(2)})`;
+      ctx.beginPath();
+      ctx.arc(c + Math.cos(a) * r, c + Math.sin(a) * r, 0.6 + rng() * 1.2, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    this.scene.textures.addCanvas(key, canvas);
+  }
+
   _generateStarfield(key, layerIndex) {
     if (this.scene.textures.exists(key)) return;
     // These must be plain canvas textures, NOT the RenderTexture.saveTexture
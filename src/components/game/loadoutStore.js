@@ -4,12 +4,14 @@
 // running Phaser scene POLLS this each frame and re-applies when it
 // changes - no React->Phaser method calls, no stale scene refs, immune to
 // HMR keeping an old scene class alive. Seeded from the server by
-// PhaserGame on mount; updated by HangarPanel on save.
+// PhaserGame on mount; updated by HangarPanel on save. `ordnance` is the
+// secondary the player picked (combatModel.ORDNANCE); null, or one the hull
+// can't rack, flies the hull's default (ordnanceFor).
 
-let loadout = { hull: "interceptor", shipColor: "#dfa73f" };
+let loadout = { hull: "interceptor", shipColor: "#dfa73f", ordnance: null };
 
 export const getLoadoutLocal = () => loadout;
 
-export function setLoadoutLocal(hull, shipColor) {
-  loadout = { hull, shipColor };
+export function setLoadoutLocal(hull, shipColor, ordnance = null) {
+  loadout = { hull, shipColor, ordnance };
 }
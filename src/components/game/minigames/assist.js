@@ -0,0 +1,47 @@
+// src/components/game/minigames/assist.js
+//
+// Minigame accessibility assists, chosen in settings.js: slow motion,
+// toggle-instead-of-hold controls, and colour-blind palettes.
+//
+// No assist changes what a run is worth. A slowed run records its
+// `timeScale` in the transcript, so its result can say so, but its rewards
+// are a full-speed run's: the frame times are all the server sees of it, and
+// a run slowed on a 30Hz display (or a throttled tab) records the same frames
+// as a full-speed one on 60Hz. A cut only the honest would take is no cut.
+// Latching a control rather than holding it, or seeing the game in other
+// colours, changes how input is given or read and leaves no mark at all.
+import { INPUT } from "./common.js";
+
+export const TIME_SCALES = [1, 0.75, 0.5];
+
+/** A time scale as the minigames take it: one of TIME_SCALES, 1 otherwise. */
+export const timeScaleOf = (v) => (TIME_SCALES.includes(v) ? v : 1);
+
+const OPPOSITE = {
+  [INPUT.UP]: INPUT.DOWN,
+  [INPUT.DOWN]: INPUT.UP,
+  [INPUT.LEFT]: INPUT.RIGHT,
+  [INPUT.RIGHT]: INPUT.LEFT,
+};
+
+/**
+ * Hold-to-toggle: the latched held-key bits after a tap of `bit`. A tap
+ * latches the key, a second tap lets it go, and latching a direction lets
+ * go of its opposite - nobody means to hold both.
+ */
+export function latch(latched, bit) {
+  if (latched & bit) return latched & ~bit;
+  return (latched & ~(OPPOSITE[bit] ?? 0)) | bit;
+}
+
+// Palettes swap the three state colours (MiniGameScene MG_COLORS) that carry
+// meaning - safe, stressed, failing - for ones told apart without the red-
+// green axis: blue for safe, and yellow and orange set apart in brightness.
+// Protanopes see long wavelengths dimmer, so their orange is lifted.
+export const PALETTES = {
+  default: {},
+  deuteranopia: { good: 0x56b4e9, warn: 0xf0e442, critical: 0xd55e00 },
+  protanopia: { good: 0x56b4e9, warn: 0xf0e442, critical: 0xff8a3d },
+};
+
+export const paletteOf = (name) => PALETTES[name] ?? PALETTES.default;
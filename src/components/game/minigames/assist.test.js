@@ -0,0 +1,63 @@
+// src/components/game/minigames/assist.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { INPUT } from "./common.js";
+import { minigameSeed, verifyTranscript } from "./transcript.js";
+import { playRun, rideCorridor } from "./recordedRun.js";
+import { PALETTES, latch, timeScaleOf } from "./assist.js";
+
+test("a tap latches a held control, a second lets it go, and opposites exclude", () => {
+  let held = latch(0, INPUT.UP);
+  assert.equal(held, INPUT.UP);
+  held = latch(held, INPUT.LEFT);
+  assert.equal(held, INPUT.UP | INPUT.LEFT);
+  held = latch(held, INPUT.DOWN);
+  assert.equal(held, INPUT.DOWN | INPUT.LEFT, "latching down lets go of up");
+  assert.equal(latch(held, INPUT.LEFT), INPUT.DOWN);
+});
+
+// A 0.5x run, its frames recorded at `realMs` of real time each
+function slowedRun(anomalyId, realMs) {
+  const params = { seed: minigameSeed(anomalyId), severity: 2, challenge: null, view: null, timeScale: 0.5 };
+  const { outcome, transcript } = playRun("expansionContainment", params, rideCorridor, realMs * 0.5);
+  return { transcript, ...outcome };
+}
+
+test("a slowed run verifies as usual and pays as any other", () => {
+  const anomalyId = "673ab123_1700000000_9";
+  const { transcript, status, accuracy } = slowedRun(anomalyId, 16.67);
+  assert.equal(status, "success");
+  assert.equal(transcript.timeScale, 0.5);
+  assert.deepEqual(verifyTranscript(transcript, { anomalyId, severity: 2, accuracy }), { ok: true, accuracy });
+
+  const refused = (t) => verifyTranscript(t, { anomalyId, severity: 2, accuracy }).reason;
+  assert.match(refused({ ...transcript, timeScale: 0.1 }), /time scale is malformed/);
+  assert.match(refused({ ...transcript, timeScale: 1 }), /time scale is malformed/, "full speed is never written");
+
+  // On 60Hz, leaving the time scale off leaves frames too short for full speed
+  const { timeScale, ...undeclared } = transcript;
+  assert.equal(timeScale, 0.5);
+  assert.match(refused(undeclared), /frame times are out of range/);
+  assert.match(refused({ ...transcript, timeScale: 0.75 }), /frame times are out of range/, "nor as a lighter assist");
+});
+
+test("a slowed run on a 30Hz display reads as a full-speed one, so slowing earns nothing less", () => {
+  const anomalyId = "673ab123_1700000000_9";
+  const { transcript, status, accuracy } = slowedRun(anomalyId, 33.33);
+  assert.equal(status, "success");
+  const { timeScale, ...undeclared } = transcript;
+  assert.equal(timeScale, 0.5);
+  // The frame floor can't tell it apart...
+  const claim = { anomalyId, severity: 2, accuracy };
+  assert.deepEqual(verifyTranscript(undeclared, claim), { ok: true, accuracy });
+  // ...which is why declaring it costs nothing
+  assert.deepEqual(verifyTranscript(transcript, claim), verifyTranscript(undeclared, claim));
+});
+
+test("only known time scales count, and palettes recolour only the state colours", () => {
+  assert.equal(timeScaleOf(0.75), 0.75);
+  assert.equal(timeScaleOf(0.3), 1);
+  for (const palette of Object.values(PALETTES)) {
+    assert.deepEqual(Object.keys(palette).filter((k) => !["good", "warn", "critical"].includes(k)), []);
+  }
+});
@@ -0,0 +1,129 @@
+// src/components/game/minigames/cascadeReaction.js
+//
+// Cascade Reaction rules: a row of fusion cores, each balanced on an unstable
+// equilibrium (P ∝ T⁵ against T⁴ cooling) and kicked by fusion noise. Only
+// the focused core takes control input, so the game is attention scheduling.
+// In co-op the row gains a core and is split: seat 0 sweeps the left half
+// with `focus`, seat 1 the right with `partnerFocus`. CascadeReactionScene
+// draws this.
+import seedrandom from "seedrandom";
+import { INPUT, NO_EVENTS, challengeOf, clamp, meanOf, seatsOf, severityOf, tally } from "./common.js";
+
+export const N_EXP = 5;           // fusion power exponent (T^5) vs T^4 cooling
+export const DET = 2.0;           // detonation temperature (supernova breach)
+export const QUENCH = 0.35;       // quench temperature (core-collapse breach)
+export const BAND = [0.82, 1.18]; // stable green band around the ideal T=1
+const CTRL = 1.8;                 // player control authority (per second)
+const NOISE = 0.13;               // fusion fluctuation amplitude
+const MAX_DT = 0.04;
+const BREACH_GRACE = 0.8;
+
+export function create({ seed, severity, challenge, seats }) {
+  const sev = severityOf(severity);
+  const coop = seatsOf(seats) === 2;
+  const coreCount = coop ? Math.min(6, 3 + sev) : Math.min(5, 2 + sev);
+  const split = coop ? Math.ceil(coreCount / 2) : coreCount;
+  return {
+    severity: sev,
+    rng: seedrandom(seed),
+    // Slow runaway: an unattended core drifts gently, so one operator can
+    // round-robin several. Difficulty comes from core COUNT, not raw speed -
+    // a fast runaway made 5+ cores literally unholdable by a lone player.
+    coolK: (0.34 + sev * 0.06) * challengeOf(challenge),
+    coreCount,
+    split,
+    survivalTarget: 11 + sev,
+    maxBreaches: 3,
+    cores: Array.from({ length: coreCount }, () => ({ T: 1.0, cd: 0 })),
+    focus: 0,
+    partnerFocus: coop ? split : -1,
+    elapsed: 0,
+    breaches: 0,
+    inBand: tally(),
+    over: false,
+    success: false,
+  };
+}
+
+// cheap ~gaussian (sum of uniforms), std ≈ 1
+function randn(rng) {
+  return (rng() + rng() + rng() + rng() - 2) * 0.7;
+}
+
+/** Net heating: unstable at T=1, >0 above (runs hot), <0 below (quenches). */
+export function net(s, T) {
+  return s.coolK * (Math.pow(T, N_EXP) - Math.pow(T, 4));
+}
+
+/** The cores a seat holds, as [first, end). Solo, seat 0 holds them all. */
+export const seatCores = (s, seat) => (seat === 0 ? [0, s.split] : [s.split, s.coreCount]);
+
+export const focusOf = (s, seat) => (seat === 0 ? s.focus : s.partnerFocus);
+
+// Move a focus one core along its seat's cores, wrapping
+function sweep(s, seat, focus, mask) {
+  const [lo, hi] = seatCores(s, seat);
+  const n = hi - lo;
+  if (mask & INPUT.PRESS_LEFT) focus = ((focus - lo - 1 + n) % n) + lo;
+  if (mask & INPUT.PRESS_RIGHT) focus = ((focus - lo + 1) % n) + lo;
+  return focus;
+}
+
+function controlOf(mask) {
+  let control = 0;
+  if (mask & INPUT.UP) control += CTRL;
+  if (mask & INPUT.DOWN) control -= CTRL;
+  return control;
+}
+
+export function step(s, dtMs, { mask }, partner = null) {
+  if (s.over) return NO_EVENTS;
+  s.focus = sweep(s, 0, s.focus, mask);
+  if (partner) s.partnerFocus = sweep(s, 1, s.partnerFocus, partner.mask);
+
+  const dt = Math.min(dtMs / 1000, MAX_DT);
+  s.elapsed += dt;
+
+  let events = NO_EVENTS;
+  let inBand = 0;
+  for (let i = 0; i < s.coreCount; i++) {
+    const core = s.cores[i];
+    if (core.cd > 0) core.cd -= dt;
+
+    let control = 0;
+    if (i === s.focus) control += controlOf(mask);
+    if (partner && i === s.partnerFocus) control += controlOf(partner.mask);
+    core.T += (net(s, core.T) + control) * dt + NOISE * randn(s.rng) * Math.sqrt(dt);
+
+    if (core.T >= DET || core.T <= QUENCH) {
+      if (core.cd <= 0) {
+        s.breaches++;
+        core.cd = BREACH_GRACE;
+        events = [...events, { type: "breach", core: i, detonated: core.T >= DET }];
+      }
+      core.T = 1.0; // re-ignite a fresh core
+    } else if (core.T >= BAND[0] && core.T <= BAND[1]) {
+      inBand++;
+    }
+  }
+  s.inBand.sum += inBand / s.coreCount;
+  s.inBand.n++;
+
+  if (s.elapsed >= s.survivalTarget) finish(s, true);
+  else if (s.breaches >= s.maxBreaches) finish(s, false);
+  return events;
+}
+
+function finish(s, success) {
+  s.over = true;
+  s.success = success;
+}
+
+export function outcome(s) {
+  const accuracy = Math.round(clamp(meanOf(s.inBand) * 100, 0, 100));
+  return {
+    status: s.success ? "success" : "failed",
+    accuracy,
+    score: Math.max(0, Math.round(accuracy * 12 - s.breaches * 150)),
+  };
+}
@@ -0,0 +1,43 @@
+// src/components/game/minigames/common.js
+//
+// What every minigame simulation shares: the input bits a transcript frame
+// carries, and the severity and challenge rules. Kept apart from transcript.js, which
+// imports every simulation.
+
+// One frame's input is a bitmask. Held keys are sampled once per frame; the
+// PRESS bits are edges (a keydown or pointerdown since the previous frame),
+// so a tap shorter than a frame still lands.
+export const INPUT = {
+  UP: 1,
+  DOWN: 2,
+  LEFT: 4,
+  RIGHT: 8,
+  PRESS_LEFT: 16,
+  PRESS_RIGHT: 32,
+  PRESS_SPACE: 64,
+  POINTER_PRESS: 128,
+  POINTER_HELD: 256,
+};
+
+/** Anomaly severity as every minigame reads it: 1-5, 2 when unknown. */
+export const severityOf = (severity) => Math.max(1, Math.min(5, severity || 2));
+
+export const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+/** Wardens at the controls: 2 for a co-op run (coop.js), otherwise 1. */
+export const seatsOf = (seats) => (seats === 2 ? 2 : 1);
+
+// The warden's challenge level (skillModel.js): a multiplier each simulation
+// leans its core rates on, bounded so no grade history makes a game trivial
+// or unwinnable. 1 is the game as severity alone tunes it.
+export const CHALLENGE_RANGE = [0.8, 1.25];
+export const challengeOf = (c) => (Number.isFinite(c) ? clamp(c, CHALLENGE_RANGE[0], CHALLENGE_RANGE[1]) : 1);
+
+// A running mean, summed in frame order - the same float result as reducing
+// the sample array the scenes used to keep.
+export const tally = () => ({ sum: 0, n: 0 });
+export const meanOf = (t) => (t.n ? t.sum / t.n : 0);
+
+// step() returns the frame's events for the scene to dress (shake, popups);
+// most frames have none.
+export const NO_EVENTS = Object.freeze([]);
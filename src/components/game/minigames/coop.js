@@ -0,0 +1,95 @@
+// src/components/game/minigames/coop.js
+//
+// Co-op containment: two wardens splitting one minigame (COOP_GAMES in
+// transcript.js). Nothing about the game state crosses the wire. Both clients
+// run the same seeded simulation and step it with both seats' input, so all
+// they exchange is input - each seat's frame, tagged with the tick it's for.
+//
+// That's lockstep: tick t can only be stepped once both seats' input for t is
+// in hand. To keep the wait off the critical path, a seat's input is sampled
+// INPUT_DELAY ticks before the tick it applies to, which hides a relay round
+// trip of up to about INPUT_DELAY × TICK_MS. Ticks are a fixed TICK_MS so both
+// clients step with the same frame time whatever their displays run at.
+//
+// If the partner drops out, the run carries on with their seat idle.
+
+export const TICK_MS = 17;
+export const INPUT_DELAY = 4;
+// After a stall (a slow partner, a backgrounded tab) catch up this much at most
+const MAX_BACKLOG_MS = 250;
+
+const IDLE = Object.freeze({ mask: 0, x: 0, y: 0 });
+
+export class Lockstep {
+  /**
+   * @param {number} seat - 0 or 1, this client's seat
+   * @param {(msg: object) => void} send - delivers an { type: "input", tick, mask, x, y } to the partner
+   */
+  constructor(seat, send) {
+    this.seat = seat;
+    this.send = send;
+    this.tick = 0;                  // the next tick to step
+    this.nextLocal = INPUT_DELAY;   // the next tick to sample local input for
+    this.inputs = [new Map(), new Map()];
+    for (let t = 0; t < INPUT_DELAY; t++) {
+      this.inputs[0].set(t, IDLE);
+      this.inputs[1].set(t, IDLE);
+    }
+    this.clockMs = 0;
+    this.waiting = false;           // stalled on the partner's input
+    this.peerGone = false;
+  }
+
+  /** The partner's input for a tick arrived. */
+  receive({ tick, mask, x, y }) {
+    if (!Number.isInteger(tick) || tick < this.tick) return;
+    this.inputs[1 - this.seat].set(tick, {
+      mask: Number.isInteger(mask) && mask >= 0 ? mask : 0,
+      x: Math.round(x) || 0,
+      y: Math.round(y) || 0,
+    });
+  }
+
+  /** The partner left: their seat idles from here on. */
+  dropPeer() {
+    this.peerGone = true;
+  }
+
+  // Both seats' input for the next tick, [seat 0, seat 1], or null
+  take() {
+    const t = this.tick;
+    const mine = this.inputs[this.seat].get(t);
+    const theirs = this.inputs[1 - this.seat].get(t) ?? (this.peerGone ? IDLE : undefined);
+    if (!mine || !theirs) return null;
+    this.inputs[0].delete(t);
+    this.inputs[1].delete(t);
+    this.tick++;
+    return this.seat === 0 ? [mine, theirs] : [theirs, mine];
+  }
+
+  /**
+   * Advance the clock by a display frame. `sample()` reads this client's
+   * input as { mask, x, y }; it's called once per tick scheduled. Returns the
+   * ticks now ready to step, each as [seat 0 input, seat 1 input] - none
+   * while the partner's input is late.
+   */
+  pump(deltaMs, sample) {
+    this.clockMs = Math.min(this.clockMs + deltaMs, MAX_BACKLOG_MS);
+    const ready = [];
+    while (this.clockMs >= TICK_MS) {
+      while (this.nextLocal <= this.tick + INPUT_DELAY) {
+        const { mask, x = 0, y = 0 } = sample();
+        const input = { mask, x: Math.round(x), y: Math.round(y) };
+        this.inputs[this.seat].set(this.nextLocal, input);
+        if (!this.peerGone) this.send({ type: "input", tick: this.nextLocal, ...input });
+        this.nextLocal++;
+      }
+      const pair = this.take();
+      this.waiting = !pair;
+      if (!pair) break;
+      ready.push(pair);
+      this.clockMs -= TICK_MS;
+    }
+    return ready;
+  }
+}
@@ -0,0 +1,128 @@
+// src/components/game/minigames/coop.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import seedrandom from "seedrandom";
+import { INPUT } from "./common.js";
+import { MINIGAMES, TranscriptRecorder, minigameSeed, replayTranscript } from "./transcript.js";
+import { seatCores, focusOf } from "./cascadeReaction.js";
+import * as structural from "./structuralRealignment.js";
+import { Lockstep, TICK_MS, INPUT_DELAY } from "./coop.js";
+
+// A warden minding their own half of the cascade row: sweep to the core
+// furthest from T=1 and push it back.
+const operator = (seat) => (sim) => {
+  const [lo, hi] = seatCores(sim, seat);
+  let worst = lo;
+  for (let i = lo; i < hi; i++) if (Math.abs(sim.cores[i].T - 1) > Math.abs(sim.cores[worst].T - 1)) worst = i;
+  const focus = focusOf(sim, seat);
+  if (worst !== focus) return { mask: worst > focus ? INPUT.PRESS_RIGHT : INPUT.PRESS_LEFT };
+  return { mask: sim.cores[focus].T < 1 ? INPUT.UP : INPUT.DOWN };
+};
+
+// One client, the way MiniGameScene plays co-op: its own simulation, stepped
+// only with the ticks the lockstep releases.
+function client(seat, outbox, player) {
+  const params = { seed: minigameSeed("coop"), severity: 3, challenge: 1, view: null, seats: 2 };
+  const rules = MINIGAMES.cascadeReaction;
+  const c = {
+    sim: rules.create(params),
+    recorder: new TranscriptRecorder("cascadeReaction", params),
+    lockstep: new Lockstep(seat, (msg) => outbox.push(msg)),
+    frame(deltaMs) {
+      if (c.sim.over) return;
+      for (const [a, b] of c.lockstep.pump(deltaMs, () => player(c.sim))) {
+        const { dtMs, input, partner } = c.recorder.record(TICK_MS, a.mask, a.x, a.y, b);
+        rules.step(c.sim, dtMs, input, partner);
+        if (c.sim.over) break;
+      }
+    },
+  };
+  return c;
+}
+
+// Two clients on displays of their own, each message held back `lag` frames
+function playCoop({ lag = 3, leaveAt = Infinity } = {}) {
+  const wires = [[], []]; // messages in flight to seat 0 / seat 1
+  const seats = [client(0, wires[1], operator(0)), client(1, wires[0], operator(1))];
+  const displays = [seedrandom("display0"), seedrandom("display1")];
+  const done = (f) => seats[0].sim.over && (seats[1].sim.over || f >= leaveAt);
+  for (let f = 0; f < 8000 && !done(f); f++) {
+    if (f === leaveAt) seats[0].lockstep.dropPeer();
+    seats.forEach((c, seat) => {
+      if (seat === 1 && f >= leaveAt) return;
+      const wire = wires[seat];
+      while (wire.length && wire[0].at <= f) c.lockstep.receive(wire.shift());
+      c.frame(16.67 + (displays[seat]() - 0.5) * 6);
+    });
+    wires.forEach((wire) => wire.forEach((m) => { m.at ??= f + lag; }));
+  }
+  return seats;
+}
+
+test("both seats step the same run, and it re-runs from its transcript", () => {
+  const [a, b] = playCoop();
+  assert.equal(a.sim.over, true);
+  assert.deepEqual(a.recorder.transcript, b.recorder.transcript);
+  assert.deepEqual(MINIGAMES.cascadeReaction.outcome(a.sim), MINIGAMES.cascadeReaction.outcome(b.sim));
+
+  const { transcript } = a.recorder;
+  assert.equal(transcript.seats, 2);
+  assert.ok(transcript.runs.every((run) => run.length === 8));
+  const replay = replayTranscript(transcript);
+  assert.equal(replay.finished, true);
+  assert.equal(replay.accuracy, MINIGAMES.cascadeReaction.outcome(a.sim).accuracy);
+});
+
+test("the row is split between the seats, one focus each", () => {
+  const sim = MINIGAMES.cascadeReaction.create({ seed: "split", severity: 3, seats: 2 });
+  assert.equal(sim.coreCount, 6);
+  assert.deepEqual(seatCores(sim, 0), [0, 3]);
+  assert.deepEqual(seatCores(sim, 1), [3, 6]);
+  MINIGAMES.cascadeReaction.step(sim, 17, { mask: INPUT.PRESS_LEFT }, { mask: INPUT.PRESS_RIGHT });
+  assert.equal(sim.focus, 2, "seat 0 wraps within its own half");
+  assert.equal(sim.partnerFocus, 4);
+});
+
+test("a partner who drops out leaves their seat idle, and the run still verifies", () => {
+  const [a] = playCoop({ leaveAt: 120 });
+  assert.equal(a.sim.over, true);
+  const replay = replayTranscript(a.recorder.transcript);
+  assert.equal(replay.finished, true);
+  assert.equal(replay.accuracy, MINIGAMES.cascadeReaction.outcome(a.sim).accuracy);
+});
+
+test("the lockstep waits for the partner's input instead of guessing it", () => {
+  const sent = [];
+  const lockstep = new Lockstep(1, (msg) => sent.push(msg));
+  const idle = () => ({ mask: INPUT.UP, x: 0, y: 0 });
+  assert.equal(lockstep.pump(TICK_MS * 10, idle).length, INPUT_DELAY);
+  assert.equal(lockstep.waiting, true);
+  assert.deepEqual(sent.map((m) => m.tick), [4, 5, 6, 7, 8]);
+  assert.equal(lockstep.pump(TICK_MS, idle).length, 0);
+
+  lockstep.receive({ type: "input", tick: 4, mask: INPUT.DOWN, x: 10.4, y: 3 });
+  const [[seat0, seat1]] = lockstep.pump(0, idle);
+  assert.deepEqual(seat0, { mask: INPUT.DOWN, x: 10, y: 3 });
+  assert.deepEqual(seat1, { mask: INPUT.UP, x: 0, y: 0 });
+});
+
+test("each warden drags only their own half of the lattice", () => {
+  const sim = structural.create({ seed: "lattice", severity: 2, view: [1280, 720], seats: 2 });
+  const theirs = sim.nodes.findIndex((n) => !n.anchor && n.seat === 1);
+  const { x, y } = sim.nodes[theirs];
+  const grab = { mask: INPUT.POINTER_PRESS | INPUT.POINTER_HELD, x: Math.round(x), y: Math.round(y) };
+  structural.step(sim, 17, grab, { mask: 0, x: 0, y: 0 });
+  assert.equal(sim.dragIndex, -1);
+  structural.step(sim, 17, { mask: 0, x: 0, y: 0 }, grab);
+  assert.equal(sim.partnerDrag, theirs);
+});
+
+test("only co-op games take a second seat, and their frames carry both", () => {
+  const solo = new TranscriptRecorder("expansionContainment", { seed: "s", seats: 2 });
+  solo.record(16, 0, 0, 0, { mask: 0, x: 0, y: 0 });
+  assert.throws(() => replayTranscript(solo.transcript), /seats are malformed/);
+
+  const coop = new TranscriptRecorder("cascadeReaction", { seed: "s", seats: 2 });
+  coop.record(16, INPUT.UP);
+  assert.throws(() => replayTranscript(coop.transcript), /frames are malformed/);
+});
@@ -0,0 +1,150 @@
+// src/components/game/minigames/cosmicString.js
+//
+// Cosmic String rules: a taut segment of string, pinned at both ends, rings
+// in its standing-wave modes (mode n at frequency n·ω₁, shape sin(nπx)). The
+// anomaly drives it at a frequency that glides from one resonance to the
+// next, pumping whichever mode it sits on. You hold a damper against the
+// string: slide it along (← →) and clamp it (↑). A damper at x drains mode n
+// in proportion to sin²(nπx) - at a mode's node it can't touch that mode at
+// all, so you chase the driven mode's antinodes. Clamping drains hard but
+// heats the damper, and an overheated damper locks until it cools. Let the
+// string's energy reach the cusp threshold and it kinks - a breach.
+// CosmicStringScene draws this.
+import seedrandom from "seedrandom";
+import { INPUT, NO_EVENTS, challengeOf, clamp, meanOf, severityOf, tally } from "./common.js";
+
+export const E_SNAP = 1;     // string energy at which a cusp forms (breach)
+const GAMMA0 = 0.15;         // the string's own radiative damping, per second
+const RESONANCE_W = 0.12;    // resonance half-width, in units of ω₁
+const DAMP_FREE = 0.8;       // damper resting on the string, at an antinode
+const DAMP_CLAMPED = 4;      // damper clamped, at an antinode
+const DAMPER_SPEED = 0.55;   // string lengths per second
+const HEAT_RATE = 0.3;       // per second clamped
+const COOL_RATE = 0.25;      // per second released
+const HEAT_UNLOCK = 0.5;     // an overheated damper frees up below this
+const GLIDE = 0.9;           // drive frequency slew, ω₁ per second
+const KINK_KEEP = 0.4;       // share of each mode's amplitude left after a cusp
+const MAX_DT = 0.04;
+const BREACH_GRACE = 1;
+
+export function create({ seed, severity, challenge }) {
+  const sev = severityOf(severity);
+  const c = challengeOf(challenge);
+  const rng = seedrandom(seed);
+  const modeCount = Math.min(5, 2 + sev);
+  const s = {
+    severity: sev,
+    rng,
+    modeCount,
+    amps: Array.from({ length: modeCount }, () => 0.05 + rng() * 0.1),
+    force: (0.35 + sev * 0.05) * c,
+    dwell: (2.6 - sev * 0.2) / c, // seconds the drive sits on a resonance
+    drive: 1,
+    driveTarget: 1,
+    dwellLeft: 0,
+    damperX: 0.5,
+    clamped: false,
+    heat: 0,
+    locked: false,
+    energy: 0,
+    elapsed: 0,
+    survivalTarget: 12 + sev,
+    breaches: 0,
+    maxBreaches: 3,
+    breachCooldown: 0,
+    quiet: tally(),
+    over: false,
+    success: false,
+  };
+  retarget(s);
+  s.drive = s.driveTarget;
+  s.energy = energyOf(s);
+  return s;
+}
+
+// The drive moves on to another mode's resonance, a little detuned.
+function retarget(s) {
+  const current = Math.round(s.driveTarget);
+  let n;
+  do { n = 1 + Math.floor(s.rng() * s.modeCount); } while (n === current && s.modeCount > 1);
+  s.driveTarget = n + (s.rng() - 0.5) * 0.1;
+  s.dwellLeft = s.dwell;
+}
+
+/** How strongly a drive at `omega` pumps mode n: a Lorentzian resonance. */
+export function resonance(omega, n) {
+  const d = (omega - n) / RESONANCE_W;
+  return 1 / (1 + d * d);
+}
+
+/** A damper at x along the string reaches mode n this well (0 at its nodes). */
+export function coupling(x, n) {
+  const v = Math.sin(n * Math.PI * x);
+  return v * v;
+}
+
+// A mode's energy goes as (frequency × amplitude)².
+export const energyOf = (s) => s.amps.reduce((e, a, i) => e + ((i + 1) * a) ** 2, 0);
+
+export function step(s, dtMs, { mask }) {
+  if (s.over) return NO_EVENTS;
+  const dt = Math.min(dtMs / 1000, MAX_DT);
+  s.elapsed += dt;
+  if (s.breachCooldown > 0) s.breachCooldown -= dt;
+
+  // Damper: slide, clamp (if it isn't cooling off a lockout), heat
+  if (mask & INPUT.LEFT) s.damperX -= DAMPER_SPEED * dt;
+  if (mask & INPUT.RIGHT) s.damperX += DAMPER_SPEED * dt;
+  s.damperX = clamp(s.damperX, 0.02, 0.98);
+  s.clamped = !!(mask & INPUT.UP) && !s.locked;
+  s.heat = clamp(s.heat + (s.clamped ? HEAT_RATE : -COOL_RATE) * dt, 0, 1);
+  if (s.heat >= 1) s.locked = true;
+  else if (s.locked && s.heat < HEAT_UNLOCK) s.locked = false;
+
+  // Drive: dwell on a resonance, then glide - through the ones between - to the next
+  s.dwellLeft -= dt;
+  if (s.dwellLeft <= 0) retarget(s);
+  const gap = s.driveTarget - s.drive;
+  s.drive += Math.sign(gap) * Math.min(Math.abs(gap), GLIDE * dt);
+
+  // Each mode's amplitude: pumped on resonance, drained by the string and the damper
+  const grip = s.clamped ? DAMP_CLAMPED : DAMP_FREE;
+  for (let i = 0; i < s.modeCount; i++) {
+    const n = i + 1;
+    const gamma = GAMMA0 + grip * coupling(s.damperX, n);
+    s.amps[i] = Math.max(0, s.amps[i] + (s.force * resonance(s.drive, n) - gamma * s.amps[i]) * dt);
+  }
+  s.energy = energyOf(s);
+
+  let events = NO_EVENTS;
+  if (s.energy >= E_SNAP) {
+    if (s.breachCooldown <= 0) {
+      s.breaches++;
+      s.breachCooldown = BREACH_GRACE;
+      events = [{ type: "breach" }];
+    }
+    // The cusp radiates the string's energy away in a burst
+    for (let i = 0; i < s.modeCount; i++) s.amps[i] *= KINK_KEEP;
+    s.energy = energyOf(s);
+  }
+  s.quiet.sum += clamp(1 - s.energy / E_SNAP, 0, 1);
+  s.quiet.n++;
+
+  if (s.elapsed >= s.survivalTarget) finish(s, true);
+  else if (s.breaches >= s.maxBreaches) finish(s, false);
+  return events;
+}
+
+function finish(s, success) {
+  s.over = true;
+  s.success = success;
+}
+
+export function outcome(s) {
+  const accuracy = Math.round(clamp(meanOf(s.quiet) * 100, 0, 100));
+  return {
+    status: s.success ? "success" : "failed",
+    accuracy,
+    score: Math.max(0, Math.round(accuracy * 12 - s.breaches * 150)),
+  };
+}
@@ -0,0 +1,25 @@
+// src/components/game/minigames/cosmicString.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { INPUT } from "./common.js";
+import { create, step, coupling, resonance } from "./cosmicString.js";
+
+test("a damper on a mode's node leaves it ringing; on its antinode it drains it", () => {
+  assert.ok(coupling(0.5, 2) < 1e-12, "the middle is mode 2's node");
+  assert.equal(coupling(0.25, 2), 1, "a quarter along is its antinode");
+  assert.ok(resonance(2, 2) > 0.99 && resonance(2.5, 2) < 0.1, "resonance is sharp");
+
+  // Hold the drive on mode 2 and clamp the damper at the middle, then a quarter along
+  const ring = (x) => {
+    const s = create({ seed: "s", severity: 3 });
+    s.damperX = x;
+    for (let f = 0; f < 60; f++) {
+      s.drive = s.driveTarget = 2;
+      s.dwellLeft = 10;
+      s.heat = 0;
+      step(s, 16, { mask: INPUT.UP });
+    }
+    return s.amps[1];
+  };
+  assert.ok(ring(0.25) < ring(0.5) / 2);
+});
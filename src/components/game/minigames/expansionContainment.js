@@ -0,0 +1,92 @@
+// src/components/game/minigames/expansionContainment.js
+//
+// Expansion Containment rules: steer the expansion rate, with momentum
+// (dark-energy thrust against matter gravity), through a corridor that
+// scrolls along the ΛCDM-shaped target history. No dice in this one - the
+// seed is carried for the transcript's sake only. ExpansionContainmentScene
+// draws this.
+import { INPUT, NO_EVENTS, challengeOf, clamp, meanOf, severityOf, tally } from "./common.js";
+
+const G = 22;             // matter gravity (constant downward pull on expansion rate)
+const CTRL = 95;          // dark-energy thrust authority
+export const RANGE = 120; // clamp on the expansion-rate axis (gauge units)
+const MAX_DT = 0.04;
+const BREACH_GRACE = 0.7;
+
+export function create({ severity, challenge }) {
+  const sev = severityOf(severity);
+  const c = challengeOf(challenge);
+  const s = {
+    severity: sev,
+    corridorW: (74 - sev * 7) / c, // narrows with severity
+    wig: 0.55 + sev * 0.10,  // era swing frequency
+    amp: (34 + sev * 3) * c, // era swing amplitude
+    survivalTarget: 13 + sev,
+    maxBreaches: 3,
+    H: 0,
+    v: 0,
+    elapsed: 0,
+    breaches: 0,
+    breachCooldown: 0,
+    onTrack: tally(),
+    over: false,
+    success: false,
+  };
+  s.H = center(s, 0);
+  return s;
+}
+
+/**
+ * Target expansion rate at cosmic time tau: a slow era swing (matter decel ->
+ * dark-energy accel) plus finer structure, all in gauge units.
+ */
+export function center(s, tau) {
+  const era = 26 * Math.sin(tau * 0.28 - 1.2);
+  return era + s.amp * 0.6 * Math.sin(tau * s.wig) + s.amp * 0.5 * Math.sin(tau * s.wig * 1.7 + 1);
+}
+
+export const inCorridor = (s) => Math.abs(s.H - center(s, s.elapsed)) <= s.corridorW / 2;
+
+export function step(s, dtMs, { mask }) {
+  if (s.over) return NO_EVENTS;
+  const dt = Math.min(dtMs / 1000, MAX_DT);
+  s.elapsed += dt;
+  if (s.breachCooldown > 0) s.breachCooldown -= dt;
+
+  // Momentum dynamics: gravity pulls the rate down, dark-energy thrust lifts it.
+  let u = 0;
+  if (mask & INPUT.UP) u += CTRL;
+  if (mask & INPUT.DOWN) u -= CTRL;
+  s.v += (-G + u) * dt;
+  s.H += s.v * dt;
+  if (s.H > RANGE) { s.H = RANGE; s.v = 0; }
+  else if (s.H < -RANGE) { s.H = -RANGE; s.v = 0; }
+
+  let events = NO_EVENTS;
+  const inside = inCorridor(s);
+  if (!inside && s.breachCooldown <= 0) {
+    s.breaches++;
+    s.breachCooldown = BREACH_GRACE;
+    events = [{ type: "breach" }];
+  }
+  s.onTrack.sum += inside ? 1 : 0;
+  s.onTrack.n++;
+
+  if (s.elapsed >= s.survivalTarget) finish(s, true);
+  else if (s.breaches >= s.maxBreaches) finish(s, false);
+  return events;
+}
+
+function finish(s, success) {
+  s.over = true;
+  s.success = success;
+}
+
+export function outcome(s) {
+  const accuracy = Math.round(clamp(meanOf(s.onTrack) * 100, 0, 100));
+  return {
+    status: s.success ? "success" : "failed",
+    accuracy,
+    score: Math.max(0, Math.round(accuracy * 12 - s.breaches * 150)),
+  };
+}
@@ -0,0 +1,91 @@
+// src/components/game/minigames/ghost.js
+//
+// Ghosts: a finished S-grade run's transcript (transcript.js), played back
+// beside a live attempt at the same seed. Since every simulation is
+// deterministic, the transcript IS the ghost - GhostRunner re-runs it in step
+// with the live clock and the scene draws the ghost's state translucently.
+//
+// A ghost travels as one short line of text, so it can be pasted into chat:
+//
+//   ghost1|game|severity|challenge|view|seed|runs
+//
+// with `view` as "w*h" (or empty), `seed` URI-encoded, and each run's numbers
+// in base 36 - comma-separated within a run, runs separated by ";".
+import { MINIGAMES, TRANSCRIPT_VERSION, replayTranscript } from "./transcript.js";
+import { getGradeForAccuracy } from "../utils.js";
+
+const PREFIX = "ghost1";
+
+export function encodeGhost(transcript) {
+  const { game, severity, challenge, view, seed, runs } = transcript;
+  return [
+    PREFIX,
+    game,
+    severity ?? "",
+    challenge ?? "",
+    view ? view.join("*") : "",
+    encodeURIComponent(seed),
+    runs.map((run) => run.map((v) => v.toString(36)).join(",")).join(";"),
+  ].join("|");
+}
+
+const num = (s) => (s === "" ? null : Number(s));
+
+/**
+ * A ghost string back to its transcript and what it scored. Throws, with a
+ * reason fit to show, unless it re-runs to a finished S-grade run.
+ */
+export function decodeGhost(text) {
+  const parts = String(text).trim().split("|");
+  if (parts.length !== 7 || parts[0] !== PREFIX) throw new Error("Not a ghost");
+  const [, game, severity, challenge, view, seed, runs] = parts;
+  let transcript;
+  try {
+    transcript = {
+      v: TRANSCRIPT_VERSION,
+      game,
+      seed: decodeURIComponent(seed),
+      severity: num(severity),
+      challenge: num(challenge),
+      view: view ? view.split("*").map(Number) : null,
+      runs: runs ? runs.split(";").map((run) => run.split(",").map((v) => parseInt(v, 36))) : [],
+    };
+  } catch {
+    throw new Error("Ghost is damaged");
+  }
+  const run = replayTranscript(transcript);
+  if (!run.finished) throw new Error("Ghost ends before its run does");
+  if (run.status !== "success" || getGradeForAccuracy(run.accuracy).grade !== "S") {
+    throw new Error("Only S-grade runs make ghosts");
+  }
+  return { transcript, accuracy: run.accuracy, score: run.score };
+}
+
+/**
+ * Plays a ghost transcript forward in step with a live attempt: advanceTo()
+ * runs every ghost frame that starts before the live clock. `sim` is the
+ * ghost's simulation state, for the scene to draw.
+ */
+export class GhostRunner {
+  constructor(transcript) {
+    const { game, seed, severity, challenge, view } = transcript;
+    this.game = game;
+    this.rules = MINIGAMES[game];
+    this.sim = this.rules.create({ seed, severity, challenge, view: view ?? [0, 0] });
+    this.runs = transcript.runs;
+    this.run = 0;      // index into runs
+    this.left = this.runs[0]?.[0] ?? 0; // frames left in the current run
+    this.elapsedMs = 0;
+    this.finishedAtMs = null;
+  }
+
+  advanceTo(ms) {
+    while (!this.sim.over && this.elapsedMs < ms && this.run < this.runs.length) {
+      const [, dtMs, mask, x = 0, y = 0] = this.runs[this.run];
+      this.rules.step(this.sim, dtMs, { mask, x, y });
+      this.elapsedMs += dtMs;
+      if (--this.left === 0 && ++this.run < this.runs.length) this.left = this.runs[this.run][0];
+    }
+    if (this.sim.over && this.finishedAtMs === null) this.finishedAtMs = this.elapsedMs;
+  }
+}
@@ -0,0 +1,49 @@
+// src/components/game/minigames/ghost.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { INPUT } from "./common.js";
+import { MINIGAMES, minigameSeed } from "./transcript.js";
+import { playRun, rideCorridor } from "./recordedRun.js";
+import { encodeGhost, decodeGhost, GhostRunner } from "./ghost.js";
+
+const VIEW = [1280, 720];
+
+// Record a run of expansionContainment with `pick(sim)` as the player
+const play = (pick) =>
+  playRun("expansionContainment", { seed: minigameSeed("ghost"), severity: 2, challenge: 1, view: VIEW }, pick);
+
+test("an S-grade run survives the trip through a ghost string", () => {
+  const { outcome, transcript } = play(rideCorridor);
+  assert.equal(outcome.status, "success");
+
+  const text = encodeGhost(transcript);
+  assert.ok(text.startsWith("ghost1|expansionContainment|2|1|1280*720|"));
+  assert.ok(!/\s/.test(text), "one pasteable line");
+
+  const ghost = decodeGhost(`  ${text}\n`);
+  assert.deepEqual(ghost.transcript, transcript);
+  assert.equal(ghost.accuracy, outcome.accuracy);
+  assert.equal(ghost.score, outcome.score);
+});
+
+test("only finished S-grade runs decode", () => {
+  const { transcript } = play(rideCorridor);
+  assert.throws(() => decodeGhost("hello"), /Not a ghost/);
+  assert.throws(() => decodeGhost(encodeGhost({ ...transcript, runs: transcript.runs.slice(0, 2) })), /ends before/);
+  assert.throws(() => decodeGhost(encodeGhost({ ...transcript, game: "pinball" })), /Unknown minigame/);
+  assert.throws(() => decodeGhost(encodeGhost(play(() => INPUT.DOWN).transcript)), /Only S-grade/);
+});
+
+test("a ghost runner keeps pace with the live clock and ends where its run did", () => {
+  const { outcome, transcript } = play(rideCorridor);
+  const runner = new GhostRunner(transcript);
+  runner.advanceTo(1000);
+  assert.ok(runner.elapsedMs >= 1000 && runner.elapsedMs < 1000 + 17);
+  assert.equal(runner.sim.over, false);
+  assert.equal(runner.finishedAtMs, null);
+
+  runner.advanceTo(Infinity);
+  const total = transcript.runs.reduce((sum, [n, dtMs]) => sum + n * dtMs, 0);
+  assert.equal(runner.finishedAtMs, total);
+  assert.deepEqual(MINIGAMES.expansionContainment.outcome(runner.sim), outcome);
+});
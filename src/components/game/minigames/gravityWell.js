@@ -0,0 +1,157 @@
+// src/components/game/minigames/gravityWell.js
+//
+// Gravity Well rules: a probe on a perturbed orbit in a softened
+// inverse-square field, thrust orbit-relative (prograde/retrograde/radial) to
+// circularize it inside the containment annulus. GravityWellScene draws this.
+import seedrandom from "seedrandom";
+import { INPUT, NO_EVENTS, challengeOf, clamp, meanOf, severityOf, tally } from "./common.js";
+
+export const MAX_DT = 0.04; // a frame hitch can't tunnel the probe through the field
+const BREACH_GRACE = 0.8;   // so one graze isn't three breaches
+
+export function create({ seed, severity, challenge }) {
+  const sev = severityOf(severity);
+  const c = challengeOf(challenge);
+  const rng = seedrandom(seed);
+
+  // GM and softening are chosen so a circular orbit at R0 has a ~5s period
+  // and a comfortable circular speed. Softening keeps the singularity finite.
+  const GM = 2.6e6 * (1 + (sev - 2) * 0.06);
+  const soft2 = 32 * 32;
+  const R0 = 112;            // ideal (target) orbital radius
+  // Challenge narrows the band either side of R0
+  const Rin = R0 - (62 - sev * 2) / c;  // accretion radius - breach if r < Rin
+  const Rout = R0 + (68 - sev * 2) / c; // containment wall - breach if r > Rout
+
+  // Start on the ideal radius but with a perturbed velocity, so the player
+  // is CORRECTING an unstable orbit rather than building one from nothing.
+  const aG = GM / (R0 * R0 + soft2);
+  const vCirc = Math.sqrt(aG * R0);
+  const startAngle = rng() * Math.PI * 2;
+  const tang = { x: -Math.sin(startAngle), y: Math.cos(startAngle) };
+  const radial = { x: Math.cos(startAngle), y: Math.sin(startAngle) };
+  // Tuned so a minor anomaly's orbit is a gentle ellipse (winnable with
+  // light correction) while a severe one genuinely escapes without skill.
+  const speedFactor = 1 + (0.06 + sev * 0.03) * c * (rng() < 0.5 ? -1 : 1);
+  const radialKick = (rng() - 0.5) * vCirc * (0.15 + sev * 0.03) * c;
+
+  return {
+    severity: sev,
+    GM, soft2, R0, Rin, Rout,
+    thrust: 250, // px/s^2 while a key is held
+    probe: { x: radial.x * R0, y: radial.y * R0 },
+    vel: {
+      x: tang.x * vCirc * speedFactor + radial.x * radialKick,
+      y: tang.y * vCirc * speedFactor + radial.y * radialKick,
+    },
+    elapsed: 0,
+    survivalTarget: 10 + sev * 1.2,
+    breaches: 0,
+    maxBreaches: 3,
+    breachCooldown: 0,
+    quality: tally(),
+    over: false,
+    success: false,
+  };
+}
+
+/** 1.0 riding the ideal ring, ->0 at either boundary. */
+export function orbitQuality(s, r) {
+  const maxDev = Math.max(s.R0 - s.Rin, s.Rout - s.R0);
+  return clamp(1 - Math.abs(r - s.R0) / maxDev, 0, 1);
+}
+
+export function step(s, dtMs, { mask }) {
+  if (s.over) return NO_EVENTS;
+  const dt = Math.min(dtMs / 1000, MAX_DT);
+  s.elapsed += dt;
+  if (s.breachCooldown > 0) s.breachCooldown -= dt;
+
+  // Gravity: real softened inverse-square, directed at the center
+  const { probe, vel } = s;
+  const r2 = probe.x * probe.x + probe.y * probe.y;
+  const r = Math.sqrt(r2);
+  const aMag = s.GM / (r2 + s.soft2);
+  let ax = -aMag * (probe.x / r);
+  let ay = -aMag * (probe.y / r);
+
+  // Thrust is orbit-relative, not screen-relative: prograde/radial are read
+  // off the probe's own motion and position, so "thrust prograde" is always
+  // the same key wherever the probe is in its orbit.
+  const spd = Math.sqrt(vel.x * vel.x + vel.y * vel.y) || 1;
+  const proX = vel.x / spd;
+  const proY = vel.y / spd;
+  const radX = probe.x / (r || 1);
+  const radY = probe.y / (r || 1);
+  let tx = 0;
+  let ty = 0;
+  if (mask & INPUT.UP)    { tx += proX; ty += proY; } // prograde  -> raises far side
+  if (mask & INPUT.DOWN)  { tx -= proX; ty -= proY; } // retrograde -> lowers far side
+  if (mask & INPUT.RIGHT) { tx += radX; ty += radY; } // radial out
+  if (mask & INPUT.LEFT)  { tx -= radX; ty -= radY; } // radial in
+  if (tx !== 0 || ty !== 0) {
+    const len = Math.sqrt(tx * tx + ty * ty);
+    ax += (tx / len) * s.thrust;
+    ay += (ty / len) * s.thrust;
+  }
+
+  // Semi-implicit Euler (velocity first, then position) - stable for orbits.
+  vel.x += ax * dt;
+  vel.y += ay * dt;
+  probe.x += vel.x * dt;
+  probe.y += vel.y * dt;
+
+  let events = NO_EVENTS;
+  const newR = Math.sqrt(probe.x * probe.x + probe.y * probe.y);
+  if (newR < s.Rin) {
+    clampToBoundary(s, s.Rin, true);
+    events = breach(s, "ACCRETION");
+  } else if (newR > s.Rout) {
+    clampToBoundary(s, s.Rout, false);
+    events = breach(s, "ESCAPE");
+  } else {
+    s.quality.sum += orbitQuality(s, newR);
+    s.quality.n++;
+  }
+
+  if (s.elapsed >= s.survivalTarget) finish(s, true);
+  else if (s.breaches >= s.maxBreaches) finish(s, false);
+  return events;
+}
+
+// Push the probe back to a boundary radius and kill the velocity component
+// that carried it across, so it grazes the edge instead of teleporting.
+function clampToBoundary(s, boundaryR, inner) {
+  const { probe, vel } = s;
+  const r = Math.sqrt(probe.x * probe.x + probe.y * probe.y) || 1;
+  const nx = probe.x / r;
+  const ny = probe.y / r;
+  probe.x = nx * boundaryR;
+  probe.y = ny * boundaryR;
+  const vr = vel.x * nx + vel.y * ny; // outward positive
+  if ((inner && vr < 0) || (!inner && vr > 0)) {
+    vel.x -= vr * nx;
+    vel.y -= vr * ny;
+  }
+}
+
+function breach(s, kind) {
+  if (s.breachCooldown > 0) return NO_EVENTS;
+  s.breachCooldown = BREACH_GRACE;
+  s.breaches++;
+  return [{ type: "breach", kind }];
+}
+
+function finish(s, success) {
+  s.over = true;
+  s.success = success;
+}
+
+export function outcome(s) {
+  const accuracy = Math.round(clamp(meanOf(s.quality) * 100, 0, 100));
+  return {
+    status: s.success ? "success" : "failed",
+    accuracy,
+    score: Math.max(0, Math.round(accuracy * 12 - s.breaches * 150)),
+  };
+}
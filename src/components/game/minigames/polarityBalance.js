@@ -0,0 +1,112 @@
+// src/components/game/minigames/polarityBalance.js
+//
+// Polarity Balance rules: a charged probe at constant speed, steered only by
+// the field's polarity (cyclotron arcs one way or the other, or a straight
+// coast), threaded through flux nodes inside a lethal containment wall. The
+// wall's radius follows the view height, so the view size is part of a run's
+// parameters. PolarityBalanceScene draws this.
+import seedrandom from "seedrandom";
+import { INPUT, NO_EVENTS, challengeOf, clamp, severityOf } from "./common.js";
+
+export const NODE_R = 20; // flux-node collection radius
+export const PROBE_R = 7;
+const MAX_DT = 0.04;
+const BREACH_GRACE = 0.7;
+
+export function create({ seed, severity, challenge, view }) {
+  const sev = severityOf(severity);
+  const speed = (150 + sev * 15) * challengeOf(challenge); // px/s, constant
+  const turnRadius = 44 + sev * 5; // cyclotron radius
+  const nodesTarget = 4 + sev;
+  const s = {
+    severity: sev,
+    rng: seedrandom(seed),
+    speed,
+    omega: speed / turnRadius, // angular rate under field
+    nodesTarget,
+    parTime: nodesTarget * 2.2,
+    rBound: Math.min(208, view[1] / 2 - 70),
+    probe: { x: 0, y: 0, th: -Math.PI / 2 }, // relative to the arena center
+    nodePos: { x: 0, y: 0 },
+    maxBreaches: 3,
+    breaches: 0,
+    collected: 0,
+    breachCooldown: 0,
+    elapsed: 0,
+    over: false,
+    success: false,
+  };
+  spawnNode(s);
+  return s;
+}
+
+function spawnNode(s) {
+  const a = s.rng() * Math.PI * 2;
+  // Up to 0.8 R: some nodes hug the wall, making the approach genuinely risky.
+  const rr = (0.25 + s.rng() * 0.55) * s.rBound;
+  s.nodePos = { x: Math.cos(a) * rr, y: Math.sin(a) * rr };
+}
+
+/** Field polarity from the held keys: -1 curve left, 1 curve right, 0 coast. */
+export function polarity(mask) {
+  const left = !!(mask & INPUT.LEFT);
+  const right = !!(mask & INPUT.RIGHT);
+  return left === right ? 0 : left ? -1 : 1;
+}
+
+export function step(s, dtMs, { mask }) {
+  if (s.over) return NO_EVENTS;
+  const dt = Math.min(dtMs / 1000, MAX_DT);
+  s.elapsed += dt;
+  if (s.breachCooldown > 0) s.breachCooldown -= dt;
+
+  // Lorentz steering: field polarity sets the turn direction; none = straight.
+  const { probe } = s;
+  probe.th += polarity(mask) * s.omega * dt;
+  probe.x += Math.cos(probe.th) * s.speed * dt;
+  probe.y += Math.sin(probe.th) * s.speed * dt;
+
+  // Containment wall (lethal)
+  const r = Math.hypot(probe.x, probe.y);
+  if (r > s.rBound - PROBE_R) {
+    const breached = s.breachCooldown <= 0;
+    if (breached) {
+      s.breaches++;
+      s.breachCooldown = BREACH_GRACE;
+    }
+    // Reflect inward so one graze isn't an instant cascade
+    const ang = Math.atan2(probe.y, probe.x);
+    probe.x = Math.cos(ang) * (s.rBound - PROBE_R - 2);
+    probe.y = Math.sin(ang) * (s.rBound - PROBE_R - 2);
+    probe.th = ang + Math.PI + (s.rng() - 0.5) * 0.4; // head back inward
+    if (breached) {
+      if (s.breaches >= s.maxBreaches) finish(s, false);
+      return [{ type: "breach" }];
+    }
+  }
+
+  // Flux-node collection
+  if (Math.hypot(probe.x - s.nodePos.x, probe.y - s.nodePos.y) < NODE_R + PROBE_R) {
+    const at = s.nodePos;
+    s.collected++;
+    if (s.collected >= s.nodesTarget) finish(s, true);
+    else spawnNode(s);
+    return [{ type: "collect", x: at.x, y: at.y }];
+  }
+  return NO_EVENTS;
+}
+
+function finish(s, success) {
+  s.over = true;
+  s.success = success;
+}
+
+export function outcome(s) {
+  const timePenalty = Math.max(0, s.elapsed - s.parTime);
+  const accuracy = Math.round(clamp(100 - s.breaches * 15 - timePenalty * 1.5, 0, 100));
+  return {
+    status: s.success ? "success" : "failed",
+    accuracy,
+    score: Math.max(0, Math.round(s.collected * 70 + accuracy * 6 - s.breaches * 130)),
+  };
+}
@@ -0,0 +1,76 @@
+// src/components/game/minigames/quantumStabilizer.js
+//
+// Field Stabilizer rules, the generic fallback game: an indicator sweeps
+// back and forth along a track, and each press lands a hit if it's inside
+// the target zone - graded by how near the zone's centre - or a miss if not.
+// Five hits win, three misses lose. No dice in this one - the seed is carried
+// for the transcript's sake only. QuantumStabilizerScene draws this.
+import { INPUT, NO_EVENTS, challengeOf, clamp, severityOf } from "./common.js";
+
+export const ZONE_START = 35; // the target zone, in percent of the track
+export const ZONE_WIDTH = 30;
+export const HITS_TO_WIN = 5;
+export const MAX_FAILURES = 3;
+const MAX_DT = 0.05;
+
+export function create({ severity, challenge }) {
+  const sev = severityOf(severity);
+  return {
+    severity: sev,
+    // Percent of the track per second: 30-120, faster with severity
+    speed: (0.5 + clamp(sev / 3, 0.3, 1) * 1.5) * 60 * challengeOf(challenge),
+    position: 0,
+    dir: 1,
+    hits: [],
+    successHits: 0,
+    failures: 0,
+    over: false,
+    success: false,
+  };
+}
+
+export const inZone = (s) => s.position >= ZONE_START && s.position <= ZONE_START + ZONE_WIDTH;
+
+export function step(s, dtMs, { mask }) {
+  if (s.over) return NO_EVENTS;
+  // A press lands where the player saw the indicator when they pressed.
+  const events = mask & INPUT.PRESS_SPACE ? attempt(s) : NO_EVENTS;
+  if (s.over) return events;
+
+  const dt = Math.min(dtMs / 1000, MAX_DT);
+  s.position += s.speed * s.dir * dt;
+  if (s.position >= 100) { s.position = 100; s.dir = -1; }
+  else if (s.position <= 0) { s.position = 0; s.dir = 1; }
+  return events;
+}
+
+function attempt(s) {
+  if (!inZone(s)) {
+    s.failures++;
+    s.hits.push({ success: false, accuracy: 0 });
+    if (s.failures >= MAX_FAILURES) finish(s, false);
+    return [{ type: "miss" }];
+  }
+  const half = ZONE_WIDTH / 2;
+  const accuracy = Math.max(0, 1 - Math.abs(s.position - (ZONE_START + half)) / half);
+  s.successHits++;
+  s.hits.push({ success: true, accuracy });
+  if (s.successHits >= HITS_TO_WIN) finish(s, true);
+  return [{ type: "hit", accuracy }];
+}
+
+function finish(s, success) {
+  s.over = true;
+  s.success = success;
+}
+
+export function outcome(s) {
+  const landed = s.hits.filter((h) => h.success);
+  const mean = landed.length ? landed.reduce((sum, h) => sum + h.accuracy, 0) / landed.length : 0;
+  const accuracy = Math.round(clamp(mean * 100, 0, 100));
+  return {
+    status: s.success ? "success" : "failed",
+    accuracy,
+    score: Math.max(0, Math.round(s.successHits * 100 + accuracy * 5 - s.failures * 80)),
+  };
+}
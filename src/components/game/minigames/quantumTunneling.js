@@ -0,0 +1,117 @@
+// src/components/game/minigames/quantumTunneling.js
+//
+// Quantum Tunneling rules: particles arrive one at a time at a potential
+// barrier whose height V (↑ ↓) and width a (← →) you control. Each is flagged
+// to PASS (a probe the anomaly must let through) or to BLOCK (leakage it must
+// not), and each carries its own energy E. Whether it gets through is a dice
+// roll weighted by the real transmission coefficient of a rectangular barrier
+// - exponential in width, much gentler in height, and above the barrier
+// oscillating with over-barrier resonances. The barrier only reshapes so
+// fast, so you set it for the next particle while it's still in flight.
+// QuantumTunnelingScene draws this.
+//
+// Units: ħ = 1 and 2m = 1, so the wavenumber under the barrier is κ = √(V−E).
+import seedrandom from "seedrandom";
+import { INPUT, NO_EVENTS, challengeOf, clamp, meanOf, severityOf, tally } from "./common.js";
+
+export const V_RANGE = [0.2, 3];
+export const A_RANGE = [0.3, 3];
+export const E_RANGE = [0.6, 1.4];
+const V_RATE = 0.9; // barrier height units per second
+const A_RATE = 0.8; // barrier width units per second
+const MAX_DT = 0.04;
+
+export function create({ seed, severity, challenge }) {
+  const sev = severityOf(severity);
+  const s = {
+    severity: sev,
+    rng: seedrandom(seed),
+    V: 1.6,
+    a: 1.2,
+    flight: Math.max(1.5, 2.4 - sev * 0.15) / challengeOf(challenge), // seconds from emission to the barrier
+    particle: null,
+    targetHits: 5 + sev,
+    maxMisses: 4,
+    hits: 0,
+    misses: 0,
+    odds: tally(),
+    over: false,
+    success: false,
+  };
+  emit(s);
+  return s;
+}
+
+function emit(s) {
+  const [lo, hi] = E_RANGE;
+  s.particle = {
+    E: lo + s.rng() * (hi - lo),
+    want: s.rng() < 0.5 ? "pass" : "block",
+    t: 0, // seconds in flight
+  };
+}
+
+/**
+ * Transmission coefficient of a rectangular barrier of height V and width a
+ * for a particle of energy E: tunneling below the top, resonances above it.
+ */
+export function transmission(E, V, a) {
+  const gap = V - E;
+  if (Math.abs(gap) < 1e-6) return 1 / (1 + (V * V * a * a) / (4 * E));
+  if (gap > 0) {
+    const sh = Math.sinh(Math.sqrt(gap) * a);
+    return 1 / (1 + (V * V * sh * sh) / (4 * E * gap));
+  }
+  const sn = Math.sin(Math.sqrt(-gap) * a);
+  return 1 / (1 + (V * V * sn * sn) / (4 * E * -gap));
+}
+
+/** Chance the particle in flight ends up where it's wanted, if it arrived now. */
+export function successChance(s) {
+  const T = transmission(s.particle.E, s.V, s.a);
+  return s.particle.want === "pass" ? T : 1 - T;
+}
+
+export function step(s, dtMs, { mask }) {
+  if (s.over) return NO_EVENTS;
+  const dt = Math.min(dtMs / 1000, MAX_DT);
+
+  if (mask & INPUT.UP) s.V += V_RATE * dt;
+  if (mask & INPUT.DOWN) s.V -= V_RATE * dt;
+  if (mask & INPUT.RIGHT) s.a += A_RATE * dt;
+  if (mask & INPUT.LEFT) s.a -= A_RATE * dt;
+  s.V = clamp(s.V, V_RANGE[0], V_RANGE[1]);
+  s.a = clamp(s.a, A_RANGE[0], A_RANGE[1]);
+
+  const p = s.particle;
+  p.t += dt;
+  if (p.t < s.flight) return NO_EVENTS;
+
+  // Arrival: the barrier as it stands now decides the odds, the dice the rest.
+  const T = transmission(p.E, s.V, s.a);
+  const chance = p.want === "pass" ? T : 1 - T;
+  const passed = s.rng() < T;
+  const hit = passed === (p.want === "pass");
+  s.odds.sum += chance;
+  s.odds.n++;
+  if (hit) s.hits++;
+  else s.misses++;
+  if (s.hits >= s.targetHits) finish(s, true);
+  else if (s.misses >= s.maxMisses) finish(s, false);
+  else emit(s);
+  return [{ type: "arrive", E: p.E, want: p.want, passed, hit, p: chance }];
+}
+
+function finish(s, success) {
+  s.over = true;
+  s.success = success;
+}
+
+export function outcome(s) {
+  const accuracy = Math.round(clamp(meanOf(s.odds) * 100, 0, 100));
+  return {
+    status: s.success ? "success" : "failed",
+    accuracy,
+    score: Math.max(0, Math.round(s.hits * 90 + accuracy * 5 - s.misses * 130)),
+  };
+}
@@ -0,0 +1,19 @@
+// src/components/game/minigames/quantumTunneling.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { transmission } from "./quantumTunneling.js";
+
+test("transmission falls off exponentially with width and is continuous over the top", () => {
+  // Deep under the barrier T ≈ (16E(V−E)/V²)·e^(−2κa)
+  const [E, V] = [1, 2];
+  const ratio = transmission(E, V, 3) / transmission(E, V, 2);
+  assert.ok(Math.abs(ratio - Math.exp(-2)) < 0.02, `one unit wider costs e^-2κ (${ratio})`);
+  assert.ok(transmission(E, 3, 1) > transmission(E, 1.2, 3), "tall and thin leaks more than low and wide");
+
+  const top = transmission(E, E, 1.5);
+  assert.ok(Math.abs(transmission(E, E + 1e-4, 1.5) - top) < 1e-3);
+  assert.ok(Math.abs(transmission(E, E - 1e-4, 1.5) - top) < 1e-3);
+  // Over-barrier resonance: a whole number of half-wavelengths across it
+  assert.ok(Math.abs(transmission(E, 0.5, Math.PI / Math.sqrt(0.5)) - 1) < 1e-9);
+  for (const T of [transmission(0.6, 3, 3), transmission(1.4, 0.2, 0.3)]) assert.ok(T > 0 && T <= 1);
+});
@@ -0,0 +1,32 @@
+// src/components/game/minigames/recordedRun.js
+//
+// Minigame runs played in node, for tests: the loop MiniGameScene runs -
+// record each frame, step the simulation with what the recorder returns -
+// with a scripted player in the warden's seat.
+import { INPUT } from "./common.js";
+import { MINIGAMES, TranscriptRecorder } from "./transcript.js";
+import { center } from "./expansionContainment.js";
+
+/**
+ * Play `game` from `params` (as beginRun builds them) until it ends, or for
+ * 6000 frames. `pick(sim, frame)` is the player: the frame's input mask, or
+ * [mask, x, y] for a game played with the pointer. `frameMs` is the display's
+ * frame time as recorded - a number, or a function of the frame.
+ */
+export function playRun(game, params, pick, frameMs = 16.67) {
+  const rules = MINIGAMES[game];
+  const sim = rules.create(params);
+  const recorder = new TranscriptRecorder(game, params);
+  for (let f = 0; f < 6000 && !sim.over; f++) {
+    const [mask, x, y] = [].concat(pick(sim, f));
+    const { dtMs, input } = recorder.record(typeof frameMs === "function" ? frameMs(f) : frameMs, mask, x, y);
+    rules.step(sim, dtMs, input);
+  }
+  return { sim, outcome: rules.outcome(sim), transcript: recorder.transcript };
+}
+
+/** An expansionContainment player riding the corridor's centre line - clean enough for an S. */
+export function rideCorridor(sim) {
+  const ahead = center(sim, sim.elapsed + 0.35) - (sim.H + sim.v * 0.35);
+  return ahead > 0 ? INPUT.UP : INPUT.DOWN;
+}
@@ -0,0 +1,64 @@
+// src/components/game/minigames/skillModel.js
+//
+// Per-game skill model: each minigame keeps the warden's last few graded
+// accuracies, and those - together with the universe's difficulty - set the
+// challenge level the next run is created with (common.js challengeOf). A
+// warden who keeps acing a game finds it leaning harder; one who keeps losing
+// finds it easing, always inside CHALLENGE_RANGE. Pure data in, data out.
+//
+// The history is the server's: it records each run it verifies and sends the
+// warden's history back with the universe and with every resolve
+// (`minigameSkill`), and it checks a transcript's challenge against its own
+// copy. The client only caches what it was sent (settings.js) and sets runs
+// from that, never from runs of its own - a failed run never reaches the
+// server, a refused one isn't counted, and a new device starts empty, so a
+// locally kept history would set challenges the server doesn't.
+import { CHALLENGE_RANGE, clamp } from "./common.js";
+
+export const SKILL_WINDOW = 8;    // recent runs remembered per game
+const TARGET_ACCURACY = 70;       // the accuracy a well-matched run lands near
+const MAX_NUDGE = 0.15;           // how far history alone can move the challenge
+const NUDGE_PER_POINT = 0.005;    // challenge per point of accuracy off target
+
+// Where a universe of each difficulty starts every game, before history.
+export const DIFFICULTY_CHALLENGE = {
+  Beginner: 0.9,
+  Intermediate: 1,
+  Advanced: 1.1,
+};
+
+/**
+ * The history with one more run of `game` in it, as the server records a
+ * verified run. A failed run counts as 0, the same as its grade does.
+ */
+export function recordRun(skill, game, { status, accuracy }) {
+  const graded = status === "success" ? clamp(Math.round(accuracy), 0, 100) : 0;
+  const recent = [...(skill?.[game] ?? []), graded].slice(-SKILL_WINDOW);
+  return { ...skill, [game]: recent };
+}
+
+/**
+ * The challenge level for the next run of `game`: the difficulty's start,
+ * nudged toward the warden's recent form (trusted more the more runs there
+ * are), bounded, and rounded so it travels through JSON unchanged.
+ */
+export function challengeFor(skill, game, difficulty) {
+  const base = DIFFICULTY_CHALLENGE[difficulty] ?? 1;
+  const recent = skill?.[game] ?? [];
+  let nudge = 0;
+  if (recent.length) {
+    const mean = recent.reduce((a, b) => a + b, 0) / recent.length;
+    const trust = recent.length / SKILL_WINDOW;
+    nudge = clamp((mean - TARGET_ACCURACY) * NUDGE_PER_POINT, -MAX_NUDGE, MAX_NUDGE) * trust;
+  }
+  const c = clamp(base + nudge, CHALLENGE_RANGE[0], CHALLENGE_RANGE[1]);
+  return Math.round(c * 100) / 100;
+}
+
+/** How the result screen names a challenge level. */
+export function challengeLabel(c) {
+  if (c < 0.95) return "Eased";
+  if (c <= 1.05) return "Standard";
+  if (c <= 1.15) return "Raised";
+  return "Severe";
+}
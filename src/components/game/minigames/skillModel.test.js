@@ -0,0 +1,50 @@
+// src/components/game/minigames/skillModel.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CHALLENGE_RANGE } from "./common.js";
+import { SKILL_WINDOW, challengeFor, challengeLabel, recordRun } from "./skillModel.js";
+import * as gravityWell from "./gravityWell.js";
+
+const runs = (game, results) =>
+  results.reduce((skill, accuracy) => recordRun(skill, game, { status: accuracy ? "success" : "failed", accuracy }), {});
+
+test("a first run is set by the universe's difficulty alone", () => {
+  assert.equal(challengeFor({}, "gravityWell", "Beginner"), 0.9);
+  assert.equal(challengeFor(undefined, "gravityWell", "Intermediate"), 1);
+  assert.equal(challengeFor({}, "gravityWell", "Advanced"), 1.1);
+  assert.equal(challengeFor({}, "gravityWell", null), 1, "unknown difficulty is standard");
+});
+
+test("recent form nudges the challenge, per game, within bounds", () => {
+  const ace = runs("cascadeReaction", Array(SKILL_WINDOW).fill(100));
+  const struggling = runs("cascadeReaction", [0, 0, 55, 0, 0, 0, 40, 0]);
+  assert.ok(challengeFor(ace, "cascadeReaction", "Intermediate") > 1);
+  assert.ok(challengeFor(struggling, "cascadeReaction", "Intermediate") < 1);
+  assert.equal(challengeFor(ace, "gravityWell", "Intermediate"), 1, "other games are untouched");
+
+  // One run is trusted less than a full window of the same
+  const once = runs("cascadeReaction", [100]);
+  assert.ok(challengeFor(once, "cascadeReaction", "Intermediate") < challengeFor(ace, "cascadeReaction", "Intermediate"));
+
+  const [lo, hi] = CHALLENGE_RANGE;
+  assert.ok(challengeFor(ace, "cascadeReaction", "Advanced") <= hi);
+  assert.ok(challengeFor(struggling, "cascadeReaction", "Beginner") >= lo);
+});
+
+test("only the last window of runs is remembered, failures graded as 0", () => {
+  const skill = runs("waveformCollapse", [...Array(SKILL_WINDOW).fill(100), 0]);
+  assert.equal(skill.waveformCollapse.length, SKILL_WINDOW);
+  assert.equal(skill.waveformCollapse.at(-1), 0);
+  assert.deepEqual(recordRun({}, "x", { status: "failed", accuracy: 88 }).x, [0]);
+});
+
+test("challenge reshapes the simulation, and 1 leaves it as severity tunes it", () => {
+  const params = { seed: "s", severity: 3 };
+  const plain = gravityWell.create(params);
+  assert.deepEqual(gravityWell.create({ ...params, challenge: 1 }), plain);
+  const hard = gravityWell.create({ ...params, challenge: 1.2 });
+  assert.ok(hard.Rout - hard.Rin < plain.Rout - plain.Rin, "a narrower band");
+  assert.equal(challengeLabel(0.85), "Eased");
+  assert.equal(challengeLabel(1), "Standard");
+  assert.equal(challengeLabel(1.25), "Severe");
+});
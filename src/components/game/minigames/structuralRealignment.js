@@ -0,0 +1,191 @@
+// src/components/game/minigames/structuralRealignment.js
+//
+// Structural Realignment rules: a triangulated ring-and-hub truss of Hooke
+// springs, scrambled out of its minimum-energy shape. Drag the free nodes
+// until every link relaxes to its rest length, and hold it there. Node
+// layout is in screen pixels, so the view size is part of a run's
+// parameters. In co-op the lattice is split down the middle: each node's
+// `seat` says which warden may drag it, seat 1 dragging `partnerDrag`.
+// StructuralRealignmentScene draws this.
+import seedrandom from "seedrandom";
+import { INPUT, NO_EVENTS, challengeOf, clamp, seatsOf, severityOf } from "./common.js";
+
+const K = 0.4;           // spring stiffness (gentle - guides, doesn't yank)
+const DAMP = 6.5;        // velocity damping (nodes mostly stay where you drop them)
+const GRAB_R = 28;
+const WIN_STRESS = 9;    // mean |len - rest| (px) considered "aligned"
+const HOLD_TO_WIN = 0.4; // seconds it must stay aligned to lock
+export const ALIGNED_PX = 8; // a link this close to rest length counts as aligned
+const MAX_DT = 0.03;
+
+export function create({ seed, severity, challenge, view, seats }) {
+  const sev = severityOf(severity);
+  const c = challengeOf(challenge);
+  const [width, height] = view;
+  const s = {
+    severity: sev,
+    seats: seatsOf(seats),
+    cx: width / 2,
+    cy: height / 2 + 24,
+    ringCount: Math.min(7, 3 + sev),
+    timeLimit: (32 - sev * 2) / c,
+    scramble: (45 + sev * 12) * c,
+    elapsed: 0,
+    alignedTime: 0,
+    stress: Infinity,
+    dragIndex: -1,
+    partnerDrag: -1,
+    nodes: [],
+    edges: [],
+    over: false,
+    success: false,
+  };
+  buildLattice(s, seedrandom(seed), width, height);
+  return s;
+}
+
+// Rest lengths come from the TARGET (aligned) layout; free nodes are then
+// scrambled into a tangle.
+function buildLattice(s, rng, width, height) {
+  const R = 128;
+  const m = s.ringCount;
+  const target = [];
+  for (let i = 0; i < m; i++) {
+    const a = (i / m) * Math.PI * 2 - Math.PI / 2;
+    target.push({ x: s.cx + Math.cos(a) * R, y: s.cy + Math.sin(a) * R });
+  }
+  const hub = m;
+  target.push({ x: s.cx, y: s.cy });
+
+  // Two anchors pin position + orientation so the solution is unique.
+  const anchorA = 0;
+  const anchorB = Math.floor(m / 2);
+
+  s.nodes = target.map((t, i) => {
+    const anchor = i === anchorA || i === anchorB;
+    let x = t.x;
+    let y = t.y;
+    if (!anchor) {
+      const ang = rng() * Math.PI * 2;
+      const mag = s.scramble * (0.5 + rng() * 0.5);
+      x = clamp(s.cx + Math.cos(ang) * (R * 0.4) + Math.cos(ang) * mag, 120, width - 120);
+      y = clamp(s.cy + Math.sin(ang) * (R * 0.4) + Math.sin(ang) * mag, 170, height - 90);
+    }
+    // The left half is seat 0's, the right half and the hub seat 1's
+    return { x, y, vx: 0, vy: 0, anchor, tx: t.x, ty: t.y, seat: t.x < s.cx ? 0 : 1 };
+  });
+
+  const addEdge = (a, b) => {
+    const rest = Math.hypot(target[a].x - target[b].x, target[a].y - target[b].y);
+    s.edges.push({ a, b, rest });
+  };
+  for (let i = 0; i < m; i++) {
+    addEdge(i, (i + 1) % m); // ring
+    addEdge(i, hub);         // spoke
+    addEdge(i, (i + 2) % m); // chord (triangulation -> rigid)
+  }
+}
+
+/** How far a link is from its rest length, px. */
+export function linkError(s, e) {
+  const A = s.nodes[e.a];
+  const B = s.nodes[e.b];
+  return Math.abs(Math.hypot(B.x - A.x, B.y - A.y) - e.rest);
+}
+
+export const alignedLinks = (s) => s.edges.filter((e) => linkError(s, e) < ALIGNED_PX).length;
+
+// Grab the free node nearest the pointer, if one is in reach - in co-op,
+// only among the seat's own nodes.
+function grab(s, x, y, seat = 0) {
+  let best = -1;
+  let bestD = GRAB_R;
+  s.nodes.forEach((n, i) => {
+    if (n.anchor || (s.seats === 2 && n.seat !== seat)) return;
+    const d = Math.hypot(x - n.x, y - n.y);
+    if (d < bestD) { bestD = d; best = i; }
+  });
+  return best;
+}
+
+export function step(s, dtMs, { mask, x, y }, partner = null) {
+  if (s.over) return NO_EVENTS;
+  if (mask & INPUT.POINTER_PRESS) s.dragIndex = grab(s, x, y);
+  if (!(mask & INPUT.POINTER_HELD)) s.dragIndex = -1;
+  if (partner) {
+    if (partner.mask & INPUT.POINTER_PRESS) s.partnerDrag = grab(s, partner.x, partner.y, 1);
+    if (!(partner.mask & INPUT.POINTER_HELD)) s.partnerDrag = -1;
+  }
+
+  const dt = Math.min(dtMs / 1000, MAX_DT);
+  s.elapsed += dt;
+
+  // Accumulate spring forces
+  const fx = new Array(s.nodes.length).fill(0);
+  const fy = new Array(s.nodes.length).fill(0);
+  let stressSum = 0;
+  for (const e of s.edges) {
+    const A = s.nodes[e.a];
+    const B = s.nodes[e.b];
+    const dx = B.x - A.x;
+    const dy = B.y - A.y;
+    const len = Math.hypot(dx, dy) || 0.0001;
+    const diff = len - e.rest;
+    stressSum += Math.abs(diff);
+    const f = K * diff; // >0 stretched (attract), <0 compressed (repel)
+    const ux = dx / len;
+    const uy = dy / len;
+    fx[e.a] += f * ux; fy[e.a] += f * uy;
+    fx[e.b] -= f * ux; fy[e.b] -= f * uy;
+  }
+  s.stress = stressSum / s.edges.length;
+
+  // Integrate free (non-dragged) nodes
+  const damp = Math.max(0, 1 - DAMP * dt);
+  for (let i = 0; i < s.nodes.length; i++) {
+    const n = s.nodes[i];
+    if (n.anchor) continue;
+    if (i === s.dragIndex) {
+      n.x = x; n.y = y; n.vx = 0; n.vy = 0;
+      continue;
+    }
+    if (i === s.partnerDrag) {
+      n.x = partner.x; n.y = partner.y; n.vx = 0; n.vy = 0;
+      continue;
+    }
+    n.vx = (n.vx + fx[i] * dt) * damp;
+    n.vy = (n.vy + fy[i] * dt) * damp;
+    n.x += n.vx * dt;
+    n.y += n.vy * dt;
+  }
+
+  // Win requires the aligned state to HOLD, not just flash past
+  if (s.stress < WIN_STRESS) s.alignedTime += dt;
+  else s.alignedTime = 0;
+
+  if (s.alignedTime >= HOLD_TO_WIN) finish(s, true);
+  else if (s.elapsed >= s.timeLimit) finish(s, false);
+  return NO_EVENTS;
+}
+
+function finish(s, success) {
+  s.over = true;
+  s.success = success;
+  s.dragIndex = -1;
+  s.partnerDrag = -1;
+}
+
+// Success is graded on speed against par; a failure on how much of the
+// lattice was aligned when time ran out.
+export function outcome(s) {
+  const alignPct = Math.round((alignedLinks(s) / s.edges.length) * 100);
+  const par = s.timeLimit * 0.5;
+  const speedBonus = s.success ? Math.max(0, 100 - Math.max(0, s.elapsed - par) * 4) : 0;
+  const accuracy = s.success ? Math.round(clamp(speedBonus, 0, 100)) : alignPct;
+  return {
+    status: s.success ? "success" : "failed",
+    accuracy,
+    score: Math.max(0, Math.round((s.success ? 400 : 0) + accuracy * 5)),
+    alignPct,
+  };
+}
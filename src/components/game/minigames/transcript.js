@@ -0,0 +1,231 @@
+// src/components/game/minigames/transcript.js
+//
+// Verifiable minigame runs.
+//
+// Each minigame's rules live in a pure simulation beside this file
+// (gravityWell.js, cascadeReaction.js, ...): create() from a seed and the
+// anomaly's severity, step() once per frame with that frame's time and
+// input, outcome() for the grade. The scene only draws it and feeds it
+// input. Every run is seeded from the anomaly's id, tuned by the warden's
+// challenge level (skillModel.js), and the scene records a transcript of what
+// it fed in, so anyone holding the seed and the transcript can run the same
+// simulation and land on the same accuracy - which is what
+// the server checks a reported accuracy against, instead of taking the
+// client's number on trust. replayTranscript/verifyTranscript are the
+// reference implementation for that port.
+//
+// A transcript is small JSON:
+//
+//   { v, game, seed, severity, challenge, view, runs: [[n, dtMs, mask, x?, y?], ...] }
+//
+// Each run is n consecutive identical frames: the frame time in whole
+// milliseconds and the input bitmask (common.js INPUT), plus the pointer for
+// games played with it. Frame times are quantized on the way in and the scene
+// steps its simulation with the quantized value, so the live run and any
+// re-run agree to the bit. `view` is the arena size, for the games laid out in
+// screen pixels. `challenge` is absent from transcripts that predate it, and
+// those ran at 1.
+//
+// A co-op run (coop.js) carries `seats: 2`, and each of its runs holds both
+// wardens' input - [n, dtMs, mask, x, y, mask2, x2, y2] - seat 0's first.
+//
+// A run played in slow motion (assist.js) carries its `timeScale`. The
+// simulation never sees it - the frame times are already the slowed ones -
+// and neither does the reward: a transcript is only frame times, never real
+// time, so nothing in it tells a slowed run from a full-speed one. The
+// scene steps no finer than MIN_FRAME_MS of real time, and a frame shorter
+// than that, scaled, is refused unless the timeScale allows for it - but
+// that only catches a slowed run on a display of 60Hz or faster. At 0.5x on
+// 30Hz, or in a throttled tab, the frames are as long as a full-speed run's.
+import { CHALLENGE_RANGE, severityOf } from "./common.js";
+import { TIME_SCALES } from "./assist.js";
+import * as gravityWell from "./gravityWell.js";
+import * as cascadeReaction from "./cascadeReaction.js";
+import * as waveformCollapse from "./waveformCollapse.js";
+import * as expansionContainment from "./expansionContainment.js";
+import * as structuralRealignment from "./structuralRealignment.js";
+import * as polarityBalance from "./polarityBalance.js";
+import * as cosmicString from "./cosmicString.js";
+import * as quantumTunneling from "./quantumTunneling.js";
+import * as quantumStabilizer from "./quantumStabilizer.js";
+
+export const TRANSCRIPT_VERSION = 1;
+
+export const MINIGAMES = {
+  gravityWell,
+  cascadeReaction,
+  waveformCollapse,
+  expansionContainment,
+  structuralRealignment,
+  polarityBalance,
+  cosmicString,
+  quantumTunneling,
+  quantumStabilizer,
+};
+
+// The games two wardens can split between them: their step() takes the second
+// seat's input as a fourth argument.
+export const COOP_GAMES = new Set(["cascadeReaction", "structuralRealignment"]);
+
+// Every simulation clamps its own step far below this; the cap just keeps a
+// backgrounded tab's one enormous frame a small number.
+const MAX_FRAME_MS = 1000;
+// The finest real-time step MiniGameScene takes - two frames of a 144Hz
+// display. It bounds how fine a transcript's frames can be, not how slowly
+// the run was really played (see above).
+export const MIN_FRAME_MS = 13.5;
+// The longest game is ~30s; this is a 144Hz display's worth with room to spare.
+const MAX_FRAMES = 20000;
+// Grades are whole percents; one point of slack covers a port whose floating
+// point rounds one sample differently.
+export const ACCURACY_TOLERANCE = 1;
+
+/** The seed a minigame for this anomaly runs from. */
+export const minigameSeed = (anomalyId) => `minigame#${anomalyId ?? "practice"}`;
+
+export class TranscriptRecorder {
+  /**
+   * @param {string} game - a MINIGAMES key
+   * @param {object} params - { seed, severity, challenge, view, seats? } the simulation was created with,
+   *   and the run's `timeScale` if it was slowed
+   */
+  constructor(game, { seed, severity = null, challenge = null, view = null, seats = 1, timeScale = 1 }) {
+    this.transcript = { v: TRANSCRIPT_VERSION, game, seed, severity, challenge, view, runs: [] };
+    if (seats === 2) this.transcript.seats = 2;
+    if (timeScale !== 1) this.transcript.timeScale = timeScale;
+    this.last = null;
+  }
+
+  /**
+   * Record a frame. Returns the frame time, quantized, that the simulation
+   * must be stepped with for a re-run to match. A co-op run passes the second
+   * seat's { mask, x, y } as `partner`, and gets it back as the simulation
+   * takes it.
+   */
+  record(deltaMs, mask, x, y, partner = undefined) {
+    const dtMs = Math.max(0, Math.min(MAX_FRAME_MS, Math.round(deltaMs)));
+    if (partner) {
+      const frame = [dtMs, mask, Math.round(x ?? 0), Math.round(y ?? 0), partner.mask, Math.round(partner.x), Math.round(partner.y)];
+      this.push(frame);
+      return {
+        dtMs,
+        input: { mask, x: frame[2], y: frame[3] },
+        partner: { mask: partner.mask, x: frame[5], y: frame[6] },
+      };
+    }
+    const frame = x === undefined ? [dtMs, mask] : [dtMs, mask, Math.round(x), Math.round(y)];
+    this.push(frame);
+    return { dtMs, input: { mask, x: frame[2] ?? 0, y: frame[3] ?? 0 } };
+  }
+
+  push(frame) {
+    const last = this.last;
+    if (last && last.length === frame.length + 1 && frame.every((v, i) => v === last[i + 1])) {
+      last[0]++;
+    } else {
+      this.last = [1, ...frame];
+      this.transcript.runs.push(this.last);
+    }
+  }
+}
+
+function* frames(transcript) {
+  for (const [n, dtMs, mask, x = 0, y = 0, mask2, x2, y2] of transcript.runs) {
+    const input = { mask, x, y };
+    const partner = mask2 === undefined ? null : { mask: mask2, x: x2, y: y2 };
+    for (let i = 0; i < n; i++) yield [dtMs, input, partner];
+  }
+}
+
+const isInt = (v) => Number.isInteger(v) && v >= 0;
+
+/** The shortest frame time, as recorded, a run at `timeScale` can have. */
+export const minFrameMs = (timeScale = 1) => Math.round(MIN_FRAME_MS * timeScale);
+
+function check(transcript) {
+  if (!transcript || typeof transcript !== "object") throw new Error("No transcript");
+  if (transcript.v !== TRANSCRIPT_VERSION) {
+    throw new Error(`Transcript format v${transcript.v} is not supported (expected v${TRANSCRIPT_VERSION})`);
+  }
+  if (!Object.hasOwn(MINIGAMES, transcript.game)) throw new Error(`Unknown minigame "${transcript.game}"`);
+  if (typeof transcript.seed !== "string") throw new Error("Transcript has no seed");
+  const { challenge = null, view } = transcript;
+  if (challenge !== null && !(Number.isFinite(challenge) && challenge >= CHALLENGE_RANGE[0] && challenge <= CHALLENGE_RANGE[1])) {
+    throw new Error("Transcript challenge is out of range");
+  }
+  if (view !== null && !(Array.isArray(view) && view.length === 2 && view.every((d) => isInt(d) && d > 0))) {
+    throw new Error("Transcript view is malformed");
+  }
+  const coop = transcript.seats !== undefined;
+  if (coop && !(transcript.seats === 2 && COOP_GAMES.has(transcript.game))) {
+    throw new Error("Transcript seats are malformed");
+  }
+  if (transcript.timeScale !== undefined && !(transcript.timeScale !== 1 && TIME_SCALES.includes(transcript.timeScale) && !coop)) {
+    throw new Error("Transcript time scale is malformed");
+  }
+  if (!Array.isArray(transcript.runs)) throw new Error("Transcript has no frames");
+  const floor = minFrameMs(transcript.timeScale);
+  let total = 0;
+  for (const run of transcript.runs) {
+    const shaped = coop ? run?.length === 8 : run?.length === 3 || run?.length === 5;
+    if (!Array.isArray(run) || !shaped || !run.every((v, i) => (i < 3 || i === 5 ? isInt(v) : Number.isInteger(v)))) {
+      throw new Error("Transcript frames are malformed");
+    }
+    if (run[1] < floor || run[1] > MAX_FRAME_MS) {
+      throw new Error("Transcript frame times are out of range for its time scale");
+    }
+    total += run[0];
+  }
+  if (total > MAX_FRAMES) throw new Error("Transcript is too long");
+}
+
+/**
+ * Run a transcript through its game's simulation. Returns the outcome
+ * ({status, accuracy, score}) plus whether the run reached its end and on
+ * which frame; frames after the end are ignored. Throws on a transcript it
+ * can't read.
+ */
+export function replayTranscript(transcript) {
+  check(transcript);
+  const game = MINIGAMES[transcript.game];
+  const { seed, severity, challenge, seats = 1 } = transcript;
+  const sim = game.create({ seed, severity, challenge, view: transcript.view ?? [0, 0], seats });
+  let frame = 0;
+  for (const [dtMs, input, partner] of frames(transcript)) {
+    if (sim.over) break;
+    game.step(sim, dtMs, input, partner);
+    frame++;
+  }
+  return { ...game.outcome(sim), finished: sim.over, frames: frame };
+}
+
+// Challenge levels are products of a few tenths; a port's float may differ
+// in the last place.
+const CHALLENGE_EPSILON = 1e-9;
+
+/**
+ * What the server does with a reported containment: the transcript must be
+ * of this anomaly's minigame run (its seed and severity) at the challenge
+ * this warden was set (skillModel.challengeFor, from the grades the server
+ * has verified for them; absent means 1, as in a transcript), must play out
+ * to a success, and must grade to the accuracy reported. A slowed run pays
+ * as any other (assist.js). Never throws.
+ */
+export function verifyTranscript(transcript, { anomalyId, severity, accuracy, challenge = null }) {
+  let replay;
+  try {
+    replay = replayTranscript(transcript);
+  } catch (err) {
+    return { ok: false, reason: err.message };
+  }
+  const fail = (reason) => ({ ok: false, reason, accuracy: replay.accuracy });
+  if (transcript.seed !== minigameSeed(anomalyId)) return fail("Transcript is not of this anomaly");
+  if (severityOf(transcript.severity) !== severityOf(severity)) return fail("Transcript is of another severity");
+  if (Math.abs((transcript.challenge ?? 1) - (challenge ?? 1)) > CHALLENGE_EPSILON) {
+    return fail("Transcript is of another challenge");
+  }
+  if (!replay.finished) return fail("Transcript ends before the run does");
+  if (replay.status !== "success") return fail("Transcript is of a failed run");
+  if (Math.abs(replay.accuracy - accuracy) > ACCURACY_TOLERANCE) return fail("Accuracy does not match the run");
+  return { ok: true, accuracy: replay.accuracy };
+}
@@ -0,0 +1,162 @@
+// src/components/game/minigames/transcript.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import seedrandom from "seedrandom";
+import { INPUT } from "./common.js";
+import {
+  MINIGAMES, TranscriptRecorder, minigameSeed, replayTranscript, verifyTranscript, ACCURACY_TOLERANCE,
+} from "./transcript.js";
+import { playRun, rideCorridor } from "./recordedRun.js";
+import { challengeFor, recordRun } from "./skillModel.js";
+
+const VIEW = [1280, 720];
+
+// Play a game for an anomaly (recordedRun.js) on a display whose frame times
+// wobble like a real one.
+function play(game, anomalyId, severity, pick, challenge = null) {
+  const wobble = seedrandom("display");
+  const params = { seed: minigameSeed(anomalyId), severity, challenge, view: VIEW };
+  return playRun(game, params, pick, () => 16.67 + (wobble() - 0.5) * 3);
+}
+
+// Button-mashing that still ends every game: held keys change every 20
+// frames, a press lands every 15, and the pointer wanders about the arena.
+const masher = (f) => {
+  const r = seedrandom(`mash${Math.floor(f / 20)}`);
+  let mask = Math.floor(r() * 16);
+  if (f % 15 === 0) mask |= INPUT.PRESS_LEFT | INPUT.PRESS_SPACE | INPUT.POINTER_PRESS;
+  if (f % 40 < 30) mask |= INPUT.POINTER_HELD;
+  return [mask, 400 + 300 * Math.sin(f / 50), 360 + 200 * Math.cos(f / 70)];
+};
+
+test("every minigame re-runs from seed + transcript to the accuracy it reported", () => {
+  for (const game of Object.keys(MINIGAMES)) {
+    const pointer = game === "structuralRealignment";
+    const { sim, outcome, transcript } = play(game, "673ab123_1700000000_42", 3, (sim, f) => {
+      const [mask, x, y] = masher(f);
+      return pointer ? [mask, x, y] : [mask & ~(INPUT.POINTER_PRESS | INPUT.POINTER_HELD)];
+    });
+    assert.ok(sim.over, `${game} ran to its end`);
+
+    // What the server receives has been through JSON
+    const replay = replayTranscript(JSON.parse(JSON.stringify(transcript)));
+    assert.equal(replay.finished, true, game);
+    assert.deepEqual(
+      { status: replay.status, accuracy: replay.accuracy, score: replay.score },
+      { status: outcome.status, accuracy: outcome.accuracy, score: outcome.score },
+      game,
+    );
+    const frames = transcript.runs.reduce((n, run) => n + run[0], 0);
+    assert.equal(replay.frames, frames, `${game}: no frames recorded past the end`);
+    assert.ok(transcript.runs.every((run) => run.length === (pointer ? 5 : 3)), game);
+  }
+});
+
+test("a transcript re-runs at the challenge it was played at", () => {
+  const sink = () => [INPUT.DOWN];
+  const eased = play("expansionContainment", "0:0:3", 3, sink, 0.8);
+  const stock = play("expansionContainment", "0:0:3", 3, sink);
+  assert.equal(eased.transcript.challenge, 0.8);
+  assert.equal(stock.transcript.challenge, null);
+  assert.ok(eased.sim.elapsed > stock.sim.elapsed, "a wider corridor holds out longer");
+  for (const { outcome, transcript } of [eased, stock]) {
+    assert.equal(replayTranscript(transcript).accuracy, outcome.accuracy);
+  }
+});
+
+test("verification holds a run to the challenge the warden was set", () => {
+  const anomalyId = "673ab123_1700000000_11";
+  const { outcome, transcript } = play("expansionContainment", anomalyId, 2, rideCorridor, 0.8);
+  assert.equal(outcome.status, "success");
+  const claim = { anomalyId, severity: 2, accuracy: outcome.accuracy };
+  assert.equal(verifyTranscript(JSON.parse(JSON.stringify(transcript)), { ...claim, challenge: 0.8 }).ok, true);
+  assert.match(verifyTranscript(transcript, claim).reason, /another challenge/, "an eased run where none was set");
+  assert.match(verifyTranscript(transcript, { ...claim, challenge: 1.2 }).reason, /another challenge/);
+  assert.match(
+    verifyTranscript({ ...transcript, challenge: null }, { ...claim, challenge: 1.2 }).reason,
+    /another challenge/,
+    "nor can a run claim the standard level",
+  );
+});
+
+test("a run set from the server's history verifies where one set from a local history wouldn't", () => {
+  const anomalyId = "673ab123_1700000000_12";
+  const game = "expansionContainment";
+  const graded = (skill, runs) => runs.reduce((s, r) => recordRun(s, game, r), skill);
+  // The server counts the runs it verified; this device also kept a failed
+  // run and one the server refused, and another device's runs never reached it
+  const server = graded({}, [{ status: "success", accuracy: 96 }, { status: "success", accuracy: 94 }]);
+  const local = graded({}, [{ status: "failed", accuracy: 40 }, { status: "success", accuracy: 12 }]);
+  const setFrom = (skill) => challengeFor(skill, game, "Intermediate");
+  assert.notEqual(setFrom(local), setFrom(server));
+
+  const claimOf = ({ outcome }) => ({ anomalyId, severity: 2, accuracy: outcome.accuracy, challenge: setFrom(server) });
+  // The client plays from the copy the server sent (JSON, as over the wire)
+  const sent = play(game, anomalyId, 2, rideCorridor, setFrom(JSON.parse(JSON.stringify(server))));
+  assert.equal(sent.outcome.status, "success");
+  assert.equal(verifyTranscript(sent.transcript, claimOf(sent)).ok, true);
+  const kept = play(game, anomalyId, 2, rideCorridor, setFrom(local));
+  assert.match(verifyTranscript(kept.transcript, claimOf(kept)).reason, /another challenge/);
+});
+
+test("the fallback stabilizer is held to its transcript like every other game", () => {
+  const anomalyId = "673ab123_1700000000_13";
+  // Press as the indicator nears the zone's centre
+  const { outcome, transcript } = play("quantumStabilizer", anomalyId, 4, (sim) =>
+    [Math.abs(sim.position - 50) < 3 ? INPUT.PRESS_SPACE : 0]);
+  assert.equal(outcome.status, "success");
+  const claim = { anomalyId, severity: 4, accuracy: outcome.accuracy };
+  assert.equal(verifyTranscript(transcript, claim).ok, true);
+  assert.match(verifyTranscript(transcript, { ...claim, accuracy: 100 }).reason, /does not match/);
+  assert.match(verifyTranscript(null, claim).reason, /No transcript/, "no transcript, no containment");
+});
+
+test("the anomaly id seeds the run: same anomaly, same start", () => {
+  const start = (id) => MINIGAMES.waveformCollapse.create({ seed: minigameSeed(id), severity: 2 });
+  const a = start("0:0:1");
+  const b = start("0:0:1");
+  assert.deepEqual([a.center, a.dir, a.target], [b.center, b.dir, b.target]);
+  const others = ["0:0:2", "1:0:1", "0:1:1", "x"].map(start);
+  assert.ok(others.some((o) => o.center !== a.center), "another anomaly, another start");
+});
+
+test("transcripts stay small: a steady hold is one run, whatever the frame times", () => {
+  const recorder = new TranscriptRecorder("expansionContainment", { seed: "s", severity: 1 });
+  for (let f = 0; f < 600; f++) recorder.record(16.6 + (f % 2) * 0.3, INPUT.UP);
+  recorder.record(16.8, 0);
+  recorder.record(5000, 0); // a tab coming back from the background
+  assert.deepEqual(recorder.transcript.runs, [[600, 17, INPUT.UP], [1, 17, 0], [1, 1000, 0]]);
+
+  const pointer = new TranscriptRecorder("structuralRealignment", { seed: "s", severity: 1, view: VIEW });
+  const { input } = pointer.record(16, INPUT.POINTER_HELD, 100.4, 200.6);
+  assert.deepEqual(input, { mask: INPUT.POINTER_HELD, x: 100, y: 201 }, "the sim sees what was recorded");
+});
+
+test("verification accepts an honest containment and nothing else", () => {
+  // Ride the corridor's centre line: a clean, successful run
+  const anomalyId = "673ab123_1700000000_7";
+  const { outcome, transcript } = play("expansionContainment", anomalyId, 2, rideCorridor);
+  assert.equal(outcome.status, "success");
+  const claim = { anomalyId, severity: 2, accuracy: outcome.accuracy };
+  assert.deepEqual(verifyTranscript(transcript, claim), { ok: true, accuracy: outcome.accuracy });
+  assert.equal(verifyTranscript(transcript, { ...claim, accuracy: outcome.accuracy - ACCURACY_TOLERANCE }).ok, true);
+
+  const refused = (t, c = claim) => verifyTranscript(t, c).reason;
+  assert.match(refused(transcript, { ...claim, accuracy: outcome.accuracy + 5 }), /does not match/);
+  assert.match(refused(transcript, { ...claim, anomalyId: "673ab123_1700000000_8" }), /not of this anomaly/);
+  assert.match(refused(transcript, { ...claim, severity: 5 }), /another severity/);
+  assert.match(refused({ ...transcript, runs: transcript.runs.slice(0, 3) }), /ends before/);
+  assert.match(refused({ ...transcript, game: "pinball" }), /Unknown minigame/);
+  assert.match(refused({ ...transcript, v: 7 }), /v7 is not supported/);
+  assert.match(refused({ ...transcript, runs: [[1, 16, "UP"]] }), /malformed/);
+  assert.match(refused({ ...transcript, runs: [[1e6, 16, 0]] }), /too long/);
+  assert.match(refused({ ...transcript, runs: [[900, 9, INPUT.UP]] }), /frame times are out of range/, "free slow motion");
+  assert.match(refused({ ...transcript, runs: [[1, 1001, 0]] }), /frame times are out of range/);
+  assert.match(refused({ ...transcript, challenge: 3 }), /challenge is out of range/);
+  assert.match(refused(null), /No transcript/);
+
+  // Losing runs don't verify as containments, whatever accuracy they claim
+  const lost = play("expansionContainment", anomalyId, 2, () => [INPUT.DOWN]);
+  assert.equal(lost.outcome.status, "failed");
+  assert.match(refused(lost.transcript, { ...claim, accuracy: lost.outcome.accuracy }), /failed run/);
+});
@@ -0,0 +1,135 @@
+// src/components/game/minigames/waveformCollapse.js
+//
+// Waveform Collapse rules: a Gaussian wave packet over N position
+// eigenstates, squeezed or widened against the uncertainty coupling (narrower
+// drifts faster), and measured into one state at random by |ψ|². Collapse
+// into the target enough times to win. WaveformCollapseScene draws this.
+import seedrandom from "seedrandom";
+import { INPUT, NO_EVENTS, challengeOf, clamp, meanOf, severityOf, tally } from "./common.js";
+
+export const N = 5;       // position eigenstates in the lattice
+const W_MIN = 0.40;       // tightest packet (~92% peak, fastest drift)
+export const W_MAX = 1.30; // widest packet (~32% peak, slowest drift)
+const W_REF = 0.9;        // reference width for the uncertainty-speed coupling
+const BASE_DRIFT = 1.05;  // slots/sec at reference width, severity 1
+const SQUEEZE_RATE = 1.9; // width units/sec while holding ↑ / ↓
+const MEASURE_COOLDOWN = 0.22;
+const MAX_DT = 0.05;
+
+export function create({ seed, severity, challenge }) {
+  const sev = severityOf(severity);
+  const rng = seedrandom(seed);
+  const s = {
+    severity: sev,
+    rng,
+    drift: BASE_DRIFT * (1 + sev * 0.16) * challengeOf(challenge), // at W_REF
+    targetCollapses: 5 + sev,
+    maxMisses: 4, // probabilistic misses need variance slack vs a timing game
+    collapses: 0,
+    misses: 0,
+    // Wave packet: continuous center in [0, N-1], width = std dev in slots.
+    center: 1 + rng() * (N - 2),
+    width: W_MAX,
+    dir: rng() < 0.5 ? -1 : 1, // drift direction (sign of velocity)
+    target: 0,
+    cooldown: 0,
+    measured: tally(),
+    over: false,
+    success: false,
+  };
+  s.target = pickTarget(s);
+  return s;
+}
+
+// A new eigenstate to hit, never the one the packet is already sitting on.
+function pickTarget(s) {
+  let t;
+  do { t = Math.floor(s.rng() * N); } while (t === Math.round(s.center));
+  return t;
+}
+
+/** |ψ|² over the lattice: a normalized Gaussian centered on the packet. */
+export function probs(s) {
+  const p = [];
+  let sum = 0;
+  for (let i = 0; i < N; i++) {
+    const d = i - s.center;
+    const v = Math.exp(-(d * d) / (2 * s.width * s.width));
+    p.push(v);
+    sum += v;
+  }
+  for (let i = 0; i < N; i++) p[i] /= sum;
+  return p;
+}
+
+export function step(s, dtMs, { mask }) {
+  if (s.over) return NO_EVENTS;
+  // A measurement is taken on the state the player saw when they pressed.
+  const events = mask & INPUT.PRESS_SPACE ? measure(s) : NO_EVENTS;
+  if (s.over) return events;
+
+  const dt = Math.min(dtMs / 1000, MAX_DT);
+  if (s.cooldown > 0) s.cooldown -= dt;
+
+  // Squeeze / widen (Heisenberg: width sets both peak height AND drift speed)
+  if (mask & INPUT.UP) s.width = Math.max(W_MIN, s.width - SQUEEZE_RATE * dt);
+  if (mask & INPUT.DOWN) s.width = Math.min(W_MAX, s.width + SQUEEZE_RATE * dt);
+
+  // Steer: choose drift direction
+  if (mask & INPUT.LEFT) s.dir = -1;
+  if (mask & INPUT.RIGHT) s.dir = 1;
+
+  // Uncertainty coupling: narrower packet -> faster drift.
+  const speed = s.drift * (W_REF / s.width);
+  s.center += s.dir * speed * dt;
+
+  // Reflect off the lattice walls (particle in a box)
+  const lo = 0.15;
+  const hi = N - 1 - 0.15;
+  if (s.center < lo) { s.center = lo; s.dir = 1; }
+  else if (s.center > hi) { s.center = hi; s.dir = -1; }
+  return events;
+}
+
+function measure(s) {
+  if (s.cooldown > 0) return NO_EVENTS;
+  s.cooldown = MEASURE_COOLDOWN;
+
+  const p = probs(s);
+  const pt = p[s.target];
+  s.measured.sum += pt;
+  s.measured.n++;
+
+  // Collapse: weighted-random pick over |ψ|².
+  let roll = s.rng();
+  let collapsed = N - 1;
+  for (let i = 0; i < N; i++) { roll -= p[i]; if (roll <= 0) { collapsed = i; break; } }
+
+  const hit = collapsed === s.target;
+  if (hit) {
+    s.collapses++;
+    if (s.collapses >= s.targetCollapses) finish(s, true);
+    else s.target = pickTarget(s);
+  } else {
+    s.misses++;
+    // Measurement disturbs the system: the packet re-spreads and re-seeds.
+    s.width = W_MAX;
+    s.center = 1 + s.rng() * (N - 2);
+    if (s.misses >= s.maxMisses) finish(s, false);
+  }
+  return [{ type: "measure", collapsed, p: pt, hit }];
+}
+
+function finish(s, success) {
+  s.over = true;
+  s.success = success;
+}
+
+export function outcome(s) {
+  const accuracy = Math.round(clamp(meanOf(s.measured) * 100, 0, 100));
+  return {
+    status: s.success ? "success" : "failed",
+    accuracy,
+    score: Math.max(0, Math.round(s.collapses * 90 + accuracy * 5 - s.misses * 130)),
+  };
+}
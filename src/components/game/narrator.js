@@ -410,6 +410,26 @@ export const CURATOR = {
       "The heavy ones are in position. Those aren't warships, warden - they're a decision about a planet. Stop them or watch what they were built for.",
       "Bombers over the world. Every few seconds one of those lances is a city. The escorts want you to chase them. Don't.",
     ],
+    // A raid wave that has lost its bombers or its nerve, turning for home.
+    retreat: [
+      "They're breaking off. Not beaten - unwilling. Somewhere a commander just decided this world costs more than it's worth. Good. Make the next one think so too.",
+      "The wave is running. Whatever's left of it has worked out what you're for, warden. They'll be back, but fewer, and slower to come.",
+    ],
+    // A friendly people's wing flying with you, and what losing it means.
+    escortJoined: [
+      "They've sent ships to fly with you. Not tribute, not prayers - crews. Try to bring them back.",
+      "An escort, warden. A people who think well of you have decided your back is worth covering. That's a loan, not a gift.",
+    ],
+    escortHome: [
+      "Your escort is turning for home. They'll tell their world what they saw. Let's hope it was flattering.",
+    ],
+    escortLost: [
+      "One of your escort is gone. Somebody's daughter volunteered for that ship.",
+      "We lost a ship of the wing. They flew where you flew, warden - that's why it was there.",
+    ],
+    escortWiped: [
+      "The whole wing. Every ship they lent you. I don't expect them to lend another soon, and I expect they'll remember who they lent it to.",
+    ],
   },
   siege: {
     gate: [
@@ -425,6 +445,45 @@ export const CURATOR = {
       "The last of the spawn is stardust. The anomaly is undefended. Finish the work.",
     ],
   },
+  // Defense pacts (First Contact): signed, called, kept and broken.
+  pact: {
+    signed: [
+      "A pact, then. You've promised a people you'll come when the sky fills with someone else's ships. Their enemies will hear of it before you've left orbit.",
+      "Signed. You are no longer a passer-by in their war, warden - you're a party to it. Try to be worth the ink.",
+    ],
+    called: [
+      "Your ally is under attack, warden. You gave your word. I've already plotted the course.",
+      "The pact is called. Ships over a world you swore to defend - and they will be watching the sky for you.",
+    ],
+    honoured: [
+      "You came when they called. That's the whole of a promise, warden, and you kept it.",
+    ],
+    betrayed: [
+      "They called. You didn't come. The Chronicle has it in writing now, and so, I suspect, does every other people who was thinking of trusting you.",
+    ],
+  },
+  // The severity-5 boss (RiftSpawnSystem), phase by phase.
+  unraveler: {
+    sighted: [
+      "Something in the middle of that tear is holding it open, warden. Not a guard - a heart. It's shielded while its tethers live. Cut those first.",
+      "That's no spawn. The anomaly has grown a core, and it's knitting itself a shell out of the tethers around it. Break the tethers, then the bright points on its rim.",
+    ],
+    frayed: [
+      "The shell's down and it's bleeding light. It's calling the small ones to it - keep on the weak points.",
+      "You've frayed it. It doesn't like that. Expect company.",
+    ],
+    unraveling: [
+      "It's re-knitting its tethers - and the tear is widening around it. Whatever room you had to fight in, you're about to have less.",
+      "Last phase, warden. It's pulling the fabric apart to take you with it. Tethers first, then finish it - quickly.",
+    ],
+    slain: [
+      "It's gone. The heart of the tear, unmade - and everything it held together went with it. Go and close the wound while it's quiet.",
+      "You killed the thing that was holding the universe open. I'd like that on the record. The anomaly is yours to contain.",
+    ],
+    core: [
+      "Its core. Still warm, and it's mending your hull faster than any salvage I've seen. I'm choosing not to ask how.",
+    ],
+  },
   slingshot: [
     "A textbook gravity assist. Newton would weep - with joy, I think. Hard to tell with Newton.",
     "You stole momentum from a star and it didn't even notice. That's the good kind of theft.",
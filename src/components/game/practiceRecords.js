@@ -0,0 +1,74 @@
+// src/components/game/practiceRecords.js
+//
+// Personal bests from the Containment Simulator (pages/SimulatorPage.jsx),
+// kept in localStorage on this device: per minigame, the best run at each
+// severity and a count of every grade earned. Practice never reaches the
+// server or the skill model. Same subscribe/notify singleton pattern as
+// settings.js.
+
+const KEY = "eternaverse:practice";
+
+// A failed run has no grade of its own; it's tallied under F.
+const gradeOf = (run) => (run.status === "success" ? run.grade : "F");
+
+const better = (run, best) =>
+  !best || run.score > best.score || (run.score === best.score && run.accuracy > best.accuracy);
+
+/**
+ * The records with one more practice run of `scene` in them. `run` is
+ * { severity, seed, status, accuracy, score, grade, slowed? }; a run played
+ * in slow motion is tallied but never set as a best.
+ */
+export function mergeRun(records, scene, run, at = new Date().toISOString()) {
+  const game = records[scene] ?? { runs: 0, grades: {}, bests: {} };
+  const grade = gradeOf(run);
+  const best = game.bests[run.severity];
+  const isBest = run.status === "success" && !run.slowed && better(run, best);
+  return {
+    ...records,
+    [scene]: {
+      runs: game.runs + 1,
+      grades: { ...game.grades, [grade]: (game.grades[grade] ?? 0) + 1 },
+      bests: isBest
+        ? { ...game.bests, [run.severity]: { score: run.score, accuracy: run.accuracy, grade, seed: run.seed, at } }
+        : game.bests,
+    },
+  };
+}
+
+function load() {
+  try {
+    const s = JSON.parse(localStorage.getItem(KEY) || "null");
+    if (s && typeof s === "object" && !Array.isArray(s)) return s;
+  } catch { /* first run / private mode */ }
+  return {};
+}
+
+let records = load();
+const listeners = new Set();
+
+export const getPracticeRecords = () => records;
+
+/** Record a finished practice run; returns whether it set a new best for its severity. */
+export function recordPractice(scene, run) {
+  const before = records[scene]?.bests[run.severity];
+  records = mergeRun(records, scene, run);
+  try {
+    localStorage.setItem(KEY, JSON.stringify(records));
+  } catch {
+    // Storage unavailable - the record lasts this session only
+  }
+  listeners.forEach((fn) => {
+    try {
+      fn(records);
+    } catch (err) {
+      console.error("practice listener failed:", err);
+    }
+  });
+  return records[scene].bests[run.severity] !== before;
+}
+
+export function onPracticeChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
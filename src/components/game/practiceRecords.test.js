@@ -0,0 +1,26 @@
+// src/components/game/practiceRecords.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeRun } from "./practiceRecords.js";
+
+const run = (over) => ({ severity: 1, seed: "a", status: "success", accuracy: 80, score: 900, grade: "A", ...over });
+
+test("practice keeps the best run per severity and tallies every grade", () => {
+  let r = mergeRun({}, "GravityWellScene", run(), "t0");
+  r = mergeRun(r, "GravityWellScene", run({ score: 700, grade: "B" }), "t1");
+  r = mergeRun(r, "GravityWellScene", run({ severity: 3, score: 400, grade: "C", seed: "b" }), "t2");
+  r = mergeRun(r, "GravityWellScene", run({ status: "failed", score: 5000, grade: "F" }), "t3");
+
+  const g = r.GravityWellScene;
+  assert.equal(g.runs, 4);
+  assert.deepEqual(g.grades, { A: 1, B: 1, C: 1, F: 1 });
+  assert.deepEqual(g.bests[1], { score: 900, accuracy: 80, grade: "A", seed: "a", at: "t0" }, "a failure never sets a best");
+  assert.equal(g.bests[3].seed, "b");
+
+  const tie = mergeRun(r, "GravityWellScene", run({ accuracy: 91, grade: "S" }), "t4");
+  assert.equal(tie.GravityWellScene.bests[1].grade, "S", "equal score, better accuracy");
+  const slowed = mergeRun(r, "GravityWellScene", run({ score: 2000, grade: "S", slowed: true }), "t5");
+  assert.equal(slowed.GravityWellScene.bests[1].score, 900, "a slow-motion run is no best");
+  assert.equal(slowed.GravityWellScene.grades.S, 1);
+  assert.equal(r.CascadeReactionScene, undefined);
+});
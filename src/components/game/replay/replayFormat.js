@@ -0,0 +1,173 @@
+// src/components/game/replay/replayFormat.js
+//
+// The replay file: everything a UniverseScene session consumed that isn't
+// already a pure function of the universe seed. Pure data + codec - no
+// Phaser, so it's testable in node and readable by tooling.
+//
+//   header  - the universe as the scene received it, the session's Math.random
+//             seed, the gameplay settings and loadout in force, and the few
+//             device-local gates create() consulted (First Light, clock).
+//   frames  - one entry per scene step: the time and delta Phaser handed it,
+//             a bitmask of the movement/fire keys held during it, and the
+//             gamepad's sticks and held buttons (0 when the pad is idle -
+//             files from before pads were recorded have no pad column).
+//   events  - everything that reached the scene BETWEEN steps, tagged with
+//             the step it preceded: key commands (F/V/G/SPACE/ENTER/BACKSPACE),
+//             universe updates from the server (as universePatch diffs),
+//             pause/resume, waypoints, escort requests and orders,
+//             minigame results, dev actions.
+//
+// On disk: JSON with the per-frame columns packed (times/deltas as raw
+// float64 - a rounded delta would not reproduce the physics - and the input
+// mask run-length encoded), gzipped when the browser can.
+
+export const REPLAY_VERSION = 1;
+
+// Polled InputSystem keys, in bit order. Append only: a recorded mask is
+// decoded by position.
+export const INPUT_ACTIONS = [
+  "thrust", "brake", "left", "right", "strafeLeft", "strafeRight",
+  "boost", "fire", "arrowUp", "arrowDown", "arrowLeft", "arrowRight",
+];
+
+/** Held keys -> bitmask (missing keys read as released). */
+export function inputMask(keys) {
+  let mask = 0;
+  INPUT_ACTIONS.forEach((action, bit) => {
+    if (keys?.[action]?.isDown) mask |= 1 << bit;
+  });
+  return mask;
+}
+
+// Held pad actions (gamepad.js), in bit order of a pad frame's last field
+export const PAD_HELD = ["boost", "fire"];
+
+export const IDLE_PAD = { x: 0, y: 0, rx: 0, boost: false, fire: false };
+
+/**
+ * InputSystem's pad state -> one frame's pad entry: 0 when idle, otherwise
+ * "x,y,rx,held" with the axes in hundredths (gamepad.js rounds them so).
+ */
+export function padFrame(pad) {
+  if (!pad) return 0;
+  let held = 0;
+  PAD_HELD.forEach((action, bit) => {
+    if (pad[action]) held |= 1 << bit;
+  });
+  if (!pad.x && !pad.y && !pad.rx && !held) return 0;
+  return [pad.x, pad.y, pad.rx].map((v) => Math.round(v * 100)).concat(held).join(",");
+}
+
+/** A pad entry -> the pad state it recorded. */
+export function readPadFrame(entry) {
+  if (!entry) return { ...IDLE_PAD };
+  const [x, y, rx, held] = entry.split(",").map(Number);
+  const pad = { x: x / 100, y: y / 100, rx: rx / 100 };
+  PAD_HELD.forEach((action, bit) => {
+    pad[action] = (held & (1 << bit)) !== 0;
+  });
+  return pad;
+}
+
+/** Force each key's isDown to what the mask recorded. */
+export function applyInputMask(keys, mask) {
+  if (!keys) return;
+  INPUT_ACTIONS.forEach((action, bit) => {
+    if (keys[action]) keys[action].isDown = (mask & (1 << bit)) !== 0;
+  });
+}
+
+export function createReplay(header) {
+  return {
+    header: { v: REPLAY_VERSION, ...header },
+    frames: { t: [], d: [], m: [], p: [] },
+    events: [],
+  };
+}
+
+function packFloats(values) {
+  const bytes = new Uint8Array(new Float64Array(values).buffer);
+  let bin = "";
+  // Chunked: String.fromCharCode(...bytes) overflows the stack on long sessions
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+function unpackFloats(packed) {
+  const bin = atob(packed);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return Array.from(new Float64Array(bytes.buffer));
+}
+
+// [value, count, value, count, ...] - held keys change a few times a second,
+// so a 60fps column collapses to a handful of runs. A stick moves more
+// often, but mostly sits idle or pinned at the rim.
+function runLength(values) {
+  const out = [];
+  for (const v of values) {
+    if (out.length && out[out.length - 2] === v) out[out.length - 1] += 1;
+    else out.push(v, 1);
+  }
+  return out;
+}
+
+function expandRuns(runs) {
+  const out = [];
+  for (let i = 0; i < runs.length; i += 2) {
+    for (let n = 0; n < runs[i + 1]; n++) out.push(runs[i]);
+  }
+  return out;
+}
+
+export function encodeReplay(replay) {
+  const { t, d, m, p } = replay.frames;
+  return JSON.stringify({
+    header: replay.header,
+    frames: { count: t.length, t: packFloats(t), d: packFloats(d), m: runLength(m), p: runLength(p) },
+    events: replay.events,
+  });
+}
+
+/** Parse a replay file's text. Throws on anything this build can't play. */
+export function decodeReplay(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error("Not a replay file");
+  }
+  if (!raw?.header || !raw.frames || !Array.isArray(raw.events)) throw new Error("Not a replay file");
+  if (raw.header.v !== REPLAY_VERSION) {
+    throw new Error(`Replay format v${raw.header.v} is not supported (expected v${REPLAY_VERSION})`);
+  }
+  const t = unpackFloats(raw.frames.t);
+  const d = unpackFloats(raw.frames.d);
+  const m = expandRuns(raw.frames.m);
+  const p = raw.frames.p ? expandRuns(raw.frames.p) : t.map(() => 0);
+  if (t.length !== raw.frames.count || d.length !== t.length || m.length !== t.length || p.length !== t.length) {
+    throw new Error("Replay file is truncated or corrupt");
+  }
+  return { header: raw.header, frames: { t, d, m, p }, events: raw.events };
+}
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+/** Encoded text -> file bytes (gzip where CompressionStream exists). */
+export async function compressReplay(text) {
+  const bytes = new TextEncoder().encode(text);
+  if (typeof CompressionStream === "undefined") return bytes;
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("gzip"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/** File bytes -> encoded text; accepts gzipped or plain files. */
+export async function decompressReplay(bytes) {
+  const gzipped = bytes[0] === GZIP_MAGIC[0] && bytes[1] === GZIP_MAGIC[1];
+  if (!gzipped) return new TextDecoder().decode(bytes);
+  if (typeof DecompressionStream === "undefined") throw new Error("This browser can't read compressed replays");
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"));
+  return new TextDecoder().decode(await new Response(stream).arrayBuffer());
+}
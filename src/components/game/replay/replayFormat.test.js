@@ -0,0 +1,73 @@
+// src/components/game/replay/replayFormat.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  INPUT_ACTIONS, IDLE_PAD, inputMask, applyInputMask, padFrame, readPadFrame, createReplay,
+  encodeReplay, decodeReplay, compressReplay, decompressReplay,
+} from "./replayFormat.js";
+
+const keys = () => Object.fromEntries(INPUT_ACTIONS.map((a) => [a, { isDown: false }]));
+
+test("an input mask round-trips through the key objects", () => {
+  const held = keys();
+  held.thrust.isDown = true;
+  held.fire.isDown = true;
+  const mask = inputMask(held);
+  const replayed = keys();
+  replayed.left.isDown = true; // stale state is overwritten, not merged
+  applyInputMask(replayed, mask);
+  assert.deepEqual(replayed, held);
+  assert.equal(inputMask(undefined), 0);
+});
+
+test("frames survive encoding bit-exactly and the mask column collapses to runs", async () => {
+  const replay = createReplay({ rngSeed: "abc", universe: { _id: "u1", seed: "s" } });
+  let t = 1234.5678;
+  for (let i = 0; i < 600; i++) {
+    const d = 1000 / 60 + (i % 7) * 1e-9; // the jitter a rounded format would lose
+    t += d;
+    replay.frames.t.push(t);
+    replay.frames.d.push(d);
+    replay.frames.m.push(i < 300 ? 1 : 5);
+    replay.frames.p.push(i < 500 ? 0 : "-100,35,0,2");
+  }
+  replay.events.push({ f: 12, type: "command", data: "scan" });
+
+  const text = encodeReplay(replay);
+  assert.equal(JSON.parse(text).frames.m.length, 4, "two runs of held keys");
+  assert.equal(JSON.parse(text).frames.p.length, 4, "an idle pad, then one stick position");
+  const back = decodeReplay(await decompressReplay(await compressReplay(text)));
+  assert.deepEqual(back, replay);
+});
+
+test("decodeReplay rejects foreign, future and truncated files", () => {
+  assert.throws(() => decodeReplay("not json"), /Not a replay file/);
+  assert.throws(() => decodeReplay("{}"), /Not a replay file/);
+  const replay = createReplay({ rngSeed: "x" });
+  replay.frames.t.push(1);
+  replay.frames.d.push(16);
+  replay.frames.m.push(0);
+  replay.frames.p.push(0);
+  const raw = JSON.parse(encodeReplay(replay));
+  assert.throws(() => decodeReplay(JSON.stringify({ ...raw, header: { ...raw.header, v: 99 } })), /v99/);
+  assert.throws(
+    () => decodeReplay(JSON.stringify({ ...raw, frames: { ...raw.frames, count: 2 } })),
+    /truncated/
+  );
+});
+
+test("a pad frame round-trips, is 0 while idle, and older files read as idle", () => {
+  const pad = { x: -1, y: 0.35, rx: 0.07, boost: false, fire: true };
+  assert.deepEqual(readPadFrame(padFrame(pad)), pad);
+  assert.equal(padFrame(IDLE_PAD), 0);
+  assert.deepEqual(readPadFrame(0), IDLE_PAD);
+
+  const replay = createReplay({ rngSeed: "x" });
+  replay.frames.t.push(1, 2);
+  replay.frames.d.push(16, 16);
+  replay.frames.m.push(0, 0);
+  replay.frames.p.push(0, 0);
+  const raw = JSON.parse(encodeReplay(replay));
+  delete raw.frames.p;
+  assert.deepEqual(decodeReplay(JSON.stringify(raw)).frames.p, [0, 0]);
+});
@@ -14,24 +14,20 @@
  * row (← / →) and catch each runaway before it detonates or quenches. The
  * mechanic IS the physics — there is no scripted "reaction", just an unstable
  * system you have to actively stabilize.
+ *
+ * Each core's state is also printed under it - ✓ in band, ▲ / ▼ running hot
+ * or cold, doubled when critical - and a tone marks each change of state.
+ *
+ * In co-op the row is longer and split down the middle: each warden sweeps
+ * and controls only their own half, their partner's focus bracketed dimly.
  */
 import Phaser from 'phaser';
-import MiniGameScene, { MG_COLORS } from './MiniGameScene.js';
+import MiniGameScene, { MG_COLORS, hexColor } from './MiniGameScene.js';
+import { INPUT } from '../minigames/common.js';
+import { BAND, DET, QUENCH, outcome, seatCores, focusOf } from '../minigames/cascadeReaction.js';
 
 const THEME_COLOR = 0xe0824a; // stellar orange
 
-const N_EXP = 5;          // fusion power exponent (T^5) vs T^4 cooling
-const DET = 2.0;          // detonation temperature (supernova breach)
-const QUENCH = 0.35;      // quench temperature (core-collapse breach)
-const BAND = [0.82, 1.18]; // stable green band around the ideal T=1
-const CTRL = 1.8;         // player control authority (per second)
-const NOISE = 0.13;       // fusion fluctuation amplitude
-
-function randn() {
-  // cheap ~gaussian (sum of uniforms), std ≈ 1
-  return (Math.random() + Math.random() + Math.random() + Math.random() - 2) * 0.7;
-}
-
 export class CascadeReactionScene extends MiniGameScene {
   constructor() {
     super('CascadeReactionScene');
@@ -39,22 +35,11 @@ export class CascadeReactionScene extends MiniGameScene {
 
   init(data) {
     super.init(data);
-    const severity = Math.max(1, Math.min(5, this.anomaly?.severity || 2));
-    this.severity = severity;
-
-    // Slow runaway: an unattended core drifts gently, so one operator can
-    // round-robin several. Difficulty comes from core COUNT, not raw speed -
-    // a fast runaway made 5+ cores literally unholdable by a lone player.
-    this.coolK = 0.34 + severity * 0.06;
-    this.coreCount = Math.min(5, 2 + severity);
-    this.survivalTarget = 11 + severity;
-    this.maxBreaches = 3;
-
-    this.cores = Array.from({ length: this.coreCount }, () => ({ T: 1.0, cd: 0 }));
-    this.focus = 0;
-    this.elapsed = 0;
-    this.breaches = 0;
-    this.bandSamples = [];
+    // Core physics, breaches and grading: minigames/cascadeReaction.js
+    const sim = this.beginRun('cascadeReaction');
+    this.cores = sim.cores;
+    this.coreCount = sim.coreCount;
+    this.maxBreaches = sim.maxBreaches;
     this.gameOver = false;
   }
 
@@ -70,15 +55,21 @@ export class CascadeReactionScene extends MiniGameScene {
       THEME_COLOR,
       `Severity ${this.anomaly?.severity || '?'} · Hold every core in the green band`
     );
-    this.add.text(cx, 116, '← → select core     ↑ ignite (hotter)     ↓ vent (cooler)', {
+    const { up, down, left, right } = this.directionLabels();
+    this.add.text(cx, 116, `${left} ${right} select core     ${up} ignite (hotter)     ${down} vent (cooler)`, {
       fontFamily: '"IBM Plex Mono", monospace', fontSize: '11px', color: '#dfa73f',
     }).setOrigin(0.5);
-    this.add.text(cx, 134, 'unwatched cores run away on their own', {
+    let tip = 'unwatched cores run away on their own';
+    if (this.coop) {
+      const [lo, hi] = seatCores(this.sim, this.seat);
+      tip = `co-op · cores ${lo + 1}–${hi} are yours, your partner holds the rest`;
+    }
+    this.add.text(cx, 134, tip, {
       fontFamily: '"IBM Plex Mono", monospace', fontSize: '10px', color: '#565a72',
     }).setOrigin(0.5);
 
     this.breachText = this.add.text(cx, 158, `BREACHES 0 / ${this.maxBreaches}`, {
-      fontFamily: '"IBM Plex Mono", monospace', fontSize: '13px', color: '#e0524a',
+      fontFamily: '"IBM Plex Mono", monospace', fontSize: '13px', color: hexColor(MG_COLORS.critical),
     }).setOrigin(0.5);
 
     // Core cell geometry
@@ -111,10 +102,17 @@ export class CascadeReactionScene extends MiniGameScene {
       const star = this.add.circle(x, this.starY, 16, THEME_COLOR);
       const ring = this.add.circle(x, this.starY, 24, MG_COLORS.good, 0).setStrokeStyle(2, MG_COLORS.good, 0.8);
       const tick = this.add.rectangle(x, this.cy, 22, 3, MG_COLORS.ink).setOrigin(0.5);
-      return { x, glow, star, ring, tick };
+      const mark = this.add.text(x, this.trackBot + 28, '', {
+        fontFamily: '"IBM Plex Mono", monospace', fontSize: '11px', color: hexColor(MG_COLORS.inkDim),
+      }).setOrigin(0.5);
+      return { x, glow, star, ring, tick, mark };
     });
 
-    // Focus bracket (moves to the selected core)
+    // Focus brackets (move to the selected cores); the partner's only in co-op
+    this.partnerBracket = this.coop
+      ? this.add.rectangle(this.startX, this.cy - 10, spacing - 10, this.trackH + 90, MG_COLORS.inkDim, 0)
+        .setStrokeStyle(1, MG_COLORS.inkDim, 0.6)
+      : null;
     this.focusBracket = this.add.rectangle(this.startX, this.cy - 10, spacing - 10, this.trackH + 90, MG_COLORS.accent, 0)
       .setStrokeStyle(2, MG_COLORS.accent, 0.8);
 
@@ -128,9 +126,9 @@ export class CascadeReactionScene extends MiniGameScene {
       fontFamily: '"IBM Plex Mono", monospace', fontSize: '10px', color: '#565a72',
     }).setOrigin(0.5);
 
-    this.keys = this.input.keyboard.addKeys('UP,DOWN,LEFT,RIGHT');
-    this.input.keyboard.on('keydown-LEFT', () => { this.focus = (this.focus - 1 + this.coreCount) % this.coreCount; });
-    this.input.keyboard.on('keydown-RIGHT', () => { this.focus = (this.focus + 1) % this.coreCount; });
+    this.bindDirections('mgUp', 'mgDown', 'mgLeft', 'mgRight');
+    this.onAction('mgLeft', () => this.press(INPUT.PRESS_LEFT));
+    this.onAction('mgRight', () => this.press(INPUT.PRESS_RIGHT));
   }
 
   tempToY(T) {
@@ -138,44 +136,16 @@ export class CascadeReactionScene extends MiniGameScene {
     return this.trackBot - ((T - QUENCH) / (DET - QUENCH)) * this.trackH;
   }
 
-  net(T) {
-    // Unstable at T=1: >0 above (runs hot), <0 below (quenches).
-    return this.coolK * (Math.pow(T, N_EXP) - Math.pow(T, 4));
-  }
-
   update(time, delta) {
     if (this.gameOver) return;
-    const dt = Math.min(delta / 1000, 0.04);
-    this.elapsed += dt;
-
-    let inBand = 0;
-    for (let i = 0; i < this.coreCount; i++) {
-      const core = this.cores[i];
-      if (core.cd > 0) core.cd -= dt;
-
-      let control = 0;
-      if (i === this.focus) {
-        if (this.keys.UP.isDown) control += CTRL;
-        if (this.keys.DOWN.isDown) control -= CTRL;
-      }
-      core.T += (this.net(core.T) + control) * dt + NOISE * randn() * Math.sqrt(dt);
-
-      if (core.T >= DET || core.T <= QUENCH) {
-        if (core.cd <= 0) this.registerBreach(i, core.T >= DET);
-        core.T = 1.0; // re-ignite a fresh core
-      } else if (core.T >= BAND[0] && core.T <= BAND[1]) {
-        inBand++;
-      }
-    }
-    this.bandSamples.push(inBand / this.coreCount);
+    for (const e of this.stepRun(delta)) this.registerBreach(e.core, e.detonated);
 
     this.render();
 
-    const progress = Math.min(1, this.elapsed / this.survivalTarget);
+    const progress = Math.min(1, this.sim.elapsed / this.sim.survivalTarget);
     this.progressFill.width = this.progressBarWidth * progress;
 
-    if (this.elapsed >= this.survivalTarget) this.endGame(true);
-    else if (this.breaches >= this.maxBreaches) this.endGame(false);
+    if (this.sim.over) this.endGame();
   }
 
   render() {
@@ -193,10 +163,12 @@ export class CascadeReactionScene extends MiniGameScene {
       // Danger ring + tick color from stability state
       const inBand = T >= BAND[0] && T <= BAND[1];
       const critical = T >= 1.6 || T <= 0.5;
-      const state = inBand ? MG_COLORS.good : critical ? MG_COLORS.critical : MG_COLORS.warn;
-      g.ring.setStrokeStyle(2, state, inBand ? 0.5 : 0.95).setRadius(radius + 8);
+      const state = inBand ? 'good' : critical ? 'critical' : 'warn';
+      g.ring.setStrokeStyle(2, MG_COLORS[state], inBand ? 0.5 : 0.95).setRadius(radius + 8);
       g.tick.y = this.tempToY(T);
-      g.tick.setFillStyle(state);
+      g.tick.setFillStyle(MG_COLORS[state]);
+      const glyph = this.stateCue(`core${i}`, state);
+      g.mark.setText(inBand ? glyph : (T > 1 ? '▲' : '▼').repeat(critical ? 2 : 1)).setColor(hexColor(MG_COLORS[state]));
     }
 
     // Draw the eye to the core nearest a breach (that isn't already focused),
@@ -207,15 +179,18 @@ export class CascadeReactionScene extends MiniGameScene {
       const d = Math.abs(this.cores[i].T - 1);
       if (d > worst) { worst = d; crit = i; }
     }
-    if (crit >= 0 && crit !== this.focus) {
+    const mine = focusOf(this.sim, this.seat);
+    const theirs = this.coop ? focusOf(this.sim, 1 - this.seat) : -1;
+    if (crit >= 0 && crit !== mine && crit !== theirs) {
       const pulse = 0.5 + 0.5 * Math.sin(this.time.now / 110);
       const g = this.coreGfx[crit];
       g.ring.setStrokeStyle(3, MG_COLORS.critical, 0.4 + 0.55 * pulse);
       g.glow.setFillStyle(MG_COLORS.critical, 0.12 + 0.28 * pulse);
     }
 
-    // Move the focus bracket to the selected core
-    this.focusBracket.x = this.coreGfx[this.focus].x;
+    // Move the focus brackets to the selected cores
+    this.focusBracket.x = this.coreGfx[mine].x;
+    if (this.partnerBracket) this.partnerBracket.x = this.coreGfx[theirs].x;
   }
 
   tempColor(T) {
@@ -232,9 +207,7 @@ export class CascadeReactionScene extends MiniGameScene {
   }
 
   registerBreach(i, detonated) {
-    this.breaches++;
-    this.breachText.setText(`BREACHES ${this.breaches} / ${this.maxBreaches}`);
-    this.cores[i].cd = 0.8;
+    this.breachText.setText(`BREACHES ${this.sim.breaches} / ${this.maxBreaches}`);
     this.shake(200, 0.011);
     this.showFeedback(
       detonated ? 'DETONATION!' : 'QUENCH!',
@@ -243,29 +216,26 @@ export class CascadeReactionScene extends MiniGameScene {
     );
   }
 
-  endGame(success) {
+  endGame() {
     if (this.gameOver) return;
     this.gameOver = true;
-    this.input.keyboard.off('keydown-ESC');
-    this.input.keyboard.off('keydown-LEFT');
-    this.input.keyboard.off('keydown-RIGHT');
+    this.offAction('mgAbort');
+    this.offAction('mgLeft');
+    this.offAction('mgRight');
 
-    const avg = this.bandSamples.length
-      ? this.bandSamples.reduce((a, b) => a + b, 0) / this.bandSamples.length
-      : 0;
-    const accuracy = Math.round(Phaser.Math.Clamp(avg * 100, 0, 100));
-    const score = Math.max(0, Math.round(accuracy * 12 - this.breaches * 150));
+    const { status, accuracy, score } = outcome(this.sim);
+    const { elapsed, survivalTarget, breaches, success } = this.sim;
 
     this.finishGame({
-      status: success ? 'success' : 'failed',
+      status,
       accuracy,
       score,
       themeColor: THEME_COLOR,
       statLines: [
         { label: 'Cores Held', value: `${this.coreCount}` },
-        { label: 'Time Contained', value: `${this.elapsed.toFixed(1)}s / ${this.survivalTarget.toFixed(1)}s` },
+        { label: 'Time Contained', value: `${elapsed.toFixed(1)}s / ${survivalTarget.toFixed(1)}s` },
         { label: 'Avg. In-Band', value: `${accuracy}%` },
-        { label: 'Breaches', value: `${this.breaches} / ${this.maxBreaches}` },
+        { label: 'Breaches', value: `${breaches} / ${this.maxBreaches}` },
         { label: 'Score', value: score },
       ],
       flavorText: success
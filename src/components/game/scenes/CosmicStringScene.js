@@ -0,0 +1,237 @@
+/**
+ * Cosmic String Mini-Game  —  real standing-wave resonance damping.
+ *
+ * A cosmic string is a one-dimensional fault in spacetime under enormous
+ * tension, and like any taut string it rings in standing waves: mode n
+ * vibrates at n times the fundamental with n half-wavelengths along the
+ * segment. The anomaly is driving this segment, its drive frequency gliding
+ * from one resonance to the next, pumping whichever mode it sits on.
+ *
+ * You hold a damper against the string (← / → to slide it, ↑ to clamp). A
+ * damper only drains the modes it can feel: parked on a mode's NODE it does
+ * nothing to that mode at all, on an ANTINODE it drains it hardest. So you
+ * read which mode is ringing, chase its antinodes, and clamp when the energy
+ * climbs - but clamping heats the damper, and an overheated damper locks
+ * until it cools. Let the string's energy reach the cusp threshold and it
+ * kinks. The mechanic IS the physics: resonance, nodes and damping.
+ * Danger shows in the string's thickness and a tone as well as its colour,
+ * and a locked damper says so.
+ */
+import Phaser from 'phaser';
+import MiniGameScene, { MG_COLORS, hexColor } from './MiniGameScene.js';
+import { E_SNAP, coupling, resonance, outcome } from '../minigames/cosmicString.js';
+
+const THEME_COLOR = 0xd4a544; // cosmic-string gold
+const VISUAL_OMEGA = Math.PI * 2 * 0.9; // fundamental, rad/s on screen
+const PX_PER_AMP = 90;
+
+export class CosmicStringScene extends MiniGameScene {
+  constructor() {
+    super('CosmicStringScene');
+  }
+
+  init(data) {
+    super.init(data);
+    // Modes, drive, damper and grading: minigames/cosmicString.js
+    const sim = this.beginRun('cosmicString');
+    this.modeCount = sim.modeCount;
+    this.maxBreaches = sim.maxBreaches;
+    // Guidance ramp: low severity marks the driven mode's antinodes on the
+    // string; high severity leaves you to read them off its shape.
+    this.showAntinodes = sim.severity <= 3;
+    // Display-only phases, so the modes don't all start in step
+    this.phases = Array.from({ length: this.modeCount }, (_, i) => i * 1.7);
+    this.gameOver = false;
+  }
+
+  create() {
+    super.create();
+    const width = this.cameras.main.width;
+    const height = this.cameras.main.height;
+    const cx = width / 2;
+    this.stringY = height / 2 - 10;
+    this.x0 = 110;
+    this.x1 = width - 110;
+
+    this.createHeader(
+      'COSMIC STRING',
+      THEME_COLOR,
+      `Severity ${this.anomaly?.severity || '?'} · Damp the string before it kinks`
+    );
+    const { up, left, right } = this.directionLabels();
+    this.add.text(cx, 116, `${left} ${right} slide the damper     ${up} clamp (heats)     a damper on a node does nothing`, {
+      fontFamily: '"IBM Plex Mono", monospace', fontSize: '11px', color: '#dfa73f',
+    }).setOrigin(0.5);
+    this.breachText = this.add.text(cx, 140, `CUSPS 0 / ${this.maxBreaches}`, {
+      fontFamily: '"IBM Plex Mono", monospace', fontSize: '13px', color: hexColor(MG_COLORS.critical),
+    }).setOrigin(0.5);
+
+    // Anchors the segment is pinned between
+    this.add.rectangle(this.x0, this.stringY, 4, 46, MG_COLORS.lineBright).setOrigin(0.5);
+    this.add.rectangle(this.x1, this.stringY, 4, 46, MG_COLORS.lineBright).setOrigin(0.5);
+    this.add.rectangle(cx, this.stringY, this.x1 - this.x0, 1, MG_COLORS.line).setOrigin(0.5);
+
+    this.antinodeGfx = this.add.graphics();
+    this.stringGlow = this.add.graphics().setBlendMode(Phaser.BlendModes.ADD);
+    this.stringGfx = this.add.graphics();
+    this.damper = this.add.rectangle(0, this.stringY, 10, 64, MG_COLORS.accent, 0.18)
+      .setStrokeStyle(2, MG_COLORS.accent, 0.9);
+    this.lockText = this.add.text(0, this.stringY + 44, '', {
+      fontFamily: '"IBM Plex Mono", monospace', fontSize: '10px', color: hexColor(MG_COLORS.critical),
+    }).setOrigin(0.5, 0);
+
+    // Spectrum: one bar per mode's energy, the drive frequency sweeping under them
+    this.specY = height - 118;
+    this.specX0 = cx - 170;
+    this.specW = 340;
+    this.add.rectangle(cx, this.specY, this.specW, 1, MG_COLORS.line).setOrigin(0.5);
+    this.specGfx = this.add.graphics();
+    for (let n = 1; n <= this.modeCount; n++) {
+      this.add.text(this.modeX(n), this.specY + 12, `n=${n}`, {
+        fontFamily: '"IBM Plex Mono", monospace', fontSize: '10px', color: '#565a72',
+      }).setOrigin(0.5);
+    }
+    this.driveMarker = this.add.triangle(0, this.specY + 26, 0, 8, 6, 0, 12, 8, THEME_COLOR).setOrigin(0.5);
+
+    // Meters: string energy against the cusp line, damper heat
+    const meterY = height - 62;
+    this.add.text(cx - 170, meterY - 12, 'STRING ENERGY', {
+      fontFamily: '"IBM Plex Mono", monospace', fontSize: '10px', color: '#565a72',
+    });
+    this.add.rectangle(cx - 170, meterY + 4, 150, 6, MG_COLORS.line).setOrigin(0, 0.5);
+    this.energyFill = this.add.rectangle(cx - 170, meterY + 4, 0, 6, MG_COLORS.good).setOrigin(0, 0.5);
+    this.add.text(cx + 20, meterY - 12, 'DAMPER HEAT', {
+      fontFamily: '"IBM Plex Mono", monospace', fontSize: '10px', color: '#565a72',
+    });
+    this.add.rectangle(cx + 20, meterY + 4, 150, 6, MG_COLORS.line).setOrigin(0, 0.5);
+    this.heatFill = this.add.rectangle(cx + 20, meterY + 4, 0, 6, MG_COLORS.warn).setOrigin(0, 0.5);
+
+    const barWidth = 240;
+    const barY = height - 40;
+    this.add.rectangle(cx, barY, barWidth, 4, MG_COLORS.line).setOrigin(0.5);
+    this.progressFill = this.add.rectangle(cx - barWidth / 2, barY, 0, 4, THEME_COLOR).setOrigin(0, 0.5);
+    this.progressBarWidth = barWidth;
+
+    this.bindDirections('mgUp', 'mgLeft', 'mgRight');
+  }
+
+  stringX(x) {
+    return this.x0 + x * (this.x1 - this.x0);
+  }
+
+  modeX(omega) {
+    return this.specX0 + ((omega - 0.5) / this.modeCount) * this.specW;
+  }
+
+  update(time, delta) {
+    if (this.gameOver) return;
+    if (this.stepRun(delta).length) this.registerBreach();
+
+    this.render();
+
+    const progress = Math.min(1, this.sim.elapsed / this.sim.survivalTarget);
+    this.progressFill.width = this.progressBarWidth * progress;
+
+    if (this.sim.over) this.endGame();
+  }
+
+  render() {
+    const { amps, damperX, clamped, locked, heat, energy, drive, elapsed } = this.sim;
+
+    // The string: the sum of its standing waves, each at its own frequency
+    const pts = [];
+    for (let k = 0; k <= 96; k++) {
+      const x = k / 96;
+      let y = 0;
+      for (let i = 0; i < this.modeCount; i++) {
+        const n = i + 1;
+        y += amps[i] * Math.sin(n * Math.PI * x) * Math.cos(n * VISUAL_OMEGA * elapsed + this.phases[i]);
+      }
+      pts.push({ x: this.stringX(x), y: this.stringY + Phaser.Math.Clamp(y * PX_PER_AMP, -150, 150) });
+    }
+    const danger = energy / E_SNAP;
+    const state = danger > 0.7 ? 'critical' : danger > 0.4 ? 'warn' : 'good';
+    const col = state === 'good' ? THEME_COLOR : MG_COLORS[state];
+    const thick = { good: 2, warn: 3, critical: 4.5 }[state];
+    this.stateCue('string', state);
+    this.stringGlow.clear().lineStyle(thick * 3, col, 0.18);
+    this.stringGfx.clear().lineStyle(thick, col, 0.95);
+    for (const g of [this.stringGlow, this.stringGfx]) {
+      g.beginPath();
+      pts.forEach((p, i) => (i === 0 ? g.moveTo(p.x, p.y) : g.lineTo(p.x, p.y)));
+      g.strokePath();
+    }
+
+    // Where the damper would bite on the mode being driven
+    this.antinodeGfx.clear();
+    const driven = Math.round(drive);
+    if (this.showAntinodes && driven >= 1 && driven <= this.modeCount) {
+      this.antinodeGfx.lineStyle(1, MG_COLORS.good, 0.45);
+      for (let k = 0; k < driven; k++) {
+        const ax = this.stringX((2 * k + 1) / (2 * driven));
+        this.antinodeGfx.lineBetween(ax, this.stringY - 58, ax, this.stringY - 44);
+        this.antinodeGfx.lineBetween(ax, this.stringY + 44, ax, this.stringY + 58);
+      }
+    }
+
+    // Damper: brighter when clamped, red while it's locked out cooling
+    const bite = coupling(damperX, Phaser.Math.Clamp(driven, 1, this.modeCount));
+    const dCol = locked ? MG_COLORS.critical : clamped ? MG_COLORS.ink : MG_COLORS.accent;
+    this.damper.setPosition(this.stringX(damperX), this.stringY)
+      .setFillStyle(dCol, clamped ? 0.45 : 0.12 + bite * 0.2)
+      .setStrokeStyle(2, dCol, 0.9);
+    this.lockText.setPosition(this.stringX(damperX), this.stringY + 44).setText(locked ? 'LOCKED' : '');
+    this.lockText.setColor(hexColor(MG_COLORS.critical));
+
+    // Spectrum bars and the drive marker
+    this.specGfx.clear();
+    for (let i = 0; i < this.modeCount; i++) {
+      const n = i + 1;
+      const e = ((n * amps[i]) ** 2) / E_SNAP;
+      const h = Math.min(1, e) * 60;
+      const on = resonance(drive, n) > 0.5;
+      this.specGfx.fillStyle(on ? THEME_COLOR : MG_COLORS.inkFaint, on ? 0.9 : 0.55);
+      this.specGfx.fillRect(this.modeX(n) - 14, this.specY - h, 28, h);
+    }
+    this.driveMarker.x = this.modeX(drive);
+
+    this.energyFill.width = 150 * Math.min(1, danger);
+    this.energyFill.setFillStyle(col);
+    this.heatFill.width = 150 * heat;
+    this.heatFill.setFillStyle(locked ? MG_COLORS.critical : MG_COLORS.warn);
+  }
+
+  registerBreach() {
+    this.breachText.setText(`CUSPS ${this.sim.breaches} / ${this.maxBreaches}`);
+    this.shake(200, 0.011);
+    this.showFeedback('CUSP!', MG_COLORS.critical, this.cameras.main.width / 2, this.stringY - 84);
+  }
+
+  endGame() {
+    if (this.gameOver) return;
+    this.gameOver = true;
+    this.offAction('mgAbort');
+
+    const { status, accuracy, score } = outcome(this.sim);
+    const { elapsed, survivalTarget, breaches, success } = this.sim;
+
+    this.finishGame({
+      status,
+      accuracy,
+      score,
+      themeColor: THEME_COLOR,
+      statLines: [
+        { label: 'Modes Ringing', value: `${this.modeCount}` },
+        { label: 'Time Damped', value: `${elapsed.toFixed(1)}s / ${survivalTarget.toFixed(1)}s` },
+        { label: 'Avg. Quiet', value: `${accuracy}%` },
+        { label: 'Cusps', value: `${breaches} / ${this.maxBreaches}` },
+        { label: 'Score', value: score },
+      ],
+      flavorText: success
+        ? 'The string settled back to a taut line — the resonance bled away into nothing.'
+        : 'The string kinked into a cusp and whipped loose, shedding gravitational waves.',
+    });
+  }
+}
+
+export default CosmicStringScene;
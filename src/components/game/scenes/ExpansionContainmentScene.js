@@ -13,15 +13,14 @@
  * Keep the expansion rate inside the corridor as the history scrolls past. The
  * corridor MOVES, so you have to lead it — anticipation, not just reaction.
  * The marker red/blue-shifts with its expansion rate (real Doppler): fast
- * expansion reddens, contraction blueshifts.
+ * expansion reddens, contraction blueshifts. Out of the corridor it turns
+ * critical, grows a ring and an arrow back the way to go, and sounds it.
  */
 import Phaser from 'phaser';
-import MiniGameScene, { MG_COLORS } from './MiniGameScene.js';
+import MiniGameScene, { MG_COLORS, hexColor } from './MiniGameScene.js';
+import { RANGE, center, inCorridor, outcome } from '../minigames/expansionContainment.js';
 
 const THEME_COLOR = 0x5b8dd9; // cosmological blue
-const G = 22;      // matter gravity (constant downward pull on expansion rate)
-const CTRL = 95;   // dark-energy thrust authority
-const RANGE = 120; // clamp on the expansion-rate axis (gauge units)
 const PX_PER_SEC = 95;
 
 export class ExpansionContainmentScene extends MiniGameScene {
@@ -31,31 +30,14 @@ export class ExpansionContainmentScene extends MiniGameScene {
 
   init(data) {
     super.init(data);
-    const severity = Math.max(1, Math.min(5, this.anomaly?.severity || 2));
-    this.severity = severity;
-
-    this.corridorW = 74 - severity * 7;   // narrows with severity
-    this.wig = 0.55 + severity * 0.10;     // era swing frequency
-    this.amp = 34 + severity * 3;          // era swing amplitude
-    this.survivalTarget = 13 + severity;
-    this.maxBreaches = 3;
-
-    this.H = this.center(0);
-    this.v = 0;
-    this.elapsed = 0;
-    this.breaches = 0;
-    this._breachCd = 0;
-    this.corridorSamples = [];
+    // The corridor, the momentum dynamics and grading:
+    // minigames/expansionContainment.js
+    const sim = this.beginRun('expansionContainment');
+    this.corridorW = sim.corridorW;
+    this.maxBreaches = sim.maxBreaches;
     this.gameOver = false;
   }
 
-  // Target expansion rate at cosmic time tau: a slow era swing (matter decel ->
-  // dark-energy accel) plus finer structure, all in gauge units.
-  center(tau) {
-    const era = 26 * Math.sin(tau * 0.28 - 1.2);
-    return era + this.amp * 0.6 * Math.sin(tau * this.wig) + this.amp * 0.5 * Math.sin(tau * this.wig * 1.7 + 1);
-  }
-
   create() {
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
@@ -70,12 +52,13 @@ export class ExpansionContainmentScene extends MiniGameScene {
       THEME_COLOR,
       `Severity ${this.anomaly?.severity || '?'} · Keep the expansion rate inside the corridor`
     );
-    this.add.text(width / 2, 116, '↑ inject dark energy (accelerate)     ↓ withdraw (let gravity decelerate)', {
+    const { up, down } = this.directionLabels();
+    this.add.text(width / 2, 116, `${up} inject dark energy (accelerate)     ${down} withdraw (let gravity decelerate)`, {
       fontFamily: '"IBM Plex Mono", monospace', fontSize: '11px', color: '#dfa73f',
     }).setOrigin(0.5);
 
     this.breachText = this.add.text(width / 2, 140, `BREACHES 0 / ${this.maxBreaches}`, {
-      fontFamily: '"IBM Plex Mono", monospace', fontSize: '13px', color: '#e0524a',
+      fontFamily: '"IBM Plex Mono", monospace', fontSize: '13px', color: hexColor(MG_COLORS.critical),
     }).setOrigin(0.5);
 
     this.corridorGfx = this.add.graphics();
@@ -84,8 +67,16 @@ export class ExpansionContainmentScene extends MiniGameScene {
     // "Now" line at the marker column
     this.add.rectangle(this.markerX, this.cyMid, 1, height * 0.62, MG_COLORS.line, 0.6).setOrigin(0.5);
 
+    // Ghost race: the ghost's marker, riding its own run behind yours
+    this.ghostMarker = this.ghost
+      ? this.add.circle(this.markerX, this.cyMid, 8, MG_COLORS.ink, 0.18).setStrokeStyle(1, MG_COLORS.ink, 0.5)
+      : null;
+
     this.markerGlow = this.add.circle(this.markerX, this.cyMid, 15, THEME_COLOR, 0.3).setBlendMode(Phaser.BlendModes.ADD);
     this.marker = this.add.circle(this.markerX, this.cyMid, 8, MG_COLORS.ink);
+    this.outMark = this.add.text(this.markerX + 18, this.cyMid, '', {
+      fontFamily: '"IBM Plex Mono", monospace', fontSize: '12px', fontStyle: 'bold',
+    }).setOrigin(0, 0.5);
 
     const barWidth = 240;
     const barY = height - 46;
@@ -96,7 +87,7 @@ export class ExpansionContainmentScene extends MiniGameScene {
       fontFamily: '"IBM Plex Mono", monospace', fontSize: '10px', color: '#565a72',
     }).setOrigin(0.5);
 
-    this.keys = this.input.keyboard.addKeys('UP,DOWN');
+    this.bindDirections('mgUp', 'mgDown');
   }
 
   mapY(H) {
@@ -105,34 +96,19 @@ export class ExpansionContainmentScene extends MiniGameScene {
 
   update(time, delta) {
     if (this.gameOver) return;
-    const dt = Math.min(delta / 1000, 0.04);
-    this.elapsed += dt;
-    if (this._breachCd > 0) this._breachCd -= dt;
-
-    // Momentum dynamics: gravity pulls the rate down, dark-energy thrust lifts it.
-    let u = 0;
-    if (this.keys.UP.isDown) u += CTRL;
-    if (this.keys.DOWN.isDown) u -= CTRL;
-    this.v += (-G + u) * dt;
-    this.H += this.v * dt;
-    if (this.H > RANGE) { this.H = RANGE; this.v = 0; }
-    else if (this.H < -RANGE) { this.H = -RANGE; this.v = 0; }
-
-    const c = this.center(this.elapsed);
-    const inCorridor = Math.abs(this.H - c) <= this.corridorW / 2;
-    if (!inCorridor && this._breachCd <= 0) this.registerBreach();
-    this.corridorSamples.push(inCorridor ? 1 : 0);
-
-    this.render(c, inCorridor);
-
-    const progress = Math.min(1, this.elapsed / this.survivalTarget);
+    if (this.stepRun(delta).length) this.registerBreach();
+
+    this.render(inCorridor(this.sim));
+    this.ghostMarker?.setY(this.mapY(this.ghost.sim.H)).setVisible(!this.ghost.sim.over);
+
+    const progress = Math.min(1, this.sim.elapsed / this.sim.survivalTarget);
     this.progressFill.width = this.progressBarWidth * progress;
 
-    if (this.elapsed >= this.survivalTarget) this.endGame(true);
-    else if (this.breaches >= this.maxBreaches) this.endGame(false);
+    if (this.sim.over) this.endGame();
   }
 
-  render(c, inCorridor) {
+  render(inside) {
+    const { elapsed, H, v } = this.sim;
     const width = this.cameras.main.width;
     const half = this.corridorW / 2;
 
@@ -146,8 +122,8 @@ export class ExpansionContainmentScene extends MiniGameScene {
     const upper = [];
     const lower = [];
     for (let x = 0; x <= width; x += step) {
-      const tau = this.elapsed + (x - this.markerX) / PX_PER_SEC;
-      const cc = this.center(tau);
+      const tau = elapsed + (x - this.markerX) / PX_PER_SEC;
+      const cc = center(this.sim, tau);
       upper.push({ x, y: this.mapY(cc + half) });
       lower.push({ x, y: this.mapY(cc - half) });
     }
@@ -161,16 +137,21 @@ export class ExpansionContainmentScene extends MiniGameScene {
     // Centerline
     this.centerlineGfx.beginPath();
     for (let x = 0; x <= width; x += step) {
-      const tau = this.elapsed + (x - this.markerX) / PX_PER_SEC;
-      const y = this.mapY(this.center(tau));
+      const tau = elapsed + (x - this.markerX) / PX_PER_SEC;
+      const y = this.mapY(center(this.sim, tau));
       if (x === 0) this.centerlineGfx.moveTo(x, y); else this.centerlineGfx.lineTo(x, y);
     }
     this.centerlineGfx.strokePath();
 
     // Marker: position + redshift/blueshift color from its expansion rate
-    const my = this.mapY(this.H);
-    this.marker.setPosition(this.markerX, my).setFillStyle(inCorridor ? this.redshiftColor(this.v) : MG_COLORS.critical);
-    this.markerGlow.setPosition(this.markerX, my).setFillStyle(inCorridor ? THEME_COLOR : MG_COLORS.critical, 0.3);
+    const my = this.mapY(H);
+    this.marker.setPosition(this.markerX, my).setFillStyle(inside ? this.redshiftColor(v) : MG_COLORS.critical);
+    this.marker.setStrokeStyle(inside ? 0 : 3, MG_COLORS.ink, 0.9);
+    this.markerGlow.setPosition(this.markerX, my).setFillStyle(inside ? THEME_COLOR : MG_COLORS.critical, 0.3);
+    this.stateCue('marker', inside ? 'good' : 'critical');
+    // Which way back: the corridor's centre is above or below
+    const back = center(this.sim, elapsed) > H ? '▲ OUT' : '▼ OUT';
+    this.outMark.setPosition(this.markerX + 18, my).setText(inside ? '' : back).setColor(hexColor(MG_COLORS.critical));
   }
 
   // Doppler tint: expanding fast (v>0) reddens, contracting (v<0) blueshifts.
@@ -183,33 +164,28 @@ export class ExpansionContainmentScene extends MiniGameScene {
   }
 
   registerBreach() {
-    this.breaches++;
-    this._breachCd = 0.7;
-    this.breachText.setText(`BREACHES ${this.breaches} / ${this.maxBreaches}`);
+    this.breachText.setText(`BREACHES ${this.sim.breaches} / ${this.maxBreaches}`);
     this.shake(160, 0.008);
-    this.showFeedback('METRIC STRESS!', MG_COLORS.critical, this.markerX, this.mapY(this.H) - 30);
+    this.showFeedback('METRIC STRESS!', MG_COLORS.critical, this.markerX, this.mapY(this.sim.H) - 30);
   }
 
-  endGame(success) {
+  endGame() {
     if (this.gameOver) return;
     this.gameOver = true;
-    this.input.keyboard.off('keydown-ESC');
+    this.offAction('mgAbort');
 
-    const avg = this.corridorSamples.length
-      ? this.corridorSamples.reduce((a, b) => a + b, 0) / this.corridorSamples.length
-      : 0;
-    const accuracy = Math.round(Phaser.Math.Clamp(avg * 100, 0, 100));
-    const score = Math.max(0, Math.round(accuracy * 12 - this.breaches * 150));
+    const { status, accuracy, score } = outcome(this.sim);
+    const { elapsed, survivalTarget, breaches, success } = this.sim;
 
     this.finishGame({
-      status: success ? 'success' : 'failed',
+      status,
       accuracy,
       score,
       themeColor: THEME_COLOR,
       statLines: [
-        { label: 'History Tracked', value: `${this.elapsed.toFixed(1)}s / ${this.survivalTarget.toFixed(1)}s` },
+        { label: 'History Tracked', value: `${elapsed.toFixed(1)}s / ${survivalTarget.toFixed(1)}s` },
         { label: 'On-Track', value: `${accuracy}%` },
-        { label: 'Metric Breaches', value: `${this.breaches} / ${this.maxBreaches}` },
+        { label: 'Metric Breaches', value: `${breaches} / ${this.maxBreaches}` },
         { label: 'Score', value: score },
       ],
       flavorText: success
@@ -15,9 +15,11 @@
  * Falling inside the accretion radius or crossing the containment wall counts
  * as a breach. Hold a stable orbit for the full duration to contain it. The
  * mechanic IS the physics - there is no fake pull vector anywhere in here.
+ * An unstable orbit rings the probe and sounds, besides tinting it.
  */
 import Phaser from 'phaser';
-import MiniGameScene, { MG_COLORS } from './MiniGameScene.js';
+import MiniGameScene, { MG_COLORS, hexColor } from './MiniGameScene.js';
+import { orbitQuality, outcome } from '../minigames/gravityWell.js';
 
 const THEME_COLOR = 0x8b7bd8; // gravitational violet
 
@@ -28,48 +30,15 @@ export class GravityWellScene extends MiniGameScene {
 
   init(data) {
     super.init(data);
+    // Field, orbit and scoring rules live in minigames/gravityWell.js; the
+    // probe starts on the ideal radius with a perturbed velocity, so the
+    // player is CORRECTING an unstable orbit rather than building one.
+    const sim = this.beginRun('gravityWell');
+    this.R0 = sim.R0;
+    this.Rin = sim.Rin;
+    this.Rout = sim.Rout;
+    this.maxBreaches = sim.maxBreaches;
 
-    const severity = Math.max(1, Math.min(5, this.anomaly?.severity || 2));
-    this.severity = severity;
-
-    // --- Field & orbit geometry (pixels, seconds) --------------------------
-    // GM and softening are chosen so a circular orbit at R0 has a ~5s period
-    // and a comfortable circular speed. Softening keeps the singularity finite.
-    this.GM = 2.6e6 * (1 + (severity - 2) * 0.06);
-    this.soft2 = 32 * 32;
-    this.R0 = 112;                       // ideal (target) orbital radius
-    this.Rin = 50 + severity * 2;        // accretion radius - breach if r < Rin
-    this.Rout = 180 - severity * 2;      // containment wall  - breach if r > Rout
-    this.thrust = 250;                   // px/s^2 while a key is held
-
-    // --- Probe state (world-space relative to the central mass) -------------
-    // Start on the ideal radius but with a perturbed velocity, so the player
-    // is CORRECTING an unstable orbit rather than building one from nothing.
-    const aG = this.GM / (this.R0 * this.R0 + this.soft2);
-    const vCirc = Math.sqrt(aG * this.R0);
-    const startAngle = Math.random() * Math.PI * 2;
-    this.probe = { x: Math.cos(startAngle) * this.R0, y: Math.sin(startAngle) * this.R0 };
-
-    // Tangential direction (perpendicular to radius) + a perturbation: scale
-    // the tangential speed off-circular and add a radial kick -> ellipse.
-    const tang = { x: -Math.sin(startAngle), y: Math.cos(startAngle) };
-    const radial = { x: Math.cos(startAngle), y: Math.sin(startAngle) };
-    // Tuned so a minor anomaly's orbit is a gentle ellipse (winnable with
-    // light correction) while a severe one genuinely escapes without skill.
-    const speedFactor = 1 + (0.06 + severity * 0.03) * (Math.random() < 0.5 ? -1 : 1);
-    const radialKick = (Math.random() - 0.5) * vCirc * (0.15 + severity * 0.03);
-    this.vel = {
-      x: tang.x * vCirc * speedFactor + radial.x * radialKick,
-      y: tang.y * vCirc * speedFactor + radial.y * radialKick,
-    };
-
-    this.elapsed = 0;
-    this.survivalTarget = 10 + severity * 1.2;
-    this.breaches = 0;
-    this.maxBreaches = 3;
-    this._breachCooldown = 0;
-
-    this.qualitySamples = [];
     this.trail = [];
     this.maxTrail = 90;
     this.gameOver = false;
@@ -90,7 +59,8 @@ export class GravityWellScene extends MiniGameScene {
     );
 
     // Control legend - orbit-relative, matches the live status guidance
-    this.add.text(cx, 116, '↑ prograde   ↓ retrograde   ← radial in   → radial out', {
+    const { up, down, left, right } = this.directionLabels();
+    this.add.text(cx, 116, `${up} prograde   ${down} retrograde   ${left} radial in   ${right} radial out`, {
       fontFamily: '"IBM Plex Mono", monospace', fontSize: '11px', color: '#dfa73f',
     }).setOrigin(0.5);
 
@@ -108,12 +78,17 @@ export class GravityWellScene extends MiniGameScene {
     this.trailGraphics = this.add.graphics();
     this.velGraphics = this.add.graphics();
 
+    // Ghost race: the ghost's probe, flown from its own run under yours
+    this.ghostProbe = this.ghost
+      ? this.add.circle(cx, cy, 7, MG_COLORS.ink, 0.18).setStrokeStyle(1, MG_COLORS.ink, 0.5)
+      : null;
+
     this.probeGlow = this.add.circle(cx, cy, 13, MG_COLORS.good, 0.28).setBlendMode(Phaser.BlendModes.ADD);
     this.probeGraphics = this.add.circle(cx, cy, 7, MG_COLORS.good);
 
     // Readouts
     this.breachText = this.add.text(cx, 142, `BREACHES 0 / ${this.maxBreaches}`, {
-      fontFamily: '"IBM Plex Mono", monospace', fontSize: '13px', color: '#e0524a',
+      fontFamily: '"IBM Plex Mono", monospace', fontSize: '13px', color: hexColor(MG_COLORS.critical),
     }).setOrigin(0.5);
 
     this.statusText = this.add.text(cx, cy + this.Rout + 34, '', {
@@ -129,97 +104,28 @@ export class GravityWellScene extends MiniGameScene {
       fontFamily: '"IBM Plex Mono", monospace', fontSize: '10px', color: '#565a72',
     }).setOrigin(0.5);
 
-    this.keys = this.input.keyboard.addKeys('UP,DOWN,LEFT,RIGHT');
+    this.bindDirections('mgUp', 'mgDown', 'mgLeft', 'mgRight');
   }
 
   update(time, delta) {
     if (this.gameOver) return;
-    // Clamp dt so a frame hitch can't tunnel the probe through the field.
-    const dt = Math.min(delta / 1000, 0.04);
-    this.elapsed += dt;
-    if (this._breachCooldown > 0) this._breachCooldown -= dt;
-
-    // --- Gravity: real softened inverse-square, directed at the center ------
-    const r2 = this.probe.x * this.probe.x + this.probe.y * this.probe.y;
-    const r = Math.sqrt(r2);
-    const aMag = this.GM / (r2 + this.soft2);
-    let ax = -aMag * (this.probe.x / r);
-    let ay = -aMag * (this.probe.y / r);
+    for (const e of this.stepRun(delta)) this.registerBreach(e.kind);
 
-    // --- Player thrust (orbit-relative, NOT screen-relative) ---------------
-    // Prograde/retrograde/radial are defined off the probe's current motion
-    // and position, so the on-screen "thrust prograde" guidance always maps to
-    // the same key no matter where the probe is in its orbit. (Absolute arrow
-    // keys fought the rotating prograde direction and made this near-unplayable.)
-    const spd = Math.sqrt(this.vel.x * this.vel.x + this.vel.y * this.vel.y) || 1;
-    const proX = this.vel.x / spd;        // prograde: along motion
-    const proY = this.vel.y / spd;
-    const radX = this.probe.x / (r || 1); // radial: away from center
-    const radY = this.probe.y / (r || 1);
-    let tx = 0;
-    let ty = 0;
-    if (this.keys.UP.isDown)    { tx += proX; ty += proY; } // prograde  → raises far side
-    if (this.keys.DOWN.isDown)  { tx -= proX; ty -= proY; } // retrograde → lowers far side
-    if (this.keys.RIGHT.isDown) { tx += radX; ty += radY; } // radial out
-    if (this.keys.LEFT.isDown)  { tx -= radX; ty -= radY; } // radial in
-    if (tx !== 0 || ty !== 0) {
-      const len = Math.sqrt(tx * tx + ty * ty);
-      ax += (tx / len) * this.thrust;
-      ay += (ty / len) * this.thrust;
+    const { probe } = this.sim;
+    this.render(Math.sqrt(probe.x * probe.x + probe.y * probe.y));
+    if (this.ghostProbe) {
+      const g = this.ghost.sim.probe;
+      this.ghostProbe.setPosition(this.centerX + g.x, this.centerY + g.y).setVisible(!this.ghost.sim.over);
     }
 
-    // Semi-implicit Euler (update velocity first, then position) - stable for orbits.
-    this.vel.x += ax * dt;
-    this.vel.y += ay * dt;
-    this.probe.x += this.vel.x * dt;
-    this.probe.y += this.vel.y * dt;
-
-    // --- Boundary handling: bounce off the wall / graze the accretion edge --
-    const newR = Math.sqrt(this.probe.x * this.probe.x + this.probe.y * this.probe.y);
-    if (newR < this.Rin) {
-      this.clampToBoundary(this.Rin, true);
-      this.registerBreach('ACCRETION');
-    } else if (newR > this.Rout) {
-      this.clampToBoundary(this.Rout, false);
-      this.registerBreach('ESCAPE');
-    } else {
-      // Quality: 1.0 riding the ideal ring, ->0 at either boundary.
-      const dev = Math.abs(newR - this.R0);
-      const maxDev = Math.max(this.R0 - this.Rin, this.Rout - this.R0);
-      this.qualitySamples.push(Phaser.Math.Clamp(1 - dev / maxDev, 0, 1));
-    }
-
-    this.render(newR);
-
-    const progress = Math.min(1, this.elapsed / this.survivalTarget);
+    const progress = Math.min(1, this.sim.elapsed / this.sim.survivalTarget);
     this.progressFill.width = this.progressBarWidth * progress;
 
-    if (this.elapsed >= this.survivalTarget) this.endGame(true);
-    else if (this.breaches >= this.maxBreaches) this.endGame(false);
-  }
-
-  // Push the probe back to a boundary radius and kill the velocity component
-  // that carried it across, so it grazes the edge instead of teleporting.
-  clampToBoundary(boundaryR, inner) {
-    const r = Math.sqrt(this.probe.x * this.probe.x + this.probe.y * this.probe.y) || 1;
-    const nx = this.probe.x / r;
-    const ny = this.probe.y / r;
-    this.probe.x = nx * boundaryR;
-    this.probe.y = ny * boundaryR;
-    // Radial velocity component (outward positive)
-    const vr = this.vel.x * nx + this.vel.y * ny;
-    // Remove the offending radial component: inward at accretion, outward at wall.
-    if ((inner && vr < 0) || (!inner && vr > 0)) {
-      this.vel.x -= vr * nx;
-      this.vel.y -= vr * ny;
-    }
+    if (this.sim.over) this.endGame();
   }
 
   registerBreach(kind) {
-    if (this._breachCooldown > 0) return; // grace so one graze isn't three breaches
-    this._breachCooldown = 0.8;
-    this.breaches++;
-    this.breachText.setText(`BREACHES ${this.breaches} / ${this.maxBreaches}`);
+    this.breachText.setText(`BREACHES ${this.sim.breaches} / ${this.maxBreaches}`);
     this.shake(160, 0.008);
     this.showFeedback(
       kind === 'ACCRETION' ? 'ACCRETION!' : 'ESCAPE!',
@@ -229,8 +135,9 @@ export class GravityWellScene extends MiniGameScene {
   }
 
   render(r) {
-    const px = this.centerX + this.probe.x;
-    const py = this.centerY + this.probe.y;
+    const { probe, vel } = this.sim;
+    const px = this.centerX + probe.x;
+    const py = this.centerY + probe.y;
     this.probeGraphics.setPosition(px, py);
     this.probeGlow.setPosition(px, py);
 
@@ -244,12 +151,12 @@ export class GravityWellScene extends MiniGameScene {
     this.trailGraphics.strokePath();
 
     // Velocity (prograde) vector - teaches which way "prograde" points
-    const speed = Math.sqrt(this.vel.x * this.vel.x + this.vel.y * this.vel.y);
+    const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
     this.velGraphics.clear();
     if (speed > 1) {
       const len = Phaser.Math.Clamp(speed * 0.16, 14, 46);
-      const ux = this.vel.x / speed;
-      const uy = this.vel.y / speed;
+      const ux = vel.x / speed;
+      const uy = vel.y / speed;
       this.velGraphics.lineStyle(2, MG_COLORS.accent, 0.85);
       this.velGraphics.lineBetween(px, py, px + ux * len, py + uy * len);
       // arrowhead
@@ -261,39 +168,36 @@ export class GravityWellScene extends MiniGameScene {
     }
 
     // Orbit status + probe tint from how close to the ideal ring
-    const dev = Math.abs(r - this.R0);
-    const band = Math.max(this.R0 - this.Rin, this.Rout - this.R0);
-    const quality = Phaser.Math.Clamp(1 - dev / band, 0, 1);
+    const quality = orbitQuality(this.sim, r);
+    const stable = quality > 0.7;
     let status;
-    let color;
-    if (quality > 0.7) { status = 'STABLE ORBIT'; color = MG_COLORS.good; }
-    else if (r < this.R0) { status = 'ORBIT DECAYING — thrust prograde'; color = MG_COLORS.warn; }
-    else { status = 'ORBIT ESCAPING — thrust retrograde'; color = MG_COLORS.warn; }
-    this.statusText.setText(`ALT ${Math.round(r)}  ·  V ${Math.round(speed)}  ·  ${status}`);
-    this.statusText.setColor(`#${color.toString(16).padStart(6, '0')}`);
-    this.probeGraphics.setFillStyle(quality > 0.7 ? MG_COLORS.good : MG_COLORS.warn);
+    if (stable) status = 'STABLE ORBIT';
+    else if (r < this.R0) status = 'ORBIT DECAYING — thrust prograde';
+    else status = 'ORBIT ESCAPING — thrust retrograde';
+    const state = stable ? 'good' : 'warn';
+    const glyph = this.stateCue('orbit', state);
+    this.statusText.setText(`ALT ${Math.round(r)}  ·  V ${Math.round(speed)}  ·  ${glyph} ${status}`);
+    this.statusText.setColor(hexColor(MG_COLORS[state]));
+    this.probeGraphics.setFillStyle(MG_COLORS[state]).setStrokeStyle(stable ? 0 : 2, MG_COLORS.ink, 0.9);
   }
 
-  endGame(success) {
+  endGame() {
     if (this.gameOver) return;
     this.gameOver = true;
-    this.input.keyboard.off('keydown-ESC');
+    this.offAction('mgAbort');
 
-    const avgQuality = this.qualitySamples.length > 0
-      ? this.qualitySamples.reduce((a, b) => a + b, 0) / this.qualitySamples.length
-      : 0;
-    const accuracy = Math.round(Phaser.Math.Clamp(avgQuality * 100, 0, 100));
-    const score = Math.max(0, Math.round(accuracy * 12 - this.breaches * 150));
+    const { status, accuracy, score } = outcome(this.sim);
+    const { elapsed, survivalTarget, breaches, success } = this.sim;
 
     this.finishGame({
-      status: success ? 'success' : 'failed',
+      status,
       accuracy,
       score,
       themeColor: THEME_COLOR,
       statLines: [
-        { label: 'Orbit Held', value: `${this.elapsed.toFixed(1)}s / ${this.survivalTarget.toFixed(1)}s` },
+        { label: 'Orbit Held', value: `${elapsed.toFixed(1)}s / ${survivalTarget.toFixed(1)}s` },
         { label: 'Orbit Precision', value: `${accuracy}%` },
-        { label: 'Breaches', value: `${this.breaches} / ${this.maxBreaches}` },
+        { label: 'Breaches', value: `${breaches} / ${this.maxBreaches}` },
         { label: 'Score', value: score },
       ],
       flavorText: success
@@ -8,10 +8,21 @@
  */
 import Phaser from 'phaser';
 import { getGradeForAccuracy } from '../utils';
-import { getSettings } from '../settings.js';
+import { getSettings, keyFor, keyLabel } from '../settings.js';
 import { playSfx } from '../audio.js';
-
-// Shared observatory palette - keep in sync with tailwind.config.js tokens
+import { INPUT, NO_EVENTS } from '../minigames/common.js';
+import { MINIGAMES, MIN_FRAME_MS, TranscriptRecorder, minigameSeed } from '../minigames/transcript.js';
+import { challengeFor, challengeLabel } from '../minigames/skillModel.js';
+import { GhostRunner } from '../minigames/ghost.js';
+import { Lockstep, TICK_MS } from '../minigames/coop.js';
+import { latch, paletteOf, timeScaleOf } from '../minigames/assist.js';
+import { getGhost, offerGhost } from '../ghostStore.js';
+import { PadReader } from '../gamepad.js';
+import { touchEnabled } from '../touch.js';
+
+// Shared observatory palette - keep in sync with tailwind.config.js tokens.
+// The warden's colour palette (settings.js, minigames/assist.js) is laid
+// over it as each run starts, so read it when drawing, not at module load.
 export const MG_COLORS = {
   void: 0x070912,
   voidRaised: 0x0c0f1c,
@@ -26,24 +37,48 @@ export const MG_COLORS = {
   critical: 0xe0524a,
 };
 
+const BASE_COLORS = { ...MG_COLORS };
+
 // Presentation-only: accuracy -> multiplier lives in game/utils.js (the
 // shared source of truth also used by GameplayPage/backend); this just maps
 // each grade letter to a display color.
-const GRADE_DISPLAY_COLOR = {
+const gradeDisplayColor = (grade) => ({
   S: MG_COLORS.accent,
   A: MG_COLORS.good,
   B: 0x4ec9e0,
   C: MG_COLORS.warn,
   F: MG_COLORS.critical,
-};
+})[grade];
+
+export const hexColor = (num) => `#${num.toString(16).padStart(6, '0')}`;
+
+// What the state colours say, for the cues that don't rely on colour
+// (stateCue): a glyph to print beside the thing.
+const STATE_GLYPH = { good: '✓', warn: '!', critical: '✕' };
+// A thing flickering between states sounds at most this often
+const CUE_GAP_MS = 300;
+
+// Direction actions (settings.js key map) a game bound with bindDirections,
+// as transcript input bits.
+const HELD_ACTIONS = [['mgUp', INPUT.UP], ['mgDown', INPUT.DOWN], ['mgLeft', INPUT.LEFT], ['mgRight', INPUT.RIGHT]];
 
-const hexColor = (num) => `#${num.toString(16).padStart(6, '0')}`;
+// Gamepad: the left stick holds a direction past this much travel (the
+// d-pad always does), and a face button press is the action it stands in for.
+const PAD_HOLD = 0.5;
+const PAD_ACTIONS = { a: 'mgAction', b: 'mgAbort', y: 'mgGhost' };
+
+// Touch (touch.js): each bound action gets an on-screen button - the
+// directions a cross bottom-left, the rest where their fraction of the arena
+// puts them - sized to the arena's short side so portrait and landscape both
+// fit under a thumb.
+const TOUCH_ARROWS = { mgUp: [0, -1, '↑'], mgDown: [0, 1, '↓'], mgLeft: [-1, 0, '←'], mgRight: [1, 0, '→'] };
+const TOUCH_SPOTS = { mgAction: [0.85, 0.82, 'ACT'], mgAbort: [0.08, 0.06, 'ABORT'], mgGhost: [0.5, 0.78, 'GHOST'] };
 
 export class MiniGameScene extends Phaser.Scene {
   constructor(sceneKey) {
     super({ key: sceneKey });
     this.anomaly = null;
-    this.universeScene = null;
+    this.hostScene = null;
     this._feedbackText = null;
     this._feedbackTimer = null;
   }
@@ -53,6 +88,274 @@ export class MiniGameScene extends Phaser.Scene {
    */
   init(data) {
     this.anomaly = data.anomaly;
+    this.difficulty = data.difficulty ?? null;
+    // The scene that launched this one and gets the result: UniverseScene,
+    // or SimulatorScene for a practice run, which also names its own seed
+    // and challenge.
+    this.hostKey = data.host ?? 'UniverseScene';
+    this.seed = data.seed ?? null;
+    this.challenge = data.challenge ?? null;
+    // A ghost race: the ghost (ghostStore.js entry) this run is raced against
+    this.ghostEntry = data.ghost ?? null;
+    this.ghost = null;
+    // A co-op run: the session CoopSystem paired, stepped in lockstep with
+    // the partner's client (minigames/coop.js)
+    this.coop = data.coop ?? null;
+    this.lockstep = null;
+    this.partnerLeft = false;
+    this.recorder = null;
+
+    // Accessibility (settings.js, minigames/assist.js). Slow motion is a solo
+    // assist: a co-op run's two clients share one clock.
+    const { minigameTimeScale, holdToToggle, colorPalette } = getSettings();
+    this.timeScale = this.coop ? 1 : timeScaleOf(minigameTimeScale);
+    this.holdToggle = !!holdToToggle;
+    this._latched = 0;
+    this.heldMask = 0;
+    this._padHeld = 0;
+    this._padTapped = 0;
+    this.pad = { x: 0, y: 0, down: new Set() }; // this frame's pad reading
+    this.keys = null;
+    this._actions = new Map(); // action -> { key, handler }, see onAction
+    this.touchOn = touchEnabled(getSettings().touchControls);
+    this._touchHeld = 0;
+    this._touchButtons = new Map(); // action -> its on-screen button
+    this._cueStates = new Map();
+    Object.assign(MG_COLORS, BASE_COLORS, paletteOf(colorPalette));
+  }
+
+  /** This client's seat: 0, or 1 for the second warden in a co-op run. */
+  get seat() {
+    return this.coop?.seat ?? 0;
+  }
+
+  /**
+   * Start this run: the game's pure simulation (minigames/), seeded from the
+   * anomaly id and tuned to the warden's challenge level for this game - set
+   * from the history the server last sent (minigames/skillModel.js) - and
+   * the transcript that lets the server re-run it - plus, in a ghost race,
+   * the ghost's own run (this.ghost.sim, for the scene to draw). Call from
+   * init(); `view` (the arena size) only for games laid out in screen pixels.
+   * A co-op run takes its challenge and arena from the session instead, so
+   * both clients build the same simulation. A slowed run's transcript
+   * carries its time scale.
+   */
+  beginRun(game, view = null) {
+    const { coop } = this;
+    const seed = this.seed ?? minigameSeed(this.anomaly?.id);
+    const challenge = coop
+      ? coop.challenge
+      : this.challenge ?? challengeFor(getSettings().minigameSkill, game, this.difficulty);
+    const params = { seed, severity: this.anomaly?.severity ?? null, challenge, view: view && coop ? coop.view : view };
+    if (coop) params.seats = 2;
+    this.rules = MINIGAMES[game];
+    this.recorder = new TranscriptRecorder(game, { ...params, timeScale: this.timeScale });
+    this._pressed = 0;
+    this.sim = this.rules.create(params);
+    this._heldMs = 0;
+    this.ghost = this.ghostEntry?.transcript.game === game ? new GhostRunner(this.ghostEntry.transcript) : null;
+    this.liveMs = 0;
+    if (coop) this.joinCoop();
+    return this.sim;
+  }
+
+  // Take over the session's partner traffic: input queued before this scene
+  // started first, then live.
+  joinCoop() {
+    const { channel, seat, backlog, attach } = this.coop;
+    this.lockstep = new Lockstep(seat, (msg) => channel.send(msg));
+    const deliver = (msg) => {
+      if (msg.type === 'input') {
+        this.lockstep.receive(msg);
+      } else if (msg.type === 'peer-left') {
+        this.lockstep.dropPeer();
+        this.partnerLeft = true;
+      }
+    };
+    backlog.splice(0).forEach(deliver);
+    attach(deliver);
+  }
+
+  /** Note an edge input (keydown/pointerdown) for the next frame. */
+  press(bit) {
+    this._pressed |= bit;
+  }
+
+  /**
+   * Hold the given direction actions ('mgUp', 'mgLeft'...) through their
+   * bound keys: each frame's held ones go into the run's input.
+   */
+  bindDirections(...actions) {
+    this.keys = Object.fromEntries(actions.map((action) => [action, this.input.keyboard.addKey(keyFor(action))]));
+    if (this.touchOn) actions.forEach((action) => this.addTouchButton(action));
+  }
+
+  /** The keys the direction actions are bound to, for help text. */
+  directionLabels() {
+    const [up, down, left, right] = HELD_ACTIONS.map(([action]) => keyLabel(action));
+    return { up, down, left, right };
+  }
+
+  /**
+   * Call `handler` when the key bound to a minigame action goes down - or the
+   * pad button / stick direction / touch button standing in for it. One
+   * handler per action; binding again replaces it. `touchLabel` names the
+   * action's touch button ("MEASURE") where the default wouldn't say enough.
+   */
+  onAction(action, handler, touchLabel = undefined) {
+    this.offAction(action);
+    const key = this.input.keyboard.addKey(keyFor(action));
+    key.on('down', handler);
+    this._actions.set(action, { key, handler });
+    if (this.touchOn && !TOUCH_ARROWS[action]) this.addTouchButton(action, touchLabel);
+  }
+
+  offAction(action) {
+    const bound = this._actions.get(action);
+    if (!bound) return;
+    bound.key.off('down', bound.handler);
+    this._actions.delete(action);
+    if (!TOUCH_ARROWS[action]) {
+      this._touchButtons.get(action)?.destroy();
+      this._touchButtons.delete(action);
+    }
+  }
+
+  // One action's touch button. A direction holds its input bit while the
+  // finger is down and taps like the pad's d-pad; any button also calls the
+  // action's handler, as its key would.
+  addTouchButton(action, label = undefined) {
+    if (this._touchButtons.has(action)) return;
+    const { width, height } = this.scale;
+    const size = Phaser.Math.Clamp(Math.round(Math.min(width, height) * 0.1), 40, 68);
+    const arrow = TOUCH_ARROWS[action];
+    let x, y, text;
+    if (arrow) {
+      // The cross's centre sits a button and a half in from the corner
+      x = size * 1.6 + arrow[0] * size * 1.1;
+      y = height - size * 1.6 + arrow[1] * size * 1.1;
+      text = arrow[2];
+    } else {
+      const [fx, fy, fallback] = TOUCH_SPOTS[action];
+      x = Phaser.Math.Clamp(width * fx, size, width - size);
+      y = Phaser.Math.Clamp(height * fy, size * 0.6, height - size);
+      text = label ?? fallback;
+    }
+
+    // Above the game, and for the ghost button above the result screen too
+    const depth = action === 'mgGhost' ? 203 : 150;
+    const ring = this.add.circle(x, y, size / 2, MG_COLORS.voidRaised, 0.7)
+      .setStrokeStyle(1, arrow ? MG_COLORS.lineBright : MG_COLORS.accent, 0.9)
+      .setDepth(depth)
+      .setInteractive();
+    const caption = this.add.text(x, y, text, {
+      fontFamily: '"IBM Plex Mono", monospace', fontSize: arrow ? '20px' : '10px',
+      color: hexColor(arrow ? MG_COLORS.inkDim : MG_COLORS.accent),
+    }).setOrigin(0.5).setDepth(depth);
+
+    const bit = HELD_ACTIONS.find(([a]) => a === action)?.[1] ?? 0;
+    const release = () => {
+      this._touchHeld &= ~bit;
+      ring.setFillStyle(MG_COLORS.voidRaised, 0.7);
+    };
+    ring.on('pointerdown', () => {
+      this._touchHeld |= bit;
+      this._padTapped |= bit;
+      ring.setFillStyle(MG_COLORS.lineBright, 0.9);
+      this._actions.get(action)?.handler();
+    });
+    ring.on('pointerup', release);
+    ring.on('pointerout', release);
+    this._touchButtons.set(action, { destroy: () => { ring.destroy(); caption.destroy(); } });
+  }
+
+  /**
+   * Record this frame's input and step the simulation with it; returns the
+   * frame's events. Held arrow keys are read off this.keys, `extra` adds bits
+   * the game tracks itself, `pointer` is for games played with the pointer.
+   * In slow motion the simulation gets the frame's time scaled down. A frame
+   * shorter than MIN_FRAME_MS is held over and stepped with the next, so a
+   * fast display's transcript reads like anyone's (transcript.js).
+   */
+  stepRun(delta, extra = 0, pointer = undefined) {
+    if (this.lockstep) return this.stepCoop(delta, extra, pointer);
+    this._heldMs += delta;
+    if (this._heldMs < MIN_FRAME_MS) return NO_EVENTS;
+    const realMs = this._heldMs;
+    this._heldMs = 0;
+    const { dtMs, input } = this.recorder.record(realMs * this.timeScale, this.takeMask(extra), pointer?.x, pointer?.y);
+    if (this.ghost) {
+      this.liveMs += dtMs;
+      this.ghost.advanceTo(this.liveMs);
+      if (this.ghost.sim.over && !this._ghostDone) {
+        this._ghostDone = true;
+        this._ghostTag?.setText(`GHOST FINISHED · ${(this.ghost.finishedAtMs / 1000).toFixed(1)}s`);
+      }
+    }
+    return this.rules.step(this.sim, dtMs, input);
+  }
+
+  // This frame's input bits, consuming the edges noted since the last one.
+  // With hold-to-toggle on, a held key counts from one tap to the next.
+  takeMask(extra) {
+    let mask = this._pressed | extra;
+    for (const [action, bit] of HELD_ACTIONS) {
+      const k = this.keys?.[action];
+      if (!k) continue;
+      if (!this.holdToggle) {
+        if (k.isDown || ((this._padHeld | this._touchHeld) & bit)) mask |= bit;
+      } else if (Phaser.Input.Keyboard.JustDown(k) || (this._padTapped & bit)) {
+        this._latched = latch(this._latched, bit);
+      }
+    }
+    this._pressed = 0;
+    this._padTapped = 0;
+    this.heldMask = mask | this._latched;
+    return this.heldMask;
+  }
+
+  // Gamepad (gamepad.js), read before the game's update: the d-pad and left
+  // stick hold directions, and presses call the game's action handlers - a
+  // direction's as its key would, A for the action, B to abort and Y to race
+  // the ghost.
+  pollPad() {
+    const { x, y, down, pressed } = this.padReader.poll();
+    this.pad = { x, y, down };
+    let held = 0;
+    if (y <= -PAD_HOLD) held |= INPUT.UP;
+    if (y >= PAD_HOLD) held |= INPUT.DOWN;
+    if (x <= -PAD_HOLD) held |= INPUT.LEFT;
+    if (x >= PAD_HOLD) held |= INPUT.RIGHT;
+    const tapped = held & ~this._padHeld;
+    this._padHeld = held;
+    this._padTapped |= tapped;
+    const actions = [
+      ...HELD_ACTIONS.filter(([, bit]) => tapped & bit).map(([action]) => action),
+      ...pressed.map((button) => PAD_ACTIONS[button]).filter(Boolean),
+    ];
+    actions.forEach((action) => this._actions.get(action)?.handler());
+  }
+
+  /**
+   * stepRun for a co-op run: this frame's input goes to the lockstep, and
+   * the simulation steps through whichever ticks both seats' input has
+   * reached - none while the partner's is late, several to catch up.
+   */
+  stepCoop(delta, extra, pointer) {
+    const sample = () => ({ mask: this.takeMask(extra), x: pointer?.x ?? 0, y: pointer?.y ?? 0 });
+    let events = NO_EVENTS;
+    for (const [seat0, seat1] of this.lockstep.pump(delta, sample)) {
+      const { dtMs, input, partner } = this.recorder.record(TICK_MS, seat0.mask, seat0.x, seat0.y, seat1);
+      const stepped = this.rules.step(this.sim, dtMs, input, partner);
+      if (stepped.length) events = [...events, ...stepped];
+      if (this.sim.over) break;
+    }
+    this._coopTag?.setText(
+      this.partnerLeft ? 'PARTNER LEFT · HOLDING ALONE'
+        : this.lockstep.waiting ? 'CO-OP · WAITING ON PARTNER'
+          : `CO-OP · SEAT ${this.seat + 1}`
+    );
+    return events;
   }
 
   /**
@@ -60,17 +363,33 @@ export class MiniGameScene extends Phaser.Scene {
    * Override in subclasses to set up game UI and objects - call super.create() first
    */
   create() {
-    this.universeScene = this.scene.get('UniverseScene');
+    this.hostScene = this.scene.get(this.hostKey);
 
-    this.input.keyboard.on('keydown-ESC', () => {
-      this.abortGame();
-    });
+    this.onAction('mgAbort', () => this.abortGame());
+
+    this.padReader = new PadReader();
+    this.events.on('preupdate', this.pollPad, this);
+    // A finger on a direction while another presses the action
+    if (this.touchOn && this.input.manager.pointersTotal < 3) this.input.addPointer(1);
+    this.events.once('shutdown', () => this.events.off('preupdate', this.pollPad, this));
 
     // Full-bleed background so the minigame reads as its own instrument, not a
     // Phaser default-grey canvas
     this.add.rectangle(0, 0, this.cameras.main.width, this.cameras.main.height, MG_COLORS.void)
       .setOrigin(0, 0)
       .setDepth(-10);
+
+    this._ghostDone = false;
+    this._ghostTag = this.ghost
+      ? this.add.text(this.cameras.main.width - 24, 24, `RACING GHOST · S ${this.ghostEntry.accuracy}%`, {
+        fontFamily: '"IBM Plex Mono", monospace', fontSize: '11px', color: hexColor(MG_COLORS.inkDim),
+      }).setOrigin(1, 0).setAlpha(0.8)
+      : null;
+    this._coopTag = this.coop
+      ? this.add.text(this.cameras.main.width - 24, 24, `CO-OP · SEAT ${this.seat + 1}`, {
+        fontFamily: '"IBM Plex Mono", monospace', fontSize: '11px', color: hexColor(MG_COLORS.accent),
+      }).setOrigin(1, 0)
+      : null;
   }
 
   /**
@@ -89,7 +408,45 @@ export class MiniGameScene extends Phaser.Scene {
    */
   getGrade(accuracy) {
     const tier = getGradeForAccuracy(accuracy);
-    return { ...tier, color: GRADE_DISPLAY_COLOR[tier.grade] };
+    return { ...tier, color: gradeDisplayColor(tier.grade) };
+  }
+
+  /**
+   * The non-colour side of the state colours. Call every frame with the
+   * state ('good' | 'warn' | 'critical') of something drawn in them, under
+   * a key of the scene's choosing: each change of state sounds a tone
+   * pitched by the new one - high for safe, low for failing - and the glyph
+   * returned is for a label beside it.
+   */
+  stateCue(key, state) {
+    const last = this._cueStates.get(key);
+    if (last && last.state !== state && this.time.now - last.at >= CUE_GAP_MS) {
+      playSfx('minigameCue', { state });
+      this._cueStates.set(key, { state, at: this.time.now });
+    } else if (!last || last.state !== state) {
+      this._cueStates.set(key, { state, at: last?.at ?? -Infinity });
+    }
+    return STATE_GLYPH[state];
+  }
+
+  /**
+   * Stroke a line whose pattern says its state, beside the colour it's
+   * drawn in: solid when good, dashed when stressed, dotted when failing.
+   * Set the line style first.
+   */
+  strokeState(gfx, ax, ay, bx, by, state) {
+    if (state === 'good') {
+      gfx.lineBetween(ax, ay, bx, by);
+      return;
+    }
+    const [dash, gap] = state === 'warn' ? [10, 6] : [3, 5];
+    const len = Math.hypot(bx - ax, by - ay);
+    const ux = (bx - ax) / (len || 1);
+    const uy = (by - ay) / (len || 1);
+    for (let d = 0; d < len; d += dash + gap) {
+      const e = Math.min(len, d + dash);
+      gfx.lineBetween(ax + ux * d, ay + uy * d, ax + ux * e, ay + uy * e);
+    }
   }
 
   /**
@@ -117,7 +474,7 @@ export class MiniGameScene extends Phaser.Scene {
       }).setOrigin(0.5);
     }
 
-    this.add.text(width / 2, this.cameras.main.height - 22, '[ESC] abort', {
+    this.add.text(width / 2, this.cameras.main.height - 22, `[${keyLabel('mgAbort')}] abort`, {
       fontFamily: '"IBM Plex Mono", monospace',
       fontSize: '11px',
       color: hexColor(MG_COLORS.inkFaint),
@@ -185,7 +542,10 @@ export class MiniGameScene extends Phaser.Scene {
    *   themeColor: number,
    * }
    * Builds `impact` (what GameplayPage/backend care about) automatically
-   * from grade + status, then hands off to the base MiniGame lifecycle.
+   * from grade + status, attaches the run's transcript (null for a game not
+   * started with beginRun), then hands off to the base MiniGame lifecycle.
+   * Any S-grade run is offered as the ghost for its game and severity. A co-op run carries its relay session, for the partner's credit.
+   * A slowed run pays in full (minigames/assist.js).
    */
   finishGame(result) {
     playSfx(result.status === 'success' ? 'minigameWin' : 'minigameLose');
@@ -194,8 +554,18 @@ export class MiniGameScene extends Phaser.Scene {
     const baseBoost = 0.05 + (result.accuracy / 100) * 0.08;
     const stabilityBoost = result.status === 'success' ? baseBoost * grade.stabilityMultiplier : -0.03;
 
+    const transcript = this.recorder?.transcript ?? null;
+    const newGhost = offerGhost(transcript, result);
+
     const fullResult = {
       ...result,
+      transcript,
+      challenge: transcript?.challenge ?? null,
+      newGhost,
+      // In a race, how the ghost did
+      ghost: this.ghost ? { accuracy: this.ghostEntry.accuracy, finishedAtMs: this.ghost.finishedAtMs } : null,
+      coop: this.coop ? { session: this.coop.session, seat: this.coop.seat } : null,
+      timeScale: this.timeScale,
       grade: grade.grade,
       gradeColor: grade.color,
       impact: {
@@ -203,7 +573,7 @@ export class MiniGameScene extends Phaser.Scene {
         stabilityBoost,
         scoreBoost: result.status === 'success' ? result.score : 0,
         message: result.status === 'success'
-          ? `Stabilized · Grade ${grade.grade} · +${(stabilityBoost * 100).toFixed(1)}% stability`
+          ? `Stabilized · Grade ${grade.grade} · +${(stabilityBoost * 100).toFixed(1)}% stability${this.timeScale < 1 ? ' (slow motion)' : ''}`
           : 'Containment failed - anomaly remains active',
       },
     };
@@ -267,7 +637,19 @@ export class MiniGameScene extends Phaser.Scene {
       });
     }
 
-    (result.statLines || []).forEach((line, i) => {
+    // The challenge the run was tuned to sits under its stats, so a grade
+    // earned on an eased game reads as one.
+    const statLines = [...(result.statLines || [])];
+    if (result.challenge != null) {
+      statLines.push({ label: 'Challenge', value: `×${result.challenge.toFixed(2)} · ${challengeLabel(result.challenge)}` });
+    }
+    if (result.ghost) statLines.push({ label: 'Ghost', value: `${result.ghost.accuracy}% · you ${result.accuracy}%` });
+    if (result.newGhost) statLines.push({ label: 'Ghost', value: 'this run is your new ghost' });
+    if (result.timeScale < 1) statLines.push({ label: 'Slow Motion', value: `${result.timeScale * 100}%` });
+    if (result.coop) {
+      statLines.push({ label: 'Co-op', value: this.partnerLeft ? 'finished alone' : 'shared containment' });
+    }
+    statLines.forEach((line, i) => {
       const y = centerY - 10 + i * 26;
       const lbl = this.add.text(width / 2 - 90, y, line.label, {
         fontFamily: '"IBM Plex Mono", monospace', fontSize: '13px', color: hexColor(MG_COLORS.inkFaint),
@@ -278,7 +660,7 @@ export class MiniGameScene extends Phaser.Scene {
       this.tweens.add({ targets: [lbl, val], alpha: 1, delay: 380 + i * 70, duration: 220 });
     });
 
-    const n = result.statLines?.length || 0;
+    const n = statLines.length;
     if (result.flavorText) {
       const flavor = this.add.text(width / 2, centerY - 10 + n * 26 + 24, result.flavorText, {
         fontFamily: '"IBM Plex Mono", monospace', fontSize: '12px', fontStyle: 'italic',
@@ -287,41 +669,74 @@ export class MiniGameScene extends Phaser.Scene {
       this.tweens.add({ targets: flavor, alpha: 1, delay: 380 + n * 70 + 120, duration: 300 });
     }
 
-    this.time.delayedCall(2800, () => {
+    // Race your ghost: held a moment longer so there's time to take it up
+    const ghost = this.recorder && !this.coop && getGhost(this.recorder.transcript.game, this.recorder.transcript.severity);
+    if (ghost) {
+      const prompt = this.add.text(width / 2, height - 36, `${keyLabel('mgGhost')} · RACE YOUR GHOST (S ${ghost.accuracy}%)`, {
+        fontFamily: '"IBM Plex Mono", monospace', fontSize: '12px', color: hexColor(MG_COLORS.accent),
+      }).setOrigin(0.5).setDepth(202).setAlpha(0);
+      this.tweens.add({ targets: prompt, alpha: 1, delay: 600, duration: 300 });
+      this.onAction('mgGhost', () => {
+        this.offAction('mgGhost');
+        this.raceGhost(result, ghost);
+      });
+    }
+
+    this._completeTimer = this.time.delayedCall(ghost ? 4200 : 2800, () => {
       this.completeGame(result);
     });
   }
 
   /**
-   * Emit result event that UniverseScene will listen for, then switch back.
+   * Leave the result screen for a race against the ghost: the run just
+   * finished is reported to the host as usual, then the scene restarts as a
+   * practice run at the ghost's seed and challenge, the ghost drawn beside it.
+   */
+  raceGhost(result, ghost) {
+    this._completeTimer?.remove();
+    this.hostScene?.events.emit('minigame:complete', { anomaly: this.anomaly, result });
+
+    const anomaly = { severity: ghost.transcript.severity, category: 'ghost-race', practice: true };
+    this.hostScene?.events.emit('minigame:start', { anomaly });
+    this.scene.restart({
+      anomaly,
+      host: this.hostKey,
+      seed: ghost.transcript.seed,
+      challenge: ghost.transcript.challenge ?? 1,
+      ghost,
+    });
+  }
+
+  /**
+   * Emit result event that the host scene will listen for, then switch back.
    */
   completeGame(result) {
-    if (!this.universeScene) {
-      console.error('UniverseScene reference not found');
+    if (!this.hostScene) {
+      console.error(`${this.hostKey} reference not found`);
       return;
     }
 
-    this.universeScene.events.emit('minigame:complete', {
+    this.hostScene.events.emit('minigame:complete', {
       anomaly: this.anomaly,
       result,
     });
 
     this.scene.stop();
-    this.scene.resume('UniverseScene');
+    this.scene.resume(this.hostKey);
   }
 
   /**
    * Abort the minigame (ESC key or close button)
    */
   abortGame() {
-    if (this.universeScene) {
-      this.universeScene.events.emit('minigame:abort', {
+    if (this.hostScene) {
+      this.hostScene.events.emit('minigame:abort', {
         anomaly: this.anomaly,
       });
     }
 
     this.scene.stop();
-    this.scene.resume('UniverseScene');
+    this.scene.resume(this.hostKey);
   }
 }
 
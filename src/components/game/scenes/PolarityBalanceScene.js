@@ -15,13 +15,15 @@
  * nothing but polarity to steer, while the containment wall stays lethal — the
  * probe can't brake, so every approach is an arc you have to plan. The
  * mechanic IS the physics: real cyclotron steering, no scripted timing.
+ *
+ * The wall warns of an escape by thickening and a tone as well as by turning
+ * red.
  */
 import Phaser from 'phaser';
-import MiniGameScene, { MG_COLORS } from './MiniGameScene.js';
+import MiniGameScene, { MG_COLORS, hexColor } from './MiniGameScene.js';
+import { NODE_R, PROBE_R, outcome, polarity } from '../minigames/polarityBalance.js';
 
 const THEME_COLOR = 0x4ec9e0; // electromagnetic cyan
-const NODE_R = 20;            // flux-node collection radius
-const PROBE_R = 7;
 
 export class PolarityBalanceScene extends MiniGameScene {
   constructor() {
@@ -30,20 +32,14 @@ export class PolarityBalanceScene extends MiniGameScene {
 
   init(data) {
     super.init(data);
-    const severity = Math.max(1, Math.min(5, this.anomaly?.severity || 2));
-    this.severity = severity;
-
-    this.speed = 150 + severity * 15;                 // px/s, constant
-    this.turnRadius = 44 + severity * 5;              // cyclotron radius
-    this.omega = this.speed / this.turnRadius;        // angular rate under field
-    this.nodesTarget = 4 + severity;
-    this.parTime = this.nodesTarget * 2.2;
-
-    this.maxBreaches = 3;
-    this.breaches = 0;
-    this.collected = 0;
-    this._breachCd = 0;
-    this.elapsed = 0;
+    // Cyclotron steering, the wall, nodes and grading:
+    // minigames/polarityBalance.js. The wall's radius follows the arena
+    // height, so the arena size is part of the run.
+    const sim = this.beginRun('polarityBalance', [Math.round(this.scale.width), Math.round(this.scale.height)]);
+    this.rBound = sim.rBound;
+    this.nodesTarget = sim.nodesTarget;
+    this.parTime = sim.parTime;
+    this.maxBreaches = sim.maxBreaches;
     this.gameOver = false;
   }
 
@@ -53,22 +49,22 @@ export class PolarityBalanceScene extends MiniGameScene {
     const height = this.cameras.main.height;
     this.cx = width / 2;
     this.cy = height / 2 + 24;
-    this.rBound = Math.min(208, height / 2 - 70);
 
     this.createHeader(
       'POLARITY BALANCE',
       THEME_COLOR,
       `Severity ${this.anomaly?.severity || '?'} · Steer with the field · reach every flux node`
     );
-    this.add.text(this.cx, 116, '← field out (curve left)     → field in (curve right)     release = coast straight', {
+    const { left, right } = this.directionLabels();
+    this.add.text(this.cx, 116, `${left} field out (curve left)     ${right} field in (curve right)     release = coast straight`, {
       fontFamily: '"IBM Plex Mono", monospace', fontSize: '11px', color: '#dfa73f',
     }).setOrigin(0.5);
 
     this.collectText = this.add.text(this.cx - 120, 142, `NODES 0 / ${this.nodesTarget}`, {
-      fontFamily: '"IBM Plex Mono", monospace', fontSize: '13px', color: '#4fd1a5',
+      fontFamily: '"IBM Plex Mono", monospace', fontSize: '13px', color: hexColor(MG_COLORS.good),
     }).setOrigin(0, 0.5);
     this.breachText = this.add.text(this.cx + 120, 142, `BREACHES 0 / ${this.maxBreaches}`, {
-      fontFamily: '"IBM Plex Mono", monospace', fontSize: '13px', color: '#e0524a',
+      fontFamily: '"IBM Plex Mono", monospace', fontSize: '13px', color: hexColor(MG_COLORS.critical),
     }).setOrigin(1, 0.5);
 
     // Containment wall
@@ -79,8 +75,7 @@ export class PolarityBalanceScene extends MiniGameScene {
       fontFamily: '"IBM Plex Mono", monospace', fontSize: '13px', color: '#565a72',
     }).setOrigin(0.5);
 
-    // Probe (world coords relative to center)
-    this.probe = { x: 0, y: 0, th: -Math.PI / 2 };
+    // Probe trail (the probe itself is in the simulation, relative to center)
     this.trail = [];
     this.maxTrail = 70;
     this.trailGraphics = this.add.graphics();
@@ -90,62 +85,38 @@ export class PolarityBalanceScene extends MiniGameScene {
     // First flux node
     this.node = this.add.circle(0, 0, NODE_R * 0.55, MG_COLORS.good, 0.9);
     this.nodeGlow = this.add.circle(0, 0, NODE_R, MG_COLORS.good, 0.25).setBlendMode(Phaser.BlendModes.ADD);
-    this.spawnNode();
+    this.placeNode();
 
-    this.keys = this.input.keyboard.addKeys('LEFT,RIGHT');
+    this.bindDirections('mgLeft', 'mgRight');
   }
 
-  spawnNode() {
-    const a = Math.random() * Math.PI * 2;
-    // Up to 0.8 R: some nodes hug the wall, making the approach genuinely risky.
-    const rr = (0.25 + Math.random() * 0.55) * this.rBound;
-    this.nodePos = { x: Math.cos(a) * rr, y: Math.sin(a) * rr };
-    this.node.setPosition(this.cx + this.nodePos.x, this.cy + this.nodePos.y);
-    this.nodeGlow.setPosition(this.cx + this.nodePos.x, this.cy + this.nodePos.y);
+  placeNode() {
+    const { nodePos } = this.sim;
+    this.node.setPosition(this.cx + nodePos.x, this.cy + nodePos.y);
+    this.nodeGlow.setPosition(this.cx + nodePos.x, this.cy + nodePos.y);
   }
 
   update(time, delta) {
     if (this.gameOver) return;
-    const dt = Math.min(delta / 1000, 0.04);
-    this.elapsed += dt;
-    if (this._breachCd > 0) this._breachCd -= dt;
-
-    // Lorentz steering: field polarity sets the turn direction; none = straight.
-    const left = this.keys.LEFT.isDown;
-    const right = this.keys.RIGHT.isDown;
-    if (left && !right) this.probe.th -= this.omega * dt;
-    else if (right && !left) this.probe.th += this.omega * dt;
-
-    this.probe.x += Math.cos(this.probe.th) * this.speed * dt;
-    this.probe.y += Math.sin(this.probe.th) * this.speed * dt;
-
-    // Containment wall (lethal)
-    const r = Math.hypot(this.probe.x, this.probe.y);
-    if (r > this.rBound - PROBE_R) {
-      if (this._breachCd <= 0) this.registerBreach();
-      // Reflect inward so one graze isn't an instant cascade
-      const ang = Math.atan2(this.probe.y, this.probe.x);
-      this.probe.x = Math.cos(ang) * (this.rBound - PROBE_R - 2);
-      this.probe.y = Math.sin(ang) * (this.rBound - PROBE_R - 2);
-      this.probe.th = ang + Math.PI + (Math.random() - 0.5) * 0.4; // head back inward
-    }
-
-    // Flux-node collection
-    if (Math.hypot(this.probe.x - this.nodePos.x, this.probe.y - this.nodePos.y) < NODE_R + PROBE_R) {
-      this.collected++;
-      this.collectText.setText(`NODES ${this.collected} / ${this.nodesTarget}`);
-      // Positive feedback color triggers the 'hit' audio cue via the base class.
-      this.showFeedback('+FLUX', MG_COLORS.good, this.cx + this.nodePos.x, this.cy + this.nodePos.y - 26);
-      if (this.collected >= this.nodesTarget) { this.endGame(true); return; }
-      this.spawnNode();
+    for (const e of this.stepRun(delta)) {
+      if (e.type === 'breach') this.registerBreach();
+      else this.collectNode(e);
     }
+    if (this.sim.over) { this.endGame(); return; }
+    this.render();
+  }
 
-    this.render(left, right);
+  collectNode({ x, y }) {
+    this.collectText.setText(`NODES ${this.sim.collected} / ${this.nodesTarget}`);
+    // Positive feedback color triggers the 'hit' audio cue via the base class.
+    this.showFeedback('+FLUX', MG_COLORS.good, this.cx + x, this.cy + y - 26);
+    this.placeNode();
   }
 
-  render(left, right) {
-    const px = this.cx + this.probe.x;
-    const py = this.cy + this.probe.y;
+  render() {
+    const { probe } = this.sim;
+    const px = this.cx + probe.x;
+    const py = this.cy + probe.y;
     this.probeDot.setPosition(px, py);
     this.probeGlow.setPosition(px, py);
 
@@ -158,43 +129,42 @@ export class PolarityBalanceScene extends MiniGameScene {
     this.trail.forEach((p, i) => (i === 0 ? this.trailGraphics.moveTo(p.x, p.y) : this.trailGraphics.lineTo(p.x, p.y)));
     this.trailGraphics.strokePath();
 
-    // Wall glows red when the probe is close to escaping
-    const r = Math.hypot(this.probe.x, this.probe.y);
+    // Wall glows red and thickens when the probe is close to escaping
+    const r = Math.hypot(probe.x, probe.y);
     const near = r > this.rBound * 0.82;
-    this.wall.setStrokeStyle(2, near ? MG_COLORS.critical : THEME_COLOR, near ? 0.9 : 0.5);
+    this.stateCue('wall', near ? 'critical' : 'good');
+    this.wall.setStrokeStyle(near ? 5 : 2, near ? MG_COLORS.critical : THEME_COLOR, near ? 0.9 : 0.5);
 
-    if (left && !right) this.fieldText.setText('⊙ FIELD OUT — curving left').setColor('#4ec9e0');
-    else if (right && !left) this.fieldText.setText('⊗ FIELD IN — curving right').setColor('#4ec9e0');
+    // The field as stepped - held keys, or latched ones with hold-to-toggle
+    const field = polarity(this.heldMask);
+    if (field < 0) this.fieldText.setText('⊙ FIELD OUT — curving left').setColor('#4ec9e0');
+    else if (field > 0) this.fieldText.setText('⊗ FIELD IN — curving right').setColor('#4ec9e0');
     else this.fieldText.setText('— NO FIELD — coasting straight').setColor('#565a72');
   }
 
   registerBreach() {
-    this.breaches++;
-    this._breachCd = 0.7;
-    this.breachText.setText(`BREACHES ${this.breaches} / ${this.maxBreaches}`);
+    this.breachText.setText(`BREACHES ${this.sim.breaches} / ${this.maxBreaches}`);
     this.shake(180, 0.01);
     this.showFeedback('CONTAINMENT BREACH!', MG_COLORS.critical, this.cx, this.cy - this.rBound - 22);
-    if (this.breaches >= this.maxBreaches) this.endGame(false);
   }
 
-  endGame(success) {
+  endGame() {
     if (this.gameOver) return;
     this.gameOver = true;
-    this.input.keyboard.off('keydown-ESC');
+    this.offAction('mgAbort');
 
-    const timePenalty = Math.max(0, this.elapsed - this.parTime);
-    const accuracy = Math.round(Phaser.Math.Clamp(100 - this.breaches * 15 - timePenalty * 1.5, 0, 100));
-    const score = Math.max(0, Math.round(this.collected * 70 + accuracy * 6 - this.breaches * 130));
+    const { status, accuracy, score } = outcome(this.sim);
+    const { collected, elapsed, breaches, success } = this.sim;
 
     this.finishGame({
-      status: success ? 'success' : 'failed',
+      status,
       accuracy,
       score,
       themeColor: THEME_COLOR,
       statLines: [
-        { label: 'Flux Nodes', value: `${this.collected} / ${this.nodesTarget}` },
-        { label: 'Time', value: `${this.elapsed.toFixed(1)}s (par ${this.parTime.toFixed(0)}s)` },
-        { label: 'Breaches', value: `${this.breaches} / ${this.maxBreaches}` },
+        { label: 'Flux Nodes', value: `${collected} / ${this.nodesTarget}` },
+        { label: 'Time', value: `${elapsed.toFixed(1)}s (par ${this.parTime.toFixed(0)}s)` },
+        { label: 'Breaches', value: `${breaches} / ${this.maxBreaches}` },
         { label: 'Score', value: score },
       ],
       flavorText: success
@@ -2,12 +2,16 @@
  * Stabilizer Mini-Game (generic fallback)
  *
  * A precision timing game where players must hit a moving indicator within
- * a target zone. Used for anomaly categories that don't have a dedicated
- * minigame yet (cosmological, structural, electromagnetic) - see
- * InputSystem.mapAnomalyToGame for the category routing.
+ * a target zone. Used for any anomaly whose type and category have no
+ * dedicated minigame yet - see InputSystem.mapAnomalyToGame for the routing.
+ * The zone is bracketed as well as tinted, and the indicator chimes as it
+ * crosses into it.
  */
 import Phaser from 'phaser';
-import MiniGameScene, { MG_COLORS } from './MiniGameScene.js';
+import MiniGameScene, { MG_COLORS, hexColor } from './MiniGameScene.js';
+import { keyLabel } from '../settings.js';
+import { INPUT } from '../minigames/common.js';
+import { HITS_TO_WIN, MAX_FAILURES, ZONE_START, ZONE_WIDTH, inZone, outcome } from '../minigames/quantumStabilizer.js';
 
 const THEME_COLOR = MG_COLORS.accent;
 
@@ -18,16 +22,8 @@ export class QuantumStabilizerScene extends MiniGameScene {
 
   init(data) {
     super.init(data);
-
-    this.indicatorPosition = 0;
-    this.oscillationDirection = 1;
-    this.targetZoneStart = 35;
-    this.targetZoneWidth = 30;
-
-    this.successHits = 0;
-    this.failures = 0;
-    this.totalAttempts = 0;
-    this.hits = [];
+    // The sweep, its zone and grading: minigames/quantumStabilizer.js
+    this.beginRun('quantumStabilizer');
     this.gameOver = false;
   }
 
@@ -37,17 +33,13 @@ export class QuantumStabilizerScene extends MiniGameScene {
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
 
-    const severity = this.anomaly?.severity || 2;
-    const validSeverity = Math.max(0.3, Math.min(1.0, severity / 3));
-    this.oscillationSpeed = 0.5 + validSeverity * 1.5;
-
     this.createHeader(
       'FIELD STABILIZER',
       THEME_COLOR,
-      `Severity ${severity} · Press SPACE when the indicator enters the target zone`
+      `Severity ${this.sim.severity} · Press ${keyLabel('mgAction')} when the indicator enters the target zone`
     );
 
-    this.input.keyboard.on('keydown-SPACE', () => this.attemptHit());
+    this.onAction('mgAction', () => this.press(INPUT.PRESS_SPACE), 'HIT');
 
     const trackY = height / 2 + 10;
     const trackWidth = width - 120;
@@ -57,112 +49,86 @@ export class QuantumStabilizerScene extends MiniGameScene {
     this.add.rectangle(trackX + trackWidth / 2, trackY, trackWidth, trackHeight, MG_COLORS.voidRaised)
       .setStrokeStyle(1, MG_COLORS.line);
 
-    const zoneX = trackX + (trackWidth * this.targetZoneStart) / 100;
-    const zoneWidth = (trackWidth * this.targetZoneWidth) / 100;
+    const zoneX = trackX + (trackWidth * ZONE_START) / 100;
+    const zoneWidth = (trackWidth * ZONE_WIDTH) / 100;
 
     this.add.rectangle(zoneX + zoneWidth / 2, trackY, zoneWidth, trackHeight, MG_COLORS.good, 0.15)
       .setStrokeStyle(1, MG_COLORS.good, 0.7);
 
+    // Brackets at the zone's edges, so it doesn't rest on its tint
+    [zoneX, zoneX + zoneWidth].forEach((x) => {
+      this.add.triangle(x, trackY - trackHeight / 2 - 8, 0, 0, 12, 0, 6, 8, MG_COLORS.good).setOrigin(0.5);
+    });
+
     this.add.text(zoneX + zoneWidth / 2, trackY + trackHeight / 2 + 16, 'TARGET', {
       fontFamily: '"IBM Plex Mono", monospace',
       fontSize: '10px',
-      color: '#4fd1a5',
+      color: hexColor(MG_COLORS.good),
     }).setOrigin(0.5);
 
     this.indicatorGlow = this.add.circle(trackX + 8, trackY, 16, THEME_COLOR, 0.2).setBlendMode(Phaser.BlendModes.ADD);
     this.indicatorCircle = this.add.circle(trackX + 8, trackY, 9, THEME_COLOR);
 
-    this.trackInfo = { x: trackX, y: trackY, width: trackWidth, zoneStart: zoneX, zoneWidth };
+    this.trackInfo = { x: trackX, width: trackWidth };
 
-    this.successText = this.add.text(trackX, height - 130, 'HITS 0 / 5', {
+    this.successText = this.add.text(trackX, height - 130, `HITS 0 / ${HITS_TO_WIN}`, {
       fontFamily: '"IBM Plex Mono", monospace',
       fontSize: '13px',
-      color: '#4fd1a5',
+      color: hexColor(MG_COLORS.good),
     });
 
-    this.failureText = this.add.text(trackX, height - 105, 'FAILURES 0 / 3', {
+    this.failureText = this.add.text(trackX, height - 105, `FAILURES 0 / ${MAX_FAILURES}`, {
       fontFamily: '"IBM Plex Mono", monospace',
       fontSize: '13px',
-      color: '#e0524a',
+      color: hexColor(MG_COLORS.critical),
     });
   }
 
-  update() {
+  update(time, delta) {
     if (this.gameOver) return;
-
-    this.indicatorPosition += this.oscillationSpeed * this.oscillationDirection;
-    if (this.indicatorPosition >= 100) {
-      this.indicatorPosition = 100;
-      this.oscillationDirection = -1;
-    } else if (this.indicatorPosition <= 0) {
-      this.indicatorPosition = 0;
-      this.oscillationDirection = 1;
+    for (const e of this.stepRun(delta)) {
+      if (e.type === 'hit') this.showHit(e.accuracy);
+      else this.showMiss();
+    }
+    if (this.sim.over) {
+      this.endGame();
+      return;
     }
 
-    const newX = this.trackInfo.x + (this.trackInfo.width * this.indicatorPosition) / 100;
+    const newX = this.trackInfo.x + (this.trackInfo.width * this.sim.position) / 100;
     this.indicatorCircle.setX(newX);
     this.indicatorGlow.setX(newX);
+    this.stateCue('indicator', inZone(this.sim) ? 'good' : 'warn');
   }
 
-  attemptHit() {
-    if (this.gameOver) return;
-    this.totalAttempts++;
-
-    const indicatorX = this.trackInfo.x + (this.trackInfo.width * this.indicatorPosition) / 100;
-    const zoneStart = this.trackInfo.zoneStart;
-    const zoneEnd = this.trackInfo.zoneStart + this.trackInfo.zoneWidth;
-    const isHit = indicatorX >= zoneStart && indicatorX <= zoneEnd;
-
-    if (isHit) this.registerHit(indicatorX);
-    else this.registerMiss();
-  }
-
-  registerHit(indicatorX) {
-    this.successHits++;
-
-    const zoneCenter = this.trackInfo.zoneStart + this.trackInfo.zoneWidth / 2;
-    const distanceFromCenter = Math.abs(indicatorX - zoneCenter);
-    const maxDistance = this.trackInfo.zoneWidth / 2;
-    const accuracy = Math.max(0, 1 - distanceFromCenter / maxDistance);
-
-    this.hits.push({ success: true, accuracy });
-    this.successText.setText(`HITS ${this.successHits} / 5`);
+  showHit(accuracy) {
+    this.successText.setText(`HITS ${this.sim.successHits} / ${HITS_TO_WIN}`);
     this.showFeedback(`HIT ${Math.round(accuracy * 100)}%`, MG_COLORS.good);
-
-    if (this.successHits >= 5) this.endGame(true);
   }
 
-  registerMiss() {
-    this.failures++;
-    this.hits.push({ success: false, accuracy: 0 });
-    this.failureText.setText(`FAILURES ${this.failures} / 3`);
+  showMiss() {
+    this.failureText.setText(`FAILURES ${this.sim.failures} / ${MAX_FAILURES}`);
     this.showFeedback('MISS', MG_COLORS.critical);
     this.shake(100, 0.004);
-
-    if (this.failures >= 3) this.endGame(false);
   }
 
-  endGame(success) {
+  endGame() {
     if (this.gameOver) return;
     this.gameOver = true;
-    this.input.keyboard.off('keydown-ESC');
-    this.input.keyboard.off('keydown-SPACE');
+    this.offAction('mgAbort');
+    this.offAction('mgAction');
 
-    const successfulHits = this.hits.filter((h) => h.success);
-    const avgAccuracy = successfulHits.length > 0
-      ? successfulHits.reduce((sum, h) => sum + h.accuracy, 0) / successfulHits.length
-      : 0;
-    const accuracy = Math.round(Phaser.Math.Clamp(avgAccuracy * 100, 0, 100));
-    const score = Math.max(0, Math.round(this.successHits * 100 + accuracy * 5 - this.failures * 80));
+    const { status, accuracy, score } = outcome(this.sim);
+    const { successHits, failures, success } = this.sim;
 
     this.finishGame({
-      status: success ? 'success' : 'failed',
+      status,
       accuracy,
       score,
       themeColor: THEME_COLOR,
       statLines: [
-        { label: 'Hits', value: `${this.successHits} / 5` },
-        { label: 'Failures', value: `${this.failures} / 3` },
+        { label: 'Hits', value: `${successHits} / ${HITS_TO_WIN}` },
+        { label: 'Failures', value: `${failures} / ${MAX_FAILURES}` },
         { label: 'Accuracy', value: `${accuracy}%` },
         { label: 'Score', value: score },
       ],
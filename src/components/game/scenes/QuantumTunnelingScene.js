@@ -0,0 +1,198 @@
+/**
+ * Quantum Tunneling Mini-Game  —  real barrier transmission.
+ *
+ * A particle meeting a wall it hasn't the energy to climb still has a chance
+ * of turning up on the far side: its wavefunction decays inside the barrier
+ * but doesn't reach zero, so what's left past the far edge is the odds of
+ * tunneling through. That chance falls off exponentially with the barrier's
+ * width and only gently with its height - and above the top the barrier
+ * still reflects some, with resonances where it lets everything through.
+ *
+ * Particles come in one at a time, each at its own energy and each flagged
+ * PASS (let it through) or BLOCK (keep it out). You reshape the barrier while
+ * it's in flight: ↑ / ↓ raise and lower it, ← / → narrow and widen it. Its
+ * shape when the particle arrives sets the real transmission coefficient T,
+ * and the dice do the rest - a tall thin wall leaks far more than a low wide
+ * one. The mechanic IS the physics: you're tuning a transmission coefficient.
+ * A BLOCK particle's packet is drawn dotted, and the odds are graded in a
+ * glyph and a tone besides their colour.
+ */
+import MiniGameScene, { MG_COLORS, hexColor } from './MiniGameScene.js';
+import { transmission, successChance, outcome } from '../minigames/quantumTunneling.js';
+
+const THEME_COLOR = 0x3fd0c9; // tunneling teal
+const PX_PER_V = 70;
+const PX_PER_A = 70;
+
+export class QuantumTunnelingScene extends MiniGameScene {
+  constructor() {
+    super('QuantumTunnelingScene');
+  }
+
+  init(data) {
+    super.init(data);
+    // Barrier, particles and grading: minigames/quantumTunneling.js
+    const sim = this.beginRun('quantumTunneling');
+    this.targetHits = sim.targetHits;
+    this.maxMisses = sim.maxMisses;
+    this.gameOver = false;
+  }
+
+  create() {
+    super.create();
+    const width = this.cameras.main.width;
+    const height = this.cameras.main.height;
+    const cx = width / 2;
+    this.floorY = height / 2 + 110;
+    this.barrierX = cx;
+    this.srcX = 110;
+
+    this.createHeader(
+      'QUANTUM TUNNELING',
+      THEME_COLOR,
+      `Severity ${this.anomaly?.severity || '?'} · Let the PASS particles through, keep the BLOCK ones out`
+    );
+    const { up, down, left, right } = this.directionLabels();
+    this.add.text(cx, 116, `${up} ${down} barrier height     ${left} ${right} barrier width     width matters far more than height`, {
+      fontFamily: '"IBM Plex Mono", monospace', fontSize: '11px', color: '#dfa73f',
+    }).setOrigin(0.5);
+    this.tallyText = this.add.text(cx, 140, '', {
+      fontFamily: '"IBM Plex Mono", monospace', fontSize: '13px', color: '#e9e7f2',
+    }).setOrigin(0.5);
+
+    // The potential: flat floor either side of the barrier
+    this.add.rectangle(cx, this.floorY, width - 160, 1, MG_COLORS.lineBright).setOrigin(0.5);
+    this.add.text(this.srcX, this.floorY + 10, 'V = 0', {
+      fontFamily: '"IBM Plex Mono", monospace', fontSize: '10px', color: '#565a72',
+    });
+    this.barrier = this.add.rectangle(cx, this.floorY, 0, 0, THEME_COLOR, 0.16)
+      .setOrigin(0.5, 1)
+      .setStrokeStyle(2, THEME_COLOR, 0.9);
+    this.barrierLabel = this.add.text(cx, 0, '', {
+      fontFamily: '"IBM Plex Mono", monospace', fontSize: '10px', color: '#3fd0c9',
+    }).setOrigin(0.5, 1);
+
+    // The incoming particle: its energy line and its wave packet
+    this.energyGfx = this.add.graphics();
+    this.packetGfx = this.add.graphics();
+    this.wantText = this.add.text(this.srcX, 0, '', {
+      fontFamily: '"IBM Plex Mono", monospace', fontSize: '12px', fontStyle: 'bold',
+    }).setOrigin(0, 1);
+    this.oddsText = this.add.text(cx, height - 92, '', {
+      fontFamily: '"IBM Plex Mono", monospace', fontSize: '14px', color: '#e9e7f2',
+    }).setOrigin(0.5);
+
+    const barWidth = 240;
+    const barY = height - 40;
+    this.add.rectangle(cx, barY, barWidth, 4, MG_COLORS.line).setOrigin(0.5);
+    this.progressFill = this.add.rectangle(cx - barWidth / 2, barY, 0, 4, THEME_COLOR).setOrigin(0, 0.5);
+    this.progressBarWidth = barWidth;
+
+    this.bindDirections('mgUp', 'mgDown', 'mgLeft', 'mgRight');
+    this.updateTally();
+  }
+
+  update(time, delta) {
+    if (this.gameOver) return;
+    for (const event of this.stepRun(delta)) this.registerArrival(event);
+
+    this.render();
+    this.progressFill.width = this.progressBarWidth * Math.min(1, this.sim.hits / this.targetHits);
+
+    if (this.sim.over) this.endGame();
+  }
+
+  render() {
+    const { V, a, particle, flight } = this.sim;
+    const width = this.cameras.main.width;
+
+    const bw = a * PX_PER_A;
+    const bh = V * PX_PER_V;
+    this.barrier.setSize(bw, bh);
+    this.barrierLabel.setPosition(this.barrierX, this.floorY - bh - 6)
+      .setText(`V ${V.toFixed(2)} · a ${a.toFixed(2)}`);
+
+    const want = particle.want === 'pass';
+    const col = want ? MG_COLORS.good : MG_COLORS.critical;
+    const ey = this.floorY - particle.E * PX_PER_V;
+
+    // Energy line: solid where the particle is free, dashed under the barrier
+    const left = this.barrierX - bw / 2;
+    const right = this.barrierX + bw / 2;
+    this.energyGfx.clear().lineStyle(1, col, 0.6);
+    this.energyGfx.lineBetween(this.srcX, ey, left, ey);
+    this.energyGfx.lineBetween(right, ey, width - 80, ey);
+    if (particle.E < V) {
+      for (let x = left; x < right; x += 8) this.energyGfx.lineBetween(x, ey, Math.min(x + 4, right), ey);
+    } else {
+      this.energyGfx.lineBetween(left, ey, right, ey);
+    }
+
+    // Wave packet riding in on its energy line - a BLOCK one dotted
+    const px = this.srcX + (left - this.srcX) * Math.min(1, particle.t / flight);
+    const packetY = (k) => ey - 14 * Math.exp(-(k * k) / 180) * Math.cos(k * 0.7 - particle.t * 12);
+    this.packetGfx.clear();
+    if (want) {
+      this.packetGfx.lineStyle(2, col, 0.95).beginPath();
+      for (let k = -30; k <= 30; k++) {
+        if (k === -30) this.packetGfx.moveTo(px + k, packetY(k));
+        else this.packetGfx.lineTo(px + k, packetY(k));
+      }
+      this.packetGfx.strokePath();
+    } else {
+      this.packetGfx.fillStyle(col, 0.95);
+      for (let k = -30; k <= 30; k += 3) this.packetGfx.fillCircle(px + k, packetY(k), 1.6);
+    }
+
+    this.wantText.setPosition(this.srcX, ey - 20)
+      .setText(want ? 'PASS' : 'BLOCK')
+      .setColor(want ? hexColor(MG_COLORS.good) : hexColor(MG_COLORS.critical));
+
+    const T = transmission(particle.E, V, a);
+    const chance = successChance(this.sim);
+    const state = chance > 0.7 ? 'good' : chance > 0.4 ? 'warn' : 'critical';
+    const glyph = this.stateCue('odds', state);
+    this.oddsText.setText(`${glyph}  T = ${(T * 100).toFixed(1)}%     odds it lands right ${(chance * 100).toFixed(0)}%`)
+      .setColor(hexColor(MG_COLORS[state]));
+  }
+
+  registerArrival({ passed, hit }) {
+    this.updateTally();
+    const x = passed ? this.barrierX + 140 : this.barrierX - 140;
+    const label = passed ? 'TUNNELED' : 'REFLECTED';
+    this.showFeedback(hit ? label : `${label} ✗`, hit ? MG_COLORS.good : MG_COLORS.critical, x, this.floorY - 170);
+    if (!hit) this.shake(150, 0.008);
+  }
+
+  updateTally() {
+    this.tallyText.setText(`LANDED ${this.sim.hits} / ${this.targetHits}     STRAYED ${this.sim.misses} / ${this.maxMisses}`);
+  }
+
+  endGame() {
+    if (this.gameOver) return;
+    this.gameOver = true;
+    this.offAction('mgAbort');
+
+    const { status, accuracy, score } = outcome(this.sim);
+    const { hits, misses, success } = this.sim;
+
+    this.finishGame({
+      status,
+      accuracy,
+      score,
+      themeColor: THEME_COLOR,
+      statLines: [
+        { label: 'Landed', value: `${hits} / ${this.targetHits}` },
+        { label: 'Strayed', value: `${misses} / ${this.maxMisses}` },
+        { label: 'Avg. Odds', value: `${accuracy}%` },
+        { label: 'Particles', value: `${hits + misses}` },
+        { label: 'Score', value: score },
+      ],
+      flavorText: success
+        ? 'The barrier held — the probes tunneled through and the leaks bounced off the wall.'
+        : 'Too many particles tunneled where they shouldn\'t — the barrier is a sieve.',
+    });
+  }
+}
+
+export default QuantumTunnelingScene;
@@ -0,0 +1,85 @@
+/**
+ * Containment Simulator host scene
+ *
+ * Stands in for UniverseScene on the practice range (pages/SimulatorPage.jsx):
+ * launches a chosen minigame at a chosen severity and seed, or a race against
+ * a saved ghost, and hands the result back to React. There's no universe
+ * behind it - practice anomalies have no id, so nothing reaches the server,
+ * the skill model or a reward.
+ */
+import Phaser from 'phaser';
+import { MG_COLORS } from './MiniGameScene.js';
+import { minigameSeed } from '../minigames/transcript.js';
+
+export class SimulatorScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'SimulatorScene' });
+    this.run = null;
+  }
+
+  /**
+   * @param {object} data
+   * @param {function} data.onReady - called with this scene once it exists
+   * @param {function} data.onResult - (run, result) when a practice run finishes
+   * @param {function} data.onAbort - (run) when one is abandoned (ESC)
+   */
+  init({ onReady, onResult, onAbort }) {
+    this.callbacks = { onReady, onResult, onAbort };
+  }
+
+  create() {
+    const { width, height } = this.scale;
+    this.backdrop = this.add.rectangle(0, 0, width, height, MG_COLORS.void).setOrigin(0, 0);
+    this.idleText = this.add.text(width / 2, height / 2, 'CONTAINMENT SIMULATOR\n\nchoose a minigame and launch it', {
+      fontFamily: '"IBM Plex Mono", monospace', fontSize: '13px', color: '#565a72', align: 'center',
+    }).setOrigin(0.5);
+    this.scale.on('resize', this.layout, this);
+
+    this.events.on('minigame:complete', ({ result }) => {
+      const run = this.run;
+      this.run = null;
+      this.callbacks.onResult?.(run, result);
+    });
+    this.events.on('minigame:abort', () => {
+      const run = this.run;
+      this.run = null;
+      this.callbacks.onAbort?.(run);
+    });
+    this.events.once('shutdown', () => this.scale.off('resize', this.layout, this));
+
+    this.callbacks.onReady?.(this);
+  }
+
+  layout({ width, height }) {
+    this.backdrop.setSize(width, height);
+    this.idleText.setPosition(width / 2, height / 2);
+  }
+
+  /** Launch `sceneKey` for practice, replacing any run still going. */
+  practice(sceneKey, { severity, seed }) {
+    if (this.run) this.scene.stop(this.run.sceneKey);
+    this.run = { sceneKey, severity, seed };
+    this.scene.launch(sceneKey, {
+      anomaly: { severity, category: 'practice', practice: true },
+      host: 'SimulatorScene',
+      seed: minigameSeed(`practice:${seed}`),
+      // Practice runs at the standard challenge, so bests stay comparable
+      challenge: 1,
+    });
+  }
+
+  /** Race a ghost (ghostStore.js entry) at its own seed; races set no practice bests. */
+  race(sceneKey, ghost) {
+    if (this.run) this.scene.stop(this.run.sceneKey);
+    this.run = { sceneKey, race: true };
+    this.scene.launch(sceneKey, {
+      anomaly: { severity: ghost.transcript.severity, category: 'ghost-race', practice: true },
+      host: 'SimulatorScene',
+      seed: ghost.transcript.seed,
+      challenge: ghost.transcript.challenge ?? 1,
+      ghost,
+    });
+  }
+}
+
+export default SimulatorScene;
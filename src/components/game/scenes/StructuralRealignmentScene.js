@@ -11,19 +11,25 @@
  * reflex, just reading a coupled elastic network and relaxing it.
  *
  * A link glows green as it nears its rest length, amber when stressed, red when
- * badly stretched or compressed — that colour is the only guide you need; the
- * target shape is wherever every link is green at once.
+ * badly stretched or compressed, and its pattern says the same — solid,
+ * dashed, dotted — and the tally above it changes tone as the lattice nears
+ * rest. That is the only guide you need; the target shape is wherever every
+ * link is solid green at once.
+ *
+ * In co-op the lattice is split down the middle: each warden can drag only
+ * the nodes on their side, their partner's drawn dimmer.
+ *
+ * On a gamepad the left stick steers a grab ring and A grabs, as the mouse
+ * button does.
  */
 import Phaser from 'phaser';
-import MiniGameScene, { MG_COLORS } from './MiniGameScene.js';
+import MiniGameScene, { MG_COLORS, hexColor } from './MiniGameScene.js';
+import { INPUT } from '../minigames/common.js';
+import { ALIGNED_PX, alignedLinks, linkError, outcome } from '../minigames/structuralRealignment.js';
 
 const THEME_COLOR = 0x7d8ba8; // structural steel-blue
-const K = 0.4;      // spring stiffness (gentle - guides, doesn't yank)
-const DAMP = 6.5;   // velocity damping (nodes mostly stay where you drop them)
 const NODE_R = 11;
-const GRAB_R = 28;
-const WIN_STRESS = 9;   // mean |len - rest| (px) considered "aligned"
-const HOLD_TO_WIN = 0.4; // seconds it must stay aligned to lock
+const PAD_CURSOR_SPEED = 520; // px/s at full stick
 
 export class StructuralRealignmentScene extends MiniGameScene {
   constructor() {
@@ -32,31 +38,27 @@ export class StructuralRealignmentScene extends MiniGameScene {
 
   init(data) {
     super.init(data);
-    const severity = Math.max(1, Math.min(5, this.anomaly?.severity || 2));
-    this.severity = severity;
-
-    this.ringCount = Math.min(7, 3 + severity);
-    this.timeLimit = 32 - severity * 2;
-    this.scramble = 45 + severity * 12;
+    // The truss, its springs and grading: minigames/structuralRealignment.js.
+    // Nodes are laid out in screen pixels, so the arena size is part of the run.
+    const sim = this.beginRun('structuralRealignment', [Math.round(this.scale.width), Math.round(this.scale.height)]);
+    this.nodes = sim.nodes;
+    this.edges = sim.edges;
+    this.timeLimit = sim.timeLimit;
     // Guidance ramp: low severity shows where every node belongs; high severity
     // is the blind untangle. This is the difficulty axis, not just node count.
-    this.showGhosts = severity <= 3;      // ringed target markers
-    this.showConnectors = severity <= 2;  // line from each node to its marker
+    this.showGhosts = sim.severity <= 3;      // ringed target markers
+    this.showConnectors = sim.severity <= 2;  // line from each node to its marker
 
-    this.elapsed = 0;
-    this.alignedTime = 0;
-    this.stress = Infinity;
-    this.dragIndex = -1;
     this.pointer = { x: 0, y: 0 };
+    this.pointerHeld = false;
+    this._padGrab = false;
     this.gameOver = false;
   }
 
   create() {
     super.create();
-    const width = this.cameras.main.width;
     const height = this.cameras.main.height;
-    this.cx = width / 2;
-    this.cy = height / 2 + 24;
+    this.cx = this.sim.cx;
 
     this.createHeader(
       'STRUCTURAL REALIGNMENT',
@@ -71,8 +73,11 @@ export class StructuralRealignmentScene extends MiniGameScene {
     this.add.text(this.cx, 116, help, {
       fontFamily: '"IBM Plex Mono", monospace', fontSize: '11px', color: '#dfa73f',
     }).setOrigin(0.5);
-
-    this.buildLattice();
+    if (this.coop) {
+      this.add.text(this.cx, 158, `co-op · the ${this.seat === 0 ? 'left' : 'right'} half is yours, your partner drags the rest`, {
+        fontFamily: '"IBM Plex Mono", monospace', fontSize: '10px', color: '#565a72',
+      }).setOrigin(0.5);
+    }
 
     this.linkGfx = this.add.graphics();
     this.ghostGfx = this.add.graphics(); // node -> marker guide lines (dynamic)
@@ -105,119 +110,64 @@ export class StructuralRealignmentScene extends MiniGameScene {
       fontFamily: '"IBM Plex Mono", monospace', fontSize: '10px', color: '#565a72',
     }).setOrigin(0.5);
 
+    this.padCursor = this.add.circle(0, 0, NODE_R + 7, 0x000000, 0)
+      .setStrokeStyle(1, MG_COLORS.accent, 0.8)
+      .setVisible(false);
+
     this.input.on('pointerdown', (p) => this.onDown(p));
     this.input.on('pointermove', (p) => { this.pointer.x = p.x; this.pointer.y = p.y; });
-    this.input.on('pointerup', () => { this.dragIndex = -1; });
-  }
-
-  // A triangulated ring-and-hub truss. Rest lengths come from the TARGET
-  // (aligned) layout; free nodes are then scrambled into a tangle.
-  buildLattice() {
-    const R = 128;
-    const m = this.ringCount;
-    const target = [];
-    for (let i = 0; i < m; i++) {
-      const a = (i / m) * Math.PI * 2 - Math.PI / 2;
-      target.push({ x: this.cx + Math.cos(a) * R, y: this.cy + Math.sin(a) * R });
-    }
-    const hub = m;
-    target.push({ x: this.cx, y: this.cy });
-
-    // Two anchors pin position + orientation so the solution is unique.
-    const anchorA = 0;
-    const anchorB = Math.floor(m / 2);
-
-    this.nodes = target.map((t, i) => {
-      const anchor = i === anchorA || i === anchorB;
-      let x = t.x;
-      let y = t.y;
-      if (!anchor) {
-        const ang = Math.random() * Math.PI * 2;
-        const mag = this.scramble * (0.5 + Math.random() * 0.5);
-        x = Phaser.Math.Clamp(this.cx + Math.cos(ang) * (R * 0.4) + Math.cos(ang) * mag, 120, this.cameras.main.width - 120);
-        y = Phaser.Math.Clamp(this.cy + Math.sin(ang) * (R * 0.4) + Math.sin(ang) * mag, 170, this.cameras.main.height - 90);
-      }
-      return { x, y, vx: 0, vy: 0, anchor, tx: t.x, ty: t.y };
-    });
-
-    const edges = [];
-    const addEdge = (a, b) => {
-      const rest = Math.hypot(target[a].x - target[b].x, target[a].y - target[b].y);
-      edges.push({ a, b, rest });
-    };
-    for (let i = 0; i < m; i++) {
-      addEdge(i, (i + 1) % m); // ring
-      addEdge(i, hub);         // spoke
-      addEdge(i, (i + 2) % m); // chord (triangulation → rigid)
-    }
-    this.edges = edges;
+    this.input.on('pointerup', () => { if (!this.holdToggle) this.pointerHeld = false; });
   }
 
   onDown(p) {
     if (this.gameOver) return;
-    let best = -1;
-    let bestD = GRAB_R;
-    this.nodes.forEach((n, i) => {
-      if (n.anchor) return;
-      const d = Phaser.Math.Distance.Between(p.x, p.y, n.x, n.y);
-      if (d < bestD) { bestD = d; best = i; }
-    });
-    this.dragIndex = best;
+    // Hold-to-toggle: a second click lets go of the node the first one took
+    if (this.holdToggle && this.pointerHeld) {
+      this.pointerHeld = false;
+      return;
+    }
+    this.press(INPUT.POINTER_PRESS);
+    this.pointerHeld = true;
     this.pointer.x = p.x;
     this.pointer.y = p.y;
   }
 
   update(time, delta) {
     if (this.gameOver) return;
-    const dt = Math.min(delta / 1000, 0.03);
-    this.elapsed += dt;
-
-    // Accumulate spring forces
-    const fx = new Array(this.nodes.length).fill(0);
-    const fy = new Array(this.nodes.length).fill(0);
-    let stressSum = 0;
-    for (const e of this.edges) {
-      const A = this.nodes[e.a];
-      const B = this.nodes[e.b];
-      const dx = B.x - A.x;
-      const dy = B.y - A.y;
-      const len = Math.hypot(dx, dy) || 0.0001;
-      const diff = len - e.rest;
-      stressSum += Math.abs(diff);
-      const f = K * diff; // >0 stretched (attract), <0 compressed (repel)
-      const ux = dx / len;
-      const uy = dy / len;
-      fx[e.a] += f * ux; fy[e.a] += f * uy;
-      fx[e.b] -= f * ux; fy[e.b] -= f * uy;
-    }
-    this.stress = stressSum / this.edges.length;
-
-    // Integrate free (non-dragged) nodes
-    const damp = Math.max(0, 1 - DAMP * dt);
-    for (let i = 0; i < this.nodes.length; i++) {
-      const n = this.nodes[i];
-      if (n.anchor) continue;
-      if (i === this.dragIndex) {
-        n.x = this.pointer.x; n.y = this.pointer.y; n.vx = 0; n.vy = 0;
-        continue;
-      }
-      n.vx = (n.vx + fx[i] * dt) * damp;
-      n.vy = (n.vy + fy[i] * dt) * damp;
-      n.x += n.vx * dt;
-      n.y += n.vy * dt;
-    }
-
-    // Win requires the aligned state to HOLD, not just flash past
-    if (this.stress < WIN_STRESS) this.alignedTime += dt;
-    else this.alignedTime = 0;
+    this.steerWithPad(delta);
+    this.stepRun(delta, this.pointerHeld ? INPUT.POINTER_HELD : 0, this.pointer);
 
     this.render();
 
-    const remaining = Math.max(0, this.timeLimit - this.elapsed);
+    const remaining = Math.max(0, this.timeLimit - this.sim.elapsed);
     this.timeFill.width = this.timeBarWidth * (remaining / this.timeLimit);
 
-    if (this.alignedTime >= HOLD_TO_WIN) this.endGame(true);
-    else if (remaining <= 0) this.endGame(false);
+    if (this.sim.over) this.endGame();
+  }
+
+  // The pad's grab point: the ring appears the first time the stick moves,
+  // starting mid-arena, and A grabs - held, or tapped on and off with
+  // hold-to-toggle - like the mouse button.
+  steerWithPad(delta) {
+    const { x, y, down } = this.pad;
+    if (x || y) {
+      if (!this.padCursor.visible) {
+        this.padCursor.setVisible(true);
+        if (!this.pointer.x && !this.pointer.y) {
+          this.pointer.x = this.cx;
+          this.pointer.y = this.scale.height / 2;
+        }
+      }
+      const step = PAD_CURSOR_SPEED * (delta / 1000);
+      this.pointer.x = Phaser.Math.Clamp(this.pointer.x + x * step, 0, this.scale.width);
+      this.pointer.y = Phaser.Math.Clamp(this.pointer.y + y * step, 0, this.scale.height);
+    }
+    this.padCursor.setPosition(this.pointer.x, this.pointer.y);
+
+    const grab = down.has('a');
+    if (grab && !this._padGrab) this.onDown(this.pointer);
+    else if (!grab && this._padGrab && !this.holdToggle) this.pointerHeld = false;
+    this._padGrab = grab;
   }
 
   render() {
@@ -237,57 +187,56 @@ export class StructuralRealignmentScene extends MiniGameScene {
     for (const e of this.edges) {
       const A = this.nodes[e.a];
       const B = this.nodes[e.b];
-      const len = Math.hypot(B.x - A.x, B.y - A.y);
-      const err = Math.abs(len - e.rest);
-      let color;
-      if (err < 8) { color = MG_COLORS.good; greenCount++; }
-      else if (err < 34) color = MG_COLORS.warn;
-      else color = MG_COLORS.critical;
-      this.linkGfx.lineStyle(2, color, 0.85);
-      this.linkGfx.lineBetween(A.x, A.y, B.x, B.y);
+      const err = linkError(this.sim, e);
+      let state;
+      if (err < ALIGNED_PX) { state = 'good'; greenCount++; }
+      else if (err < 34) state = 'warn';
+      else state = 'critical';
+      this.linkGfx.lineStyle(2, MG_COLORS[state], 0.85);
+      this.strokeState(this.linkGfx, A.x, A.y, B.x, B.y, state);
     }
 
     this.nodes.forEach((n, i) => {
       const g = this.nodeGfx[i];
       g.dot.setPosition(n.x, n.y);
       g.glow.setPosition(n.x, n.y);
-      const held = i === this.dragIndex;
-      g.glow.setFillStyle(THEME_COLOR, held ? 0.4 : 0);
-      if (!n.anchor) g.dot.setStrokeStyle(2, held ? MG_COLORS.accent : THEME_COLOR, held ? 1 : 0.7);
+      const held = i === this.sim.dragIndex || i === this.sim.partnerDrag;
+      const theirs = this.coop && n.seat !== this.seat;
+      g.glow.setFillStyle(THEME_COLOR, held ? (theirs ? 0.2 : 0.4) : 0);
+      if (!n.anchor) {
+        const alpha = held ? 1 : 0.7;
+        g.dot.setStrokeStyle(2, held && !theirs ? MG_COLORS.accent : THEME_COLOR, theirs ? alpha * 0.45 : alpha);
+      }
     });
 
     const pct = Math.round((greenCount / this.edges.length) * 100);
-    this.stressText.setText(`LINKS ALIGNED ${greenCount} / ${this.edges.length}   (${pct}%)`);
-    this.stressText.setColor(pct === 100 ? '#4fd1a5' : pct > 60 ? '#e0824a' : '#9497ad');
+    const state = pct === 100 ? 'good' : pct > 60 ? 'warn' : 'critical';
+    const glyph = this.stateCue('lattice', state);
+    this.stressText.setText(`${glyph} LINKS ALIGNED ${greenCount} / ${this.edges.length}   (${pct}%)`);
+    this.stressText.setColor(state === 'critical' ? '#9497ad' : hexColor(MG_COLORS[state]));
   }
 
-  endGame(success) {
+  endGame() {
     if (this.gameOver) return;
     this.gameOver = true;
-    this.input.keyboard.off('keydown-ESC');
+    this.offAction('mgAbort');
     this.input.off('pointerdown');
     this.input.off('pointermove');
     this.input.off('pointerup');
 
-    // Alignment quality: fraction of links at rest length, and how fast.
-    const aligned = this.edges.filter((e) => {
-      const A = this.nodes[e.a]; const B = this.nodes[e.b];
-      return Math.abs(Math.hypot(B.x - A.x, B.y - A.y) - e.rest) < 8;
-    }).length;
-    const alignPct = Math.round((aligned / this.edges.length) * 100);
-    const par = this.timeLimit * 0.5;
-    const speedBonus = success ? Math.max(0, 100 - Math.max(0, this.elapsed - par) * 4) : 0;
-    const accuracy = success ? Math.round(Phaser.Math.Clamp(speedBonus, 0, 100)) : alignPct;
-    const score = Math.max(0, Math.round((success ? 400 : 0) + accuracy * 5));
+    // Success grades on speed against par, failure on how much was aligned.
+    const { status, accuracy, score, alignPct } = outcome(this.sim);
+    const { elapsed, success } = this.sim;
+    const aligned = alignedLinks(this.sim);
 
     this.finishGame({
-      status: success ? 'success' : 'failed',
+      status,
       accuracy,
       score,
       themeColor: THEME_COLOR,
       statLines: [
         { label: 'Links Aligned', value: `${aligned} / ${this.edges.length}` },
-        { label: success ? 'Time' : 'Best Alignment', value: success ? `${this.elapsed.toFixed(1)}s` : `${alignPct}%` },
+        { label: success ? 'Time' : 'Best Alignment', value: success ? `${elapsed.toFixed(1)}s` : `${alignPct}%` },
         { label: 'Score', value: score },
       ],
       flavorText: success
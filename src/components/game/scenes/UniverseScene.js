@@ -2,8 +2,12 @@ import Phaser from "phaser";
 import seedrandom from "seedrandom";
 import { getChunkCoords, lerpFactorByDelta } from "../utils";
 import { STABILITY_CRITICAL_THRESHOLD } from "../constants";
-import { worldSeed, childScale, canDescend, DESCEND_CATEGORY, SCALE_LABEL, generateSystem } from "../world/worldScales.js";
-import { getSettings, onSettingsChange } from "../settings.js";
+import {
+  worldSeed, childScale, canDescend, DESCEND_CATEGORY, SCALE_LABEL, generateSystem, generateOrbit,
+  isBoundedScale, ORBITAL_WORLD_RADIUS,
+} from "../world/worldScales.js";
+import { orbitEpoch, orbitEllipse } from "../world/orbits.js";
+import { getSettings, onSettingsChange, keyLabel } from "../settings.js";
 import { startAmbient, stopAmbient, updateEngine, stopEngine, playSfx } from "../audio.js";
 import { ChunkSystem } from "../systems/ChunkSystem";
 import { TextureFactory } from "../graphics/TextureFactory.js";
@@ -19,6 +23,7 @@ import { CivilizationSystem } from "../systems/CivilizationSystem";
 import { CombatSystem } from "../systems/CombatSystem";
 import { RiftSpawnSystem } from "../systems/RiftSpawnSystem";
 import { CivFleetSystem } from "../systems/CivFleetSystem";
+import { ShipRenderer } from "../combat/shipRenderer.js";
 import { WaypointSystem } from "../systems/WaypointSystem";
 import { GravitySlingSystem } from "../systems/GravitySlingSystem";
 import { SurgeSystem } from "../systems/SurgeSystem";
@@ -26,12 +31,17 @@ import { HazardSystem } from "../systems/HazardSystem";
 import { SalvageSystem } from "../systems/SalvageSystem";
 import { AbilitySystem } from "../systems/AbilitySystem";
 import { CosmicEventSystem } from "../systems/CosmicEventSystem";
+import { CoopSystem } from "../systems/CoopSystem.js";
+import { TouchSystem } from "../systems/TouchSystem.js";
+import { ReplaySystem, playReplay } from "../systems/ReplaySystem.js";
+import { encodeReplay } from "../replay/replayFormat.js";
 import { getLoadoutLocal, setLoadoutLocal } from "../loadoutStore.js";
 import { HULL_CATALOG } from "../content/hullCatalog.js";
 import { narrate, narrateOnce, pick, muse, CURATOR } from "../narrator.js";
 import { markBeat } from "../firstSession.js";
 import { isTutorialDone, markTutorialDone } from "../tutorialGate.js";
 import { dlog } from "../../../devLog.js";
+import { universeChanges } from "../../../api/universePatch.js";
 
 // Module-level, not per-scene: survives remounts (leaving and re-entering a
 // universe within the same tab) so the full orientation toast only ever
@@ -39,7 +49,7 @@ import { dlog } from "../../../devLog.js";
 let welcomeHintShown = false;
 
 export const UniverseSceneFactory = (props) => {
-  const { onHUDUpdate, onMinimapUpdate, onFullMapUpdate, onDiscovery, onCivContact, onSceneReady, onEventReward, onVesselLost, onWaypointArrive, onHint, onWarStrike, onBombardment } = props;
+  const { onHUDUpdate, onMinimapUpdate, onFullMapUpdate, onDiscovery, onCivContact, onSceneReady, onEventReward, onVesselLost, onWaypointArrive, onHint, onWarStrike, onBombardment, onEscortLost, coopRelayUrl } = props;
 
   return class UniverseScene extends Phaser.Scene {
     constructor() {
@@ -59,12 +69,19 @@ export const UniverseSceneFactory = (props) => {
       this.onHint = onHint;
       this.onWarStrike = onWarStrike;
       this.onBombardment = onBombardment;
+      this.onEscortLost = onEscortLost;
     }
 
-    init({ universe, onAnomalyResolved, setStats }) {
+    init({ universe, onAnomalyResolved, setStats, replay }) {
       this.universe = universe;
       this.onAnomalyResolved = onAnomalyResolved;
       this.setStats = setStats;
+      // Instance state that would otherwise survive a restart (replay start/end)
+      this.paused = false;
+      this.firstLightId = null;
+      // Flight recorder: records this session, or plays `replay` back. First,
+      // so everything from create() on runs on its seeded Math.random.
+      this.replay = new ReplaySystem(this, replay);
       this.rng = seedrandom(universe.seed ?? "default");
     }
 
@@ -76,11 +93,16 @@ export const UniverseSceneFactory = (props) => {
     }
 
     create() {
+      this.replay.begin();
+
       // Cosmic Scales: which nested scale we're flying (galactic by default)
       // and the id/label chain of structures descended into. Must exist before
       // the first chunk load, since ChunkSystem seeds off worldSeed().
       this.world = { scale: "galactic", path: [], labels: [] };
       this.descentStack = [];
+      // Orbit clock (orbits.js): where the planets stand follows from the
+      // universe's age, read once here and run on at game speed after.
+      this.orbitT = orbitEpoch(this.universe?.currentState?.age);
 
       // Textures must exist before any chunk renders its objects.
       this.textureFactory = new TextureFactory(this, this.universe.seed ?? "default");
@@ -113,10 +135,12 @@ export const UniverseSceneFactory = (props) => {
 
       this.initScaleNavigation();
 
-      if (this.onHint && !welcomeHintShown) {
+      if (this.replay.playing) {
+        this.onHint?.(`Replaying a recorded session (${this.replay.log.frames.t.length} frames). Live input is off until it ends.`, 'info', 8000);
+      } else if (this.onHint && !welcomeHintShown) {
         welcomeHintShown = true;
         this.onHint(
-          'Your movement keys fly you (see the hint, bottom-right). Fly toward a glowing reticle and press F to resolve an anomaly, V to scan, G for first contact. ESC opens objectives and everything else.',
+          `Your movement keys fly you (see the hint, bottom-right). Fly toward a glowing reticle and press ${keyLabel("interact")} to resolve an anomaly, ${keyLabel("scan")} to scan, ${keyLabel("contact")} for first contact. ${keyLabel("menu")} opens objectives and everything else.`,
           'info',
           10000,
         );
@@ -214,6 +238,10 @@ export const UniverseSceneFactory = (props) => {
       this.minimapSystem = new MinimapSystem(this);
       this.fullMapSystem = new FullMapSystem(this);
       this.inputSystem = new InputSystem(this);
+      // Co-op containment: the coop key (N by default) calls a partner warden to an anomaly
+      this.coopSystem = new CoopSystem(this, coopRelayUrl ?? null);
+      // Touch play: pinch-zoom, and which touch buttons have a target
+      this.touchSystem = new TouchSystem(this);
       this.hud = new HUD(this);
 
       // Combat pillar: the player's gun + the rift-spawn that defend
@@ -227,12 +255,13 @@ export const UniverseSceneFactory = (props) => {
       // server decide the diplomatic and war-score consequences - and so are
       // the bombardment runs the player fails to stop, which the server can
       // turn into an extinction.
-      this.civFleetSystem = new CivFleetSystem(this);
+      this.civFleetSystem = new CivFleetSystem(this, new ShipRenderer(this));
       this.civFleetSystem.registerWith(this.combatSystem);
       this.civFleetSystem.onStrike = (civId, kills, context) =>
         this.onWarStrike?.(civId, kills, context);
       this.civFleetSystem.onBombard = (civId, runs, attackerCivId) =>
         this.onBombardment?.(civId, runs, attackerCivId);
+      this.civFleetSystem.onEscortLost = (civId, lost) => this.onEscortLost?.(civId, lost);
 
       this.anomalySystem.syncBackendAnomalies();
       this.riftSpawnSystem.sync();
@@ -313,6 +342,9 @@ export const UniverseSceneFactory = (props) => {
         return;
       }
 
+      // Practice runs (ghost races) have nothing to resolve
+      if (anomaly.practice) return;
+
       if (!anomaly.id) {
         console.error('❌ Invalid anomaly object - missing id field:', anomaly);
         return;
@@ -693,6 +725,12 @@ export const UniverseSceneFactory = (props) => {
         Phaser.Math.Linear(this.crisisOverlay.alpha, crisisTarget, lerpFactorByDelta(0.06, delta))
       );
 
+      // Planets go round before anything reads where they are. Time Dilation
+      // slows them with the rest of the world.
+      this.orbitT += (delta / 1000) * (this.worldTimeScale ?? 1);
+      this.chunkSystem.updateOrbits(this.orbitT);
+      this.civilizationSystem.followOrbits(this.orbitT);
+
       this.inputSystem.handlePlayerMovement(this.player, delta);
       // Anomaly forces stack on top of the acceleration input just set
       this.hazardSystem.update(time);
@@ -733,6 +771,7 @@ export const UniverseSceneFactory = (props) => {
       this.hud.update(this.player);
       this.backgroundSystem.update();
       this.scanSystem.update(delta);
+      this.touchSystem.update(delta);
 
       // Velocity-reactive engine hum
       updateEngine(this.player.body.velocity.length() / 600, this.player.isBoosting || false);
@@ -866,6 +905,8 @@ export const UniverseSceneFactory = (props) => {
       this.lastChunkCheck = time;
 
       const nextChunk = getChunkCoords(this.player.x, this.player.y);
+      // Warm what the ship is heading into before it gets there
+      this.chunkSystem.prefetch(nextChunk.chunkX, nextChunk.chunkY, this.player.body.velocity);
       if (
         nextChunk.chunkX !== this.currentChunk.chunkX ||
         nextChunk.chunkY !== this.currentChunk.chunkY
@@ -893,17 +934,21 @@ export const UniverseSceneFactory = (props) => {
     _firstLightKey() {
       return `eterna:firstlight:${this.universe?._id ?? this.universe?.id ?? "u"}`;
     }
-    _armFirstLight() {
+    _firstLightDue() {
       const u = this.universe;
-      if (!u) return;
       // The guided opening is a once-per-ACCOUNT tutorial, not a per-universe
       // one - a returning warden's fresh universes skip it (Replay in the menu).
-      if (isTutorialDone()) return;
+      if (isTutorialDone()) return false;
       const fresh = (u.discoveries?.length ?? 0) === 0 && !u.chosenCivId
         && (u.metrics?.playerInterventions ?? 0) === 0;
       let done = false;
       try { done = localStorage.getItem(this._firstLightKey()) === "done"; } catch { /* ignore */ }
-      if (!fresh || done) return;
+      return fresh && !done;
+    }
+    _armFirstLight() {
+      if (!this.universe) return;
+      // Device state decides this - a replay re-uses the recorded answer
+      if (!this.replay.decide("firstLight", this._firstLightDue())) return;
 
       this.firstLightId = "0:0:9990";
       this.chunkSystem.forcedAnomaly = {
@@ -916,8 +961,10 @@ export const UniverseSceneFactory = (props) => {
     _completeFirstLight() {
       this.firstLightId = null;
       if (this.chunkSystem) this.chunkSystem.forcedAnomaly = null;
-      try { localStorage.setItem(this._firstLightKey(), "done"); } catch { /* ignore */ }
-      markTutorialDone(); // the account has now seen the guided opening
+      if (!this.replay.playing) {
+        try { localStorage.setItem(this._firstLightKey(), "done"); } catch { /* ignore */ }
+        markTutorialDone(); // the account has now seen the guided opening
+      }
       this.time.delayedCall(1200, () => narrate(pick(CURATOR.firstLight.resolve)));
     }
 
@@ -925,11 +972,13 @@ export const UniverseSceneFactory = (props) => {
     // physics AND the update loop, so the ship, surges, hazards and timers all
     // stop while you're in a menu. Momentum is preserved across the pause.
     pauseGame() {
+      if (this.replay.external("pause")) return;
       if (this.paused) return;
       this.paused = true;
       this.physics.world.pause();
     }
     resumeGame() {
+      if (this.replay.external("resume")) return;
       if (!this.paused) return;
       this.paused = false;
       this.physics.world.resume();
@@ -937,10 +986,27 @@ export const UniverseSceneFactory = (props) => {
 
     // Locator bridge (called from React via sceneRef): guide the player to a
     // civilization across the cosmic scales, or stop guiding.
-    setCivWaypoint(civId) { this.waypointSystem?.setTarget(civId); }
-    clearCivWaypoint() { this.waypointSystem?.clear(); }
+    setCivWaypoint(civId) {
+      if (this.replay.external("waypoint", civId)) return;
+      this.waypointSystem?.setTarget(civId);
+    }
+    clearCivWaypoint() {
+      if (this.replay.external("waypoint", null)) return;
+      this.waypointSystem?.clear();
+    }
     getWaypointCivId() { return this.waypointSystem?.civId ?? null; }
 
+    // Escort bridge (First Contact panel, escort strip): a friendly people's
+    // wing. requestEscort returns why not ("unwilling" | "refused"), or null.
+    requestEscort(civId) {
+      if (this.replay.external("escort", civId)) return null;
+      return this.civFleetSystem?.requestEscort(civId) ?? "unwilling";
+    }
+    orderEscort(order) {
+      if (this.replay.external("escortOrder", order)) return;
+      this.civFleetSystem?.orderEscort(order);
+    }
+
     initScaleNavigation() {
       const w = this.scale.width;
       const h = this.scale.height;
@@ -955,19 +1021,6 @@ export const UniverseSceneFactory = (props) => {
       this._updateBreadcrumb();
       this._promptTimer = 0;
 
-      // ENTER descends into the nearest structure; BACKSPACE ascends.
-      this.descendKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.ENTER);
-      this.ascendKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.BACKSPACE);
-      this.descendKey.on("down", () => {
-        if (this.inputSystem?.isMinigameActive) return;
-        const target = this.nearestDescendable();
-        if (target) this.descend(target);
-      });
-      this.ascendKey.on("down", () => {
-        if (this.inputSystem?.isMinigameActive) return;
-        this.ascend();
-      });
-
       // create() calls layoutUI() BEFORE this method runs, so these two texts
       // would otherwise never be laid out at all. Lay out now, and again on
       // the next tick: with Scale.RESIZE the container's final size often
@@ -977,8 +1030,19 @@ export const UniverseSceneFactory = (props) => {
       this.time.delayedCall(0, () => this.layoutUI());
     }
 
-    // Nearest descendable structure (galaxy at galactic, star at stellar) the
-    // player is close enough to enter, or null.
+    handleDescendKey() {
+      if (this.inputSystem?.isMinigameActive) return;
+      const target = this.nearestDescendable();
+      if (target) this.descend(target);
+    }
+
+    handleAscendKey() {
+      if (this.inputSystem?.isMinigameActive) return;
+      this.ascend();
+    }
+
+    // Nearest descendable structure (galaxy at galactic, star at stellar,
+    // planet at planetary) the player is close enough to enter, or null.
     nearestDescendable() {
       if (!canDescend(this.world.scale)) return null;
       const cat = DESCEND_CATEGORY[this.world.scale];
@@ -1006,9 +1070,12 @@ export const UniverseSceneFactory = (props) => {
         path: [...this.world.path, descriptor.id],
         labels: [...this.world.labels, descriptor.name],
       };
-      // At the planetary scale the system's star sits at the origin, so drop
-      // the player out beyond it rather than on top of it.
-      const spawn = this.world.scale === "planetary" ? { x: 0, y: -1150 } : { x: 0, y: 0 };
+      // Bounded scales have their star/planet at the origin, so drop the
+      // player out beyond it rather than on top of it.
+      const spawn = {
+        planetary: { x: 0, y: -1150 },
+        orbital: { x: 0, y: -(ORBITAL_WORLD_RADIUS + 380) },
+      }[this.world.scale] ?? { x: 0, y: 0 };
       this._enterScale(spawn.x, spawn.y);
       markBeat('descend'); // first-session arc: they've folded down a scale
       narrate(`Descending into ${descriptor.name}. A whole ${SCALE_LABEL[this.world.scale].toLowerCase()} realm, folded inside a single point of light.`);
@@ -1034,9 +1101,10 @@ export const UniverseSceneFactory = (props) => {
       this.combatSystem.clear();
       this.chunkSystem.reset();
 
-      // A planetary system is small and bounded, so load a wider area (cheap -
-      // few objects) to keep its planets on screen; other scales stay tight.
-      this.chunkSystem.activeChunkRadius = this.world.scale === "planetary" ? 6 : 2;
+      // A planetary system or an orbit is small and bounded, so load a wider
+      // area (cheap - few objects) to keep its bodies on screen; other scales
+      // stay tight.
+      this.chunkSystem.activeChunkRadius = isBoundedScale(this.world.scale) ? 6 : 2;
 
       this.player.setPosition(x, y);
       this.player.body?.setVelocity?.(0, 0);
@@ -1057,15 +1125,37 @@ export const UniverseSceneFactory = (props) => {
       this.cameras.main.flash(220, 12, 15, 28);
     }
 
-    // Faint concentric orbit rings around a system's star, so the layout is
-    // instantly readable and the player can follow a ring to each planet.
+    // Faint orbit paths around a system's star (or an orbit's planet), so the
+    // layout is instantly readable and the player can follow a path to each
+    // body. Planets trace their Keplerian ellipse (star at a focus). A ringed
+    // planet gets its ring band drawn too.
     _drawSystemOrbits() {
       (this._orbitRings || []).forEach((r) => r.destroy());
       this._orbitRings = [];
-      if (this.world.scale !== "planetary") return;
-      const system = generateSystem(this.worldSeed(), this.world.labels[this.world.labels.length - 1]);
-      for (const o of system) {
-        if (o.category !== "planet") continue;
+      if (!isBoundedScale(this.world.scale)) return;
+      const parentName = this.world.labels[this.world.labels.length - 1];
+      const orbital = this.world.scale === "orbital";
+      const bodies = orbital ? generateOrbit(this.worldSeed(), parentName) : generateSystem(this.worldSeed(), parentName);
+      for (const o of bodies) {
+        if (o.central && o.rings) {
+          const { inner, outer, color } = o.rings;
+          const band = this.add.circle(0, 0, (inner + outer) / 2, 0x000000, 0)
+            .setStrokeStyle(outer - inner, color, 0.32)
+            .setDepth(-2);
+          this._orbitRings.push(band);
+          continue;
+        }
+        if (o.orbit) {
+          const path = orbitEllipse(o.orbit);
+          const ellipse = this.add.ellipse(path.x, path.y, path.a * 2, path.b * 2, 0x000000, 0)
+            .setStrokeStyle(1, 0x5a6a9a, 0.28)
+            .setSmoothness(160) // the default 64 sides show on the outer orbits
+            .setRotation(path.rotation)
+            .setDepth(-4);
+          this._orbitRings.push(ellipse);
+          continue;
+        }
+        if (!(orbital ? o.category === "moon" || o.category === "station" : o.category === "planet")) continue;
         const radius = Math.hypot(o.x, o.y);
         const ring = this.add.circle(0, 0, radius, 0x000000, 0)
           .setStrokeStyle(1, 0x5a6a9a, 0.28)
@@ -1089,9 +1179,9 @@ export const UniverseSceneFactory = (props) => {
       if (!this.scalePrompt) return;
       const target = this.nearestDescendable();
       if (target) {
-        this.scalePrompt.setText(`[ ENTER ]  descend into ${target.name}`).setVisible(true);
+        this.scalePrompt.setText(`[ ${keyLabel("descend")} ]  descend into ${target.name}`).setVisible(true);
       } else if (this.descentStack.length) {
-        this.scalePrompt.setText("[ BACKSPACE ]  ascend").setVisible(true);
+        this.scalePrompt.setText(`[ ${keyLabel("ascend")} ]  ascend`).setVisible(true);
       } else {
         this.scalePrompt.setVisible(false);
       }
@@ -1168,6 +1258,12 @@ export const UniverseSceneFactory = (props) => {
      */
     devAction(action) {
       if (!this.player) return false;
+      if (action === 'replay:stop') {
+        if (!this.stopReplay) return false;
+        this.stopReplay();
+        return true;
+      }
+      if (this.replay.external('dev', action)) return false;
 
       // Dev-only: launch any anomaly minigame directly at a chosen severity,
       // for feel/difficulty testing without hunting a matching anomaly. The
@@ -1177,7 +1273,7 @@ export const UniverseSceneFactory = (props) => {
         const [, sceneKey, sevStr] = action.split(':');
         const severity = Phaser.Math.Clamp(Number(sevStr) || 3, 1, 5);
         this.events.emit('minigame:start', { anomaly: { severity } });
-        this.scene.launch(sceneKey, { anomaly: { severity, category: 'dev' } });
+        this.launchMinigame(sceneKey, { anomaly: { severity, category: 'dev' } });
         return true;
       }
 
@@ -1197,9 +1293,9 @@ export const UniverseSceneFactory = (props) => {
         case 'cycle-hull': {
           // Session-only: writes the local store this scene polls each
           // frame - never the server, so real unlocks stay authoritative
-          const { hull, shipColor } = getLoadoutLocal();
+          const { hull, shipColor, ordnance } = getLoadoutLocal();
           const idx = HULL_CATALOG.findIndex((h) => h.id === hull);
-          setLoadoutLocal(HULL_CATALOG[(idx + 1) % HULL_CATALOG.length].id, shipColor);
+          setLoadoutLocal(HULL_CATALOG[(idx + 1) % HULL_CATALOG.length].id, shipColor, ordnance);
           return true;
         }
         default:
@@ -1207,11 +1303,35 @@ export const UniverseSceneFactory = (props) => {
       }
     }
 
+    // Minigames run as their own scenes alongside this one. A replay doesn't
+    // launch them: the recorded result arrives from the log instead.
+    launchMinigame(sceneKey, data) {
+      if (this.replay.playing) return;
+      // The universe's difficulty feeds each game's challenge level
+      this.scene.launch(sceneKey, { ...data, difficulty: this.universe?.difficulty ?? null });
+    }
+
+    // Flight recorder bridge (called from React via sceneRef): the session so
+    // far as replay-file text, and playback of a decoded recording.
+    exportReplay() {
+      return encodeReplay(this.replay.log);
+    }
+
+    startReplay(replay) {
+      if (this.replay.playing) this.stopReplay?.();
+      this.stopReplay = playReplay(this, replay, {
+        onEnd: () => {
+          this.stopReplay = null;
+          this.onHint?.('Replay finished - back to the live universe.', 'info', 5000);
+        },
+      });
+    }
+
     /**
      * Position every screen-anchored element for the current canvas size.
      *
      * This is one method rather than three because the bug it fixes came from
-     * exactly that split: the breadcrumb and the [ENTER] descend prompt were
+     * exactly that split: the breadcrumb and the descend prompt were
      * placed once in initScaleNavigation() from `this.scale.height`, and no
      * resize path ever moved them again. When the container hadn't finished
      * laying out at boot, `h - 96` put the prompt below the visible viewport -
@@ -1237,20 +1357,32 @@ export const UniverseSceneFactory = (props) => {
       this.layoutUI();
     }
 
+    // The page reconciles/patches the universe so unchanged parts keep their
+    // identity (api/universePatch.js) - only re-sync what actually moved.
     updateFromUniverse(newUniverse) {
+      if (this.replay.external("universe", newUniverse)) return;
+      const changes = universeChanges(this.universe, newUniverse);
       this.universe = newUniverse;
-      this.anomalySystem.syncBackendAnomalies();
-      this.anomalySystem.renderBackendAnomalies(this.chunkSystem.loadedChunks);
-      (newUniverse.resolvedMinorAnomalies || []).forEach((id) =>
-        this.anomalySystem.resolvedAnomalies.add(id)
-      );
-      this.scanSystem.seedScanned((newUniverse.discoveries || []).map((d) => d.id));
-      this.civilizationSystem.sync();
-      this.civilizationSystem.renderVisible(this.chunkSystem.loadedChunks);
-      // New/escalated anomalies may have grown (or lost) their siege escort
-      this.riftSpawnSystem.sync();
-      // Wars start and end server-side: re-derive who is besieging whom
-      this.civFleetSystem.sync();
+      if (changes.anomalies.any) {
+        this.anomalySystem.syncBackendAnomalies(changes.anomalies);
+        this.anomalySystem.renderBackendAnomalies(this.chunkSystem.loadedChunks);
+        // New/escalated anomalies may have grown (or lost) their siege escort
+        this.riftSpawnSystem.sync();
+      }
+      if (changes.resolvedMinor) {
+        (newUniverse.resolvedMinorAnomalies || []).forEach((id) =>
+          this.anomalySystem.resolvedAnomalies.add(id)
+        );
+      }
+      if (changes.discoveries) {
+        this.scanSystem.seedScanned((newUniverse.discoveries || []).map((d) => d.id));
+      }
+      if (changes.civilizations.any || changes.wars) {
+        this.civilizationSystem.sync(changes);
+        this.civilizationSystem.renderVisible(this.chunkSystem.loadedChunks);
+        // Wars start and end server-side: re-derive who is besieging whom
+        this.civFleetSystem.sync();
+      }
     }
 
     shutdown() {
@@ -1258,12 +1390,7 @@ export const UniverseSceneFactory = (props) => {
       this.tweens.killAll();
       
       // Clean up chunk system and anomalies
-      if (this.chunkSystem) {
-        this.chunkSystem.loadedChunks.forEach((chunk) => {
-          this.chunkSystem.cleanupChunk(chunk);
-        });
-        this.chunkSystem.loadedChunks.clear();
-      }
+      this.chunkSystem?.destroy();
       
       // Clean up backend anomalies
       if (this.anomalySystem && this.anomalySystem.backendAnomalies) {
@@ -1281,6 +1408,7 @@ export const UniverseSceneFactory = (props) => {
       this.riftSpawnSystem?.destroy();
       this.civFleetSystem?.destroy();
       this.inputSystem?.destroy();
+      this.touchSystem?.destroy();
       this.civilizationSystem?.destroy();
       this.cosmicEventSystem?.destroy();
       this.unsubscribePostFX?.();
@@ -1297,9 +1425,13 @@ export const UniverseSceneFactory = (props) => {
       
       // Off event listeners
       this.scale.off('resize', this.handleResize, this);
+      // The scene's event emitter outlives a restart - anything registered in
+      // create() must come off here or it fires twice next time.
+      this.events.off('minigame:start');
       this.events.off('minigame:complete');
       this.events.off('minigame:abort');
       this.events.off('scan:complete');
+      this.events.off('hint');
     }
   };
 };
\ No newline at end of file
@@ -0,0 +1,26 @@
+/**
+ * Every minigame scene class, for the Phaser configs that host them
+ * (PhaserGame.jsx and the Containment Simulator). Names and Codex links for
+ * each live in content/minigameCatalog.js.
+ */
+import { QuantumStabilizerScene } from './QuantumStabilizerScene.js';
+import { GravityWellScene } from './GravityWellScene.js';
+import { CascadeReactionScene } from './CascadeReactionScene.js';
+import { WaveformCollapseScene } from './WaveformCollapseScene.js';
+import { ExpansionContainmentScene } from './ExpansionContainmentScene.js';
+import { StructuralRealignmentScene } from './StructuralRealignmentScene.js';
+import { PolarityBalanceScene } from './PolarityBalanceScene.js';
+import { CosmicStringScene } from './CosmicStringScene.js';
+import { QuantumTunnelingScene } from './QuantumTunnelingScene.js';
+
+export const MINIGAME_SCENES = [
+  QuantumStabilizerScene,
+  GravityWellScene,
+  CascadeReactionScene,
+  WaveformCollapseScene,
+  ExpansionContainmentScene,
+  StructuralRealignmentScene,
+  PolarityBalanceScene,
+  CosmicStringScene,
+  QuantumTunnelingScene,
+];
@@ -7,11 +7,16 @@
 //
 // Phaser systems read via getSettings() (a module-variable lookup, safe to
 // call per-frame); React reads the same and writes through updateSettings().
+//
+// The key map lives here too: KEY_ACTIONS names every keyboard action, and
+// every system and panel asks keyBindings()/keyFor() which key is on it
+// rather than naming a key itself.
 
 const STORAGE_KEY = "eternaverse:settings";
 
 export const DEFAULT_SETTINGS = {
   keyboardLayout: "azerty", // "azerty" (ZQSD, the original bindings) | "qwerty" (WASD)
+  keyBindings: {},          // action -> key (KEY_CODES name), over the defaults - see keyBindings()
   // "direct" (arrow-key arcade: go where you point, ship auto-faces, snappy) is
   // the default so new players aren't dropped into a hard flight sim.
   // "assisted" (lateral grip + auto-brake) and "newtonian" (full inertia) are the
@@ -27,7 +32,131 @@ export const DEFAULT_SETTINGS = {
   ambientVolume: 0.5,       // 0 - 1, the deep-space drone
   minimapSize: "medium",    // "small" | "medium" | "large" - radar diameter, see MINIMAP_SIZES
   postFx: true,             // bloom + vignette post-processing (WebGL only)
+  gamepadBindings: {},      // action -> pad button, over gamepad.js DEFAULT_PAD_BINDINGS
+  touchControls: "auto",    // "auto" (on a touch screen) | "on" | "off" - see touch.js
+  // Accessibility, for the minigames - see minigames/assist.js, which also
+  // says what each does to a run's rewards
+  minigameTimeScale: 1,     // 1 | 0.75 | 0.5 - slow motion
+  holdToToggle: false,      // a tap latches a held control until tapped again
+  colorPalette: "default",  // "default" | "deuteranopia" | "protanopia"
+  // Per-minigame recent accuracies, which set each game's challenge level -
+  // see minigames/skillModel.js. The server's copy as it last sent it, so
+  // written from its responses (GameplayPage), not by the panel or a run.
+  minigameSkill: {},
+};
+
+// Movement key presets: the movement cluster's default keys. AZERTY (ZQSD)
+// is the game's original binding; QWERTY gives the standard WASD cluster.
+export const KEY_LAYOUTS = {
+  azerty: { thrust: "Z", brake: "S", left: "Q", right: "D", strafeLeft: "A", strafeRight: "E" },
+  qwerty: { thrust: "W", brake: "S", left: "A", right: "D", strafeLeft: "Q", strafeRight: "E" },
+};
+
+// Every keyboard action, in the order SettingsPanel lists them. `scopes` is
+// where its key is live: "flight" in the universe, "minigame" while one
+// runs. The panel hotkeys work in both - except the menu, which leaves ESC
+// to a minigame's abort. Two actions sharing a scope can't share a key
+// (keyConflicts). Movement cluster defaults come from KEY_LAYOUTS.
+const FLIGHT = ["flight"];
+const ANYWHERE = ["flight", "minigame"];
+const MINIGAME = ["minigame"];
+export const KEY_ACTIONS = [
+  { id: "thrust", label: "Thrust", group: "Flight", scopes: FLIGHT },
+  { id: "brake", label: "Brake", group: "Flight", scopes: FLIGHT },
+  { id: "left", label: "Turn left", group: "Flight", scopes: FLIGHT },
+  { id: "right", label: "Turn right", group: "Flight", scopes: FLIGHT },
+  { id: "strafeLeft", label: "Strafe left", group: "Flight", scopes: FLIGHT },
+  { id: "strafeRight", label: "Strafe right", group: "Flight", scopes: FLIGHT },
+  { id: "arrowUp", label: "Direct up", group: "Flight", scopes: FLIGHT, key: "UP" },
+  { id: "arrowDown", label: "Direct down", group: "Flight", scopes: FLIGHT, key: "DOWN" },
+  { id: "arrowLeft", label: "Direct left", group: "Flight", scopes: FLIGHT, key: "LEFT" },
+  { id: "arrowRight", label: "Direct right", group: "Flight", scopes: FLIGHT, key: "RIGHT" },
+  { id: "boost", label: "Boost", group: "Flight", scopes: FLIGHT, key: "SHIFT" },
+  { id: "fire", label: "Fire", group: "Flight", scopes: FLIGHT, key: "X" },
+  { id: "secondary", label: "Secondary ordnance", group: "Flight", scopes: FLIGHT, key: "R" },
+  { id: "interact", label: "Resolve anomaly", group: "Commands", scopes: FLIGHT, key: "F" },
+  { id: "scan", label: "Scan object", group: "Commands", scopes: FLIGHT, key: "V" },
+  { id: "contact", label: "First contact", group: "Commands", scopes: FLIGHT, key: "G" },
+  { id: "coop", label: "Call a partner", group: "Commands", scopes: FLIGHT, key: "N" },
+  { id: "wing", label: "Escort orders", group: "Commands", scopes: FLIGHT, key: "Y" },
+  { id: "ability", label: "Ability", group: "Commands", scopes: FLIGHT, key: "SPACE" },
+  { id: "descend", label: "Descend", group: "Commands", scopes: FLIGHT, key: "ENTER" },
+  { id: "ascend", label: "Ascend", group: "Commands", scopes: FLIGHT, key: "BACKSPACE" },
+  { id: "menu", label: "Menu / close", group: "Panels", scopes: FLIGHT, key: "ESC" },
+  { id: "missions", label: "Objectives", group: "Panels", scopes: ANYWHERE, key: "O" },
+  { id: "codex", label: "Codex", group: "Panels", scopes: ANYWHERE, key: "C" },
+  { id: "self", label: "The Self", group: "Panels", scopes: ANYWHERE, key: "J" },
+  { id: "outfitting", label: "Outfitting", group: "Panels", scopes: ANYWHERE, key: "U" },
+  { id: "hangar", label: "Hangar", group: "Panels", scopes: ANYWHERE, key: "H" },
+  { id: "chronicle", label: "Chronicle", group: "Panels", scopes: ANYWHERE, key: "L" },
+  { id: "transmissions", label: "Transmissions", group: "Panels", scopes: ANYWHERE, key: "T" },
+  { id: "locator", label: "Locate civilizations", group: "Panels", scopes: ANYWHERE, key: "B" },
+  { id: "achievements", label: "Achievements", group: "Panels", scopes: ANYWHERE, key: "P" },
+  { id: "map", label: "Full map", group: "Panels", scopes: ANYWHERE, key: "M" },
+  { id: "dev", label: "Dev tools (admin)", group: "Panels", scopes: ANYWHERE, key: "K" },
+  { id: "mgUp", label: "Up", group: "Minigames", scopes: MINIGAME, key: "UP" },
+  { id: "mgDown", label: "Down", group: "Minigames", scopes: MINIGAME, key: "DOWN" },
+  { id: "mgLeft", label: "Left", group: "Minigames", scopes: MINIGAME, key: "LEFT" },
+  { id: "mgRight", label: "Right", group: "Minigames", scopes: MINIGAME, key: "RIGHT" },
+  { id: "mgAction", label: "Act / measure", group: "Minigames", scopes: MINIGAME, key: "SPACE" },
+  { id: "mgAbort", label: "Abort", group: "Minigames", scopes: MINIGAME, key: "ESC" },
+  { id: "mgGhost", label: "Race the ghost", group: "Minigames", scopes: MINIGAME, key: "G" },
+];
+
+// Bindable keys by name (Phaser's KeyCodes names, so Phaser binds them as
+// they are) -> DOM keyCode, which is what both Phaser and keyFromEvent match.
+export const KEY_CODES = {
+  BACKSPACE: 8, TAB: 9, ENTER: 13, SHIFT: 16, CTRL: 17, ALT: 18, ESC: 27, SPACE: 32,
+  PAGE_UP: 33, PAGE_DOWN: 34, END: 35, HOME: 36, LEFT: 37, UP: 38, RIGHT: 39, DOWN: 40,
+  INSERT: 45, DELETE: 46, SEMICOLON: 186, PLUS: 187, COMMA: 188, MINUS: 189, PERIOD: 190,
+  FORWARD_SLASH: 191, BACKTICK: 192, OPEN_BRACKET: 219, BACK_SLASH: 220, CLOSED_BRACKET: 221, QUOTES: 222,
 };
+"ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("").forEach((c) => { KEY_CODES[c] = c.charCodeAt(0); });
+["ZERO", "ONE", "TWO", "THREE", "FOUR", "FIVE", "SIX", "SEVEN", "EIGHT", "NINE"].forEach((n, i) => { KEY_CODES[n] = 48 + i; });
+for (let i = 1; i <= 12; i++) KEY_CODES[`F${i}`] = 111 + i;
+
+const NAME_BY_CODE = Object.fromEntries(Object.entries(KEY_CODES).map(([name, code]) => [code, name]));
+
+const KEY_GLYPHS = {
+  UP: "↑", DOWN: "↓", LEFT: "←", RIGHT: "→", SEMICOLON: ";", PLUS: "=", COMMA: ",", MINUS: "-",
+  PERIOD: ".", FORWARD_SLASH: "/", BACKTICK: "`", OPEN_BRACKET: "[", BACK_SLASH: "\\", CLOSED_BRACKET: "]", QUOTES: "'",
+  ZERO: "0", ONE: "1", TWO: "2", THREE: "3", FOUR: "4", FIVE: "5", SIX: "6", SEVEN: "7", EIGHT: "8", NINE: "9",
+  PAGE_UP: "PG UP", PAGE_DOWN: "PG DN",
+};
+
+/** The key map in force: saved bindings over the layout's cluster and the defaults. */
+export function keyBindings(s = settings) {
+  const defaults = Object.fromEntries(KEY_ACTIONS.map((a) => [a.id, a.key]));
+  return { ...defaults, ...(KEY_LAYOUTS[s.keyboardLayout] || KEY_LAYOUTS.azerty), ...s.keyBindings };
+}
+
+/** The key on `action` right now. */
+export const keyFor = (action) => keyBindings()[action];
+
+/** How a key name is shown: "SPACE", "F", "↑". */
+export const keyName = (key) => KEY_GLYPHS[key] ?? key ?? "—";
+
+/** How the key on `action` is shown, e.g. in a "[F] resolve" prompt. */
+export const keyLabel = (action) => keyName(keyFor(action));
+
+/** A DOM keyboard event's key, by KEY_CODES name; null for keys we don't bind. */
+export const keyFromEvent = (e) => NAME_BY_CODE[e.keyCode] ?? null;
+
+/**
+ * Actions whose key another action in one of their scopes also has:
+ * { action: [the actions it clashes with] }, empty when the map is clean.
+ */
+export function keyConflicts(bindings) {
+  const out = {};
+  KEY_ACTIONS.forEach((a, i) => {
+    KEY_ACTIONS.slice(i + 1).forEach((b) => {
+      if (bindings[a.id] !== bindings[b.id] || !a.scopes.some((sc) => b.scopes.includes(sc))) return;
+      (out[a.id] ??= []).push(b.id);
+      (out[b.id] ??= []).push(a.id);
+    });
+  });
+  return out;
+}
 
 // Radar diameter in pixels per minimapSize setting - shared by MinimapPanel
 // (rendering) and SettingsPanel (the picker).
@@ -46,17 +175,11 @@ const listeners = new Set();
 
 export const getSettings = () => settings;
 
-export function updateSettings(patch) {
-  settings = { ...settings, ...patch };
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
-  } catch {
-    // Storage unavailable (private mode etc.) - settings still apply for this session
-  }
+function notify() {
   // Isolate each listener: one throwing (e.g. a stale/torn-down subscriber)
-  // must never stop the rest from running, or block this function's own
-  // return value from reaching the caller - that's exactly what let a
-  // single bad InputSystem instance silently break every settings panel.
+  // must never stop the rest from running, or block the caller's own return
+  // value - that's exactly what let a single bad InputSystem instance
+  // silently break every settings panel.
   listeners.forEach((fn) => {
     try {
       fn(settings);
@@ -64,11 +187,36 @@ export function updateSettings(patch) {
       console.error("settings listener failed:", err);
     }
   });
+}
+
+export function updateSettings(patch) {
+  settings = { ...settings, ...patch };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Storage unavailable (private mode etc.) - settings still apply for this session
+  }
+  notify();
   return settings;
 }
 
+// Session-only override, never written to storage: replay playback flies
+// with the recorded session's flight model, not this device's. Returns a
+// function that puts the previous values back.
+export function overrideSettings(patch) {
+  const previous = Object.fromEntries(Object.keys(patch).map((k) => [k, settings[k]]));
+  settings = { ...settings, ...patch };
+  notify();
+  return () => {
+    settings = { ...settings, ...previous };
+    notify();
+  };
+}
+
+// Resetting preferences keeps the minigame history: it's the server's record
+// of how the warden has played, not a preference.
 export function resetSettings() {
-  return updateSettings({ ...DEFAULT_SETTINGS });
+  return updateSettings({ ...DEFAULT_SETTINGS, minigameSkill: settings.minigameSkill });
 }
 
 // Subscribe to changes (returns an unsubscribe function). Used by systems
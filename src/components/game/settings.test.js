@@ -0,0 +1,39 @@
+// src/components/game/settings.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_SETTINGS, KEY_ACTIONS, KEY_CODES, keyBindings, keyConflicts, keyFromEvent, keyName } from "./settings.js";
+
+const settingsWith = (patch) => ({ ...DEFAULT_SETTINGS, ...patch });
+
+test("every action has a bindable key and the defaults don't clash", () => {
+  for (const layout of ["azerty", "qwerty"]) {
+    const bindings = keyBindings(settingsWith({ keyboardLayout: layout }));
+    for (const { id } of KEY_ACTIONS) assert.ok(KEY_CODES[bindings[id]], `${layout}: ${id}`);
+    assert.deepEqual(keyConflicts(bindings), {});
+  }
+});
+
+test("the layout sets the movement cluster and saved keys override both", () => {
+  const bindings = keyBindings(settingsWith({ keyboardLayout: "qwerty", keyBindings: { thrust: "I", scan: "R" } }));
+  assert.equal(bindings.thrust, "I");
+  assert.equal(bindings.left, "A");
+  assert.equal(bindings.scan, "R");
+  assert.equal(bindings.interact, "F");
+});
+
+test("a clash is reported only between actions live at the same time", () => {
+  const flight = keyBindings(settingsWith({ keyBindings: { scan: "F" } }));
+  assert.deepEqual(keyConflicts(flight), { interact: ["scan"], scan: ["interact"] });
+
+  // Abort and the menu both sit on ESC - one in minigames, one in flight
+  const apart = keyBindings(settingsWith({ keyBindings: { mgAction: "G", contact: "SPACE", ability: "C" } }));
+  assert.deepEqual(Object.keys(keyConflicts(apart)).sort(), ["ability", "codex", "mgAction", "mgGhost"]);
+});
+
+test("keyboard events name their key the way bindings do", () => {
+  assert.equal(keyFromEvent({ keyCode: 70 }), "F");
+  assert.equal(keyFromEvent({ keyCode: 27 }), "ESC");
+  assert.equal(keyFromEvent({ keyCode: 229 }), null);
+  assert.equal(keyName("UP"), "↑");
+  assert.equal(keyName("SHIFT"), "SHIFT");
+});
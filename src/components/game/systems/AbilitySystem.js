@@ -1,6 +1,7 @@
 // src/components/game/systems/AbilitySystem.js
 //
-// Per-hull active abilities on SPACE. Each hull has one signature trick
+// Per-hull active abilities on the ability key (SPACE by default; InputSystem
+// binds it). Each hull has one signature trick
 // (content/abilities.js); effects are implemented here against the other
 // systems. Cooldown state feeds the HUD via getHUD().
 import { getLoadoutLocal } from "../loadoutStore.js";
@@ -13,8 +14,6 @@ export class AbilitySystem {
     this.scene = scene;
     this.cooldownUntil = 0;
     this.activeUntil = 0;
-
-    scene.input.keyboard.on("keydown-SPACE", () => this.trigger());
   }
 
   /** HUD chip data: current hull's ability + readiness. */
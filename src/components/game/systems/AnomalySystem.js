@@ -1,7 +1,7 @@
 import Phaser from 'phaser';
 import { ANOMALY_TYPE_MAP } from '../constants';
 import { getChunkCoords, getChunkKey } from '../utils';
-import { getSettings } from '../settings.js';
+import { getSettings, keyLabel } from '../settings.js';
 import { dangerRadius } from './HazardSystem.js';
 
 export class AnomalySystem {
@@ -12,42 +12,70 @@ export class AnomalySystem {
     this.backendAnomalies = new Map();
   }
 
-  syncBackendAnomalies() {
+  // With `changes` ({ added, changed, removed } ids, from universeChanges)
+  // only those anomalies are touched; without it, a full resync.
+  syncBackendAnomalies(changes) {
     if (!this.scene.universe?.anomalies) return;
+    if (changes) {
+      this.syncAnomalyIds([...changes.added, ...changes.changed, ...changes.removed]);
+      return;
+    }
 
     const activeBackendAnomalies = this.scene.universe.anomalies.filter(a => !a.resolved);
     const activeIds = new Set(activeBackendAnomalies.map(a => a.id));
 
     // Add or update backend anomalies
     for (const backendAnomaly of activeBackendAnomalies) {
-      if (!this.backendAnomalies.has(backendAnomaly.id)) {
-        this.backendAnomalies.set(backendAnomaly.id, {
-          ...backendAnomaly,
-          visual: null
-        });
-        
-        if (!this.discoveredAnomalies.has(backendAnomaly.id)) {
-          this.discoveredAnomalies.add(backendAnomaly.id);
-          this.scene.setStats?.((prev) => ({ 
-            ...prev, 
-            discovered: (prev.discovered || 0) + 1 
-          }));
-        }
-      }
+      if (!this.backendAnomalies.has(backendAnomaly.id)) this.trackBackendAnomaly(backendAnomaly);
     }
 
     // Remove resolved backend anomalies
-    for (const [id, anomaly] of this.backendAnomalies.entries()) {
-      if (!activeIds.has(id)) {
-        if (anomaly.visual) {
-          this.destroyAnomalyVisual(anomaly.visual);
-        }
-        this.backendAnomalies.delete(id);
-        this.resolvedAnomalies.add(id);
+    for (const id of this.backendAnomalies.keys()) {
+      if (!activeIds.has(id)) this.retireBackendAnomaly(id);
+    }
+  }
+
+  syncAnomalyIds(ids) {
+    if (!ids.length) return;
+    const wanted = new Set(ids);
+    const byId = new Map();
+    for (const a of this.scene.universe.anomalies) {
+      if (wanted.has(a.id)) byId.set(a.id, a);
+    }
+    for (const id of wanted) {
+      const backendAnomaly = byId.get(id);
+      if (!backendAnomaly || backendAnomaly.resolved) {
+        if (this.backendAnomalies.has(id)) this.retireBackendAnomaly(id);
+        continue;
       }
+      if (!this.backendAnomalies.has(id)) this.trackBackendAnomaly(backendAnomaly);
     }
   }
 
+  trackBackendAnomaly(backendAnomaly) {
+    this.backendAnomalies.set(backendAnomaly.id, {
+      ...backendAnomaly,
+      visual: null
+    });
+
+    if (!this.discoveredAnomalies.has(backendAnomaly.id)) {
+      this.discoveredAnomalies.add(backendAnomaly.id);
+      this.scene.setStats?.((prev) => ({
+        ...prev,
+        discovered: (prev.discovered || 0) + 1
+      }));
+    }
+  }
+
+  retireBackendAnomaly(id) {
+    const anomaly = this.backendAnomalies.get(id);
+    if (anomaly?.visual) {
+      this.destroyAnomalyVisual(anomaly.visual);
+    }
+    this.backendAnomalies.delete(id);
+    this.resolvedAnomalies.add(id);
+  }
+
   // Destroy all backend-anomaly visuals (leaving their data intact) - used
   // when descending a cosmic scale, where galactic anomalies don't belong.
   // renderBackendAnomalies recreates them when back at the galactic scale.
@@ -197,8 +225,8 @@ export class AnomalySystem {
     // with real consequences; MINOR ones are ambient field turbulence -
     // smaller but still real rewards
     const labelText = isBackend
-      ? `${typeObj.label}\nCRITICAL · SEV ${severity} · [F] RESOLVE`
-      : `${typeObj.label}\nMINOR · [F] RESOLVE`;
+      ? `${typeObj.label}\nCRITICAL · SEV ${severity} · [${keyLabel("interact")}] RESOLVE`
+      : `${typeObj.label}\nMINOR · [${keyLabel("interact")}] RESOLVE`;
 
     const interactionText = this.scene.add
       .text(x, y - radius - 26, labelText, {
@@ -290,6 +318,9 @@ export class AnomalySystem {
       }
     });
 
+    // Whether any anomaly's [F] RESOLVE label is up (TouchSystem's resolve button)
+    this.anyInRange = minDist < Infinity;
+
     // F key handling moved to InputSystem for minigame triggering
   }
 
@@ -2,10 +2,18 @@ import Phaser from 'phaser';
 import seedrandom from 'seedrandom';
 import { CHUNK_SIZE, ANOMALY_SPAWN_CHANCE, ANOMALIES_PER_CHUNK, ANOMALY_TYPES } from '../constants';
 import { getChunkKey } from '../utils';
-import { generateScaleObjects } from '../world/worldScales.js';
+import { orbitingObjects, isBoundedScale } from '../world/worldScales.js';
+import { ChunkSource, chunkJob, prefetchRing } from '../world/chunkSource.js';
+import { orbitPosition } from '../world/orbits.js';
 import { cosmicProfile } from '../world/cosmicProfile.js';
 import { TextureFactory } from '../graphics/TextureFactory.js';
 
+// The pseudo-chunk holding a bounded world's orbiting bodies. They cross chunk
+// borders as they go round, so they live outside the grid and stay loaded for
+// as long as the player is in the system. `pinned` tells the map layers it
+// isn't a grid cell.
+const ORBITS_KEY = 'orbits';
+
 export class ChunkSystem {
   constructor(scene, anomalySystem) {
     this.scene = scene;
@@ -15,6 +23,38 @@ export class ChunkSystem {
     // First Light: a scripted, guaranteed first-session anomaly (set by the
     // scene). Injected whenever its chunk generates, until it's resolved.
     this.forcedAnomaly = null;
+    // Descriptors come from a worker that runs ahead of the ship (see
+    // chunkSource.js); without Worker support they're generated inline.
+    this.source = new ChunkSource(
+      () => new Worker(new URL('../world/chunkWorker.js', import.meta.url), { type: 'module' })
+    );
+  }
+
+  // The generation job for a chunk at the current scale. Scale-aware seed: at
+  // the galactic scale this is just the universe seed; descending into a
+  // galaxy/star re-seeds off that structure's id so its interior is a
+  // distinct, stable world (Cosmic Scales).
+  _job(chunkX, chunkY) {
+    const seed = this.scene.worldSeed?.() ?? this.scene.universe.seed ?? "seed";
+    const scale = this.scene.world?.scale ?? "galactic";
+    // Name of the structure we descended into (the star, at planetary scale) so
+    // its planets can be named after it.
+    const labels = this.scene.world?.labels ?? [];
+    // Coherent Cosmos: the same authoritative state the HUD shows drives what
+    // this chunk actually contains - density, era mood, and fabric turbulence.
+    const cp = cosmicProfile(this.scene.universe?.currentState);
+    return chunkJob(seed, scale, chunkX, chunkY, labels[labels.length - 1], cp);
+  }
+
+  /**
+   * Hand the worker the chunks a ship in (chunkX, chunkY) moving at
+   * `velocity` is about to reach, so they're ready when it crosses into them.
+   */
+  prefetch(chunkX, chunkY, velocity) {
+    const jobs = prefetchRing(chunkX, chunkY, this.activeChunkRadius, velocity?.x ?? 0, velocity?.y ?? 0)
+      .filter(({ chunkX: x, chunkY: y }) => !this.loadedChunks.has(getChunkKey(x, y)))
+      .map(({ chunkX: x, chunkY: y }) => this._job(x, y));
+    this.source.prefetch(jobs);
   }
 
   loadNearbyChunks(centerX, centerY) {
@@ -35,6 +75,11 @@ export class ChunkSystem {
       }
     }
 
+    const scale = this.scene.world?.scale ?? "galactic";
+    if (isBoundedScale(scale)) {
+      newChunks.set(ORBITS_KEY, this.loadedChunks.get(ORBITS_KEY) ?? this.generateOrbits(scale));
+    }
+
     // Cleanup far chunks
     this.loadedChunks.forEach((chunk, key) => {
       if (!newChunks.has(key)) {
@@ -50,25 +95,50 @@ export class ChunkSystem {
   reset() {
     this.loadedChunks.forEach((chunk) => this.cleanupChunk(chunk));
     this.loadedChunks = new Map();
+    this.source.clear();
   }
 
-  generateChunk(chunkX, chunkY) {
-    const chunk = { objects: [], anomalies: [], salvage: [] };
-    // Scale-aware seed: at the galactic scale this is just the universe seed;
-    // descending into a galaxy/star re-seeds off that structure's id so its
-    // interior is a distinct, stable world (Cosmic Scales).
+  destroy() {
+    this.reset();
+    this.source.destroy();
+  }
+
+  generateOrbits(scale) {
     const seed = this.scene.worldSeed?.() ?? this.scene.universe.seed ?? "seed";
-    const scale = this.scene.world?.scale ?? "galactic";
-    // Name of the structure we descended into (the star, at planetary scale) so
-    // its planets can be named after it.
     const labels = this.scene.world?.labels ?? [];
-    const parentName = labels[labels.length - 1];
+    const t = this.scene.orbitT ?? 0;
+    const objects = orbitingObjects(seed, scale, labels[labels.length - 1]).map((descriptor) => {
+      Object.assign(descriptor, orbitPosition(descriptor.orbit, t));
+      return this.renderObject(descriptor);
+    });
+    return { objects, anomalies: [], salvage: [], pinned: true };
+  }
 
-    // Coherent Cosmos: the same authoritative state the HUD shows drives what
-    // this chunk actually contains - density, era mood, and fabric turbulence.
-    const cp = cosmicProfile(this.scene.universe?.currentState);
+  /**
+   * Move every orbiting body to where it is at orbit time `t`. Descriptors
+   * are updated in place, so anything reading chunk objects (gravity, scans,
+   * descent, waypoints) sees the body where it is now.
+   */
+  updateOrbits(t) {
+    const chunk = this.loadedChunks.get(ORBITS_KEY);
+    if (!chunk) return;
+    for (const entry of chunk.objects) {
+      const { x, y } = orbitPosition(entry.descriptor.orbit, t);
+      entry.descriptor.x = x;
+      entry.descriptor.y = y;
+      entry.image.setPosition(x, y);
+      entry.marker?.setPosition(x, y);
+    }
+  }
+
+  generateChunk(chunkX, chunkY) {
+    const chunk = { objects: [], anomalies: [], salvage: [] };
+    const job = this._job(chunkX, chunkY);
+    const { seed, scale, cp } = job;
 
-    for (const descriptor of generateScaleObjects(seed, chunkX, chunkY, scale, parentName, cp)) {
+    // Prefetched descriptors if the worker has them, generated here if not -
+    // the same objects either way, so only the sprites are built on this frame.
+    for (const descriptor of this.source.take(job)) {
       chunk.objects.push(this.renderObject(descriptor));
     }
 
@@ -134,6 +204,8 @@ export class ChunkSystem {
     const isPhenomenon = descriptor.category === "phenomenon";
     const isStar = descriptor.category === "star";
     const isPlanet = descriptor.category === "planet";
+    // Solid bodies and built things render as-is; everything else is a glow.
+    const isSolid = isPlanet || descriptor.category === "moon" || descriptor.category === "station";
 
     const textureKey = this.scene.textureFactory.keyFor(descriptor);
     const isCustom = TextureFactory.isCustom(textureKey);
@@ -141,7 +213,8 @@ export class ChunkSystem {
       .setScale(descriptor.scale)
       .setRotation(descriptor.rotation)
       .setAlpha(descriptor.alpha)
-      .setDepth(isNebula ? -3 : -1);
+      // Settlement lights sit on their planet's face, so draw them above it
+      .setDepth(isNebula ? -3 : descriptor.category === "settlement" ? 0 : -1);
 
     // Tint only the shared WHITE star texture to its spectral color. A custom
     // per-class star image (evtex:star:O, etc.) is already colored - don't tint.
@@ -152,9 +225,9 @@ export class ChunkSystem {
     // Custom art is already background-keyed to transparent, so it renders with
     // normal blend (shows the image as-is). Procedural emissive objects
     // (galaxies/nebulae/stars/phenomena) are faint glows meant to be ADDITIVE,
-    // which also stops them boxing each other on overlap. Planets are always
-    // normal-blend solid bodies.
-    if (!isPlanet && !isCustom) {
+    // which also stops them boxing each other on overlap. Planets, moons and
+    // stations are always normal-blend solid bodies.
+    if (!isSolid && !isCustom) {
       image.setBlendMode(Phaser.BlendModes.ADD);
     }
 
@@ -14,47 +14,87 @@
 //   * guardians screen the bombers, so you must break through or flank
 //   * interceptors hunt YOU, so chasing the bombers always costs something
 //   * the attacker reinforces in waves - clearing one does not end the siege
+//   * each wave flies as a squadron: bombers in a wedge, guardians screening
+//     them, interceptors on picket - and it breaks and runs when it has lost
+//     its bombers or its nerve, which ends the wave early
 //
 // Client-side like the rift-spawn siege: the dogfight is rendered here, and
 // only the CONSEQUENCES (relationship, war score, bombardment casualties) are
 // reported to the server, which owns and validates them. Ship-on-ship kills
 // are deliberately NOT reported - the player didn't do those.
 //
+// A friendly people will also lend the player an escort (requestEscort): a
+// wing from their home fleet that flies in a V behind the ship, takes orders
+// (follow, hold, attack the marked target, go home) and fights whatever the
+// CombatSystem registry offers that is rift-spawn or a raider. Its kills are
+// the player's, as the gun's are; its losses are reported (onEscortLost) so
+// the server can make them cost something.
+//
+// A people the player has signed a defense pact with (fleetModel's
+// pactFoes) makes their enemies the player's: those fleets treat the player
+// as a combatant on sight, raiders and home fleets alike.
+//
 // Drawing lives in combat/shipRenderer.js; the rules live in
-// combat/fleetModel.js. This file is the simulation that joins them.
-import Phaser from "phaser";
+// combat/fleetModel.js. This file is the simulation that joins them, and it
+// stays Phaser-free: the scene hands it a renderer, so the headless harness
+// (systems/headlessScene.js) can step a whole siege in node.
 import { playSfx } from "../audio.js";
 import { getLoadoutLocal } from "../loadoutStore.js";
 import { HULL_STATS } from "../content/hullCatalog.js";
-import { civAttitude } from "../utils";
+import { civAttitude } from "../utils.js";
 import { narrate, narrateOnce, pick, CURATOR } from "../narrator.js";
 import {
   SHIP_ROLES, PATROL_RADIUS, GRUDGE_MS,
   SHIELD_REGEN_PER_SEC, SHIELD_REGEN_DELAY_MS,
   WAVE_INTERVAL_MS, WAVE_REGROUP_MS, MAX_WAVES,
-  homeFleetFor, raidWaveFor, shipStance, pickShipTarget, civUnderSiege, applyDamage,
+  homeFleetFor, raidWaveFor, shipStance, pickShipTarget, civUnderSiege, applyDamage, pactFoes,
   salvageFor,
+  ESCORT_ATTITUDES, ESCORT_ORDERS, ESCORT_MAX_SPEED, ESCORT_REFUSE_MS,
+  escortFor, escortStation, pickEscortTarget,
+  makeSquadron, formationSlot, cohesionPull, cohesionSteer, advanceSquadron, shouldRetreat,
+  RETREAT_DISTANCE, RETREAT_BURN,
 } from "../combat/fleetModel.js";
-import { ShipRenderer } from "../combat/shipRenderer.js";
+import { pickTarget, ASSIST_RANGE } from "../combat/combatModel.js";
 import { dropSalvage } from "../world/salvageDrop.js";
-import { CIV_TYPE_COLORS } from "./CivilizationSystem.js";
+import { CIV_TYPE_COLORS } from "../constants.js";
 
 const RAIDER_COLOR = 0xe0524a;
 const CULL_DISTANCE = 6000;
 // How far a ship will look for something to shoot. Without this, fleets chase
 // each other across a galaxy instead of fighting over the world in question.
 const ENGAGE_RANGE = 1300;
+// An escort sent home is gone once it's this far out of the player's way
+const ESCORT_DEPART_DISTANCE = 2500;
+// The orders the wing key cycles through; "home" is the strip's own button
+const CYCLED_ORDERS = ["follow", "hold", "attack"];
+
+const distance = (ax, ay, bx, by) => Math.hypot(bx - ax, by - ay);
+const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+const floatBetween = (min, max) => min + Math.random() * (max - min);
+// Into [-PI, PI), as Phaser.Math.Angle.Wrap
+const wrapAngle = (a) => {
+  const range = Math.PI * 2;
+  return -Math.PI + ((((a + Math.PI) % range) + range) % range);
+};
 
 export class CivFleetSystem {
-  constructor(scene) {
+  /**
+   * @param {object} renderer - a combat/shipRenderer.js ShipRenderer, or any
+   *   object with its methods (the headless harness passes a recording one)
+   */
+  constructor(scene, renderer) {
     this.scene = scene;
-    this.renderer = new ShipRenderer(scene);
+    this.renderer = renderer;
     this.fleets = new Map();   // key -> fleet record (see _makeFleet)
     this.bolts = [];
     this.grudges = new Map();  // civId -> expiry timestamp
     this.onStrike = null;      // (civId, kills, context) -> diplomatic fallout
     this.onBombard = null;     // (defendingCivId, runs, attackerCivId) -> casualties
+    this.onEscortLost = null;  // (civId, lost) -> the lender's regard
+    this.escort = null;        // the player's wing, see requestEscort
+    this.escortRefusals = new Map(); // civId -> until when they won't lend another
     this._live = [];           // every living ship, rebuilt each frame
+    this._pactFoes = new Set(); // civIds at war with the player's pact allies, each frame
   }
 
   registerWith(combatSystem) {
@@ -62,15 +102,30 @@ export class CivFleetSystem {
   }
 
   _targets() {
-    return this._live.map((s) => ({
+    return this._live.filter((s) => !s.isEscort && !s.departed).map((s) => ({
       id: s.id,
       x: s.x,
       y: s.y,
       radius: SHIP_ROLES[s.role].radius,
+      shields: s.shields,
+      ownerId: s.ownerId,
+      raider: s.isRaider,
+      hostile: s.isRaider || this._playerThreat(s.ownerId, this._attitudeOf(s.ownerId)),
       hit: (damage) => this._damageShip(s, damage, true),
     }));
   }
 
+  /** A people's attitude toward the player - neutral for one not on the document. */
+  _attitudeOf(civId) {
+    const owner = (this.scene.universe?.civilizations || []).find((c) => c.id === civId);
+    return owner ? civAttitude(owner) : "neutral";
+  }
+
+  /** Does this people treat the player as an enemy right now? */
+  _playerThreat(civId, attitude) {
+    return this.hasGrudge(civId) || attitude === "hostile" || this._pactFoes.has(civId);
+  }
+
   /** Has the player angered this people recently? Drives stance + attitude. */
   hasGrudge(civId) {
     return this.scene.time.now < (this.grudges.get(civId) ?? 0);
@@ -139,6 +194,7 @@ export class CivFleetSystem {
       isRaider,
       home: { x: home.x, y: home.y },
       ships: [],
+      squadrons: [],    // a raid's waves in flight, see _buildShips
       wave: 0,
       nextWaveAt: 0,
       regroupAt: 0,     // set when a wave is wiped out, cleared when the next lands
@@ -156,9 +212,26 @@ export class CivFleetSystem {
     const radius = fleet.isRaider ? base * 2.2 : base;
     const n = Math.max(1, roles.length);
 
+    // A raid wave arrives together, formed up, out beyond the patrols
+    let squadron = null;
+    if (fleet.isRaider) {
+      const bearing = fleet.wave * 0.7;
+      const from = {
+        x: fleet.home.x + Math.cos(bearing) * radius * 1.5,
+        y: fleet.home.y + Math.sin(bearing) * radius * 1.5,
+      };
+      squadron = makeSquadron(roles, from, bearing + Math.PI);
+      squadron.wave = fleet.wave;
+      fleet.squadrons.push(squadron);
+    }
+
     return roles.map((role, i) => {
       const spec = SHIP_ROLES[role];
       const angle = (i / n) * Math.PI * 2 + fleet.wave * 0.7;
+      const slot = squadron?.slots[i];
+      const at = slot
+        ? formationSlot(slot.formation, slot.index, slot.count, squadron.anchor, squadron.heading)
+        : { x: fleet.home.x + Math.cos(angle) * radius, y: fleet.home.y + Math.sin(angle) * radius };
       return {
         id: `${fleet.key}:w${fleet.wave}:${i}`,
         fleetKey: fleet.key,
@@ -173,9 +246,11 @@ export class CivFleetSystem {
         homeY: fleet.home.y,
         patrolRadius: radius,
         orbitAngle: angle,
-        x: fleet.home.x + Math.cos(angle) * radius,
-        y: fleet.home.y + Math.sin(angle) * radius,
-        heading: angle + Math.PI / 2,
+        x: at.x,
+        y: at.y,
+        heading: squadron ? squadron.heading : angle + Math.PI / 2,
+        squadron,
+        squadSlot: slot,
         hp: spec.hp,
         shields: spec.shields,
         dead: false,
@@ -218,6 +293,10 @@ export class CivFleetSystem {
     ship.dead = true;
     this.renderer.destroyShip(ship);
     playSfx("explosion");
+    if (ship.isEscort) {
+      this._escortLost(ship);
+      return true;
+    }
     // Wreckage. Only the player's kills pay out - ships shooting each other
     // isn't a reward loop, it's a war happening near you.
     if (byPlayer) {
@@ -270,26 +349,53 @@ export class CivFleetSystem {
     const armor = HULL_STATS[getLoadoutLocal().hull]?.damageTaken ?? 1;
 
     this._live = [];
+    this._pactFoes = pactFoes(this.scene.universe?.civilizations, this.scene.universe?.activeWars);
     for (const fleet of this.fleets.values()) {
+      this._trackHome(fleet);
       if (!paused) this._reinforce(fleet, time);
-      // Bury the dead so a long siege doesn't grow an unbounded array.
-      if (fleet.ships.some((s) => s.dead)) {
-        fleet.ships = fleet.ships.filter((s) => !s.dead);
+      // Bury the dead (and the fled) so a long siege doesn't grow an
+      // unbounded array.
+      if (fleet.ships.some((s) => s.dead || s.departed)) {
+        fleet.ships = fleet.ships.filter((s) => !s.dead && !s.departed);
+        this._siegeAbandoned(fleet);
       }
       for (const s of fleet.ships) this._live.push(s);
     }
+    if (this.escort) this._live.push(...this._escortShips(player));
+    const hostiles = this.escort ? this._escortHostiles() : [];
+    if (!paused) {
+      for (const fleet of this.fleets.values()) this._flySquadrons(fleet, player, dt);
+    }
 
     for (const ship of this._live) {
-      const pDist = Phaser.Math.Distance.Between(player.x, player.y, ship.x, ship.y);
+      const pDist = distance(player.x, player.y, ship.x, ship.y);
       if (!ship.gfx && pDist < CULL_DISTANCE) this.renderer.attach(ship);
       else if (ship.gfx && pDist > CULL_DISTANCE) this.renderer.detach(ship);
 
-      if (!paused) this._think(ship, player, pDist, dt, time);
+      if (!paused) {
+        if (ship.isEscort) this._thinkEscort(ship, player, hostiles, dt, time);
+        else this._think(ship, player, pDist, dt, time);
+      }
       this.renderer.update(ship, time);
     }
 
     this.renderer.drawTrails(this._live);
-    this._updateBolts(player, dt, time, paused, invulnerable, armor);
+    this._updateBolts(player, dt, time, paused, invulnerable, armor, hostiles);
+  }
+
+  /**
+   * A homeworld on an orbit (a Type I's planet) moves, so every frame the
+   * fleet's home is re-read from the beacon it's fighting over - patrols ride
+   * along with their planet and bombers chase it round its orbit.
+   */
+  _trackHome(fleet) {
+    const loc = this.scene.civilizationSystem?.beacons.get(fleet.defendingCivId)?.loc;
+    if (!loc || (loc.x === fleet.home.x && loc.y === fleet.home.y)) return;
+    fleet.home = { x: loc.x, y: loc.y };
+    for (const ship of fleet.ships) {
+      ship.homeX = loc.x;
+      ship.homeY = loc.y;
+    }
   }
 
   /**
@@ -327,15 +433,11 @@ export class CivFleetSystem {
   /** One ship's decision and movement for this frame. */
   _think(ship, player, pDist, dt, time) {
     const spec = SHIP_ROLES[ship.role];
-    const owner = (this.scene.universe?.civilizations || [])
-      .find((c) => c.id === ship.ownerId);
-    const attitude = owner ? civAttitude(owner) : "neutral";
-    const playerThreat = this.hasGrudge(ship.ownerId) || attitude === "hostile";
+    const attitude = this._attitudeOf(ship.ownerId);
+    const pactFoe = this._pactFoes.has(ship.ownerId);
+    const playerThreat = this._playerThreat(ship.ownerId, attitude);
 
-    // Shields come back when nothing has hit this ship for a while.
-    if (spec.shields > 0 && time - ship.lastHitAt > SHIELD_REGEN_DELAY_MS) {
-      ship.shields = Math.min(spec.shields, ship.shields + SHIELD_REGEN_PER_SEC * dt);
-    }
+    this._regenShields(ship, spec, dt, time);
 
     const underSiege = !ship.isRaider && this._live.some(
       (s) => s.isRaider && s.battle === ship.battle
@@ -347,14 +449,27 @@ export class CivFleetSystem {
       grudgeUntil: this.grudges.get(ship.ownerId) ?? 0,
       playerDistance: pDist,
       now: time,
+      pactFoe,
     });
 
+    if (ship.squadron?.retreating) {
+      this._withdraw(ship, spec, dt);
+      return;
+    }
+
     const target = pickShipTarget(ship.role, {
       candidates: this._candidatesFor(ship, player, pDist, playerThreat, stance),
       worldPos: ship.isRaider ? { x: ship.homeX, y: ship.homeY } : null,
       playerThreat,
     });
 
+    // Bombers ride the wedge until it is on station; everyone else fights
+    // on their slot's leash.
+    if (ship.squadron && !(target?.kind === "world" && ship.squadron.onStation)) {
+      this._keepFormation(ship, spec, target?.kind === "world" ? null : target, dt, time);
+      return;
+    }
+
     if (!target) {
       this._patrol(ship, spec, dt);
       return;
@@ -366,25 +481,34 @@ export class CivFleetSystem {
     }
 
     this._pursue(ship, spec, target, dt);
-    if (time >= ship.nextFireAt && spec.fireIntervalMs > 0) {
-      const d = Phaser.Math.Distance.Between(ship.x, ship.y, target.x, target.y);
-      if (d < spec.range) {
-        ship.nextFireAt = time + spec.fireIntervalMs * Phaser.Math.FloatBetween(0.85, 1.15);
-        this._fire(ship, spec, target, time);
-      }
+    this._fireWhenInRange(ship, spec, target, time);
+  }
+
+  _fireWhenInRange(ship, spec, target, time) {
+    if (time < ship.nextFireAt || spec.fireIntervalMs <= 0) return;
+    if (distance(ship.x, ship.y, target.x, target.y) >= spec.range) return;
+    ship.nextFireAt = time + spec.fireIntervalMs * floatBetween(0.85, 1.15);
+    this._fire(ship, spec, target, time);
+  }
+
+  // Shields come back when nothing has hit this ship for a while.
+  _regenShields(ship, spec, dt, time) {
+    if (spec.shields > 0 && time - ship.lastHitAt > SHIELD_REGEN_DELAY_MS) {
+      ship.shields = Math.min(spec.shields, ship.shields + SHIELD_REGEN_PER_SEC * dt);
     }
   }
 
   /**
    * What this ship can see worth shooting: enemy vessels in the same battle,
-   * plus the player when the player has earned it.
+   * plus the player when the player has earned it. The player's escort is in
+   * every battle it flies into.
    */
   _candidatesFor(ship, player, pDist, playerThreat, stance) {
     const out = [];
     for (const other of this._live) {
-      if (other === ship || other.battle !== ship.battle) continue;
+      if (other === ship || (other.battle !== ship.battle && !other.isEscort)) continue;
       if (other.isRaider === ship.isRaider) continue;
-      const d = Phaser.Math.Distance.Between(ship.x, ship.y, other.x, other.y);
+      const d = distance(ship.x, ship.y, other.x, other.y);
       if (d <= ENGAGE_RANGE) out.push({ kind: "ship", x: other.x, y: other.y, distance: d, ref: other });
     }
     if (playerThreat && stance !== "patrol" && pDist <= ENGAGE_RANGE) {
@@ -401,14 +525,14 @@ export class CivFleetSystem {
     ship.x = ship.homeX + Math.cos(ship.orbitAngle) * ship.patrolRadius;
     ship.y = ship.homeY + Math.sin(ship.orbitAngle) * ship.patrolRadius;
     ship.heading = ship.orbitAngle + Math.PI / 2;
-    ship.turnRate = dt > 0 ? Phaser.Math.Angle.Wrap(ship.heading - prev) / dt : 0;
+    ship.turnRate = dt > 0 ? wrapAngle(ship.heading - prev) / dt : 0;
     ship.throttle = 0.35;
   }
 
   _pursue(ship, spec, target, dt) {
     const applied = this._steer(ship, spec, target.x, target.y, dt);
     // Hold at weapons range rather than ramming.
-    const d = Phaser.Math.Distance.Between(ship.x, ship.y, target.x, target.y);
+    const d = distance(ship.x, ship.y, target.x, target.y);
     const closing = d > spec.range * 0.6;
     ship.throttle = closing ? 1 : 0.25;
     if (closing) this._advance(ship, spec.speed, dt);
@@ -421,7 +545,7 @@ export class CivFleetSystem {
    */
   _bombardRun(ship, spec, target, dt, time) {
     this._steer(ship, spec, target.x, target.y, dt);
-    const d = Phaser.Math.Distance.Between(ship.x, ship.y, target.x, target.y);
+    const d = distance(ship.x, ship.y, target.x, target.y);
 
     if (d > spec.bombardRange) {
       ship.throttle = 1;
@@ -448,7 +572,7 @@ export class CivFleetSystem {
     // Felt, not just seen - but only if you are close enough for it to be
     // your problem. The scene decays the shake back down next frame.
     const p = this.scene.player;
-    if (p && Phaser.Math.Distance.Between(p.x, p.y, ship.x, ship.y) < 1400) {
+    if (p && distance(p.x, p.y, ship.x, ship.y) < 1400) {
       playSfx("explosion");
       this.scene.cameraShakeIntensity = Math.max(this.scene.cameraShakeIntensity || 0, 0.005);
     }
@@ -458,8 +582,8 @@ export class CivFleetSystem {
   /** Turn toward a point, recording the turn rate so the renderer can bank. */
   _steer(ship, spec, tx, ty, dt) {
     const desired = Math.atan2(ty - ship.y, tx - ship.x);
-    const delta = Phaser.Math.Angle.Wrap(desired - ship.heading);
-    const applied = Phaser.Math.Clamp(delta, -spec.turn * dt, spec.turn * dt);
+    const delta = wrapAngle(desired - ship.heading);
+    const applied = clamp(delta, -spec.turn * dt, spec.turn * dt);
     ship.heading += applied;
     ship.turnRate = dt > 0 ? applied / dt : 0;
     return applied;
@@ -473,19 +597,259 @@ export class CivFleetSystem {
     ship.orbitAngle = Math.atan2(ship.y - ship.homeY, ship.x - ship.homeX);
   }
 
+  /**
+   * Close on a station and sit on it facing `heading`: faster the further
+   * off it the ship is, up to `maxSpeed`, so a formation that moves keeps
+   * its shape.
+   */
+  _formUp(ship, spec, station, heading, maxSpeed, dt) {
+    const d = distance(ship.x, ship.y, station.x, station.y);
+    if (d < 12) {
+      ship.x = station.x;
+      ship.y = station.y;
+      this._steer(ship, spec, ship.x + Math.cos(heading), ship.y + Math.sin(heading), dt);
+      ship.throttle = 0.2;
+      return;
+    }
+    this._steer(ship, spec, station.x, station.y, dt);
+    ship.throttle = Math.min(1, d / 200);
+    this._advance(ship, Math.min(maxSpeed, Math.max(spec.speed * 0.5, d * 2)), dt);
+  }
+
+  // --------------------------------------------------------------- squadrons
+
+  /**
+   * Move each of a raid's squadrons on toward the world, turn the screen to
+   * face the nearest threat, and break the ones that have had enough.
+   */
+  _flySquadrons(fleet, player, dt) {
+    fleet.squadrons = fleet.squadrons.filter((sq) => fleet.ships.some((s) => s.squadron === sq));
+    for (const sq of fleet.squadrons) {
+      if (sq.retreating) continue;
+      const alive = fleet.ships.filter((s) => s.squadron === sq).map((s) => s.role);
+      if (shouldRetreat(sq, alive)) {
+        sq.retreating = true;
+        narrateOnce(`retreat:${fleet.key}:${sq.wave}`, pick(CURATOR.fleet.retreat));
+        continue;
+      }
+      Object.assign(sq, advanceSquadron(sq, fleet.home, dt));
+
+      // The screen faces whoever is nearest the bombers: a defender, the
+      // player's wing, or the player
+      let threat = distance(sq.anchor.x, sq.anchor.y, player.x, player.y) <= ENGAGE_RANGE ? player : null;
+      let best = threat ? distance(sq.anchor.x, sq.anchor.y, player.x, player.y) : Infinity;
+      for (const other of this._live) {
+        if (other.isRaider || (other.battle !== fleet.defendingCivId && !other.isEscort)) continue;
+        const d = distance(sq.anchor.x, sq.anchor.y, other.x, other.y);
+        if (d < best) {
+          best = d;
+          threat = other;
+        }
+      }
+      sq.facing = threat ? Math.atan2(threat.y - sq.anchor.y, threat.x - sq.anchor.x) : sq.heading;
+    }
+  }
+
+  /**
+   * A ship flying its slot: after `aim` while the leash allows, bent back
+   * toward the slot as it strays, and firing at whatever it was after.
+   */
+  _keepFormation(ship, spec, aim, dt, time) {
+    const sq = ship.squadron;
+    const { formation, index, count } = ship.squadSlot;
+    const slot = formationSlot(formation, index, count, sq.anchor, sq.heading, sq.facing);
+    if (aim && cohesionPull(formation, distance(ship.x, ship.y, slot.x, slot.y)) === 0) {
+      this._pursue(ship, spec, aim, dt);
+    } else {
+      this._formUp(ship, spec, cohesionSteer(ship, slot, aim, formation), sq.heading, spec.speed, dt);
+    }
+    if (aim) this._fireWhenInRange(ship, spec, aim, time);
+  }
+
+  // A broken wave runs straight out from the world it came to burn
+  _withdraw(ship, spec, dt) {
+    this._steer(ship, spec, ship.x * 2 - ship.homeX, ship.y * 2 - ship.homeY, dt);
+    ship.throttle = 1;
+    this._advance(ship, spec.speed * RETREAT_BURN, dt);
+    if (distance(ship.x, ship.y, ship.homeX, ship.homeY) > RETREAT_DISTANCE) {
+      ship.departed = true;
+      this.renderer.detach(ship);
+    }
+  }
+
+  // The last wave fled rather than died: the siege is broken all the same
+  _siegeAbandoned(fleet) {
+    if (!fleet.isRaider || fleet.exhausted || fleet.wave < MAX_WAVES || fleet.ships.length) return;
+    fleet.exhausted = true;
+    narrate(pick(CURATOR.fleet.siegeBroken), "proud");
+    playSfx("surgeContained");
+  }
+
+  // ------------------------------------------------------------------ escorts
+
+  /**
+   * A friendly people lends the player a wing (the First Contact panel). It
+   * launches from their world and forms up on the player; a wing already out
+   * from someone else peels off home. Returns null when it's on its way, or
+   * why not: "unwilling" (they don't like you enough, or can't fly) or
+   * "refused" (you lost the last one they sent).
+   */
+  requestEscort(civId) {
+    const civ = (this.scene.universe?.civilizations || []).find((c) => c.id === civId);
+    const roles = escortFor(civ, civ ? civAttitude(civ) : "neutral");
+    if (!roles.length) return "unwilling";
+    if (this.scene.time.now < (this.escortRefusals.get(civId) ?? 0)) return "refused";
+    if (this.escort?.civId === civId) return null;
+
+    this._releaseEscort();
+    const player = this.scene.player;
+    const home = this.scene.civilizationSystem?.beacons.get(civId)?.loc ?? { x: player.x, y: player.y };
+    const fleet = { key: `escort:${civId}`, ownerId: civId, defendingCivId: null, isRaider: false, home, wave: 0 };
+    const ships = this._buildShips(fleet, civ, roles);
+    ships.forEach((ship, i) => {
+      ship.isEscort = true;
+      ship.battle = null;
+      ship.slot = i;
+    });
+    this.escort = { civId, ships, order: "follow", holdAt: null, markId: null, regroup: false };
+    narrate(pick(CURATOR.fleet.escortJoined), "warm");
+    playSfx("install");
+    return null;
+  }
+
+  /** Give the wing an order (ESCORT_ORDERS). "attack" marks what the nose is on. */
+  orderEscort(order) {
+    if (!this.escort || !ESCORT_ORDERS.includes(order)) return;
+    const player = this.scene.player;
+    this.escort.order = order;
+    const heading = (player.rotation ?? 0) - Math.PI / 2;
+    this.escort.holdAt = order === "hold" ? { x: player.x, y: player.y, heading } : null;
+    this.escort.markId = order === "attack"
+      ? pickTarget({ x: player.x, y: player.y, noseAngle: heading },
+        this._escortHostiles(), { range: ASSIST_RANGE })?.id ?? null
+      : null;
+    if (order === "home") narrate(pick(CURATOR.fleet.escortHome));
+    playSfx("uiClick");
+  }
+
+  /** The wing key: follow -> hold -> attack -> follow. */
+  cycleEscortOrder() {
+    if (!this.escort) return;
+    const i = CYCLED_ORDERS.indexOf(this.escort.order);
+    this.orderEscort(CYCLED_ORDERS[(i + 1) % CYCLED_ORDERS.length]);
+  }
+
+  /** The HUD's `escort`: who lent it, its order and each ship's hull, or null. */
+  getEscortHUD() {
+    if (!this.escort) return null;
+    const { civId, order, markId, ships } = this.escort;
+    return {
+      civId,
+      order,
+      marked: markId != null,
+      ships: ships.filter((s) => !s.dead).map((s) => ({ role: s.role, hull: Math.max(0, s.hp / SHIP_ROLES[s.role].hp) })),
+    };
+  }
+
+  /**
+   * The wing's ships for this frame. Buries the dead, sends it home when the
+   * lender has soured on the player, and after a scale change (clear) puts
+   * it back on station - it came down with the ship.
+   */
+  _escortShips(player) {
+    const esc = this.escort;
+    esc.ships = esc.ships.filter((s) => !s.dead && !s.departed);
+    if (esc.ships.length === 0) {
+      this.escort = null;
+      return [];
+    }
+    const civ = (this.scene.universe?.civilizations || []).find((c) => c.id === esc.civId);
+    if (esc.order !== "home" && (!civ || civ.extinct || !ESCORT_ATTITUDES.includes(civAttitude(civ)))) {
+      this.orderEscort("home");
+    }
+    if (esc.regroup) {
+      esc.regroup = false;
+      const heading = (player.rotation ?? 0) - Math.PI / 2;
+      for (const ship of esc.ships) {
+        Object.assign(ship, escortStation(player, heading, ship.slot));
+        ship.heading = heading;
+      }
+    }
+    return esc.ships;
+  }
+
+  /** Registry targets the wing may shoot: rift-spawn, and other peoples' raiders. */
+  _escortHostiles() {
+    const civId = this.escort?.civId;
+    return (this.scene.combatSystem?.targets() ?? [])
+      .filter((t) => !t.ownerId || (t.raider && t.ownerId !== civId));
+  }
+
+  _thinkEscort(ship, player, hostiles, dt, time) {
+    const spec = SHIP_ROLES[ship.role];
+    const { order, holdAt, markId } = this.escort;
+    this._regenShields(ship, spec, dt, time);
+
+    if (order === "home") {
+      this._flyHome(ship, spec, player, dt);
+      return;
+    }
+
+    const guard = holdAt ?? player;
+    const candidates = hostiles.map((t) => ({ ...t, distance: distance(guard.x, guard.y, t.x, t.y) }));
+    const target = pickEscortTarget(order, candidates, markId);
+    if (target) {
+      this._pursue(ship, spec, target, dt);
+      this._fireWhenInRange(ship, spec, target, time);
+      return;
+    }
+
+    // Form up: on the player's tail, or around the point they were told to hold
+    const heading = holdAt ? holdAt.heading : (player.rotation ?? 0) - Math.PI / 2;
+    this._formUp(ship, spec, escortStation(guard, heading, ship.slot), heading, ESCORT_MAX_SPEED, dt);
+  }
+
+  // Back to the world that lent it, or - where that world isn't in this sky -
+  // simply away, until it's out of the player's way.
+  _flyHome(ship, spec, player, dt) {
+    const home = this.scene.civilizationSystem?.beacons.get(this.escort.civId)?.loc;
+    if (home) {
+      this._steer(ship, spec, home.x, home.y, dt);
+      if (distance(ship.x, ship.y, home.x, home.y) < ship.patrolRadius) ship.departed = true;
+    } else {
+      this._steer(ship, spec, ship.x * 2 - player.x, ship.y * 2 - player.y, dt);
+    }
+    ship.throttle = 1;
+    this._advance(ship, spec.speed, dt);
+    if (distance(ship.x, ship.y, player.x, player.y) > ESCORT_DEPART_DISTANCE) ship.departed = true;
+    if (ship.departed) this.renderer.detach(ship);
+  }
+
+  _escortLost(ship) {
+    const { civId } = this.escort;
+    this.onEscortLost?.(civId, 1);
+    if (this.escort.ships.every((s) => s.dead || s.departed)) {
+      // They won't send more to die for a while
+      this.escortRefusals.set(civId, this.scene.time.now + ESCORT_REFUSE_MS);
+      narrate(pick(CURATOR.fleet.escortWiped), "grim");
+    } else {
+      narrateOnce(`escort-lost:${ship.id}`, pick(CURATOR.fleet.escortLost));
+    }
+  }
+
+  // A wing another people's replaces goes without ceremony
+  _releaseEscort() {
+    this.escort?.ships.forEach((s) => this.renderer.detach(s));
+    this.escort = null;
+  }
+
   // -------------------------------------------------------------------- bolts
 
   _fire(ship, spec, target, time) {
     // Lead the shot slightly so ships trade fire instead of trailing each other.
     const angle = Math.atan2(target.y - ship.y, target.x - ship.x)
-      + Phaser.Math.FloatBetween(-0.05, 0.05);
-    const gfx = this.scene.add.graphics({ x: ship.x, y: ship.y }).setDepth(6)
-      .setBlendMode(Phaser.BlendModes.ADD);
-    gfx.fillStyle(ship.color, 0.4);
-    gfx.fillEllipse(0, 0, 18, 6);
-    gfx.fillStyle(0xffffff, 0.95);
-    gfx.fillEllipse(0, 0, 9, 2.5);
-    gfx.rotation = angle;
+      + floatBetween(-0.05, 0.05);
+    const gfx = this.renderer.bolt(ship.x, ship.y, angle, ship.color);
 
     this.bolts.push({
       x: ship.x, y: ship.y,
@@ -494,6 +858,7 @@ export class CivFleetSystem {
       damage: spec.damage,
       battle: ship.battle,
       fromRaider: ship.isRaider,
+      fromEscort: !!ship.isEscort,
       hitsPlayer: target.kind === "player",
       bornAt: time,
       gfx,
@@ -501,7 +866,7 @@ export class CivFleetSystem {
     playSfx("uiClick");
   }
 
-  _updateBolts(player, dt, time, paused, invulnerable, armor) {
+  _updateBolts(player, dt, time, paused, invulnerable, armor, hostiles) {
     for (let i = this.bolts.length - 1; i >= 0; i--) {
       const b = this.bolts[i];
       if (time - b.bornAt > 5000) {
@@ -513,12 +878,22 @@ export class CivFleetSystem {
       b.y += b.vy * dt;
       b.gfx.setPosition(b.x, b.y);
 
+      // An escort's bolt hits what the player's gun would, through its targets
+      if (b.fromEscort) {
+        const hit = hostiles.find((t) => distance(t.x, t.y, b.x, b.y) < (t.radius ?? 16) + 4);
+        if (hit) {
+          this._killBolt(i);
+          hit.hit(b.damage);
+        }
+        continue;
+      }
+
       // A bolt fired at the player still hits the enemy ships it passes
       // through, which is how a three-way fight gets interesting.
       let consumed = false;
       for (const s of this._live) {
-        if (s.dead || s.battle !== b.battle || s.isRaider === b.fromRaider) continue;
-        if (Phaser.Math.Distance.Between(s.x, s.y, b.x, b.y) < SHIP_ROLES[s.role].radius + 4) {
+        if (s.dead || (s.battle !== b.battle && !s.isEscort) || s.isRaider === b.fromRaider) continue;
+        if (distance(s.x, s.y, b.x, b.y) < SHIP_ROLES[s.role].radius + 4) {
           this._damageShip(s, b.damage, false);
           consumed = true;
           break;
@@ -530,7 +905,7 @@ export class CivFleetSystem {
       }
 
       if (b.hitsPlayer && !invulnerable &&
-          Phaser.Math.Distance.Between(player.x, player.y, b.x, b.y) < 24) {
+          distance(player.x, player.y, b.x, b.y) < 24) {
         this._killBolt(i);
         const remaining = player.takeDamage(b.damage * armor);
         playSfx("minigameMiss");
@@ -546,11 +921,21 @@ export class CivFleetSystem {
 
   // ---------------------------------------------------------------- teardown
 
-  /** Drop everything (scale change); sync() rebuilds on return. */
+  /**
+   * Drop everything (scale change); sync() rebuilds on return. The escort
+   * stays with the player and forms up again on the next frame.
+   */
   clear() {
     for (const fleet of this.fleets.values()) {
       fleet.ships.forEach((s) => this.renderer.detach(s));
     }
+    if (this.escort) {
+      this.escort.ships.forEach((s) => this.renderer.detach(s));
+      this.escort.regroup = true;
+      // The point it held is in another sky
+      if (this.escort.order === "hold") this.escort.order = "follow";
+      this.escort.holdAt = null;
+    }
     this.fleets.clear();
     this._live = [];
     this.bolts.forEach((b) => b.gfx.destroy());
@@ -560,6 +945,7 @@ export class CivFleetSystem {
 
   destroy() {
     this.clear();
+    this._releaseEscort();
     this.grudges.clear();
     this.renderer.destroy();
   }
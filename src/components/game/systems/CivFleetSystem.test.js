@@ -0,0 +1,190 @@
+// src/components/game/systems/CivFleetSystem.test.js
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { HeadlessScene, HeadlessShipRenderer } from "./headlessScene.js";
+import { CivFleetSystem } from "./CivFleetSystem.js";
+import { WAVE_INTERVAL_MS, WAVE_REGROUP_MS } from "../combat/fleetModel.js";
+import { areaTargets } from "../combat/combatModel.js";
+import { orbitPosition } from "../world/orbits.js";
+
+// The Curator paces its lines with setTimeout; don't let the process wait on them.
+beforeEach(() => mock.timers.enable({ apis: ["setTimeout"] }));
+afterEach(() => mock.timers.reset());
+
+// A Type 2 people at war with a Type 1 world whose beacon is on screen, the
+// player parked well clear of it.
+function siege() {
+  const attacker = { id: "atk", type: "Type2", relationship: 0 };
+  const defender = { id: "def", type: "Type1", relationship: 0 };
+  const scene = new HeadlessScene({
+    universe: { civilizations: [attacker, defender], activeWars: [{ a: "atk", b: "def" }] },
+    player: { x: 4000, y: 4000 },
+  });
+  scene.loadAround(1, 0, 0).addCiv(defender, { x: 0, y: 0 });
+  const renderer = new HeadlessShipRenderer();
+  const fleets = scene.use(new CivFleetSystem(scene, renderer));
+  const log = { bombard: [], strikes: [] };
+  fleets.onBombard = (...args) => log.bombard.push(args);
+  fleets.onStrike = (...args) => log.strikes.push(args);
+  fleets.sync();
+  return { scene, fleets, renderer, log, raid: () => fleets.fleets.get("raid:atk@def") };
+}
+
+test("a 3-wave siege with no player intervention bombards the world", () => {
+  const { scene, renderer, log, raid } = siege();
+  assert.ok(raid(), "the besieger's strike force spawns over the defender");
+
+  scene.run((WAVE_INTERVAL_MS * 2) / 1000 + 5);
+
+  assert.equal(raid().wave, 2, "two reinforcement waves landed on the timer");
+  assert.ok(log.bombard.length > 0);
+  assert.ok(log.bombard.every(([civ, runs, by]) => civ === "def" && runs === 1 && by === "atk"));
+  assert.equal(renderer.beams.length, log.bombard.length, "every reported run was shown");
+  assert.deepEqual(log.strikes, [], "ships killing each other is not reported as the player's doing");
+  assert.equal(scene.damageTaken, 0);
+});
+
+test("wiping out a wave reports the kills and brings the next one after the regroup", () => {
+  const { scene, fleets, log, raid } = siege();
+  scene.run(1);
+
+  // The player's gun, via the targets CombatSystem would be handed
+  const raiders = fleets._targets().filter((t) => t.id.startsWith("raid:"));
+  raiders.forEach((t) => t.hit(1000));
+  assert.equal(log.strikes.length, raiders.length);
+  assert.ok(log.strikes.every(([civ, kills, ctx]) => civ === "atk" && kills === 1 && ctx.wasRaider));
+  assert.ok(fleets.hasGrudge("atk"), "shooting their ships provokes the attacker");
+
+  scene.run(WAVE_REGROUP_MS / 1000 - 0.5);
+  assert.equal(raid().wave, 0, "a breath first...");
+  scene.run(1);
+  assert.equal(raid().wave, 1, "...then the next wave, well before the timer");
+  assert.ok(raid().ships.length > 0);
+});
+
+test("area ordnance over a siege hits the raiders and leaves the defenders alone", () => {
+  const { scene, fleets, log } = siege();
+  scene.player.x = 0;
+  scene.player.y = 0;
+  scene.run(1);
+
+  // An EMP pulse / mine burst big enough to cover the whole battle
+  const caught = areaTargets(fleets._targets(), 0, 0, 5000);
+  const defenders = fleets._targets().filter((t) => t.ownerId === "def");
+  assert.ok(defenders.length > 0, "the defender's home fleet is in the blast");
+  assert.ok(caught.length > 0 && caught.every((t) => t.ownerId === "atk"));
+  caught.forEach((t) => t.hit(1000));
+
+  assert.ok(log.strikes.every(([civ]) => civ === "atk"));
+  assert.ok(!fleets.hasGrudge("def"), "nobody aimed at the defenders");
+  assert.ok(fleets._targets().filter((t) => t.ownerId === "def").every((t) => !t.hostile));
+});
+
+test("a wave flies in formation, and breaks off when its bombers are gone", () => {
+  const { scene, fleets, log, raid } = siege();
+  scene.run(3);
+  const [bomber] = raid().ships.filter((s) => s.role === "bomber");
+  const [guardian] = raid().ships.filter((s) => s.role === "guardian");
+  assert.ok(Math.hypot(guardian.x - bomber.x, guardian.y - bomber.y) < 400, "the screen stays with the bomber");
+
+  fleets._targets().find((t) => t.id === bomber.id).hit(1000);
+  scene.run(0.1);
+  assert.ok(raid().squadrons[0].retreating, "no bombers, no reason to stay");
+  const fled = raid().ships.map((s) => s.id);
+
+  scene.run(12);
+  assert.equal(raid().ships.length, 0, "the survivors ran rather than died");
+  assert.equal(log.strikes.length, 1, "only the bomber was the player's kill");
+  scene.run(WAVE_REGROUP_MS / 1000 + 0.5);
+  assert.equal(raid().wave, 1, "the next wave comes early, as if the last were wiped out");
+  assert.ok(scene.time.now < WAVE_INTERVAL_MS, "well before the timer");
+  assert.ok(raid().ships.every((s) => !fled.includes(s.id)));
+});
+
+test("a pact ally's besiegers treat the player as a combatant", () => {
+  const hit = (pact) => {
+    const attacker = { id: "atk", type: "Type2", relationship: 0 };
+    const defender = { id: "def", type: "Type1", relationship: 0.3, defensePact: pact ? { signedAt: 1 } : undefined };
+    const scene = new HeadlessScene({
+      universe: { civilizations: [attacker, defender], activeWars: [{ a: "atk", b: "def" }] },
+      player: { x: 600, y: 0 },
+    });
+    scene.loadAround(1, 0, 0).addCiv(defender, { x: 0, y: 0 });
+    scene.use(new CivFleetSystem(scene, new HeadlessShipRenderer())).sync();
+    scene.run(15);
+    return scene.damageTaken;
+  };
+  assert.equal(hit(false), 0, "a bystander is left alone");
+  assert.ok(hit(true) > 0, "a sworn defender is shot at");
+});
+
+// A Type 1 world on a brisk orbit - a sixth of the way round in 40s, at a
+// pace its bombers (132 u/s) can just run down.
+function orbitingWorld(activeWars) {
+  const attacker = { id: "atk", type: "Type2", relationship: 0 };
+  const defender = { id: "def", type: "Type1", relationship: 0 };
+  const scene = new HeadlessScene({
+    universe: { civilizations: [attacker, defender], activeWars },
+    player: { x: 9000, y: 9000 },
+    scale: "planetary",
+  });
+  const orbit = { a: 3000, e: 0.1, omega: 0, m0: 0, period: 240 };
+  const start = orbitPosition(orbit, 0);
+  scene.addCiv(defender, start, { id: "p:sys:0", category: "planet", ...start, orbit });
+  const renderer = new HeadlessShipRenderer();
+  const fleets = scene.use(new CivFleetSystem(scene, renderer));
+  fleets.sync();
+  scene.run(40);
+  const home = orbitPosition(orbit, scene.orbitT);
+  assert.ok(Math.hypot(home.x - start.x, home.y - start.y) > 2500, "the planet is a sixth of the way round");
+  return { fleets, renderer, home };
+}
+
+test("a home fleet keeps station over a homeworld going round its star", () => {
+  const { fleets, home } = orbitingWorld([]);
+  const defenders = fleets.fleets.get("def:def").ships;
+  assert.ok(defenders.length > 0);
+  for (const ship of defenders) {
+    assert.deepEqual({ x: ship.homeX, y: ship.homeY }, home);
+    assert.ok(Math.hypot(ship.x - home.x, ship.y - home.y) < 400, `${ship.id} stayed with its world`);
+  }
+});
+
+test("bombers chase a moving homeworld and hit it where it is", () => {
+  const { renderer, home } = orbitingWorld([{ a: "atk", b: "def" }]);
+  const last = renderer.beams.at(-1);
+  assert.ok(last, "the bombers caught it");
+  assert.ok(Math.hypot(last.x - home.x, last.y - home.y) < 300, "and bomb where it is, not where it was");
+});
+
+test("a friendly people's escort fights raiders beside the player, and its losses are reported", () => {
+  const ally = { id: "ally", type: "Type2", relationship: 0.5 };
+  const attacker = { id: "atk", type: "Type2", relationship: 0 };
+  const defender = { id: "def", type: "Type1", relationship: 0 };
+  const scene = new HeadlessScene({
+    universe: { civilizations: [ally, attacker, defender], activeWars: [{ a: "atk", b: "def" }] },
+    player: { x: 500, y: 0 },
+  });
+  scene.loadAround(1, 0, 0).addCiv(defender, { x: 0, y: 0 }).addCiv(ally, { x: 2000, y: 0 });
+  const fleets = scene.use(new CivFleetSystem(scene, new HeadlessShipRenderer()));
+  scene.combatSystem = { targets: () => fleets._targets() }; // the registry, with only fleets in it
+  const log = { strikes: [], lost: [] };
+  fleets.onStrike = (...args) => log.strikes.push(args);
+  fleets.onEscortLost = (...args) => log.lost.push(args);
+  fleets.sync();
+
+  assert.equal(fleets.requestEscort("def"), "unwilling", "strangers lend nothing");
+  assert.equal(fleets.requestEscort("ally"), null);
+  assert.equal(fleets.getEscortHUD().ships.length, 2);
+  assert.ok(fleets._targets().every((t) => !t.id.startsWith("escort:")), "the player can't shoot their own wing");
+
+  scene.run(20);
+  assert.ok(log.strikes.some(([civ, , ctx]) => civ === "atk" && ctx.wasRaider), "the wing's kills are the player's");
+
+  // Whatever the raiders left of the wing, finish it
+  fleets.escort?.ships.forEach((s) => fleets._damageShip(s, 1000, false));
+  assert.deepEqual(log.lost, [["ally", 1], ["ally", 1]]);
+  scene.run(0.1);
+  assert.equal(fleets.getEscortHUD(), null);
+  assert.equal(fleets.requestEscort("ally"), "refused", "they won't send more to die");
+});
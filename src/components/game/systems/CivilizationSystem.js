@@ -12,16 +12,10 @@ import { getLoadoutLocal } from "../loadoutStore.js";
 import { HULL_STATS } from "../content/hullCatalog.js";
 import { civVisibleAt, civLocation, civAnchorObject, civHostStructureAt, civInDistress } from "../world/civPlacement.js";
 import { cosmicProfile } from "../world/cosmicProfile.js";
+import { bodyPosition } from "../world/orbits.js";
 import { narrateOnce, pick, CURATOR } from "../narrator.js";
-
-// Kardashev type -> beacon color (matches the escalation feel: mundane ->
-// notable -> remarkable -> transcendent)
-export const CIV_TYPE_COLORS = {
-  Type0: 0x9497ad,
-  Type1: 0x4fd1a5,
-  Type2: 0xdfa73f,
-  Type3: 0x8b7bd8,
-};
+import { CIV_TYPE_COLORS } from "../constants.js";
+import { keyLabel } from "../settings.js";
 
 const CULL_DISTANCE = 5000; // world units - drop visuals well outside the loaded area
 
@@ -84,7 +78,10 @@ export class CivilizationSystem {
   }
 
   /** Refresh the tracked set from the universe document. */
-  sync() {
+  // `changes` (from universeChanges) lets an update that touched neither the
+  // civs nor the wars skip the pass entirely.
+  sync(changes) {
+    if (changes && !changes.civilizations.any && !changes.wars) return;
     const civs = (this.scene.universe?.civilizations || []).filter(
       (c) => !c.extinct && typeof c.location?.x === "number" && typeof c.location?.y === "number"
     );
@@ -152,13 +149,15 @@ export class CivilizationSystem {
       // Anchored to the actual world/star/galaxy the civ inhabits, so the
       // beacon is drawn ONTO its home rather than floating in nearby space.
       const anchor = civAnchorObject(seed, beacon.data, cp);
-      const { x, y } = civLocation(beacon.data, seed, cp);
+      const { x, y } = civLocation(beacon.data, seed, cp, this.scene.orbitT);
       beacon.loc = { x, y };
       beacon.anchor = anchor;
 
       if (!beacon.visual) {
+        // An orbiting homeworld is always loaded (ChunkSystem pins it), so
+        // its people are too, whichever chunk it has swung into.
         const chunk = getChunkCoords(x, y);
-        if (loadedChunks.has(getChunkKey(chunk.chunkX, chunk.chunkY))) {
+        if (anchor?.orbit || loadedChunks.has(getChunkKey(chunk.chunkX, chunk.chunkY))) {
           beacon.visual = this.createBeacon(beacon.data, beacon.loc);
         }
       } else if (player && Phaser.Math.Distance.Between(player.x, player.y, x, y) > CULL_DISTANCE) {
@@ -170,6 +169,31 @@ export class CivilizationSystem {
     this._renderHostMarkers(loadedChunks, seed, world, cp);
   }
 
+  /**
+   * Carry beacons on orbiting homeworlds along with their planet, and the
+   * host markers with the planets they mark. Every frame, at orbit time `t`.
+   */
+  followOrbits(t) {
+    for (const beacon of this.beacons.values()) {
+      if (!beacon.visible || !beacon.anchor?.orbit) continue;
+      const { x, y } = bodyPosition(beacon.anchor, t);
+      beacon.loc = { x, y };
+      const visual = beacon.visual;
+      if (!visual) continue;
+      const dx = x - visual.x;
+      const dy = y - visual.y;
+      [visual.core, ...visual.rings, visual.label, ...visual.extras].forEach((obj) => {
+        obj.x += dx;
+        obj.y += dy;
+      });
+      visual.x = x;
+      visual.y = y;
+    }
+    for (const marker of this._hostMarkers || []) {
+      if (marker.follows?.orbit) marker.setPosition(marker.follows.x, marker.follows.y);
+    }
+  }
+
   // Mark descendable structures (galaxies at galactic, stars at stellar) that
   // contain a civ living deeper, so descent is purposeful. A structure hosting
   // a civ in DISTRESS pulses urgent red (a distress signal to follow down);
@@ -195,6 +219,7 @@ export class CivilizationSystem {
         const { x, y } = entry.descriptor;
         const color = isDistress ? 0xe0524a : 0x4fd1a5;
         const marker = this.scene.add.graphics({ x, y }).setDepth(7);
+        marker.follows = entry.descriptor; // ChunkSystem moves an orbiting one
         marker.lineStyle(isDistress ? 2 : 1.5, color, 0.95);
         marker.strokeCircle(0, 0, 22);
         this.scene.tweens.add({
@@ -462,7 +487,8 @@ export class CivilizationSystem {
       const orbit = { angle: 0 };
       this.scene.tweens.add({
         targets: orbit, angle: Math.PI * 2, duration: 4000, repeat: -1,
-        onUpdate: () => votive.setPosition(x + Math.cos(orbit.angle) * 22, y + Math.sin(orbit.angle) * 22),
+        // Round the halo, wherever it is - a homeworld's beacon moves with it
+        onUpdate: () => votive.setPosition(halo.x + Math.cos(orbit.angle) * 22, halo.y + Math.sin(orbit.angle) * 22),
       });
       extras.push(halo, votive);
     } else if (attitude === "hostile") {
@@ -481,7 +507,7 @@ export class CivilizationSystem {
     const attitudeLine = ATTITUDE_LABEL[attitude] ? ` · ${ATTITUDE_LABEL[attitude]}` : "";
     const warLine = atWar ? " · AT WAR" : "";
     const label = this.scene.add
-      .text(x, y - 34, `[${civDesignation(civ.id)}]\n${civ.type.replace("Type", "TYPE ")}${attitudeLine}${warLine} · [G] CONTACT`, {
+      .text(x, y - 34, `[${civDesignation(civ.id)}]\n${civ.type.replace("Type", "TYPE ")}${attitudeLine}${warLine} · [${keyLabel("contact")}] CONTACT`, {
         fontFamily: '"IBM Plex Mono", monospace',
         fontSize: "11px",
         color: `#${color.toString(16).padStart(6, "0")}`,
@@ -5,8 +5,17 @@
 // Sustained fire builds heat; overheat locks the gun until it cools - the
 // boost-lockout rhythm, applied to a trigger.
 //
+// The secondary ([R] by default) launches the hull's ordnance from a finite
+// magazine that salvage motes restock (combatModel.ORDNANCE): seeker
+// torpedoes that lock at launch and steer onto their target, an EMP that
+// strips shields around the ship, or mines left behind to arm and wait.
+//
 // Enemies plug in through a provider registry: any system can addProvider()
-// a function returning live targets ({ id, x, y, radius, hit(dmg) -> dead }).
+// a function returning live targets ({ id, x, y, radius, hit(dmg) -> dead },
+// plus `shields` where there are any - the EMP's business - and, for civ
+// ships, `ownerId` and `raider`, which is how an escort tells friend from foe,
+// and `hostile`: the EMP and mines only touch ships that are, since an area
+// blast is nobody's aim).
 // Rift-spawn register today; v2 fleet ships will register the same way, so
 // the gun never needs to know what it's shooting.
 import Phaser from "phaser";
@@ -14,10 +23,12 @@ import { playSfx } from "../audio.js";
 import { getLoadoutLocal } from "../loadoutStore.js";
 import {
   weaponFor, applyCooling, tryFire, pickTarget,
+  ORDNANCE, ordnanceFor, freshMagazine, tryLaunch, restock, empDamage, steerToward, areaTargets,
 } from "../combat/combatModel.js";
 
 const BOLT_LIFESPAN_MS = 1400;
 const MUZZLE_OFFSET = 22; // bolt spawns ahead of the nose, not inside the hull
+const MINE_DROP_OFFSET = 26; // mines drop behind the tail
 
 export class CombatSystem {
   constructor(scene) {
@@ -25,14 +36,18 @@ export class CombatSystem {
     this.heatState = { heat: 0, locked: false, lastFiredAt: -Infinity };
     this.bolts = [];
     this.providers = [];
+    this.magazine = null; // { id, ammo, lastFiredAt } - see _syncMagazine
+    this.torpedoes = [];
+    this.mines = [];
   }
 
-  /** Register a target source: fn() -> [{ id, x, y, radius, hit(dmg)->dead }] */
+  /** Register a target source: fn() -> [{ id, x, y, radius, shields?, hit(dmg)->dead }] */
   addProvider(fn) {
     this.providers.push(fn);
   }
 
-  _targets() {
+  /** Every live target, from every provider - also what escorts fight. */
+  targets() {
     const out = [];
     for (const fn of this.providers) {
       const list = fn();
@@ -48,7 +63,7 @@ export class CombatSystem {
     const player = this.scene.player;
     const paused = this.scene.inputSystem?.isMinigameActive || this.scene.respawning;
 
-    if (!paused && player?.body && this.scene.inputSystem?.keys?.fire?.isDown) {
+    if (!paused && player?.body && this.scene.inputSystem?.held("fire")) {
       const wasLocked = this.heatState.locked;
       const weapon = weaponFor(getLoadoutLocal().hull);
       const res = tryFire(this.heatState, weapon, time);
@@ -63,7 +78,152 @@ export class CombatSystem {
       player.weaponLocked = this.heatState.locked;
     }
 
+    this._syncMagazine();
     this._updateBolts(time, delta);
+    this._updateTorpedoes(time, delta);
+    this._updateMines(time);
+  }
+
+  // The magazine follows the loadout: a refit in the hangar comes with a
+  // full rack of the new ordnance.
+  _syncMagazine() {
+    const { hull, ordnance } = getLoadoutLocal();
+    const id = ordnanceFor(hull, ordnance);
+    if (this.magazine?.id !== id) this.magazine = freshMagazine(id);
+  }
+
+  /** The secondary key (a flight recorder command): launch one round. */
+  fireSecondary() {
+    const player = this.scene.player;
+    if (!player?.body || this.scene.inputSystem?.isMinigameActive || this.scene.respawning) return;
+    this._syncMagazine();
+    const res = tryLaunch(this.magazine, this.scene.time.now);
+    if (!res.fired) {
+      if (this.magazine.ammo < 1) playSfx("boostDepleted"); // dry click
+      return;
+    }
+    this.magazine = res.mag;
+    const ord = ORDNANCE[this.magazine.id];
+    if (this.magazine.id === "torpedo") this._launchTorpedo(player, ord);
+    else if (this.magazine.id === "emp") this._pulseEmp(player, ord);
+    else this._dropMine(player, ord);
+  }
+
+  /** Salvage motes restock the magazine (SalvageSystem). */
+  restockOrdnance(motes = 1) {
+    this._syncMagazine();
+    this.magazine = restock(this.magazine, motes);
+  }
+
+  /** The HUD's `ordnance`: what's racked and how many whole rounds remain. */
+  getOrdnanceHUD() {
+    if (!this.magazine) return null;
+    const ord = ORDNANCE[this.magazine.id];
+    return {
+      label: ord.short,
+      ammo: Math.floor(this.magazine.ammo),
+      max: ord.ammo,
+      ready: this.scene.time.now - this.magazine.lastFiredAt >= ord.cooldownMs,
+    };
+  }
+
+  _launchTorpedo(player, ord) {
+    const angle = player.rotation - Math.PI / 2;
+    // Locks once, at launch; if the lock dies the torpedo flies on straight
+    const target = pickTarget({ x: player.x, y: player.y, noseAngle: angle }, this.targets(), {
+      range: ord.lockRange, coneRad: ord.lockConeRad,
+    });
+    const x = player.x + Math.cos(angle) * MUZZLE_OFFSET;
+    const y = player.y + Math.sin(angle) * MUZZLE_OFFSET;
+    const gfx = this.scene.add.graphics({ x, y }).setDepth(6).setBlendMode(Phaser.BlendModes.ADD);
+    gfx.fillStyle(0xe0524a, 1);
+    gfx.fillTriangle(8, 0, -6, -4, -6, 4);
+    gfx.rotation = angle;
+    this.torpedoes.push({ x, y, angle, targetId: target?.id ?? null, bornAt: this.scene.time.now, gfx });
+    playSfx("torpedo");
+  }
+
+  _updateTorpedoes(time, delta) {
+    if (this.torpedoes.length === 0) return;
+    const ord = ORDNANCE.torpedo;
+    const dt = (delta / 1000) * (this.scene.worldTimeScale ?? 1);
+    const targets = this.targets();
+
+    for (let i = this.torpedoes.length - 1; i >= 0; i--) {
+      const t = this.torpedoes[i];
+      if (time - t.bornAt > ord.lifespanMs) {
+        this._removeFrom(this.torpedoes, i);
+        continue;
+      }
+      const lock = t.targetId != null && targets.find((c) => c.id === t.targetId);
+      if (lock) t.angle = steerToward(t.angle, Math.atan2(lock.y - t.y, lock.x - t.x), ord.turnRate * dt);
+      t.x += Math.cos(t.angle) * ord.speed * dt;
+      t.y += Math.sin(t.angle) * ord.speed * dt;
+      t.gfx.setPosition(t.x, t.y);
+      t.gfx.rotation = t.angle;
+
+      const hit = targets.find((c) => Phaser.Math.Distance.Between(t.x, t.y, c.x, c.y) <= (c.radius ?? 16) + 8);
+      if (!hit) continue;
+      this._impact(t.x, t.y);
+      hit.hit(ord.damage);
+      this._removeFrom(this.torpedoes, i);
+    }
+  }
+
+  _pulseEmp(player, ord) {
+    const ring = this.scene.add.graphics({ x: player.x, y: player.y }).setDepth(6).setBlendMode(Phaser.BlendModes.ADD);
+    ring.lineStyle(3, 0x7ad7f5, 0.9);
+    ring.strokeCircle(0, 0, ord.radius);
+    ring.setScale(0.1);
+    this.scene.tweens.add({
+      targets: ring, scale: 1, alpha: 0, duration: 380, ease: "Cubic.easeOut",
+      onComplete: () => ring.destroy(),
+    });
+    for (const t of areaTargets(this.targets(), player.x, player.y, ord.radius)) {
+      const strip = empDamage(t.shields, ord.shieldDamage);
+      if (strip > 0) t.hit(strip);
+    }
+    playSfx("emp");
+  }
+
+  _dropMine(player, ord) {
+    const tail = player.rotation + Math.PI / 2;
+    const x = player.x + Math.cos(tail) * MINE_DROP_OFFSET;
+    const y = player.y + Math.sin(tail) * MINE_DROP_OFFSET;
+    const gfx = this.scene.add.graphics({ x, y }).setDepth(5);
+    gfx.fillStyle(0xf5cf7a, 1);
+    gfx.fillCircle(0, 0, 5);
+    gfx.lineStyle(1, 0xf5cf7a, 0.4);
+    gfx.strokeCircle(0, 0, ord.triggerRadius);
+    gfx.setAlpha(0.4); // dim until armed
+    this.mines.push({ x, y, bornAt: this.scene.time.now, armed: false, gfx });
+    playSfx("mineDrop");
+  }
+
+  _updateMines(time) {
+    if (this.mines.length === 0) return;
+    const ord = ORDNANCE.mine;
+    let targets = null;
+
+    for (let i = this.mines.length - 1; i >= 0; i--) {
+      const m = this.mines[i];
+      const age = time - m.bornAt;
+      if (age > ord.lifespanMs) {
+        this._removeFrom(this.mines, i);
+        continue;
+      }
+      if (age < ord.armMs) continue;
+      if (!m.armed) {
+        m.armed = true;
+        m.gfx.setAlpha(1);
+      }
+      targets ??= this.targets();
+      if (areaTargets(targets, m.x, m.y, ord.triggerRadius).length === 0) continue;
+      this._impact(m.x, m.y);
+      for (const t of areaTargets(targets, m.x, m.y, ord.blastRadius)) t.hit(ord.damage);
+      this._removeFrom(this.mines, i);
+      targets = null; // the blast may have killed some
+    }
   }
 
   _spawnBolt(player, weapon) {
@@ -72,7 +232,7 @@ export class CombatSystem {
     // Aim assist: bend the shot toward the best target in the cone, capped so
     // it reads as help, not homing.
     let angle = noseAngle;
-    const target = pickTarget({ x: player.x, y: player.y, noseAngle }, this._targets(), {});
+    const target = pickTarget({ x: player.x, y: player.y, noseAngle }, this.targets(), {});
     if (target) angle = Math.atan2(target.y - player.y, target.x - player.x);
 
     const x = player.x + Math.cos(noseAngle) * MUZZLE_OFFSET;
@@ -97,7 +257,7 @@ export class CombatSystem {
   _updateBolts(time, delta) {
     if (this.bolts.length === 0) return;
     const dt = (delta / 1000) * (this.scene.worldTimeScale ?? 1);
-    const targets = this._targets();
+    const targets = this.targets();
 
     for (let i = this.bolts.length - 1; i >= 0; i--) {
       const b = this.bolts[i];
@@ -133,14 +293,20 @@ export class CombatSystem {
   }
 
   _removeBolt(index) {
-    this.bolts[index].gfx.destroy();
-    this.bolts.splice(index, 1);
+    this._removeFrom(this.bolts, index);
+  }
+
+  _removeFrom(list, index) {
+    list[index].gfx.destroy();
+    list.splice(index, 1);
   }
 
-  /** Drop all in-flight bolts (scale change / teardown). */
+  /** Drop all in-flight bolts, torpedoes and mines (scale change / teardown). */
   clear() {
-    this.bolts.forEach((b) => b.gfx.destroy());
+    [...this.bolts, ...this.torpedoes, ...this.mines].forEach((b) => b.gfx.destroy());
     this.bolts = [];
+    this.torpedoes = [];
+    this.mines = [];
   }
 
   destroy() {
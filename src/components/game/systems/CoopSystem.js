@@ -0,0 +1,138 @@
+// src/components/game/systems/CoopSystem.js
+//
+// Calling for a partner (co-op containment, minigames/coop.js). [N] beside a
+// charted anomaly whose game can be split opens that anomaly's relay room
+// (api/coopRelay.js) and waits; a second warden pressing [N] at the same
+// anomaly in the same universe takes the other seat. Once paired, each sends
+// a "hello" - their arena size, and seat 0 its challenge level - and both
+// launch the minigame, which then runs in lockstep over the same channel.
+// [N] again while waiting hangs up.
+//
+// Partner input can arrive before the minigame scene has started, so until
+// the scene takes over (`deliver`), it waits in the session's backlog.
+import { CoopChannel, COOP_STATUS } from "../../../api/coopRelay.js";
+import { COOP_GAMES } from "../minigames/transcript.js";
+import { challengeFor } from "../minigames/skillModel.js";
+import { getMinigame } from "../content/minigameCatalog.js";
+import { keyLabel } from "../settings.js";
+
+export class CoopSystem {
+  /**
+   * @param {Phaser.Scene} scene - UniverseScene
+   * @param {((anomalyId: string) => string) | null} relayUrl - the relay room
+   *   for an anomaly; null where co-op isn't available (guests, museum copies)
+   */
+  constructor(scene, relayUrl) {
+    this.scene = scene;
+    this.relayUrl = relayUrl;
+    this.session = null;
+
+    scene.events.on("minigame:complete", this.endSession, this);
+    scene.events.on("minigame:abort", this.endSession, this);
+    scene.events.once("shutdown", () => this.hangUp(), this);
+  }
+
+  get calling() {
+    return !!this.session && !this.session.launched;
+  }
+
+  hint(message, variant = "info", duration = 6000) {
+    this.scene.events.emit("hint", { message, variant, duration });
+  }
+
+  /** Open the relay room for `anomaly` and wait for a partner. */
+  call(anomaly, sceneKey) {
+    if (this.scene.replay?.playing || this.session) return;
+    const game = getMinigame(sceneKey)?.game;
+    if (!COOP_GAMES.has(game)) {
+      this.hint(`This anomaly's containment is a one-warden job - press ${keyLabel("interact")} to take it alone.`);
+      return;
+    }
+    if (!anomaly.isBackend || !this.relayUrl) {
+      this.hint("No partner can reach this anomaly - co-op needs a charted anomaly in a live universe.", "warn");
+      return;
+    }
+
+    const channel = new CoopChannel({
+      url: this.relayUrl(anomaly.id),
+      onStatusChange: (status) => this.onStatus(status),
+    });
+    this.session = { anomaly, sceneKey, game, channel, hello: null, peerHello: null, launched: false, backlog: [], deliver: null };
+    channel.listen((msg) => this.onMessage(msg));
+    channel.open();
+  }
+
+  onStatus(status) {
+    const session = this.session;
+    if (!session) return;
+    if (status === COOP_STATUS.WAITING && !session.launched) {
+      this.hint("Calling for a partner - another warden pressing N at this anomaly joins you. N again to hang up.", "info", 10000);
+    } else if (status === COOP_STATUS.PAIRED && !session.hello) {
+      const { width, height } = this.scene.scale;
+      session.hello = {
+        type: "hello",
+        view: [Math.round(width), Math.round(height)],
+        // A pair has no shared grade history: the universe's difficulty alone sets it
+        challenge: challengeFor({}, session.game, this.scene.universe?.difficulty ?? null),
+      };
+      session.channel.send(session.hello);
+      this.maybeLaunch();
+    } else if (status === COOP_STATUS.CLOSED && !session.launched) {
+      this.session = null;
+      this.hint("The co-op relay couldn't be reached.", "warn");
+    }
+  }
+
+  onMessage(msg) {
+    const session = this.session;
+    if (!session) return;
+    if (msg.type === "hello") {
+      session.peerHello = msg;
+      this.maybeLaunch();
+    } else if (msg.type === "full") {
+      this.session = null;
+      this.hint("Two wardens are already working this anomaly.", "warn");
+    } else if (session.launched && (msg.type === "input" || msg.type === "peer-left")) {
+      if (session.deliver) session.deliver(msg);
+      else session.backlog.push(msg);
+    } else if (msg.type === "peer-left") {
+      session.peerHello = null;
+      session.hello = null;
+    }
+  }
+
+  maybeLaunch() {
+    const session = this.session;
+    if (!session?.hello || !session.peerHello || session.launched) return;
+    const { channel } = session;
+    const host = channel.seat === 0 ? session.hello : session.peerHello;
+    const theirs = session.peerHello.view ?? session.hello.view;
+    session.launched = true;
+    this.scene.inputSystem.startMinigame(session.anomaly, {
+      coop: {
+        channel,
+        seat: channel.seat,
+        session: channel.session,
+        // The smaller arena of the two, so a pixel-laid-out game fits both
+        view: [Math.min(session.hello.view[0], theirs[0]), Math.min(session.hello.view[1], theirs[1])],
+        challenge: host.challenge ?? null,
+        backlog: session.backlog,
+        attach: (deliver) => {
+          session.deliver = deliver;
+        },
+      },
+    });
+  }
+
+  endSession() {
+    if (this.session?.launched) this.hangUp();
+  }
+
+  /** Leave the relay room; `said` tells the warden they hung up. */
+  hangUp(said = false) {
+    const session = this.session;
+    this.session = null;
+    session?.channel.close();
+    if (said) this.hint("Hung up - no partner is coming.");
+  }
+}
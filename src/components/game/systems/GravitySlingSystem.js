@@ -12,6 +12,7 @@
 // can never trap you - it's a tool, not a tractor beam.
 import { playSfx } from "../audio.js";
 import { narrate, narrateOnce, pick, CURATOR } from "../narrator.js";
+import { orbitVelocity } from "../world/orbits.js";
 
 const GRAVITY_K = 46;       // pull per unit mass at point-blank (falloff below)
 const MAX_GRAVITY = 150;    // summed cap - always beatable by thrust
@@ -22,12 +23,15 @@ const GRAZE_SPEED_MIN = 240;
 const GRAZE_KICK = 120;     // velocity impulse on a close pass
 const GRAZE_BOOST = 22;     // boost energy granted per graze
 const GRAZE_COOLDOWN = 650; // ms between graze pops (per system, debounced)
+const ORBIT_ASSIST = 1;     // share of a moving body's velocity a graze hands over
 
 // A body's gravitational mass, from its kind + rendered size. Only real bodies
-// pull - nebulae/anomalies/planets are too diffuse or small to matter here.
+// pull - nebulae/anomalies are too diffuse. Planets pull (lightly) where they
+// fly their orbits, inside their own system.
 function massOf(d) {
   if (d.category === "galaxy") return 1.4 * (0.6 + (d.scale || 0.5));
   if (d.category === "star") return 1.0 * (0.5 + (d.scale || 0.5)) * (d.central ? 2.3 : 1);
+  if (d.category === "planet" && d.orbit) return 0.45 * (0.5 + (d.scale || 0.5));
   return 0;
 }
 
@@ -101,12 +105,12 @@ export class GravitySlingSystem {
       const grazeDist = 70 + nearest.mass * 34;
       if (nearestD < grazeDist) {
         this._grazeCd = time + GRAZE_COOLDOWN;
-        this._graze(player, vx, vy, speed);
+        this._graze(player, vx, vy, speed, nearest.d);
       }
     }
   }
 
-  _graze(player, vx, vy, speed) {
+  _graze(player, vx, vy, speed, body) {
     this._grazes += 1;
     const input = this.scene.inputSystem;
     if (input) input.boostEnergy = Math.min(100, input.boostEnergy + GRAZE_BOOST);
@@ -114,6 +118,13 @@ export class GravitySlingSystem {
     // Whip: an impulse along current heading - the assist "flings" you.
     player.body.velocity.x += (vx / speed) * GRAZE_KICK;
     player.body.velocity.y += (vy / speed) * GRAZE_KICK;
+    // A planet on its orbit is a real gravity assist: you leave carrying its
+    // motion, so pass behind it going its way and it throws you forward.
+    if (body?.orbit) {
+      const v = orbitVelocity(body.orbit, this.scene.orbitT ?? 0);
+      player.body.velocity.x += v.x * ORBIT_ASSIST;
+      player.body.velocity.y += v.y * ORBIT_ASSIST;
+    }
 
     playSfx('slingshot');
     this._grazeFx(player.x, player.y);
@@ -0,0 +1,60 @@
+// src/components/game/systems/GravitySlingSystem.test.js
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { HeadlessScene } from "./headlessScene.js";
+import { GravitySlingSystem } from "./GravitySlingSystem.js";
+import { orbitPosition } from "../world/orbits.js";
+
+beforeEach(() => mock.timers.enable({ apis: ["setTimeout"] }));
+afterEach(() => mock.timers.reset());
+
+test("a fast, close pass by a star slings the ship and refunds boost", () => {
+  const scene = new HeadlessScene({ player: { x: -900, y: 40 } });
+  scene.addObject({ category: "star", x: 0, y: 0, scale: 0.8, central: true });
+  const sling = scene.use(new GravitySlingSystem(scene));
+  scene.inputSystem.boostEnergy = 10;
+  scene.player.body.velocity.x = 420;
+
+  let peakSlip = 0;
+  scene.run(4, () => { peakSlip = Math.max(peakSlip, sling.slip); });
+
+  assert.ok(sling.getTraversal().grazes >= 1, "the close pass grazes");
+  assert.ok(peakSlip > 0.5, "slipstream builds near the star");
+  assert.ok(scene.inputSystem.boostEnergy > 40, "slipstream and graze both refund boost");
+  assert.ok(scene.player.x > 900, "and the ship carries on through - gravity curves, it doesn't capture");
+});
+
+test("gravity alone never holds a ship that is thrusting away", () => {
+  const scene = new HeadlessScene({ player: { x: 30, y: 0 } });
+  for (let i = 0; i < 4; i++) {
+    scene.addObject({ category: "galaxy", x: -60 * i, y: 20 * i, scale: 1 });
+  }
+  scene.use(new GravitySlingSystem(scene));
+  scene.thrust = { x: 280, y: 0 };
+  let peak = 0;
+  scene.run(6, ({ player }) => {
+    peak = Math.max(peak, Math.hypot(player.body.acceleration.x - 280, player.body.acceleration.y));
+  });
+  assert.ok(peak <= 150 + 1e-9, `summed gravity ${peak.toFixed(1)} stays under its cap`);
+  assert.ok(scene.player.x > 1500);
+});
+
+test("grazing a planet on its orbit hands the ship the planet's motion", () => {
+  // A planet moving +y at ~209 u/s; the ship is aimed to cross just ahead of
+  // where it will be (~150 units up its orbit) when the ship gets there.
+  const orbit = { a: 2000, e: 0, omega: 0, m0: 0, period: 60 };
+  const pass = (withOrbit) => {
+    const scene = new HeadlessScene({ player: { x: 2000 - 300, y: 180 }, scale: "planetary" });
+    const at = orbitPosition(orbit, 0);
+    scene.addObject({ category: "planet", ...at, scale: 0.8, ...(withOrbit ? { orbit } : {}) });
+    const sling = scene.use(new GravitySlingSystem(scene));
+    scene.player.body.velocity.x = 420;
+    scene.run(1.2);
+    return { scene, grazes: sling.getTraversal().grazes };
+  };
+
+  const moving = pass(true);
+  assert.ok(moving.grazes >= 1, "a planet pulls, and a close pass grazes it");
+  assert.ok(moving.scene.player.body.velocity.y > 150, "the ship leaves carrying the planet's motion");
+  assert.equal(pass(false).grazes, 0, "a planet placed off-orbit (a map marker, the orbital world) doesn't pull");
+});
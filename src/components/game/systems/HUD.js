@@ -49,11 +49,14 @@ export class HUD {
         heat: Math.round(this.scene.player?.weaponHeat ?? 0),
         locked: this.scene.player?.weaponLocked || false,
       },
+      ordnance: this.scene.combatSystem?.getOrdnanceHUD() ?? null,
+      escort: this.scene.civFleetSystem?.getEscortHUD() ?? null,
       ability: this.scene.abilitySystem?.getHUD() ?? null,
       gamma: this.scene.gamma ?? 1,
       survey: this.scene.scanSystem?.getSurvey() ?? null,
       traversal: this.scene.gravitySlingSystem?.getTraversal() ?? null,
-      surge: this.scene.surgeSystem?.getSurge() ?? null
+      surge: this.scene.surgeSystem?.getSurge() ?? null,
+      touch: this.scene.touchSystem?.getContext() ?? null
     };
   }
 
@@ -4,7 +4,8 @@
 // cosmological ones (dark energy) push it away, and every anomaly deals
 // hull damage inside its danger ring - so approaching a severity-5 black
 // hole merger to resolve it is a risk decision, not a chore. Forces are
-// added on top of the acceleration InputSystem already set this frame.
+// added on top of the acceleration InputSystem already set this frame. An
+// Unraveler widens its anomaly's danger ring as it dies (RiftSpawnSystem).
 import { getLoadoutLocal } from "../loadoutStore.js";
 import { HULL_STATS } from "../content/hullCatalog.js";
 
@@ -38,7 +39,7 @@ export class HazardSystem {
     let fx = 0;
     let fy = 0;
 
-    const applyAnomaly = (x, y, severity, category, resolved) => {
+    const applyAnomaly = (x, y, severity, category, resolved, danger = dangerRadius(severity)) => {
       if (resolved) return;
       const dx = x - player.x;
       const dy = y - player.y;
@@ -55,7 +56,7 @@ export class HazardSystem {
         fy += (dy / d) * accel;
       }
 
-      if (d < dangerRadius(severity)) {
+      if (d < danger) {
         incomingDps = Math.max(incomingDps, dps(severity));
       }
     };
@@ -63,9 +64,10 @@ export class HazardSystem {
     this.scene.chunkSystem.loadedChunks.forEach((chunk) => {
       chunk.anomalies.forEach((a) => applyAnomaly(a.x, a.y, a.severity, a.category, a.resolved));
     });
-    this.scene.anomalySystem.backendAnomalies.forEach((a) => {
+    this.scene.anomalySystem.backendAnomalies.forEach((a, id) => {
       if (typeof a.location?.x === "number") {
-        applyAnomaly(a.location.x, a.location.y, a.severity, a.category, false);
+        const danger = this.scene.riftSpawnSystem?.dangerRadiusOf(id);
+        applyAnomaly(a.location.x, a.location.y, a.severity, a.category, false, danger ?? undefined);
       }
     });
 
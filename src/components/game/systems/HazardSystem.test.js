@@ -0,0 +1,45 @@
+// src/components/game/systems/HazardSystem.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { HeadlessScene } from "./headlessScene.js";
+import { HazardSystem, pullRadius } from "./HazardSystem.js";
+
+const THRUST = 280; // InputSystem's base thrust
+
+// Three severity-5 gravitational anomalies around the origin: the worst
+// pile-up the world can roll, with the player in the middle of it.
+function pileUp(player) {
+  const scene = new HeadlessScene({ player: { health: 1e6, ...player } });
+  scene.addAnomaly(-90, 0, "blackHoleMerger", 5);
+  scene.addAnomaly(90, 40, "darkMatterClump", 5);
+  scene.addAnomaly(0, -120, "blackHoleMerger", 5);
+  scene.use(new HazardSystem(scene));
+  return scene;
+}
+
+test("hazard force never exceeds thrust, wherever the ship drifts", () => {
+  const scene = pileUp({ x: 300, y: 250 });
+  let peak = 0;
+  scene.run(20, ({ player }) => {
+    // No pilot input, so this frame's acceleration is the hazard alone
+    peak = Math.max(peak, Math.hypot(player.body.acceleration.x, player.body.acceleration.y));
+  });
+  assert.ok(peak > 0, "the pile-up pulls");
+  assert.ok(peak < THRUST, `peak hazard ${peak.toFixed(1)} must stay below thrust`);
+  assert.ok(scene.damageTaken > 0, "and burns inside the danger ring");
+});
+
+test("full thrust always flies clear of the pile-up", () => {
+  const scene = pileUp({ x: 0, y: 0 });
+  scene.thrust = { x: THRUST, y: 0 };
+  scene.run(8);
+  assert.ok(scene.player.x > pullRadius(5) + 90, `escaped to x=${scene.player.x.toFixed(0)}`);
+});
+
+test("invulnerability is full grace: no pull, no damage", () => {
+  const scene = pileUp({ x: 0, y: 0 });
+  scene.player.invulnerableUntil = 3000;
+  scene.run(2.5);
+  assert.equal(scene.damageTaken, 0);
+  assert.equal(Math.hypot(scene.player.x, scene.player.y), 0);
+});
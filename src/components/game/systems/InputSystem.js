@@ -1,28 +1,29 @@
 import Phaser from "phaser";
 import { scaleByDelta, decayByDelta } from "../utils";
 import { getShipModifiers } from "../content/upgradeCatalog.js";
-import { getSettings, onSettingsChange } from "../settings.js";
+import { getSettings, onSettingsChange, keyBindings, keyLabel } from "../settings.js";
 import { playSfx } from "../audio.js";
 import { getLoadoutLocal } from "../loadoutStore.js";
 import { HULL_STATS } from "../content/hullCatalog.js";
 import { narrateOnce, pick, CURATOR } from "../narrator.js";
 import { markBeat } from "../firstSession.js";
 import { dlog } from "../../../devLog.js";
+import { PadReader, padBindings } from "../gamepad.js";
+import { takeTouch } from "../touch.js";
+import { IDLE_PAD, INPUT_ACTIONS } from "../replay/replayFormat.js";
 
-// Movement key presets, selected via the settings menu. AZERTY (ZQSD) is the
-// game's original binding; QWERTY gives the standard WASD cluster.
-const KEY_LAYOUTS = {
-  azerty: { thrust: "Z", brake: "S", left: "Q", right: "D", strafeLeft: "A", strafeRight: "E" },
-  qwerty: { thrust: "W", brake: "S", left: "A", right: "D", strafeLeft: "Q", strafeRight: "E" },
-};
+// Discrete actions that go through the flight recorder (ReplaySystem) as the
+// command of the same name, so a replay re-issues them on the same frame -
+// from their key (settings.js key map) or their pad button alike.
+const COMMANDS = ["interact", "scan", "contact", "ability", "secondary", "wing", "coop", "descend", "ascend"];
 
 export class InputSystem {
   constructor(scene) {
     this.scene = scene;
     this.setupControls();
 
-    // Rebind movement keys immediately when the layout setting changes
-    this.unsubscribeSettings = onSettingsChange(() => this.applyKeyboardLayout());
+    // Rebind immediately when the key map (or the layout under it) changes
+    this.unsubscribeSettings = onSettingsChange(() => this.applyKeyBindings());
 
     // Self-managed cleanup: don't rely solely on the scene remembering to
     // call destroy(). A full game teardown (leaving the universe) fires
@@ -53,6 +54,10 @@ export class InputSystem {
     this.boostEnergy = 100;
     this.boostRechargeRate = 0.09; // per reference frame (~18.5s to fully recharge) - boost is now much faster, so the refill penalty is steep to match
     this.boostLocked = false; // true from the moment energy hits 0 until it climbs back to BOOST_LOCKOUT_THRESHOLD
+
+    // Gamepad: this step's sticks and held buttons (see pollGamepad)
+    this.padReader = new PadReader();
+    this.pad = { ...IDLE_PAD };
     
     // Minigame state
     this.isMinigameActive = false;
@@ -113,62 +118,82 @@ export class InputSystem {
   }
 
   setupControls() {
-    this.applyKeyboardLayout();
+    this.applyKeyBindings();
+  }
 
-    // Setup F key listener for anomaly interaction
-    this.scene.input.keyboard.on('keydown-F', () => {
-      this.handleAnomalyInteraction();
-    });
+  /**
+   * Read the gamepad for this step: sticks and held buttons into this.pad,
+   * presses through the flight recorder as commands. ReplaySystem calls this
+   * before recording the step, so a replay never reads a live pad. The map
+   * and menu buttons belong to React (ui/useGamepad.js).
+   *
+   * The touch controls (touch.js) come in here too, as a second pad: the
+   * virtual stick where the real one is idle, its buttons beside the pad's.
+   */
+  pollGamepad() {
+    const { x, y, rx, down, pressed } = this.padReader.poll();
+    const touch = takeTouch();
+    const bindings = padBindings(getSettings().gamepadBindings);
+    const stick = x || y ? { x, y } : { x: touch.x, y: touch.y };
+    this.pad = {
+      ...stick,
+      rx,
+      boost: down.has(bindings.boost) || touch.held.has('boost'),
+      fire: down.has(bindings.fire) || touch.held.has('fire'),
+    };
+    if (this.isMinigameActive || this.scene.paused) return;
+    for (const action of COMMANDS) {
+      if (pressed.includes(bindings[action]) || touch.pressed.includes(action)) this.scene.replay.command(action);
+    }
+  }
 
-    // V key: scan the nearest unscanned cosmic object / anomaly
-    this.scene.input.keyboard.on('keydown-V', () => {
-      if (this.isMinigameActive) return;
-      this.scene.scanSystem?.tryStartScan();
-    });
+  /** A held action (boost, fire) from the keyboard or the pad. */
+  held(action) {
+    return !!this.keys?.[action]?.isDown || !!this.pad[action];
+  }
 
-    // G key: open First Contact with the nearest civilization beacon
-    this.scene.input.keyboard.on('keydown-G', () => {
-      if (this.isMinigameActive) return;
-      const civ = this.scene.civilizationSystem?.findNearest(this.scene.player);
-      if (civ) this.scene.onCivContact?.(civ.id);
-    });
+  handleScan() {
+    if (this.isMinigameActive) return;
+    this.scene.scanSystem?.tryStartScan();
+  }
+
+  handleContact() {
+    if (this.isMinigameActive) return;
+    const civ = this.scene.civilizationSystem?.findNearest(this.scene.player);
+    if (civ) this.scene.onCivContact?.(civ.id);
   }
 
   /**
-   * (Re)bind all polled keys from the current keyboard-layout setting.
-   * Safe to call at any time - old Key objects are released first so
-   * abandoned bindings don't keep firing.
+   * (Re)bind every flight key from the key map (settings.js): the held keys
+   * polled each step into this.keys (the movement cluster, the arrow keys
+   * the "direct" model also reads, boost and fire), and one key per
+   * command. Safe to call at any time - old Key objects are destroyed first
+   * so abandoned bindings don't keep firing. The panel hotkeys are React's
+   * (PhaserGame).
    */
-  applyKeyboardLayout() {
+  applyKeyBindings() {
     // Defensive: if this instance is somehow still subscribed after its
     // scene was torn down (Phaser nulls out input internals on shutdown),
     // bail instead of throwing - a thrown error here would abort the
     // settings module's listener loop for every OTHER subscriber too.
-    if (!this.scene?.input?.keyboard) return;
-
-    const layout = KEY_LAYOUTS[getSettings().keyboardLayout] || KEY_LAYOUTS.azerty;
-
-    if (this.keys) {
-      Object.values(this.keys).forEach((key) => this.scene.input.keyboard.removeKey(key));
-    }
-
-    this.keys = this.scene.input.keyboard.addKeys({
-      ...layout,
-      boost: Phaser.Input.Keyboard.KeyCodes.SHIFT,
-      map: Phaser.Input.Keyboard.KeyCodes.M,
-      fix: Phaser.Input.Keyboard.KeyCodes.F,
-      scan: Phaser.Input.Keyboard.KeyCodes.V,
-      fire: Phaser.Input.Keyboard.KeyCodes.X,
-      // Arrow keys drive the "direct" arcade flight model (layout-independent).
-      // In direct mode the WASD/ZQSD movement cluster also works directionally.
-      arrowUp: Phaser.Input.Keyboard.KeyCodes.UP,
-      arrowDown: Phaser.Input.Keyboard.KeyCodes.DOWN,
-      arrowLeft: Phaser.Input.Keyboard.KeyCodes.LEFT,
-      arrowRight: Phaser.Input.Keyboard.KeyCodes.RIGHT,
+    const keyboard = this.scene?.input?.keyboard;
+    if (!keyboard) return;
+
+    // Any settings change lands here; only a changed map rebinds (a fresh
+    // Key reads as released, which would drop a key being held)
+    const bindings = keyBindings();
+    const signature = JSON.stringify(bindings);
+    if (signature === this.boundSignature) return;
+    this.boundSignature = signature;
+
+    new Set(this.boundKeys).forEach((key) => keyboard.removeKey(key, true));
+    this.keys = Object.fromEntries(INPUT_ACTIONS.map((action) => [action, keyboard.addKey(bindings[action])]));
+    const commandKeys = COMMANDS.map((command) => {
+      const key = keyboard.addKey(bindings[command]);
+      key.on('down', () => this.scene.replay.command(command));
+      return key;
     });
-
-    this.mapKey = this.keys.map;
-    this.fixKey = this.keys.fix;
+    this.boundKeys = [...Object.values(this.keys), ...commandKeys];
   }
 
   destroy() {
@@ -179,7 +204,7 @@ export class InputSystem {
   }
 
   /**
-   * Handle F key press - trigger anomaly interaction
+   * Handle the interact key (F by default) - trigger anomaly interaction
    */
   handleAnomalyInteraction() {
     if (!this.scene.anomalySystem || this.isMinigameActive) return;
@@ -205,7 +230,7 @@ export class InputSystem {
       // must fall before containment can begin (the two-phase encounter).
       if (this.scene.riftSpawnSystem?.isBesieged(nearestAnomaly.id)) {
         this.scene.events.emit('hint', {
-          message: 'The anomaly is defended — destroy its rift-spawn first. Hold [X] to fire.',
+          message: `The anomaly is defended — destroy its rift-spawn first. Hold [${keyLabel('fire')}] to fire.`,
           variant: 'warn',
           duration: 6000,
         });
@@ -216,21 +241,13 @@ export class InputSystem {
       dlog(`[Input] Anomaly interaction: ${nearestAnomaly.type} (${nearestAnomaly.category}) at (${nearestAnomaly.location.x.toFixed(0)}, ${nearestAnomaly.location.y.toFixed(0)})`);
       dlog(`[Input] Anomaly ID: ${nearestAnomaly.id}, Severity: ${nearestAnomaly.severity}`);
 
-      // Mark this anomaly as being resolved
-      this.resolvingAnomalyId = nearestAnomaly.id;
-
-      // Emit minigame start event (this will pause movement)
-      this.scene.events.emit('minigame:start', { anomaly: nearestAnomaly });
-
-      // Map anomaly category to minigame scene
-      const gameScene = this.mapAnomalyToGame(nearestAnomaly.category);
-
-      // Start minigame scene (this pauses the current scene)
-      this.scene.scene.launch(gameScene, { anomaly: nearestAnomaly });
+      // A warden waiting on a partner who goes it alone after all hangs up
+      if (this.scene.coopSystem?.calling) this.scene.coopSystem.hangUp();
+      this.startMinigame(nearestAnomaly);
     } else {
       dlog('[Input] No anomalies nearby');
       this.scene.events.emit('hint', {
-        message: 'No anomaly within range. Fly toward a glowing reticle and press F to resolve it.',
+        message: `No anomaly within range. Fly toward a glowing reticle and press ${keyLabel('interact')} to resolve it.`,
         variant: 'info',
         duration: 7000,
       });
@@ -238,11 +255,66 @@ export class InputSystem {
   }
 
   /**
-   * Map anomaly category to minigame scene key. Any unrecognized/future
-   * category falls back to the generic timing game.
+   * Launch the minigame for `anomaly`; `data` adds to the scene's init data
+   * (a co-op session, from CoopSystem).
+   */
+  startMinigame(anomaly, data = {}) {
+    // Mark this anomaly as being resolved
+    this.resolvingAnomalyId = anomaly.id;
+
+    // Emit minigame start event (this will pause movement)
+    this.scene.events.emit('minigame:start', { anomaly });
+
+    // Map anomaly type (or, failing that, its category) to minigame scene
+    const gameScene = this.mapAnomalyToGame(anomaly);
+
+    // Start minigame scene (runs alongside; movement is paused above)
+    this.scene.launchMinigame(gameScene, { ...data, anomaly });
+  }
+
+  /**
+   * Handle the co-op key (N by default) - call for a partner at the nearest anomaly, or hang
+   * up a call still waiting (CoopSystem).
+   */
+  handleCoopCall() {
+    const coop = this.scene.coopSystem;
+    if (!coop || this.isMinigameActive) return;
+    if (coop.calling) {
+      coop.hangUp(true);
+      return;
+    }
+
+    const anomaly = this.findNearestAnomaly();
+    if (!anomaly) {
+      this.scene.events.emit('hint', {
+        message: `No anomaly within range. Fly to one and press ${keyLabel('coop')} to call a partner warden to it.`,
+        variant: 'info',
+        duration: 6000,
+      });
+      return;
+    }
+    if (this.scene.riftSpawnSystem?.isBesieged(anomaly.id)) {
+      this.scene.events.emit('hint', {
+        message: `The anomaly is defended — destroy its rift-spawn first. Hold [${keyLabel('fire')}] to fire.`,
+        variant: 'warn',
+        duration: 6000,
+      });
+      return;
+    }
+    coop.call(anomaly, this.mapAnomalyToGame(anomaly));
+  }
+
+  /**
+   * Map an anomaly to its minigame scene key. Types with a game of their own
+   * route by type; the rest share their category's game, and any
+   * unrecognized/future category falls back to the generic timing game.
    */
-  mapAnomalyToGame(category) {
-    const mapping = {
+  mapAnomalyToGame({ type, category }) {
+    const byType = {
+      cosmicString: 'CosmicStringScene',
+      quantumTunneling: 'QuantumTunnelingScene',
+    };
+    const byCategory = {
       gravitational: 'GravityWellScene',
       stellar: 'CascadeReactionScene',
       quantum: 'WaveformCollapseScene',
@@ -250,7 +322,7 @@ export class InputSystem {
       structural: 'StructuralRealignmentScene',
       electromagnetic: 'PolarityBalanceScene',
     };
-    return mapping[category] || 'QuantumStabilizerScene';
+    return byType[type] || byCategory[category] || 'QuantumStabilizerScene';
   }
 
   /**
@@ -361,17 +433,17 @@ export class InputSystem {
     // stacks the same way.
     const sensitivity = (getSettings().turnSensitivity || 1) * (hullStats.turn || 1);
 
-    let rotationInput = 0;
+    // Keys turn at full rate; the left stick turns in proportion to its
+    // travel, capping the turn rate with it so a nudge is a fine correction.
+    let rotationInput = this.pad.x;
     if (this.keys.left.isDown) rotationInput -= 1;
     if (this.keys.right.isDown) rotationInput += 1;
+    rotationInput = Phaser.Math.Clamp(rotationInput, -1, 1);
 
     if (rotationInput !== 0) {
+      const maxTurn = this.params.MAX_ROTATION_VEL * sensitivity * Math.abs(rotationInput);
       this.rotationVelocity += rotationInput * scaleByDelta(this.params.ROTATION_ACCEL * sensitivity, delta);
-      this.rotationVelocity = Phaser.Math.Clamp(
-        this.rotationVelocity,
-        -this.params.MAX_ROTATION_VEL * sensitivity,
-        this.params.MAX_ROTATION_VEL * sensitivity
-      );
+      this.rotationVelocity = Phaser.Math.Clamp(this.rotationVelocity, -maxTurn, maxTurn);
     } else {
       // Smooth deceleration
       this.rotationVelocity = decayByDelta(this.rotationVelocity, 0.9, delta);
@@ -386,37 +458,36 @@ export class InputSystem {
     // Check for boost - locked out entirely once fully drained, until energy
     // recovers past BOOST_LOCKOUT_THRESHOLD (prevents chain-tapping boost
     // the instant a sliver of energy trickles back in)
-    const isBoosting = this.keys.boost.isDown && this.boostEnergy > 0 && !this.boostLocked;
+    const isBoosting = this.held('boost') && this.boostEnergy > 0 && !this.boostLocked;
     const thrustMultiplier = isBoosting ? this.params.BOOST_MULTIPLIER : 1;
 
     let isThrusting = false;
     let acceleration = new Phaser.Math.Vector2(0, 0);
 
+    // Throttle: a key is full power, the left stick's forward/back travel is
+    // analog. Strafe likewise from the right stick.
+    const throttle = this.keys.thrust.isDown ? 1 : Math.max(0, -this.pad.y);
+    const braking = this.keys.brake.isDown ? 1 : Math.max(0, this.pad.y);
+    let strafe = this.pad.rx;
+    if (this.keys.strafeLeft.isDown) strafe = -1;
+    else if (this.keys.strafeRight.isDown) strafe = 1;
+
     // Forward/Backward thrust (thruster upgrades scale all translational forces)
-    if (this.keys.thrust.isDown) {
-      const thrust = this.params.THRUST * mods.thrust * thrustMultiplier;
+    if (throttle > 0) {
+      const thrust = this.params.THRUST * mods.thrust * thrustMultiplier * throttle;
       this.scene.physics.velocityFromRotation(angle, thrust, acceleration);
       isThrusting = true;
-    } else if (this.keys.brake.isDown) {
-      this.scene.physics.velocityFromRotation(angle, -this.params.BRAKE * mods.thrust, acceleration);
+    } else if (braking > 0) {
+      this.scene.physics.velocityFromRotation(angle, -this.params.BRAKE * mods.thrust * braking, acceleration);
       isThrusting = true;
     }
 
     // Strafing (sideways movement)
-    if (this.keys.strafeLeft.isDown) {
-      const strafeVec = new Phaser.Math.Vector2();
-      this.scene.physics.velocityFromRotation(
-        perpAngle - Math.PI,
-        this.params.STRAFE_FORCE * mods.thrust,
-        strafeVec
-      );
-      acceleration.add(strafeVec);
-      isThrusting = true;
-    } else if (this.keys.strafeRight.isDown) {
+    if (strafe !== 0) {
       const strafeVec = new Phaser.Math.Vector2();
       this.scene.physics.velocityFromRotation(
-        perpAngle,
-        this.params.STRAFE_FORCE * mods.thrust,
+        strafe < 0 ? perpAngle - Math.PI : perpAngle,
+        this.params.STRAFE_FORCE * mods.thrust * Math.abs(strafe),
         strafeVec
       );
       acceleration.add(strafeVec);
@@ -494,7 +565,8 @@ export class InputSystem {
   /**
    * DIRECT / ARCADE flight model (the beginner-friendly default).
    *
-   * You press a direction (arrow keys, or the WASD/ZQSD cluster) and the ship
+   * You press a direction (arrow keys, the WASD/ZQSD cluster, or the left
+   * stick - which also sets how hard, by its travel) and the ship
    * accelerates that way in screen space and rotates to FACE its motion - no
    * separate "aim the nose, then thrust" step. Releasing the keys glides to a
    * quick stop. SHIFT still boosts. This shares the boost-energy economy and
@@ -507,17 +579,19 @@ export class InputSystem {
     this.rotationVelocity = 0;
 
     // Directional input: arrow keys OR the movement cluster (in this mode the
-    // thrust/brake/turn keys are just up/down/left/right).
-    let dx = 0;
-    let dy = 0;
+    // thrust/brake/turn keys are just up/down/left/right), plus the stick.
+    let dx = this.pad.x;
+    let dy = this.pad.y;
     if (this.keys.arrowUp.isDown || this.keys.thrust.isDown) dy -= 1;
     if (this.keys.arrowDown.isDown || this.keys.brake.isDown) dy += 1;
     if (this.keys.arrowLeft.isDown || this.keys.left.isDown) dx -= 1;
     if (this.keys.arrowRight.isDown || this.keys.right.isDown) dx += 1;
+    dx = Phaser.Math.Clamp(dx, -1, 1);
+    dy = Phaser.Math.Clamp(dy, -1, 1);
 
     const hasInput = dx !== 0 || dy !== 0;
 
-    const isBoosting = this.keys.boost.isDown && this.boostEnergy > 0 && !this.boostLocked && hasInput;
+    const isBoosting = this.held('boost') && this.boostEnergy > 0 && !this.boostLocked && hasInput;
     const thrustMultiplier = isBoosting ? this.params.BOOST_MULTIPLIER : 1;
 
     if (hasInput) {
@@ -525,7 +599,8 @@ export class InputSystem {
       const ux = dx / len;
       const uy = dy / len;
 
-      const thrust = this.params.THRUST * mods.thrust * thrustMultiplier;
+      // Keys always give full thrust (len >= 1); a partly tilted stick less
+      const thrust = this.params.THRUST * mods.thrust * thrustMultiplier * Math.min(1, len);
       player.setAcceleration(ux * thrust, uy * thrust);
 
       // Rotate the sprite to face travel direction. The ship's "forward" is
@@ -30,6 +30,7 @@ export class MinimapSystem {
     
     const formatted = {};
     loadedChunks.forEach((chunk, key) => {
+      if (chunk.pinned) return; // not a grid cell (ChunkSystem's orbiting bodies)
       formatted[key] = {
         chunkX: Math.floor(key.split(':')[0]),
         chunkY: Math.floor(key.split(':')[1])
@@ -0,0 +1,327 @@
+// src/components/game/systems/ReplaySystem.js
+//
+// Flight recorder. World content is already a pure function of the universe
+// seed; what made a session irreproducible was everything else - held keys
+// and gamepad sticks, frame timing, Math.random, and what the server and React fed the scene
+// between frames. This system records all of it (replay/replayFormat.js) and,
+// given a recording, feeds it back so the same scene replays the session
+// step for step.
+//
+// How it stays exact:
+// - Math.random is reseeded from the session seed at every scene step and
+//   before every logged event, so whatever else in the tab consumes it
+//   (React, minigame scenes) can't shift the scene's stream.
+// - Everything external funnels through external()/command(): recording logs
+//   it against the step it preceded; playback ignores the live caller and
+//   re-applies the log at the same step, before anything else in that step.
+// - Playback drives game.step() itself with the recorded time/delta (see
+//   playReplay), so physics, tweens and timers see the recorded clock.
+// Nothing leaves the scene during playback: the callbacks into React that
+// report to the server are muted for its duration.
+import seedrandom from "seedrandom";
+import { getSettings, overrideSettings } from "../settings.js";
+import { getLoadoutLocal, setLoadoutLocal } from "../loadoutStore.js";
+import { diffUniverse, applyUniversePatch } from "../../../api/universePatch.js";
+import { createReplay, inputMask, applyInputMask, padFrame, readPadFrame } from "../replay/replayFormat.js";
+
+// Settings that change how the ship flies. Everything else is presentation.
+const GAMEPLAY_SETTINGS = ["flightModel", "turnSensitivity"];
+
+// An hour at 60fps. A replay can't start mid-session (there's no snapshot of
+// the scene to start from), so past this the recorder stops rather than roll.
+const MAX_FRAMES = 60 * 60 * 60;
+
+// Discrete key commands by name: the live key handler logs the name and runs
+// the entry, playback runs the same entry from the log.
+const COMMANDS = {
+  interact: (scene) => scene.inputSystem.handleAnomalyInteraction(),
+  scan: (scene) => scene.inputSystem.handleScan(),
+  contact: (scene) => scene.inputSystem.handleContact(),
+  coop: (scene) => scene.inputSystem.handleCoopCall(),
+  ability: (scene) => scene.abilitySystem.trigger(),
+  secondary: (scene) => scene.combatSystem.fireSecondary(),
+  wing: (scene) => scene.civFleetSystem.cycleEscortOrder(),
+  descend: (scene) => scene.handleDescendKey(),
+  ascend: (scene) => scene.handleAscendKey(),
+};
+
+// Scene callbacks that reach React (and through it the server). A replay
+// must never resolve an anomaly or report a vessel lost a second time.
+const OUTBOUND = [
+  "onAnomalyResolved", "onDiscovery", "onCivContact", "onEventReward",
+  "onVesselLost", "onWaypointArrive", "onWarStrike", "onBombardment",
+  "onEscortLost",
+];
+
+const MINIGAME_EVENTS = ["minigame:complete", "minigame:abort"];
+
+const gameplaySettings = () =>
+  Object.fromEntries(GAMEPLAY_SETTINGS.map((k) => [k, getSettings()[k]]));
+
+export class ReplaySystem {
+  /**
+   * Constructed in UniverseScene.init(), before any system exists, so the
+   * seeded Math.random is in place for create().
+   * @param {object} [replay] - a decoded recording to play; omit to record
+   */
+  constructor(scene, replay = null) {
+    this.scene = scene;
+    this.playing = !!replay;
+    this.frame = 0;
+    this.cursor = 0;       // playback: next event to apply
+    this.applying = false; // playback: a logged event is being re-applied
+    this.truncated = false;
+    this.liveUniverse = null; // playback: latest universe React tried to push
+    this.nativeRandom = Math.random;
+
+    if (replay) {
+      this.log = replay;
+      this.restoreSettings = overrideSettings(replay.header.settings);
+      this.liveLoadout = getLoadoutLocal();
+      setLoadoutLocal(replay.header.loadout.hull, replay.header.loadout.shipColor, replay.header.loadout.ordnance);
+      this.muted = OUTBOUND.map((key) => [key, scene[key]]);
+      OUTBOUND.forEach((key) => { scene[key] = () => {}; });
+    } else {
+      this.log = createReplay({
+        universeId: scene.universe?._id ?? scene.universe?.id ?? null,
+        rngSeed: Math.random().toString(36).slice(2),
+        recordedAt: new Date().toISOString(),
+        universe: scene.universe,
+        settings: gameplaySettings(),
+        loadout: getLoadoutLocal(),
+      });
+    }
+    this.lastLoadout = getLoadoutLocal();
+    this.lastSettings = gameplaySettings();
+    this.reseed("init");
+
+    this.minigameListeners = MINIGAME_EVENTS.map((event) => {
+      const fn = (payload) => this.onMinigameEvent(event, payload);
+      scene.events.on(event, fn);
+      return [event, fn];
+    });
+    scene.events.on("preupdate", this.preUpdate, this);
+    scene.events.once("shutdown", this.destroy, this);
+    scene.events.once("destroy", this.destroy, this);
+  }
+
+  get header() {
+    return this.log.header;
+  }
+
+  /** Top of create(): pin the clock create() reads, and lock out live keys. */
+  begin() {
+    const scene = this.scene;
+    if (this.playing) {
+      scene.time.now = this.header.clockNow;
+      if (scene.input?.keyboard) scene.input.keyboard.enabled = false;
+    } else {
+      this.header.clockNow = scene.time.now;
+    }
+  }
+
+  /** Record a create()-time decision that came from device state, or read it back. */
+  decide(key, live) {
+    if (this.playing) return this.header[key];
+    this.header[key] = live;
+    return live;
+  }
+
+  reseed(key) {
+    Math.random = seedrandom(`${this.header.rngSeed}:${key}`);
+  }
+
+  record(type, data) {
+    if (this.playing || this.truncated) return;
+    const i = this.log.events.length;
+    this.log.events.push({ f: this.frame, type, data });
+    this.reseed(`e${i}`);
+  }
+
+  /**
+   * A call into the scene from outside a step (React, the server). Returns
+   * true when the caller must NOT proceed - during playback, where only the
+   * log drives the scene.
+   */
+  external(type, data) {
+    if (this.playing) {
+      if (this.applying) return false;
+      if (type === "universe") this.liveUniverse = data;
+      return true;
+    }
+    this.record(type, type === "universe" ? diffUniverse(this.scene.universe, data) : data);
+    return false;
+  }
+
+  /** A discrete key command (see COMMANDS). */
+  command(name) {
+    if (this.playing && !this.applying) return;
+    this.record("command", name);
+    COMMANDS[name](this.scene);
+  }
+
+  onMinigameEvent(event, payload) {
+    if (this.applying) return;
+    // Snapshot: the scene's handler mutates the result (First Light forgiveness)
+    this.record("minigame", { event, payload: JSON.parse(JSON.stringify(payload ?? null)) });
+  }
+
+  preUpdate(time, delta) {
+    if (this.playing) {
+      const { events, frames } = this.log;
+      while (events[this.cursor]?.f === this.frame) {
+        this.apply(events[this.cursor], this.cursor);
+        this.cursor += 1;
+      }
+      if (this.frame < frames.m.length) {
+        applyInputMask(this.scene.inputSystem?.keys, frames.m[this.frame]);
+        if (this.scene.inputSystem) this.scene.inputSystem.pad = readPadFrame(frames.p[this.frame]);
+      }
+    } else {
+      // Drift first, then the pad's presses: playback applies the log in
+      // the order it was written. The pad is read even once the recorder
+      // has stopped - the session itself goes on.
+      if (!this.truncated) this.captureDrift();
+      this.scene.inputSystem?.pollGamepad();
+      if (!this.truncated) this.recordFrame(time, delta);
+    }
+    this.reseed(`f${this.frame}`);
+    this.frame += 1;
+  }
+
+  recordFrame(time, delta) {
+    const { frames } = this.log;
+    if (frames.t.length >= MAX_FRAMES) {
+      this.truncated = true;
+      this.header.truncated = true;
+      return;
+    }
+    frames.t.push(time);
+    frames.d.push(delta);
+    frames.m.push(inputMask(this.scene.inputSystem?.keys));
+    frames.p.push(padFrame(this.scene.inputSystem?.pad));
+  }
+
+  // Loadout (Hangar) and flight settings are module state the scene polls -
+  // they change between frames without any call into the scene.
+  captureDrift() {
+    const loadout = getLoadoutLocal();
+    if (loadout !== this.lastLoadout) {
+      this.lastLoadout = loadout;
+      this.record("loadout", loadout);
+    }
+    const settings = gameplaySettings();
+    if (GAMEPLAY_SETTINGS.some((k) => settings[k] !== this.lastSettings[k])) {
+      this.lastSettings = settings;
+      this.record("settings", settings);
+    }
+  }
+
+  apply(ev, index) {
+    const scene = this.scene;
+    this.reseed(`e${index}`);
+    this.applying = true;
+    try {
+      switch (ev.type) {
+        case "command":
+          COMMANDS[ev.data]?.(scene);
+          break;
+        case "universe":
+          scene.updateFromUniverse(applyUniversePatch(scene.universe, ev.data) ?? scene.universe);
+          break;
+        case "pause":
+          scene.pauseGame();
+          break;
+        case "resume":
+          scene.resumeGame();
+          break;
+        case "waypoint":
+          if (ev.data) scene.setCivWaypoint(ev.data);
+          else scene.clearCivWaypoint();
+          break;
+        case "dev":
+          scene.devAction(ev.data);
+          break;
+        case "escort":
+          scene.requestEscort(ev.data);
+          break;
+        case "escortOrder":
+          scene.orderEscort(ev.data);
+          break;
+        case "minigame":
+          scene.events.emit(ev.data.event, ev.data.payload);
+          break;
+        case "loadout":
+          setLoadoutLocal(ev.data.hull, ev.data.shipColor, ev.data.ordnance);
+          break;
+        case "settings":
+          overrideSettings(ev.data);
+          break;
+        default:
+          console.warn(`[Replay] unknown event type '${ev.type}' at frame ${ev.f}`);
+      }
+    } catch (err) {
+      console.error(`[Replay] event '${ev.type}' at frame ${ev.f} failed:`, err);
+    } finally {
+      this.applying = false;
+    }
+  }
+
+  destroy() {
+    // Safe to call more than once - shutdown and destroy can both reach this.
+    if (!this.scene) return;
+    const scene = this.scene;
+    scene.events.off("preupdate", this.preUpdate, this);
+    this.minigameListeners.forEach(([event, fn]) => scene.events.off(event, fn));
+    Math.random = this.nativeRandom;
+    if (this.playing) {
+      this.restoreSettings();
+      setLoadoutLocal(this.liveLoadout.hull, this.liveLoadout.shipColor, this.liveLoadout.ordnance);
+      this.muted.forEach(([key, fn]) => { scene[key] = fn; });
+      if (scene.input?.keyboard) scene.input.keyboard.enabled = true;
+    }
+    this.scene = null;
+  }
+}
+
+/**
+ * Replay a recording in the running scene: restart it from the recorded
+ * universe and step the game with the recorded clock, in real time. When
+ * the recording runs out (or the returned stop() is called) the scene
+ * restarts on the live universe and the normal loop resumes.
+ */
+export function playReplay(scene, replay, { onEnd } = {}) {
+  const game = scene.game;
+  const live = { universe: scene.universe, onAnomalyResolved: scene.onAnomalyResolved, setStats: scene.setStats };
+  const { t, d } = replay.frames;
+  let i = 0;
+  let timer = null;
+  let stopped = false;
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    clearTimeout(timer);
+    // Back to the live universe, including anything pushed while replaying.
+    const universe = scene.replay?.liveUniverse ?? live.universe;
+    scene.scene.restart({ ...live, universe });
+    game.loop.wake();
+    onEnd?.();
+  };
+
+  const tick = () => {
+    if (stopped) return;
+    if (i >= t.length) {
+      stop();
+      return;
+    }
+    game.step(t[i], d[i]);
+    i += 1;
+    timer = setTimeout(tick, d[i - 1]);
+  };
+
+  game.loop.sleep();
+  scene.scene.restart({ ...live, universe: replay.header.universe, replay });
+  tick();
+  return stop;
+}
@@ -0,0 +1,139 @@
+// src/components/game/systems/ReplaySystem.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ReplaySystem } from "./ReplaySystem.js";
+import { INPUT_ACTIONS, IDLE_PAD, encodeReplay, decodeReplay } from "../replay/replayFormat.js";
+import { getLoadoutLocal, setLoadoutLocal } from "../loadoutStore.js";
+
+// Just enough of Phaser's scene event emitter: on/once/off with a context.
+class Emitter {
+  constructor() { this.handlers = []; }
+  on(event, fn, ctx) { this.handlers.push({ event, fn, ctx }); }
+  once(event, fn, ctx) { this.handlers.push({ event, fn, ctx, once: true }); }
+  off(event, fn, ctx) {
+    this.handlers = this.handlers.filter((h) => !(h.event === event && (!fn || (h.fn === fn && h.ctx === ctx))));
+  }
+  emit(event, ...args) {
+    for (const h of [...this.handlers]) {
+      if (h.event !== event) continue;
+      if (h.once) this.off(event, h.fn, h.ctx);
+      h.fn.apply(h.ctx, args);
+    }
+  }
+}
+
+// A stand-in UniverseScene: a ship whose motion depends on held keys, the
+// gamepad's stick (`livePad`, what the pad in the warden's hands reads; its
+// `press` scans), the frame delta and Math.random, plus the scene's external entry points guarded
+// exactly as UniverseScene guards them. Everything it does lands in `trace`.
+function makeScene(universe, replay = null) {
+  const scene = {
+    universe,
+    events: new Emitter(),
+    time: { now: 0 },
+    input: { keyboard: { enabled: true } },
+    x: 0,
+    trace: [],
+    onDiscovery: () => scene.trace.push("REPORTED TO SERVER"),
+    inputSystem: {
+      keys: Object.fromEntries(INPUT_ACTIONS.map((a) => [a, { isDown: false }])),
+      pad: { ...IDLE_PAD },
+      livePad: { ...IDLE_PAD },
+      pollGamepad() {
+        const { press, ...pad } = scene.inputSystem.livePad;
+        scene.inputSystem.pad = pad;
+        if (press) scene.replay.command("scan");
+        scene.inputSystem.livePad = pad;
+      },
+      handleScan: () => {
+        scene.trace.push(["scan", Math.random()]);
+        scene.onDiscovery();
+      },
+    },
+    updateFromUniverse(next) {
+      if (scene.replay.external("universe", next)) return;
+      scene.universe = next;
+      scene.trace.push(["universe", next.revision, next.anomalies.length, Math.random()]);
+    },
+    pauseGame() {
+      if (scene.replay.external("pause")) return;
+      scene.paused = true;
+    },
+    step(time, delta) {
+      scene.events.emit("preupdate", time, delta);
+      if (scene.paused) return;
+      const thrust = scene.inputSystem.keys.thrust.isDown ? 1 : Math.max(0, -scene.inputSystem.pad.y);
+      scene.x += thrust * delta * (0.5 + Math.random());
+      scene.trace.push(["frame", time, scene.x]);
+    },
+  };
+  scene.replay = new ReplaySystem(scene, replay);
+  scene.replay.begin();
+  return scene;
+}
+
+const base = () => ({ _id: "u1", seed: "s", revision: 1, anomalies: [{ id: "a1" }] });
+
+test("a recorded session replays to the identical trace, without reaching the server", () => {
+  // Record: input, jittery frame timing, a key command, a server update, a
+  // minigame result, and the tab's other Math.random consumers in between.
+  const live = makeScene(base());
+  let t = 1000;
+  for (let f = 0; f < 120; f++) {
+    Math.random(); Math.random(); // React / other scenes sharing the tab
+    if (f === 10) live.inputSystem.keys.thrust.isDown = true;
+    if (f === 60) live.inputSystem.keys.thrust.isDown = false;
+    if (f === 30) live.replay.command("scan");
+    if (f === 45) live.updateFromUniverse({ ...live.universe, revision: 2, anomalies: [] });
+    if (f === 70) live.inputSystem.livePad = { ...IDLE_PAD, y: -0.45, press: true };
+    if (f === 75) live.inputSystem.livePad = { ...IDLE_PAD };
+    if (f === 80) live.events.emit("minigame:complete", { anomaly: { id: "a1" }, result: { score: 9 } });
+    if (f === 90) live.pauseGame();
+    const delta = 16 + (f % 3) * 0.37;
+    t += delta;
+    live.step(t, delta);
+  }
+  live.events.emit("shutdown");
+  assert.equal(live.trace.filter((e) => e === "REPORTED TO SERVER").length, 2);
+
+  const replay = decodeReplay(encodeReplay(live.replay.log));
+  assert.equal(replay.frames.t.length, 120);
+  assert.deepEqual(replay.events.map((e) => [e.f, e.type]), [
+    [30, "command"], [45, "universe"], [70, "command"], [80, "minigame"], [90, "pause"],
+  ]);
+
+  // Play it back with nothing held and fresh noise in the tab
+  const played = makeScene(replay.header.universe, replay);
+  const seen = [];
+  played.events.on("minigame:complete", (data) => seen.push(data.result.score));
+  assert.equal(played.input.keyboard.enabled, false, "live keys are locked out");
+  played.inputSystem.livePad = { ...IDLE_PAD, y: -1, press: true }; // ...and the live pad is never read
+  played.updateFromUniverse({ ...base(), revision: 7 }); // a live push mid-replay is ignored...
+  for (let f = 0; f < replay.frames.t.length; f++) {
+    for (let n = 0; n < f % 5; n++) Math.random();
+    played.step(replay.frames.t[f], replay.frames.d[f]);
+  }
+
+  const expected = live.trace.filter((e) => e !== "REPORTED TO SERVER");
+  assert.deepEqual(played.trace, expected);
+  assert.deepEqual(seen, [9]);
+  assert.equal(played.replay.liveUniverse.revision, 7, "...but kept for when the replay ends");
+  played.events.emit("shutdown");
+});
+
+test("playback restores the device's loadout and Math.random when it ends", () => {
+  setLoadoutLocal("interceptor", "#dfa73f");
+  const nativeRandom = Math.random;
+  const recorder = makeScene(base());
+  recorder.events.emit("shutdown");
+  assert.equal(Math.random, nativeRandom);
+
+  const replay = decodeReplay(encodeReplay(recorder.replay.log));
+  replay.header.loadout = { hull: "hauler", shipColor: "#ffffff" };
+  const played = makeScene(replay.header.universe, replay);
+  assert.equal(getLoadoutLocal().hull, "hauler");
+  played.events.emit("shutdown");
+  assert.equal(getLoadoutLocal().hull, "interceptor");
+  assert.equal(played.input.keyboard.enabled, true);
+  assert.equal(Math.random, nativeRandom);
+});
@@ -6,18 +6,30 @@
 // dumb-fire bolts. While any guard lives, the anomaly can't be resolved
 // (InputSystem refuses F with a hint) - fight first, then contain.
 //
+// Severity 5 brings an Unraveler: the tear's heart, sitting on the anomaly.
+// Its body is untouchable; the weak points circling it can be broken, but
+// only while no tether lives to shield them. It fights in phases
+// (UNRAVELER_PHASES in combatModel): bound, frayed - calling stingers to
+// it - and unraveling, when it re-knits its tethers and the danger ring
+// widens around it (dangerRadiusOf, read by HazardSystem). Killing it
+// unmakes every spawn it held together and leaves a rift core behind.
+//
 // Client-side like the missile defense: seeded per anomaly id so a siege is
 // identical on re-approach, session-cleared once beaten, galactic-scale only
 // (cleared alongside anomaly visuals on descent). Kills drop salvage motes
 // into the chunk - the reward loop with zero new server surface.
 import Phaser from "phaser";
 import seedrandom from "seedrandom";
-import { dropSalvage } from "../world/salvageDrop.js";
+import { dropSalvage, dropRiftCore } from "../world/salvageDrop.js";
+import { dangerRadius } from "./HazardSystem.js";
 import { playSfx } from "../audio.js";
 import { getLoadoutLocal } from "../loadoutStore.js";
 import { HULL_STATS } from "../content/hullCatalog.js";
 import { narrate, narrateOnce, pick, CURATOR } from "../narrator.js";
-import { siegeCompositionFor, RIFT_STATS } from "../combat/combatModel.js";
+import {
+  siegeCompositionFor, RIFT_STATS, UNRAVELER_PHASES, UNRAVELER_FIRST_PHASE,
+  unravelerShielded, unravelerAdvance, unravelerArenaScale, ringVolley,
+} from "../combat/combatModel.js";
 
 const CULL_DISTANCE = 5200;   // beyond this, visuals sleep (entities persist)
 const SALVAGE_PER_KILL = [1, 2];
@@ -25,7 +37,7 @@ const SALVAGE_PER_KILL = [1, 2];
 export class RiftSpawnSystem {
   constructor(scene) {
     this.scene = scene;
-    this.sieges = new Map();       // anomalyId -> { entities: [] }
+    this.sieges = new Map();       // anomalyId -> { anomalyId, entities: [], severity, rng }
     this.clearedSieges = new Set(); // session-local: beaten sieges stay beaten
     this.enemyBolts = [];
   }
@@ -40,6 +52,21 @@ export class RiftSpawnSystem {
     for (const [anomalyId, siege] of this.sieges.entries()) {
       for (const e of siege.entities) {
         if (e.dead) continue;
+        if (e.kind === "unraveler") {
+          // Only its weak points, and only while nothing shields them
+          if (e.shielded) continue;
+          for (const wp of e.weakPoints) {
+            if (wp.dead) continue;
+            out.push({
+              id: wp.id,
+              x: wp.x,
+              y: wp.y,
+              radius: RIFT_STATS.unraveler.weakPointRadius,
+              hit: (damage) => this._damageWeakPoint(anomalyId, siege, e, wp, damage),
+            });
+          }
+          continue;
+        }
         out.push({
           id: e.id,
           x: e.x,
@@ -58,6 +85,17 @@ export class RiftSpawnSystem {
     return !!siege && siege.entities.some((e) => !e.dead);
   }
 
+  /**
+   * How far out an anomaly hurts while its Unraveler lives - wider as it
+   * dies. Null for every other anomaly (HazardSystem's own dangerRadius).
+   */
+  dangerRadiusOf(anomalyId) {
+    const siege = this.sieges.get(anomalyId);
+    const core = siege?.entities.find((e) => e.kind === "unraveler" && !e.dead);
+    if (!core) return null;
+    return dangerRadius(siege.severity) * core.arenaScale;
+  }
+
   /** Sync sieges from the anomaly roster (galactic scale only). */
   sync() {
     if ((this.scene.world?.scale ?? "galactic") !== "galactic") return;
@@ -86,29 +124,48 @@ export class RiftSpawnSystem {
   _spawnSiege(anomalyId, anomaly, composition) {
     const rng = seedrandom(`${anomalyId}#siege`);
     const { x: ax, y: ay } = anomaly.location;
-    const entities = composition.map((kind, i) => {
-      const stats = RIFT_STATS[kind];
-      const angle = rng() * Math.PI * 2;
-      const radius = stats.orbitRadius * (0.85 + rng() * 0.3);
-      return {
-        id: `${anomalyId}#rs${i}`,
-        kind,
-        anchorX: ax,
-        anchorY: ay,
-        orbitAngle: angle,
-        orbitRadius: radius,
-        x: ax + Math.cos(angle) * radius,
-        y: ay + Math.sin(angle) * radius,
-        heading: angle + Math.PI / 2,
-        hp: stats.hp,
-        dead: false,
-        nextTouchAt: 0,
-        nextBoltAt: 0,
-        stunnedUntil: 0,
-        gfx: null,
-      };
-    });
-    return { entities };
+    const siege = { anomalyId, entities: [], severity: anomaly.severity, rng };
+    siege.entities = composition.map((kind, i) => this._makeEntity(`${anomalyId}#rs${i}`, kind, ax, ay, rng));
+    const core = siege.entities.find((e) => e.kind === "unraveler");
+    if (core) this._enterPhase(siege, core, UNRAVELER_FIRST_PHASE);
+    return siege;
+  }
+
+  _makeEntity(id, kind, ax, ay, rng) {
+    const stats = RIFT_STATS[kind];
+    const angle = rng() * Math.PI * 2;
+    const radius = stats.orbitRadius * (0.85 + rng() * 0.3);
+    const entity = {
+      id,
+      kind,
+      anchorX: ax,
+      anchorY: ay,
+      orbitAngle: angle,
+      orbitRadius: radius,
+      x: ax + Math.cos(angle) * radius,
+      y: ay + Math.sin(angle) * radius,
+      heading: angle + Math.PI / 2,
+      hp: stats.hp,
+      dead: false,
+      nextTouchAt: 0,
+      nextBoltAt: 0,
+      stunnedUntil: 0,
+      gfx: null,
+    };
+    if (kind === "unraveler") {
+      Object.assign(entity, {
+        phase: null,
+        phaseMs: 0,        // time fought in this phase (paused with the world)
+        spin: 0,           // where its weak points are round it
+        weakPoints: [],
+        shielded: true,
+        arenaScale: 1,
+        nextRingAt: 0,
+        ringOffset: 0,
+        extras: null,      // shield, weak point and arena graphics
+      });
+    }
+    return entity;
   }
 
   _damageEntity(anomalyId, entity, damage) {
@@ -191,6 +248,8 @@ export class RiftSpawnSystem {
         const stats = RIFT_STATS[e.kind];
         if (e.kind === "stinger") {
           this._updateStinger(e, stats, player, playerDist, dt, time, invulnerable, armor);
+        } else if (e.kind === "unraveler") {
+          this._updateUnraveler(siege, e, stats, playerDist, dt, time);
         } else {
           this._updateTether(e, stats, player, playerDist, dt, time);
         }
@@ -237,23 +296,131 @@ export class RiftSpawnSystem {
 
     if (playerDist < stats.range && time >= e.nextBoltAt) {
       e.nextBoltAt = time + stats.fireIntervalMs;
-      const angle = e.heading; // dumb-fire: aimed at launch, never steers
-      const gfx = this.scene.add.graphics({ x: e.x, y: e.y }).setDepth(6).setBlendMode(Phaser.BlendModes.ADD);
-      gfx.fillStyle(stats.color, 0.95);
-      gfx.fillCircle(0, 0, 5);
-      this.enemyBolts.push({
-        x: e.x, y: e.y,
-        vx: Math.cos(angle) * stats.boltSpeed,
-        vy: Math.sin(angle) * stats.boltSpeed,
-        damage: stats.boltDamage,
-        bornAt: time,
-        lifespan: stats.boltLifespanMs,
-        gfx,
-      });
+      this._launchBolt(e.x, e.y, e.heading, stats, time); // dumb-fire: aimed at launch, never steers
       playSfx("uiDenied");
     }
   }
 
+  _launchBolt(x, y, angle, stats, time) {
+    const gfx = this.scene.add.graphics({ x, y }).setDepth(6).setBlendMode(Phaser.BlendModes.ADD);
+    gfx.fillStyle(stats.color, 0.95);
+    gfx.fillCircle(0, 0, 5);
+    this.enemyBolts.push({
+      x, y,
+      vx: Math.cos(angle) * stats.boltSpeed,
+      vy: Math.sin(angle) * stats.boltSpeed,
+      damage: stats.boltDamage,
+      bornAt: time,
+      lifespan: stats.boltLifespanMs,
+      gfx,
+    });
+  }
+
+  // ---------------------------------------------------------------- unraveler
+
+  /**
+   * The boss's frame: its weak points turn, its shield follows its tethers,
+   * the arena follows its phase, and it throws rings of bolts at anyone
+   * close enough to matter.
+   */
+  _updateUnraveler(siege, e, stats, playerDist, dt, time) {
+    const tethers = siege.entities.filter((o) => o.kind === "tether" && !o.dead).length;
+    e.shielded = unravelerShielded(tethers);
+    e.phaseMs += dt * 1000;
+    e.arenaScale = unravelerArenaScale(e.phase, e.phaseMs);
+    e.spin += stats.weakPointSpin * dt;
+    e.heading -= stats.weakPointSpin * 0.5 * dt;
+    this._placeWeakPoints(e);
+
+    if (playerDist < stats.range) {
+      narrateOnce(`unraveler:${e.id}`, pick(CURATOR.unraveler.sighted));
+      if (time >= e.nextRingAt) {
+        const phase = UNRAVELER_PHASES[e.phase];
+        e.nextRingAt = time + phase.ringIntervalMs;
+        ringVolley(phase.ringBolts, e.ringOffset).forEach((angle) => this._launchBolt(e.x, e.y, angle, stats, time));
+        e.ringOffset += Math.PI / phase.ringBolts; // the next ring fills the gaps in this one
+        playSfx("uiDenied");
+      }
+    }
+    this._drawUnraveler(siege, e, stats);
+  }
+
+  _placeWeakPoints(e) {
+    const { weakPointOrbit } = RIFT_STATS.unraveler;
+    const n = e.weakPoints.length;
+    e.weakPoints.forEach((wp, i) => {
+      const angle = e.spin + (i / n) * Math.PI * 2;
+      wp.x = e.x + Math.cos(angle) * weakPointOrbit;
+      wp.y = e.y + Math.sin(angle) * weakPointOrbit;
+    });
+  }
+
+  /** Into a phase: fresh weak points, and whatever it knits to meet you. */
+  _enterPhase(siege, e, phase) {
+    const stats = RIFT_STATS.unraveler;
+    e.phase = phase;
+    e.phaseMs = 0;
+    e.nextRingAt = this.scene.time.now + UNRAVELER_PHASES[phase].ringIntervalMs;
+    e.extras?.weakPoints.forEach((g) => g?.destroy());
+    e.weakPoints = Array.from({ length: stats.weakPoints }, (_, i) => ({
+      id: `${e.id}:${phase}:wp${i}`,
+      hp: stats.weakPointHp,
+      dead: false,
+      x: e.x,
+      y: e.y,
+    }));
+    this._placeWeakPoints(e);
+    if (e.extras) e.extras.weakPoints = e.weakPoints.map(() => this._createWeakPointGfx());
+
+    for (const kind of UNRAVELER_PHASES[phase].summon) {
+      const id = `${siege.anomalyId}#rs${siege.entities.length}`;
+      siege.entities.push(this._makeEntity(id, kind, e.anchorX, e.anchorY, siege.rng));
+    }
+    const lines = CURATOR.unraveler[phase];
+    if (lines) {
+      narrate(pick(lines), "grim");
+      playSfx("surgeAlarm");
+    }
+  }
+
+  _damageWeakPoint(anomalyId, siege, e, wp, damage) {
+    if (wp.dead || e.dead) return true;
+    wp.hp -= damage;
+    const i = e.weakPoints.indexOf(wp);
+    const gfx = e.extras?.weakPoints[i];
+    if (gfx) {
+      gfx.setAlpha(0.4);
+      this.scene.time.delayedCall(70, () => gfx.active && gfx.setAlpha(1));
+    }
+    if (wp.hp > 0) return false;
+
+    wp.dead = true;
+    gfx?.destroy();
+    if (e.extras) e.extras.weakPoints[i] = null;
+    playSfx("explosion");
+
+    const left = e.weakPoints.filter((w) => !w.dead).length;
+    const next = unravelerAdvance(e.phase, left);
+    if (next === null) this._slay(anomalyId, siege, e);
+    else if (next !== e.phase) this._enterPhase(siege, e, next);
+    return true;
+  }
+
+  /** The heart of the tear is gone, and everything it held together with it. */
+  _slay(anomalyId, siege, e) {
+    for (const other of siege.entities) {
+      if (other.dead) continue;
+      other.dead = true;
+      this._explode(other);
+    }
+    dropSalvage(this.scene, e.x, e.y, RIFT_STATS.unraveler.salvage);
+    dropRiftCore(this.scene, e.x, e.y);
+    this.clearedSieges.add(anomalyId);
+    this.scene.cameraShakeIntensity = Math.max(this.scene.cameraShakeIntensity || 0, 0.01);
+    narrate(pick(CURATOR.unraveler.slain), "proud");
+    playSfx("surgeContained");
+  }
+
   _updateEnemyBolts(player, dt, time, paused, invulnerable, armor) {
     for (let i = this.enemyBolts.length - 1; i >= 0; i--) {
       const b = this.enemyBolts[i];
@@ -280,7 +447,29 @@ export class RiftSpawnSystem {
   _createGfx(e) {
     const stats = RIFT_STATS[e.kind];
     const gfx = this.scene.add.graphics({ x: e.x, y: e.y }).setDepth(9);
-    if (e.kind === "stinger") {
+    if (e.kind === "unraveler") {
+      // A torn star - the fabric pulled to points around a dark heart
+      const points = [];
+      for (let i = 0; i < 14; i++) {
+        const r = i % 2 ? stats.radius * 0.55 : stats.radius;
+        const a = (i / 14) * Math.PI * 2;
+        points.push({ x: Math.cos(a) * r, y: Math.sin(a) * r });
+      }
+      gfx.fillStyle(stats.color, 0.9);
+      gfx.fillPoints(points, true);
+      gfx.lineStyle(1.5, 0xf5cf7a, 0.6);
+      gfx.strokePoints(points, true);
+      gfx.fillStyle(0x05040a, 1);
+      gfx.fillCircle(0, 0, stats.radius * 0.3);
+      e.extras = {
+        shield: this.scene.add.graphics({ x: e.x, y: e.y }).setDepth(9)
+          .lineStyle(2, 0x8b7bd8, 0.7)
+          .strokeCircle(0, 0, stats.weakPointOrbit + stats.weakPointRadius + 10),
+        weakPoints: e.weakPoints.map((wp) => (wp.dead ? null : this._createWeakPointGfx())),
+        arena: this.scene.add.graphics({ x: e.anchorX, y: e.anchorY }).setDepth(7),
+        arenaDrawn: 1,
+      };
+    } else if (e.kind === "stinger") {
       // Jagged sliver - a splinter of the tear itself
       gfx.fillStyle(stats.color, 0.95);
       gfx.fillTriangle(0, -12, 7, 8, -7, 8);
@@ -299,9 +488,38 @@ export class RiftSpawnSystem {
     return gfx;
   }
 
+  _createWeakPointGfx() {
+    const { weakPointRadius } = RIFT_STATS.unraveler;
+    return this.scene.add.graphics().setDepth(10)
+      .fillStyle(0xf5cf7a, 0.95)
+      .fillCircle(0, 0, weakPointRadius * 0.6)
+      .lineStyle(2, 0xc23a6e, 0.9)
+      .strokeCircle(0, 0, weakPointRadius);
+  }
+
+  _drawUnraveler(siege, e, stats) {
+    const fx = e.extras;
+    if (!fx) return;
+    fx.shield.setPosition(e.x, e.y).setVisible(e.shielded);
+    e.weakPoints.forEach((wp, i) => fx.weakPoints[i]?.setPosition(wp.x, wp.y).setAlpha(e.shielded ? 0.35 : 1));
+    // The widening tear: redrawn only when it has grown enough to see
+    if (Math.abs(e.arenaScale - fx.arenaDrawn) > 0.01) {
+      fx.arenaDrawn = e.arenaScale;
+      fx.arena.clear()
+        .lineStyle(2, stats.color, 0.55)
+        .strokeCircle(0, 0, dangerRadius(siege.severity) * e.arenaScale);
+    }
+  }
+
   _destroyEntityGfx(e) {
     e.gfx?.destroy();
     e.gfx = null;
+    if (e.extras) {
+      e.extras.shield.destroy();
+      e.extras.weakPoints.forEach((g) => g?.destroy());
+      e.extras.arena.destroy();
+      e.extras = null;
+    }
   }
 
   /** Drop everything (scale change): entities respawn from sync() on return. */
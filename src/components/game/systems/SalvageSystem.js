@@ -1,17 +1,21 @@
 // src/components/game/systems/SalvageSystem.js
 //
 // Salvage motes: small drifting debris scattered through every chunk,
-// collected by flying through them. Each repairs a bit of hull - the
-// micro-reward loop that makes transit between objectives feel alive, and
-// the economy that makes hull damage recoverable. Client-only ambience
+// collected by flying through them. Each repairs a bit of hull and restocks
+// part of a round of secondary ordnance - the micro-reward loop that makes
+// transit between objectives feel alive, and the economy that makes hull
+// damage and spent ammunition recoverable. Client-only ambience
 // (chunk-seeded, respawn with chunk regeneration); generation lives in
-// ChunkSystem, this system handles collection.
+// ChunkSystem, this system handles collection. The Unraveler's rift core
+// (world/salvageDrop.js) is collected the same way and pays out in full.
 import Phaser from "phaser";
 import { playSfx } from "../audio.js";
-import { narrateOnce, pick, CURATOR } from "../narrator.js";
+import { narrate, narrateOnce, pick, CURATOR } from "../narrator.js";
 
 const COLLECT_RANGE = 42;
 const HULL_REPAIR = 8;
+const RIFT_CORE_REPAIR = 100; // the whole hull
+const RIFT_CORE_RESTOCK = 99; // motes' worth - a full magazine of anything
 
 export class SalvageSystem {
   constructor(scene) {
@@ -62,7 +66,15 @@ export class SalvageSystem {
       ease: "Cubic.easeIn",
       onComplete: () => mote.gfx.destroy(),
     });
+    if (mote.core) {
+      player.heal(RIFT_CORE_REPAIR);
+      this.scene.combatSystem?.restockOrdnance(RIFT_CORE_RESTOCK);
+      playSfx("install");
+      narrate(pick(CURATOR.unraveler.core), "warm");
+      return;
+    }
     player.heal(HULL_REPAIR);
+    this.scene.combatSystem?.restockOrdnance(1);
     playSfx("salvage");
     narrateOnce('first-salvage', pick(CURATOR.firstSalvage));
   }
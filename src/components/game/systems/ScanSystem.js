@@ -105,8 +105,8 @@ export class ScanSystem {
     return getShipModifiers(this.scene.universe?.upgrades, this.scene.universe?.doctrine);
   }
 
-  tryStartScan() {
-    if (this.active) return;
+  /** The closest unscanned thing within scanner range, or null. */
+  nearestTarget() {
     const player = this.scene.player;
     let nearest = null;
     let best = SCAN_RANGE * this._mods().scanRange;
@@ -114,6 +114,12 @@ export class ScanSystem {
       const d = Phaser.Math.Distance.Between(player.x, player.y, c.x, c.y);
       if (d < best) { best = d; nearest = c; }
     }
+    return nearest;
+  }
+
+  tryStartScan() {
+    if (this.active) return;
+    const nearest = this.nearestTarget();
     if (!nearest) return;
 
     playSfx('scanStart');
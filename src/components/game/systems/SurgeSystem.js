@@ -10,8 +10,8 @@
 // Surge anomalies are just minor anomalies pushed into the loaded chunks, so
 // interaction / hazards / scanning all handle them with zero new plumbing; the
 // system tracks their ids to know when the cluster is contained.
-import { getChunkCoords, getChunkKey } from "../utils";
-import { ANOMALY_TYPES } from "../constants";
+import { getChunkCoords, getChunkKey } from "../utils.js";
+import { ANOMALY_TYPES } from "../constants.js";
 import { playSfx } from "../audio.js";
 import { narrate, pick, CURATOR } from "../narrator.js";
 
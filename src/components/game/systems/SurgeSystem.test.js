@@ -0,0 +1,49 @@
+// src/components/game/systems/SurgeSystem.test.js
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { HeadlessScene } from "./headlessScene.js";
+import { SurgeSystem } from "./SurgeSystem.js";
+
+beforeEach(() => mock.timers.enable({ apis: ["setTimeout"] }));
+afterEach(() => mock.timers.reset());
+
+function world(stabilityIndex = 1) {
+  const scene = new HeadlessScene({
+    universe: { currentState: { stabilityIndex } },
+    player: { x: 500, y: 500 },
+  });
+  scene.loadAround(1);
+  const surges = scene.use(new SurgeSystem(scene));
+  return { scene, surges };
+}
+
+test("a surge the player seals is contained and refills boost", () => {
+  const { scene, surges } = world();
+  scene.inputSystem.boostEnergy = 5;
+  scene.run(96);
+  const surge = surges.getSurge();
+  assert.equal(surge.active, true, "the first surge tears open after the settle time");
+  assert.ok(surge.total >= 3);
+
+  surges.active.ids.forEach((id) => scene.resolveAnomaly(id));
+  scene.run(1);
+  assert.equal(surges.getSurge().active, false);
+  assert.equal(surges.contained, 1);
+  assert.equal(scene.inputSystem.boostEnergy, 100);
+  assert.ok(surges.nextAt > scene.time.now, "and the calm before the next one starts");
+});
+
+test("an ignored surge spreads, then fizzles out", () => {
+  const { scene, surges } = world(0.4);
+  scene.run(96);
+  const opened = surges.getSurge().total;
+  assert.ok(opened >= 4, "an unstable universe tears wider");
+
+  scene.run(35);
+  assert.equal(surges.getSurge().escalated, true);
+  assert.equal(surges.getSurge().total, opened + 2);
+
+  scene.run(75);
+  assert.equal(surges.getSurge().active, false);
+  assert.equal(surges.contained, 0);
+});
@@ -0,0 +1,70 @@
+// src/components/game/systems/TouchSystem.js
+//
+// The universe's side of touch play (touch.js). Two fingers on the canvas
+// pinch the camera's zoom. And since a phone has no keys to try, the touch
+// layer only offers a command when there is something to do it to: a few
+// times a second this works out which are live - an anomaly to resolve,
+// something to scan, a civilization to hail, a structure to descend into -
+// and the HUD hands that to React (ui/TouchControls.jsx).
+import Phaser from "phaser";
+import { getSettings } from "../settings.js";
+import { pinchZoom, touchEnabled } from "../touch.js";
+
+const CONTEXT_INTERVAL = 200; // ms between context checks
+
+export class TouchSystem {
+  constructor(scene) {
+    this.scene = scene;
+    this.pinch = null; // { dist, zoom } when two fingers went down
+    this.elapsed = CONTEXT_INTERVAL;
+    this.context = { interact: false, scan: false, contact: false, descend: false, ascend: false, minigame: false };
+
+    // Pointer 1 exists by default; a pinch needs a second finger
+    if (scene.input.manager.pointersTotal < 3) scene.input.addPointer(1);
+    scene.input.on("pointermove", this.onPointerMove, this);
+    scene.input.on("pointerup", this.onPointerUp, this);
+  }
+
+  onPointerMove() {
+    const { pointer1, pointer2 } = this.scene.input;
+    if (!pointer1.isDown || !pointer2.isDown) {
+      this.pinch = null;
+      return;
+    }
+    const dist = Phaser.Math.Distance.Between(pointer1.x, pointer1.y, pointer2.x, pointer2.y);
+    const cam = this.scene.cameras.main;
+    if (!this.pinch) this.pinch = { dist, zoom: cam.zoom };
+    else cam.setZoom(pinchZoom(this.pinch.zoom, this.pinch.dist, dist));
+  }
+
+  onPointerUp() {
+    this.pinch = null;
+  }
+
+  update(delta) {
+    this.elapsed += delta;
+    if (this.elapsed < CONTEXT_INTERVAL) return;
+    this.elapsed = 0;
+    if (!touchEnabled(getSettings().touchControls)) return;
+    const { scene } = this;
+    const canDescend = !!scene.nearestDescendable?.();
+    this.context = {
+      interact: !!scene.anomalySystem?.anyInRange,
+      scan: !scene.scanSystem?.active && !!scene.scanSystem?.nearestTarget(),
+      contact: !!scene.civilizationSystem?.findNearest(scene.player),
+      descend: canDescend,
+      ascend: !canDescend && scene.descentStack?.length > 0,
+      minigame: !!scene.inputSystem?.isMinigameActive,
+    };
+  }
+
+  /** Which context buttons to show - the HUD's `touch`. */
+  getContext() {
+    return this.context;
+  }
+
+  destroy() {
+    this.scene.input?.off("pointermove", this.onPointerMove, this);
+    this.scene.input?.off("pointerup", this.onPointerUp, this);
+  }
+}
@@ -1,8 +1,8 @@
 // src/components/game/systems/WaypointSystem.js
 //
 // Cross-scale civilization guidance. Contact is a core mechanic, but a civ's
-// home is buried at the scale its Kardashev type dictates (a Type 0 sits two
-// descents down, inside one specific star system) - effectively unfindable by
+// home is buried at the scale its Kardashev type dictates (a Type 0 sits three
+// descents down, on one specific planet's face) - effectively unfindable by
 // hand. The Locator panel plants a target here; this draws the breadcrumb.
 //
 // Rendering is WORLD-space on purpose: the arrow orbits the player's ship,
@@ -10,16 +10,20 @@
 // any screen-projection / camera-zoom math (which is fragile with this game's
 // lookahead camera) - if the ship is on screen, so is the arrow. The next hop
 // is re-derived every frame from the live world, so guidance advances on its
-// own as the player descends.
+// own as the player descends. A homeworld on an orbit is led, not chased:
+// the arrow points where the planet will be when the ship gets there.
 import Phaser from "phaser";
 import { cosmicProfile } from "../world/cosmicProfile.js";
-import { generateScaleObjects } from "../world/worldScales.js";
-import { nextHopToCiv, civLocation } from "../world/civPlacement.js";
+import { generateScaleObjects, boundedObjects } from "../world/worldScales.js";
+import { nextHopToCiv, civLocation, civAnchorObject } from "../world/civPlacement.js";
+import { bodyPosition, interceptPoint } from "../world/orbits.js";
 import { civDesignation } from "../utils";
+import { keyLabel } from "../settings.js";
 
 const ARROW_COLOR = 0x4fd1a5;
 const ORBIT_R = 170;       // world units the arrow floats from the ship
 const ARRIVED_DIST = 240;  // close enough that the beacon is right here
+const LEAD_MIN_SPEED = 300; // intercepts are planned at no less than this pace
 
 export class WaypointSystem {
   constructor(scene) {
@@ -53,17 +57,25 @@ export class WaypointSystem {
     for (const chunk of this.scene.chunkSystem.loadedChunks.values()) {
       for (const entry of chunk.objects) {
         if (entry.descriptor.id === structureId) {
-          return { x: entry.descriptor.x, y: entry.descriptor.y, name: entry.descriptor.name };
+          const { x, y, name, orbit } = entry.descriptor;
+          return { x, y, name, orbit };
         }
       }
     }
+    const seed = this.scene.worldSeed();
+    const parentName = this.scene.world?.labels?.[this.scene.world.labels.length - 1];
+    // A system's or an orbit's ids don't encode a chunk - look in the whole of it.
+    const bounded = boundedObjects(seed, this.scene.world.scale, parentName);
+    if (bounded) {
+      const match = bounded.find((o) => o.id === structureId);
+      if (!match) return null;
+      return { ...bodyPosition(match, this.scene.orbitT ?? 0), name: match.name, orbit: match.orbit };
+    }
     const parts = String(structureId).split(":");
     const cx = parseInt(parts[1], 10);
     const cy = parseInt(parts[2], 10);
     if (Number.isNaN(cx) || Number.isNaN(cy)) return null;
-    const seed = this.scene.worldSeed();
     const cp = cosmicProfile(this.scene.universe?.currentState);
-    const parentName = this.scene.world?.labels?.[this.scene.world.labels.length - 1];
     const objs = generateScaleObjects(seed, cx, cy, this.scene.world.scale, parentName, cp);
     const match = objs.find((o) => o.id === structureId);
     if (match) return { x: match.x, y: match.y, name: match.name };
@@ -92,7 +104,7 @@ export class WaypointSystem {
       // No direction to point - back out to the branch that leads to the civ.
       this.arrow.setVisible(false);
       this.ring.setVisible(false);
-      this._label(`↑ ${name} · wrong branch · ascend [BACKSPACE]`);
+      this._label(`↑ ${name} · wrong branch · ascend [${keyLabel("ascend")}]`);
       return;
     }
 
@@ -100,7 +112,8 @@ export class WaypointSystem {
     if (hop.mode === "here") {
       // Anchored position: the world the civ actually lives on, so the final
       // hop guides the player onto its planet/star rather than empty space.
-      pos = civLocation(civ, baseSeed, cp);
+      pos = civLocation(civ, baseSeed, cp, this.scene.orbitT ?? 0);
+      pos.orbit = civAnchorObject(baseSeed, civ, cp)?.orbit;
       prefix = name;
       const d = Phaser.Math.Distance.Between(this.scene.player.x, this.scene.player.y, pos.x, pos.y);
       // Reached them: stop guiding automatically (the arrow's job is done).
@@ -114,12 +127,22 @@ export class WaypointSystem {
       pos = this._structurePos(hop.structureId);
       if (!pos) { this._hide(); return; }
       prefix = pos.name ? `${name} · via ${pos.name}` : name;
-      hint = "descend [ENTER]";
+      hint = `descend [${keyLabel("descend")}]`;
     }
 
     this._draw(pos, `◈ ${prefix} · ${hint}`);
   }
 
+  // Where to steer for a target: an orbiting body's intercept point at the
+  // ship's current pace, anything else where it stands.
+  _aim(pos) {
+    if (!pos.orbit) return pos;
+    const player = this.scene.player;
+    const v = player.body?.velocity;
+    const speed = Math.max(LEAD_MIN_SPEED, v ? Math.hypot(v.x, v.y) : 0);
+    return interceptPoint(pos.orbit, this.scene.orbitT ?? 0, player, speed);
+  }
+
   _draw(pos, text) {
     const player = this.scene.player;
     const cam = this.scene.cameras.main;
@@ -139,7 +162,8 @@ export class WaypointSystem {
     } else {
       const cx = cam.midPoint.x;
       const cy = cam.midPoint.y;
-      const ang = Math.atan2(pos.y - cy, pos.x - cx);
+      const aim = this._aim(pos);
+      const ang = Math.atan2(aim.y - cy, aim.x - cx);
       const ax = cx + Math.cos(ang) * ORBIT_R;
       const ay = cy + Math.sin(ang) * ORBIT_R;
       this.arrow.clear();
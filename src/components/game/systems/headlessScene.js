@@ -0,0 +1,275 @@
+// src/components/game/systems/headlessScene.js
+//
+// Just enough UniverseScene to step the world systems in node. The rules they
+// apply (combat/fleetModel.js, combatModel.js, self/) are pure and tested on
+// their own; this is for testing what those rules ADD UP to once a system
+// runs them every frame - a siege left alone, a ship parked between black
+// holes - without a browser.
+//
+// What's real: the clock (time.now, delayedCall), the orbit clock and the
+// bodies it moves, a player with an arcade-style body the harness integrates
+// each step, loaded chunks keyed like ChunkSystem's, civilization beacons, and
+// the scene flags the systems read (respawning, worldTimeScale, world.scale). What's not: anything drawn.
+// Display objects accept any call and do nothing, tweens finish instantly,
+// and ShipRenderer is swapped for one that counts what it would have shown.
+//
+// Systems under test must not import Phaser - CivFleetSystem, HazardSystem,
+// GravitySlingSystem and SurgeSystem don't. The narrator times its lines with
+// setTimeout, so tests mock timers (node:test `mock.timers`) to keep the
+// process from waiting out the Curator.
+import seedrandom from "seedrandom";
+import { getChunkCoords, getChunkKey } from "../utils.js";
+import { ANOMALY_TYPE_MAP } from "../constants.js";
+import { orbitPosition } from "../world/orbits.js";
+
+export const FRAME_MS = 1000 / 60;
+
+// InputSystem's resultant-speed cap; the harness body enforces it the same way.
+const MAX_SPEED = 600;
+
+/** A display object that takes any call, chains it, and draws nothing. */
+export function inert() {
+  const stub = new Proxy({}, {
+    get: (target, key) => (key in target ? target[key] : () => stub),
+    set: (target, key, value) => {
+      target[key] = value;
+      return true;
+    },
+  });
+  return stub;
+}
+
+/** ShipRenderer's interface, recording instead of drawing. */
+export class HeadlessShipRenderer {
+  constructor() {
+    this.beams = [];  // { shipId, x, y, at } per bombardment run that landed
+    this.wrecks = 0;  // ships destroyed, by anyone
+  }
+
+  attach(ship) {
+    ship.gfx = inert();
+  }
+
+  detach(ship) {
+    ship.gfx = null;
+  }
+
+  update() {}
+  drawTrails() {}
+  hit() {}
+
+  destroyShip(ship) {
+    this.wrecks += 1;
+    this.detach(ship);
+  }
+
+  bombardBeam(ship, tx, ty) {
+    this.beams.push({ shipId: ship.id, x: tx, y: ty });
+  }
+
+  bolt() {
+    return inert();
+  }
+
+  destroy() {}
+}
+
+function makePlayer(scene, { x = 0, y = 0, health = 100 } = {}) {
+  return {
+    x,
+    y,
+    invulnerableUntil: 0,
+    state: { health },
+    body: { velocity: { x: 0, y: 0 }, acceleration: { x: 0, y: 0 } },
+    takeDamage(amount) {
+      this.state.health = Math.max(0, this.state.health - amount);
+      scene.damageTaken += amount;
+      return this.state.health;
+    },
+    heal(amount) {
+      this.state.health = Math.min(100, this.state.health + amount);
+      return this.state.health;
+    },
+  };
+}
+
+export class HeadlessScene {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.universe] - what the scene would receive from React
+   * @param {object} [options.player] - { x, y, health } at the start
+   * @param {string} [options.seed] - Math.random is seeded from this while run() steps
+   */
+  constructor({ universe = {}, player = {}, scale = "galactic", seed = "headless" } = {}) {
+    this.universe = universe;
+    this.world = { scale, labels: [] };
+    this.respawning = false;
+    this.worldTimeScale = 1;
+    this.orbitT = 0;
+    this.cameraShakeIntensity = 0;
+    this.firstLightId = null;
+    this.random = seedrandom(seed);
+
+    this.timers = [];
+    this.time = {
+      now: 0,
+      delayedCall: (delay, callback, args = [], context) => {
+        const timer = { at: this.time.now + delay, callback, args, context, remove: () => { timer.removed = true; } };
+        this.timers.push(timer);
+        return timer;
+      },
+    };
+    this.add = { graphics: inert, text: inert, image: inert, container: inert, particles: inert };
+    this.tweens = {
+      add: (config) => {
+        config.onComplete?.();
+        return inert();
+      },
+    };
+    this.cameras = { main: { zoom: 1, flash() {}, shake() {} } };
+
+    this.player = makePlayer(this, player);
+    this.thrust = { x: 0, y: 0 }; // the pilot: acceleration InputSystem would set each frame
+    this.damageTaken = 0;
+    this.shipsLost = 0;
+
+    this.inputSystem = { isMinigameActive: false, boostEnergy: 100 };
+    this.chunkSystem = { loadedChunks: new Map() };
+    this.anomalySystem = {
+      backendAnomalies: new Map(),
+      resolvedAnomalies: new Set(),
+      discoveredAnomalies: new Set(),
+      createAnomaly: (x, y, typeObj, severity, id, isBackend = false) => ({
+        id, x, y,
+        type: typeObj.type,
+        category: typeObj.category,
+        severity,
+        resolved: false,
+        isBackend,
+      }),
+    };
+    this.civilizationSystem = { beacons: new Map() };
+    this.systems = [];
+  }
+
+  /** Add a system to the per-step update, in call order. Returns it. */
+  use(system) {
+    this.systems.push(system);
+    return system;
+  }
+
+  /** The loaded chunk at a chunk coordinate, created empty if it isn't yet. */
+  chunkAt(chunkX, chunkY) {
+    const key = getChunkKey(chunkX, chunkY);
+    if (!this.chunkSystem.loadedChunks.has(key)) {
+      this.chunkSystem.loadedChunks.set(key, { objects: [], anomalies: [], salvage: [] });
+    }
+    return this.chunkSystem.loadedChunks.get(key);
+  }
+
+  /** Load every chunk within `radius` chunks of a world point (default: the player). */
+  loadAround(radius = 1, x = this.player.x, y = this.player.y) {
+    const { chunkX, chunkY } = getChunkCoords(x, y);
+    for (let dx = -radius; dx <= radius; dx++) {
+      for (let dy = -radius; dy <= radius; dy++) this.chunkAt(chunkX + dx, chunkY + dy);
+    }
+    return this;
+  }
+
+  /** Place a procedural anomaly (an ANOMALY_TYPE_MAP key) in its chunk. */
+  addAnomaly(x, y, type, severity = 1) {
+    const { chunkX, chunkY } = getChunkCoords(x, y);
+    const id = `${chunkX}:${chunkY}:${this.chunkAt(chunkX, chunkY).anomalies.length}`;
+    const anomaly = this.anomalySystem.createAnomaly(x, y, { type, ...ANOMALY_TYPE_MAP[type] }, severity, id);
+    this.chunkAt(chunkX, chunkY).anomalies.push(anomaly);
+    return anomaly;
+  }
+
+  /** Place a world object (a generator descriptor: { category, x, y, scale, ... }). */
+  addObject(descriptor) {
+    const { chunkX, chunkY } = getChunkCoords(descriptor.x, descriptor.y);
+    this.chunkAt(chunkX, chunkY).objects.push({ descriptor });
+    return descriptor;
+  }
+
+  /**
+   * Show a civilization's beacon at `loc`, as CivilizationSystem.sync would.
+   * Pass the world it lives on as `anchor` and an orbiting one carries it.
+   */
+  addCiv(civ, loc, anchor = null) {
+    this.civilizationSystem.beacons.set(civ.id, { data: civ, loc, anchor, visible: true });
+    return this;
+  }
+
+  /** The player sealing an anomaly, as the minigame's completion does. */
+  resolveAnomaly(id) {
+    for (const chunk of this.chunkSystem.loadedChunks.values()) {
+      const anomaly = chunk.anomalies.find((a) => a.id === id);
+      if (anomaly) anomaly.resolved = true;
+    }
+    this.anomalySystem.resolvedAnomalies.add(id);
+  }
+
+  handleShipDestroyed() {
+    if (this.respawning) return;
+    this.respawning = true;
+    this.shipsLost += 1;
+  }
+
+  /**
+   * One frame in UniverseScene's order: timers, the planets on their orbits
+   * (and the beacons on them), the pilot's thrust, every system's update
+   * (which add their forces), then the body integrates.
+   */
+  step(delta = FRAME_MS) {
+    const time = (this.time.now += delta);
+    const due = this.timers.filter((t) => t.at <= time);
+    this.timers = this.timers.filter((t) => t.at > time);
+    due.forEach((t) => !t.removed && t.callback.apply(t.context, t.args));
+
+    this.orbitT += (delta / 1000) * this.worldTimeScale;
+    for (const chunk of this.chunkSystem.loadedChunks.values()) {
+      for (const { descriptor } of chunk.objects) {
+        if (descriptor.orbit) Object.assign(descriptor, orbitPosition(descriptor.orbit, this.orbitT));
+      }
+    }
+    for (const beacon of this.civilizationSystem.beacons.values()) {
+      if (beacon.anchor?.orbit) beacon.loc = orbitPosition(beacon.anchor.orbit, this.orbitT);
+    }
+
+    const { body } = this.player;
+    body.acceleration.x = this.thrust.x;
+    body.acceleration.y = this.thrust.y;
+    this.systems.forEach((system) => system.update(time, delta));
+
+    const dt = delta / 1000;
+    body.velocity.x += body.acceleration.x * dt;
+    body.velocity.y += body.acceleration.y * dt;
+    const speed = Math.hypot(body.velocity.x, body.velocity.y);
+    if (speed > MAX_SPEED) {
+      body.velocity.x *= MAX_SPEED / speed;
+      body.velocity.y *= MAX_SPEED / speed;
+    }
+    this.player.x += body.velocity.x * dt;
+    this.player.y += body.velocity.y * dt;
+  }
+
+  /**
+   * Step for `seconds` of game time with Math.random seeded, calling
+   * `onStep(scene)` after every frame. Deterministic for a given seed.
+   */
+  run(seconds, onStep) {
+    const nativeRandom = Math.random;
+    Math.random = this.random;
+    try {
+      const end = this.time.now + seconds * 1000;
+      while (this.time.now < end) {
+        this.step();
+        onStep?.(this);
+      }
+    } finally {
+      Math.random = nativeRandom;
+    }
+    return this;
+  }
+}
@@ -0,0 +1,76 @@
+// src/components/game/touch.js
+//
+// Touch play, for phones and tablets. The React layer (ui/TouchControls.jsx)
+// draws a virtual stick and buttons over the universe and writes what they
+// do here; InputSystem takes it each step alongside the gamepad. The stick
+// is read as the pad's left stick - the same deadzone and hundredths - so a
+// touch session flies, and replays (replay/replayFormat.js), exactly like a
+// pad one. Buttons are held (boost, fire) or tapped (the flight recorder's
+// commands). Minigames draw their own touch controls (MiniGameScene), and
+// pinch-zoom is TouchSystem's.
+import { deadzone } from "./gamepad.js";
+
+// Camera zoom a pinch can reach; the scene starts at 1.5
+export const TOUCH_ZOOM = { min: 0.75, max: 2.5 };
+
+// Held and tapped by the touch buttons
+export const TOUCH_HELD = ["boost", "fire"];
+
+/** Whether this device's main pointer is a finger. */
+export const isTouchDevice = () => !!globalThis.matchMedia?.("(pointer: coarse)").matches;
+
+/** Whether touch controls show, for the touchControls setting ("auto" | "on" | "off"). */
+export const touchEnabled = (setting) => setting === "on" || (setting === "auto" && isTouchDevice());
+
+/**
+ * A drag of (dx, dy) px from the stick's centre -> { x, y }, -1..1 each,
+ * as a pad stick reads: clamped to the stick's rim and deadzoned per axis.
+ */
+export function stickVector(dx, dy, radius) {
+  const len = Math.hypot(dx, dy);
+  const scale = len > radius ? radius / len : 1;
+  return { x: deadzone((dx * scale) / radius), y: deadzone((dy * scale) / radius) };
+}
+
+/** The zoom a pinch gives: the start zoom scaled by how far the fingers spread. */
+export function pinchZoom(startZoom, startDist, dist) {
+  const zoom = startDist > 0 ? startZoom * (dist / startDist) : startZoom;
+  return Math.min(TOUCH_ZOOM.max, Math.max(TOUCH_ZOOM.min, zoom));
+}
+
+const state = { x: 0, y: 0, held: new Set(), tapped: new Set() };
+
+/** The virtual stick moved ({0, 0} when let go). */
+export function setStick({ x, y }) {
+  state.x = x;
+  state.y = y;
+}
+
+/** A held button (TOUCH_HELD) went down or up. */
+export function holdButton(action, down) {
+  if (down) state.held.add(action);
+  else state.held.delete(action);
+}
+
+/** A command button was tapped; it is issued at the next take. */
+export function tapButton(action) {
+  state.tapped.add(action);
+}
+
+/**
+ * This step's touch input: { x, y, held, pressed }, the taps since the last
+ * take consumed.
+ */
+export function takeTouch() {
+  const pressed = [...state.tapped];
+  state.tapped.clear();
+  return { x: state.x, y: state.y, held: new Set(state.held), pressed };
+}
+
+/** Let go of everything - the controls were hidden mid-touch. */
+export function releaseTouch() {
+  state.x = 0;
+  state.y = 0;
+  state.held.clear();
+  state.tapped.clear();
+}
@@ -0,0 +1,39 @@
+// src/components/game/touch.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TOUCH_ZOOM, holdButton, pinchZoom, releaseTouch, setStick, stickVector, takeTouch, tapButton, touchEnabled } from "./touch.js";
+
+test("the stick reads like a pad stick, full travel at its rim", () => {
+  assert.deepEqual(stickVector(0, 0, 50), { x: 0, y: 0 });
+  assert.deepEqual(stickVector(5, -5, 50), { x: 0, y: 0 }, "inside the deadzone");
+  assert.deepEqual(stickVector(200, 0, 50), { x: 1, y: 0 });
+  const diagonal = stickVector(-100, -100, 50);
+  assert.equal(diagonal.x, diagonal.y);
+  assert.ok(diagonal.x > -1 && diagonal.x < -0.5, "a diagonal is clamped to the rim, not the square");
+});
+
+test("a pinch scales the zoom it started from, within bounds", () => {
+  assert.equal(pinchZoom(1, 100, 200), 2);
+  assert.equal(pinchZoom(1.5, 100, 10), TOUCH_ZOOM.min);
+  assert.equal(pinchZoom(1.5, 100, 1000), TOUCH_ZOOM.max);
+  assert.equal(pinchZoom(1.5, 0, 50), 1.5);
+});
+
+test("taps are taken once, held buttons and the stick until let go", () => {
+  releaseTouch();
+  setStick({ x: 0.5, y: -1 });
+  holdButton("fire", true);
+  tapButton("scan");
+  tapButton("scan");
+  assert.deepEqual(takeTouch(), { x: 0.5, y: -1, held: new Set(["fire"]), pressed: ["scan"] });
+  assert.deepEqual(takeTouch().pressed, []);
+  holdButton("fire", false);
+  releaseTouch();
+  assert.deepEqual(takeTouch(), { x: 0, y: 0, held: new Set(), pressed: [] });
+});
+
+test("touch controls follow the setting, with auto off where there is no touch screen", () => {
+  assert.equal(touchEnabled("on"), true);
+  assert.equal(touchEnabled("off"), false);
+  assert.equal(touchEnabled("auto"), false);
+});
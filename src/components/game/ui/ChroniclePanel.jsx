@@ -2,12 +2,14 @@
 //
 // The Chronicle ([L]): the universe's recorded history (significantEvents,
 // which the backend has been logging all along - milestones, extinctions,
-// anomaly spawns/resolutions, discoveries, upgrades) plus the ML predictor's
+// anomaly spawns/resolutions, discoveries, upgrades, defense pacts signed,
+// honoured and betrayed) plus the ML predictor's
 // threat forecast, fetched on open. Events arrive with the universe object;
 // only the forecast needs its own request.
 import { useEffect, useMemo, useState } from 'react';
 import { getPredictions } from '../../../api/universeApi';
 import { ANOMALY_TYPE_MAP } from '../constants';
+import { keyLabel } from '../settings.js';
 
 const TYPE_STYLE = {
   milestone: { label: 'MILESTONE', cls: 'text-accent border-accent/40' },
@@ -22,6 +24,9 @@ const TYPE_STYLE = {
   mission: { label: 'OBJECTIVE', cls: 'text-accent border-accent/40' },
   cosmic_event: { label: 'EVENT', cls: 'text-[#4ec9e0] border-[#4ec9e0]/40' },
   war: { label: 'WAR', cls: 'text-critical border-critical/40' },
+  pact: { label: 'PACT', cls: 'text-accent border-accent/40' },
+  pact_honoured: { label: 'PACT KEPT', cls: 'text-good border-good/40' },
+  pact_betrayed: { label: 'PACT BROKEN', cls: 'text-critical border-critical/40' },
 };
 
 // Unstyled types are raw anomaly-spawn events (their `type` is the anomaly
@@ -39,6 +44,7 @@ const FILTERS = [
 const groupOf = (type) => {
   if (type === 'milestone' || type === 'universe_end') return 'milestones';
   if (type === 'anomaly_resolved' || type === 'upgrade' || type === 'discovery' || type === 'contact' || type === 'mission' || type === 'cosmic_event') return 'player';
+  if (type === 'pact' || type === 'pact_honoured' || type === 'pact_betrayed') return 'player';
   if (type === 'civilization' || type === 'extinction' || type === 'catastrophe' || type === 'war') return 'civilizations';
   return 'anomalies';
 };
@@ -245,7 +251,7 @@ export const ChroniclePanel = ({ isOpen, onClose, universe }) => {
               onClick={onClose}
               className="font-mono text-[11px] tracking-wider text-ink-dim hover:text-ink border border-line-bright hover:border-accent px-3 py-1.5 transition-colors"
             >
-              CLOSE [L]
+              CLOSE [{keyLabel('chronicle')}]
             </button>
           </div>
         </div>
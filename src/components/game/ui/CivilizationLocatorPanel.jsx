@@ -2,7 +2,7 @@
 //
 // The Locator ([B]): the answer to "I can't find any civilizations." Contact
 // is a core mechanic, but a civ lives at the cosmic scale its Kardashev type
-// dictates - a Type 0 is two descents down inside one specific star system, and
+// dictates - a Type 0 is three descents down on one specific planet's face, and
 // effectively unfindable by wandering. This lists every living civ and, on
 // "Guide me", plants a cross-scale waypoint (WaypointSystem) that arrows the
 // player straight to it, one descent at a time.
@@ -10,6 +10,7 @@ import { useMemo, useState } from 'react';
 import { civDesignation, civAttitude } from '../utils';
 import { civScale, civInDistress } from '../world/civPlacement.js';
 import { civUnderSiege } from '../combat/fleetModel.js';
+import { keyLabel } from '../settings.js';
 
 // Filters mirror the buckets a player thinks in. "Under siege" comes first
 // because it is the only one with a clock on it - those worlds can die while
@@ -25,8 +26,8 @@ const FILTERS = [
 ];
 
 const SCALE_LABEL = {
-  Type0: 'Type 0 · Planetary',
-  Type1: 'Type I · Stellar',
+  Type0: 'Type 0 · Orbital',
+  Type1: 'Type I · Planetary',
   Type2: 'Type II · Stellar',
   Type3: 'Type III · Galactic',
 };
@@ -39,7 +40,7 @@ const ATTITUDE_STYLE = {
   hostile: { label: 'HOSTILE', cls: 'text-critical border-critical/40' },
 };
 
-const depthOf = (type) => ({ galactic: 0, stellar: 1, planetary: 2 }[civScale(type)] ?? 0);
+const depthOf = (type) => ({ galactic: 0, stellar: 1, planetary: 2, orbital: 3 }[civScale(type)] ?? 0);
 
 export const CivilizationLocatorPanel = ({ isOpen, onClose, universe, activeCivId, onGuide, onStop }) => {
   const [filter, setFilter] = useState('all');
@@ -84,7 +85,7 @@ export const CivilizationLocatorPanel = ({ isOpen, onClose, universe, activeCivI
             onClick={onClose}
             className="font-mono text-[11px] tracking-wider text-ink-dim hover:text-ink border border-line-bright hover:border-accent px-3 py-1.5 transition-colors"
           >
-            CLOSE [B]
+            CLOSE [{keyLabel('locator')}]
           </button>
         </div>
 
@@ -5,6 +5,7 @@ import { getScaleClassInfo } from '../world/worldScales.js';
 import { ANOMALY_TYPE_MAP } from '../constants';
 import { getCodexEntry, getCodexContainment } from '../content/codexEntries.js';
 import { CODEX_PRINCIPLES, getPrinciple } from '../content/codexPrinciples.js';
+import { keyLabel } from '../settings.js';
 
 const RARITY_COLOR = {
   common: 'text-ink-dim border-line',
@@ -18,6 +19,7 @@ const GROUPS = [
   { id: 'phenomenon', label: 'Phenomena', match: (d) => d.category === 'phenomenon' || d.category === 'nebula' },
   { id: 'star', label: 'Stars', match: (d) => d.category === 'star' },
   { id: 'planet', label: 'Planets', match: (d) => d.category === 'planet' },
+  { id: 'orbital', label: 'Orbital', match: (d) => ['moon', 'station', 'settlement'].includes(d.category) },
   { id: 'anomaly', label: 'Anomalies', match: (d) => d.category === 'anomaly' },
 ];
 
@@ -94,7 +96,7 @@ export const CodexPanel = ({ isOpen, onClose, universe }) => {
               onClick={onClose}
               className="font-mono text-[11px] tracking-wider text-ink-dim hover:text-ink border border-line-bright hover:border-accent px-3 py-1.5 transition-colors"
             >
-              CLOSE [C]
+              CLOSE [{keyLabel('codex')}]
             </button>
           </div>
         </div>
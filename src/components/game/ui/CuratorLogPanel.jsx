@@ -7,6 +7,7 @@
 import { useEffect, useState } from 'react';
 import { onCuratorHistory } from '../narrator.js';
 import { emotionOf } from '../content/curatorEmotions.js';
+import { keyLabel } from '../settings.js';
 
 const ago = (t) => {
   const s = Math.max(0, Math.round((Date.now() - t) / 1000));
@@ -36,7 +37,7 @@ export const CuratorLogPanel = ({ isOpen, onClose }) => {
             onClick={onClose}
             className="font-mono text-[11px] tracking-wider text-ink-dim hover:text-ink border border-line-bright hover:border-accent px-3 py-1.5 transition-colors"
           >
-            CLOSE [T]
+            CLOSE [{keyLabel('transmissions')}]
           </button>
         </div>
 
@@ -4,6 +4,8 @@
 // isAdmin). This gate is cosmetic - the server re-checks the admin flag
 // against the database on every request, so nothing here is trusted.
 import { useState } from 'react';
+import { MINIGAME_CATALOG } from '../content/minigameCatalog.js';
+import { keyLabel } from '../settings.js';
 
 const ACTIONS = [
   // Small increments: a stability crisis resolves in ~15-30 steps, so 50/200
@@ -60,16 +62,7 @@ const ENDINGS = [
   { label: 'Maximum Entropy', key: 'maximum-entropy' },
 ];
 
-const MINIGAMES = [
-  { label: 'Gravity Well (orbital)', key: 'GravityWellScene' },
-  { label: 'Waveform Collapse (quantum)', key: 'WaveformCollapseScene' },
-  { label: 'Cascade Reaction (stellar)', key: 'CascadeReactionScene' },
-  { label: 'Polarity Balance (electromagnetic)', key: 'PolarityBalanceScene' },
-  { label: 'Expansion Containment (cosmological)', key: 'ExpansionContainmentScene' },
-  { label: 'Structural Realignment (structural)', key: 'StructuralRealignmentScene' },
-];
-
-export const DevPanel = ({ isOpen, onClose, onDevAction, onClientAction }) => {
+export const DevPanel = ({ isOpen, onClose, onDevAction, onClientAction, onSaveReplay, onPlayReplay }) => {
   const [busy, setBusy] = useState(false);
   const [lastResult, setLastResult] = useState(null);
   const [severity, setSeverity] = useState(3);
@@ -128,7 +121,7 @@ export const DevPanel = ({ isOpen, onClose, onDevAction, onClientAction }) => {
             onClick={onClose}
             className="font-mono text-[11px] tracking-wider text-ink-dim hover:text-ink border border-line-bright hover:border-accent px-3 py-1.5 transition-colors"
           >
-            CLOSE [K]
+            CLOSE [{keyLabel('dev')}]
           </button>
         </div>
 
@@ -197,16 +190,56 @@ export const DevPanel = ({ isOpen, onClose, onDevAction, onClientAction }) => {
               </button>
             ))}
           </div>
-          {MINIGAMES.map((mg) => (
+          {MINIGAME_CATALOG.map((mg) => (
             <button
-              key={mg.key}
-              onClick={() => launchMinigame(mg.key)}
+              key={mg.scene}
+              onClick={() => launchMinigame(mg.scene)}
               className="font-mono text-[11px] tracking-wider px-4 py-2 border border-line text-ink-dim hover:text-ink hover:border-line-bright text-left transition-colors"
             >
-              {mg.label} · sev {severity}
+              {mg.title} · sev {severity}
             </button>
           ))}
 
+          {/* Flight recorder: every session records itself (systems/
+              ReplaySystem.js). Save one with the bug, play it back here. */}
+          <div className="font-mono text-[9px] uppercase tracking-wider text-ink-faint mt-3 mb-1">
+            Flight recorder (bug repro)
+          </div>
+          <button
+            onClick={async () => {
+              const ok = await onSaveReplay?.();
+              setLastResult(ok ? 'OK · replay saved' : 'FAILED · no recording - scene not ready');
+            }}
+            className="font-mono text-[11px] tracking-wider px-4 py-2 border border-line text-ink-dim hover:text-ink hover:border-line-bright text-left transition-colors"
+          >
+            Save this session&apos;s replay
+          </button>
+          <label className="font-mono text-[11px] tracking-wider px-4 py-2 border border-line text-ink-dim hover:text-ink hover:border-line-bright text-left transition-colors cursor-pointer">
+            Play a replay file…
+            <input
+              type="file"
+              accept=".replay,.json"
+              className="hidden"
+              onChange={async (e) => {
+                const file = e.target.files?.[0];
+                e.target.value = '';
+                if (!file) return;
+                const error = await onPlayReplay?.(file);
+                if (error) setLastResult(`FAILED · ${error}`);
+                else onClose?.();
+              }}
+            />
+          </label>
+          <button
+            onClick={() => {
+              const ok = onClientAction?.('replay:stop');
+              setLastResult(ok ? 'OK · replay stopped' : 'FAILED · no replay running');
+            }}
+            className="font-mono text-[11px] tracking-wider px-4 py-2 border border-line text-ink-dim hover:text-ink hover:border-line-bright text-left transition-colors"
+          >
+            Stop replay
+          </button>
+
           {lastResult && (
             <div className="font-mono text-[10px] text-ink-faint mt-2 break-all">{lastResult}</div>
           )}
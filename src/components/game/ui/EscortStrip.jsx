@@ -0,0 +1,61 @@
+// src/components/game/ui/EscortStrip.jsx
+//
+// The wing a friendly people lent you (CivFleetSystem.requestEscort), above
+// the telemetry bar while it flies with you: whose ships, each one's hull,
+// and the orders - follow, hold here, attack what the nose is on, go home.
+// The wing key cycles the first three without reaching for the mouse. Fed
+// from the HUD payload each frame.
+import { civDesignation } from '../utils';
+import { keyLabel } from '../settings.js';
+
+const ORDERS = [
+  { id: 'follow', label: 'FOLLOW' },
+  { id: 'hold', label: 'HOLD' },
+  { id: 'attack', label: 'ATTACK' },
+  { id: 'home', label: 'HOME' },
+];
+
+export const EscortStrip = ({ escort, onOrder }) => {
+  if (!escort) return null;
+  const leaving = escort.order === 'home';
+
+  return (
+    <div className="flex items-center gap-3 bg-void-raised/70 backdrop-blur-sm border border-line px-3 py-1.5 font-mono pointer-events-auto">
+      <span className="text-[9px] uppercase tracking-wider text-ink-faint">
+        Escort · <span className="text-good">{civDesignation(escort.civId)}</span>
+      </span>
+      <div className="flex gap-1.5">
+        {escort.ships.map((s, i) => (
+          <div key={i} className="w-6 h-1.5 bg-line" title={s.role}>
+            <div
+              className={`h-full ${s.hull > 0.5 ? 'bg-good' : s.hull > 0.25 ? 'bg-warn' : 'bg-critical'}`}
+              style={{ width: `${Math.round(s.hull * 100)}%` }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="w-px h-4 bg-line" />
+      {leaving ? (
+        <span className="text-[10px] tracking-wider text-ink-faint">RETURNING HOME</span>
+      ) : (
+        <div className="flex gap-1">
+          {ORDERS.map((o) => (
+            <button
+              key={o.id}
+              type="button"
+              onClick={() => onOrder(o.id)}
+              className={`text-[10px] tracking-wider px-2 py-0.5 border transition-colors ${
+                escort.order === o.id
+                  ? 'border-accent text-accent'
+                  : 'border-line text-ink-dim hover:border-line-bright hover:text-ink'
+              }`}
+            >
+              {o.label}{o.id === 'attack' && escort.order === 'attack' && !escort.marked ? ' · NEAREST' : ''}
+            </button>
+          ))}
+        </div>
+      )}
+      {!leaving && <span className="text-[9px] text-ink-faint">[{keyLabel('wing')}]</span>}
+    </div>
+  );
+};
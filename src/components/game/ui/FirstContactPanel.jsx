@@ -4,10 +4,14 @@
 // full simulated profile - the point is that the stats are VISIBLE and
 // consequential: the aggression meter is exactly the uplift backfire risk.
 // The civ is looked up fresh from the universe prop by id, so server
-// responses (stat changes, spent RP) reflect immediately.
+// responses (stat changes, spent RP) reflect immediately. A people who like
+// you will also lend an escort - that one is the scene's (onRequestEscort),
+// and only its losses reach the server - or sign a defense pact, which makes
+// their enemies yours.
 import { useState } from 'react';
 import { civDesignation, civAttitude } from '../utils';
 import { civInDistress } from '../world/civPlacement.js';
+import { escortFor, hasDefensePact, canSignPact } from '../combat/fleetModel.js';
 import { playSfx } from '../audio.js';
 
 const ATTITUDE_INFO = {
@@ -73,11 +77,21 @@ const OUTCOME_STYLE = {
   pacified: 'text-good',
   armed: 'text-warn',
   brokered: 'text-good',
+  escorted: 'text-good',
+  pact: 'text-good',
+  pactDissolved: 'text-warn',
   backfire: 'text-warn',
   error: 'text-critical',
 };
 
-export const FirstContactPanel = ({ civId, onClose, universe, onAction }) => {
+// Why a people won't lend a wing (CivFleetSystem.requestEscort)
+const ESCORT_REFUSALS = {
+  unwilling: 'They have no ships to spare for you.',
+  refused: 'They lent you ships once. They are still burying the crews.',
+  unavailable: 'The escort channel is not ready - reload the page.',
+};
+
+export const FirstContactPanel = ({ civId, onClose, universe, onAction, escortCivId, onRequestEscort }) => {
   const [busy, setBusy] = useState(false);
   const [lastOutcome, setLastOutcome] = useState(null);
 
@@ -113,6 +127,17 @@ export const FirstContactPanel = ({ civId, onClose, universe, onAction }) => {
   const enemyId = war ? (war.a === civ.id ? war.b : war.a) : null;
   const enemyName = enemyId ? civDesignation(enemyId) : null;
 
+  const escortRoles = escortFor(civ, civAttitude(civ));
+  const requestEscort = () => {
+    const refusal = onRequestEscort(civ.id);
+    if (refusal) {
+      setLastOutcome({ outcome: 'error', message: ESCORT_REFUSALS[refusal] ?? refusal });
+      playSfx('uiDenied');
+    } else {
+      setLastOutcome({ outcome: 'escorted', message: `${escortRoles.length === 1 ? 'A ship breaks' : 'Ships break'} from their patrol to fly with you.` });
+    }
+  };
+
   const act = async (action) => {
     if (busy) return;
     setBusy(true);
@@ -250,6 +275,43 @@ export const FirstContactPanel = ({ civId, onClose, universe, onAction }) => {
               </button>
             )}
 
+            {hasDefensePact(civ) ? (
+              <div className="border border-good/50 bg-good/5 px-3 py-2 font-mono">
+                <div className="text-[11px] text-good tracking-wider">DEFENSE PACT IN FORCE</div>
+                <div className="text-[9px] text-ink-faint mt-0.5">
+                  {war ? `They are at war with ${enemyName}. So are you.` : 'When they are attacked, you come.'}
+                </div>
+                <button
+                  onClick={() => act('dissolvePact')}
+                  disabled={busy}
+                  className="text-[9px] tracking-wider text-ink-dim hover:text-critical mt-1.5 disabled:opacity-50"
+                >
+                  DISSOLVE{war ? ' · mid-war, that is a betrayal' : ''}
+                </button>
+              </div>
+            ) : canSignPact(civ, civAttitude(civ)) && (
+              <button onClick={() => act('pact')} disabled={busy} className={actionBtn(true)}>
+                <div>SIGN DEFENSE PACT</div>
+                <div className="text-[10px] normal-case tracking-normal mt-0.5 opacity-70">
+                  Swear to defend them - their enemies will fire on you
+                </div>
+              </button>
+            )}
+
+            {escortRoles.length > 0 && (escortCivId === civ.id ? (
+              <div className="border border-good/50 bg-good/5 px-3 py-2 font-mono">
+                <div className="text-[11px] text-good tracking-wider">ESCORT FLYING WITH YOU</div>
+                <div className="text-[9px] text-ink-faint mt-0.5">Bring them home. They are counting.</div>
+              </div>
+            ) : (
+              <button onClick={requestEscort} disabled={busy} className={actionBtn(true)}>
+                <div>REQUEST ESCORT · {escortRoles.length} {escortRoles.length === 1 ? 'SHIP' : 'SHIPS'}</div>
+                <div className="text-[10px] normal-case tracking-normal mt-0.5 opacity-70">
+                  {escortRoles.join(' and ')} fly with you - lose them and they remember
+                </div>
+              </button>
+            ))}
+
             <button onClick={() => act('observe')} disabled={busy || civ.observed} className={actionBtn(!civ.observed)}>
               <div>OBSERVE {civ.observed ? '· DONE' : `· +${OBSERVE_REWARDS[civ.type] ?? 25} RP`}</div>
               <div className="text-[10px] normal-case tracking-normal mt-0.5 opacity-70">
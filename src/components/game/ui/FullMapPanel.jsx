@@ -1,5 +1,6 @@
 import { useEffect, useRef } from 'react';
 import { CHUNK_SIZE } from '../constants';
+import { keyLabel } from '../settings.js';
 
 const VOID = '#070912';
 const LINE = '#1e2540';
@@ -9,7 +10,7 @@ const WARN = '#e0824a';
 const GOOD = '#4fd1a5';
 const INK = '#e9e7f2';
 
-// Kardashev type -> beacon color (mirrors CivilizationSystem.CIV_TYPE_COLORS)
+// Kardashev type -> beacon color (mirrors constants.CIV_TYPE_COLORS)
 const CIV_COLORS = {
   Type0: '#9497ad',
   Type1: '#4fd1a5',
@@ -208,7 +209,7 @@ export const FullMapPanel = ({ isOpen, onClose, fullMapData }) => {
               onClick={onClose}
               className="pointer-events-auto font-mono text-[11px] tracking-wider text-ink-dim hover:text-ink border border-line-bright hover:border-accent px-3 py-1.5 transition-colors"
             >
-              CLOSE [M]
+              CLOSE [{keyLabel('map')}]
             </button>
           </div>
         </div>
@@ -1,24 +1,27 @@
 // src/components/game/ui/GameMenu.jsx
 //
 // The ESC hub: one place that reaches every panel (each still has its own
-// hotkey for direct access) plus Settings and exit. Selecting an entry
-// closes the menu and opens the target.
+// hotkey for direct access - the key map's action of the same id, shown as
+// bound) plus Settings and exit. Selecting an entry
+// closes the menu and opens the target. RESUME takes focus on open, so a
+// gamepad's d-pad walks the list from the top.
 import { useNavigate } from 'react-router-dom';
 import { Key } from './primitives';
+import { keyLabel } from '../settings';
 
 const ENTRIES = [
-  { id: 'missions', label: 'Objectives', hotkey: 'O' },
-  { id: 'codex', label: 'Codex', hotkey: 'C' },
-  { id: 'self', label: 'The Self', hotkey: 'J' },
-  { id: 'outfitting', label: 'Outfitting', hotkey: 'U' },
-  { id: 'hangar', label: 'Hangar', hotkey: 'H' },
-  { id: 'chronicle', label: 'Chronicle', hotkey: 'L' },
-  { id: 'transmissions', label: 'Transmissions', hotkey: 'T' },
-  { id: 'locator', label: 'Locate Civilizations', hotkey: 'B' },
-  { id: 'achievements', label: 'Achievements', hotkey: 'P' },
-  { id: 'map', label: 'Full Map', hotkey: 'M' },
-  { id: 'replay-tutorial', label: 'Replay Tutorial', hotkey: null },
-  { id: 'settings', label: 'Settings', hotkey: null },
+  { id: 'missions', label: 'Objectives', hotkey: true },
+  { id: 'codex', label: 'Codex', hotkey: true },
+  { id: 'self', label: 'The Self', hotkey: true },
+  { id: 'outfitting', label: 'Outfitting', hotkey: true },
+  { id: 'hangar', label: 'Hangar', hotkey: true },
+  { id: 'chronicle', label: 'Chronicle', hotkey: true },
+  { id: 'transmissions', label: 'Transmissions', hotkey: true },
+  { id: 'locator', label: 'Locate Civilizations', hotkey: true },
+  { id: 'achievements', label: 'Achievements', hotkey: true },
+  { id: 'map', label: 'Full Map', hotkey: true },
+  { id: 'replay-tutorial', label: 'Replay Tutorial', hotkey: false },
+  { id: 'settings', label: 'Settings', hotkey: false },
 ];
 
 export const GameMenu = ({ isOpen, onClose, onOpenPanel, universeName }) => {
@@ -42,10 +45,11 @@ export const GameMenu = ({ isOpen, onClose, onOpenPanel, universeName }) => {
         <div className="flex flex-col p-3 gap-1">
           <button
             onClick={onClose}
+            autoFocus
             className="flex items-center justify-between font-mono text-[12px] tracking-wider px-3 py-2 border border-accent text-accent hover:bg-accent hover:text-void text-left transition-colors"
           >
             <span>RESUME</span>
-            <span className="text-[9px] opacity-70">ESC</span>
+            <span className="text-[9px] opacity-70">{keyLabel('menu')}</span>
           </button>
 
           {ENTRIES.map((e) => (
@@ -55,7 +59,7 @@ export const GameMenu = ({ isOpen, onClose, onOpenPanel, universeName }) => {
               className="flex items-center justify-between font-mono text-[12px] tracking-wider px-3 py-2 border border-line text-ink-dim hover:text-ink hover:border-line-bright text-left transition-colors"
             >
               <span>{e.label.toUpperCase()}</span>
-              {e.hotkey && <Key>{e.hotkey}</Key>}
+              {e.hotkey && <Key action={e.id} />}
             </button>
           ))}
 
@@ -1,9 +1,11 @@
+import { keyLabel } from '../settings.js';
+
 const BOOST_SEGMENTS = 10;
 
-export const HUDPanel = ({ hudData }) => {
+export const HUDPanel = ({ hudData, uplink, onRetryFailed, onDismissFailed }) => {
   if (!hudData) return null;
 
-  const { velocity, position, boostEnergy, isBoosting, boostLocked, hull = 100, ability, gamma = 1, weapon } = hudData;
+  const { velocity, position, boostEnergy, isBoosting, boostLocked, hull = 100, ability, gamma = 1, weapon, ordnance } = hudData;
   const showGamma = gamma > 1.02;
 
   const hullColor = hull > 60 ? 'bg-good' : hull > 30 ? 'bg-warn' : 'bg-critical';
@@ -94,6 +96,68 @@ export const HUDPanel = ({ hudData }) => {
         </>
       )}
 
+      {/* Secondary ordnance: a pip per round in the magazine */}
+      {ordnance && (
+        <>
+          <div className="w-px h-4 bg-line" />
+          <div className="flex items-center gap-2">
+            <span className={`text-[9px] uppercase tracking-wider ${ordnance.ammo === 0 ? 'text-critical' : 'text-ink-faint'}`}>
+              {ordnance.label} [{keyLabel('secondary')}]
+            </span>
+            <div className="flex gap-[3px]">
+              {Array.from({ length: ordnance.max }).map((_, i) => (
+                <div
+                  key={i}
+                  className={`w-1.5 h-1.5 rounded-full ${
+                    i < ordnance.ammo ? ordnance.ready ? 'bg-accent' : 'bg-ink-faint' : 'bg-line'
+                  }`}
+                />
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Uplink: world actions waiting in the outbox for the server to hear
+          them. Silent while everything is getting through. */}
+      {uplink && (uplink.pending > 0 || uplink.failed > 0) && (
+        <>
+          <div className="w-px h-4 bg-line" />
+          <div className="flex items-baseline gap-2">
+            <span className="text-[9px] uppercase tracking-wider text-warn animate-pulse">Uplink</span>
+            {uplink.pending > 0 && (
+              <span
+                className="text-[10px] tabular-nums text-warn"
+                title="Actions queued while the connection is down - they replay in order when it returns"
+              >
+                {uplink.pending} queued
+              </span>
+            )}
+            {uplink.failed > 0 && (
+              <>
+                <button
+                  type="button"
+                  onClick={onRetryFailed}
+                  className="text-[10px] tabular-nums text-critical hover:text-ink"
+                  title="Actions the server refused on replay - click to send them again"
+                >
+                  {uplink.failed} failed ↻
+                </button>
+                <button
+                  type="button"
+                  onClick={onDismissFailed}
+                  className="text-[10px] text-ink-faint hover:text-ink"
+                  title="Dismiss the failed actions"
+                  aria-label="Dismiss failed actions"
+                >
+                  ×
+                </button>
+              </>
+            )}
+          </div>
+        </>
+      )}
+
       {ability && (
         <>
           <div className="w-px h-4 bg-line" />
@@ -104,7 +168,7 @@ export const HUDPanel = ({ hudData }) => {
               : ability.cooldown > 0 ? 'text-ink-faint'
               : 'text-good'
             }`}>
-              {ability.active ? 'ACTIVE' : ability.cooldown > 0 ? `${ability.cooldown}s` : '[SPACE]'}
+              {ability.active ? 'ACTIVE' : ability.cooldown > 0 ? `${ability.cooldown}s` : `[${keyLabel('ability')}]`}
             </span>
           </div>
         </>
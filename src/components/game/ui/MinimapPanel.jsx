@@ -1,6 +1,6 @@
 import { useEffect, useRef, useState } from 'react';
 import { CHUNK_SIZE } from '../constants';
-import { getSettings, onSettingsChange, MINIMAP_SIZES } from '../settings.js';
+import { getSettings, onSettingsChange, MINIMAP_SIZES, keyLabel } from '../settings.js';
 
 const VOID_RAISED = '#0c0f1c';
 const LINE = '#1e2540';
@@ -9,7 +9,7 @@ const WARN = '#e0824a';
 const GOOD = '#4fd1a5';
 const INK_FAINT = '#565a72';
 
-// Kardashev type -> beacon color (mirrors CivilizationSystem.CIV_TYPE_COLORS)
+// Kardashev type -> beacon color (mirrors constants.CIV_TYPE_COLORS)
 const CIV_COLORS = {
   Type0: '#9497ad',
   Type1: '#4fd1a5',
@@ -194,7 +194,7 @@ export const MinimapPanel = ({ minimapData, onMapToggle }) => {
         onClick={onMapToggle}
         className="mt-2 text-[9px] tracking-wider uppercase text-ink-faint hover:text-accent transition-colors font-mono"
       >
-        Scope · [M] Full Map
+        Scope · [{keyLabel('map')}] Full Map
       </button>
     </div>
   );
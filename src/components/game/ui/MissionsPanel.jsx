@@ -7,6 +7,7 @@
 // remains the authority on the actual claim.
 import { useState } from 'react';
 import { playSfx } from '../audio.js';
+import { keyLabel } from '../settings.js';
 
 // Mirror of the backend's METRICS in utils/missionSystem.js - display only
 const METRICS = {
@@ -77,7 +78,7 @@ export const MissionsPanel = ({ isOpen, onClose, universe, onClaim }) => {
               onClick={onClose}
               className="font-mono text-[11px] tracking-wider text-ink-dim hover:text-ink border border-line-bright hover:border-accent px-3 py-1.5 transition-colors"
             >
-              CLOSE [O]
+              CLOSE [{keyLabel('missions')}]
             </button>
           </div>
         </div>
@@ -8,6 +8,7 @@ import { useState } from 'react';
 import { UPGRADE_TRACKS } from '../content/upgradeCatalog.js';
 import { DOCTRINE_CHOICES } from '../content/doctrineCatalog.js';
 import { playSfx } from '../audio.js';
+import { keyLabel } from '../settings.js';
 
 const LevelPips = ({ level, max }) => (
   <div className="flex gap-1">
@@ -79,7 +80,7 @@ export const OutfittingPanel = ({ isOpen, onClose, universe, onPurchase, onSetDo
               onClick={onClose}
               className="font-mono text-[11px] tracking-wider text-ink-dim hover:text-ink border border-line-bright hover:border-accent px-3 py-1.5 transition-colors"
             >
-              CLOSE [U]
+              CLOSE [{keyLabel('outfitting')}]
             </button>
           </div>
         </div>
@@ -184,7 +185,7 @@ export const OutfittingPanel = ({ isOpen, onClose, universe, onPurchase, onSetDo
         </div>
 
         <div className="px-5 py-3 font-mono text-[10px] text-ink-faint border-t border-line">
-          Earn research points by scanning galaxies, nebulae and anomalies [V]. Upgrades are permanent for this universe; doctrines can be re-chosen anytime.
+          Earn research points by scanning galaxies, nebulae and anomalies [{keyLabel('scan')}]. Upgrades are permanent for this universe; doctrines can be re-chosen anytime.
         </div>
       </div>
     </div>
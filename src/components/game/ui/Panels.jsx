@@ -2,7 +2,8 @@ import { useEffect, useState } from 'react';
 import { formatNumber, civDesignation } from '../utils';
 import { getStabilityColorKey, getCosmicPhaseLabel, formatTrend } from './statusHelpers';
 import { StatLine, Meter, StatusPill, SectionTitle, Key, icons } from './primitives';
-import { getSettings, onSettingsChange } from '../settings';
+import { getSettings, onSettingsChange, keyLabel } from '../settings';
+import { PAD_LABELS, connectedPad, padBindings } from '../gamepad';
 
 const STATUS_COLOR = { running: 'good', paused: 'warn', ended: 'critical' };
 
@@ -166,37 +167,66 @@ export const Console = ({ universe, stats }) => {
 // Movement keys mirror InputSystem's KEY_LAYOUTS (azerty/qwerty) - kept as a
 // local copy since InputSystem doesn't export the presets, and this is the
 // only other place that needs to render them.
-const MOVE_LAYOUTS = {
-  azerty: "ZQSD",
-  qwerty: "WASD",
-};
-
-// Only the WORLD interaction keys live here - every panel hotkey is taught
-// by the ESC menu (each entry shows its key), so duplicating them in the
+// Only the WORLD interaction keys live here, as currently bound - every panel
+// hotkey is taught by the ESC menu (each entry shows its key), so duplicating them in the
 // corner was clutter.
 export const ControlsHint = () => {
   const [input, setInput] = useState(() => {
     const s = getSettings();
-    return { layout: s.keyboardLayout, flightModel: s.flightModel };
+    return { flightModel: s.flightModel, pad: s.gamepadBindings };
   });
-  useEffect(() => onSettingsChange((s) => setInput({ layout: s.keyboardLayout, flightModel: s.flightModel })), []);
+  useEffect(() => onSettingsChange((s) => setInput({ flightModel: s.flightModel, pad: s.gamepadBindings })), []);
+
+  // With a pad plugged in, the hint shows its buttons instead
+  const [hasPad, setHasPad] = useState(() => !!connectedPad());
+  useEffect(() => {
+    const update = () => setHasPad(!!connectedPad());
+    window.addEventListener('gamepadconnected', update);
+    window.addEventListener('gamepaddisconnected', update);
+    return () => {
+      window.removeEventListener('gamepadconnected', update);
+      window.removeEventListener('gamepaddisconnected', update);
+    };
+  }, []);
+
+  if (hasPad) {
+    const pad = padBindings(input.pad);
+    const button = (action) => PAD_LABELS[pad[action]];
+    return (
+      <div className="text-[10px] text-ink-faint text-right leading-loose font-mono pointer-events-auto select-none">
+        <div><Key>L-STICK</Key>move</div>
+        <div><Key>{button('interact')}</Key>resolve anomaly</div>
+        <div><Key>{button('coop')}</Key>call a partner</div>
+        <div><Key>{button('fire')}</Key>fire</div>
+        <div><Key>{button('secondary')}</Key>ordnance</div>
+        <div><Key>{button('scan')}</Key>scan object</div>
+        <div><Key>{button('contact')}</Key>first contact</div>
+        <div><Key>{button('ability')}</Key>ability</div>
+        <div><Key>{button('boost')}</Key>boost</div>
+        <div><Key>{button('menu')}</Key>menu</div>
+      </div>
+    );
+  }
 
-  // Direct (arcade) flight is driven by arrow keys; the sim models use the
-  // rotate-then-thrust cluster from the keyboard layout.
-  const moveKeys = input.flightModel === 'direct'
-    ? 'ARROWS'
-    : (MOVE_LAYOUTS[input.layout] || MOVE_LAYOUTS.azerty);
+  // Direct (arcade) flight is driven by the arrow keys; the sim models use
+  // the rotate-then-thrust cluster (ZQSD / WASD by default).
+  const moveActions = input.flightModel === 'direct'
+    ? ['arrowUp', 'arrowLeft', 'arrowDown', 'arrowRight']
+    : ['thrust', 'left', 'brake', 'right'];
+  const moveKeys = moveActions.map(keyLabel).join('');
 
   return (
     <div className="text-[10px] text-ink-faint text-right leading-loose font-mono pointer-events-auto select-none">
       <div><Key>{moveKeys}</Key>move</div>
-      <div><Key>F</Key>resolve anomaly</div>
-      <div><Key>X</Key>fire</div>
-      <div><Key>V</Key>scan object</div>
-      <div><Key>G</Key>first contact</div>
-      <div><Key>SPACE</Key>ability</div>
-      <div><Key>SHIFT</Key>boost</div>
-      <div><Key>ESC</Key>menu</div>
+      <div><Key action="interact" />resolve anomaly</div>
+      <div><Key action="coop" />call a partner</div>
+      <div><Key action="fire" />fire</div>
+      <div><Key action="secondary" />ordnance</div>
+      <div><Key action="scan" />scan object</div>
+      <div><Key action="contact" />first contact</div>
+      <div><Key action="ability" />ability</div>
+      <div><Key action="boost" />boost</div>
+      <div><Key action="menu" />menu</div>
     </div>
   );
 };
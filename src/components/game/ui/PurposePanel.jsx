@@ -7,6 +7,7 @@
 // against you, and your cross-universe Warden rank.
 import { civDesignation } from '../utils';
 import { getWarden } from '../wardenProgress';
+import { keyLabel } from '../settings.js';
 
 const TIERS = ['Type0', 'Type1', 'Type2', 'Type3'];
 const TIER_LABEL = { Type0: '0', Type1: 'I', Type2: 'II', Type3: 'III' };
@@ -77,7 +78,7 @@ export const PurposePanel = ({ universe }) => {
             </p>
             <div className="text-[10px] text-warn flex items-center gap-1.5">
               <span className="animate-pulse">⚑</span>
-              <span>Champion a civilization to begin. Locate one [B], hail it [G].</span>
+              <span>Champion a civilization to begin. Locate one [{keyLabel('locator')}], hail it [{keyLabel('contact')}].</span>
             </div>
           </>
         )}
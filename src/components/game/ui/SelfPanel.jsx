@@ -10,6 +10,7 @@ import { memoryById } from '../content/memories';
 import { REVELATIONS, AUTHORED_SELVES } from '../content/revelations';
 import { insightById } from '../content/insights';
 import { RECOLLECTION_BANDS, SUMMIT } from '../self/selfModel';
+import { keyLabel } from '../settings.js';
 
 export const SelfPanel = ({ isOpen, onClose }) => {
   const [self, setSelf] = useState(getSelf());
@@ -39,7 +40,7 @@ export const SelfPanel = ({ isOpen, onClose }) => {
           </div>
           <button onClick={onClose}
             className="font-mono text-[11px] tracking-wider text-ink-dim hover:text-ink border border-line-bright hover:border-accent px-3 py-1.5 transition-colors">
-            CLOSE [J]
+            CLOSE [{keyLabel('self')}]
           </button>
         </div>
 
@@ -3,9 +3,14 @@
 // In-game options overlay ([ESC]): device/player preferences persisted in
 // localStorage via the settings store. Changes apply live - the Phaser
 // systems read the store per-frame (or subscribe, for key rebinding).
-import { useState } from 'react';
-import { getSettings, updateSettings, resetSettings } from '../settings.js';
+import { useEffect, useRef, useState } from 'react';
+import {
+  getSettings, updateSettings, resetSettings,
+  KEY_ACTIONS, KEY_LAYOUTS, keyBindings, keyConflicts, keyFromEvent, keyLabel, keyName,
+} from '../settings.js';
 import { playSfx } from '../audio.js';
+import { TIME_SCALES } from '../minigames/assist.js';
+import { DPAD, PAD_ACTIONS, PAD_LABELS, PadReader, padBindings, rebind } from '../gamepad.js';
 
 const OptionButtons = ({ options, value, onSelect }) => (
   <div className="flex gap-1.5">
@@ -43,6 +48,103 @@ const VolumeSlider = ({ value, onChange }) => (
   </div>
 );
 
+const SettingGroup = ({ title, note }) => (
+  <div className="border-b border-line bg-void-raised px-5 py-2.5">
+    <div className="font-mono text-[10px] tracking-wider uppercase text-ink-dim">{title}</div>
+    {note && <div className="font-mono text-[10px] text-ink-faint mt-0.5">{note}</div>}
+  </div>
+);
+
+// One action's pad button. Selected, it waits for the next button pressed on
+// the pad and binds that; the d-pad is navigation and can't be bound.
+const PadBinding = ({ label, button, onBind }) => {
+  const [listening, setListening] = useState(false);
+  const bind = useRef(onBind);
+  useEffect(() => {
+    bind.current = onBind;
+  });
+
+  useEffect(() => {
+    if (!listening) return undefined;
+    const reader = new PadReader();
+    let frame;
+    const tick = () => {
+      const press = reader.poll().pressed.find((b) => !DPAD.includes(b));
+      if (press) {
+        setListening(false);
+        bind.current(press);
+        return;
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [listening]);
+
+  return (
+    <button
+      onClick={() => setListening((v) => !v)}
+      data-pad-capture={listening ? '' : undefined}
+      className={`flex items-center justify-between gap-3 font-mono text-[11px] tracking-wider px-3 py-1.5 border transition-colors ${
+        listening ? 'border-accent text-accent' : 'border-line text-ink-dim hover:text-ink hover:border-line-bright'
+      }`}
+    >
+      <span>{label.toUpperCase()}</span>
+      <span className={listening ? 'text-accent' : 'text-ink'}>{listening ? 'PRESS…' : PAD_LABELS[button]}</span>
+    </button>
+  );
+};
+
+// One action's key, like PadBinding. Listening, it takes the next bindable
+// key pressed before the game or the panel hotkeys see it - ESC included,
+// so clicking again is how to back out. A key another action live at the
+// same time also has is flagged, naming that action.
+const KeyBinding = ({ label, keyName: bound, clashes, onBind }) => {
+  const [listening, setListening] = useState(false);
+  const bind = useRef(onBind);
+  useEffect(() => {
+    bind.current = onBind;
+  });
+
+  useEffect(() => {
+    if (!listening) return undefined;
+    const onKey = (e) => {
+      const key = keyFromEvent(e);
+      if (!key) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      setListening(false);
+      bind.current(key);
+    };
+    window.addEventListener('keydown', onKey, true);
+    return () => window.removeEventListener('keydown', onKey, true);
+  }, [listening]);
+
+  return (
+    <button
+      onClick={() => setListening((v) => !v)}
+      className={`flex flex-col gap-0.5 font-mono text-[11px] tracking-wider px-3 py-1.5 border text-left transition-colors ${
+        listening ? 'border-accent text-accent'
+          : clashes.length ? 'border-critical/60 text-ink-dim hover:text-ink'
+            : 'border-line text-ink-dim hover:text-ink hover:border-line-bright'
+      }`}
+    >
+      <span className="flex items-center justify-between gap-3">
+        <span>{label.toUpperCase()}</span>
+        <span className={listening ? 'text-accent' : clashes.length ? 'text-critical' : 'text-ink'}>
+          {listening ? 'PRESS…' : bound}
+        </span>
+      </span>
+      {clashes.length > 0 && !listening && (
+        <span className="text-[9px] text-critical normal-case">also {clashes.join(', ')}</span>
+      )}
+    </button>
+  );
+};
+
+const KEY_GROUPS = [...new Set(KEY_ACTIONS.map((a) => a.group))];
+const ACTION_LABEL = Object.fromEntries(KEY_ACTIONS.map((a) => [a.id, a.label]));
+
 const SettingRow = ({ label, hint, children }) => (
   <div className="flex items-center justify-between gap-6 border-b border-line last:border-b-0 px-5 py-4">
     <div className="min-w-0">
@@ -59,6 +161,8 @@ export const SettingsPanel = ({ isOpen, onClose }) => {
   if (!isOpen) return null;
 
   const change = (patch) => setSettings({ ...updateSettings(patch) });
+  const bindings = keyBindings(settings);
+  const conflicts = keyConflicts(bindings);
 
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-void/85 backdrop-blur-sm">
@@ -74,7 +178,7 @@ export const SettingsPanel = ({ isOpen, onClose }) => {
             onClick={onClose}
             className="font-mono text-[11px] tracking-wider text-ink-dim hover:text-ink border border-line-bright hover:border-accent px-3 py-1.5 transition-colors"
           >
-            CLOSE [ESC]
+            CLOSE [{keyLabel('menu')}]
           </button>
         </div>
 
@@ -83,7 +187,12 @@ export const SettingsPanel = ({ isOpen, onClose }) => {
         <SettingRow label="Movement Keys" hint="Rotation, thrust and strafe cluster">
           <OptionButtons
             value={settings.keyboardLayout}
-            onSelect={(v) => change({ keyboardLayout: v })}
+            onSelect={(v) => {
+              // A preset replaces the whole cluster, rebound keys included
+              const cluster = Object.keys(KEY_LAYOUTS[v]);
+              const kept = Object.fromEntries(Object.entries(settings.keyBindings).filter(([id]) => !cluster.includes(id)));
+              change({ keyboardLayout: v, keyBindings: kept });
+            }}
             options={[
               { value: 'qwerty', label: 'QWERTY · WASD' },
               { value: 'azerty', label: 'AZERTY · ZQSD' },
@@ -210,6 +319,115 @@ export const SettingsPanel = ({ isOpen, onClose }) => {
           />
         </SettingRow>
 
+        <SettingGroup
+          title="Keyboard"
+          note="Select an action, then press its key · keys flagged red clash with another action in use at the same time"
+        />
+
+        {KEY_GROUPS.map((group) => (
+          <div key={group} className="border-b border-line px-5 py-4">
+            <div className="font-mono text-[10px] tracking-wider uppercase text-ink-faint mb-2">{group}</div>
+            <div className="grid grid-cols-2 gap-1.5">
+              {KEY_ACTIONS.filter((a) => a.group === group).map((action) => (
+                <KeyBinding
+                  key={action.id}
+                  label={action.label}
+                  keyName={keyName(bindings[action.id])}
+                  clashes={(conflicts[action.id] ?? []).map((id) => ACTION_LABEL[id])}
+                  onBind={(key) => {
+                    playSfx('uiClick');
+                    change({ keyBindings: { ...getSettings().keyBindings, [action.id]: key } });
+                  }}
+                />
+              ))}
+            </div>
+          </div>
+        ))}
+
+        <div className="flex justify-end border-b border-line px-5 py-2.5">
+          <button
+            onClick={() => change({ keyBindings: {} })}
+            className="font-mono text-[10px] tracking-wider uppercase text-ink-faint hover:text-ink transition-colors"
+          >
+            Reset keys to the {settings.keyboardLayout === 'qwerty' ? 'QWERTY' : 'AZERTY'} preset
+          </button>
+        </div>
+
+        <SettingGroup
+          title="Gamepad"
+          note="Left stick flies (analog thrust and turn), right stick strafes, d-pad walks menus · select an action, then press its button"
+        />
+
+        <div className="grid grid-cols-2 gap-1.5 border-b border-line px-5 py-4">
+          {PAD_ACTIONS.map((action) => (
+            <PadBinding
+              key={action.id}
+              label={action.label}
+              button={padBindings(settings.gamepadBindings)[action.id]}
+              onBind={(button) => {
+                playSfx('uiClick');
+                change({ gamepadBindings: rebind(getSettings().gamepadBindings, action.id, button) });
+              }}
+            />
+          ))}
+        </div>
+
+        <SettingGroup
+          title="Touch"
+          note="A stick and buttons over the universe, pinch to zoom, and on-screen pads in minigames"
+        />
+
+        <SettingRow label="Touch Controls" hint="Auto: shown on a touch screen">
+          <OptionButtons
+            value={settings.touchControls}
+            onSelect={(v) => change({ touchControls: v })}
+            options={[
+              { value: 'auto', label: 'AUTO' },
+              { value: 'on', label: 'ON' },
+              { value: 'off', label: 'OFF' },
+            ]}
+          />
+        </SettingRow>
+
+        <SettingGroup
+          title="Accessibility · minigames"
+          note="Assisted containments pay in full"
+        />
+
+        <SettingRow
+          label="Minigame Speed"
+          hint="Slow motion for every minigame (solo runs)"
+        >
+          <OptionButtons
+            value={settings.minigameTimeScale}
+            onSelect={(v) => change({ minigameTimeScale: v })}
+            options={TIME_SCALES.map((t) => ({ value: t, label: `${t * 100}%` }))}
+          />
+        </SettingRow>
+
+        <SettingRow label="Held Controls" hint="Toggle: tap a held key, or the lattice grab, once to latch it and again to let go">
+          <OptionButtons
+            value={settings.holdToToggle}
+            onSelect={(v) => change({ holdToToggle: v })}
+            options={[
+              { value: false, label: 'HOLD' },
+              { value: true, label: 'TOGGLE' },
+            ]}
+          />
+        </SettingRow>
+
+        <SettingRow label="Minigame Colours" hint="Safe / stressed / failing told apart without red and green">
+          <OptionButtons
+            value={settings.colorPalette}
+            onSelect={(v) => change({ colorPalette: v })}
+            options={[
+              { value: 'default', label: 'DEFAULT' },
+              { value: 'deuteranopia', label: 'DEUTAN' },
+              { value: 'protanopia', label: 'PROTAN' },
+            ]}
+          />
+        </SettingRow>
+
         </div>
 
         <div className="flex justify-end px-5 py-3 border-t border-line shrink-0">
@@ -0,0 +1,121 @@
+// src/components/game/ui/TouchControls.jsx
+//
+// Touch play over the universe (touch.js). A virtual stick, bottom-left,
+// flies the ship as a pad's left stick does - heading and thrust. Buttons,
+// bottom-right, hold boost and fire, launch ordnance and trigger the
+// ability; resolve, scan, hail and descend/ascend show only while there is
+// something in range to do them to (TouchSystem). MENU and MAP stand in for
+// the panel hotkeys - the menu reaches every panel. Landscape keeps the
+// buttons in a wide block at the side; portrait stacks them narrower and
+// lifts both clusters clear of the telemetry bar. Hidden while a panel or a minigame is up: minigames
+// draw their own touch controls.
+import { useEffect, useRef, useState } from 'react';
+import { holdButton, releaseTouch, setStick, stickVector, tapButton } from '../touch.js';
+
+const STICK_RADIUS = 52; // px the knob travels from centre to rim
+
+const BUTTON = 'touch-none select-none rounded-full border font-mono text-[10px] tracking-wider flex items-center justify-center w-16 h-16 bg-void-raised/70 backdrop-blur-sm transition-colors';
+const IDLE = 'border-line-bright text-ink-dim active:border-accent active:text-accent';
+const CONTEXT = 'border-accent text-accent active:bg-accent active:text-void';
+
+const Stick = () => {
+  const [knob, setKnob] = useState({ x: 0, y: 0 });
+  const centre = useRef(null);
+
+  const move = (e) => {
+    const dx = e.clientX - centre.current.x;
+    const dy = e.clientY - centre.current.y;
+    const len = Math.hypot(dx, dy);
+    const k = len > STICK_RADIUS ? STICK_RADIUS / len : 1;
+    setKnob({ x: dx * k, y: dy * k });
+    setStick(stickVector(dx, dy, STICK_RADIUS));
+  };
+  const release = () => {
+    centre.current = null;
+    setKnob({ x: 0, y: 0 });
+    setStick({ x: 0, y: 0 });
+  };
+
+  return (
+    <div
+      className="touch-none relative rounded-full border border-line-bright bg-void-raised/40"
+      style={{ width: STICK_RADIUS * 2 + 40, height: STICK_RADIUS * 2 + 40 }}
+      onPointerDown={(e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        const r = e.currentTarget.getBoundingClientRect();
+        centre.current = { x: r.left + r.width / 2, y: r.top + r.height / 2 };
+        move(e);
+      }}
+      onPointerMove={(e) => centre.current && move(e)}
+      onPointerUp={release}
+      onPointerCancel={release}
+    >
+      <div
+        className="absolute left-1/2 top-1/2 w-14 h-14 -ml-7 -mt-7 rounded-full border border-accent/70 bg-accent/15"
+        style={{ transform: `translate(${knob.x}px, ${knob.y}px)` }}
+      />
+    </div>
+  );
+};
+
+// Held while the finger is down
+const HoldButton = ({ action, children }) => (
+  <button
+    className={`${BUTTON} ${IDLE}`}
+    onPointerDown={(e) => { e.currentTarget.setPointerCapture(e.pointerId); holdButton(action, true); }}
+    onPointerUp={() => holdButton(action, false)}
+    onPointerCancel={() => holdButton(action, false)}
+  >
+    {children}
+  </button>
+);
+
+// A command, issued on touch rather than on lift
+const TapButton = ({ action, live = false, children }) => (
+  <button className={`${BUTTON} ${live ? CONTEXT : IDLE}`} onPointerDown={() => tapButton(action)}>
+    {children}
+  </button>
+);
+
+export const TouchControls = ({ context, ability, ordnance, hidden, onMenu, onMap }) => {
+  const gone = hidden || !!context?.minigame;
+  // Let go of whatever was held when the controls go away under the finger
+  useEffect(() => {
+    if (gone) releaseTouch();
+  }, [gone]);
+  useEffect(() => releaseTouch, []);
+
+  if (gone) return null;
+
+  const abilityLabel = !ability ? null
+    : ability.active ? 'ACTIVE'
+      : ability.cooldown > 0 ? `${ability.cooldown}s`
+        : ability.label.split(' ')[0].toUpperCase();
+
+  return (
+    <div className="absolute inset-0 z-20 pointer-events-none select-none">
+      <div className="absolute left-6 bottom-8 portrait:bottom-28 pointer-events-auto">
+        <Stick />
+      </div>
+
+      <div className="absolute right-6 bottom-8 portrait:bottom-28 pointer-events-auto flex flex-col items-end gap-2">
+        <div className="flex flex-wrap justify-end gap-2 portrait:max-w-[8.5rem]">
+          {context?.interact && <TapButton action="interact" live>RESOLVE</TapButton>}
+          {context?.interact && <TapButton action="coop" live>PARTNER</TapButton>}
+          {context?.scan && <TapButton action="scan" live>SCAN</TapButton>}
+          {context?.contact && <TapButton action="contact" live>HAIL</TapButton>}
+          {context?.descend && <TapButton action="descend" live>DESCEND</TapButton>}
+          {context?.ascend && <TapButton action="ascend" live>ASCEND</TapButton>}
+        </div>
+        <div className="grid grid-cols-3 portrait:grid-cols-2 gap-2">
+          <HoldButton action="fire">FIRE</HoldButton>
+          <HoldButton action="boost">BOOST</HoldButton>
+          {ordnance && <TapButton action="secondary">{ordnance.label} {ordnance.ammo}</TapButton>}
+          {abilityLabel && <TapButton action="ability">{abilityLabel}</TapButton>}
+          <button className={`${BUTTON} ${IDLE}`} onClick={onMap}>MAP</button>
+          <button className={`${BUTTON} ${IDLE}`} onClick={onMenu}>MENU</button>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -12,6 +12,7 @@ const MIN_AWAY_MS = 10 * 60 * 1000; // don't greet people who just refreshed
 const KNOWN_TYPES = new Set([
   'milestone', 'civilization', 'extinction', 'catastrophe', 'universe_end',
   'anomaly_resolved', 'discovery', 'upgrade', 'contact', 'mission', 'cosmic_event', 'war',
+  'pact', 'pact_honoured', 'pact_betrayed',
 ]);
 
 const formatAway = (ms) => {
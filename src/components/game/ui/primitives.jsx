@@ -1,3 +1,6 @@
+import { useEffect, useState } from 'react';
+import { keyLabel, onSettingsChange } from '../settings';
+
 const METER_COLOR = {
   accent: 'bg-accent',
   good: 'bg-good',
@@ -49,11 +52,22 @@ export const SectionTitle = ({ icon, children }) => (
   </div>
 );
 
-export const Key = ({ children }) => (
-  <span className="inline-block bg-void-raised border border-line-bright rounded-sm px-1.5 py-0.5 text-ink-dim text-[9px] font-mono mr-1.5 align-middle">
-    {children}
-  </span>
-);
+// Given an `action` (a settings.js key-map id), shows the key that action is
+// bound to right now, following rebinds; otherwise its children.
+export const Key = ({ action, children }) => {
+  const [label, setLabel] = useState(() => action && keyLabel(action));
+  useEffect(() => {
+    if (!action) return undefined;
+    setLabel(keyLabel(action));
+    return onSettingsChange(() => setLabel(keyLabel(action)));
+  }, [action]);
+
+  return (
+    <span className="inline-block bg-void-raised border border-line-bright rounded-sm px-1.5 py-0.5 text-ink-dim text-[9px] font-mono mr-1.5 align-middle">
+      {action ? label : children}
+    </span>
+  );
+};
 
 const iconProps = { viewBox: '0 0 16 16', className: 'w-[11px] h-[11px] stroke-accent fill-none shrink-0', strokeWidth: 1.3 };
 
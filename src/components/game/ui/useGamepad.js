@@ -0,0 +1,89 @@
+// src/components/game/ui/useGamepad.js
+//
+// The gamepad in the React overlays. Polls the pad every animation frame and
+// hands each button press to `onPress(button)` (gamepad.js button names).
+// While `navigate` is on - an overlay is open - the d-pad and A drive the
+// overlay instead: up/left and down/right step focus through its controls
+// (left/right nudge a focused slider), and A clicks the focused control.
+// Nothing is handed on while a control marked data-pad-capture is on the
+// page - it is reading the pad itself.
+import { useEffect, useRef } from 'react';
+import { PadReader } from '../gamepad.js';
+
+const FOCUSABLE = 'button:not([disabled]), a[href], input:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Every panel (and GameMenu) is a full-screen fixed layer; the last one in
+// the document is on top.
+function topOverlay() {
+  const layers = document.querySelectorAll('.fixed.inset-0:not(.pointer-events-none)');
+  return layers[layers.length - 1] ?? null;
+}
+
+function padFocus(el) {
+  el.focus();
+  el.scrollIntoView({ block: 'nearest' });
+  el.setAttribute('data-pad-focus', '');
+  el.addEventListener('blur', () => el.removeAttribute('data-pad-focus'), { once: true });
+}
+
+function moveFocus(step) {
+  const root = topOverlay();
+  if (!root) return;
+  const items = [...root.querySelectorAll(FOCUSABLE)].filter((el) => el.getClientRects().length > 0);
+  if (!items.length) return;
+  const at = items.indexOf(document.activeElement);
+  const next = at < 0 ? (step > 0 ? 0 : items.length - 1) : (at + step + items.length) % items.length;
+  padFocus(items[next]);
+}
+
+// A range input stepped from script doesn't tell React; the input event does.
+function nudgeRange(el, step) {
+  if (step > 0) el.stepUp();
+  else el.stepDown();
+  el.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+function navigateOverlay(button) {
+  const focused = document.activeElement;
+  const onRange = focused?.matches?.('input[type="range"]');
+  if (button === 'up') moveFocus(-1);
+  else if (button === 'down') moveFocus(1);
+  else if (button === 'left' || button === 'right') {
+    const step = button === 'left' ? -1 : 1;
+    if (onRange) nudgeRange(focused, step);
+    else moveFocus(step);
+  } else if (button === 'a') {
+    if (focused && topOverlay()?.contains(focused)) focused.click();
+  } else {
+    return false;
+  }
+  return true;
+}
+
+export function useGamepad(onPress, navigate = false) {
+  const latest = useRef({ onPress, navigate });
+  useEffect(() => {
+    latest.current = { onPress, navigate };
+  });
+
+  useEffect(() => {
+    const reader = new PadReader();
+    let frame;
+    let captured = false;
+    const tick = () => {
+      // A binding waiting for its button (SettingsPanel) takes the press -
+      // including in the frame it lets go, in case it polled first.
+      const { pressed } = reader.poll();
+      const capturing = !!document.querySelector('[data-pad-capture]');
+      const skip = capturing || captured;
+      captured = capturing;
+      for (const button of skip ? [] : pressed) {
+        if (latest.current.navigate && navigateOverlay(button)) continue;
+        latest.current.onPress?.(button);
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, []);
+}
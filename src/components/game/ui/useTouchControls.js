@@ -0,0 +1,13 @@
+// src/components/game/ui/useTouchControls.js
+//
+// Whether the touch controls are up: the touchControls setting, "auto"
+// meaning on a touch screen (touch.js). Follows the setting as it changes.
+import { useEffect, useState } from 'react';
+import { getSettings, onSettingsChange } from '../settings.js';
+import { touchEnabled } from '../touch.js';
+
+export function useTouchControls() {
+  const [setting, setSetting] = useState(() => getSettings().touchControls);
+  useEffect(() => onSettingsChange((s) => setSetting(s.touchControls)), []);
+  return touchEnabled(setting);
+}
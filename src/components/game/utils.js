@@ -1,4 +1,4 @@
-import { CHUNK_SIZE } from './constants';
+import { CHUNK_SIZE } from './constants.js';
 
 export const getChunkCoords = (x, y) => ({
   chunkX: Math.floor(x / CHUNK_SIZE),
@@ -75,6 +75,15 @@ export function recordAscension() {
   return getWarden();
 }
 
+/**
+ * The whole persisted warden state, as stored - rank and The Self together.
+ * A universe archive (api/universeArchive.js) carries a copy of it.
+ */
+export function getWardenSlice() {
+  const s = load();
+  return { ...s, rank: rankFor(s.ascensions).title };
+}
+
 /** The Self snapshot for the UI. */
 export function getSelf() {
   const s = load();
@@ -1,14 +1,7 @@
 // src/components/game/wardenProgress.test.js
 import { test } from "node:test";
 import assert from "node:assert/strict";
-
-// localStorage shim (node has none) - must exist before importing the module.
-const mem = new Map();
-globalThis.localStorage = {
-  getItem: (k) => (mem.has(k) ? mem.get(k) : null),
-  setItem: (k, v) => mem.set(k, String(v)),
-  removeItem: (k) => mem.delete(k),
-};
+import { memory as mem } from "../../api/mockStorage.js"; // before the module under test
 
 const fresh = async () => {
   mem.clear();
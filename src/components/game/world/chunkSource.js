@@ -0,0 +1,152 @@
+// src/components/game/world/chunkSource.js
+//
+// Chunk descriptors, generated off the main thread ahead of the ship.
+//
+// generateScaleObjects is pure and Phaser-free, so a Web Worker
+// (chunkWorker.js) can run it while the scene keeps drawing. The worker never
+// decides WHEN a chunk appears, though: ChunkSystem still loads chunks at the
+// moment the player crosses a border, exactly as before, and only asks this
+// source for their descriptors. If the worker has already delivered them the
+// main thread just instantiates sprites; if not (no Worker, the worker fell
+// behind, the first chunks of a fresh scale) it generates them itself. Either
+// way the contents and the frame they appear on are the same - which is what
+// keeps a recorded session replaying identically (ReplaySystem).
+//
+// prefetchRing() picks what to warm: the chunks the ship will reach in the
+// next PREFETCH_SECONDS at its current velocity, nearest-first, or the ring
+// just outside the loaded window when it's drifting.
+import { CHUNK_SIZE } from "../constants.js";
+import { getChunkKey } from "../utils.js";
+import { generateScaleObjects } from "./worldScales.js";
+
+// How far ahead (seconds of flight at the current velocity) to prefetch.
+export const PREFETCH_SECONDS = 2.5;
+// Below this speed (units/second) the ship is drifting: warm the ring around it.
+const DRIFT_SPEED = 80;
+// Most chunks queued per prefetch - a boosted ship crossing a cluster
+// shouldn't bury the worker in chunks it will never reach.
+const MAX_PREFETCH = 40;
+// Descriptor sets kept; the oldest are dropped first.
+const CACHE_LIMIT = 400;
+
+/**
+ * A chunk's generation job. The key covers everything its contents depend on:
+ * the scale's world seed, the chunk, the descended-into name, and the cosmic
+ * profile (an era change regenerates the same chunk differently).
+ */
+export function chunkJob(seed, scale, chunkX, chunkY, parentName, cp) {
+  const key = `${seed}|${scale}|${getChunkKey(chunkX, chunkY)}|${parentName ?? ""}|${JSON.stringify(cp ?? null)}`;
+  return { key, seed, scale, chunkX, chunkY, parentName, cp };
+}
+
+/** Run a job - in the worker, or inline as the fallback. */
+export function runChunkJob(job) {
+  return generateScaleObjects(job.seed, job.chunkX, job.chunkY, job.scale, job.parentName, job.cp ?? undefined);
+}
+
+/**
+ * Chunks worth generating ahead of a ship in chunk (chunkX, chunkY) with a
+ * loaded window of `radius`, moving at (vx, vy) units/second: every chunk
+ * the window will sweep over in the next PREFETCH_SECONDS, soonest first.
+ * Chunks already inside the window are left out - they're loaded.
+ */
+export function prefetchRing(chunkX, chunkY, radius, vx = 0, vy = 0) {
+  const out = new Map();
+  const add = (x, y, order) => {
+    if (Math.max(Math.abs(x - chunkX), Math.abs(y - chunkY)) <= radius) return;
+    const key = getChunkKey(x, y);
+    if (!out.has(key)) out.set(key, { chunkX: x, chunkY: y, order });
+  };
+
+  if (Math.hypot(vx, vy) < DRIFT_SPEED) {
+    const r = radius + 1;
+    for (let dx = -r; dx <= r; dx++) {
+      for (let dy = -r; dy <= r; dy++) add(chunkX + dx, chunkY + dy, Math.hypot(dx, dy));
+    }
+  } else {
+    // Walk the predicted path a chunk at a time; at each step the window
+    // centred there is what will be loaded then.
+    const ax = (vx * PREFETCH_SECONDS) / CHUNK_SIZE;
+    const ay = (vy * PREFETCH_SECONDS) / CHUNK_SIZE;
+    const steps = Math.max(1, Math.ceil(Math.hypot(ax, ay)));
+    for (let s = 1; s <= steps; s++) {
+      const px = chunkX + (ax * s) / steps;
+      const py = chunkY + (ay * s) / steps;
+      const cx = Math.round(px);
+      const cy = Math.round(py);
+      for (let dx = -radius; dx <= radius; dx++) {
+        for (let dy = -radius; dy <= radius; dy++) {
+          add(cx + dx, cy + dy, s * 100 + Math.hypot(cx + dx - px, cy + dy - py));
+        }
+      }
+    }
+  }
+
+  return [...out.values()].sort((a, b) => a.order - b.order).slice(0, MAX_PREFETCH);
+}
+
+export class ChunkSource {
+  /**
+   * @param {function} [createWorker] - returns a Worker running chunkWorker.js
+   *   (or anything with postMessage/onmessage/terminate). Without one, or if
+   *   it throws, every chunk is generated inline.
+   */
+  constructor(createWorker) {
+    this.cache = new Map();   // job key -> descriptors
+    this.pending = new Set(); // job keys posted and not yet back
+    this.worker = null;
+    try {
+      this.worker = createWorker?.() ?? null;
+    } catch {
+      this.worker = null;
+    }
+    if (this.worker) {
+      this.worker.onmessage = ({ data }) => this._receive(data);
+      this.worker.onerror = () => this._fallBack();
+    }
+  }
+
+  /** Queue jobs for the worker; already cached or in flight ones are skipped. */
+  prefetch(jobs) {
+    if (!this.worker) return;
+    for (const job of jobs) {
+      if (this.cache.has(job.key) || this.pending.has(job.key)) continue;
+      this.pending.add(job.key);
+      this.worker.postMessage(job);
+    }
+  }
+
+  /** A job's descriptors now: from the cache if the worker got there first, else generated inline. */
+  take(job) {
+    return this.cache.get(job.key) ?? runChunkJob(job);
+  }
+
+  /** Whether a job's descriptors are waiting in the cache. */
+  has(job) {
+    return this.cache.has(job.key);
+  }
+
+  _receive({ key, objects }) {
+    if (!this.pending.delete(key)) return; // cleared while in flight
+    this.cache.set(key, objects);
+    while (this.cache.size > CACHE_LIMIT) this.cache.delete(this.cache.keys().next().value);
+  }
+
+  // A worker that errors (a blocked or broken module) is given up on: the
+  // inline path covers everything from then on.
+  _fallBack() {
+    this.destroy();
+  }
+
+  /** Forget everything cached or in flight (a scale change makes it all stale). */
+  clear() {
+    this.cache.clear();
+    this.pending.clear();
+  }
+
+  destroy() {
+    this.worker?.terminate();
+    this.worker = null;
+    this.clear();
+  }
+}
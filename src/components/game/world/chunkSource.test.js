@@ -0,0 +1,110 @@
+// src/components/game/world/chunkSource.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ChunkSource, chunkJob, runChunkJob, prefetchRing, PREFETCH_SECONDS } from "./chunkSource.js";
+import { generateScaleObjects, worldSeed } from "./worldScales.js";
+import { NEUTRAL_PROFILE, cosmicProfile } from "./cosmicProfile.js";
+import { CHUNK_SIZE } from "../constants.js";
+
+// chunkWorker.js in-process: a job posted is answered when flush() runs, the
+// way a real worker answers on a later turn of the event loop.
+function fakeWorker() {
+  const worker = {
+    inbox: [],
+    terminated: false,
+    postMessage(job) {
+      worker.inbox.push(structuredClone(job));
+    },
+    flush(n = Infinity) {
+      for (const job of worker.inbox.splice(0, n)) {
+        worker.onmessage({ data: structuredClone({ key: job.key, objects: runChunkJob(job) }) });
+      }
+    },
+    terminate() {
+      worker.terminated = true;
+    },
+  };
+  return worker;
+}
+
+test("prefetched chunks are the chunks inline generation would make", () => {
+  const worker = fakeWorker();
+  const source = new ChunkSource(() => worker);
+  const seed = worldSeed("S", "stellar", ["obj:0:0:1"]);
+  const jobs = [[0, 0, "galactic", "S"], [3, -2, "galactic", "S"], [1, 1, "stellar", seed]]
+    .map(([cx, cy, scale, s]) => chunkJob(s, scale, cx, cy, undefined, NEUTRAL_PROFILE));
+
+  source.prefetch(jobs);
+  source.prefetch(jobs); // already in flight: not posted twice
+  assert.equal(worker.inbox.length, 3);
+  worker.flush();
+  for (const job of jobs) {
+    assert.ok(source.has(job));
+    const inline = generateScaleObjects(job.seed, job.chunkX, job.chunkY, job.scale, undefined, NEUTRAL_PROFILE);
+    assert.deepEqual(source.take(job), inline);
+  }
+
+  // Not prefetched (or not back yet): generated on the spot, same result
+  const late = chunkJob("S", "galactic", 9, 9, undefined, NEUTRAL_PROFILE);
+  source.prefetch([late]);
+  assert.deepEqual(source.take(late), generateScaleObjects("S", 9, 9, "galactic", undefined, NEUTRAL_PROFILE));
+});
+
+test("a job's key changes with anything that changes its contents", () => {
+  const key = (...args) => chunkJob(...args).key;
+  const base = key("S", "galactic", 1, 2, undefined, NEUTRAL_PROFILE);
+  assert.equal(key("S", "galactic", 1, 2, undefined, { ...NEUTRAL_PROFILE }), base);
+  assert.notEqual(key("T", "galactic", 1, 2, undefined, NEUTRAL_PROFILE), base);
+  assert.notEqual(key("S", "stellar", 1, 2, undefined, NEUTRAL_PROFILE), base);
+  assert.notEqual(key("S", "galactic", 2, 1, undefined, NEUTRAL_PROFILE), base);
+  assert.notEqual(key("S", "galactic", 1, 2, "HD 4821", NEUTRAL_PROFILE), base);
+  const darkAges = cosmicProfile({ cosmicPhase: "dark_ages", galaxyCount: 0, starCount: 0 });
+  assert.notEqual(key("S", "galactic", 1, 2, undefined, darkAges), base, "another era");
+});
+
+test("results that arrive after a clear, and a worker that fails, fall back cleanly", () => {
+  const worker = fakeWorker();
+  const source = new ChunkSource(() => worker);
+  const job = chunkJob("S", "galactic", 0, 0, undefined, NEUTRAL_PROFILE);
+  source.prefetch([job]);
+  source.clear(); // a descent while it was in flight
+  worker.flush();
+  assert.equal(source.has(job), false, "stale result dropped");
+
+  worker.onerror();
+  assert.ok(worker.terminated);
+  source.prefetch([job]);
+  assert.equal(worker.inbox.length, 0, "nothing posted to a dead worker");
+  assert.deepEqual(source.take(job), runChunkJob(job));
+
+  const noWorkers = new ChunkSource(() => {
+    throw new ReferenceError("Worker is not defined");
+  });
+  assert.deepEqual(noWorkers.take(job), runChunkJob(job));
+});
+
+test("the prefetch ring runs ahead of the ship, soonest first", () => {
+  const radius = 2;
+  const outside = ({ chunkX, chunkY }) => Math.max(Math.abs(chunkX), Math.abs(chunkY)) > radius;
+
+  // Drifting: the ring just outside the loaded window, all the way round
+  const drift = prefetchRing(0, 0, radius, 10, 0);
+  assert.equal(drift.length, 7 * 7 - 5 * 5);
+  assert.ok(drift.every(outside));
+
+  // Boosting east: everything is ahead, none of it behind
+  const speed = 1200;
+  const east = prefetchRing(0, 0, radius, speed, 0);
+  assert.ok(east.every(outside));
+  assert.ok(east.every((c) => c.chunkX > radius), "nothing behind or beside the window");
+  const reach = Math.round((speed * PREFETCH_SECONDS) / CHUNK_SIZE) + radius;
+  assert.equal(Math.max(...east.map((c) => c.chunkX)), reach, "as far as it will get");
+  assert.ok(east[0].chunkX === radius + 1, "the next column first");
+  const order = east.map((c) => c.chunkX);
+  assert.deepEqual(order, [...order].sort((a, b) => a - b));
+
+  // Diagonal, from elsewhere in the world: ahead on both axes
+  const ne = prefetchRing(10, -4, radius, 500, -500);
+  assert.ok(ne.every((c) => c.chunkX - 10 > radius || -4 - c.chunkY > radius));
+  assert.ok(ne.length <= 40);
+});
@@ -0,0 +1,9 @@
+// src/components/game/world/chunkWorker.js
+//
+// The chunk generator's worker (see chunkSource.js): a job in, its
+// descriptors out, keyed so the main thread can match them up.
+import { runChunkJob } from "./chunkSource.js";
+
+self.onmessage = ({ data: job }) => {
+  self.postMessage({ key: job.key, objects: runChunkJob(job) });
+};
@@ -6,8 +6,11 @@
 // placement needs no server world-gen: the client, which already generates the
 // world, computes it. When the backend promotes a civ's type across a scale
 // boundary, this automatically shows it one scale up. That IS the ascension.
-import { generateScaleObjects, generateSystem, worldSeed, SCALES, DESCEND_CATEGORY } from "./worldScales.js";
+import {
+  generateScaleObjects, generateSystem, generateOrbit, starField, worldSeed, SCALES, DESCEND_CATEGORY,
+} from "./worldScales.js";
 import { CHUNK_SIZE } from "../constants.js";
+import { bodyPosition } from "./orbits.js";
 
 const hashStr = (s) => {
   let h = 2166136261;
@@ -21,18 +24,23 @@ const hashStr = (s) => {
 // Type -> the scale a civ occupies. The Kardashev ladder is an ENERGY ladder,
 // and each rung names the largest thing a civilization can power itself from:
 //
-//   Type 0  - a fraction of its homeworld's energy  -> planetary
-//   Type I  - ALL of its homeworld's energy         -> planetary (still!)
+//   Type 0  - a fraction of its homeworld's energy  -> orbital
+//   Type I  - ALL of its homeworld's energy         -> planetary
 //   Type II - all of its star's energy (Dyson)      -> stellar
 //   Type III- all of its galaxy's energy            -> galactic
 //
 // Type I was previously placed at the stellar scale, which is a rung early:
 // a Type I is still bound to one planet - mastering a world is precisely what
 // it has NOT yet outgrown. Leaving the cradle world is the Type II step.
+//
+// Both are planet-bound, but a Type 0 hasn't yet made its world one thing: it
+// is met ON the surface (a settlement, at the orbital scale), where a Type I
+// answers for the whole planet from the system around it.
 export function civScale(type) {
   if (type === "Type3") return "galactic";
   if (type === "Type2") return "stellar";
-  return "planetary"; // Type0 and Type1 are both planet-bound
+  if (type === "Type1") return "planetary";
+  return "orbital"; // Type0
 }
 
 const _galCache = new Map();
@@ -109,13 +117,27 @@ export function homeStarId(seed, civId, galaxyId, cp) {
   for (let attempt = 0; attempt < 12 && !result; attempt++) {
     const cx = (hashStr(`${civId}#sx${attempt}`) % 7) - 3;
     const cy = (hashStr(`${civId}#sy${attempt}`) % 7) - 3;
-    const stars = generateScaleObjects(stellarSeed, cx, cy, "stellar", undefined, cp);
+    const stars = starField(stellarSeed, cx, cy, cp);
     if (stars.length) result = stars[hashStr(`${civId}#spick`) % stars.length].id;
   }
   _starCache.set(key, result);
   return result;
 }
 
+// The planet a planet-bound civ calls home, within its home system. Systems
+// are bounded and not era-scaled, so no profile is needed.
+function homePlanet(seed, civId, galaxyId, starId) {
+  if (!galaxyId || !starId) return null;
+  const planets = generateSystem(worldSeed(seed, "planetary", [galaxyId, starId]))
+    .filter((o) => o.category === "planet");
+  return planets.length ? planets[hashStr(`${civId}#world`) % planets.length] : null;
+}
+
+// A stable home planet id, for Type 0 / I civs.
+export function homePlanetId(seed, civId, galaxyId, starId) {
+  return homePlanet(seed, civId, galaxyId, starId)?.id ?? null;
+}
+
 // The descent path (host) the civ currently occupies, from its type.
 export function civHost(seed, civ, cp) {
   const scale = civScale(civ.type);
@@ -124,7 +146,10 @@ export function civHost(seed, civ, cp) {
   if (!gal) return [];
   if (scale === "stellar") return [gal];
   const star = homeStarId(seed, civ.id, gal, cp);
-  return star ? [gal, star] : [gal];
+  if (!star) return [gal];
+  if (scale === "planetary") return [gal, star];
+  const planet = homePlanetId(seed, civ.id, gal, star);
+  return planet ? [gal, star, planet] : [gal, star];
 }
 
 // Object ids encode the chunk that generated them ("obj:cx:cy:i", "s:cx:cy:k"),
@@ -174,15 +199,17 @@ export function civAnchorObject(seed, civ, cp) {
       anchor = findInChunk(worldSeed(seed, "stellar", [gal]), "stellar", star, cp);
     }
   } else {
-    // Type 0 / I live on a WORLD: pick a planet from their home system.
+    // Type 0 / I live on a WORLD: a planet from their home system. A Type I
+    // is the planet; a Type 0 is one settlement on its surface.
     const gal = homeGalaxyId(seed, civ, cp);
     const star = homeStarId(seed, civ.id, gal, cp);
-    if (gal && star) {
-      const planets = generateSystem(worldSeed(seed, "planetary", [gal, star]))
-        .filter((o) => o.category === "planet");
-      if (planets.length) {
-        anchor = planets[hashStr(`${civ.id}#world`) % planets.length];
-      }
+    const planet = homePlanet(seed, civ.id, gal, star);
+    if (planet && scale === "planetary") {
+      anchor = planet;
+    } else if (planet) {
+      const sites = generateOrbit(worldSeed(seed, "orbital", [gal, star, planet.id]), planet.name)
+        .filter((o) => o.category === "settlement");
+      anchor = sites[hashStr(`${civ.id}#site`) % sites.length] ?? null;
     }
   }
 
@@ -190,13 +217,14 @@ export function civAnchorObject(seed, civ, cp) {
   return anchor;
 }
 
-// The civ's beacon position: the exact centre of the world it inhabits.
+// The civ's beacon position: the exact centre of the world it inhabits, at
+// orbit time `t` - a Type I's planet goes round its star (orbits.js).
 // Falls back to a stable id-hash only if its home couldn't be generated, so a
 // civ is never invisible.
-export function civLocation(civ, seed, cp) {
+export function civLocation(civ, seed, cp, t = 0) {
   if (seed) {
     const anchor = civAnchorObject(seed, civ, cp);
-    if (anchor) return { x: anchor.x, y: anchor.y };
+    if (anchor) return bodyPosition(anchor, t);
   }
   return {
     x: (hashStr(`${civ.id}#lx`) % 8000) - 4000,
@@ -251,18 +279,16 @@ export function nextHopToCiv(seed, civ, world, cp) {
 
 // Which structure id (at the CURRENT scale) does this civ live inside? Used to
 // mark descendable structures that contain a civ, so descent is purposeful.
-// galactic view -> the civ's home galaxy; stellar view (inside gal) -> its star.
+// galactic view -> the civ's home galaxy; stellar view (inside gal) -> its
+// star; planetary view (inside that star's system) -> its planet.
 export function civHostStructureAt(seed, civ, world, cp) {
-  const scale = civScale(civ.type);
-  // Only civs that live DEEPER than the current scale are "inside" something here.
-  if (world.scale === "galactic" && scale !== "galactic") {
-    return homeGalaxyId(seed, civ, cp);
-  }
-  if (world.scale === "stellar" && scale === "planetary") {
-    const gal = homeGalaxyId(seed, civ, cp);
-    // must be in the galaxy we're currently inside
-    if (gal !== world.path[0]) return null;
-    return homeStarId(seed, civ.id, gal, cp);
+  // Only civs that live DEEPER than the current scale are "inside" something
+  // here - and only along the branch we're actually in.
+  const depth = SCALES.indexOf(world.scale);
+  if (SCALES.indexOf(civScale(civ.type)) <= depth) return null;
+  const host = civHost(seed, civ, cp);
+  for (let i = 0; i < depth; i++) {
+    if (world.path[i] !== host[i]) return null;
   }
-  return null;
+  return host[depth] ?? null;
 }
@@ -45,9 +45,9 @@ test("inside the WRONG galaxy, the locator says ascend", () => {
   assert.equal(hop.reason, "branch");
 });
 
-test("a Type 0 civ routes galaxy -> star -> arrive", () => {
+test("a Type 0 civ routes galaxy -> star -> planet -> arrive", () => {
   const civ = { id: "c-t0", type: "Type0" };
-  const [gal, star] = civHost(SEED, civ);
+  const [gal, star, planet] = civHost(SEED, civ);
 
   const atGalactic = nextHopToCiv(SEED, civ, { scale: "galactic", path: [] });
   assert.equal(atGalactic.mode, "descend");
@@ -59,7 +59,12 @@ test("a Type 0 civ routes galaxy -> star -> arrive", () => {
   assert.equal(inGalaxy.category, "star");
 
   const atSystem = nextHopToCiv(SEED, civ, { scale: "planetary", path: [gal, star] });
-  assert.equal(atSystem.mode, "here");
+  assert.equal(atSystem.mode, "descend");
+  assert.equal(atSystem.structureId, planet);
+  assert.equal(atSystem.category, "planet");
+
+  const inOrbit = nextHopToCiv(SEED, civ, { scale: "orbital", path: [gal, star, planet] });
+  assert.equal(inOrbit.mode, "here");
 });
 
 test("an extinct target reports gone", () => {
@@ -2,17 +2,21 @@
 import { test } from "node:test";
 import assert from "node:assert/strict";
 import {
-  civScale, homeGalaxyId, homeStarId, civHost, civVisibleAt, civHostStructureAt,
+  civScale, homeGalaxyId, homeStarId, homePlanetId, civHost, civVisibleAt, civHostStructureAt,
+  civAnchorObject, civLocation,
 } from "./civPlacement.js";
+import { generateOrbit, worldSeed } from "./worldScales.js";
+import { orbitPosition } from "./orbits.js";
 
 const SEED = "cosmos";
 
 // The Kardashev ladder is an ENERGY ladder: a Type I harnesses ALL of its
 // HOMEWORLD's energy - it is still planet-bound. Leaving the cradle world for
 // the star system is the Type II step. (Type I was previously placed at the
-// stellar scale, one rung too early.)
-test("scale is derived from Kardashev type (planetary -> galactic)", () => {
-  assert.equal(civScale("Type0"), "planetary");
+// stellar scale, one rung too early.) A Type 0 hasn't even made its world one
+// thing: it is met on the surface, at the orbital scale.
+test("scale is derived from Kardashev type (orbital -> galactic)", () => {
+  assert.equal(civScale("Type0"), "orbital");   // a settlement on its world
   assert.equal(civScale("Type1"), "planetary"); // still bound to its world
   assert.equal(civScale("Type2"), "stellar");   // encloses its star
   assert.equal(civScale("Type3"), "galactic");
@@ -57,18 +61,23 @@ test("host path lengthens with descent depth of the scale", () => {
   assert.equal(t3.length, 0);   // galactic - no descent
   assert.equal(t2.length, 1);   // inside a galaxy
   assert.equal(t1.length, 2);   // planet-bound: inside a galaxy's star
-  assert.equal(t0.length, 2);   // likewise
+  assert.equal(t0.length, 3);   // on the surface: inside that star's planet
   assert.equal(t2[0], t0[0]);   // same home galaxy across types
+  assert.deepEqual(t0.slice(0, 2), t1); // ...and the same system
+  assert.equal(t0[2], homePlanetId(SEED, "civ_1", t0[0], t0[1]));
 });
 
 test("ascension: same civ shows at a higher scale when its type rises", () => {
   const civ = { id: "civ_rise", type: "Type0" };
-  const planetary = { scale: "planetary", path: civHost(SEED, civ) };
-  assert.equal(civVisibleAt(SEED, civ, planetary), true);
+  const orbital = { scale: "orbital", path: civHost(SEED, civ) };
+  assert.equal(civVisibleAt(SEED, civ, orbital), true);
 
   // Type I is still planet-bound - mastering its world is exactly what it has
-  // NOT yet outgrown, so it stays in the same system.
+  // NOT yet outgrown, so it is met in the same system, one scale up.
   const typeOne = { id: "civ_rise", type: "Type1" };
+  const planetary = { scale: "planetary", path: civHost(SEED, typeOne) };
+  assert.deepEqual(planetary.path, orbital.path.slice(0, 2));
+  assert.equal(civVisibleAt(SEED, typeOne, orbital), false);
   assert.equal(civVisibleAt(SEED, typeOne, planetary), true);
 
   // Type II encloses its star: it leaves the cradle world and is now met at
@@ -96,6 +105,35 @@ test("host-structure marker points at the galaxy/star that contains a civ", () =
   // inside that galaxy, the marker is the civ's home star
   const star = homeStarId(SEED, civ.id, gal);
   assert.equal(civHostStructureAt(SEED, civ, { scale: "stellar", path: [gal] }), star);
-  // inside a DIFFERENT galaxy, no marker
+  // inside that star's system, the marker is the planet it lives on
+  const planet = homePlanetId(SEED, civ.id, gal, star);
+  assert.equal(civHostStructureAt(SEED, civ, { scale: "planetary", path: [gal, star] }), planet);
+  // inside a DIFFERENT galaxy or system, no marker
   assert.equal(civHostStructureAt(SEED, civ, { scale: "stellar", path: ["obj:1:1:0"] }), null);
+  assert.equal(civHostStructureAt(SEED, civ, { scale: "planetary", path: [gal, "s:0:0:0"] }), null);
+  // at its own scale there is nothing left to enter
+  assert.equal(civHostStructureAt(SEED, civ, { scale: "orbital", path: [gal, star, planet] }), null);
+});
+
+test("a Type 0 lives at one settlement site on its home planet's face", () => {
+  const civ = { id: "civ_site", type: "Type0" };
+  const [gal, star, planet] = civHost(SEED, civ);
+  const anchor = civAnchorObject(SEED, civ);
+  assert.equal(anchor.category, "settlement");
+  const orbit = generateOrbit(worldSeed(SEED, "orbital", [gal, star, planet]));
+  assert.ok(orbit.some((o) => o.id === anchor.id), "the site exists in the orbit the player descends into");
+  assert.equal(civAnchorObject(SEED, { ...civ, type: "Type1" }).id, planet, "a Type I is the planet itself");
+});
+
+test("a Type I's beacon rides its planet round the star", () => {
+  const civ = { id: "civ_orbiting", type: "Type1" };
+  const planet = civAnchorObject(SEED, civ);
+  assert.ok(planet.orbit, "its homeworld is on an orbit");
+  assert.deepEqual(civLocation(civ, SEED, undefined, 0), { x: planet.x, y: planet.y });
+  const later = civLocation(civ, SEED, undefined, planet.orbit.period / 3);
+  assert.deepEqual(later, orbitPosition(planet.orbit, planet.orbit.period / 3));
+  assert.ok(Math.hypot(later.x - planet.x, later.y - planet.y) > 500, "a third of a year on, it has moved");
+  // A Type 0's settlement is on the world you descend onto - it doesn't move
+  const t0 = { id: "civ_orbiting", type: "Type0" };
+  assert.deepEqual(civLocation(t0, SEED, undefined, 0), civLocation(t0, SEED, undefined, 999));
 });
@@ -0,0 +1,184 @@
+// src/components/game/world/galaxyInterior.js
+//
+// The inside of a galaxy, shaped like the outside. Descending into a galaxy
+// used to drop you into the same even star field whatever you flew into; this
+// turns the parent's morphology (researchValues OBJECT_CLASSES) into a map of
+// the interior, which adds stars and gas to the stellar scale's field - the
+// field itself is left as it was (worldScales.js starField), so no star that
+// was there before moves or changes its id:
+//
+//   spiral      - a bulge and two logarithmic arms, tight for Sa, open for Sc
+//   barred      - the same, with the arms trailing off the ends of a bar
+//   elliptical  - a smooth, old, gas-poor ball, flattened by its E-number
+//   lenticular  - a bulge and a featureless disc: old, with a little gas
+//   irregular   - no plan at all: a handful of bright star-forming clumps
+//
+// interiorAt() reads that map at a world point: how dense the stars are
+// (density), what share of them are young and hot (young), and how likely
+// gas is (gas).
+// The galaxy sits at the origin - where a descent drops the player - turned
+// by the rotation its sprite had outside, so the arms run the way you saw them.
+//
+// Pure and deterministic per galaxy id, like the generators it feeds.
+import seedrandom from "seedrandom";
+import { CHUNK_SIZE } from "../constants.js";
+import { OBJECT_CLASSES } from "./researchValues.js";
+import { generateChunkObjects } from "./objectGenerator.js";
+
+// A galaxy's interior radius, in world units, at sprite scale 0.6.
+export const GALAXY_RADIUS = 20 * CHUNK_SIZE;
+
+// Added-star bounds, in plain fields' worth: the emptiest halo to the densest core.
+const MIN_DENSITY = 0.05;
+const MAX_DENSITY = 3;
+
+// Arm pitch (tan of the pitch angle) by Hubble stage: Sa wound tight, Sc open.
+const PITCH = { a: 0.2, b: 0.3, c: 0.42 };
+// Bulge radius (fraction of the galaxy) by stage: big in Sa, small in Sc.
+const BULGE = { a: 0.16, b: 0.11, c: 0.07 };
+const ARMS = 2;
+const ARM_WIDTH = 0.38; // radians either side of an arm's ridge
+
+const TAU = Math.PI * 2;
+const wrap = (a) => ((a % TAU) + TAU) % TAU;
+const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+
+// Interior plans kept; the oldest are dropped first. A descent reads one.
+const CACHE_LIMIT = 64;
+const galaxyCache = new Map();
+
+/**
+ * The galaxy a stellar-scale seed was descended from, re-derived from the
+ * galaxy id at the end of the seed (worldSeed: "<universe>#gal#obj:cx:cy:i" -
+ * the id names the chunk that generated it). Null for a seed that wasn't
+ * derived from a galactic object. `cp` must be the profile the galaxy was
+ * generated under, the same caveat as every other id re-derivation.
+ */
+export function parentGalaxy(stellarSeed, cp) {
+  const match = /^(.*)#gal#(obj:(-?\d+):(-?\d+):\d+)$/.exec(String(stellarSeed ?? ""));
+  if (!match) return null;
+  const [, universeSeed, id, cx, cy] = match;
+  const key = `${stellarSeed}:${cp?.galaxyDensity ?? 1}:${cp?.starIgnition ?? 1}`;
+  if (!galaxyCache.has(key)) {
+    const found = generateChunkObjects(universeSeed, Number(cx), Number(cy), cp)
+      .find((o) => o.id === id && o.category === "galaxy") ?? null;
+    galaxyCache.set(key, found ? galaxyInterior(found) : null);
+    while (galaxyCache.size > CACHE_LIMIT) galaxyCache.delete(galaxyCache.keys().next().value);
+  }
+  return galaxyCache.get(key);
+}
+
+/** The interior plan of a galaxy descriptor (see the header for each form). */
+export function galaxyInterior(galaxy) {
+  const info = OBJECT_CLASSES[galaxy.objectClass];
+  if (info?.category !== "galaxy") return null;
+  const rng = seedrandom(`${galaxy.id}#interior`);
+  const plan = {
+    morph: info.morph,
+    objectClass: galaxy.objectClass,
+    rotation: galaxy.rotation ?? 0,
+    radius: GALAXY_RADIUS * (0.6 + (galaxy.scale ?? 0.6) * 0.65),
+  };
+
+  if (info.morph === "spiral" || info.morph === "barred") {
+    const stage = galaxy.objectClass.slice(-1); // a | b | c
+    plan.pitch = PITCH[stage] ?? PITCH.b;
+    plan.bulge = BULGE[stage] ?? BULGE.b;
+    plan.armPhase = rng() * TAU;
+    if (info.morph === "barred") plan.bar = { length: 0.28 + rng() * 0.08, width: 0.05 };
+  } else if (info.morph === "elliptical") {
+    // En: the axis ratio is 1 - n/10 (E0 round ... E7 a flattened lens)
+    plan.axisRatio = 1 - Number(galaxy.objectClass.slice(1)) / 10;
+  } else if (info.morph === "lenticular") {
+    plan.bulge = 0.14;
+  } else {
+    const n = 4 + Math.floor(rng() * 4);
+    plan.clumps = Array.from({ length: n }, () => {
+      const a = rng() * TAU;
+      const r = Math.sqrt(rng()) * 0.65;
+      return { x: Math.cos(a) * r, y: Math.sin(a) * r, r: 0.08 + rng() * 0.12, strength: 1.2 + rng() * 1.6 };
+    });
+  }
+  return plan;
+}
+
+// How close (0..1) a galaxy-frame point lies to the nearest arm ridge.
+function armness(plan, u, v) {
+  const r = Math.hypot(u, v);
+  const start = plan.bar ? plan.bar.length : plan.bulge;
+  if (r < start * 0.8) return 0;
+  // A log spiral: the ridge's angle grows with ln(r), slower the more open.
+  const ridge = Math.log(Math.max(r, start) / start) / plan.pitch + plan.armPhase;
+  const period = TAU / ARMS;
+  const off = wrap(Math.atan2(v, u) - ridge) % period;
+  const d = Math.min(off, period - off);
+  // Arms fade in off the bulge/bar and out past the disc's edge
+  const envelope = clamp((r - start * 0.8) / (start * 0.6), 0, 1) * clamp((1.15 - r) / 0.3, 0, 1);
+  return Math.exp(-((d / ARM_WIDTH) ** 2)) * envelope;
+}
+
+/**
+ * The interior at world point (x, y): { density, young, gas }. density is
+ * the stars the interior adds, in plain fields' worth; young (0..1) tilts
+ * their spectral mix toward hot O/B/A; gas (0..1) is the nebula odds.
+ */
+export function interiorAt(plan, x, y) {
+  // Into the galaxy's frame, in units of its radius
+  const c = Math.cos(-plan.rotation);
+  const s = Math.sin(-plan.rotation);
+  const u = (x * c - y * s) / plan.radius;
+  const v = (x * s + y * c) / plan.radius;
+  const r = Math.hypot(u, v);
+  const disc = Math.exp(-r * 3.2);
+  let density;
+  let young;
+  let gas;
+
+  if (plan.morph === "spiral" || plan.morph === "barred") {
+    const bulge = Math.exp(-((r / plan.bulge) ** 2));
+    const arm = armness(plan, u, v);
+    const bar = plan.bar
+      ? Math.exp(-((u / plan.bar.length) ** 4) - (v / plan.bar.width) ** 2)
+      : 0;
+    density = 2.6 * bulge + 1.8 * bar + disc * (0.45 + 2.4 * arm);
+    // The bulge and bar are old; the arms are where stars are being born
+    young = arm * 0.85 * (1 - bulge) * (1 - bar);
+    gas = arm * 0.55 * (1 - bulge);
+  } else if (plan.morph === "elliptical") {
+    const re = Math.hypot(u, v / plan.axisRatio);
+    density = 2.8 * Math.exp(-re * 4.2);
+    young = 0;
+    gas = 0.01;
+  } else if (plan.morph === "lenticular") {
+    const bulge = Math.exp(-((r / plan.bulge) ** 2));
+    density = 2.4 * bulge + disc * 0.9;
+    young = 0.05;
+    gas = 0.06 * (1 - bulge);
+  } else {
+    let clump = 0;
+    for (const k of plan.clumps) {
+      clump += k.strength * Math.exp(-((Math.hypot(u - k.x, v - k.y) / k.r) ** 2));
+    }
+    density = disc * 0.6 + clump;
+    young = clamp(clump * 0.6, 0, 0.95);
+    gas = clamp(clump * 0.45, 0, 0.8);
+  }
+
+  return { density: clamp(density, MIN_DENSITY, MAX_DENSITY), young, gas };
+}
+
+// How each spectral class's IMF weight shifts between an old population
+// (young = 0: the hot, short-lived stars are long dead) and a star-forming
+// one (young = 1: O and B stars light the region up).
+const POPULATION = {
+  O: [0, 60], B: [0.01, 14], A: [0.2, 3], F: [0.6, 1.6], G: [1, 1], K: [1.35, 0.8], M: [1.15, 0.8],
+};
+
+/** A star-class table (STAR_CLASSES shape) re-weighted for a population `young`. */
+export function stellarPopulation(starClasses, young) {
+  const y = clamp(young, 0, 1);
+  return Object.fromEntries(Object.entries(starClasses).map(([id, info]) => {
+    const [old, fresh] = POPULATION[id] ?? [1, 1];
+    return [id, { ...info, weight: info.weight * (old + (fresh - old) * y) }];
+  }));
+}
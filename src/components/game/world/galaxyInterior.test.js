@@ -0,0 +1,151 @@
+// src/components/game/world/galaxyInterior.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parentGalaxy, galaxyInterior, interiorAt, stellarPopulation } from "./galaxyInterior.js";
+import { generateChunkObjects } from "./objectGenerator.js";
+import { generateScaleObjects, starField, worldSeed, STAR_CLASSES } from "./worldScales.js";
+import { homeStarId } from "./civPlacement.js";
+import { OBJECT_CLASSES } from "./researchValues.js";
+import { NEUTRAL_PROFILE } from "./cosmicProfile.js";
+import { CHUNK_SIZE } from "../constants.js";
+
+const galaxy = (objectClass, extra = {}) => ({ id: `g:${objectClass}`, objectClass, rotation: 0, scale: 0.6, ...extra });
+const at = (plan, r, angle) => interiorAt(plan, Math.cos(angle) * r * plan.radius, Math.sin(angle) * r * plan.radius);
+
+// A real galaxy of the given morphology, and the stellar seed its descent uses.
+function findGalaxy(morph) {
+  for (let cx = 0; cx < 30; cx++) {
+    for (const g of generateChunkObjects("U", cx, 0, NEUTRAL_PROFILE)) {
+      if (OBJECT_CLASSES[g.objectClass].morph === morph) return { g, seed: worldSeed("U", "stellar", [g.id]) };
+    }
+  }
+  throw new Error(`no ${morph} galaxy`);
+}
+
+// Every chunk across a galaxy's interior, tallied; `added` are the stars the
+// interior put there, over the plain field.
+function survey(seed, radius) {
+  const chunks = [];
+  const n = Math.ceil(radius / CHUNK_SIZE);
+  for (let cx = -n; cx < n; cx++) {
+    for (let cy = -n; cy < n; cy++) {
+      const objects = generateScaleObjects(seed, cx, cy, "stellar", undefined, NEUTRAL_PROFILE);
+      const stars = objects.filter((o) => o.category === "star");
+      const added = stars.filter((s) => s.id.startsWith("i:"));
+      chunks.push({
+        cx, cy, stars, added,
+        hot: added.filter((s) => "OBA".includes(s.objectClass)).length,
+        gas: objects.filter((o) => o.category === "nebula").length,
+      });
+    }
+  }
+  return chunks;
+}
+
+test("a descent re-derives the galaxy it went into from the seed alone", () => {
+  const { g, seed } = findGalaxy("spiral");
+  const plan = parentGalaxy(seed, NEUTRAL_PROFILE);
+  assert.equal(plan.objectClass, g.objectClass);
+  assert.equal(plan.rotation, g.rotation, "arms run the way the sprite outside did");
+  assert.equal(parentGalaxy("S#gal#gal_7", NEUTRAL_PROFILE), null, "not a generated galaxy");
+  assert.equal(parentGalaxy("S#sys#obj:0:0:0", NEUTRAL_PROFILE), null, "not a stellar seed");
+  assert.equal(parentGalaxy("U#gal#obj:0:0:99", NEUTRAL_PROFILE), null, "no such object");
+});
+
+test("spirals have arms: denser, younger and gassier than between them", () => {
+  for (const cls of ["Sa", "Sb", "Sc"]) {
+    const plan = galaxyInterior(galaxy(cls));
+    const ring = Array.from({ length: 90 }, (_, i) => at(plan, 0.5, (i / 90) * Math.PI * 2));
+    const arm = ring.reduce((a, b) => (b.density > a.density ? b : a));
+    const gap = ring.reduce((a, b) => (b.density < a.density ? b : a));
+    assert.ok(arm.density > gap.density * 3, `${cls}: ${arm.density} vs ${gap.density}`);
+    assert.ok(arm.young > 0.5 && gap.young < 0.1, `${cls}: the arms are where stars are born`);
+    assert.ok(arm.gas > gap.gas);
+  }
+  // Sa's arms wind tighter than Sc's
+  assert.ok(galaxyInterior(galaxy("Sa")).pitch < galaxyInterior(galaxy("Sc")).pitch);
+
+  // And the generated field follows: arm chunks hold the stars, the hot ones and the gas
+  const { seed } = findGalaxy("spiral");
+  const plan = parentGalaxy(seed, NEUTRAL_PROFILE);
+  const chunks = survey(seed, plan.radius * 0.8);
+  const young = (c) => interiorAt(plan, (c.cx + 0.5) * CHUNK_SIZE, (c.cy + 0.5) * CHUNK_SIZE).young;
+  const armChunks = chunks.filter((c) => young(c) > 0.4);
+  const gapChunks = chunks.filter((c) => young(c) < 0.05);
+  const per = (list, key) => list.reduce((s, c) => s + (key === "stars" ? c.stars.length : c[key]), 0) / list.length;
+  assert.ok(per(armChunks, "hot") > per(gapChunks, "hot") * 3, "hot young stars trace the arms");
+  assert.ok(per(armChunks, "gas") > per(gapChunks, "gas") * 3, "so does the gas");
+});
+
+test("the interior adds to the star field but moves none of it", () => {
+  const { g, seed } = findGalaxy("spiral");
+  assert.equal(seed, "U#gal#obj:0:0:0");
+  // The field as it was generated before interiors were shaped
+  const before = {
+    "0:0": [["s:0:0:0", "K"], ["s:0:0:1", "M"], ["s:0:0:2", "G"], ["s:0:0:3", "K"]],
+    "1:-1": [["s:1:-1:0", "A"], ["s:1:-1:1", "M"], ["s:1:-1:2", "M"], ["s:1:-1:3", "M"], ["s:1:-1:4", "M"]],
+    "-2:3": [["s:-2:3:0", "M"], ["s:-2:3:1", "M"], ["s:-2:3:2", "M"]],
+  };
+  for (const [chunk, field] of Object.entries(before)) {
+    const [cx, cy] = chunk.split(":").map(Number);
+    const objects = generateScaleObjects(seed, cx, cy, "stellar", undefined, NEUTRAL_PROFILE);
+    const plain = objects.filter((o) => o.id.startsWith("s:"));
+    assert.deepEqual(plain.map((o) => [o.id, o.objectClass]), field, chunk);
+    assert.deepEqual(plain, starField(seed, cx, cy, NEUTRAL_PROFILE));
+    assert.ok(objects.length > plain.length, `${chunk}: the interior adds to it`);
+  }
+  // So home stars stay where civilizations were founded
+  assert.equal(homeStarId("U", "civ-7", g.id, NEUTRAL_PROFILE), "s:-3:3:2");
+  assert.equal(homeStarId("U", "civ-12", g.id, NEUTRAL_PROFILE), "s:1:0:4");
+});
+
+test("a barred spiral is dense and old along its bar", () => {
+  for (const rotation of [0, 1.1]) {
+    const plan = galaxyInterior(galaxy("SBb", { rotation }));
+    const along = at(plan, 0.2, rotation);
+    const across = at(plan, 0.2, rotation + Math.PI / 2);
+    assert.ok(along.density > across.density * 3, `${along.density} vs ${across.density}`);
+    assert.ok(along.young < 0.1, "bars are old stars");
+  }
+  assert.equal(galaxyInterior(galaxy("Sb")).bar, undefined);
+});
+
+test("an elliptical is a smooth old ball, flattened by its E-number", () => {
+  const round = galaxyInterior(galaxy("E0"));
+  const flat = galaxyInterior(galaxy("E6"));
+  const ratio = (plan) => at(plan, 0.2, Math.PI / 2).density / at(plan, 0.2, 0).density;
+  assert.ok(Math.abs(ratio(round) - 1) < 1e-9);
+  assert.ok(ratio(flat) < 0.5, "E6 thins off its minor axis");
+  assert.ok(at(round, 0, 0).density > at(round, 0.5, 0).density);
+
+  const { seed } = findGalaxy("elliptical");
+  const chunks = survey(seed, parentGalaxy(seed, NEUTRAL_PROFILE).radius * 0.5);
+  const stars = chunks.flatMap((c) => c.stars);
+  const added = chunks.flatMap((c) => c.added);
+  assert.ok(added.length > 100);
+  assert.ok(!added.some((s) => s.objectClass === "O" || s.objectClass === "B"), "it adds no hot young stars");
+  assert.ok(chunks.reduce((s, c) => s + c.gas, 0) <= chunks.length * 0.03, "almost no gas");
+  assert.ok(stars.filter((s) => s.objectClass === "K" || s.objectClass === "M").length / stars.length > 0.8);
+});
+
+test("an irregular is clumpy: its densest, youngest places are its clumps", () => {
+  const plan = galaxyInterior(galaxy("Irr"));
+  assert.ok(plan.clumps.length >= 4);
+  for (const k of plan.clumps) {
+    const inClump = interiorAt(plan, k.x * plan.radius, k.y * plan.radius);
+    assert.ok(inClump.density > 1 && inClump.young > 0.5 && inClump.gas > 0.4);
+  }
+  const far = plan.clumps.map((k) => interiorAt(plan, -k.x * plan.radius * 3, -k.y * plan.radius * 3));
+  assert.ok(far.every((p) => p.density < 0.5 && p.gas < 0.2));
+});
+
+test("a population's age tilts the spectral mix", () => {
+  const share = (table, ids) =>
+    ids.reduce((s, id) => s + table[id].weight, 0) / Object.values(table).reduce((s, c) => s + c.weight, 0);
+  const old = stellarPopulation(STAR_CLASSES, 0);
+  const fresh = stellarPopulation(STAR_CLASSES, 1);
+  assert.equal(old.O.weight, 0);
+  assert.ok(share(fresh, ["O", "B"]) > share(STAR_CLASSES, ["O", "B"]) * 10);
+  assert.ok(share(old, ["K", "M"]) > share(STAR_CLASSES, ["K", "M"]));
+  assert.equal(old.G.color, STAR_CLASSES.G.color, "only the weights change");
+});
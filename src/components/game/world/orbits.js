@@ -0,0 +1,132 @@
+// src/components/game/world/orbits.js
+//
+// Planets that go round. A generated planet carries Keplerian elements (an
+// ellipse with its star at one focus, a period from Kepler's third law, and
+// where along it the planet stood at t = 0); its position is then a pure
+// function of those elements and the orbit clock, so the same system at the
+// same moment looks the same on every client.
+//
+// The orbit clock is universe age, compressed: YEARS_PER_ORBIT_SECOND of
+// cosmic history per second of orbit time. The scene reads the age once when
+// it starts and runs the clock on from there at game speed - re-anchoring on
+// every server update would teleport planets each time the simulation ticks.
+//
+// Units are world units and seconds; "a" is the semi-major axis, "e" the
+// eccentricity, "omega" the direction of periapsis, "m0" the mean anomaly at
+// t = 0, "period" one revolution in seconds.
+
+const TAU = Math.PI * 2;
+
+// Cosmic years per second of orbit time.
+export const YEARS_PER_ORBIT_SECOND = 1e4;
+
+// Kepler's third law, P = K * a^1.5 / sqrt(M), in game units: a planet 1000
+// units from a one-solar-mass star takes ~2 minutes to go round. Slow enough to
+// fly alongside, fast enough that a homeworld isn't where you left it.
+const KEPLER_K = 130;
+const AU = 1000;
+
+/** Universe age (years) -> orbit clock (seconds). */
+export function orbitEpoch(ageYears) {
+  return (Number(ageYears) || 0) / YEARS_PER_ORBIT_SECOND;
+}
+
+/** Orbital period (seconds) of a semi-major axis around a star of `mass` suns. */
+export function orbitalPeriod(a, mass = 1) {
+  return (KEPLER_K * Math.pow(a / AU, 1.5)) / Math.sqrt(Math.max(0.05, mass));
+}
+
+/**
+ * Elements for a body on a semi-major axis `a`, drawn from `rng`. Orbits are
+ * mostly near-circular - real systems are, and it keeps neighbours from
+ * crossing - with the odd noticeably eccentric one.
+ */
+export function orbitElements(rng, a, mass = 1) {
+  const e = Math.pow(rng(), 2) * 0.18;
+  return {
+    a,
+    e,
+    omega: rng() * TAU,
+    m0: rng() * TAU,
+    period: orbitalPeriod(a, mass),
+  };
+}
+
+// Kepler's equation M = E - e sin E, by Newton's method. Converges in a few
+// steps for the eccentricities generated here.
+function eccentricAnomaly(M, e) {
+  let E = e < 0.8 ? M : Math.PI;
+  for (let i = 0; i < 8; i++) {
+    const dE = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+    E -= dE;
+    if (Math.abs(dE) < 1e-9) break;
+  }
+  return E;
+}
+
+const meanAnomaly = (orbit, t) => {
+  const M = (orbit.m0 + (TAU * t) / orbit.period) % TAU;
+  return M < 0 ? M + TAU : M;
+};
+
+/** Where a body on `orbit` is at orbit time `t`, relative to its star. */
+export function orbitPosition(orbit, t) {
+  const { a, e, omega } = orbit;
+  const E = eccentricAnomaly(meanAnomaly(orbit, t), e);
+  const b = a * Math.sqrt(1 - e * e);
+  const px = a * (Math.cos(E) - e);
+  const py = b * Math.sin(E);
+  const c = Math.cos(omega);
+  const s = Math.sin(omega);
+  return { x: px * c - py * s, y: px * s + py * c };
+}
+
+/** Velocity (units/second) of a body on `orbit` at time `t`. */
+export function orbitVelocity(orbit, t) {
+  const { a, e, omega, period } = orbit;
+  const E = eccentricAnomaly(meanAnomaly(orbit, t), e);
+  const b = a * Math.sqrt(1 - e * e);
+  const Edot = (TAU / period) / (1 - e * Math.cos(E));
+  const vx = -a * Math.sin(E) * Edot;
+  const vy = b * Math.cos(E) * Edot;
+  const c = Math.cos(omega);
+  const s = Math.sin(omega);
+  return { x: vx * c - vy * s, y: vx * s + vy * c };
+}
+
+/** A descriptor's position at time `t`: on its orbit if it has one, else where it was placed. */
+export function bodyPosition(descriptor, t) {
+  return descriptor.orbit ? orbitPosition(descriptor.orbit, t) : { x: descriptor.x, y: descriptor.y };
+}
+
+/**
+ * Where to fly to meet a body on `orbit`, leaving `from` now (time `t`) at
+ * `speed`: the point on its orbit it will have reached when you get there.
+ * Fixed-point iteration on the flight time; planets move slower than ships,
+ * so it settles within half a unit in a handful of rounds.
+ */
+export function interceptPoint(orbit, t, from, speed) {
+  let target = orbitPosition(orbit, t);
+  if (!(speed > 0)) return target;
+  for (let i = 0; i < 20; i++) {
+    const eta = Math.hypot(target.x - from.x, target.y - from.y) / speed;
+    const next = orbitPosition(orbit, t + eta);
+    const moved = Math.hypot(next.x - target.x, next.y - target.y);
+    target = next;
+    if (moved < 0.5) break;
+  }
+  return target;
+}
+
+/** The ellipse an orbit traces, for drawing: centre, semi-axes and rotation. */
+export function orbitEllipse(orbit) {
+  const { a, e, omega } = orbit;
+  // The star sits at a focus, so the ellipse's centre is offset toward apoapsis.
+  return {
+    x: -a * e * Math.cos(omega),
+    y: -a * e * Math.sin(omega),
+    a,
+    b: a * Math.sqrt(1 - e * e),
+    rotation: omega,
+  };
+}
@@ -0,0 +1,71 @@
+// src/components/game/world/orbits.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import seedrandom from "seedrandom";
+import {
+  orbitEpoch, orbitalPeriod, orbitElements, orbitPosition, orbitVelocity, interceptPoint, orbitEllipse,
+  YEARS_PER_ORBIT_SECOND,
+} from "./orbits.js";
+
+const near = (a, b, eps, msg) => assert.ok(Math.abs(a - b) <= eps, `${msg ?? ""} ${a} ≉ ${b}`);
+
+test("a body sweeps its ellipse with the star at a focus", () => {
+  const orbit = { a: 2000, e: 0.2, omega: 0.7, m0: 0, period: 100 };
+  const peri = orbitPosition(orbit, 0);
+  near(Math.hypot(peri.x, peri.y), 2000 * 0.8, 1e-6, "periapsis at a(1-e)");
+  near(Math.atan2(peri.y, peri.x), 0.7, 1e-9, "in the direction of omega");
+  const apo = orbitPosition(orbit, 50);
+  near(Math.hypot(apo.x, apo.y), 2000 * 1.2, 1e-6, "apoapsis half a period later");
+
+  const again = orbitPosition(orbit, 100 * 7);
+  near(again.x, peri.x, 1e-6);
+  near(again.y, peri.y, 1e-6, "whole periods bring it back");
+
+  // Both foci sum to 2a everywhere on the path (the ellipse orbitEllipse draws)
+  const path = orbitEllipse(orbit);
+  for (const t of [3, 21, 44, 67, 91]) {
+    const p = orbitPosition(orbit, t);
+    const f2 = { x: path.x * 2, y: path.y * 2 };
+    near(Math.hypot(p.x, p.y) + Math.hypot(p.x - f2.x, p.y - f2.y), 2 * orbit.a, 1e-6, `t=${t}`);
+  }
+});
+
+test("Kepler's laws: faster near the star, longer years further out", () => {
+  const orbit = { a: 2000, e: 0.3, omega: 0, m0: 0, period: 120 };
+  const speed = (t) => Math.hypot(orbitVelocity(orbit, t).x, orbitVelocity(orbit, t).y);
+  assert.ok(speed(0) > speed(60) * 1.5, "periapsis outruns apoapsis");
+
+  // Velocity is the derivative of position
+  const h = 1e-3;
+  const a = orbitPosition(orbit, 17 - h);
+  const b = orbitPosition(orbit, 17 + h);
+  const v = orbitVelocity(orbit, 17);
+  near(v.x, (b.x - a.x) / (2 * h), 1e-3);
+  near(v.y, (b.y - a.y) / (2 * h), 1e-3);
+
+  near(orbitalPeriod(4000) / orbitalPeriod(1000), 8, 1e-9, "P^2 scales with a^3");
+  near(orbitalPeriod(1000, 4) / orbitalPeriod(1000, 1), 0.5, 1e-9, "a heavier star turns them faster");
+});
+
+test("elements are seed-deterministic and the clock runs on universe age", () => {
+  const a = orbitElements(seedrandom("x"), 3000, 1);
+  const b = orbitElements(seedrandom("x"), 3000, 1);
+  assert.deepEqual(a, b);
+  assert.ok(a.e >= 0 && a.e < 0.2);
+  assert.equal(orbitEpoch(0), 0);
+  assert.equal(orbitEpoch(YEARS_PER_ORBIT_SECOND * 42), 42);
+  assert.equal(orbitEpoch(undefined), 0);
+});
+
+test("an intercept point is where the body will be when the ship arrives", () => {
+  const orbit = { a: 3000, e: 0.1, omega: 1, m0: 2, period: 90 };
+  const from = { x: -6000, y: 1500 };
+  const speed = 450;
+  const meet = interceptPoint(orbit, 10, from, speed);
+  const eta = Math.hypot(meet.x - from.x, meet.y - from.y) / speed;
+  const there = orbitPosition(orbit, 10 + eta);
+  near(there.x, meet.x, 1);
+  near(there.y, meet.y, 1);
+  const now = orbitPosition(orbit, 10);
+  assert.ok(Math.hypot(meet.x - now.x, meet.y - now.y) > 500, "leading, not chasing");
+});
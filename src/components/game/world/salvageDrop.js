@@ -5,13 +5,17 @@
 // into a chunk, so SalvageSystem collects them without knowing where they
 // came from.
 //
+// The Unraveler (RiftSpawnSystem) leaves something rarer as well: its rift
+// core, a mote that mends the whole hull and fills the magazine.
+//
 // Extracted because three callers now drop wreckage (rift-spawn, civilization
 // vessels, and the ambient chunk seeding they were copied from) and a mote
 // that looks or behaves differently depending on what died is a bug waiting
 // to happen.
-import { getChunkCoords, getChunkKey } from "../utils";
+import { getChunkCoords, getChunkKey } from "../utils.js";
 
 const MOTE_COLOR = 0xdfa73f;
+const RIFT_CORE_COLOR = 0xc23a6e;
 const SCATTER = 50;
 
 /**
@@ -33,6 +37,20 @@ export function dropSalvage(scene, x, y, count) {
   return count;
 }
 
+/**
+ * The Unraveler's rift core: one large mote (flagged `core`, which
+ * SalvageSystem pays out in full) in the chunk where it died. Returns
+ * whether it landed.
+ */
+export function dropRiftCore(scene, x, y) {
+  const { chunkX, chunkY } = getChunkCoords(x, y);
+  const chunk = scene.chunkSystem?.loadedChunks.get(getChunkKey(chunkX, chunkY));
+  if (!chunk) return false;
+  if (!chunk.salvage) chunk.salvage = [];
+  chunk.salvage.push({ x, y, collected: false, core: true, gfx: createRiftCore(scene, x, y) });
+  return true;
+}
+
 /** The mote itself: a slow-bobbing amber chip. Mirrors ChunkSystem's seeding. */
 export function createMote(scene, x, y) {
   const gfx = scene.add.graphics({ x, y }).setDepth(3);
@@ -51,3 +69,28 @@ export function createMote(scene, x, y) {
   });
   return gfx;
 }
+
+/** A rift core: a turning crimson diamond in an amber ring, too big to miss. */
+function createRiftCore(scene, x, y) {
+  const gfx = scene.add.graphics({ x, y }).setDepth(3);
+  gfx.lineStyle(1.5, MOTE_COLOR, 0.9);
+  gfx.strokeCircle(0, 0, 11);
+  gfx.fillStyle(RIFT_CORE_COLOR, 0.95);
+  gfx.fillRect(-5, -5, 10, 10);
+
+  scene.tweens.add({
+    targets: gfx,
+    rotation: Math.PI * 2,
+    duration: 3200,
+    repeat: -1,
+  });
+  scene.tweens.add({
+    targets: gfx,
+    scale: { from: 0.9, to: 1.2 },
+    duration: 700,
+    yoyo: true,
+    repeat: -1,
+    ease: "Sine.easeInOut",
+  });
+  return gfx;
+}
@@ -9,29 +9,38 @@ import seedrandom from "seedrandom";
 import { CHUNK_SIZE } from "../constants.js";
 import { generateChunkObjects } from "./objectGenerator.js";
 import { NEUTRAL_PROFILE } from "./cosmicProfile.js";
+import { orbitElements, orbitPosition } from "./orbits.js";
+import { OBJECT_CLASSES } from "./researchValues.js";
+import { parentGalaxy, interiorAt, stellarPopulation } from "./galaxyInterior.js";
 
-export const SCALES = ["galactic", "stellar", "planetary"];
+export const SCALES = ["galactic", "stellar", "planetary", "orbital"];
 
 export const childScale = (s) => SCALES[Math.min(SCALES.length - 1, SCALES.indexOf(s) + 1)];
 export const parentScale = (s) => SCALES[Math.max(0, SCALES.indexOf(s) - 1)];
 export const canDescend = (s) => SCALES.indexOf(s) < SCALES.length - 1;
+// Scales that are one finite place at the origin rather than an endless field.
+export const isBoundedScale = (s) => s === "planetary" || s === "orbital";
 
-// The object category you descend INTO at each scale (galaxies -> stars -> —).
-export const DESCEND_CATEGORY = { galactic: "galaxy", stellar: "star" };
+// The object category you descend INTO at each scale (galaxies -> stars ->
+// planets -> orbital bodies -> —).
+export const DESCEND_CATEGORY = { galactic: "galaxy", stellar: "star", planetary: "planet" };
 
 // Human label for the breadcrumb / prompts.
-export const SCALE_LABEL = { galactic: "Intergalactic", stellar: "Interstellar", planetary: "Interplanetary" };
+export const SCALE_LABEL = {
+  galactic: "Intergalactic", stellar: "Interstellar", planetary: "Interplanetary", orbital: "Orbital",
+};
 
-// Stars by spectral class: real colors and a Sun-relative size band, weighted
-// to the real initial mass function (M dwarfs dominate; O stars vanishingly rare).
+// Stars by spectral class: real colors, a Sun-relative size band and a typical
+// mass in suns (sets how fast its planets go round), weighted to the real
+// initial mass function (M dwarfs dominate; O stars vanishingly rare).
 export const STAR_CLASSES = {
-  O: { category: "star", label: "O-type · Blue Giant", rarity: "exceptional", research: 40, color: 0x9bb0ff, size: [1.0, 1.5], weight: 0.0004 },
-  B: { category: "star", label: "B-type · Blue-White", rarity: "rare", research: 26, color: 0xaabfff, size: [0.75, 1.15], weight: 0.006 },
-  A: { category: "star", label: "A-type · White", rarity: "uncommon", research: 16, color: 0xd6e0ff, size: [0.6, 0.85], weight: 0.02 },
-  F: { category: "star", label: "F-type · Yellow-White", rarity: "uncommon", research: 12, color: 0xf6f4ff, size: [0.5, 0.72], weight: 0.03 },
-  G: { category: "star", label: "G-type · Sun-like", rarity: "common", research: 10, color: 0xffe6b0, size: [0.46, 0.66], weight: 0.076 },
-  K: { category: "star", label: "K-type · Orange Dwarf", rarity: "common", research: 8, color: 0xffb46b, size: [0.4, 0.58], weight: 0.12 },
-  M: { category: "star", label: "M-type · Red Dwarf", rarity: "common", research: 6, color: 0xff6f5b, size: [0.3, 0.48], weight: 0.76 },
+  O: { category: "star", label: "O-type · Blue Giant", rarity: "exceptional", research: 40, color: 0x9bb0ff, size: [1.0, 1.5], mass: 30, weight: 0.0004 },
+  B: { category: "star", label: "B-type · Blue-White", rarity: "rare", research: 26, color: 0xaabfff, size: [0.75, 1.15], mass: 6, weight: 0.006 },
+  A: { category: "star", label: "A-type · White", rarity: "uncommon", research: 16, color: 0xd6e0ff, size: [0.6, 0.85], mass: 2, weight: 0.02 },
+  F: { category: "star", label: "F-type · Yellow-White", rarity: "uncommon", research: 12, color: 0xf6f4ff, size: [0.5, 0.72], mass: 1.3, weight: 0.03 },
+  G: { category: "star", label: "G-type · Sun-like", rarity: "common", research: 10, color: 0xffe6b0, size: [0.46, 0.66], mass: 1, weight: 0.076 },
+  K: { category: "star", label: "K-type · Orange Dwarf", rarity: "common", research: 8, color: 0xffb46b, size: [0.4, 0.58], mass: 0.75, weight: 0.12 },
+  M: { category: "star", label: "M-type · Red Dwarf", rarity: "common", research: 6, color: 0xff6f5b, size: [0.3, 0.48], mass: 0.3, weight: 0.76 },
 };
 
 // Planets by broad type, weighted so common rocky/barren worlds dominate and
@@ -47,6 +56,31 @@ export const PLANET_CLASSES = {
   lava: { category: "planet", label: "Molten World", rarity: "uncommon", research: 11, color: 0xd0492b, weight: 0.06 },
 };
 
+// Moons by surface. Drawn with the planet art of the same look (`art`), but
+// catalogued as their own classes so the Codex doesn't call a moon a world.
+export const MOON_CLASSES = {
+  rockyMoon: { category: "moon", label: "Rocky Moon", rarity: "common", research: 4, color: 0x9a8f80, art: "rocky", weight: 0.4 },
+  icyMoon: { category: "moon", label: "Icy Moon", rarity: "common", research: 5, color: 0xcfe8f0, art: "ice", weight: 0.3 },
+  barrenMoon: { category: "moon", label: "Cratered Moon", rarity: "common", research: 3, color: 0x8a8a8a, art: "barren", weight: 0.22 },
+  volcanicMoon: { category: "moon", label: "Volcanic Moon", rarity: "rare", research: 14, color: 0xd0742b, art: "lava", weight: 0.08 },
+};
+
+// Built things in a planet's near space.
+export const ORBITAL_CLASSES = {
+  station: { category: "station", label: "Orbital Station", rarity: "uncommon", research: 12, color: 0x9fd4e0 },
+  settlement: { category: "settlement", label: "Surface Settlement", rarity: "uncommon", research: 10, color: 0xffcf7a },
+};
+
+// Which planet classes people can live on the face of; the rest carry only
+// the odd outpost.
+const HOSPITABLE = new Set(["terran", "ocean", "desert"]);
+
+// Radius of the central world's disc at the orbital scale, in world units. The
+// planet art's disc is 0.38 of its 128px texture.
+export const ORBITAL_WORLD_RADIUS = 170;
+
+const SEED_TAG = { stellar: "gal", planetary: "sys", orbital: "orb" };
+
 /**
  * The chunk seed for a scale, derived from the structure you descended into.
  * `path` is the id-chain of descended structures; only the last one matters.
@@ -54,7 +88,7 @@ export const PLANET_CLASSES = {
 export function worldSeed(universeSeed, scale, path = []) {
   if (scale === "galactic") return `${universeSeed}`;
   const last = path[path.length - 1] ?? "root";
-  return scale === "stellar" ? `${universeSeed}#gal#${last}` : `${universeSeed}#sys#${last}`;
+  return `${universeSeed}#${SEED_TAG[scale] ?? SEED_TAG.planetary}#${last}`;
 }
 
 const intIn = (rng, min, max) => min + Math.floor(rng() * (max - min + 1));
@@ -77,6 +111,7 @@ const nameFor = (seed, id, category) => {
   const n = 100 + Math.floor(r() * 9900);
   if (category === "star") return `${STAR_PREFIXES[Math.floor(r() * STAR_PREFIXES.length)].trim()} ${n}`;
   if (category === "planet") return `Kepler-${n}${String.fromCharCode(98 + Math.floor(r() * 6))}`;
+  if (category === "station") return `Relay ${n}`;
   return `EVC ${n}`;
 };
 
@@ -109,9 +144,11 @@ function placeFrom(objects, seed, cx, cy, scale, table, count) {
 
 /**
  * A bounded star SYSTEM: the central star you descended into (at the origin)
- * plus a finite set of planets in rings around it, named after the parent star
+ * plus a finite set of planets orbiting it, named after the parent star
  * ("HD 4821 b, c, d"). Deterministic per system seed. This is what makes the
  * planetary scale a real solar system instead of an infinite planet field.
+ * Each planet carries its Keplerian `orbit` (see orbits.js); x/y are where it
+ * stands at orbit time 0.
  */
 export function generateSystem(seed, parentName) {
   const rng = seedrandom(`${seed}#system`);
@@ -143,9 +180,13 @@ export function generateSystem(seed, parentName) {
   let radius = 750;
   for (let i = 0; i < planetCount; i++) {
     radius += 600 + rng() * 750;
-    const angle = rng() * Math.PI * 2;
+    rng(); // the old fixed-angle draw, kept so the rest of the stream is unchanged
     const classId = pickWeighted(rng, PLANET_CLASSES);
     const info = PLANET_CLASSES[classId];
+    // Elements from their own stream, so adding them left every system's
+    // planets (classes, sizes, names) exactly as they were.
+    const orbit = orbitElements(seedrandom(`${seed}#orbit#${i}`), radius, starInfo.mass);
+    const at = orbitPosition(orbit, 0);
     objects.push({
       id: `p:${seed}:${i}`,
       name: `${name} ${letters[i] || i + 1}`,
@@ -154,9 +195,138 @@ export function generateSystem(seed, parentName) {
       rarity: info.rarity,
       research: info.research,
       color: info.color,
+      x: at.x,
+      y: at.y,
+      scale: 0.5 + rng() * 0.55,
+      rotation: rng() * Math.PI * 2,
+      alpha: 1,
+      orbit,
+    });
+  }
+  return objects;
+}
+
+/**
+ * A planet from its id alone. Planet ids carry their system's seed
+ * ("p:<systemSeed>:<index>"), so the whole system re-derives from one.
+ */
+export function planetById(id) {
+  const match = /^p:(.*):(\d+)$/.exec(String(id ?? ""));
+  if (!match) return null;
+  return generateSystem(match[1]).find((o) => o.id === id) ?? null;
+}
+
+const ROMAN = ["I", "II", "III", "IV", "V", "VI"];
+
+/**
+ * A planet's near space - the orbital scale, entered from a planet. The world
+ * itself at the origin (drawn large, with rings if it has them), moons on
+ * wide orbits, the odd orbital station in low orbit, and settlement sites on
+ * its face where the planet-bound live. All of it follows from the planet id
+ * the seed was derived from (see worldSeed), so the world you land on is the
+ * same class you descended into.
+ */
+export function generateOrbit(seed, parentName) {
+  const rng = seedrandom(`${seed}#orbit`);
+  const tag = `#${SEED_TAG.orbital}#`;
+  const at = String(seed).indexOf(`${tag}p:`);
+  const planet = at >= 0 ? planetById(seed.slice(at + tag.length)) : null;
+  const classId = planet?.objectClass ?? pickWeighted(rng, PLANET_CLASSES);
+  const info = PLANET_CLASSES[classId];
+  const name = parentName || planet?.name || nameFor(seed, `world:${seed}`, "planet");
+  const objects = [];
+
+  // Gas giants are usually ringed; a rocky world only rarely keeps one.
+  const ringChance = classId === "gas" ? 0.7 : classId === "ice" ? 0.25 : 0.08;
+  const rings = rng() < ringChance
+    ? {
+      inner: ORBITAL_WORLD_RADIUS * (1.3 + rng() * 0.15),
+      outer: ORBITAL_WORLD_RADIUS * (1.7 + rng() * 0.5),
+      color: info.color,
+    }
+    : null;
+
+  objects.push({
+    id: `world:${seed}`,
+    name,
+    category: "planet",
+    objectClass: classId,
+    rarity: info.rarity,
+    research: 0, // the world you arrived at isn't a new discovery
+    color: info.color,
+    x: 0,
+    y: 0,
+    scale: ORBITAL_WORLD_RADIUS / (128 * 0.38),
+    rotation: 0,
+    alpha: 1,
+    central: true,
+    rings,
+  });
+
+  // Settlement sites on the visible face - where a Type 0 people is found.
+  const sites = HOSPITABLE.has(classId) ? 2 + Math.floor(rng() * 3) : 1 + Math.floor(rng() * 2);
+  for (let i = 0; i < sites; i++) {
+    const angle = rng() * Math.PI * 2;
+    const r = ORBITAL_WORLD_RADIUS * (0.2 + rng() * 0.6);
+    const site = ORBITAL_CLASSES.settlement;
+    objects.push({
+      id: `site:${seed}:${i}`,
+      name: `${name} · Site ${i + 1}`,
+      category: "settlement",
+      objectClass: "settlement",
+      rarity: site.rarity,
+      research: site.research,
+      color: site.color,
+      x: Math.cos(angle) * r,
+      y: Math.sin(angle) * r,
+      scale: 0.3 + rng() * 0.25,
+      rotation: rng() * Math.PI * 2,
+      alpha: 1,
+    });
+  }
+
+  // Stations hold low orbit, inside the innermost moon.
+  const stations = Math.floor(rng() * 3); // 0-2
+  for (let i = 0; i < stations; i++) {
+    const angle = rng() * Math.PI * 2;
+    const r = (rings?.outer ?? ORBITAL_WORLD_RADIUS) + 120 + rng() * 140;
+    const id = `stn:${seed}:${i}`;
+    const station = ORBITAL_CLASSES.station;
+    objects.push({
+      id,
+      name: nameFor(seed, id, "station"),
+      category: "station",
+      objectClass: "station",
+      rarity: station.rarity,
+      research: station.research,
+      color: station.color,
+      x: Math.cos(angle) * r,
+      y: Math.sin(angle) * r,
+      scale: 0.45 + rng() * 0.2,
+      rotation: angle + Math.PI / 2,
+      alpha: 1,
+    });
+  }
+
+  // Moons, named in order outward the way real ones are (Jupiter I, II...).
+  const moonCount = classId === "gas" ? 2 + Math.floor(rng() * 4) : Math.floor(rng() * 4); // 2-5 | 0-3
+  let radius = 620;
+  for (let i = 0; i < moonCount; i++) {
+    radius += 320 + rng() * 420;
+    const angle = rng() * Math.PI * 2;
+    const moonClass = pickWeighted(rng, MOON_CLASSES);
+    const moon = MOON_CLASSES[moonClass];
+    objects.push({
+      id: `m:${seed}:${i}`,
+      name: `${name} ${ROMAN[i] || i + 1}`,
+      category: "moon",
+      objectClass: moonClass,
+      rarity: moon.rarity,
+      research: moon.research,
+      color: moon.color,
       x: Math.cos(angle) * radius,
       y: Math.sin(angle) * radius,
-      scale: 0.5 + rng() * 0.55,
+      scale: 0.35 + rng() * 0.35,
       rotation: rng() * Math.PI * 2,
       alpha: 1,
     });
@@ -164,32 +334,106 @@ export function generateSystem(seed, parentName) {
   return objects;
 }
 
+/**
+ * Every object of a BOUNDED scale (a star system, a planet's orbit), or null
+ * for the infinite ones. Bounded worlds sit at the origin and their ids don't
+ * encode a chunk, so lookups by id go through this rather than a chunk.
+ */
+export function boundedObjects(seed, scale, parentName) {
+  if (scale === "planetary") return generateSystem(seed, parentName);
+  if (scale === "orbital") return generateOrbit(seed, parentName);
+  return null;
+}
+
+/**
+ * The bodies of a bounded scale that move (planets on their orbits). They
+ * belong to no chunk - ChunkSystem keeps them loaded for as long as the player
+ * is in the system and moves them with the orbit clock.
+ */
+export function orbitingObjects(seed, scale, parentName) {
+  return (boundedObjects(seed, scale, parentName) ?? []).filter((o) => o.orbit);
+}
+
+/**
+ * The stellar scale's plain star field: a few stars a chunk, scattered by
+ * the IMF. Its density tracks the universe's real star count, so a young or
+ * dying galaxy reads sparse and a stellar-peak one teems. Home stars
+ * (civPlacement.js), waypoints and discoveries name these by id, so a
+ * galaxy's shape never changes them - it only adds stars and gas around.
+ */
+export function starField(seed, chunkX, chunkY, cp = NEUTRAL_PROFILE) {
+  const count = (rng) => {
+    const scaled = intIn(rng, 3, 7) * cp.starDensity;
+    return Math.max(1, Math.floor(scaled) + (rng() < (scaled % 1) ? 1 : 0));
+  };
+  return placeFrom([], seed, chunkX, chunkY, "stellar", STAR_CLASSES, count);
+}
+
+// The stars a galaxy's interior adds to the plain field - most on its arms,
+// bar, bulge and clumps - drawn from the local population, with their own
+// ids ("i:") and rng stream.
+function placeInterior(objects, seed, cx, cy, local, cp) {
+  const extra = 5 * cp.starDensity * local.density;
+  const rng = seedrandom(`${seed}#interior-count#${cx}:${cy}`);
+  const n = Math.floor(extra) + (rng() < extra % 1 ? 1 : 0);
+  return placeFrom(objects, seed, cx, cy, "interior", stellarPopulation(STAR_CLASSES, local.young), () => n);
+}
+
+// Star-forming gas inside a galaxy: a nebula or two where the interior says
+// gas gathers (spiral arms, irregular clumps), on its own rng stream so the
+// stars around it don't move when the odds change.
+function placeGas(objects, seed, cx, cy, odds) {
+  const rng = seedrandom(`${seed}#gas#${cx}:${cy}`);
+  const info = OBJECT_CLASSES.nebula;
+  for (let k = 0; k < 2 && rng() < odds; k++) {
+    const id = `n:${cx}:${cy}:${k}`;
+    objects.push({
+      id,
+      name: nameFor(seed, id, info.category),
+      category: info.category,
+      objectClass: "nebula",
+      rarity: info.rarity,
+      research: info.research,
+      x: cx * CHUNK_SIZE + rng() * CHUNK_SIZE,
+      y: cy * CHUNK_SIZE + rng() * CHUNK_SIZE,
+      scale: 1.1 + rng() * 0.9,
+      rotation: rng() * Math.PI * 2,
+      alpha: 0.3 + rng() * 0.25,
+    });
+  }
+  return objects;
+}
+
 /**
  * Objects in a chunk at a given scale. galactic delegates to the existing
  * galaxy generator; stellar scatters stars across infinite chunks (a galaxy is
- * vast); planetary returns a BOUNDED system's objects for this chunk only.
+ * vast); planetary and orbital return a BOUNDED system's / orbit's objects
+ * for this chunk only.
  * `parentName` is the descended-into structure's name (used to name planets).
  */
 export function generateScaleObjects(seed, chunkX, chunkY, scale, parentName, cp = NEUTRAL_PROFILE) {
   if (scale === "galactic") return generateChunkObjects(seed, chunkX, chunkY, cp);
   if (scale === "stellar") {
-    // Star field density tracks the universe's real star count, so a young or
-    // dying galaxy reads sparse and a stellar-peak one teems.
-    const count = (rng) => {
-      const scaled = intIn(rng, 3, 7) * cp.starDensity;
-      return Math.max(1, Math.floor(scaled) + (rng() < (scaled % 1) ? 1 : 0));
-    };
-    return placeFrom([], seed, chunkX, chunkY, scale, STAR_CLASSES, count);
-  }
-  if (scale === "planetary") {
-    // The system sits at the origin; only its chunks have anything. A bounded
-    // real system, so its planet count is intrinsic - not era-scaled.
-    return generateSystem(seed, parentName).filter(
-      (o) => Math.floor(o.x / CHUNK_SIZE) === chunkX && Math.floor(o.y / CHUNK_SIZE) === chunkY
-    );
+    // Inside a known galaxy its morphology adds to the field: arms, bar,
+    // clumps or a smooth old ball (galaxyInterior.js), read at the chunk's
+    // centre.
+    const objects = starField(seed, chunkX, chunkY, cp);
+    const plan = parentGalaxy(seed, cp);
+    if (!plan) return objects;
+    const local = interiorAt(plan, (chunkX + 0.5) * CHUNK_SIZE, (chunkY + 0.5) * CHUNK_SIZE);
+    placeInterior(objects, seed, chunkX, chunkY, local, cp);
+    return placeGas(objects, seed, chunkX, chunkY, local.gas * cp.nebulaDensity);
   }
-  return [];
+  // A system or an orbit sits at the origin; only its chunks have anything,
+  // and what orbits is served by orbitingObjects instead.
+  // Bounded real places, so what they hold is intrinsic - not era-scaled.
+  const bounded = boundedObjects(seed, scale, parentName);
+  if (!bounded) return [];
+  return bounded.filter(
+    (o) => !o.orbit && Math.floor(o.x / CHUNK_SIZE) === chunkX && Math.floor(o.y / CHUNK_SIZE) === chunkY
+  );
 }
 
 export const getScaleClassInfo = (objectClass) =>
-  STAR_CLASSES[objectClass] ?? PLANET_CLASSES[objectClass] ?? null;
+  STAR_CLASSES[objectClass] ?? PLANET_CLASSES[objectClass]
+    ?? MOON_CLASSES[objectClass] ?? ORBITAL_CLASSES[objectClass] ?? null;
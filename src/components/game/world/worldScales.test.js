@@ -2,24 +2,31 @@
 import { test } from "node:test";
 import assert from "node:assert/strict";
 import {
-  SCALES, childScale, parentScale, canDescend, worldSeed,
-  generateScaleObjects, generateSystem, STAR_CLASSES,
+  SCALES, childScale, parentScale, canDescend, worldSeed, DESCEND_CATEGORY,
+  generateScaleObjects, generateSystem, generateOrbit, planetById, boundedObjects,
+  orbitingObjects, STAR_CLASSES, ORBITAL_WORLD_RADIUS,
 } from "./worldScales.js";
+import { orbitPosition } from "./orbits.js";
 
 test("scale ladder navigates and clamps at the ends", () => {
   assert.equal(childScale("galactic"), "stellar");
   assert.equal(childScale("stellar"), "planetary");
-  assert.equal(childScale("planetary"), "planetary"); // clamps
+  assert.equal(childScale("planetary"), "orbital");
+  assert.equal(childScale("orbital"), "orbital"); // clamps
+  assert.equal(parentScale("orbital"), "planetary");
   assert.equal(parentScale("planetary"), "stellar");
   assert.equal(parentScale("galactic"), "galactic"); // clamps
-  assert.equal(canDescend("planetary"), false);
+  assert.equal(canDescend("orbital"), false);
+  assert.equal(canDescend("planetary"), true);
   assert.equal(canDescend("galactic"), true);
+  assert.equal(DESCEND_CATEGORY.planetary, "planet");
 });
 
 test("worldSeed nests off the descended structure id", () => {
   assert.equal(worldSeed("S", "galactic", []), "S");
   assert.equal(worldSeed("S", "stellar", ["gal_7"]), "S#gal#gal_7");
   assert.equal(worldSeed("S", "planetary", ["gal_7", "star_3"]), "S#sys#star_3");
+  assert.equal(worldSeed("S", "orbital", ["gal_7", "star_3", "p:x:1"]), "S#orb#p:x:1");
 });
 
 test("a descend -> ascend round-trip restores the exact parent seed", () => {
@@ -83,3 +90,66 @@ test("different galaxies generate different star fields", () => {
   const galB = generateScaleObjects(worldSeed("S", "stellar", ["gal_2"]), 0, 0, "stellar");
   assert.notDeepEqual(galA, galB);
 });
+
+test("an orbit is built around the planet it was entered from", () => {
+  const systemSeed = worldSeed("S", "planetary", ["gal_7", "s:1:2:0"]);
+  for (const planet of generateSystem(systemSeed, "HD 4821").filter((o) => o.category === "planet")) {
+    assert.equal(planetById(planet.id).objectClass, planet.objectClass, "a planet re-derives from its id");
+
+    const orbit = generateOrbit(worldSeed("S", "orbital", ["gal_7", "s:1:2:0", planet.id]), planet.name);
+    assert.deepEqual(orbit, generateOrbit(worldSeed("S", "orbital", ["gal_7", "s:1:2:0", planet.id]), planet.name));
+    const world = orbit.filter((o) => o.central);
+    assert.equal(world.length, 1);
+    assert.equal(world[0].objectClass, planet.objectClass, "you land on the world you descended into");
+    assert.equal(world[0].name, planet.name);
+
+    const sites = orbit.filter((o) => o.category === "settlement");
+    assert.ok(sites.length >= 1, "every world has somewhere a people could live");
+    assert.ok(sites.every((s) => Math.hypot(s.x, s.y) < ORBITAL_WORLD_RADIUS), "settlements sit on the surface");
+    const moons = orbit.filter((o) => o.category === "moon");
+    assert.ok(moons.every((m) => Math.hypot(m.x, m.y) > ORBITAL_WORLD_RADIUS * 3));
+    if (moons.length) assert.equal(moons[0].name, `${planet.name} I`);
+    const stations = orbit.filter((o) => o.category === "station");
+    const innermostMoon = Math.min(...moons.map((m) => Math.hypot(m.x, m.y)));
+    assert.ok(stations.every((s) => Math.hypot(s.x, s.y) < innermostMoon), "stations hold low orbit");
+  }
+});
+
+test("gas giants are usually ringed; bounded scales resolve ids without a chunk", () => {
+  let giants = 0;
+  let ringed = 0;
+  for (let i = 0; i < 60; i++) {
+    const systemSeed = worldSeed("S", "planetary", [`gal_${i}`, `s:0:0:${i}`]);
+    for (const p of generateSystem(systemSeed).filter((o) => o.objectClass === "gas")) {
+      giants += 1;
+      if (generateOrbit(worldSeed("S", "orbital", ["g", "s", p.id])).find((o) => o.central).rings) ringed += 1;
+    }
+  }
+  assert.ok(giants > 5 && ringed / giants > 0.5, `${ringed}/${giants} gas giants ringed`);
+
+  const seed = worldSeed("S", "orbital", ["g", "s", "p:S#sys#s:0:0:0:1"]);
+  const all = boundedObjects(seed, "orbital");
+  assert.deepEqual(generateScaleObjects(seed, 0, 0, "orbital"), all.filter((o) => o.x >= 0 && o.x < 1000 && o.y >= 0 && o.y < 1000));
+  assert.equal(boundedObjects(seed, "stellar"), null);
+});
+
+test("planets fly Keplerian orbits and are served apart from the chunk grid", () => {
+  const sys = generateSystem("kepler-seed", "Wolf 359");
+  const planets = sys.filter((o) => o.category === "planet");
+  for (const p of planets) {
+    const at = orbitPosition(p.orbit, 0);
+    assert.deepEqual({ x: p.x, y: p.y }, at, "x/y is where it stands at orbit time 0");
+  }
+  for (let i = 1; i < planets.length; i++) {
+    assert.ok(planets[i].orbit.period > planets[i - 1].orbit.period, "outer years are longer");
+  }
+  // A planet crosses chunk borders as it goes round, so no chunk holds it...
+  const gridded = [];
+  for (let cx = -12; cx <= 12; cx++) {
+    for (let cy = -12; cy <= 12; cy++) gridded.push(...generateScaleObjects("kepler-seed", cx, cy, "planetary", "Wolf 359"));
+  }
+  assert.deepEqual(gridded.map((o) => o.id), [`sun:kepler-seed`]);
+  // ...and orbitingObjects serves them all, same ids as the system
+  assert.deepEqual(orbitingObjects("kepler-seed", "planetary", "Wolf 359").map((o) => o.id), planets.map((o) => o.id));
+  assert.deepEqual(orbitingObjects("S", "stellar"), []);
+});
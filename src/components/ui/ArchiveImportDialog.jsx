@@ -0,0 +1,84 @@
+// src/components/ui/ArchiveImportDialog.jsx
+//
+// Preview of a universe archive before it goes into the museum: what it holds,
+// set against what it's compared with (the live universe it was taken from,
+// or a museum copy of it) so you can see what changed since the export.
+// Controlled like ConfirmDialog: ESC and backdrop click cancel.
+import { useEffect } from 'react';
+import { Landmark } from 'lucide-react';
+import { Button, Eyebrow } from './primitives';
+
+const COMPARED_WITH = {
+  live: 'Compared with your live copy of this universe',
+  museum: 'Compared with the museum copy you already hold',
+  none: 'Nothing to compare with - this universe is new to this device',
+};
+
+export const ArchiveImportDialog = ({ preview, onConfirm, onCancel }) => {
+  useEffect(() => {
+    if (!preview) return;
+    const onKey = (e) => {
+      if (e.key === 'Escape') onCancel?.();
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [preview, onCancel]);
+
+  if (!preview) return null;
+  const { archive, rows, against } = preview;
+  const comparing = against !== 'none';
+
+  return (
+    <div
+      className="fixed inset-0 z-[90] flex items-center justify-center bg-void/85 backdrop-blur-sm"
+      onClick={onCancel}
+    >
+      <div
+        className="w-[90vw] max-w-lg bg-void border border-line p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <Eyebrow className="mb-2">Import archive</Eyebrow>
+        <h3 className="font-sans text-lg font-medium mb-1 text-ink">{archive.universe.name}</h3>
+        <p className="font-mono text-[11px] text-ink-faint mb-4">
+          Exported {new Date(archive.exportedAt).toLocaleString()} · seed {String(archive.universe.seed)}
+        </p>
+
+        <p className="font-mono text-[10px] uppercase tracking-wider text-ink-faint mb-2">{COMPARED_WITH[against]}</p>
+        <table className="w-full font-mono text-[12px] mb-4">
+          <thead>
+            <tr className="text-ink-faint text-[10px] uppercase tracking-wider">
+              <th className="text-left font-normal pb-1.5">Record</th>
+              {comparing && <th className="text-right font-normal pb-1.5">Now</th>}
+              <th className="text-right font-normal pb-1.5">Archive</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.label} className="border-t border-line">
+                <td className="py-1.5 text-ink-dim">{row.label}</td>
+                {comparing && <td className="py-1.5 text-right text-ink-faint tabular-nums">{String(row.before)}</td>}
+                <td className={`py-1.5 text-right tabular-nums ${comparing && row.changed ? 'text-accent' : 'text-ink'}`}>
+                  {String(row.after)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <p className="font-mono text-[12px] text-ink-dim leading-relaxed mb-6">
+          It will be kept on this device as a read-only museum copy. Nothing is sent to the server,
+          and your own warden progress is left as it is.
+        </p>
+        <div className="flex justify-end gap-3">
+          <Button variant="secondary" onClick={onCancel} className="px-5 py-2">
+            Cancel
+          </Button>
+          <Button onClick={onConfirm} className="px-5 py-2">
+            <Landmark size={14} />
+            Add to Museum
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -1,7 +1,7 @@
 // src/components/ui/HangarPanel.jsx
 //
-// Account-wide ship loadout: pick a hull (unlocked via achievements) and an
-// accent color. Reusable from the Dashboard and in-game (PhaserGame, key
+// Account-wide ship loadout: pick a hull (unlocked via achievements), the
+// secondary ordnance it racks, and an accent color. Reusable from the Dashboard and in-game (PhaserGame, key
 // H) - in-game, selecting a hull swaps the live sprite texture immediately
 // via onApply so the change is visible without leaving the universe.
 import { useEffect, useState } from 'react';
@@ -9,8 +9,10 @@ import { getLoadout, updateLoadout } from '../../api/userApi';
 import { HULL_CATALOG, HULL_SHAPES, HULL_STATS, COLOR_PALETTE, TIER_STYLE } from '../game/content/hullCatalog.js';
 import { ABILITIES } from '../game/content/abilities.js';
 import { ACHIEVEMENT_MAP } from '../game/content/achievements.js';
+import { ORDNANCE, HULL_ORDNANCE, ordnanceFor } from '../game/combat/combatModel.js';
 import { setLoadoutLocal } from '../game/loadoutStore.js';
 import { playSfx } from '../game/audio.js';
+import { keyLabel } from '../game/settings.js';
 
 const shapeToPath = (points) =>
   points.map(([fx, fy], i) => `${i === 0 ? 'M' : 'L'}${(fx * 100).toFixed(1)},${(fy * 100).toFixed(1)}`).join(' ') + ' Z';
@@ -30,8 +32,8 @@ const HullIcon = ({ hullId, color, size = 56 }) => {
 };
 
 export const HangarPanel = ({ isOpen, onClose, onApply }) => {
-  const [loadout, setLoadout] = useState(null); // { hull, shipColor, unlockedHulls }
-  const [selected, setSelected] = useState(null); // { hull, shipColor }
+  const [loadout, setLoadout] = useState(null); // { hull, shipColor, ordnance, unlockedHulls }
+  const [selected, setSelected] = useState(null); // { hull, shipColor, ordnance }
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
 
@@ -43,7 +45,7 @@ export const HangarPanel = ({ isOpen, onClose, onApply }) => {
       .then((data) => {
         if (cancelled) return;
         setLoadout(data);
-        setSelected({ hull: data.hull, shipColor: data.shipColor });
+        setSelected({ hull: data.hull, shipColor: data.shipColor, ordnance: ordnanceFor(data.hull, data.ordnance) });
       })
       .catch(() => { if (!cancelled) setError('Could not load hangar data'); });
     return () => { cancelled = true; };
@@ -51,19 +53,25 @@ export const HangarPanel = ({ isOpen, onClose, onApply }) => {
 
   if (!isOpen) return null;
 
-  const dirty = loadout && selected && (selected.hull !== loadout.hull || selected.shipColor !== loadout.shipColor);
+  // A pick the selected hull can't rack shows (and saves) as its default
+  const ordnance = selected && ordnanceFor(selected.hull, selected.ordnance);
+  const dirty = loadout && selected && (
+    selected.hull !== loadout.hull
+    || selected.shipColor !== loadout.shipColor
+    || ordnance !== ordnanceFor(loadout.hull, loadout.ordnance)
+  );
 
   const save = async () => {
     if (!dirty || saving) return;
     setSaving(true);
     setError(null);
     try {
-      const data = await updateLoadout(selected.hull, selected.shipColor);
+      const data = await updateLoadout(selected.hull, selected.shipColor, ordnance);
       if (data.ok) {
-        setLoadout((prev) => ({ ...prev, hull: data.hull, shipColor: data.shipColor }));
+        setLoadout((prev) => ({ ...prev, hull: data.hull, shipColor: data.shipColor, ordnance: data.ordnance }));
         // The module store is what the running scene polls - updating it IS
         // the live apply, no scene wiring involved
-        setLoadoutLocal(data.hull, data.shipColor);
+        setLoadoutLocal(data.hull, data.shipColor, data.ordnance);
         playSfx('install');
         onApply?.(data.hull, data.shipColor);
       } else {
@@ -112,7 +120,7 @@ export const HangarPanel = ({ isOpen, onClose, onApply }) => {
                 </div>
                 {ABILITIES[selected.hull] && (
                   <div className="font-mono text-[10px] mt-1.5">
-                    <span className="text-accent">[SPACE] {ABILITIES[selected.hull].label}</span>
+                    <span className="text-accent">[{keyLabel('ability')}] {ABILITIES[selected.hull].label}</span>
                     <span className="text-ink-faint"> - {ABILITIES[selected.hull].description}</span>
                   </div>
                 )}
@@ -175,6 +183,36 @@ export const HangarPanel = ({ isOpen, onClose, onApply }) => {
               </div>
             </div>
 
+            <div className="px-5 py-4 border-b border-line">
+              <div className="font-mono text-[10px] uppercase tracking-wider text-ink-faint mb-3">
+                Ordnance <span className="normal-case">[{keyLabel('secondary')}] - restocked by salvage</span>
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-2.5">
+                {Object.entries(ORDNANCE).map(([id, o]) => {
+                  const racked = HULL_ORDNANCE[selected.hull]?.includes(id);
+                  const isSelected = ordnance === id;
+                  return (
+                    <button
+                      key={id}
+                      disabled={!racked}
+                      onClick={() => setSelected((s) => ({ ...s, ordnance: id }))}
+                      className={`p-2.5 border text-left transition-colors ${
+                        isSelected ? 'border-accent bg-accent/5' : 'border-line hover:border-line-bright'
+                      } ${racked ? '' : 'opacity-35 cursor-not-allowed'}`}
+                    >
+                      <div className="flex items-baseline justify-between gap-2">
+                        <span className="font-mono text-[11px] text-ink truncate">{o.label}</span>
+                        <span className="font-mono text-[9px] text-ink-faint tabular-nums shrink-0">×{o.ammo}</span>
+                      </div>
+                      <div className="font-mono text-[9px] text-ink-faint mt-1">
+                        {racked ? o.description : 'Not racked by this hull'}
+                      </div>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+
             <div className="px-5 py-4">
               <div className="font-mono text-[10px] uppercase tracking-wider text-ink-faint mb-3">Accent Color</div>
               <div className="flex gap-2.5 flex-wrap">
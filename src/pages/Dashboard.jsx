@@ -1,15 +1,22 @@
-import React, { useEffect, useState, useMemo, useCallback } from "react";
+import React, { useEffect, useState, useMemo, useCallback, useRef } from "react";
 import { useNavigate } from "react-router-dom";
-import { getUserUniverses, deleteUniverse } from "../api/universeApi";
+import { getUserUniverses, getUniverse, deleteUniverse } from "../api/universeApi";
+import {
+  buildArchive, encodeArchive, decodeArchive, archiveDiff,
+  getMuseum, findInMuseum, addToMuseum, removeFromMuseum, onMuseumChange,
+} from "../api/universeArchive";
+import { getWardenSlice } from "../components/game/wardenProgress";
 import {
   AlertCircle, Plus, Loader2, Trash2, RefreshCw,
-  Clock, Globe, Star, Activity, Users, Trophy, Rocket
+  Clock, Globe, Star, Activity, Users, Trophy, Rocket,
+  Download, Upload, Landmark, Lock, Crosshair
 } from "lucide-react";
 import { Button, Panel, Eyebrow } from "../components/ui/primitives";
 import { ConfirmDialog } from "../components/ui/ConfirmDialog";
 import { useToast } from "../components/ui/ToastProvider";
 import { AchievementsPanel } from "../components/ui/AchievementsPanel";
 import { HangarPanel } from "../components/ui/HangarPanel";
+import { ArchiveImportDialog } from "../components/ui/ArchiveImportDialog";
 
 const DIFFICULTY_COLOR = {
   Beginner: 'text-good border-good/30',
@@ -43,6 +50,17 @@ const getStabilityColor = (stability) => {
   return { text: 'text-critical', bar: 'bg-critical' };
 };
 
+// Save an archive as a .json file the browser downloads.
+const downloadArchive = (archive) => {
+  const url = URL.createObjectURL(new Blob([encodeArchive(archive)], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  const slug = archive.universe.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'universe';
+  a.download = `eternaverse-${slug}-${archive.exportedAt.replace(/[:.]/g, '-')}.universe.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
 const ErrorAlert = React.memo(({ children }) => (
   <div className="border border-critical/40 bg-void px-4 py-3 text-sm text-critical flex items-center gap-2.5">
     <AlertCircle className="h-4 w-4 flex-shrink-0" />
@@ -98,12 +116,17 @@ const StatLine = React.memo(({ icon: Icon, label, value }) => (
 ));
 StatLine.displayName = 'StatLine';
 
-const UniverseCard = React.memo(({ universe, onRequestDelete, onView, isDeleting }) => {
+const UniverseCard = React.memo(({ universe, onRequestDelete, onView, onDownload, isDeleting, isDownloading }) => {
   const handleDelete = useCallback((e) => {
     e.stopPropagation();
     onRequestDelete(universe);
   }, [universe, onRequestDelete]);
 
+  const handleDownload = useCallback((e) => {
+    e.stopPropagation();
+    onDownload(universe);
+  }, [universe, onDownload]);
+
   const statusConfig = STATUS_CONFIG[universe.status?.toLowerCase()] || STATUS_CONFIG.default;
   const stability = (universe.currentState?.stabilityIndex || 0) * 100;
   const age = (universe.currentState?.age || 0) / 1e9;
@@ -155,6 +178,16 @@ const UniverseCard = React.memo(({ universe, onRequestDelete, onView, isDeleting
         <Button onClick={onView} className="flex-1">
           Enter Universe
         </Button>
+        <Button
+          variant="secondary"
+          onClick={handleDownload}
+          disabled={isDownloading}
+          className="px-3"
+          title="Download archive"
+          aria-label="Download archive"
+        >
+          {isDownloading ? <Loader2 size={15} className="animate-spin" /> : <Download size={15} />}
+        </Button>
         <Button
           variant="danger"
           onClick={handleDelete}
@@ -171,6 +204,81 @@ const UniverseCard = React.memo(({ universe, onRequestDelete, onView, isDeleting
 });
 UniverseCard.displayName = 'UniverseCard';
 
+// A museum copy: an imported archive, shown but never played or changed.
+const MuseumCard = React.memo(({ exhibit, onDownload, onRemove }) => {
+  const [open, setOpen] = useState(false);
+  const { universe, warden } = exhibit;
+  const events = useMemo(() => [...universe.significantEvents].reverse().slice(0, 8), [universe.significantEvents]);
+  const age = (universe.currentState?.age || 0) / 1e9;
+  const stability = (universe.currentState?.stabilityIndex || 0) * 100;
+
+  return (
+    <Panel className="p-6">
+      <div className="flex justify-between items-start gap-3 mb-4">
+        <div className="min-w-0">
+          <h3 className="font-sans text-lg font-semibold text-ink mb-1 truncate">{universe.name}</h3>
+          <p className="text-[11px] text-ink-faint font-mono">
+            Archived {new Date(exhibit.exportedAt).toLocaleDateString()}
+            {warden?.rank ? ` · ${warden.rank}` : ''}
+          </p>
+        </div>
+        <span className="flex items-center gap-1 text-[10px] font-mono uppercase tracking-wider px-2 py-0.5 border border-line text-ink-faint">
+          <Lock size={10} /> Read-only
+        </span>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4 mb-6">
+        <StatLine icon={Clock} label="Age" value={`${age.toFixed(2)} Gyr`} />
+        <StatLine icon={Activity} label="Stability" value={`${stability.toFixed(1)}%`} />
+        <StatLine icon={Users} label="Civilizations" value={universe.civilizations.length} />
+        <StatLine icon={Star} label="Discoveries" value={universe.discoveries.length} />
+      </div>
+
+      {open && (
+        <div className="border-t border-line pt-4 mb-6">
+          <p className="text-[10px] text-ink-faint font-mono uppercase tracking-wider mb-2">Last recorded</p>
+          {events.length === 0 ? (
+            <p className="text-ink-faint text-[12px] font-mono">No history was recorded.</p>
+          ) : (
+            <ul className="space-y-1.5">
+              {events.map((event, i) => (
+                <li key={i} className="text-ink-dim text-[12px] font-mono leading-snug">
+                  {event.description || event.type}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <Button variant="secondary" onClick={() => setOpen((v) => !v)} className="flex-1">
+          {open ? 'Close' : 'View History'}
+        </Button>
+        <Button
+          variant="secondary"
+          onClick={() => onDownload(exhibit)}
+          className="px-3"
+          title="Download archive"
+          aria-label="Download archive"
+        >
+          <Download size={15} />
+        </Button>
+        <Button
+          variant="danger"
+          onClick={() => onRemove(exhibit)}
+          className="px-3"
+          title="Remove from museum"
+          aria-label="Remove from museum"
+        >
+          <Trash2 size={15} />
+        </Button>
+      </div>
+    </Panel>
+  );
+});
+MuseumCard.displayName = 'MuseumCard';
+
 const LoadingState = () => (
   <div className="min-h-screen bg-void text-ink flex items-center justify-center">
     <div className="flex flex-col items-center gap-4">
@@ -220,6 +328,13 @@ const Dashboard = () => {
   const [deletingId, setDeletingId] = useState(null);
   const [isAchievementsOpen, setIsAchievementsOpen] = useState(false);
   const [isHangarOpen, setIsHangarOpen] = useState(false);
+  const [downloadingId, setDownloadingId] = useState(null);
+  const [museum, setMuseum] = useState(getMuseum);
+  const [importPreview, setImportPreview] = useState(null); // decoded archive awaiting confirmation
+  const [pendingRemoval, setPendingRemoval] = useState(null); // museum copy awaiting confirmation
+  const importInput = useRef(null);
+
+  useEffect(() => onMuseumChange(setMuseum), []);
 
   const fetchUniverses = useCallback(async () => {
     try {
@@ -263,10 +378,74 @@ const Dashboard = () => {
     }
   }, [pendingDelete, toast]);
 
+  const handleDownload = useCallback(async (universe) => {
+    setDownloadingId(universe._id);
+    try {
+      downloadArchive(buildArchive(await getUniverse(universe._id), getWardenSlice()));
+    } catch (err) {
+      console.error("Failed to export universe:", err);
+      toast(err.response?.data?.message || "Failed to export universe - try again", 'error');
+    } finally {
+      setDownloadingId(null);
+    }
+  }, [toast]);
+
+  // Read and validate the picked file, then preview it against what it would
+  // sit beside: the live universe it came from if you still have it,
+  // otherwise a museum copy of the same export.
+  const handleImportFile = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // picking the same file again should still fire
+    if (!file) return;
+    let archive;
+    try {
+      archive = decodeArchive(await file.text());
+    } catch (err) {
+      toast(err.message, 'error');
+      return;
+    }
+    let against = null;
+    let source = 'none';
+    if (universes.some((u) => u._id === archive.universe.sourceId)) {
+      try {
+        against = buildArchive(await getUniverse(archive.universe.sourceId), getWardenSlice());
+        source = 'live';
+      } catch {
+        // Unreachable right now - fall through to the museum copy, if any
+      }
+    }
+    if (!against && findInMuseum(archive)) {
+      against = findInMuseum(archive);
+      source = 'museum';
+    }
+    setImportPreview({ archive, rows: archiveDiff(archive, against), against: source });
+  }, [universes, toast]);
+
+  const confirmImport = useCallback(() => {
+    const { archive } = importPreview;
+    setImportPreview(null);
+    try {
+      addToMuseum(archive);
+      toast(`"${archive.universe.name}" added to the museum`, 'success');
+    } catch (err) {
+      toast(err.message, 'error', 8000);
+    }
+  }, [importPreview, toast]);
+
+  const confirmRemoval = useCallback(() => {
+    const target = pendingRemoval;
+    setPendingRemoval(null);
+    if (target) removeFromMuseum(target.id);
+  }, [pendingRemoval]);
+
   const handleViewUniverse = useCallback((id) => {
     navigate(`/gameplay/${id}`);
   }, [navigate]);
 
+  const handleOpenSimulator = useCallback(() => {
+    navigate("/simulator");
+  }, [navigate]);
+
   const handleCreateUniverse = useCallback(() => {
     navigate("/universe-creation");
   }, [navigate]);
@@ -329,6 +508,15 @@ const Dashboard = () => {
               <Rocket size={16} />
               <span className="hidden sm:inline">Hangar</span>
             </Button>
+            <Button
+              variant="secondary"
+              onClick={handleOpenSimulator}
+              title="Containment Simulator - practice the minigames"
+              aria-label="Containment Simulator"
+            >
+              <Crosshair size={16} />
+              <span className="hidden sm:inline">Simulator</span>
+            </Button>
             <Button
               variant="secondary"
               onClick={() => setIsAchievementsOpen(true)}
@@ -338,6 +526,22 @@ const Dashboard = () => {
               <Trophy size={16} />
               <span className="hidden sm:inline">Achievements</span>
             </Button>
+            <Button
+              variant="secondary"
+              onClick={() => importInput.current?.click()}
+              title="Import archive"
+              aria-label="Import archive"
+            >
+              <Upload size={16} />
+              <span className="hidden sm:inline">Import</span>
+            </Button>
+            <input
+              ref={importInput}
+              type="file"
+              accept=".json,application/json"
+              className="hidden"
+              onChange={handleImportFile}
+            />
             <Button
               variant="secondary"
               onClick={handleRefresh}
@@ -403,13 +607,52 @@ const Dashboard = () => {
                 universe={universe}
                 onRequestDelete={setPendingDelete}
                 onView={() => handleViewUniverse(universe._id)}
+                onDownload={handleDownload}
                 isDeleting={deletingId === universe._id}
+                isDownloading={downloadingId === universe._id}
               />
             ))
           )}
         </div>
+
+        {museum.length > 0 && (
+          <section className="mt-12">
+            <div className="flex items-center gap-2.5 mb-1.5">
+              <Landmark size={18} className="text-accent" strokeWidth={1.5} />
+              <h2 className="font-sans text-2xl font-semibold text-ink">Museum</h2>
+            </div>
+            <p className="text-ink-faint text-sm font-mono mb-6">
+              Imported archives, kept on this device as they were when exported.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {museum.map((exhibit) => (
+                <MuseumCard
+                  key={exhibit.id}
+                  exhibit={exhibit}
+                  onDownload={downloadArchive}
+                  onRemove={setPendingRemoval}
+                />
+              ))}
+            </div>
+          </section>
+        )}
       </div>
 
+      <ArchiveImportDialog
+        preview={importPreview}
+        onConfirm={confirmImport}
+        onCancel={() => setImportPreview(null)}
+      />
+      <ConfirmDialog
+        open={!!pendingRemoval}
+        danger
+        title={`Remove "${pendingRemoval?.universe.name}" from the museum?`}
+        message="The museum copy on this device will be erased. Keep the archive file if you may want it back."
+        confirmLabel="Remove"
+        onConfirm={confirmRemoval}
+        onCancel={() => setPendingRemoval(null)}
+      />
+
       <ConfirmDialog
         open={!!pendingDelete}
         danger
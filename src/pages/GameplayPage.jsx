@@ -5,26 +5,25 @@ import { dlog } from "../devLog";
 import {
   getUniverse,
   simulateUniverse,
-  resolveAnomaly,
   cleanupAnomalies,
-  submitDiscoveries,
   purchaseUpgrade,
   contactCivilization,
   respondPetition,
   devAction,
   claimMission,
-  resolveMinorAnomaly,
-  claimEventReward,
-  registerVesselLost,
   setDoctrine,
-  reportWarStrike,
-  reportBombardment,
+  getUniverseStreamUrl,
+  getCoopRelayUrl,
 } from "../api/universeApi";
+import { UniverseStream, applyStreamMessage } from "../api/universeStream";
+import { canApplyPatch, reconcileUniverse } from "../api/universePatch";
+import { submitAction, onOutboxDelivered, startOutbox } from "../api/actionOutbox";
 import { Button } from "../components/ui/primitives";
 import { FadeFromColor } from "../components/ui/ScreenFlash";
 import { useToast } from "../components/ui/ToastProvider";
 import { ACHIEVEMENT_MAP } from "../components/game/content/achievements";
 import { playSfx } from "../components/game/audio";
+import { updateSettings } from "../components/game/settings";
 import { narrate, narrateOnce, pick, CURATOR } from "../components/game/narrator";
 import { progressOf } from "../components/game/ui/MissionsPanel";
 import { WelcomeBackPanel, buildDigest } from "../components/game/ui/WelcomeBackPanel";
@@ -37,7 +36,7 @@ import {
 } from "../components/game/self/selfModel";
 import { RevelationOverlay } from "../components/game/ui/RevelationOverlay";
 import { ANAMNESIS_LINE } from "../components/game/content/revelations";
-import { besiegedWorlds } from "../components/game/combat/fleetModel";
+import { besiegedWorlds, hasDefensePact } from "../components/game/combat/fleetModel";
 import { civDesignation } from "../components/game/utils";
 import { UniverseEndPanel } from "../components/game/ui/UniverseEndPanel";
 import { CinematicBoundary } from "../components/game/ui/CinematicBoundary";
@@ -57,9 +56,17 @@ const GameplayPage = () => {
   const toast = useToast();
   const fromBigBang = location.state?.fromBigBang;
   const [universe, setUniverse] = useState(null);
+  // Full documents from the server go through reconcileUniverse, so whatever
+  // didn't change keeps its identity and nothing downstream re-syncs it.
+  const adoptUniverse = (next) => setUniverse((prev) => reconcileUniverse(prev, next));
+  // The warden's verified minigame history, which sets every run's challenge
+  // level - kept only as the server sends it (minigames/skillModel.js)
+  const adoptSkill = (skill) => {
+    if (skill) updateSettings({ minigameSkill: skill });
+  };
   const [error, setError] = useState(null);
   const [digest, setDigest] = useState(null);
-  const [lastSimulation, setLastSimulation] = useState(Date.now());
+  const lastSimulationRef = useRef(Date.now());
   // Whether the death cinematic still owes this player a showing. Armed when
   // an ending is first observed (live or on load) and disarmed once seen.
   const [playEnding, setPlayEnding] = useState(false);
@@ -68,7 +75,6 @@ const GameplayPage = () => {
   const [previewEnd, setPreviewEnd] = useState(null);
   const simulationInProgress = useRef(false);
   const playerPositionRef = useRef({ x: 0, y: 0 });
-  const pendingDiscoveriesRef = useRef([]);
 
   const handlePlayerPositionUpdate = (position) => {
     playerPositionRef.current = position;
@@ -111,9 +117,18 @@ const GameplayPage = () => {
     // Civ drama + milestones make good notifications; cap per tick so a big
     // catch-up sim doesn't flood the corner of the screen
     fresh
-      .filter((e) => e.type === 'civilization' || e.type === 'milestone' || e.type === 'war' || e.type === 'chosen')
+      .filter((e) => e.type === 'civilization' || e.type === 'milestone' || e.type === 'war' || e.type === 'chosen' ||
+        e.type === 'pact_honoured' || e.type === 'pact_betrayed')
       .slice(0, 3)
       .forEach((e) => {
+        // A pact kept or broken is the player's own doing - the Curator has
+        // an opinion either way.
+        if (e.type === 'pact_honoured' || e.type === 'pact_betrayed') {
+          const kept = e.type === 'pact_honoured';
+          toast(e.description, kept ? 'success' : 'critical', 9000);
+          narrate(pick(kept ? CURATOR.pact.honoured : CURATOR.pact.betrayed), kept ? 'proud' : 'grim');
+          return;
+        }
         // Chosen-species milestones are the arc's big beats - always a loud
         // toast + a Curator line (red if your people fell, gold if they rose).
         if (e.type === 'chosen') {
@@ -164,6 +179,7 @@ const GameplayPage = () => {
       try {
         const uni = await getUniverse(id);
         setUniverse(uni);
+        adoptSkill(uni.minigameSkill);
         // "While you were away" digest - only materializes after a real
         // absence with something to report (buildDigest returns null otherwise)
         setDigest(buildDigest(uni));
@@ -180,6 +196,115 @@ const GameplayPage = () => {
     fetchUniverse();
   }, [id]);
 
+  // Idempotency keys for world actions (api/actionOutbox.js). The server
+  // dedups on them, so each names one occurrence - this visit, and which of
+  // its deaths, strikes or claims it was - rather than one attempt to send it.
+  const visitRef = useRef(Date.now().toString(36));
+  const occurrenceRef = useRef(0);
+  const occurrenceKey = (kind, ...parts) =>
+    [kind, id, visitRef.current, ++occurrenceRef.current, ...parts].join(':');
+
+  // What each world action's server response does here, keyed by outbox kind
+  // and called with (data, args). Live calls and outbox replays both land
+  // here, so a strike delivered after a reconnect still reaches the Self and
+  // still says so - the player did it either way.
+  const actionResults = {
+    resolveAnomaly: (data, [anomalyId]) => {
+      resolvedAnomaliesRef.current.add(anomalyId);
+      if (data.universe) adoptUniverse(data.universe);
+      adoptSkill(data.minigameSkill);
+      announceAchievements(data.newAchievements);
+    },
+    resolveMinorAnomaly: (data) => {
+      if (data.universe) adoptUniverse(data.universe);
+      adoptSkill(data.minigameSkill);
+      announceAchievements(data.newAchievements);
+    },
+    submitDiscoveries: (data) => {
+      if (data.research) setUniverse((prev) => (prev ? { ...prev, research: data.research } : prev));
+      announceAchievements(data.newAchievements);
+    },
+    claimEventReward: (data) => {
+      if (!data.universe) return;
+      adoptUniverse(data.universe);
+      toast(`+${data.reward} RP - ${data.title}`, 'success', 6000);
+    },
+    reportWarStrike: (data, [, kills]) => {
+      if (!data.universe) return;
+      adoptUniverse(data.universe);
+      // The Self hears about this. Breaking a siege is the most direct act
+      // of care available - you had to be there, in person, with a gun.
+      // Killing a people's ships for any other reason is the same act
+      // pointed the other way, and it costs you the same way.
+      if (data.brokeSiege) {
+        // The server's message carries the RP it paid, so the reward and
+        // the reason for it arrive together.
+        toast(data.message, 'good', 8000);
+        playSfx('minigameWin');
+        applySelfResult(recordAxis('mastery', MASTERY_SIEGE_BROKEN));
+      } else {
+        const counted = Math.min(kills, MAX_STRIKE_KILLS);
+        applySelfResult(recordAxis('neglect', NEGLECT_AGGRESSION * counted));
+      }
+    },
+    reportBombardment: (data) => {
+      if (!data.universe) return;
+      adoptUniverse(data.universe);
+      if (data.extinct) {
+        toast(data.message, 'critical', 10000);
+        narrate(
+          "They are gone. Not by entropy, not by bad luck - by a decision someone " +
+          "else made and you were close enough to contest. That is the weight of " +
+          "being here, warden.",
+          "grim"
+        );
+      }
+    },
+    reportEscortLost: (data) => {
+      if (!data.universe) return;
+      adoptUniverse(data.universe);
+      if (data.message) toast(data.message, 'error', 7000);
+    },
+    registerVesselLost: (data) => {
+      if (!data.universe) return;
+      adoptUniverse(data.universe);
+      const p = data.penalty || {};
+      const myr = Math.round((p.yearsSkipped || 0) / 1e6);
+      const stabPct = Math.abs((p.stabilityDelta || 0) * 100).toFixed(0);
+      toast(`Vessel lost — ${myr} Myr drifted, stability −${stabPct}%`, 'critical', 8000);
+      if (p.hasEnded) {
+        narrate("Your recovery came too late. The universe you were keeping is gone.");
+      } else if ((p.stabilityDelta || 0) <= -0.08) {
+        narrate("You are back — but the cosmos frayed while you were away. Deaths are not free out here.");
+      }
+    },
+  };
+  // Held in a ref so the long-lived delivery listener reaches this render's.
+  const actionResultsRef = useRef(null);
+  actionResultsRef.current = actionResults;
+
+  // The outbox replays world actions that couldn't reach the server when they
+  // happened. Live calls handle their own response; this hears about the ones
+  // delivered later - including any left over from a previous visit, or
+  // retried from the HUD - and hands each to its kind's result handler.
+  useEffect(() => {
+    const stop = startOutbox();
+    const off = onOutboxDelivered((entry, data) => {
+      if (entry.universeId !== id || !data?.ok) return;
+      const apply = actionResultsRef.current[entry.kind];
+      if (apply) {
+        apply(data, entry.args);
+        return;
+      }
+      if (data.universe) adoptUniverse(data.universe);
+      announceAchievements(data.newAchievements);
+    });
+    return () => {
+      off();
+      stop();
+    };
+  }, [id]); // eslint-disable-line react-hooks/exhaustive-deps
+
   // Track anomalies being resolved to prevent duplicates
   const resolvingAnomaliesRef = useRef(new Set());
   const resolvedAnomaliesRef = useRef(new Set());
@@ -226,13 +351,22 @@ const GameplayPage = () => {
       if (isBackendAnomaly) {
         // Sync with backend for physics-based anomalies
         try {
-          const data = await resolveAnomaly(id, anomaly.id, anomaly.gameResult?.accuracy);
+          const data = await submitAction(
+            'resolveAnomaly',
+            id,
+            // A co-op run names its relay session, so the partner is credited too
+            [anomaly.id, anomaly.gameResult?.accuracy, anomaly.gameResult?.transcript ?? null, anomaly.gameResult?.coop ?? null],
+            `resolveAnomaly:${id}:${anomaly.id}`
+          );
 
-          if (data.ok) {
-            // Mark as resolved in this session to prevent double-resolution
+          if (!data) {
+            // Queued in the outbox - the containment happened; the server
+            // hears about it when the link returns.
             resolvedAnomaliesRef.current.add(anomaly.id);
-
-            setUniverse(data.universe);
+            toast('Uplink lost — containment logged, it will sync when the link returns', 'info', 6000);
+          } else if (data.ok) {
+            // Marks it resolved in this session to prevent double-resolution
+            actionResults.resolveAnomaly(data, [anomaly.id]);
             dlog(`✅ Backend anomaly resolved!`);
             dlog(`   Stability boost: +${(data.stabilityBoost * 100).toFixed(2)}%`);
             dlog(`   New stability: ${(data.universe.currentState.stabilityIndex * 100).toFixed(1)}%`);
@@ -257,12 +391,14 @@ const GameplayPage = () => {
         // no longer a client-side illusion that respawned on reload.
         resolvedAnomaliesRef.current.add(anomaly.id);
         try {
-          const data = await resolveMinorAnomaly(
-            id, anomaly.id, anomaly.severity, anomaly.gameResult?.accuracy ?? 70
+          const data = await submitAction(
+            'resolveMinorAnomaly',
+            id,
+            [anomaly.id, anomaly.severity, anomaly.gameResult?.accuracy ?? 70, anomaly.gameResult?.transcript ?? null],
+            `resolveMinorAnomaly:${id}:${anomaly.id}`
           );
-          if (data.ok && data.universe) {
-            setUniverse(data.universe);
-            announceAchievements(data.newAchievements);
+          if (data?.ok) {
+            actionResults.resolveMinorAnomaly(data);
             dlog(`✅ Minor anomaly resolved (+${data.reward} RP)`);
           }
         } catch (apiErr) {
@@ -310,14 +446,12 @@ const GameplayPage = () => {
     applySelfResult(recordAxis('comprehension', comprehensionForDiscovery(discovery.rarity), { hidden }));
 
     try {
-      const data = await submitDiscoveries(id, [discovery]);
-      if (data.ok && data.research) {
-        setUniverse((prev) => (prev ? { ...prev, research: data.research } : prev));
-      }
-      announceAchievements(data.newAchievements);
-    } catch {
-      // Server dedup makes retries safe; flush on the next simulate tick.
-      pendingDiscoveriesRef.current.push(discovery);
+      // Keyed by discovery id: scanning the same object twice while offline
+      // queues it once. A null result means it's queued for replay.
+      const data = await submitAction('submitDiscoveries', id, [[discovery]], `discovery:${id}:${discovery.id}`);
+      if (data?.ok) actionResults.submitDiscoveries(data);
+    } catch (err) {
+      console.warn("Discovery rejected:", err.response?.data?.error || err.message);
     }
   };
 
@@ -346,12 +480,13 @@ const GameplayPage = () => {
     try {
       const data = await contactCivilization(id, civId, action);
       if (data.ok && data.universe) {
-        setUniverse(data.universe);
+        adoptUniverse(data.universe);
         announceAchievements(data.newAchievements);
         if (data.outcome === 'backfire') narrate(pick(CURATOR.backfire));
         if (data.outcome === 'armed') narrate(pick(CURATOR.war.armed));
         if (data.outcome === 'brokered') narrate(pick(CURATOR.war.brokered));
         if (data.outcome === 'rescued') narrate(pick(CURATOR.rescue));
+        if (data.outcome === 'pact') narrate(pick(CURATOR.pact.signed));
       }
       return data;
     } catch (err) {
@@ -415,6 +550,13 @@ const GameplayPage = () => {
       if (hailedSiegesRef.current.has(key)) continue;
       hailedSiegesRef.current.add(key);
       playSfx('alert');
+      // A pact ally's siege is a call, not a suggestion - PhaserGame plots
+      // the course there itself.
+      if (hasDefensePact(civ)) {
+        toast(`⚠ Your ally ${civDesignation(civ.id)} is under attack — the pact is called`, 'critical', 12000);
+        narrate(pick(CURATOR.pact.called), 'warning');
+        continue;
+      }
       toast(`⚠ ${civDesignation(civ.id)} is under attack — Locator [B]`, 'critical', 12000);
       // The scripted opening siege (backend utils/openingSiege.js) teaches the
       // mechanic; every natural one after it gets the short version.
@@ -497,7 +639,7 @@ const GameplayPage = () => {
     try {
       const data = await respondPetition(id, civId, petitionId, optionId);
       if (data.ok && data.universe) {
-        setUniverse(data.universe);
+        adoptUniverse(data.universe);
         announceAchievements(data.newAchievements);
         if (data.message) toast(data.message, 'info', 7000);
       }
@@ -513,7 +655,7 @@ const GameplayPage = () => {
     try {
       const data = await claimMission(id, missionId);
       if (data.ok && data.universe) {
-        setUniverse(data.universe);
+        adoptUniverse(data.universe);
         announceAchievements(data.newAchievements);
         if (Math.random() < 0.5) narrate(pick(CURATOR.claims));
       }
@@ -527,11 +669,8 @@ const GameplayPage = () => {
   // cooldown rejection is normal (event fired again too soon) and silent
   const handleEventReward = async (kind) => {
     try {
-      const data = await claimEventReward(id, kind);
-      if (data.ok && data.universe) {
-        setUniverse(data.universe);
-        toast(`+${data.reward} RP - ${data.title}`, 'success', 6000);
-      }
+      const data = await submitAction('claimEventReward', id, [kind], occurrenceKey('eventReward', kind));
+      if (data?.ok) actionResults.claimEventReward(data);
     } catch (err) {
       if (!err.response?.data?.cooldown) {
         console.error("Event reward failed:", err.response?.data || err.message);
@@ -566,24 +705,9 @@ const GameplayPage = () => {
 
     for (const [key, entry] of pending) {
       try {
-        const data = await reportWarStrike(id, entry.civId, entry.kills, entry.defendingCivId);
-        if (data.ok && data.universe) {
-          setUniverse(data.universe);
-          // The Self hears about this. Breaking a siege is the most direct act
-          // of care available - you had to be there, in person, with a gun.
-          // Killing a people's ships for any other reason is the same act
-          // pointed the other way, and it costs you the same way.
-          if (data.brokeSiege) {
-            // The server's message carries the RP it paid, so the reward and
-            // the reason for it arrive together.
-            toast(data.message, 'good', 8000);
-            playSfx('minigameWin');
-            applySelfResult(recordAxis('mastery', MASTERY_SIEGE_BROKEN));
-          } else {
-            const counted = Math.min(entry.kills, MAX_STRIKE_KILLS);
-            applySelfResult(recordAxis('neglect', NEGLECT_AGGRESSION * counted));
-          }
-        }
+        const args = [entry.civId, entry.kills, entry.defendingCivId];
+        const data = await submitAction('reportWarStrike', id, args, occurrenceKey('warStrike', key));
+        if (data?.ok) actionResults.reportWarStrike(data, args);
       } catch (err) {
         console.warn(`War strike (${key}) failed:`, err.response?.data?.error || err.message);
       }
@@ -617,19 +741,10 @@ const GameplayPage = () => {
 
     for (const [key, entry] of pending) {
       try {
-        const data = await reportBombardment(id, entry.civId, entry.runs, entry.attackerCivId);
-        if (data.ok && data.universe) {
-          setUniverse(data.universe);
-          if (data.extinct) {
-            toast(data.message, 'critical', 10000);
-            narrate(
-              "They are gone. Not by entropy, not by bad luck - by a decision someone " +
-              "else made and you were close enough to contest. That is the weight of " +
-              "being here, warden.",
-              "grim"
-            );
-          }
-        }
+        const data = await submitAction(
+          'reportBombardment', id, [entry.civId, entry.runs, entry.attackerCivId], occurrenceKey('bombard', key)
+        );
+        if (data?.ok) actionResults.reportBombardment(data);
       } catch (err) {
         console.warn(`Bombardment (${key}) failed:`, err.response?.data?.error || err.message);
       }
@@ -647,25 +762,25 @@ const GameplayPage = () => {
     bombardTimerRef.current = setTimeout(flushBombardments, 4000);
   };
 
+  // An escort ship lent by a friendly people went down with you. Rare enough
+  // not to need batching; the server books the cost to their regard.
+  const handleEscortLost = async (civId, lost) => {
+    try {
+      const data = await submitAction('reportEscortLost', id, [civId, lost], occurrenceKey('escortLost', civId));
+      if (data?.ok) actionResults.reportEscortLost(data);
+    } catch (err) {
+      console.warn('Escort loss report failed:', err.response?.data?.error || err.message);
+    }
+  };
+
   // The death penalty (fail state): the vessel is lost, so the universe drifts
   // while you recover - a stability hit + forced time-skip, server-authoritative.
   // The scene has already played the destruction; here we book the consequence
   // and surface it, so death finally means losing ground.
   const handleVesselLost = async () => {
     try {
-      const data = await registerVesselLost(id);
-      if (data.ok && data.universe) {
-        setUniverse(data.universe);
-        const p = data.penalty || {};
-        const myr = Math.round((p.yearsSkipped || 0) / 1e6);
-        const stabPct = Math.abs((p.stabilityDelta || 0) * 100).toFixed(0);
-        toast(`Vessel lost — ${myr} Myr drifted, stability −${stabPct}%`, 'critical', 8000);
-        if (p.hasEnded) {
-          narrate("Your recovery came too late. The universe you were keeping is gone.");
-        } else if ((p.stabilityDelta || 0) <= -0.08) {
-          narrate("You are back — but the cosmos frayed while you were away. Deaths are not free out here.");
-        }
-      }
+      const data = await submitAction('registerVesselLost', id, [], occurrenceKey('vesselLost'));
+      if (data?.ok) actionResults.registerVesselLost(data);
     } catch {
       // Non-fatal: the destruction/respawn already happened client-side.
     }
@@ -676,7 +791,7 @@ const GameplayPage = () => {
     try {
       const data = await devAction(id, action, payload);
       if (data.ok && data.universe) {
-        setUniverse(data.universe);
+        adoptUniverse(data.universe);
       }
       return data;
     } catch (err) {
@@ -684,38 +799,56 @@ const GameplayPage = () => {
     }
   };
 
-  // Background simulation (every 30 seconds)
+  // Pushed universe messages (api/universeStream.js). State-bearing ones fold
+  // straight into the universe - the effects above then announce whatever
+  // arrived (events, petitions, sieges, the end) exactly as they would after a
+  // simulate tick. Held in a ref so the long-lived socket always reaches the
+  // current render's handlers.
+  //
+  // Patches chain by revision. revisionRef runs ahead of the render so a burst
+  // of patches between two renders still checks against the one before it; a
+  // gap means one was missed, and we ask for a snapshot instead.
+  const streamRef = useRef(null);
+  const revisionRef = useRef(null);
+  revisionRef.current = universe?.revision ?? null;
+  const streamHandlerRef = useRef(null);
+  streamHandlerRef.current = (msg) => {
+    if (msg.type === 'achievements') {
+      announceAchievements(msg.list);
+      return;
+    }
+    if (msg.type === 'patch') {
+      if (!canApplyPatch({ revision: revisionRef.current }, msg)) {
+        dlog(`📡 Patch ${msg.baseRevision}→${msg.revision} doesn't chain onto ${revisionRef.current} - resyncing`);
+        streamRef.current?.resync();
+        return;
+      }
+      if (msg.revision !== undefined) revisionRef.current = msg.revision;
+    }
+    setUniverse((prev) => applyStreamMessage(prev, msg));
+  };
+
+  // Live updates: the push channel, with the simulate poll as its fallback
+  // whenever the socket is down. Keyed on liveness rather than the universe
+  // object, so a pushed change doesn't tear the connection down.
+  const isLive = !!universe && universe.status !== 'ended';
   useEffect(() => {
-    if (!universe || universe.status === 'ended') return;
+    if (!isLive) return;
 
     const runSimulation = async () => {
       if (simulationInProgress.current) return;
-      if (Date.now() - lastSimulation < 25000) return; // Wait 25s between simulations
+      if (Date.now() - lastSimulationRef.current < 25000) return; // Wait 25s between simulations
 
       simulationInProgress.current = true;
 
       try {
-        // Flush any discoveries that failed to submit earlier (offline,
-        // transient 5xx). Server-side dedup makes re-sends harmless.
-        if (pendingDiscoveriesRef.current.length > 0) {
-          const pending = pendingDiscoveriesRef.current.splice(0, 20);
-          try {
-            const retryData = await submitDiscoveries(id, pending);
-            if (retryData.ok && retryData.research) {
-              setUniverse((prev) => (prev ? { ...prev, research: retryData.research } : prev));
-            }
-          } catch {
-            pendingDiscoveriesRef.current.unshift(...pending);
-          }
-        }
-
         dlog(`🔄 Running background simulation...`);
 
         const data = await simulateUniverse(id, playerPositionRef.current);
 
         if (data.ok) {
-          setUniverse(data.universe);
-          setLastSimulation(Date.now());
+          adoptUniverse(data.universe);
+          lastSimulationRef.current = Date.now();
           announceAchievements(data.newAchievements);
 
           const stats = data.stats;
@@ -744,25 +877,34 @@ const GameplayPage = () => {
       }
     };
 
-    // Run initial simulation after 5 seconds
-    const initialTimeout = setTimeout(runSimulation, 5000);
-    
-    // Then run every 30 seconds
-    const interval = setInterval(runSimulation, 30000);
+    const stream = new UniverseStream({
+      url: getUniverseStreamUrl(id),
+      universeId: id,
+      onMessage: (msg) => streamHandlerRef.current(msg),
+      onStatusChange: (status) => dlog(`📡 Universe link: ${status}`),
+      poll: runSimulation,
+      getPosition: () => playerPositionRef.current,
+    });
+    streamRef.current = stream;
+    stream.start();
 
     return () => {
-      clearInterval(interval);
-      clearTimeout(initialTimeout);
+      stream.stop();
+      streamRef.current = null;
     };
-  }, [universe, id, lastSimulation]);
+  }, [id, isLive]); // eslint-disable-line react-hooks/exhaustive-deps
 
-  // Cleanup resolved anomalies (every 5 minutes)
+  // Cleanup resolved anomalies (every 5 minutes). Reads the universe through a
+  // ref: keyed on the object itself, every pushed change would restart the
+  // five-minute clock and it would never fire.
+  const universeRef = useRef(null);
+  universeRef.current = universe;
   useEffect(() => {
-    if (!universe || universe.status === 'ended') return;
+    if (!isLive) return;
 
     const runCleanup = async () => {
       try {
-        const resolvedCount = universe.anomalies?.filter(a => a.resolved).length || 0;
+        const resolvedCount = universeRef.current?.anomalies?.filter(a => a.resolved).length || 0;
 
         // Only cleanup if we have more than 100 resolved anomalies
         if (resolvedCount > 100) {
@@ -775,7 +917,7 @@ const GameplayPage = () => {
 
             // Refresh universe data
             const uni = await getUniverse(id);
-            setUniverse(uni);
+            adoptUniverse(uni);
           }
         }
       } catch (err) {
@@ -786,7 +928,7 @@ const GameplayPage = () => {
     const cleanupInterval = setInterval(runCleanup, 300000); // Every 5 minutes
 
     return () => clearInterval(cleanupInterval);
-  }, [universe, id]);
+  }, [id, isLive]);
 
   if (error) {
     return (
@@ -877,7 +1019,9 @@ const GameplayPage = () => {
         onSetDoctrine={handleSetDoctrine}
         onWarStrike={handleWarStrike}
         onBombardment={handleBombardment}
+        onEscortLost={handleEscortLost}
         onPreviewEnding={setPreviewEnd}
+        coopRelayUrl={(anomalyId) => getCoopRelayUrl(id, anomalyId)}
       />
       {previewEnd && (
         <CinematicBoundary
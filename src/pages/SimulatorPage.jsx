@@ -0,0 +1,319 @@
+import { useEffect, useRef, useState } from "react";
+import Phaser from "phaser";
+import { Play, Shuffle, RotateCcw, Ghost, Copy } from "lucide-react";
+import { Button, Panel, Eyebrow } from "../components/ui/primitives";
+import { useToast } from "../components/ui/ToastProvider";
+import { SimulatorScene } from "../components/game/scenes/SimulatorScene";
+import { MINIGAME_SCENES } from "../components/game/scenes/minigameScenes";
+import { MINIGAME_CATALOG, getMinigame } from "../components/game/content/minigameCatalog";
+import { getPrinciple } from "../components/game/content/codexPrinciples";
+import { getPracticeRecords, recordPractice, onPracticeChange } from "../components/game/practiceRecords";
+import { getGhosts, getGhost, importGhost, onGhostsChange } from "../components/game/ghostStore";
+import { encodeGhost } from "../components/game/minigames/ghost";
+
+// The Containment Simulator: every minigame, playable at any severity and
+// seed, away from live anomalies - a failure here costs nothing. Runs its own
+// small Phaser game (SimulatorScene hosting the minigame scenes) and keeps
+// personal bests locally (practiceRecords.js). The matching Codex primer sits
+// beside the arena so the physics is learned before it's needed, and the
+// ghosts of S-grade runs (ghostStore.js) can be raced, shared and imported.
+
+const SEVERITIES = [1, 2, 3, 4, 5];
+const GRADES = ["S", "A", "B", "C", "F"];
+const randomSeed = () => Math.random().toString(36).substring(2, 8);
+
+const SimulatorPage = () => {
+  const toast = useToast();
+  const containerRef = useRef(null);
+  const sceneRef = useRef(null);
+  const toastRef = useRef(toast);
+  toastRef.current = toast;
+
+  // The orbital game first: the one a new warden meets at their first black hole
+  const [sceneKey, setSceneKey] = useState("GravityWellScene");
+  const [severity, setSeverity] = useState(1);
+  const [seed, setSeed] = useState(randomSeed);
+  const [ready, setReady] = useState(false);
+  const [running, setRunning] = useState(null);
+  const [records, setRecords] = useState(getPracticeRecords);
+  const [, setGhosts] = useState(getGhosts);
+  const [ghostText, setGhostText] = useState("");
+
+  useEffect(() => onPracticeChange(setRecords), []);
+  useEffect(() => onGhostsChange(setGhosts), []);
+
+  useEffect(() => {
+    const game = new Phaser.Game({
+      type: Phaser.AUTO,
+      backgroundColor: "#070912",
+      parent: containerRef.current,
+      // Same reason as PhaserGame: the context menu swallows keyups
+      disableContextMenu: true,
+      scale: { mode: Phaser.Scale.RESIZE, width: "100%", height: "100%" },
+      scene: [SimulatorScene, ...MINIGAME_SCENES],
+    });
+    game.scene.start("SimulatorScene", {
+      onReady: (scene) => {
+        sceneRef.current = scene;
+        setReady(true);
+      },
+      onResult: (run, result) => {
+        setRunning(null);
+        if (!run || run.race) return;
+        const best = recordPractice(run.sceneKey, {
+          severity: run.severity,
+          seed: run.seed,
+          status: result.status,
+          accuracy: result.accuracy,
+          score: result.score,
+          grade: result.grade,
+          slowed: result.timeScale < 1,
+        });
+        if (best) toastRef.current(`New personal best at severity ${run.severity}`, "success");
+      },
+      onAbort: () => setRunning(null),
+    });
+    return () => {
+      sceneRef.current = null;
+      game.destroy(true);
+    };
+  }, []);
+
+  const launch = (key = sceneKey, sev = severity, s = seed) => {
+    if (!sceneRef.current) return;
+    // Keys typed into the seed box must not reach the minigame
+    document.activeElement?.blur?.();
+    const practiceSeed = s.trim() || "0";
+    sceneRef.current.practice(key, { severity: sev, seed: practiceSeed });
+    setRunning({ sceneKey: key, severity: sev, seed: practiceSeed });
+  };
+
+  const race = (ghost) => {
+    if (!sceneRef.current) return;
+    document.activeElement?.blur?.();
+    sceneRef.current.race(sceneKey, ghost);
+    setRunning({ sceneKey, race: true });
+  };
+
+  const copyGhost = async (ghost) => {
+    try {
+      await navigator.clipboard.writeText(encodeGhost(ghost.transcript));
+      toast("Ghost copied - paste it to another warden", "success");
+    } catch {
+      toast("Couldn't reach the clipboard", "error");
+    }
+  };
+
+  const handleImportGhost = () => {
+    try {
+      const { transcript } = importGhost(ghostText);
+      const game = MINIGAME_CATALOG.find((m) => m.game === transcript.game);
+      setGhostText("");
+      if (game) setSceneKey(game.scene);
+      toast(`Ghost imported: ${game?.title ?? transcript.game} · severity ${transcript.severity ?? "?"}`, "success");
+    } catch (err) {
+      toast(err.message, "error");
+    }
+  };
+
+  const entry = getMinigame(sceneKey);
+  const principle = entry?.principle ? getPrinciple(entry.principle) : null;
+  const record = records[sceneKey];
+
+  return (
+    <div className="h-full min-h-[calc(100vh-4rem)] bg-void text-ink flex flex-col lg:flex-row">
+      <aside className="lg:w-72 border-b lg:border-b-0 lg:border-r border-line p-5 space-y-6 overflow-y-auto">
+        <div>
+          <Eyebrow className="mb-2">Practice Range</Eyebrow>
+          <h2 className="font-sans text-2xl font-semibold text-ink mb-1">Containment Simulator</h2>
+          <p className="text-ink-faint text-xs font-mono">No anomaly, no reward, no cost. ESC abandons a run.</p>
+        </div>
+
+        <div>
+          <label className="block font-mono text-[10px] uppercase tracking-wider text-ink-faint mb-2">Minigame</label>
+          <div className="border border-line">
+            {MINIGAME_CATALOG.map((m) => (
+              <button
+                key={m.scene}
+                type="button"
+                onClick={() => setSceneKey(m.scene)}
+                className={`w-full text-left px-3 py-2 font-mono border-l-2 transition-colors ${
+                  sceneKey === m.scene
+                    ? "border-accent bg-void-raised text-ink"
+                    : "border-transparent text-ink-dim hover:text-ink hover:bg-void-raised/50"
+                }`}
+              >
+                <div className="text-[12px]">{m.title}</div>
+                <div className="text-[10px] text-ink-faint">{m.anomalies}</div>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <label className="block font-mono text-[10px] uppercase tracking-wider text-ink-faint mb-2">Severity</label>
+          <div className="flex gap-1.5">
+            {SEVERITIES.map((s) => (
+              <button
+                key={s}
+                type="button"
+                onClick={() => setSeverity(s)}
+                className={`flex-1 py-1.5 font-mono text-xs border transition-colors ${
+                  severity === s ? "border-accent text-accent" : "border-line text-ink-dim hover:border-line-bright"
+                }`}
+              >
+                {s}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <label className="block font-mono text-[10px] uppercase tracking-wider text-ink-faint mb-2">Seed</label>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={seed}
+              onChange={(e) => setSeed(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && launch()}
+              className="flex-1 min-w-0 px-3 py-2 bg-void border border-line focus:outline-none focus:border-accent text-ink font-mono text-sm"
+            />
+            <button
+              type="button"
+              onClick={() => setSeed(randomSeed())}
+              title="New seed"
+              className="px-3 border border-line hover:border-accent text-ink-dim hover:text-accent transition-colors"
+            >
+              <Shuffle className="w-4 h-4" />
+            </button>
+          </div>
+          <p className="text-xs text-ink-faint mt-1.5">The same seed plays the same run again</p>
+        </div>
+
+        <Button onClick={() => launch()} disabled={!ready} className="w-full">
+          <Play size={16} />
+          {running ? "Restart" : "Launch"}
+        </Button>
+
+        <div>
+          <div className="font-mono text-[10px] uppercase tracking-wider text-ink-faint mb-2">
+            Personal bests · {record?.runs ?? 0} {record?.runs === 1 ? "run" : "runs"}
+          </div>
+          <div className="space-y-1">
+            {SEVERITIES.map((s) => {
+              const best = record?.bests[s];
+              return (
+                <div key={s} className="flex items-center gap-2 font-mono text-[11px]">
+                  <span className="w-10 text-ink-faint">sev {s}</span>
+                  {best ? (
+                    <>
+                      <span className="w-4 text-accent">{best.grade}</span>
+                      <span className="flex-1 text-ink tabular-nums">{best.score} · {best.accuracy}%</span>
+                      <button
+                        type="button"
+                        onClick={() => {
+                          setSeverity(s);
+                          setSeed(best.seed);
+                          launch(sceneKey, s, best.seed);
+                        }}
+                        title={`Replay seed ${best.seed}`}
+                        className="text-ink-faint hover:text-accent transition-colors"
+                      >
+                        <RotateCcw className="w-3.5 h-3.5" />
+                      </button>
+                    </>
+                  ) : (
+                    <span className="flex-1 text-ink-faint">—</span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+          {record && (
+            <div className="flex gap-3 mt-3 font-mono text-[10px] text-ink-faint">
+              {GRADES.map((g) => (
+                <span key={g}>{g} <span className="text-ink-dim tabular-nums">{record.grades[g] ?? 0}</span></span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {entry?.game && (
+          <div>
+            <div className="font-mono text-[10px] uppercase tracking-wider text-ink-faint mb-2">Ghosts · best S-grade runs</div>
+            <div className="space-y-1">
+              {SEVERITIES.map((s) => {
+                const ghost = getGhost(entry.game, s);
+                if (!ghost) return null;
+                return (
+                  <div key={s} className="flex items-center gap-2 font-mono text-[11px]">
+                    <span className="w-10 text-ink-faint">sev {s}</span>
+                    <span className="flex-1 text-ink tabular-nums">
+                      S {ghost.accuracy}%{ghost.imported && <span className="text-ink-faint"> · shared</span>}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => race(ghost)}
+                      disabled={!ready}
+                      title="Race this ghost"
+                      className="text-ink-faint hover:text-accent transition-colors"
+                    >
+                      <Ghost className="w-3.5 h-3.5" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => copyGhost(ghost)}
+                      title="Copy as a shareable string"
+                      className="text-ink-faint hover:text-accent transition-colors"
+                    >
+                      <Copy className="w-3.5 h-3.5" />
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+            <div className="flex gap-2 mt-3">
+              <input
+                type="text"
+                value={ghostText}
+                onChange={(e) => setGhostText(e.target.value)}
+                placeholder="Paste a ghost…"
+                className="flex-1 min-w-0 px-3 py-1.5 bg-void border border-line focus:outline-none focus:border-accent text-ink placeholder-ink-faint font-mono text-[11px]"
+              />
+              <button
+                type="button"
+                onClick={handleImportGhost}
+                disabled={!ghostText.trim()}
+                className="px-3 font-mono text-[10px] uppercase tracking-wider border border-line hover:border-accent text-ink-dim hover:text-accent transition-colors disabled:opacity-40"
+              >
+                Import
+              </button>
+            </div>
+          </div>
+        )}
+      </aside>
+
+      <div ref={containerRef} className="flex-1 min-h-[480px] relative" />
+
+      <aside className="lg:w-80 border-t lg:border-t-0 lg:border-l border-line p-5 overflow-y-auto">
+        {principle ? (
+          <Panel className="p-5 font-mono">
+            <div className="text-ink-faint text-[11px] uppercase tracking-wider mb-1">{principle.tag}</div>
+            <h3 className="font-sans text-xl text-ink font-semibold mb-4">{principle.title}</h3>
+            <p className="text-ink-dim text-[13px] leading-relaxed">{principle.body}</p>
+            <div className="mt-5 border-t border-line pt-3">
+              <div className="text-[9px] uppercase tracking-[0.2em] text-ink-faint mb-1">In the field</div>
+              <div className="text-[12px] text-ink-dim">{principle.appliesTo}</div>
+            </div>
+          </Panel>
+        ) : (
+          <p className="text-ink-faint text-xs font-mono">
+            The generic stabilizer is a timing drill, not a principle - it stands in for anomalies that have no game of their own.
+          </p>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default SimulatorPage;